@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { FiDownload } from 'react-icons/fi'
+import { ACCOUNTING_EXPORT } from '../../utils/constants'
+import toast from 'react-hot-toast'
+
+const FORMAT_OPTIONS = [
+  { value: ACCOUNTING_EXPORT.FORMATS.CSV, label: 'CSV (all columns)' },
+  { value: ACCOUNTING_EXPORT.FORMATS.IIF, label: 'QuickBooks (IIF journal)' },
+  { value: ACCOUNTING_EXPORT.FORMATS.XERO, label: 'Xero (bank statement CSV)' }
+]
+
+// YYYY-MM-DD in the browser's time zone
+const toDateInput = (date) => date.toLocaleDateString('en-CA')
+
+export default function AccountingExport({ adminId }) {
+  const today = new Date()
+  const [from, setFrom] = useState(toDateInput(new Date(today.getFullYear(), today.getMonth(), 1)))
+  const [to, setTo] = useState(toDateInput(today))
+  const [format, setFormat] = useState(ACCOUNTING_EXPORT.FORMATS.CSV)
+  const [statuses, setStatuses] = useState(ACCOUNTING_EXPORT.STATUSES)
+
+  const toggleStatus = (status) => {
+    setStatuses(current => current.includes(status)
+      ? current.filter(item => item !== status)
+      : [...current, status])
+  }
+
+  const handleExport = () => {
+    if (!from || !to || from > to) {
+      toast.error('Choose a start date on or before the end date')
+      return
+    }
+
+    if (!statuses.length) {
+      toast.error('Choose at least one payment status')
+      return
+    }
+
+    const params = new URLSearchParams({ format, from, to, statuses: statuses.join(','), adminId })
+
+    // The server streams the file, so let the browser save it directly
+    // rather than holding a large range in memory here
+    window.location.assign(`/api/reports/payments-export?${params}`)
+  }
+
+  return (
+    <div className="card mb-6">
+      <h2 className="text-lg font-semibold text-white mb-2">Accounting Export</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        Payments with invoice numbers, gateway fees and exchange rates. QuickBooks and Xero files only
+        include paid and refunded payments.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">From</label>
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="input" />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">To</label>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="input" />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Format</label>
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="input">
+            {FORMAT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center space-x-4 pb-2">
+          {ACCOUNTING_EXPORT.STATUSES.map(status => (
+            <label key={status} className="flex items-center space-x-2 text-sm text-gray-300 capitalize">
+              <input
+                type="checkbox"
+                checked={statuses.includes(status)}
+                onChange={() => toggleStatus(status)}
+              />
+              <span>{status}</span>
+            </label>
+          ))}
+        </div>
+        <button onClick={handleExport} className="btn-secondary flex items-center space-x-2">
+          <FiDownload />
+          <span>Download</span>
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -5,7 +5,8 @@ import { motion, AnimatePresence } from 'framer-motion'
 import {
   FiGrid, FiBook, FiUsers, FiDollarSign, FiSettings,
   FiLogOut, FiMenu, FiX, FiHome, FiMail, FiFileText,
-  FiBarChart, FiBell, FiSearch
+  FiBarChart, FiBell, FiSearch, FiTag, FiActivity, FiPackage, FiGift, FiShare2, FiAward,
+  FiShuffle
 } from 'react-icons/fi'
 import { supabase } from '../../lib/supabase'
 import toast from 'react-hot-toast'
@@ -29,8 +30,15 @@ export default function AdminLayout({ children, user }) {
   const navigation = [
     { name: 'Dashboard', href: '/admin', icon: FiGrid },
     { name: 'Courses', href: '/admin/courses', icon: FiBook },
+    { name: 'Problems', href: '/admin/problems', icon: FiShuffle },
+    { name: 'Bundles', href: '/admin/bundles', icon: FiPackage },
     { name: 'Users', href: '/admin/users', icon: FiUsers },
     { name: 'Payments', href: '/admin/payments', icon: FiDollarSign },
+    { name: 'Coupons', href: '/admin/coupons', icon: FiTag },
+    { name: 'Gift Codes', href: '/admin/gift-codes', icon: FiGift },
+    { name: 'Affiliates', href: '/admin/affiliates', icon: FiShare2 },
+    { name: 'Scholarships', href: '/admin/scholarships', icon: FiAward },
+    { name: 'Payment Events', href: '/admin/payment-events', icon: FiActivity },
     { name: 'Reports', href: '/admin/reports', icon: FiBarChart },
     { name: 'Emails', href: '/admin/emails', icon: FiMail },
     { name: 'Settings', href: '/admin/settings', icon: FiSettings }
@@ -0,0 +1,232 @@
+import { useState, useEffect, useRef } from 'react'
+import { FiUpload, FiCheck, FiEye, FiSlash } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import toast from 'react-hot-toast'
+
+const formatAmount = (amount) => `LKR ${Number(amount || 0).toLocaleString()}`
+
+const formatDate = (date) => new Date(date).toLocaleDateString()
+
+export default function BankStatementMatching({ adminId, onProcessed, onReview }) {
+  const [lines, setLines] = useState([])
+  const [candidates, setCandidates] = useState({})
+  const [importing, setImporting] = useState(false)
+  const [importErrors, setImportErrors] = useState([])
+  const [resolving, setResolving] = useState(null)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    fetchAmbiguousLines()
+  }, [])
+
+  const fetchAmbiguousLines = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('bank_statement_lines')
+        .select('*')
+        .eq('status', 'ambiguous')
+        .order('statement_date', { ascending: true })
+
+      if (error) throw error
+
+      const paymentIds = [...new Set((data || []).flatMap(line => line.candidate_payment_ids || []))]
+      const { data: payments, error: paymentsError } = paymentIds.length
+        ? await supabase
+          .from('payments')
+          .select(`
+            *,
+            profiles (name, email),
+            courses (title),
+            bundles (title)
+          `)
+          .in('id', paymentIds)
+          .eq('status', 'pending')
+        : { data: [], error: null }
+
+      if (paymentsError) throw paymentsError
+
+      setLines(data || [])
+      setCandidates(Object.fromEntries((payments || []).map(payment => [payment.id, payment])))
+    } catch (error) {
+      console.error('Error fetching statement lines:', error)
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setImporting(true)
+    setImportErrors([])
+    try {
+      const csv = await file.text()
+      const response = await fetch('/api/bank-statements/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ csv, adminId })
+      })
+      const result = await response.json()
+
+      if (!response.ok) {
+        setImportErrors(result.errors || [])
+        throw new Error(result.message)
+      }
+
+      if (result.summary.failedSteps.length) {
+        toast.error(`${result.message}. Some approvals need a fulfillment retry.`)
+      } else {
+        toast.success(result.message)
+      }
+      fetchAmbiguousLines()
+      onProcessed()
+    } catch (error) {
+      console.error('Error importing bank statement:', error)
+      toast.error(error.message || 'Failed to import bank statement')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const handleResolve = async (line, paymentId = null) => {
+    if (!paymentId && !confirm('Ignore this credit? No transfer will be approved for it.')) return
+
+    setResolving(line.id)
+    try {
+      const response = await fetch('/api/bank-statements/resolve', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lineId: line.id, adminId, paymentId })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.message)
+
+      if (result.failedSteps?.length) {
+        toast.error(result.message)
+      } else {
+        toast.success(result.message)
+      }
+      fetchAmbiguousLines()
+      if (paymentId) onProcessed()
+    } catch (error) {
+      console.error('Error resolving statement line:', error)
+      toast.error(error.message || 'Failed to resolve statement line')
+    } finally {
+      setResolving(null)
+    }
+  }
+
+  return (
+    <div className="card mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-lg font-semibold text-white">Bank Statement Matching</h2>
+        <div className="flex items-center space-x-3">
+          {lines.length > 0 && (
+            <span className="badge badge-warning">{lines.length} to review</span>
+          )}
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+            className="btn-secondary flex items-center space-x-2 text-sm"
+          >
+            <FiUpload className="w-4 h-4" />
+            <span>{importing ? 'Importing...' : 'Import Statement'}</span>
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      </div>
+      <p className="text-sm text-gray-400 mb-4">
+        Credits that quote a transfer reference and match its amount and date are approved automatically.
+        CSV columns: <span className="font-mono">date, description, credit</span>
+      </p>
+
+      {importErrors.length > 0 && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          <p className="font-medium mb-1">Nothing was imported:</p>
+          <ul className="list-disc list-inside">
+            {importErrors.map(error => (
+              <li key={error.line}>Line {error.line}: {error.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {lines.map(line => {
+          const linePayments = (line.candidate_payment_ids || [])
+            .map(id => candidates[id])
+            .filter(Boolean)
+
+          return (
+            <div key={line.id} className="grid grid-cols-1 lg:grid-cols-2 gap-4 p-4 rounded-lg bg-dark-700/50">
+              {/* Statement credit */}
+              <div>
+                <div className="text-xs uppercase text-gray-500 mb-1">Statement credit</div>
+                <div className="font-mono text-green-400 text-lg">{formatAmount(line.amount)}</div>
+                <div className="text-sm text-gray-400">{formatDate(line.statement_date)}</div>
+                <div className="text-sm text-white mt-2 break-words">{line.description || 'No description'}</div>
+                <button
+                  onClick={() => handleResolve(line)}
+                  disabled={resolving === line.id}
+                  className="mt-3 text-sm text-gray-400 hover:text-red-400 flex items-center space-x-1"
+                >
+                  <FiSlash className="w-4 h-4" />
+                  <span>None of these</span>
+                </button>
+              </div>
+
+              {/* Candidate transfers */}
+              <div className="space-y-2">
+                <div className="text-xs uppercase text-gray-500">Possible transfers</div>
+                {linePayments.length === 0 ? (
+                  <p className="text-sm text-gray-400">
+                    The transfers this credit could match have already been processed.
+                  </p>
+                ) : linePayments.map(payment => (
+                  <div key={payment.id} className="flex items-center justify-between p-3 rounded-lg bg-dark-800">
+                    <div>
+                      <div className="text-white text-sm">
+                        {payment.profiles?.name || 'Unknown'}
+                        <span className="text-gray-400"> — {payment.courses?.title || payment.bundles?.title || 'N/A'}</span>
+                      </div>
+                      <div className="text-xs text-gray-500 font-mono">
+                        {payment.transfer_reference || payment.id} · submitted {formatDate(payment.created_at)}
+                      </div>
+                      <div className={`text-sm font-mono ${Number(payment.amount) === Number(line.amount) ? 'text-green-400' : 'text-yellow-400'}`}>
+                        {formatAmount(payment.amount)}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => onReview(payment)}
+                        className="text-blue-400 hover:text-blue-300"
+                        title="View receipt"
+                      >
+                        <FiEye className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleResolve(line, payment.id)}
+                        disabled={resolving === line.id}
+                        className="px-3 py-1 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center"
+                      >
+                        <FiCheck className="w-4 h-4 mr-1" />
+                        Approve
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  FiX, FiCheck, FiZoomIn, FiZoomOut, FiRotateCw,
+  FiExternalLink, FiAlertCircle
+} from 'react-icons/fi'
+import toast from 'react-hot-toast'
+
+const MIN_ZOOM = 0.5
+const MAX_ZOOM = 4
+
+export default function BankTransferReview({ payment, adminId, onClose, onProcessed }) {
+  const [receipt, setReceipt] = useState(null)
+  const [loadingReceipt, setLoadingReceipt] = useState(true)
+  const [zoom, setZoom] = useState(1)
+  const [rotation, setRotation] = useState(0)
+  const [rejecting, setRejecting] = useState(false)
+  const [reason, setReason] = useState('')
+  const [processing, setProcessing] = useState(false)
+
+  useEffect(() => {
+    if (!payment) return
+
+    const fetchReceipt = async () => {
+      setLoadingReceipt(true)
+      try {
+        const response = await fetch(
+          `/api/payments/receipt?paymentId=${payment.id}&adminId=${adminId}`
+        )
+        const result = await response.json()
+
+        if (!response.ok) throw new Error(result.error)
+        setReceipt(result)
+      } catch (error) {
+        console.error('Error loading receipt:', error)
+        setReceipt(null)
+      } finally {
+        setLoadingReceipt(false)
+      }
+    }
+
+    setZoom(1)
+    setRotation(0)
+    setRejecting(false)
+    setReason('')
+    fetchReceipt()
+  }, [payment, adminId])
+
+  const handleApprove = async () => {
+    setProcessing(true)
+    try {
+      const response = await fetch('/api/payments/approve-bank', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paymentId: payment.id, adminId })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.message)
+
+      if (result.failedSteps?.length) {
+        toast.error(result.message)
+      } else {
+        toast.success('Payment approved and course access granted')
+      }
+      onProcessed()
+    } catch (error) {
+      console.error('Error approving payment:', error)
+      toast.error(error.message || 'Failed to approve payment')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleReject = async () => {
+    if (!reason.trim()) {
+      toast.error('Please give the student a reason')
+      return
+    }
+
+    setProcessing(true)
+    try {
+      const response = await fetch('/api/payments/reject-bank', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paymentId: payment.id, adminId, reason })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.message)
+
+      toast.success('Payment rejected and student notified')
+      onProcessed()
+    } catch (error) {
+      console.error('Error rejecting payment:', error)
+      toast.error(error.message || 'Failed to reject payment')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  if (!payment) return null
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          className="bg-dark-800 rounded-2xl max-w-5xl w-full max-h-[90vh] flex flex-col"
+        >
+          <div className="flex items-center justify-between p-6 border-b border-dark-600">
+            <div>
+              <h2 className="text-xl font-bold text-white">Review Bank Transfer</h2>
+              <p className="text-sm text-gray-400 font-mono">
+                {payment.transfer_reference || payment.id}
+              </p>
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-white">
+              <FiX className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 p-6 overflow-y-auto">
+            {/* Receipt viewer */}
+            <div className="lg:col-span-2">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-white font-semibold">Receipt</h3>
+                {receipt && !receipt.isPdf && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => setZoom(z => Math.max(MIN_ZOOM, z - 0.25))}
+                      className="text-gray-400 hover:text-white"
+                      title="Zoom out"
+                    >
+                      <FiZoomOut className="w-5 h-5" />
+                    </button>
+                    <span className="text-sm text-gray-400 w-12 text-center">
+                      {Math.round(zoom * 100)}%
+                    </span>
+                    <button
+                      onClick={() => setZoom(z => Math.min(MAX_ZOOM, z + 0.25))}
+                      className="text-gray-400 hover:text-white"
+                      title="Zoom in"
+                    >
+                      <FiZoomIn className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => setRotation(r => (r + 90) % 360)}
+                      className="text-gray-400 hover:text-white"
+                      title="Rotate"
+                    >
+                      <FiRotateCw className="w-5 h-5" />
+                    </button>
+                  </div>
+                )}
+                {receipt && (
+                  <a
+                    href={receipt.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-blue-400 hover:text-blue-300"
+                    title="Open in new tab"
+                  >
+                    <FiExternalLink className="w-5 h-5" />
+                  </a>
+                )}
+              </div>
+
+              <div className="h-[60vh] bg-dark-900 rounded-lg overflow-auto flex items-center justify-center">
+                {loadingReceipt ? (
+                  <div className="spinner"></div>
+                ) : !receipt ? (
+                  <div className="text-center text-gray-400">
+                    <FiAlertCircle className="w-10 h-10 mx-auto mb-2" />
+                    <p>Receipt could not be loaded</p>
+                  </div>
+                ) : receipt.isPdf ? (
+                  <iframe
+                    src={receipt.url}
+                    title="Payment receipt"
+                    className="w-full h-full bg-white"
+                  />
+                ) : (
+                  <img
+                    src={receipt.url}
+                    alt="Payment receipt"
+                    onClick={() => setZoom(z => (z === 1 ? 2 : 1))}
+                    className="max-w-full max-h-full origin-center transition-transform cursor-zoom-in"
+                    style={{ transform: `scale(${zoom}) rotate(${rotation}deg)` }}
+                  />
+                )}
+              </div>
+            </div>
+
+            {/* Payment details and decision */}
+            <div className="space-y-4">
+              <div className="space-y-3">
+                <div>
+                  <span className="text-gray-400">Student:</span>
+                  <span className="text-white ml-2">{payment.profiles?.name}</span>
+                  <div className="text-xs text-gray-500">{payment.profiles?.email}</div>
+                </div>
+                <div>
+                  <span className="text-gray-400">Course:</span>
+                  <span className="text-white ml-2">{payment.courses?.title || payment.bundles?.title}</span>
+                </div>
+                <div>
+                  <span className="text-gray-400">Expected amount:</span>
+                  <span className="text-green-400 ml-2 font-mono">
+                    LKR {Number(payment.amount || 0).toLocaleString()}
+                  </span>
+                </div>
+                <div>
+                  <span className="text-gray-400">Submitted:</span>
+                  <span className="text-white ml-2">
+                    {new Date(payment.created_at).toLocaleString()}
+                  </span>
+                </div>
+              </div>
+
+              {rejecting ? (
+                <div className="pt-4 border-t border-dark-600">
+                  <label className="block text-sm font-medium text-gray-400 mb-2">
+                    Reason (emailed to the student)
+                  </label>
+                  <textarea
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    rows={4}
+                    className="input"
+                    placeholder="e.g. The amount on the receipt does not match the course price"
+                  />
+                  <div className="flex space-x-3 mt-3">
+                    <button
+                      onClick={() => setRejecting(false)}
+                      disabled={processing}
+                      className="flex-1 btn-secondary"
+                    >
+                      Back
+                    </button>
+                    <button
+                      onClick={handleReject}
+                      disabled={processing || !reason.trim()}
+                      className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {processing ? 'Rejecting...' : 'Send Rejection'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex space-x-3 pt-4 border-t border-dark-600">
+                  <button
+                    onClick={() => setRejecting(true)}
+                    disabled={processing}
+                    className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center"
+                  >
+                    <FiX className="w-4 h-4 mr-2" />
+                    Reject
+                  </button>
+                  <button
+                    onClick={handleApprove}
+                    disabled={processing}
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center justify-center"
+                  >
+                    <FiCheck className="w-4 h-4 mr-2" />
+                    {processing ? 'Approving...' : 'Approve'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </>
+  )
+}
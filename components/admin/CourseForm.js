@@ -4,13 +4,16 @@ import { FiSave, FiX, FiUpload, FiTrash2 } from 'react-icons/fi'
 import Button from '../ui/Button'
 import Input from '../ui/Input'
 import Card from '../ui/Card'
+import PriceListFields from './PriceListFields'
 import toast from 'react-hot-toast'
+import { normalizePriceList } from '../../utils/currency'
 
 export default function CourseForm({ course, onSave, onCancel, isLoading }) {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     price: '',
+    prices: {},
     category: '',
     level: 'Beginner',
     duration: '',
@@ -27,6 +30,7 @@ export default function CourseForm({ course, onSave, onCancel, isLoading }) {
         title: course.title || '',
         description: course.description || '',
         price: course.price || '',
+        prices: course.prices || {},
         category: course.category || '',
         level: course.level || 'Beginner',
         duration: course.duration || '',
@@ -50,6 +54,17 @@ export default function CourseForm({ course, onSave, onCancel, isLoading }) {
     }
   }
 
+  const handlePriceListChange = (currency, value) => {
+    setFormData(prev => ({
+      ...prev,
+      prices: { ...prev.prices, [currency]: value }
+    }))
+
+    if (errors.prices?.[currency]) {
+      setErrors(prev => ({ ...prev, prices: { ...prev.prices, [currency]: null } }))
+    }
+  }
+
   const validateForm = () => {
     const newErrors = {}
     
@@ -68,6 +83,11 @@ export default function CourseForm({ course, onSave, onCancel, isLoading }) {
     if (!formData.category.trim()) {
       newErrors.category = 'Category is required'
     }
+
+    const { errors: priceListErrors } = normalizePriceList(formData.prices)
+    if (Object.keys(priceListErrors).length) {
+      newErrors.prices = priceListErrors
+    }
     
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
@@ -83,7 +103,8 @@ export default function CourseForm({ course, onSave, onCancel, isLoading }) {
     
     const courseData = {
       ...formData,
-      price: parseFloat(formData.price)
+      price: parseFloat(formData.price),
+      prices: normalizePriceList(formData.prices).prices
     }
     
     await onSave(courseData)
@@ -174,6 +195,12 @@ export default function CourseForm({ course, onSave, onCancel, isLoading }) {
                 step="0.01"
                 required
               />
+
+              <PriceListFields
+                prices={formData.prices}
+                errors={errors.prices}
+                onChange={handlePriceListChange}
+              />
               
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-1">
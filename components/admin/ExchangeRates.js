@@ -0,0 +1,287 @@
+import { useState, useEffect, useRef } from 'react'
+import { FiPlus, FiTrash2, FiUpload } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import toast from 'react-hot-toast'
+
+const emptyRate = () => ({
+  baseCurrency: 'USD',
+  quoteCurrency: 'LKR',
+  rate: '',
+  effectiveFrom: new Date().toISOString().slice(0, 10)
+})
+
+export default function ExchangeRates({ adminId }) {
+  const [rates, setRates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [importErrors, setImportErrors] = useState([])
+  const [form, setForm] = useState(emptyRate)
+  const fileInputRef = useRef(null)
+
+  useEffect(() => {
+    fetchRates()
+  }, [])
+
+  const fetchRates = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('exchange_rates')
+        .select('*')
+        .order('effective_from', { ascending: false })
+        .limit(200)
+
+      if (error) throw error
+      setRates(data || [])
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error)
+      toast.error('Failed to load exchange rates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // The newest rate that has already taken effect is the one checkout uses
+  const now = new Date()
+  const activeRateIds = new Set()
+  const seenPairs = new Set()
+  rates.forEach(rate => {
+    const pair = `${rate.base_currency}:${rate.quote_currency}`
+    if (seenPairs.has(pair) || new Date(rate.effective_from) > now) return
+    seenPairs.add(pair)
+    activeRateIds.add(rate.id)
+  })
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+
+    const baseCurrency = form.baseCurrency.trim().toUpperCase()
+    const quoteCurrency = form.quoteCurrency.trim().toUpperCase()
+    const rate = Number(form.rate)
+
+    if (!/^[A-Z]{3}$/.test(baseCurrency) || !/^[A-Z]{3}$/.test(quoteCurrency)) {
+      toast.error('Currencies must be 3-letter codes')
+      return
+    }
+    if (baseCurrency === quoteCurrency) {
+      toast.error('Base and quote currency must differ')
+      return
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      toast.error('Rate must be a positive number')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const { error } = await supabase.from('exchange_rates').insert({
+        base_currency: baseCurrency,
+        quote_currency: quoteCurrency,
+        rate,
+        effective_from: new Date(form.effectiveFrom).toISOString(),
+        source: 'manual',
+        created_by: adminId
+      })
+
+      if (error) {
+        if (error.code === '23505') {
+          toast.error('A rate for this pair and date already exists')
+          return
+        }
+        throw error
+      }
+
+      toast.success('Exchange rate added')
+      setForm(emptyRate())
+      fetchRates()
+    } catch (error) {
+      console.error('Error adding exchange rate:', error)
+      toast.error('Failed to add exchange rate')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (rate) => {
+    if (!confirm(`Delete the ${rate.base_currency}/${rate.quote_currency} rate from ${formatDate(rate.effective_from)}? Payments keep the rate they were charged at.`)) return
+
+    try {
+      const { error } = await supabase.from('exchange_rates').delete().eq('id', rate.id)
+      if (error) throw error
+
+      setRates(prev => prev.filter(r => r.id !== rate.id))
+      toast.success('Exchange rate deleted')
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error)
+      toast.error('Failed to delete exchange rate')
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setImporting(true)
+    setImportErrors([])
+    try {
+      const csv = await file.text()
+      const response = await fetch('/api/exchange-rates/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ csv, adminId })
+      })
+      const result = await response.json()
+
+      if (!response.ok) {
+        setImportErrors(result.errors || [])
+        throw new Error(result.message)
+      }
+
+      toast.success(result.message)
+      fetchRates()
+    } catch (error) {
+      console.error('Error importing exchange rates:', error)
+      toast.error(error.message || 'Failed to import exchange rates')
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const formatDate = (date) => new Date(date).toLocaleDateString()
+
+  return (
+    <div className="p-4 bg-dark-700 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-white">Exchange Rates</h4>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={importing}
+          className="btn-secondary flex items-center space-x-2 text-sm"
+        >
+          <FiUpload className="w-4 h-4" />
+          <span>{importing ? 'Importing...' : 'Import CSV'}</span>
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      <p className="text-sm text-gray-400 mb-4">
+        Card payments are converted from course prices with the latest rate in effect.
+        CSV columns: <span className="font-mono">base_currency,quote_currency,rate,effective_from</span>
+      </p>
+
+      {importErrors.length > 0 && (
+        <div className="mb-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+          <p className="font-medium mb-1">Nothing was imported:</p>
+          <ul className="list-disc list-inside">
+            {importErrors.map(error => (
+              <li key={error.line}>Line {error.line}: {error.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        <input
+          type="text"
+          value={form.baseCurrency}
+          onChange={(e) => setForm({ ...form, baseCurrency: e.target.value })}
+          placeholder="Base (USD)"
+          maxLength={3}
+          className="input w-full uppercase"
+        />
+        <input
+          type="text"
+          value={form.quoteCurrency}
+          onChange={(e) => setForm({ ...form, quoteCurrency: e.target.value })}
+          placeholder="Quote (LKR)"
+          maxLength={3}
+          className="input w-full uppercase"
+        />
+        <input
+          type="number"
+          step="any"
+          min="0"
+          value={form.rate}
+          onChange={(e) => setForm({ ...form, rate: e.target.value })}
+          placeholder="Rate"
+          className="input w-full"
+        />
+        <input
+          type="date"
+          value={form.effectiveFrom}
+          onChange={(e) => setForm({ ...form, effectiveFrom: e.target.value })}
+          className="input w-full"
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          <FiPlus className="w-4 h-4" />
+          <span>{saving ? 'Adding...' : 'Add Rate'}</span>
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="spinner"></div>
+        </div>
+      ) : rates.length === 0 ? (
+        <p className="text-sm text-yellow-400">
+          No exchange rates yet. Card checkout is unavailable until a USD/LKR rate is added.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table-auto">
+            <thead>
+              <tr>
+                <th>Pair</th>
+                <th>Rate</th>
+                <th>Effective From</th>
+                <th>Source</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => (
+                <tr key={rate.id}>
+                  <td className="text-white font-mono">{rate.base_currency}/{rate.quote_currency}</td>
+                  <td className="text-gray-300">
+                    1 {rate.base_currency} = {Number(rate.rate).toLocaleString()} {rate.quote_currency}
+                  </td>
+                  <td className="text-gray-400 text-sm">{formatDate(rate.effective_from)}</td>
+                  <td className="text-gray-400 text-sm uppercase">{rate.source}</td>
+                  <td>
+                    {activeRateIds.has(rate.id) ? (
+                      <span className="badge badge-success">current</span>
+                    ) : new Date(rate.effective_from) > now ? (
+                      <span className="badge badge-warning">scheduled</span>
+                    ) : (
+                      <span className="badge badge-primary">superseded</span>
+                    )}
+                  </td>
+                  <td>
+                    <button
+                      onClick={() => handleDelete(rate)}
+                      className="text-red-400 hover:text-red-300"
+                      title="Delete"
+                    >
+                      <FiTrash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react'
+import { FiPlus, FiTrash2 } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import toast from 'react-hot-toast'
+
+const emptyPlan = () => ({
+  name: '',
+  installmentCount: 3,
+  intervalMonths: 1,
+  minCoursePrice: ''
+})
+
+export default function InstallmentPlans({ adminId }) {
+  const [plans, setPlans] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(emptyPlan)
+
+  useEffect(() => {
+    fetchPlans()
+  }, [])
+
+  const fetchPlans = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('installment_plans')
+        .select('*, installment_schedules (id)')
+        .order('installment_count', { ascending: true })
+
+      if (error) throw error
+      setPlans(data || [])
+    } catch (error) {
+      console.error('Error fetching installment plans:', error)
+      toast.error('Failed to load installment plans')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+
+    const installmentCount = Number(form.installmentCount)
+    const intervalMonths = Number(form.intervalMonths)
+    const minCoursePrice = Number(form.minCoursePrice || 0)
+
+    if (!form.name.trim()) {
+      toast.error('Plan name is required')
+      return
+    }
+    if (!Number.isInteger(installmentCount) || installmentCount < 2 || installmentCount > 12) {
+      toast.error('Installments must be between 2 and 12')
+      return
+    }
+    if (!Number.isInteger(intervalMonths) || intervalMonths < 1 || intervalMonths > 6) {
+      toast.error('Interval must be between 1 and 6 months')
+      return
+    }
+    if (!Number.isFinite(minCoursePrice) || minCoursePrice < 0) {
+      toast.error('Minimum course price cannot be negative')
+      return
+    }
+
+    setSaving(true)
+    try {
+      const { error } = await supabase.from('installment_plans').insert({
+        name: form.name.trim(),
+        installment_count: installmentCount,
+        interval_months: intervalMonths,
+        min_course_price: minCoursePrice,
+        active: true,
+        created_by: adminId
+      })
+
+      if (error) throw error
+
+      toast.success('Installment plan added')
+      setForm(emptyPlan())
+      fetchPlans()
+    } catch (error) {
+      console.error('Error adding installment plan:', error)
+      toast.error('Failed to add installment plan')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (plan) => {
+    try {
+      const { error } = await supabase
+        .from('installment_plans')
+        .update({ active: !plan.active, updated_at: new Date().toISOString() })
+        .eq('id', plan.id)
+
+      if (error) throw error
+
+      setPlans(prev => prev.map(p => p.id === plan.id ? { ...p, active: !plan.active } : p))
+      toast.success(plan.active ? 'Plan hidden from checkout' : 'Plan offered at checkout')
+    } catch (error) {
+      console.error('Error updating installment plan:', error)
+      toast.error('Failed to update installment plan')
+    }
+  }
+
+  const handleDelete = async (plan) => {
+    if (!confirm(`Delete the "${plan.name}" plan?`)) return
+
+    try {
+      const { error } = await supabase.from('installment_plans').delete().eq('id', plan.id)
+      if (error) throw error
+
+      setPlans(prev => prev.filter(p => p.id !== plan.id))
+      toast.success('Installment plan deleted')
+    } catch (error) {
+      console.error('Error deleting installment plan:', error)
+      toast.error('Failed to delete installment plan')
+    }
+  }
+
+  return (
+    <div className="p-4 bg-dark-700 rounded-lg">
+      <h4 className="font-semibold text-white mb-2">Installment Plans</h4>
+      <p className="text-sm text-gray-400 mb-4">
+        Let students split the price of a course into card or PayHere payments.
+        Access starts with the first payment and is paused when a later one is overdue.
+      </p>
+
+      <form onSubmit={handleAdd} className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        <input
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Plan name"
+          className="input w-full"
+        />
+        <input
+          type="number"
+          min="2"
+          max="12"
+          value={form.installmentCount}
+          onChange={(e) => setForm({ ...form, installmentCount: e.target.value })}
+          placeholder="Installments"
+          className="input w-full"
+        />
+        <select
+          value={form.intervalMonths}
+          onChange={(e) => setForm({ ...form, intervalMonths: e.target.value })}
+          className="input w-full"
+        >
+          {[1, 2, 3, 6].map(months => (
+            <option key={months} value={months}>
+              {months === 1 ? 'Monthly' : `Every ${months} months`}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={form.minCoursePrice}
+          onChange={(e) => setForm({ ...form, minCoursePrice: e.target.value })}
+          placeholder="Min. course price (LKR)"
+          className="input w-full"
+        />
+        <button
+          type="submit"
+          disabled={saving}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          <FiPlus className="w-4 h-4" />
+          <span>{saving ? 'Adding...' : 'Add Plan'}</span>
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="spinner"></div>
+        </div>
+      ) : plans.length === 0 ? (
+        <p className="text-sm text-gray-400">No installment plans yet. Courses can only be paid in full.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table-auto">
+            <thead>
+              <tr>
+                <th>Plan</th>
+                <th>Installments</th>
+                <th>Interval</th>
+                <th>Min. Price</th>
+                <th>Schedules</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map(plan => {
+                const scheduleCount = plan.installment_schedules?.length || 0
+                return (
+                  <tr key={plan.id}>
+                    <td className="text-white">{plan.name}</td>
+                    <td className="text-gray-300">{plan.installment_count}</td>
+                    <td className="text-gray-400 text-sm">
+                      {plan.interval_months === 1 ? 'Monthly' : `Every ${plan.interval_months} months`}
+                    </td>
+                    <td className="text-gray-400 text-sm">LKR {Number(plan.min_course_price).toLocaleString()}</td>
+                    <td className="text-gray-400 text-sm">{scheduleCount}</td>
+                    <td>
+                      <button onClick={() => handleToggle(plan)} title={plan.active ? 'Deactivate' : 'Activate'}>
+                        <span className={`badge ${plan.active ? 'badge-success' : 'badge-warning'}`}>
+                          {plan.active ? 'active' : 'inactive'}
+                        </span>
+                      </button>
+                    </td>
+                    <td>
+                      {/* Plans in use stay for the schedules that reference them */}
+                      {scheduleCount === 0 && (
+                        <button
+                          onClick={() => handleDelete(plan)}
+                          className="text-red-400 hover:text-red-300"
+                          title="Delete"
+                        >
+                          <FiTrash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
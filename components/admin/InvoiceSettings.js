@@ -0,0 +1,291 @@
+import { useState, useEffect } from 'react'
+import { FiPlus, FiTrash2, FiSave } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import toast from 'react-hot-toast'
+
+// Mirrors SELLER_SETTINGS_KEY in lib/invoicing
+const SELLER_SETTINGS_KEY = 'invoice_seller'
+
+const sellerFields = [
+  { key: 'name', label: 'Business Name' },
+  { key: 'address', label: 'Address' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'businessRegistrationNumber', label: 'Business Registration No.' },
+  { key: 'vatNumber', label: 'VAT Registration No.' },
+  { key: 'ssclNumber', label: 'SSCL Registration No.' }
+]
+
+const emptyRate = () => ({
+  name: '',
+  rate: '',
+  compound: false,
+  sortOrder: 0
+})
+
+export default function InvoiceSettings() {
+  const [seller, setSeller] = useState({})
+  const [taxRates, setTaxRates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [savingSeller, setSavingSeller] = useState(false)
+  const [savingRate, setSavingRate] = useState(false)
+  const [form, setForm] = useState(emptyRate)
+
+  useEffect(() => {
+    fetchSettings()
+  }, [])
+
+  const fetchSettings = async () => {
+    try {
+      const [sellerResult, ratesResult] = await Promise.all([
+        supabase.from('settings').select('value').eq('key', SELLER_SETTINGS_KEY).maybeSingle(),
+        supabase.from('tax_rates').select('*').order('sort_order', { ascending: true })
+      ])
+
+      if (sellerResult.error) throw sellerResult.error
+      if (ratesResult.error) throw ratesResult.error
+
+      setSeller(sellerResult.data?.value || {})
+      setTaxRates(ratesResult.data || [])
+    } catch (error) {
+      console.error('Error fetching invoice settings:', error)
+      toast.error('Failed to load invoice settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSaveSeller = async (e) => {
+    e.preventDefault()
+
+    setSavingSeller(true)
+    try {
+      const value = Object.fromEntries(
+        sellerFields.map(({ key }) => [key, (seller[key] || '').trim()])
+      )
+
+      const { error } = await supabase.from('settings').upsert({
+        key: SELLER_SETTINGS_KEY,
+        value,
+        updated_at: new Date().toISOString()
+      })
+
+      if (error) throw error
+      toast.success('Seller details saved')
+    } catch (error) {
+      console.error('Error saving seller details:', error)
+      toast.error('Failed to save seller details')
+    } finally {
+      setSavingSeller(false)
+    }
+  }
+
+  const handleAddRate = async (e) => {
+    e.preventDefault()
+
+    const rate = Number(form.rate)
+
+    if (!form.name.trim()) {
+      toast.error('Tax name is required')
+      return
+    }
+    if (!Number.isFinite(rate) || rate < 0 || rate >= 100) {
+      toast.error('Rate must be a percentage between 0 and 100')
+      return
+    }
+
+    setSavingRate(true)
+    try {
+      const { error } = await supabase.from('tax_rates').insert({
+        name: form.name.trim(),
+        rate,
+        compound: form.compound,
+        sort_order: Number(form.sortOrder) || 0,
+        active: true
+      })
+
+      if (error) throw error
+
+      toast.success('Tax rate added')
+      setForm(emptyRate())
+      fetchSettings()
+    } catch (error) {
+      console.error('Error adding tax rate:', error)
+      toast.error('Failed to add tax rate')
+    } finally {
+      setSavingRate(false)
+    }
+  }
+
+  const handleToggle = async (taxRate) => {
+    try {
+      const { error } = await supabase
+        .from('tax_rates')
+        .update({ active: !taxRate.active })
+        .eq('id', taxRate.id)
+
+      if (error) throw error
+
+      setTaxRates(prev => prev.map(r => r.id === taxRate.id ? { ...r, active: !taxRate.active } : r))
+      toast.success(taxRate.active ? 'Tax removed from new invoices' : 'Tax applied to new invoices')
+    } catch (error) {
+      console.error('Error updating tax rate:', error)
+      toast.error('Failed to update tax rate')
+    }
+  }
+
+  // Issued invoices keep a copy of their tax lines, so rates can be deleted
+  const handleDelete = async (taxRate) => {
+    if (!confirm(`Delete the ${taxRate.name} tax rate?`)) return
+
+    try {
+      const { error } = await supabase.from('tax_rates').delete().eq('id', taxRate.id)
+      if (error) throw error
+
+      setTaxRates(prev => prev.filter(r => r.id !== taxRate.id))
+      toast.success('Tax rate deleted')
+    } catch (error) {
+      console.error('Error deleting tax rate:', error)
+      toast.error('Failed to delete tax rate')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="p-4 bg-dark-700 rounded-lg">
+        <h4 className="font-semibold text-white mb-2">Seller Details</h4>
+        <p className="text-sm text-gray-400 mb-4">
+          Printed on every new invoice and credit note. Documents already issued keep the details they were issued with.
+        </p>
+
+        <form onSubmit={handleSaveSeller} className="space-y-4">
+          <div className="grid md:grid-cols-2 gap-4">
+            {sellerFields.map(field => (
+              <div key={field.key}>
+                <label className="block text-sm font-medium text-gray-400 mb-2">{field.label}</label>
+                <input
+                  type={field.key === 'email' ? 'email' : 'text'}
+                  value={seller[field.key] || ''}
+                  onChange={(e) => setSeller({ ...seller, [field.key]: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={savingSeller}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <FiSave className="w-4 h-4" />
+            <span>{savingSeller ? 'Saving...' : 'Save Seller Details'}</span>
+          </button>
+        </form>
+      </div>
+
+      <div className="p-4 bg-dark-700 rounded-lg">
+        <h4 className="font-semibold text-white mb-2">Tax Rates</h4>
+        <p className="text-sm text-gray-400 mb-4">
+          Course prices include tax; active rates are shown as separate lines on each invoice.
+          A compound tax is charged on the subtotal plus the taxes listed before it.
+        </p>
+
+        <form onSubmit={handleAddRate} className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name (e.g. VAT)"
+            className="input w-full"
+          />
+          <input
+            type="number"
+            min="0"
+            max="99.999"
+            step="0.001"
+            value={form.rate}
+            onChange={(e) => setForm({ ...form, rate: e.target.value })}
+            placeholder="Rate %"
+            className="input w-full"
+          />
+          <input
+            type="number"
+            value={form.sortOrder}
+            onChange={(e) => setForm({ ...form, sortOrder: e.target.value })}
+            placeholder="Order"
+            className="input w-full"
+          />
+          <label className="flex items-center space-x-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.compound}
+              onChange={(e) => setForm({ ...form, compound: e.target.checked })}
+            />
+            <span>Compound</span>
+          </label>
+          <button
+            type="submit"
+            disabled={savingRate}
+            className="btn-primary flex items-center justify-center space-x-2"
+          >
+            <FiPlus className="w-4 h-4" />
+            <span>{savingRate ? 'Adding...' : 'Add Rate'}</span>
+          </button>
+        </form>
+
+        {taxRates.length === 0 ? (
+          <p className="text-sm text-gray-400">No tax rates yet. Invoices show the full amount with no tax lines.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table-auto">
+              <thead>
+                <tr>
+                  <th>Order</th>
+                  <th>Tax</th>
+                  <th>Rate</th>
+                  <th>Compound</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {taxRates.map(taxRate => (
+                  <tr key={taxRate.id}>
+                    <td className="text-gray-400 text-sm">{taxRate.sort_order}</td>
+                    <td className="text-white">{taxRate.name}</td>
+                    <td className="text-gray-300">{Number(taxRate.rate)}%</td>
+                    <td className="text-gray-400 text-sm">{taxRate.compound ? 'Yes' : 'No'}</td>
+                    <td>
+                      <button onClick={() => handleToggle(taxRate)} title={taxRate.active ? 'Deactivate' : 'Activate'}>
+                        <span className={`badge ${taxRate.active ? 'badge-success' : 'badge-warning'}`}>
+                          {taxRate.active ? 'active' : 'inactive'}
+                        </span>
+                      </button>
+                    </td>
+                    <td>
+                      <button
+                        onClick={() => handleDelete(taxRate)}
+                        className="text-red-400 hover:text-red-300"
+                        title="Delete"
+                      >
+                        <FiTrash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
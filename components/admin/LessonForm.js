@@ -1,13 +1,15 @@
 import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
-import { FiSave, FiX, FiPlay, FiBook, FiUpload } from 'react-icons/fi'
+import { FiSave, FiX, FiPlay, FiBook, FiUpload, FiHelpCircle } from 'react-icons/fi'
 import Button from '../ui/Button'
 import Input from '../ui/Input'
 import Card from '../ui/Card'
 import VideoUpload from '../ui/VideoUpload'
+import QuizEditor from './QuizEditor'
+import MathPreview from './MathPreview'
 import toast from 'react-hot-toast'
 
-export default function LessonForm({ lesson, courseId, onSave, onCancel, isLoading }) {
+export default function LessonForm({ lesson, courseId, adminId, onSave, onCancel, isLoading }) {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -60,7 +62,8 @@ export default function LessonForm({ lesson, courseId, onSave, onCancel, isLoadi
       newErrors.title = 'Title is required'
     }
     
-    if (!formData.content.trim()) {
+    // Quiz content is optional instructions; the questions are saved separately
+    if (formData.type !== 'quiz' && !formData.content.trim()) {
       newErrors.content = 'Content is required'
     }
     
@@ -101,7 +104,8 @@ export default function LessonForm({ lesson, courseId, onSave, onCancel, isLoadi
 
   const lessonTypes = [
     { value: 'video', label: 'Video', icon: FiPlay },
-    { value: 'article', label: 'Article', icon: FiBook }
+    { value: 'article', label: 'Article', icon: FiBook },
+    { value: 'quiz', label: 'Quiz', icon: FiHelpCircle }
   ]
 
   const handleVideoUpload = (videoData) => {
@@ -198,7 +202,7 @@ export default function LessonForm({ lesson, courseId, onSave, onCancel, isLoadi
                 <label className="block text-sm font-medium text-gray-300 mb-2">
                   Lesson Type
                 </label>
-                <div className="grid grid-cols-2 gap-3">
+                <div className="grid grid-cols-3 gap-3">
                   {lessonTypes.map((type) => {
                     const Icon = type.icon
                     return (
@@ -353,6 +357,29 @@ export default function LessonForm({ lesson, courseId, onSave, onCancel, isLoadi
                   </div>
                 )}
               </div>
+            ) : formData.type === 'quiz' ? (
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">
+                    Instructions
+                  </label>
+                  <textarea
+                    name="content"
+                    value={formData.content}
+                    onChange={handleChange}
+                    rows={3}
+                    className="w-full px-4 py-2.5 bg-dark-700 border border-dark-600 text-white placeholder-gray-400 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-500/20 transition-all duration-200 focus:outline-none"
+                    placeholder="Optional instructions shown above the questions"
+                  />
+                </div>
+                {lesson?.id && lesson.type === 'quiz' ? (
+                  <QuizEditor lessonId={lesson.id} adminId={adminId} />
+                ) : (
+                  <p className="text-sm text-gray-400">
+                    Save the lesson first, then add its questions here.
+                  </p>
+                )}
+              </div>
             ) : (
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-1">
@@ -377,8 +404,10 @@ export default function LessonForm({ lesson, courseId, onSave, onCancel, isLoadi
                   <p className="text-sm text-red-400 mt-1">{errors.content}</p>
                 )}
                 <p className="text-sm text-gray-400 mt-1">
-                  You can use basic HTML tags for formatting (p, h1-h6, strong, em, ul, ol, li).
+                  You can use basic HTML tags for formatting (p, h1-h6, strong, em, ul, ol, li)
+                  and LaTeX formulas: $...$ inline or $$...$$ displayed.
                 </p>
+                <MathPreview text={formData.content} html />
               </div>
             )}
           </div>
@@ -0,0 +1,22 @@
+import MathText from '../ui/MathText'
+import { hasMath } from '../../utils/math'
+
+/**
+ * Live preview under a field that accepts `$...$` formulas.
+ * Renders nothing until the text contains one.
+ */
+export default function MathPreview({ text, html = false }) {
+  if (!hasMath(text)) return null
+
+  return (
+    <div className="mt-2 rounded-lg bg-dark-800 border border-dark-600 p-3">
+      <p className="text-xs text-gray-500 mb-1">Preview</p>
+      <MathText
+        as="div"
+        html={html}
+        text={text}
+        className={`text-gray-300 ${html ? 'prose prose-invert max-w-none' : 'whitespace-pre-line'}`}
+      />
+    </div>
+  )
+}
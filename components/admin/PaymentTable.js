@@ -56,6 +56,15 @@ export default function PaymentTable({ payments = [], onApprove, onReject, onVie
     }
   }
 
+  const getScheduleBadgeVariant = (status) => {
+    switch (status) {
+      case 'active': return 'success'
+      case 'completed': return 'success'
+      case 'suspended': return 'danger'
+      default: return 'warning'
+    }
+  }
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A'
     return new Date(dateString).toLocaleString()
@@ -141,6 +150,9 @@ export default function PaymentTable({ payments = [], onApprove, onReject, onVie
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
                   Method
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
+                  Plan
+                </th>
                 <th 
                   className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider cursor-pointer hover:text-white"
                   onClick={() => handleSort('created_at')}
@@ -194,6 +206,20 @@ export default function PaymentTable({ payments = [], onApprove, onReject, onVie
                       {payment.payment_method || 'Unknown'}
                     </div>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {payment.installments ? (
+                      <div className="space-y-1">
+                        <div className="text-sm text-white">
+                          Installment {payment.installments.installment_number}/{payment.installments.installment_schedules?.installment_count}
+                        </div>
+                        <Badge variant={getScheduleBadgeVariant(payment.installments.installment_schedules?.status)}>
+                          {payment.installments.installment_schedules?.status}
+                        </Badge>
+                      </div>
+                    ) : (
+                      <div className="text-sm text-gray-400">Full</div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
                     {formatDate(payment.created_at)}
                   </td>
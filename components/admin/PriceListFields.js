@@ -0,0 +1,45 @@
+import { SUPPORTED_CURRENCIES, CURRENCY } from '../../utils/constants'
+
+const LISTED_CURRENCIES = Object.keys(SUPPORTED_CURRENCIES).filter(code => code !== CURRENCY.CODE)
+
+/**
+ * Optional course prices in currencies other than LKR. Visitors in a
+ * listed currency see and are charged that price; the rest see LKR.
+ */
+export default function PriceListFields({ prices = {}, errors = {}, onChange, disabled = false }) {
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-300">
+        Prices in other currencies
+      </label>
+      <div className="grid grid-cols-2 gap-3">
+        {LISTED_CURRENCIES.map(code => (
+          <div key={code}>
+            <div className="relative">
+              <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500 text-sm">
+                {code}
+              </span>
+              <input
+                type="number"
+                value={prices[code] ?? ''}
+                onChange={(e) => onChange(code, e.target.value)}
+                className={`input w-full pl-14 ${errors[code] ? 'border-red-500' : ''}`}
+                placeholder="Not listed"
+                min="0"
+                step="0.01"
+                disabled={disabled}
+                aria-label={`Price in ${SUPPORTED_CURRENCIES[code].label}`}
+              />
+            </div>
+            {errors[code] && (
+              <p className="text-sm text-red-400 mt-1">{errors[code]}</p>
+            )}
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        Leave a currency empty to show visitors who use it the LKR price.
+      </p>
+    </div>
+  )
+}
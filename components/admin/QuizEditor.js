@@ -0,0 +1,485 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { FiPlus, FiTrash2, FiSave, FiArrowUp, FiArrowDown } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import { getQuizError } from '../../utils/quiz'
+import { generateProblem } from '../../utils/problems'
+import MathPreview from './MathPreview'
+import MathText from '../ui/MathText'
+import { QUIZ } from '../../utils/constants'
+import toast from 'react-hot-toast'
+
+const { QUESTION_TYPES } = QUIZ
+
+const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.SINGLE]: 'Multiple choice',
+  [QUESTION_TYPES.MULTIPLE]: 'Multi-select',
+  [QUESTION_TYPES.NUMERIC]: 'Numeric',
+  [QUESTION_TYPES.TEXT]: 'Short text',
+  [QUESTION_TYPES.EXPRESSION]: 'Expression',
+  [QUESTION_TYPES.PROBLEM]: 'Generated problem'
+}
+
+const makeId = () => Math.random().toString(36).slice(2, 10)
+
+const emptyAnswer = (type) => {
+  if (type === QUESTION_TYPES.NUMERIC) return { value: '', tolerance: 0 }
+  if (type === QUESTION_TYPES.TEXT) return { accepted: [], caseSensitive: false }
+  if (type === QUESTION_TYPES.EXPRESSION) {
+    return { expression: '', tolerance: 0, unit: '', requireUnit: true, requireSimplified: false, partialCredit: 0.5 }
+  }
+  if (type === QUESTION_TYPES.PROBLEM) return { templateId: '' }
+  return { options: [] }
+}
+
+const emptyQuestion = (type = QUESTION_TYPES.SINGLE) => ({
+  key: makeId(),
+  type,
+  prompt: '',
+  options: [{ id: makeId(), text: '' }, { id: makeId(), text: '' }],
+  answer: emptyAnswer(type),
+  points: 1,
+  explanation: ''
+})
+
+// A sample with fixed numbers; each student gets their own
+const previewProblem = (template) => {
+  try {
+    return generateProblem(template, 'preview')
+  } catch {
+    return null
+  }
+}
+
+function ProblemPicker({ templates, templateId, onChange }) {
+  const template = templates.find(item => item.id === templateId)
+  const sample = template && previewProblem(template)
+
+  return (
+    <div className="space-y-2">
+      <select
+        value={templateId || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className="input w-full"
+      >
+        <option value="">Choose a problem template</option>
+        {templates.map(item => (
+          <option key={item.id} value={item.id}>{item.title}</option>
+        ))}
+      </select>
+      {!templates.length && (
+        <p className="text-xs text-gray-500">Create templates under Admin → Problems first.</p>
+      )}
+      {sample && (
+        <div className="rounded-lg bg-dark-700 p-3 text-sm">
+          <p className="text-xs text-gray-500 mb-1">Sample; each student gets their own numbers</p>
+          <MathText as="p" text={sample.prompt} className="text-gray-300 whitespace-pre-line" />
+          <p className="text-gray-400 mt-1">
+            Answer: <span className="font-mono">{sample.answer.expression}</span> {sample.answer.unit || ''}
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Question editor for a saved quiz lesson. Loads and saves its own
+ * questions; answers never leave the admin pages and the server.
+ */
+export default function QuizEditor({ lessonId, adminId }) {
+  const [questions, setQuestions] = useState([])
+  const [templates, setTemplates] = useState([])
+  const [passPercentage, setPassPercentage] = useState(QUIZ.DEFAULT_PASS_PERCENTAGE)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (lessonId) fetchQuiz()
+  }, [lessonId])
+
+  const fetchQuiz = async () => {
+    setLoading(true)
+    try {
+      const [questionsResult, lessonResult, templatesResult] = await Promise.all([
+        supabase
+          .from('quiz_questions')
+          .select('*')
+          .eq('lesson_id', lessonId)
+          .order('position', { ascending: true }),
+        supabase
+          .from('lessons')
+          .select('quiz_pass_percentage')
+          .eq('id', lessonId)
+          .single(),
+        supabase
+          .from('problem_templates')
+          .select('*')
+          .order('title', { ascending: true })
+      ])
+
+      if (questionsResult.error) throw questionsResult.error
+
+      setQuestions((questionsResult.data || []).map(question => ({
+        ...question,
+        key: question.id,
+        explanation: question.explanation || ''
+      })))
+      setPassPercentage(lessonResult.data?.quiz_pass_percentage || QUIZ.DEFAULT_PASS_PERCENTAGE)
+      setTemplates(templatesResult.data || [])
+    } catch (error) {
+      console.error('Error loading quiz:', error)
+      toast.error('Failed to load quiz questions')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const updateQuestion = (index, changes) => {
+    setQuestions(current => current.map((question, i) => i === index ? { ...question, ...changes } : question))
+  }
+
+  const changeType = (index, type) => {
+    updateQuestion(index, { type, answer: emptyAnswer(type) })
+  }
+
+  const moveQuestion = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= questions.length) return
+
+    const reordered = [...questions]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    setQuestions(reordered)
+  }
+
+  const updateOption = (index, optionId, text) => {
+    const question = questions[index]
+    updateQuestion(index, {
+      options: question.options.map(option => option.id === optionId ? { ...option, text } : option)
+    })
+  }
+
+  const removeOption = (index, optionId) => {
+    const question = questions[index]
+    updateQuestion(index, {
+      options: question.options.filter(option => option.id !== optionId),
+      answer: { options: question.answer.options.filter(id => id !== optionId) }
+    })
+  }
+
+  const toggleCorrect = (index, optionId) => {
+    const question = questions[index]
+    const correct = question.answer.options || []
+
+    if (question.type === QUESTION_TYPES.SINGLE) {
+      updateQuestion(index, { answer: { options: [optionId] } })
+      return
+    }
+
+    updateQuestion(index, {
+      answer: {
+        options: correct.includes(optionId) ? correct.filter(id => id !== optionId) : [...correct, optionId]
+      }
+    })
+  }
+
+  const handleSave = async () => {
+    const quizError = getQuizError(questions)
+    if (quizError) {
+      toast.error(quizError)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await axios.put('/api/quizzes/questions', {
+        lessonId,
+        adminId,
+        passPercentage: parseInt(passPercentage),
+        questions: questions.map(({ key, ...question }) => question)
+      })
+
+      setQuestions(response.data.questions.map(question => ({
+        ...question,
+        key: question.id,
+        explanation: question.explanation || ''
+      })))
+      toast.success('Quiz saved')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save quiz')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-3">
+        <label className="text-sm font-medium text-gray-300">Pass mark (%)</label>
+        <input
+          type="number"
+          min="1"
+          max="100"
+          value={passPercentage}
+          onChange={(e) => setPassPercentage(e.target.value)}
+          className="input w-24"
+        />
+      </div>
+
+      {questions.map((question, index) => (
+        <div key={question.key} className="bg-dark-800 rounded-lg p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-400">Question {index + 1}</span>
+            <div className="flex items-center space-x-2">
+              <button
+                type="button"
+                onClick={() => moveQuestion(index, -1)}
+                disabled={index === 0}
+                className="text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                <FiArrowUp />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveQuestion(index, 1)}
+                disabled={index === questions.length - 1}
+                className="text-gray-400 hover:text-white disabled:opacity-50"
+              >
+                <FiArrowDown />
+              </button>
+              <button
+                type="button"
+                onClick={() => setQuestions(questions.filter((_, i) => i !== index))}
+                className="text-red-400 hover:text-red-300"
+              >
+                <FiTrash2 />
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <select
+              value={question.type}
+              onChange={(e) => changeType(index, e.target.value)}
+              className="input col-span-2"
+            >
+              {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={question.points}
+              onChange={(e) => updateQuestion(index, { points: parseInt(e.target.value) || '' })}
+              className="input"
+              placeholder="Points"
+            />
+          </div>
+
+          <textarea
+            value={question.prompt}
+            onChange={(e) => updateQuestion(index, { prompt: e.target.value })}
+            rows={2}
+            className="input w-full"
+            placeholder={question.type === QUESTION_TYPES.PROBLEM ? 'Instructions shown above the problem (optional)' : 'Question'}
+          />
+          <MathPreview text={question.prompt} />
+
+          {question.type === QUESTION_TYPES.PROBLEM && (
+            <ProblemPicker
+              templates={templates}
+              templateId={question.answer.templateId}
+              onChange={(templateId) => updateQuestion(index, { answer: { templateId } })}
+            />
+          )}
+
+          {(question.type === QUESTION_TYPES.SINGLE || question.type === QUESTION_TYPES.MULTIPLE) && (
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500">
+                {question.type === QUESTION_TYPES.SINGLE ? 'Select the correct option' : 'Tick every correct option'}
+              </p>
+              {question.options.map(option => (
+                <div key={option.id} className="flex items-center space-x-2">
+                  <input
+                    type={question.type === QUESTION_TYPES.SINGLE ? 'radio' : 'checkbox'}
+                    checked={(question.answer.options || []).includes(option.id)}
+                    onChange={() => toggleCorrect(index, option.id)}
+                    className="w-4 h-4"
+                  />
+                  <input
+                    type="text"
+                    value={option.text}
+                    onChange={(e) => updateOption(index, option.id, e.target.value)}
+                    className="input flex-1"
+                    placeholder="Option"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeOption(index, option.id)}
+                    disabled={question.options.length <= 2}
+                    className="text-gray-400 hover:text-red-400 disabled:opacity-50"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              ))}
+              {question.options.length < QUIZ.MAX_OPTIONS && (
+                <button
+                  type="button"
+                  onClick={() => updateQuestion(index, { options: [...question.options, { id: makeId(), text: '' }] })}
+                  className="btn-ghost text-sm flex items-center space-x-1"
+                >
+                  <FiPlus className="w-4 h-4" />
+                  <span>Add option</span>
+                </button>
+              )}
+            </div>
+          )}
+
+          {question.type === QUESTION_TYPES.NUMERIC && (
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="number"
+                step="any"
+                value={question.answer.value}
+                onChange={(e) => updateQuestion(index, { answer: { ...question.answer, value: e.target.value } })}
+                className="input"
+                placeholder="Correct answer"
+              />
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={question.answer.tolerance}
+                onChange={(e) => updateQuestion(index, { answer: { ...question.answer, tolerance: e.target.value } })}
+                className="input"
+                placeholder="Tolerance (±)"
+              />
+            </div>
+          )}
+
+          {question.type === QUESTION_TYPES.TEXT && (
+            <div className="space-y-2">
+              <textarea
+                value={(question.answer.accepted || []).join('\n')}
+                onChange={(e) => updateQuestion(index, { answer: { ...question.answer, accepted: e.target.value.split('\n') } })}
+                rows={2}
+                className="input w-full"
+                placeholder="Accepted answers, one per line"
+              />
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={Boolean(question.answer.caseSensitive)}
+                  onChange={(e) => updateQuestion(index, { answer: { ...question.answer, caseSensitive: e.target.checked } })}
+                  className="w-4 h-4"
+                />
+                <span className="text-sm text-gray-300">Case sensitive</span>
+              </label>
+            </div>
+          )}
+
+          {question.type === QUESTION_TYPES.EXPRESSION && (
+            <div className="space-y-2">
+              <input
+                type="text"
+                value={question.answer.expression}
+                onChange={(e) => updateQuestion(index, { answer: { ...question.answer, expression: e.target.value } })}
+                className="input w-full font-mono"
+                placeholder="Correct expression, e.g. 2(x+1) or sqrt(3)/2"
+              />
+              <div className="grid grid-cols-2 gap-3">
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={question.answer.tolerance}
+                  onChange={(e) => updateQuestion(index, { answer: { ...question.answer, tolerance: e.target.value } })}
+                  className="input"
+                  placeholder="Tolerance (±)"
+                />
+                <input
+                  type="text"
+                  value={question.answer.unit || ''}
+                  onChange={(e) => updateQuestion(index, { answer: { ...question.answer, unit: e.target.value } })}
+                  className="input"
+                  placeholder="Unit, e.g. m/s^2 (optional)"
+                />
+              </div>
+              {question.answer.unit && (
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={question.answer.requireUnit !== false}
+                    onChange={(e) => updateQuestion(index, { answer: { ...question.answer, requireUnit: e.target.checked } })}
+                    className="w-4 h-4"
+                  />
+                  <span className="text-sm text-gray-300">Students must include the unit</span>
+                </label>
+              )}
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={Boolean(question.answer.requireSimplified)}
+                  onChange={(e) => updateQuestion(index, { answer: { ...question.answer, requireSimplified: e.target.checked } })}
+                  className="w-4 h-4"
+                />
+                <span className="text-sm text-gray-300">Require simplified form; unsimplified answers earn</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={Math.round((question.answer.partialCredit ?? 0.5) * 100)}
+                  onChange={(e) => updateQuestion(index, { answer: { ...question.answer, partialCredit: Number(e.target.value) / 100 } })}
+                  disabled={!question.answer.requireSimplified}
+                  className="input w-20"
+                />
+                <span className="text-sm text-gray-300">%</span>
+              </div>
+            </div>
+          )}
+
+          <textarea
+            value={question.explanation}
+            onChange={(e) => updateQuestion(index, { explanation: e.target.value })}
+            rows={2}
+            className="input w-full"
+            placeholder={question.type === QUESTION_TYPES.PROBLEM
+              ? 'Explanation shown after answering, when the template has no worked solution (optional)'
+              : 'Explanation shown after answering (optional)'}
+          />
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={() => setQuestions([...questions, emptyQuestion()])}
+          disabled={questions.length >= QUIZ.MAX_QUESTIONS}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <FiPlus className="w-4 h-4" />
+          <span>Add Question</span>
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="btn-primary flex items-center space-x-2"
+        >
+          <FiSave className="w-4 h-4" />
+          <span>{saving ? 'Saving...' : 'Save Quiz'}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { FiX, FiCheck, FiRotateCcw } from 'react-icons/fi'
+import toast from 'react-hot-toast'
+import { getOrderTitle, isMultiCoursePayment } from '../../utils/cart'
+
+export default function RefundReview({ refundRequest, adminId, onClose, onProcessed }) {
+  const [note, setNote] = useState('')
+  const [reference, setReference] = useState('')
+  const [processing, setProcessing] = useState(false)
+
+  useEffect(() => {
+    setNote('')
+    setReference('')
+  }, [refundRequest])
+
+  if (!refundRequest) return null
+
+  const payment = refundRequest.payments || {}
+  const method = payment.method || payment.payment_method
+  const isStripe = method === 'stripe'
+  // Bundle and cart payments are refunded whole, never one course at a time
+  const isOrder = isMultiCoursePayment(payment)
+  const orderTitle = payment.bundles?.title || getOrderTitle(payment.order_items)
+
+  const handleProcess = async (action) => {
+    if (action === 'deny' && !note.trim()) {
+      toast.error('Please give the student a reason')
+      return
+    }
+
+    if (action === 'approve' && !confirm(
+      (isOrder ? `This refunds the whole order (${orderTitle}), not just this course. ` : '') +
+      (isStripe
+        ? 'Refund this payment through Stripe and remove course access?'
+        : 'Confirm you have paid this refund back and remove course access?')
+    )) {
+      return
+    }
+
+    setProcessing(true)
+    try {
+      const response = await fetch('/api/refunds/process', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          refundRequestId: refundRequest.id,
+          adminId,
+          action,
+          note,
+          reference,
+          refundWholeOrder: action === 'approve' && isOrder
+        })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.message)
+
+      toast.success(action === 'approve' ? 'Refund approved and access revoked' : 'Refund request denied')
+      onProcessed()
+    } catch (error) {
+      console.error('Error processing refund:', error)
+      toast.error(error.message || 'Failed to process refund')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          className="bg-dark-800 rounded-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        >
+          <div className="flex items-center justify-between p-6 border-b border-dark-600">
+            <h2 className="text-xl font-bold text-white flex items-center">
+              <FiRotateCcw className="w-5 h-5 mr-2" />
+              Review Refund Request
+            </h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-white">
+              <FiX className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <div className="space-y-3">
+              <div>
+                <span className="text-gray-400">Student:</span>
+                <span className="text-white ml-2">{refundRequest.profiles?.name}</span>
+                <div className="text-xs text-gray-500">{refundRequest.profiles?.email}</div>
+              </div>
+              <div>
+                <span className="text-gray-400">Course:</span>
+                <span className="text-white ml-2">{refundRequest.courses?.title}</span>
+              </div>
+              {isOrder && (
+                <div className="text-sm text-yellow-400">
+                  Paid as part of {orderTitle}. Approving refunds the whole order and removes access to all of its courses.
+                </div>
+              )}
+              <div>
+                <span className="text-gray-400">Amount:</span>
+                <span className="text-green-400 ml-2 font-mono">
+                  LKR {Number(refundRequest.amount || 0).toLocaleString()}
+                </span>
+                <span className="text-gray-400 ml-2 capitalize">via {method?.replace('_', ' ')}</span>
+              </div>
+              <div>
+                <span className="text-gray-400">Course progress:</span>
+                <span className="text-white ml-2">{refundRequest.progress_percentage || 0}%</span>
+              </div>
+              <div>
+                <span className="text-gray-400">Requested:</span>
+                <span className="text-white ml-2">
+                  {new Date(refundRequest.created_at).toLocaleString()}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-400">Reason:</span>
+                <p className="text-white mt-1 whitespace-pre-line">{refundRequest.reason}</p>
+              </div>
+            </div>
+
+            <div className="pt-4 border-t border-dark-600 space-y-3">
+              {!isStripe && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-2">
+                    Refund reference (bank or PayHere transaction)
+                  </label>
+                  <input
+                    type="text"
+                    value={reference}
+                    onChange={(e) => setReference(e.target.value)}
+                    className="input"
+                    placeholder="Recorded with the refund"
+                  />
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-400 mb-2">
+                  Note to student (required to deny)
+                </label>
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  rows={3}
+                  className="input"
+                />
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => handleProcess('deny')}
+                  disabled={processing}
+                  className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center"
+                >
+                  <FiX className="w-4 h-4 mr-2" />
+                  Deny
+                </button>
+                <button
+                  onClick={() => handleProcess('approve')}
+                  disabled={processing}
+                  className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center justify-center"
+                >
+                  <FiCheck className="w-4 h-4 mr-2" />
+                  {processing ? 'Processing...' : isStripe ? 'Refund via Stripe' : 'Record Refund'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </>
+  )
+}
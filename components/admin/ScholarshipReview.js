@@ -0,0 +1,231 @@
+import { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+import { FiX, FiCheck, FiAward, FiFileText } from 'react-icons/fi'
+import toast from 'react-hot-toast'
+
+export default function ScholarshipReview({ application, adminId, onClose, onProcessed }) {
+  const [award, setAward] = useState('waiver')
+  const [discountPercent, setDiscountPercent] = useState(50)
+  const [note, setNote] = useState('')
+  const [documents, setDocuments] = useState([])
+  const [loadingDocuments, setLoadingDocuments] = useState(false)
+  const [processing, setProcessing] = useState(false)
+
+  useEffect(() => {
+    setAward('waiver')
+    setDiscountPercent(50)
+    setNote('')
+    setDocuments([])
+
+    if (application?.documents?.length) {
+      fetchDocuments()
+    }
+  }, [application])
+
+  const fetchDocuments = async () => {
+    setLoadingDocuments(true)
+    try {
+      const response = await axios.get('/api/scholarships/documents', {
+        params: { applicationId: application.id, adminId }
+      })
+      setDocuments(response.data.documents || [])
+    } catch (error) {
+      console.error('Error loading documents:', error)
+      toast.error('Failed to load supporting documents')
+    } finally {
+      setLoadingDocuments(false)
+    }
+  }
+
+  if (!application) return null
+
+  const isPending = application.status === 'pending'
+  const coursePrice = Number(application.courses?.price || 0)
+
+  const handleProcess = async (action) => {
+    if (action === 'reject' && !note.trim()) {
+      toast.error('Please give the student a reason')
+      return
+    }
+
+    if (action === 'approve' && !confirm(
+      award === 'waiver'
+        ? 'Waive the full fee and give the student access to this course?'
+        : `Email the student a ${discountPercent}% discount code for this course?`
+    )) {
+      return
+    }
+
+    setProcessing(true)
+    try {
+      const response = await axios.post('/api/scholarships/review', {
+        applicationId: application.id,
+        adminId,
+        action,
+        award,
+        discountPercent: Number(discountPercent),
+        note
+      })
+
+      toast.success(response.data.message)
+      onProcessed()
+    } catch (error) {
+      console.error('Error reviewing scholarship:', error)
+      toast.error(error.response?.data?.message || 'Failed to review application')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <motion.div
+          initial={{ opacity: 0, scale: 0.95 }}
+          animate={{ opacity: 1, scale: 1 }}
+          className="bg-dark-800 rounded-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+        >
+          <div className="flex items-center justify-between p-6 border-b border-dark-600">
+            <h2 className="text-xl font-bold text-white flex items-center">
+              <FiAward className="w-5 h-5 mr-2" />
+              Review Scholarship Application
+            </h2>
+            <button onClick={onClose} className="text-gray-400 hover:text-white">
+              <FiX className="w-6 h-6" />
+            </button>
+          </div>
+
+          <div className="p-6 space-y-4">
+            <div className="space-y-3">
+              <div>
+                <span className="text-gray-400">Student:</span>
+                <span className="text-white ml-2">{application.profiles?.name}</span>
+                <div className="text-xs text-gray-500">{application.profiles?.email}</div>
+              </div>
+              <div>
+                <span className="text-gray-400">Course:</span>
+                <span className="text-white ml-2">{application.courses?.title}</span>
+                <span className="text-green-400 ml-2 font-mono">LKR {coursePrice.toLocaleString()}</span>
+              </div>
+              <div>
+                <span className="text-gray-400">Applied:</span>
+                <span className="text-white ml-2">
+                  {new Date(application.created_at).toLocaleString()}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-400">Reason:</span>
+                <p className="text-white mt-1 whitespace-pre-line">{application.reason}</p>
+              </div>
+              <div>
+                <span className="text-gray-400">Supporting documents:</span>
+                {!application.documents?.length ? (
+                  <span className="text-gray-500 ml-2">None</span>
+                ) : loadingDocuments ? (
+                  <span className="text-gray-500 ml-2">Loading...</span>
+                ) : (
+                  <ul className="mt-1 space-y-1">
+                    {documents.map(document => (
+                      <li key={document.url}>
+                        <a
+                          href={document.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-flex items-center text-primary-400 hover:text-primary-300 text-sm"
+                        >
+                          <FiFileText className="w-4 h-4 mr-1" />
+                          {document.filename}
+                        </a>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              {!isPending && (
+                <div>
+                  <span className="text-gray-400">Decision:</span>
+                  <span className="text-white ml-2 capitalize">
+                    {application.status}
+                    {application.award_type === 'waiver' && ' (full waiver)'}
+                    {application.award_type === 'discount' && ` (${Number(application.discount_percent)}% discount)`}
+                  </span>
+                  {application.admin_note && (
+                    <p className="text-gray-300 text-sm mt-1 whitespace-pre-line">{application.admin_note}</p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {isPending && (
+              <div className="pt-4 border-t border-dark-600 space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-2">Award</label>
+                  <select
+                    value={award}
+                    onChange={(e) => setAward(e.target.value)}
+                    className="input"
+                  >
+                    <option value="waiver">Full fee waiver</option>
+                    <option value="discount">Partial discount code</option>
+                  </select>
+                </div>
+                {award === 'discount' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">
+                      Discount (%)
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="99"
+                      value={discountPercent}
+                      onChange={(e) => setDiscountPercent(e.target.value)}
+                      className="input"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      The student pays LKR {Math.max(0, Math.round(coursePrice * (100 - Number(discountPercent)) / 100)).toLocaleString()}
+                    </p>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-2">
+                    Note to student (required to reject)
+                  </label>
+                  <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    rows={3}
+                    className="input"
+                  />
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    onClick={() => handleProcess('reject')}
+                    disabled={processing}
+                    className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 flex items-center justify-center"
+                  >
+                    <FiX className="w-4 h-4 mr-2" />
+                    Reject
+                  </button>
+                  <button
+                    onClick={() => handleProcess('approve')}
+                    disabled={processing}
+                    className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center justify-center"
+                  >
+                    <FiCheck className="w-4 h-4 mr-2" />
+                    {processing ? 'Processing...' : award === 'waiver' ? 'Waive Fee' : 'Send Discount'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,88 @@
+import { FiPackage, FiCheck } from 'react-icons/fi'
+import { motion } from 'framer-motion'
+
+export default function BundleCard({ bundle, onSelect }) {
+  const formatPrice = (price) => {
+    return `LKR ${(price).toLocaleString('en-US', {
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    })}`
+  }
+
+  const coursesTotal = bundle.courses.reduce((total, course) => total + (Number(course.price) || 0), 0)
+  const savings = coursesTotal - bundle.price
+
+  return (
+    <button type="button" onClick={() => onSelect(bundle)} className="block group text-left w-full">
+      <div className="card card-hover h-full flex flex-col">
+        {/* Thumbnail */}
+        <div className="relative aspect-video rounded-lg overflow-hidden mb-4">
+          {bundle.thumbnail ? (
+            <img
+              src={bundle.thumbnail}
+              alt={bundle.title}
+              className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
+            />
+          ) : (
+            <div className="w-full h-full bg-dark-700 flex items-center justify-center">
+              <FiPackage className="w-12 h-12 text-gray-500" />
+            </div>
+          )}
+
+          <div className="absolute top-3 left-3">
+            <span className="badge badge-primary">
+              {bundle.courses.length} Course Bundle
+            </span>
+          </div>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 flex flex-col">
+          <h3 className="text-xl font-semibold text-white mb-2 group-hover:text-primary-400 transition-colors">
+            {bundle.title}
+          </h3>
+
+          {bundle.description && (
+            <p className="text-gray-400 text-sm mb-4 line-clamp-2">
+              {bundle.description}
+            </p>
+          )}
+
+          {/* Included Courses */}
+          <ul className="space-y-1 text-sm text-gray-300 mb-4 flex-1">
+            {bundle.courses.map((course) => (
+              <li key={course.id} className="flex items-center space-x-2">
+                <FiCheck className="w-4 h-4 text-green-400 flex-shrink-0" />
+                <span className="truncate">{course.title}</span>
+              </li>
+            ))}
+          </ul>
+
+          {/* Price and Action */}
+          <div className="flex items-center justify-between pt-4 border-t border-dark-700">
+            <div>
+              <span className="text-2xl font-bold text-white">
+                {formatPrice(bundle.price)}
+              </span>
+              {savings > 0 && (
+                <div className="text-sm">
+                  <span className="text-gray-500 line-through mr-2">{formatPrice(coursesTotal)}</span>
+                  <span className="text-green-400">Save {formatPrice(savings)}</span>
+                </div>
+              )}
+            </div>
+
+            <motion.div
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              <span className="px-4 py-2 bg-primary-500/20 text-primary-400 rounded-lg font-medium group-hover:bg-primary-500 group-hover:text-white transition-all duration-300">
+                Get Bundle
+              </span>
+            </motion.div>
+          </div>
+        </div>
+      </div>
+    </button>
+  )
+}
@@ -1,13 +1,15 @@
 import Link from 'next/link'
 import { FiClock, FiBook, FiPlay, FiStar } from 'react-icons/fi'
 import { motion } from 'framer-motion'
+import { formatCurrency } from '../../utils/format'
+import { getListedPrice } from '../../utils/currency'
+import { CURRENCY } from '../../utils/constants'
+import MathText from '../ui/MathText'
 
-export default function CourseCard({ course }) {
-  const formatPrice = (price) => {
-    return `LKR ${(price).toLocaleString('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    })}`
+export default function CourseCard({ course, currency = CURRENCY.CODE }) {
+  const formatPrice = (course) => {
+    const { amount, currency: listedCurrency } = getListedPrice(course, currency)
+    return formatCurrency(amount, { currency: listedCurrency })
   }
   
   return (
@@ -42,13 +44,17 @@ export default function CourseCard({ course }) {
           
           {/* Content */}
           <div className="flex-1 flex flex-col">
-            <h3 className="text-xl font-semibold text-white mb-2 group-hover:text-primary-400 transition-colors">
-              {course.title}
-            </h3>
+            <MathText
+              as="h3"
+              text={course.title}
+              className="text-xl font-semibold text-white mb-2 group-hover:text-primary-400 transition-colors"
+            />
             
-            <p className="text-gray-400 text-sm mb-4 line-clamp-2 flex-1">
-              {course.description}
-            </p>
+            <MathText
+              as="p"
+              text={course.description}
+              className="text-gray-400 text-sm mb-4 line-clamp-2 flex-1"
+            />
             
             {/* Stats */}
             <div className="flex items-center space-x-4 text-sm text-gray-500 mb-4">
@@ -70,7 +76,7 @@ export default function CourseCard({ course }) {
             <div className="flex items-center justify-between pt-4 border-t border-dark-700">
               <div>
                 <span className="text-2xl font-bold text-white">
-                  {formatPrice(course.price)}
+                  {formatPrice(course)}
                 </span>
               </div>
               
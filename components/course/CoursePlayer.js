@@ -5,6 +5,7 @@ import {
   FiSettings, FiSkipBack, FiSkipForward, FiLoader,
   FiLock, FiDownload, FiBookmark, FiShare2
 } from 'react-icons/fi'
+import MathText from '../ui/MathText'
 
 export default function CoursePlayer({ 
   lesson, 
@@ -238,9 +239,11 @@ export default function CoursePlayer({
       ) : (
         // Article/Text Content
         <div className="aspect-video bg-white p-8 overflow-y-auto">
-          <div 
+          <MathText
+            as="div"
+            html
+            text={lesson.content}
             className="prose prose-lg max-w-none text-gray-800"
-            dangerouslySetInnerHTML={{ __html: lesson.content }}
           />
         </div>
       )}
@@ -6,15 +6,22 @@ import {
 } from 'react-icons/fi'
 import { supabase } from '../../lib/supabase'
 import toast from 'react-hot-toast'
+import {
+  DEFAULT_SECTION_TITLE,
+  groupLessonsBySection,
+  getSectionProgress
+} from '../../utils/sections'
 
 /**
  * Course Progress Component
- * Shows overall course completion status and certificate availability
+ * Shows overall course completion status, progress through each section
+ * and certificate availability
  */
 export default function CourseProgress({ 
   user, 
   course, 
   lessons = [],
+  sections = [],
   className = '' 
 }) {
   const [progress, setProgress] = useState({
@@ -213,58 +220,85 @@ export default function CourseProgress({
         </div>
       </div>
 
-      {/* Lesson List */}
+      {/* Lesson List, by section */}
       <div className="space-y-3 mb-6">
         <h4 className="text-lg font-semibold text-white">Lessons</h4>
-        <div className="max-h-64 overflow-y-auto space-y-2">
-          {lessons.map((lesson, index) => {
-            const status = getLessonStatus(lesson.id)
-            return (
-              <div
-                key={lesson.id}
-                className="flex items-center justify-between p-3 bg-dark-700 rounded-lg"
-              >
-                <div className="flex items-center space-x-3">
-                  <div className="flex-shrink-0">
-                    {status.completed ? (
-                      <FiCheckCircle className="w-5 h-5 text-green-400" />
-                    ) : (
-                      <FiCircle className="w-5 h-5 text-gray-400" />
-                    )}
-                  </div>
-                  <div>
-                    <p className="text-white font-medium">{lesson.title}</p>
-                    {lesson.duration && (
-                      <p className="text-xs text-gray-400 flex items-center">
-                        <FiClock className="mr-1" />
-                        {lesson.duration} min
-                      </p>
-                    )}
-                  </div>
-                </div>
-                
-                <div className="text-right">
-                  {status.completed ? (
-                    <span className="text-green-400 text-sm font-medium">Complete</span>
-                  ) : status.progress > 0 ? (
-                    <div className="text-right">
-                      <div className="text-primary-400 text-sm font-medium">
-                        {Math.round(status.progress)}%
+        <div className="max-h-96 overflow-y-auto space-y-4">
+          {groupLessonsBySection(sections, lessons)
+            .filter(group => group.lessons.length > 0)
+            .map(({ section, lessons: sectionLessons }) => {
+              const sectionProgress = getSectionProgress(sectionLessons, lessonProgress)
+              return (
+                <div key={section?.id || 'unsectioned'} className="space-y-2">
+                  {sections.length > 0 && (
+                    <div className="pt-1">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-sm font-semibold text-gray-200">
+                          {section?.title || DEFAULT_SECTION_TITLE}
+                        </span>
+                        <span className="text-xs text-gray-400">
+                          {sectionProgress.completed}/{sectionProgress.total} · {sectionProgress.percentage}%
+                        </span>
                       </div>
-                      <div className="w-12 bg-dark-600 rounded-full h-1">
+                      <div className="w-full bg-dark-600 rounded-full h-1.5">
                         <div
-                          className="bg-primary-400 h-1 rounded-full"
-                          style={{ width: `${status.progress}%` }}
+                          className="bg-primary-500 h-1.5 rounded-full transition-all"
+                          style={{ width: `${sectionProgress.percentage}%` }}
                         />
                       </div>
                     </div>
-                  ) : (
-                    <span className="text-gray-400 text-sm">Not started</span>
                   )}
+                  {sectionLessons.map(lesson => {
+                    const status = getLessonStatus(lesson.id)
+                    return (
+                      <div
+                        key={lesson.id}
+                        className="flex items-center justify-between p-3 bg-dark-700 rounded-lg"
+                      >
+                        <div className="flex items-center space-x-3">
+                          <div className="flex-shrink-0">
+                            {status.completed ? (
+                              <FiCheckCircle className="w-5 h-5 text-green-400" />
+                            ) : (
+                              <FiCircle className="w-5 h-5 text-gray-400" />
+                            )}
+                          </div>
+                          <div>
+                            <p className="text-white font-medium">{lesson.title}</p>
+                            {lesson.duration && (
+                              <p className="text-xs text-gray-400 flex items-center">
+                                <FiClock className="mr-1" />
+                                {lesson.duration} min
+                              </p>
+                            )}
+                          </div>
+                        </div>
+                
+                        <div className="text-right">
+                          {status.completed ? (
+                            <span className="text-green-400 text-sm font-medium">Complete</span>
+                          ) : status.progress > 0 ? (
+                            <div className="text-right">
+                              <div className="text-primary-400 text-sm font-medium">
+                                {Math.round(status.progress)}%
+                              </div>
+                              <div className="w-12 bg-dark-600 rounded-full h-1">
+                                <div
+                                  className="bg-primary-400 h-1 rounded-full"
+                                  style={{ width: `${status.progress}%` }}
+                                />
+                              </div>
+                            </div>
+                          ) : (
+                            <span className="text-gray-400 text-sm">Not started</span>
+                          )}
+                        </div>
+                      </div>
+                    )
+                  })}
                 </div>
-              </div>
-            )
-          })}
+              )
+            })}
         </div>
       </div>
 
@@ -4,9 +4,15 @@ import {
   FiPlay, FiLock, FiCheck, FiClock, FiBook, FiVideo,
   FiChevronDown, FiChevronUp, FiDownload, FiEye
 } from 'react-icons/fi'
+import {
+  DEFAULT_SECTION_TITLE,
+  groupLessonsBySection,
+  getSectionProgress
+} from '../../utils/sections'
 
 export default function LessonList({
   lessons = [],
+  sections = [],
   activeLesson,
   hasAccess = false,
   progress = {},
@@ -16,20 +22,14 @@ export default function LessonList({
 }) {
   const [expandedSections, setExpandedSections] = useState({})
 
-  // Group lessons by section if they have section property
-  const groupedLessons = lessons.reduce((acc, lesson, index) => {
-    const section = lesson.section || 'Course Content'
-    if (!acc[section]) {
-      acc[section] = []
-    }
-    acc[section].push({ ...lesson, index })
-    return acc
-  }, {})
+  // Group lessons under their sections, leaving out empty ones
+  const groupedLessons = groupLessonsBySection(sections, lessons)
+    .filter(group => group.lessons.length > 0)
 
-  const toggleSection = (sectionName) => {
+  const toggleSection = (sectionKey) => {
     setExpandedSections(prev => ({
       ...prev,
-      [sectionName]: !prev[sectionName]
+      [sectionKey]: prev[sectionKey] === false
     }))
   }
 
@@ -58,10 +58,6 @@ export default function LessonList({
     }, 0)
   }
 
-  const getCompletedLessonsCount = (sectionLessons) => {
-    return sectionLessons.filter(lesson => isLessonCompleted(lesson.id)).length
-  }
-
   if (lessons.length === 0) {
     return (
       <div className={`p-6 text-center text-gray-400 ${className}`}>
@@ -73,50 +69,56 @@ export default function LessonList({
 
   return (
     <div className={`space-y-4 ${className}`}>
-      {Object.entries(groupedLessons).map(([sectionName, sectionLessons]) => {
-        const isExpanded = expandedSections[sectionName] !== false // Default to expanded
-        const completedCount = getCompletedLessonsCount(sectionLessons)
+      {groupedLessons.map(({ section, lessons: sectionLessons }) => {
+        const sectionKey = section?.id || 'unsectioned'
+        const isExpanded = expandedSections[sectionKey] !== false // Default to expanded
+        const sectionProgress = getSectionProgress(sectionLessons, progress)
         const totalDuration = getTotalSectionDuration(sectionLessons)
 
         return (
-          <div key={sectionName} className="border border-dark-600 rounded-lg overflow-hidden">
+          <div key={sectionKey} className="border border-dark-600 rounded-lg overflow-hidden">
             {/* Section Header */}
             <button
-              onClick={() => toggleSection(sectionName)}
-              className="w-full p-4 bg-dark-700/50 hover:bg-dark-700 transition-colors flex items-center justify-between"
+              onClick={() => toggleSection(sectionKey)}
+              className="w-full p-4 bg-dark-700/50 hover:bg-dark-700 transition-colors flex items-center justify-between text-left"
             >
-              <div className="flex items-center space-x-3">
-                <div className="flex items-center space-x-2">
-                  {isExpanded ? (
-                    <FiChevronUp className="w-5 h-5 text-gray-400" />
-                  ) : (
-                    <FiChevronDown className="w-5 h-5 text-gray-400" />
-                  )}
-                  <h3 className="text-lg font-semibold text-white">{sectionName}</h3>
-                </div>
-                <div className="flex items-center space-x-4 text-sm text-gray-400">
-                  <span>{sectionLessons.length} lessons</span>
-                  {totalDuration > 0 && (
-                    <span>{formatDuration(totalDuration)}</span>
-                  )}
-                  {hasAccess && (
-                    <span>{completedCount}/{sectionLessons.length} completed</span>
-                  )}
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center space-x-3">
+                  <div className="flex items-center space-x-2">
+                    {isExpanded ? (
+                      <FiChevronUp className="w-5 h-5 text-gray-400" />
+                    ) : (
+                      <FiChevronDown className="w-5 h-5 text-gray-400" />
+                    )}
+                    <h3 className="text-lg font-semibold text-white">
+                      {section?.title || DEFAULT_SECTION_TITLE}
+                    </h3>
+                  </div>
+                  <div className="flex items-center space-x-4 text-sm text-gray-400">
+                    <span>{sectionLessons.length} lessons</span>
+                    {totalDuration > 0 && (
+                      <span>{formatDuration(totalDuration)}</span>
+                    )}
+                    {hasAccess && (
+                      <span>{sectionProgress.completed}/{sectionProgress.total} completed</span>
+                    )}
+                  </div>
                 </div>
+                {section?.description && (
+                  <p className="text-sm text-gray-400 mt-1 ml-7">{section.description}</p>
+                )}
               </div>
               
               {hasAccess && (
-                <div className="flex items-center space-x-2">
+                <div className="flex items-center space-x-2 ml-4">
                   <div className="w-16 bg-dark-600 rounded-full h-2">
                     <div 
                       className="bg-primary-500 h-2 rounded-full transition-all"
-                      style={{ 
-                        width: `${sectionLessons.length > 0 ? (completedCount / sectionLessons.length) * 100 : 0}%` 
-                      }}
+                      style={{ width: `${sectionProgress.percentage}%` }}
                     />
                   </div>
                   <span className="text-xs text-gray-400">
-                    {Math.round((completedCount / sectionLessons.length) * 100)}%
+                    {sectionProgress.percentage}%
                   </span>
                 </div>
               )}
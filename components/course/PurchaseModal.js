@@ -1,9 +1,13 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import axios from 'axios'
+import toast from 'react-hot-toast'
 import { 
   FiX, FiCheck, FiCreditCard, FiDollarSign, FiGift,
-  FiClock, FiUsers, FiBook, FiStar, FiShield, FiZap
+  FiClock, FiUsers, FiBook, FiStar, FiShield, FiZap, FiCalendar
 } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import { splitInstallments, isPlanAvailableForPrice } from '../../utils/installments'
 import StripeButton from '../payment/StripeButton'
 import PayHereButton from '../payment/PayHereButton'
 import BankTransferModal from '../payment/BankTransferModal'
@@ -12,14 +16,80 @@ export default function PurchaseModal({
   isOpen, 
   onClose, 
   course, 
+  bundle = null,
   user,
+  currency,
   onPurchaseSuccess
 }) {
   const [selectedPaymentMethod, setSelectedPaymentMethod] = useState('stripe')
   const [showBankTransfer, setShowBankTransfer] = useState(false)
   const [couponCode, setCouponCode] = useState('')
-  const [discount, setDiscount] = useState(0)
+  const [coupon, setCoupon] = useState(null)
+  const [applyingCoupon, setApplyingCoupon] = useState(false)
   const [showCouponInput, setShowCouponInput] = useState(false)
+  const [installmentPlans, setInstallmentPlans] = useState([])
+  const [selectedPlanId, setSelectedPlanId] = useState(null)
+  const [isGift, setIsGift] = useState(false)
+  const [giftForm, setGiftForm] = useState({ recipientEmail: '', recipientName: '', message: '' })
+
+  // A bundle is bought through the same flow as a single course
+  const item = bundle || course
+
+  useEffect(() => {
+    if (isOpen && course && !bundle) {
+      fetchInstallmentPlans()
+    } else {
+      setInstallmentPlans([])
+      setSelectedPlanId(null)
+    }
+  }, [isOpen, course?.id, bundle])
+
+  const fetchInstallmentPlans = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('installment_plans')
+        .select('*')
+        .eq('active', true)
+        .order('installment_count', { ascending: true })
+
+      if (error) throw error
+      setInstallmentPlans((data || []).filter(plan => isPlanAvailableForPrice(plan, course.price)))
+    } catch (error) {
+      console.error('Error fetching installment plans:', error)
+      setInstallmentPlans([])
+    }
+  }
+
+  const selectedPlan = installmentPlans.find(plan => plan.id === selectedPlanId) || null
+  const firstInstallmentAmount = selectedPlan
+    ? splitInstallments(course.price, selectedPlan.installment_count)[0]
+    : null
+
+  const selectPlan = (planId) => {
+    setSelectedPlanId(planId)
+    if (planId) {
+      // Installments are charged on the full price through the card gateways
+      setCoupon(null)
+      setCouponCode('')
+      setShowCouponInput(false)
+      if (selectedPaymentMethod === 'bank') setSelectedPaymentMethod('stripe')
+    }
+  }
+
+  const toggleGift = (checked) => {
+    setIsGift(checked)
+    // Installment plans are only for the student taking the course
+    if (checked) setSelectedPlanId(null)
+  }
+
+  const gift = isGift
+    ? {
+        recipientEmail: giftForm.recipientEmail.trim(),
+        ...(giftForm.recipientName.trim() && { recipientName: giftForm.recipientName.trim() }),
+        ...(giftForm.message.trim() && { message: giftForm.message.trim() })
+      }
+    : null
+  const giftIncomplete = isGift && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(gift.recipientEmail)
 
   const paymentMethods = [
     {
@@ -46,10 +116,12 @@ export default function PurchaseModal({
       badge: '24h Verification',
       color: 'yellow'
     }
-  ]
+  ].filter(method => !selectedPlan || method.id !== 'bank')
 
   const courseFeatures = [
-    { icon: FiBook, text: `${course?.lesson_count || 0} comprehensive lessons` },
+    bundle
+      ? { icon: FiBook, text: `${bundle.courses?.length || 0} complete courses` }
+      : { icon: FiBook, text: `${course?.lesson_count || 0} comprehensive lessons` },
     { icon: FiClock, text: `${course?.duration || '6+ hours'} of content` },
     { icon: FiUsers, text: 'Expert instructor support' },
     { icon: FiCheck, text: 'Certificate of completion' },
@@ -57,23 +129,41 @@ export default function PurchaseModal({
     { icon: FiZap, text: 'Mobile & desktop compatible' }
   ]
 
-  const applyCoupon = () => {
-    // Mock coupon validation
-    const validCoupons = {
-      'STUDENT10': 10,
-      'WELCOME20': 20,
-      'EARLYBIRD': 15
+  const applyCoupon = async () => {
+    if (!couponCode.trim()) return
+
+    if (!user) {
+      toast.error('Please sign in to use a coupon')
+      return
     }
-    
-    if (validCoupons[couponCode.toUpperCase()]) {
-      setDiscount(validCoupons[couponCode.toUpperCase()])
+
+    setApplyingCoupon(true)
+    try {
+      // Preview only; checkout re-validates the coupon server-side
+      const response = await axios.post('/api/coupons/validate', {
+        code: couponCode,
+        ...(bundle ? { bundleId: bundle.id } : { courseId: course.id }),
+        userId: user.id
+      })
+
+      const { code, discountAmount, finalAmount } = response.data
+      setCoupon({ code, discountAmount, finalAmount })
       setShowCouponInput(false)
-    } else {
-      alert('Invalid coupon code')
+      toast.success(`Coupon ${code} applied`)
+    } catch (error) {
+      setCoupon(null)
+      toast.error(error.response?.data?.error || 'Invalid coupon code')
+    } finally {
+      setApplyingCoupon(false)
     }
   }
 
-  const finalPrice = course?.price ? course.price * (1 - discount / 100) : 0
+  const removeCoupon = () => {
+    setCoupon(null)
+    setCouponCode('')
+  }
+
+  const finalPrice = coupon ? coupon.finalAmount : item?.price || 0
 
   const handlePaymentSuccess = (paymentData) => {
     if (onPurchaseSuccess) {
@@ -101,8 +191,10 @@ export default function PurchaseModal({
             {/* Header */}
             <div className="sticky top-0 bg-dark-800/95 backdrop-blur-sm p-6 border-b border-dark-700 flex items-center justify-between">
               <div>
-                <h2 className="text-2xl font-bold text-white">Purchase Course</h2>
-                <p className="text-gray-400">Get instant access to all course content</p>
+                <h2 className="text-2xl font-bold text-white">{bundle ? 'Purchase Bundle' : 'Purchase Course'}</h2>
+                <p className="text-gray-400">
+                  {bundle ? 'Get instant access to every course in this bundle' : 'Get instant access to all course content'}
+                </p>
               </div>
               <button
                 onClick={onClose}
@@ -118,35 +210,54 @@ export default function PurchaseModal({
                 <div>
                   <div className="mb-6">
                     <img
-                      src={course?.thumbnail || '/api/placeholder/400/225'}
-                      alt={course?.title}
+                      src={item?.thumbnail || '/api/placeholder/400/225'}
+                      alt={item?.title}
                       className="w-full h-48 object-cover rounded-lg mb-4"
                     />
                     <h3 className="text-xl font-bold text-white mb-2">
-                      {course?.title}
+                      {item?.title}
                     </h3>
                     <p className="text-gray-400 mb-4">
-                      {course?.description}
+                      {item?.description}
                     </p>
                     
-                    {/* Course Stats */}
-                    <div className="grid grid-cols-3 gap-4 mb-6">
-                      <div className="text-center p-3 bg-dark-700/50 rounded-lg">
-                        <FiStar className="w-5 h-5 text-yellow-400 mx-auto mb-1" />
-                        <div className="text-lg font-bold text-white">4.8</div>
-                        <div className="text-xs text-gray-400">Rating</div>
-                      </div>
-                      <div className="text-center p-3 bg-dark-700/50 rounded-lg">
-                        <FiUsers className="w-5 h-5 text-blue-400 mx-auto mb-1" />
-                        <div className="text-lg font-bold text-white">245</div>
-                        <div className="text-xs text-gray-400">Students</div>
+                    {/* Bundle Courses */}
+                    {bundle && (
+                      <div className="mb-6 space-y-2">
+                        {bundle.courses?.map(bundleCourse => (
+                          <div key={bundleCourse.id} className="flex items-center justify-between p-3 bg-dark-700/50 rounded-lg">
+                            <div className="flex items-center space-x-2">
+                              <FiBook className="w-4 h-4 text-primary-400" />
+                              <span className="text-gray-300">{bundleCourse.title}</span>
+                            </div>
+                            <span className="text-sm text-gray-500 line-through">
+                              LKR {bundleCourse.price?.toFixed(2)}
+                            </span>
+                          </div>
+                        ))}
                       </div>
-                      <div className="text-center p-3 bg-dark-700/50 rounded-lg">
-                        <FiBook className="w-5 h-5 text-green-400 mx-auto mb-1" />
-                        <div className="text-lg font-bold text-white">{course?.lesson_count || 12}</div>
-                        <div className="text-xs text-gray-400">Lessons</div>
+                    )}
+                    
+                    {/* Course Stats */}
+                    {!bundle && (
+                      <div className="grid grid-cols-3 gap-4 mb-6">
+                        <div className="text-center p-3 bg-dark-700/50 rounded-lg">
+                          <FiStar className="w-5 h-5 text-yellow-400 mx-auto mb-1" />
+                          <div className="text-lg font-bold text-white">4.8</div>
+                          <div className="text-xs text-gray-400">Rating</div>
+                        </div>
+                        <div className="text-center p-3 bg-dark-700/50 rounded-lg">
+                          <FiUsers className="w-5 h-5 text-blue-400 mx-auto mb-1" />
+                          <div className="text-lg font-bold text-white">245</div>
+                          <div className="text-xs text-gray-400">Students</div>
+                        </div>
+                        <div className="text-center p-3 bg-dark-700/50 rounded-lg">
+                          <FiBook className="w-5 h-5 text-green-400 mx-auto mb-1" />
+                          <div className="text-lg font-bold text-white">{course?.lesson_count || 12}</div>
+                          <div className="text-xs text-gray-400">Lessons</div>
+                        </div>
                       </div>
-                    </div>
+                    )}
                   </div>
 
                   {/* What's Included */}
@@ -179,52 +290,152 @@ export default function PurchaseModal({
                   {/* Pricing */}
                   <div className="mb-6 p-6 bg-dark-700/30 rounded-lg">
                     <div className="flex items-center justify-between mb-4">
-                      <span className="text-gray-400">Course Price:</span>
+                      <span className="text-gray-400">{bundle ? 'Bundle Price:' : 'Course Price:'}</span>
                       <div className="text-right">
-                        {discount > 0 && (
+                        {coupon && (
                           <div className="text-gray-500 line-through">
-                            LKR {course?.price?.toFixed(2)}
+                            LKR {item?.price?.toFixed(2)}
                           </div>
                         )}
                         <div className="text-2xl font-bold text-primary-400">
                           LKR {finalPrice.toFixed(2)}
                         </div>
-                        {discount > 0 && (
+                        {coupon && (
                           <div className="text-green-400 text-sm">
-                            Save {discount}% with coupon!
+                            Save LKR {coupon.discountAmount.toFixed(2)} with coupon!
                           </div>
                         )}
                       </div>
                     </div>
 
-                    {/* Coupon Code */}
-                    <div className="border-t border-dark-600 pt-4">
-                      {!showCouponInput ? (
-                        <button
-                          onClick={() => setShowCouponInput(true)}
-                          className="text-primary-400 hover:text-primary-300 text-sm flex items-center space-x-1"
-                        >
-                          <FiGift className="w-4 h-4" />
-                          <span>Have a coupon code?</span>
-                        </button>
-                      ) : (
-                        <div className="flex space-x-2">
+                    {/* Installment Plans */}
+                    {installmentPlans.length > 0 && !isGift && (
+                      <div className="border-t border-dark-600 pt-4 mb-4 space-y-2">
+                        <div className="text-sm text-gray-400 flex items-center space-x-1 mb-2">
+                          <FiCalendar className="w-4 h-4" />
+                          <span>How would you like to pay?</span>
+                        </div>
+                        <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
                           <input
-                            type="text"
-                            placeholder="Enter coupon code"
-                            value={couponCode}
-                            onChange={(e) => setCouponCode(e.target.value)}
-                            className="flex-1 px-3 py-2 bg-dark-600 border border-dark-500 rounded text-white placeholder-gray-400"
+                            type="radio"
+                            name="installmentPlan"
+                            checked={!selectedPlan}
+                            onChange={() => selectPlan(null)}
                           />
+                          <span>Pay in full</span>
+                        </label>
+                        {installmentPlans.map(plan => {
+                          const amounts = splitInstallments(course.price, plan.installment_count)
+                          return (
+                            <label key={plan.id} className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+                              <input
+                                type="radio"
+                                name="installmentPlan"
+                                checked={selectedPlanId === plan.id}
+                                onChange={() => selectPlan(plan.id)}
+                              />
+                              <span>
+                                {plan.name}: {plan.installment_count} payments of LKR {amounts[amounts.length - 1].toFixed(2)}
+                                {plan.interval_months === 1 ? ' monthly' : ` every ${plan.interval_months} months`}
+                              </span>
+                            </label>
+                          )
+                        })}
+                        {selectedPlan && (
+                          <p className="text-xs text-gray-500">
+                            Pay LKR {firstInstallmentAmount.toFixed(2)} today to start the course. Access is paused if a later installment is more than a week overdue.
+                          </p>
+                        )}
+                      </div>
+                    )}
+
+                    {/* Coupon Code */}
+                    {!selectedPlan && (
+                      <div className="border-t border-dark-600 pt-4">
+                        {coupon ? (
+                          <div className="flex items-center justify-between text-sm">
+                            <span className="text-green-400 flex items-center space-x-1">
+                              <FiGift className="w-4 h-4" />
+                              <span>{coupon.code} applied</span>
+                            </span>
+                            <button
+                              onClick={removeCoupon}
+                              className="text-gray-400 hover:text-white"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        ) : !showCouponInput ? (
                           <button
-                            onClick={applyCoupon}
-                            className="px-4 py-2 bg-primary-600 text-white rounded hover:bg-primary-700"
+                            onClick={() => setShowCouponInput(true)}
+                            className="text-primary-400 hover:text-primary-300 text-sm flex items-center space-x-1"
                           >
-                            Apply
+                            <FiGift className="w-4 h-4" />
+                            <span>Have a coupon code?</span>
                           </button>
-                        </div>
-                      )}
-                    </div>
+                        ) : (
+                          <div className="flex space-x-2">
+                            <input
+                              type="text"
+                              placeholder="Enter coupon code"
+                              value={couponCode}
+                              onChange={(e) => setCouponCode(e.target.value)}
+                              className="flex-1 px-3 py-2 bg-dark-600 border border-dark-500 rounded text-white placeholder-gray-400"
+                            />
+                            <button
+                              onClick={applyCoupon}
+                              disabled={applyingCoupon || !couponCode.trim()}
+                              className="px-4 py-2 bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50"
+                            >
+                              {applyingCoupon ? 'Applying...' : 'Apply'}
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Gift */}
+                  <div className="mb-6 p-4 bg-dark-700/30 rounded-lg">
+                    <label className="flex items-center space-x-2 text-white cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={isGift}
+                        onChange={(e) => toggleGift(e.target.checked)}
+                      />
+                      <FiGift className="w-4 h-4 text-primary-400" />
+                      <span>Buy as a gift</span>
+                    </label>
+                    {isGift && (
+                      <div className="mt-4 space-y-3">
+                        <input
+                          type="email"
+                          placeholder="Recipient's email"
+                          value={giftForm.recipientEmail}
+                          onChange={(e) => setGiftForm({ ...giftForm, recipientEmail: e.target.value })}
+                          className="w-full px-3 py-2 bg-dark-600 border border-dark-500 rounded text-white placeholder-gray-400"
+                        />
+                        <input
+                          type="text"
+                          placeholder="Recipient's name (optional)"
+                          maxLength={100}
+                          value={giftForm.recipientName}
+                          onChange={(e) => setGiftForm({ ...giftForm, recipientName: e.target.value })}
+                          className="w-full px-3 py-2 bg-dark-600 border border-dark-500 rounded text-white placeholder-gray-400"
+                        />
+                        <textarea
+                          placeholder="Add a message (optional)"
+                          maxLength={500}
+                          rows={3}
+                          value={giftForm.message}
+                          onChange={(e) => setGiftForm({ ...giftForm, message: e.target.value })}
+                          className="w-full px-3 py-2 bg-dark-600 border border-dark-500 rounded text-white placeholder-gray-400"
+                        />
+                        <p className="text-xs text-gray-500">
+                          We'll email them a single-use code to redeem on their own account once your payment goes through.
+                        </p>
+                      </div>
+                    )}
                   </div>
 
                   {/* Payment Methods */}
@@ -270,7 +481,13 @@ export default function PurchaseModal({
                     {selectedPaymentMethod === 'stripe' && (
                       <StripeButton
                         course={course}
+                        bundle={bundle}
                         user={user}
+                        coupon={coupon}
+                        installment={selectedPlan ? { planId: selectedPlan.id, amount: firstInstallmentAmount } : null}
+                        gift={gift}
+                        currency={currency}
+                        disabled={giftIncomplete}
                         onSuccess={handlePaymentSuccess}
                         className="w-full"
                       />
@@ -279,7 +496,12 @@ export default function PurchaseModal({
                     {selectedPaymentMethod === 'payhere' && (
                       <PayHereButton
                         course={course}
+                        bundle={bundle}
                         user={user}
+                        coupon={coupon}
+                        installment={selectedPlan ? { planId: selectedPlan.id, amount: firstInstallmentAmount } : null}
+                        gift={gift}
+                        disabled={giftIncomplete}
                         onSuccess={handlePaymentSuccess}
                         className="w-full"
                       />
@@ -288,6 +510,7 @@ export default function PurchaseModal({
                     {selectedPaymentMethod === 'bank' && (
                       <button
                         onClick={handleBankTransfer}
+                        disabled={giftIncomplete}
                         className="w-full btn-primary flex items-center justify-center space-x-2"
                       >
                         <FiDollarSign className="w-5 h-5" />
@@ -322,7 +545,10 @@ export default function PurchaseModal({
         isOpen={showBankTransfer}
         onClose={() => setShowBankTransfer(false)}
         course={course}
+        bundle={bundle}
         user={user}
+        coupon={coupon}
+        gift={gift}
       />
     </>
   )
@@ -0,0 +1,273 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import { FiCheckCircle, FiXCircle, FiRotateCcw, FiAward } from 'react-icons/fi'
+import { QUIZ } from '../../utils/constants'
+import MathText from '../ui/MathText'
+import toast from 'react-hot-toast'
+
+const { QUESTION_TYPES } = QUIZ
+
+/**
+ * Quiz Player Component
+ * Shows a quiz lesson's questions and submits the student's answers for
+ * grading on the server
+ */
+export default function QuizPlayer({ user, lesson, onPassed }) {
+  const [quiz, setQuiz] = useState(null)
+  const [responses, setResponses] = useState({})
+  const [graded, setGraded] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    setResponses({})
+    setGraded(null)
+    if (user && lesson) fetchQuiz()
+  }, [user, lesson])
+
+  const fetchQuiz = async () => {
+    setLoading(true)
+    try {
+      const response = await axios.get('/api/quizzes/questions', {
+        params: { lessonId: lesson.id, userId: user.id }
+      })
+      setQuiz(response.data)
+    } catch (error) {
+      console.error('Error loading quiz:', error)
+      toast.error(error.response?.data?.error || 'Failed to load quiz')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const setResponse = (questionId, value) => {
+    setResponses(current => ({ ...current, [questionId]: value }))
+  }
+
+  const toggleOption = (questionId, optionId) => {
+    const chosen = responses[questionId] || []
+    setResponse(questionId, chosen.includes(optionId)
+      ? chosen.filter(id => id !== optionId)
+      : [...chosen, optionId])
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const unanswered = quiz.questions.filter(question => {
+      const response = responses[question.id]
+      return response == null || response === '' || (Array.isArray(response) && !response.length)
+    })
+    if (unanswered.length && !confirm(`${unanswered.length} question(s) unanswered. Submit anyway?`)) {
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const response = await axios.post('/api/quizzes/attempt', {
+        userId: user.id,
+        lessonId: lesson.id,
+        responses
+      })
+
+      const { attempt, courseCompleted, results } = response.data
+      setGraded({ attempt, results: Object.fromEntries(results.map(result => [result.questionId, result])) })
+      setQuiz(current => ({
+        ...current,
+        attempts: [attempt, ...current.attempts],
+        passed: current.passed || attempt.passed
+      }))
+
+      if (attempt.passed) {
+        toast.success(courseCompleted
+          ? `Passed with ${Number(attempt.percentage)}%. Course completed!`
+          : `Passed with ${Number(attempt.percentage)}%`)
+        onPassed?.(lesson.id)
+      } else {
+        toast.error(`You scored ${Number(attempt.percentage)}%. ${quiz.passPercentage}% is needed to pass.`)
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to submit quiz')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  // Reloads the quiz, since generated problems get new numbers for each attempt
+  const retry = () => {
+    setResponses({})
+    setGraded(null)
+    fetchQuiz()
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
+
+  if (!quiz) return null
+
+  if (!quiz.questions.length) {
+    return <p className="text-gray-400 py-6">This quiz has no questions yet.</p>
+  }
+
+  const bestAttempt = quiz.attempts.reduce(
+    (best, attempt) => (!best || Number(attempt.percentage) > Number(best.percentage) ? attempt : best),
+    null
+  )
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="text-gray-400">
+          {quiz.questions.length} questions · {quiz.passPercentage}% to pass
+        </span>
+        {quiz.passed ? (
+          <span className="badge badge-success inline-flex items-center">
+            <FiAward className="w-4 h-4 mr-1" /> Passed
+          </span>
+        ) : bestAttempt && (
+          <span className="text-gray-400">Best so far: {Number(bestAttempt.percentage)}%</span>
+        )}
+      </div>
+
+      {lesson.content && (
+        <MathText as="p" text={lesson.content} className="text-gray-300 whitespace-pre-line" />
+      )}
+
+      {quiz.questions.map((question, index) => {
+        const result = graded?.results[question.id]
+
+        return (
+          <div
+            key={question.id}
+            className={`rounded-lg p-4 bg-dark-800 border ${
+              !result
+                ? 'border-dark-600'
+                : result.correct ? 'border-green-500/50' : result.points > 0 ? 'border-yellow-500/50' : 'border-red-500/50'
+            }`}
+          >
+            <div className="flex items-start justify-between mb-3">
+              <p className="text-white whitespace-pre-line">
+                <span className="text-gray-400 mr-2">{index + 1}.</span>
+                <MathText text={question.prompt} />
+              </p>
+              <span className="text-xs text-gray-500 ml-4 flex-shrink-0">
+                {question.points} {question.points === 1 ? 'point' : 'points'}
+              </span>
+            </div>
+
+            {question.type === QUESTION_TYPES.SINGLE && question.options.map(option => (
+              <label key={option.id} className="flex items-center space-x-3 py-1 cursor-pointer">
+                <input
+                  type="radio"
+                  name={`question-${question.id}`}
+                  checked={responses[question.id] === option.id}
+                  onChange={() => setResponse(question.id, option.id)}
+                  disabled={Boolean(graded)}
+                  className="w-4 h-4"
+                />
+                <MathText text={option.text} className="text-gray-300" />
+              </label>
+            ))}
+
+            {question.type === QUESTION_TYPES.MULTIPLE && (
+              <>
+                <p className="text-xs text-gray-500 mb-1">Select all that apply</p>
+                {question.options.map(option => (
+                  <label key={option.id} className="flex items-center space-x-3 py-1 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={(responses[question.id] || []).includes(option.id)}
+                      onChange={() => toggleOption(question.id, option.id)}
+                      disabled={Boolean(graded)}
+                      className="w-4 h-4"
+                    />
+                    <MathText text={option.text} className="text-gray-300" />
+                  </label>
+                ))}
+              </>
+            )}
+
+            {question.type === QUESTION_TYPES.NUMERIC && (
+              <input
+                type="text"
+                inputMode="decimal"
+                value={responses[question.id] || ''}
+                onChange={(e) => setResponse(question.id, e.target.value)}
+                disabled={Boolean(graded)}
+                className="input w-48"
+                placeholder="Your answer"
+              />
+            )}
+
+            {question.type === QUESTION_TYPES.EXPRESSION && (
+              <>
+                <input
+                  type="text"
+                  value={responses[question.id] || ''}
+                  onChange={(e) => setResponse(question.id, e.target.value)}
+                  disabled={Boolean(graded)}
+                  className="input w-full font-mono"
+                  placeholder="e.g. 2(x+1)"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Use ^ for powers and sqrt( ) for roots, e.g. x^2 or sqrt(x+1)
+                </p>
+              </>
+            )}
+
+            {question.type === QUESTION_TYPES.TEXT && (
+              <input
+                type="text"
+                value={responses[question.id] || ''}
+                onChange={(e) => setResponse(question.id, e.target.value)}
+                disabled={Boolean(graded)}
+                className="input w-full"
+                placeholder="Your answer"
+              />
+            )}
+
+            {result && (
+              <div className="mt-3 text-sm">
+                <span className={`inline-flex items-center ${
+                  result.correct ? 'text-green-400' : result.points > 0 ? 'text-yellow-400' : 'text-red-400'
+                }`}>
+                  {result.correct ? <FiCheckCircle className="mr-1" /> : <FiXCircle className="mr-1" />}
+                  {result.correct
+                    ? 'Correct'
+                    : result.points > 0 ? `Partly correct (${result.points}/${result.maxPoints})` : 'Incorrect'}
+                </span>
+                {result.feedback && (
+                  <p className="text-gray-400 mt-1">{result.feedback}</p>
+                )}
+                {result.explanation && (
+                  <MathText as="p" text={result.explanation} className="text-gray-400 mt-1 whitespace-pre-line" />
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      {graded ? (
+        <div className="flex items-center justify-between">
+          <span className={graded.attempt.passed ? 'text-green-400' : 'text-yellow-400'}>
+            Score: {Number(graded.attempt.score)}/{graded.attempt.max_score} ({Number(graded.attempt.percentage)}%)
+          </span>
+          <button type="button" onClick={retry} className="btn-secondary flex items-center space-x-2">
+            <FiRotateCcw className="w-4 h-4" />
+            <span>Try Again</span>
+          </button>
+        </div>
+      ) : (
+        <button type="submit" disabled={submitting} className="btn-primary">
+          {submitting ? 'Grading...' : 'Submit Answers'}
+        </button>
+      )}
+    </form>
+  )
+}
@@ -0,0 +1,208 @@
+import { useState } from 'react'
+import Link from 'next/link'
+import { motion, AnimatePresence } from 'framer-motion'
+import { FiX, FiShoppingCart, FiTrash2, FiCreditCard, FiLoader } from 'react-icons/fi'
+import toast from 'react-hot-toast'
+
+const formatPrice = (price) => {
+  return `LKR ${Number(price).toLocaleString('en-US', {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  })}`
+}
+
+export default function CartDrawer({ isOpen, onClose, user, cart }) {
+  const [checkingOut, setCheckingOut] = useState(null)
+
+  const startCheckout = async (method) => {
+    const response = await fetch('/api/cart/checkout', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ userId: user.id, method })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to start checkout')
+    }
+
+    return result
+  }
+
+  const handleStripeCheckout = async () => {
+    setCheckingOut('stripe')
+
+    try {
+      const { url } = await startCheckout('stripe')
+      window.location.href = url
+    } catch (error) {
+      console.error('Cart checkout error:', error)
+      toast.error(error.message)
+      setCheckingOut(null)
+    }
+  }
+
+  const handlePayHereCheckout = async () => {
+    setCheckingOut('payhere')
+
+    try {
+      if (!window.payhere) {
+        throw new Error('PayHere SDK not loaded')
+      }
+
+      const { hash, merchant_id, order_id, amount, title } = await startCheckout('payhere')
+
+      window.payhere.onCompleted = function onCompleted() {
+        toast.success('Payment completed! Redirecting to success page...')
+        setCheckingOut(null)
+      }
+
+      window.payhere.onDismissed = function onDismissed() {
+        toast('Payment was cancelled')
+        setCheckingOut(null)
+      }
+
+      window.payhere.onError = function onError(error) {
+        toast.error('Payment failed: ' + error)
+        setCheckingOut(null)
+      }
+
+      window.payhere.startPayment({
+        sandbox: true, // Set to false for production
+        merchant_id,
+        return_url: `${window.location.origin}/payment/success?order_id=${order_id}&payment_id=${order_id}`,
+        cancel_url: `${window.location.origin}/courses?canceled=true`,
+        notify_url: `${window.location.origin}/api/payments/payhere-callback`,
+        order_id,
+        items: title,
+        amount,
+        currency: 'LKR',
+        first_name: user.name?.split(' ')[0] || 'User',
+        last_name: user.name?.split(' ').slice(1).join(' ') || '',
+        email: user.email,
+        phone: user.phone || '0000000000',
+        address: user.address || 'No Address',
+        city: user.city || 'Colombo',
+        country: 'Sri Lanka',
+        hash
+      })
+    } catch (error) {
+      console.error('Cart checkout error:', error)
+      toast.error(error.message)
+      setCheckingOut(null)
+    }
+  }
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <div className="fixed inset-0 z-50">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="absolute inset-0 bg-black/50 backdrop-blur-sm"
+            onClick={onClose}
+          />
+
+          <motion.aside
+            initial={{ x: '100%' }}
+            animate={{ x: 0 }}
+            exit={{ x: '100%' }}
+            transition={{ type: 'tween', duration: 0.25 }}
+            className="absolute right-0 top-0 h-full w-full max-w-md bg-dark-800 border-l border-dark-600 flex flex-col"
+          >
+            {/* Header */}
+            <div className="flex items-center justify-between p-6 border-b border-dark-600">
+              <h2 className="text-xl font-bold text-white flex items-center space-x-2">
+                <FiShoppingCart />
+                <span>Your Cart</span>
+              </h2>
+              <button
+                onClick={onClose}
+                className="p-2 hover:bg-dark-600 rounded-lg transition-colors"
+                aria-label="Close cart"
+              >
+                <FiX className="w-5 h-5 text-gray-400" />
+              </button>
+            </div>
+
+            {/* Items */}
+            <div className="flex-1 overflow-y-auto p-6 space-y-4">
+              {cart.items.length === 0 ? (
+                <div className="text-center text-gray-400 py-12">
+                  <FiShoppingCart className="w-12 h-12 mx-auto mb-4 opacity-50" />
+                  <p>Your cart is empty</p>
+                  <Link href="/courses" onClick={onClose} className="text-primary-400 hover:text-primary-300 text-sm">
+                    Browse courses
+                  </Link>
+                </div>
+              ) : (
+                cart.items.map(item => (
+                  <div key={item.id} className="flex items-center space-x-4">
+                    <img
+                      src={item.thumbnail || '/api/placeholder/80/60'}
+                      alt={item.title}
+                      className="w-20 h-14 rounded-lg object-cover"
+                    />
+                    <div className="flex-1 min-w-0">
+                      <Link href={`/courses/${item.id}`} onClick={onClose} className="block text-white font-medium truncate hover:text-primary-400">
+                        {item.title}
+                      </Link>
+                      <p className="text-primary-400 font-semibold">{formatPrice(item.price)}</p>
+                    </div>
+                    <button
+                      onClick={() => cart.removeItem(item.id)}
+                      disabled={!!checkingOut}
+                      className="p-2 text-gray-400 hover:text-red-400 hover:bg-dark-700 rounded-lg transition-colors"
+                      aria-label={`Remove ${item.title}`}
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+
+            {/* Checkout */}
+            {cart.items.length > 0 && (
+              <div className="p-6 border-t border-dark-600 space-y-4">
+                <div className="flex justify-between text-lg">
+                  <span className="text-gray-300">Total</span>
+                  <span className="text-white font-bold">{formatPrice(cart.total)}</span>
+                </div>
+
+                {user ? (
+                  <div className="space-y-3">
+                    <button
+                      onClick={handlePayHereCheckout}
+                      disabled={!!checkingOut}
+                      className="btn-primary w-full flex items-center justify-center space-x-2"
+                    >
+                      {checkingOut === 'payhere' ? <FiLoader className="w-5 h-5 animate-spin" /> : <FiCreditCard className="w-5 h-5" />}
+                      <span>Pay with PayHere</span>
+                    </button>
+                    <button
+                      onClick={handleStripeCheckout}
+                      disabled={!!checkingOut}
+                      className="btn-secondary w-full flex items-center justify-center space-x-2"
+                    >
+                      {checkingOut === 'stripe' ? <FiLoader className="w-5 h-5 animate-spin" /> : <FiCreditCard className="w-5 h-5" />}
+                      <span>Pay with Card</span>
+                    </button>
+                  </div>
+                ) : (
+                  <Link href="/auth/login" className="btn-primary w-full flex items-center justify-center">
+                    Sign in to check out
+                  </Link>
+                )}
+              </div>
+            )}
+          </motion.aside>
+        </div>
+      )}
+    </AnimatePresence>
+  )
+}
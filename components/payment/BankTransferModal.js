@@ -4,11 +4,13 @@ import { FiX, FiCopy, FiCheck, FiDollarSign, FiUpload } from 'react-icons/fi'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 
-export default function BankTransferModal({ isOpen, onClose, course, user }) {
+export default function BankTransferModal({ isOpen, onClose, course, bundle = null, user, coupon = null, gift = null }) {
+  const item = bundle || course
   const [loading, setLoading] = useState(false)
   const [copied, setCopied] = useState('')
   const [receipt, setReceipt] = useState(null)
   const [orderSubmitted, setOrderSubmitted] = useState(false)
+  const [transferReference, setTransferReference] = useState('')
 
   const bankDetails = {
     bankName: 'Commercial Bank of Ceylon',
@@ -47,25 +49,26 @@ export default function BankTransferModal({ isOpen, onClose, course, user }) {
     
     try {
       const formData = new FormData()
-      formData.append('receipt', receipt)
-      formData.append('courseId', course.id)
       formData.append('userId', user.id)
-      formData.append('amount', course.price)
-      formData.append('paymentMethod', 'bank_transfer')
+      if (bundle) {
+        formData.append('bundleId', bundle.id)
+      } else {
+        formData.append('courseId', course.id)
+      }
+      formData.append('receipt', receipt)
+      if (coupon) formData.append('couponCode', coupon.code)
+      if (gift) formData.append('gift', JSON.stringify(gift))
 
-      const response = await axios.post('/api/payments/bank-transfer', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data'
-        }
-      })
+      const response = await axios.post('/api/payments/bank-transfer', formData)
 
       if (response.data.success) {
+        setTransferReference(response.data.transferReference)
         setOrderSubmitted(true)
         toast.success('Payment submitted for verification!')
       }
     } catch (error) {
       console.error('Bank transfer error:', error)
-      toast.error('Failed to submit payment. Please try again.')
+      toast.error(error.response?.data?.error || 'Failed to submit payment. Please try again.')
     } finally {
       setLoading(false)
     }
@@ -89,8 +92,25 @@ export default function BankTransferModal({ isOpen, onClose, course, user }) {
               </div>
               <h2 className="text-2xl font-bold text-white mb-4">Payment Submitted!</h2>
               <p className="text-gray-400 mb-6">
-                Your payment has been submitted for verification. You'll receive course access within 24 hours after verification.
+                {gift
+                  ? `Your payment has been submitted for verification. We'll email the gift code to ${gift.recipientEmail} within 24 hours after verification.`
+                  : "Your payment has been submitted for verification. You'll receive course access within 24 hours after verification."}
               </p>
+              {transferReference && (
+                <div className="mb-6 p-4 rounded-lg bg-dark-700/50">
+                  <p className="text-sm text-gray-400 mb-1">Your transfer reference</p>
+                  <div className="flex items-center justify-center space-x-2">
+                    <span className="text-xl font-mono font-bold text-primary-400">{transferReference}</span>
+                    <button
+                      onClick={() => copyToClipboard(transferReference, 'reference')}
+                      className="text-blue-400 hover:text-blue-300 transition-colors"
+                    >
+                      {copied === 'reference' ? <FiCheck className="w-4 h-4" /> : <FiCopy className="w-4 h-4" />}
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">Quote this reference if you contact us about this payment.</p>
+                </div>
+              )}
               <button
                 onClick={onClose}
                 className="w-full px-6 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
@@ -126,13 +146,18 @@ export default function BankTransferModal({ isOpen, onClose, course, user }) {
 
           {/* Course Info */}
           <div className="mb-6 p-4 rounded-lg bg-dark-700/50">
-            <h3 className="font-semibold text-white mb-2">{course?.title}</h3>
+            <h3 className="font-semibold text-white mb-2">{item?.title}</h3>
             <div className="flex items-center justify-between">
               <span className="text-gray-400">Amount to Transfer:</span>
               <span className="text-2xl font-bold text-primary-400">
-                LKR {course?.price?.toFixed(2)}
+                LKR {(coupon ? coupon.finalAmount : item?.price)?.toFixed(2)}
               </span>
             </div>
+            {coupon && (
+              <p className="text-sm text-green-400 mt-2">
+                Coupon {coupon.code} applied (LKR {coupon.discountAmount.toFixed(2)} off)
+              </p>
+            )}
           </div>
 
           {/* Bank Details */}
@@ -181,7 +206,7 @@ export default function BankTransferModal({ isOpen, onClose, course, user }) {
             <div className="border-2 border-dashed border-gray-600 rounded-lg p-6 text-center">
               <input
                 type="file"
-                accept="image/*,.pdf"
+                accept="image/jpeg,image/png,image/webp,.pdf"
                 onChange={handleFileUpload}
                 className="hidden"
                 id="receipt-upload"
@@ -192,7 +217,7 @@ export default function BankTransferModal({ isOpen, onClose, course, user }) {
                   {receipt ? receipt.name : 'Click to upload receipt'}
                 </p>
                 <p className="text-xs text-gray-500">
-                  Supports: JPG, PNG, PDF (Max 5MB)
+                  Supports: JPG, PNG, WEBP, PDF (Max 5MB)
                 </p>
               </label>
             </div>
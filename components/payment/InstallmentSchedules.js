@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'react'
+import { FiCalendar, FiAlertTriangle } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import StripeButton from './StripeButton'
+import PayHereButton from './PayHereButton'
+
+const STATUS_BADGES = {
+  active: 'badge-success',
+  completed: 'badge-success',
+  suspended: 'badge-danger'
+}
+
+const formatDate = (value) => new Date(value).toLocaleDateString()
+
+export default function InstallmentSchedules({ user }) {
+  const [schedules, setSchedules] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [payingId, setPayingId] = useState(null)
+
+  useEffect(() => {
+    if (user) fetchSchedules()
+  }, [user])
+
+  const fetchSchedules = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('installment_schedules')
+        .select(`
+          *,
+          courses (id, title),
+          installments (id, installment_number, amount, due_date, status, paid_at)
+        `)
+        .eq('user_id', user.id)
+        .in('status', ['active', 'suspended', 'completed'])
+        .order('created_at', { ascending: false })
+
+      if (error) throw error
+      setSchedules(data || [])
+    } catch (error) {
+      console.error('Error fetching installment plans:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Nothing to show for students who never used a plan
+  if (loading || schedules.length === 0) return null
+
+  return (
+    <div className="card">
+      <h3 className="text-xl font-semibold text-white mb-6 flex items-center space-x-2">
+        <FiCalendar className="text-primary-400" />
+        <span>Installment Plans</span>
+      </h3>
+
+      <div className="space-y-6">
+        {schedules.map((schedule) => {
+          const installments = [...(schedule.installments || [])]
+            .sort((a, b) => a.installment_number - b.installment_number)
+          const next = installments.find(installment => installment.status !== 'paid')
+          const paidCount = installments.filter(installment => installment.status === 'paid').length
+          const overdue = next && new Date(next.due_date) < new Date()
+
+          return (
+            <div key={schedule.id} className="p-4 rounded-lg bg-dark-700/50 border border-dark-600">
+              <div className="flex items-center justify-between mb-3">
+                <p className="text-white font-medium">{schedule.courses?.title}</p>
+                <span className={`badge ${STATUS_BADGES[schedule.status] || 'badge-warning'}`}>
+                  {schedule.status}
+                </span>
+              </div>
+
+              <p className="text-gray-400 text-sm mb-3">
+                {paidCount} of {schedule.installment_count} installments paid
+                {next && ` · next LKR ${Number(next.amount).toFixed(2)} due ${formatDate(next.due_date)}`}
+              </p>
+
+              {schedule.status === 'suspended' ? (
+                <div className="flex items-start space-x-2 p-3 mb-3 rounded-lg bg-red-500/10 text-red-400 text-sm">
+                  <FiAlertTriangle className="w-5 h-5 flex-shrink-0" />
+                  <p>Course access is paused until the overdue installment is paid.</p>
+                </div>
+              ) : overdue && (
+                <div className="flex items-start space-x-2 p-3 mb-3 rounded-lg bg-yellow-500/10 text-yellow-400 text-sm">
+                  <FiAlertTriangle className="w-5 h-5 flex-shrink-0" />
+                  <p>This installment is overdue. Pay it soon to keep access to the course.</p>
+                </div>
+              )}
+
+              {next && (
+                payingId === next.id ? (
+                  <div className="grid sm:grid-cols-2 gap-3">
+                    <StripeButton
+                      course={schedule.courses}
+                      user={user}
+                      installment={{ installmentId: next.id, amount: Number(next.amount) }}
+                      className="w-full"
+                    />
+                    <PayHereButton
+                      course={schedule.courses}
+                      user={user}
+                      installment={{ installmentId: next.id, amount: Number(next.amount) }}
+                      className="w-full"
+                    />
+                  </div>
+                ) : (
+                  <button onClick={() => setPayingId(next.id)} className="btn-primary">
+                    Pay Installment {next.installment_number}
+                  </button>
+                )
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import toast from 'react-hot-toast'
+import { FiStar, FiCreditCard, FiAlertTriangle } from 'react-icons/fi'
+import { supabase } from '../../lib/supabase'
+import { isMembershipActive } from '../../utils/auth'
+import { MEMBERSHIP_PLANS } from '../../utils/constants'
+
+const PLAN_LABELS = {
+  [MEMBERSHIP_PLANS.MONTHLY]: { name: 'Monthly', period: 'month' },
+  [MEMBERSHIP_PLANS.YEARLY]: { name: 'Yearly', period: 'year' }
+}
+
+const STATUS_BADGES = {
+  active: 'badge-success',
+  trialing: 'badge-success',
+  past_due: 'badge-warning',
+  unpaid: 'badge-warning',
+  canceled: 'badge-danger'
+}
+
+const formatDate = (value) => new Date(value).toLocaleDateString()
+
+export default function MembershipCard({ user }) {
+  const [membership, setMembership] = useState(null)
+  const [plans, setPlans] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+
+  useEffect(() => {
+    if (user) fetchMembership()
+  }, [user])
+
+  const fetchMembership = async () => {
+    try {
+      const [membershipResult, plansResponse] = await Promise.all([
+        supabase
+          .from('memberships')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle(),
+        axios.get('/api/memberships').catch(() => ({ data: { plans: [] } }))
+      ])
+
+      if (membershipResult.error) throw membershipResult.error
+
+      setMembership(membershipResult.data)
+      setPlans(plansResponse.data.plans || [])
+    } catch (error) {
+      console.error('Error fetching membership:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubscribe = async (plan) => {
+    setWorking(true)
+    try {
+      const response = await axios.post('/api/memberships', { userId: user.id, plan })
+      window.location.href = response.data.url
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start checkout')
+      setWorking(false)
+    }
+  }
+
+  const handleRenewal = async (cancel) => {
+    if (cancel && !confirm('Stop your membership from renewing? You keep access until the end of the current period.')) {
+      return
+    }
+
+    setWorking(true)
+    try {
+      const response = await axios.post('/api/memberships/renewal', { userId: user.id, cancel })
+      setMembership(response.data.membership)
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update membership')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleManageBilling = async () => {
+    setWorking(true)
+    try {
+      const response = await axios.post('/api/memberships/portal', { userId: user.id })
+      window.location.href = response.data.url
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to open billing portal')
+      setWorking(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="card flex justify-center py-8">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
+
+  const active = isMembershipActive(membership)
+  const failing = active && ['past_due', 'unpaid'].includes(membership.status)
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-white flex items-center space-x-2">
+          <FiStar className="text-yellow-400" />
+          <span>All-Access Membership</span>
+        </h3>
+        {membership && (
+          <span className={`badge ${STATUS_BADGES[membership.status] || 'badge-warning'}`}>
+            {membership.status.replace('_', ' ')}
+          </span>
+        )}
+      </div>
+
+      {active ? (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <p className="text-gray-500">Plan</p>
+              <p className="text-white font-medium">{PLAN_LABELS[membership.plan]?.name || membership.plan}</p>
+            </div>
+            {membership.current_period_end && (
+              <div>
+                <p className="text-gray-500">
+                  {membership.cancel_at_period_end ? 'Access ends' : 'Renews on'}
+                </p>
+                <p className="text-white font-medium">{formatDate(membership.current_period_end)}</p>
+              </div>
+            )}
+          </div>
+
+          {failing && (
+            <div className="flex items-start space-x-2 p-3 rounded-lg bg-yellow-500/10 text-yellow-400 text-sm">
+              <FiAlertTriangle className="w-5 h-5 flex-shrink-0" />
+              <p>
+                Your last renewal payment failed. Update your card before {formatDate(membership.grace_until)} to keep access.
+              </p>
+            </div>
+          )}
+
+          <p className="text-gray-400 text-sm">
+            Your membership gives you access to every published course.
+          </p>
+
+          <div className="flex flex-wrap gap-3">
+            <button
+              onClick={handleManageBilling}
+              disabled={working}
+              className="btn-primary flex items-center space-x-2"
+            >
+              <FiCreditCard />
+              <span>Manage Billing</span>
+            </button>
+            {membership.cancel_at_period_end ? (
+              <button onClick={() => handleRenewal(false)} disabled={working} className="btn-secondary">
+                Resume Membership
+              </button>
+            ) : (
+              <button onClick={() => handleRenewal(true)} disabled={working} className="btn-ghost">
+                Cancel Renewal
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-gray-400">
+            {membership
+              ? 'Your membership has ended. Rejoin to unlock every course again.'
+              : 'Get unlimited access to every published course with one subscription.'}
+          </p>
+
+          {plans.length === 0 ? (
+            <p className="text-gray-500 text-sm">Memberships are not available right now.</p>
+          ) : (
+            <div className="grid sm:grid-cols-2 gap-4">
+              {plans.map((plan) => (
+                <div key={plan.plan} className="p-4 rounded-lg bg-dark-700/50 border border-dark-600">
+                  <p className="text-white font-semibold">{PLAN_LABELS[plan.plan]?.name}</p>
+                  <p className="text-2xl font-bold text-white my-2">
+                    {plan.currency} {plan.amount.toLocaleString()}
+                    <span className="text-sm text-gray-400 font-normal"> / {PLAN_LABELS[plan.plan]?.period}</span>
+                  </p>
+                  <button
+                    onClick={() => handleSubscribe(plan.plan)}
+                    disabled={working}
+                    className="btn-primary w-full"
+                  >
+                    Subscribe
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {membership && (
+            <button onClick={handleManageBilling} disabled={working} className="btn-ghost text-sm">
+              View past invoices
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -3,8 +3,10 @@ import { FiCreditCard, FiLoader } from 'react-icons/fi'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 
-export default function PayHereButton({ course, user, onSuccess, onError, disabled = false, className = '' }) {
+export default function PayHereButton({ course, bundle = null, installment = null, gift = null, user, coupon = null, onSuccess, onError, disabled = false, className = '' }) {
   const [loading, setLoading] = useState(false)
+  const item = bundle || course
+  const price = installment ? installment.amount : coupon ? coupon.finalAmount : item?.price
 
   const handlePayHerePayment = async () => {
     if (!user) {
@@ -12,8 +14,8 @@ export default function PayHereButton({ course, user, onSuccess, onError, disabl
       return
     }
 
-    if (!course) {
-      toast.error('Course not found')
+    if (!item) {
+      toast.error(bundle ? 'Bundle not found' : 'Course not found')
       return
     }
 
@@ -21,32 +23,52 @@ export default function PayHereButton({ course, user, onSuccess, onError, disabl
 
     try {
       // Get hash from backend (like working implementation)
-      const response = await fetch('/api/payments/payhere?action=start', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          courseId: course.id,
-          userId: user.id,
-          amount: course.price.toString(),
-          title: course.title
-        }),
-      });
+      const response = installment
+        ? await fetch('/api/installments/checkout', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              method: 'payhere',
+              userId: user.id,
+              courseId: course.id,
+              planId: installment.planId,
+              installmentId: installment.installmentId
+            }),
+          })
+        : await fetch('/api/payments/payhere?action=start', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              ...(bundle ? { bundleId: bundle.id } : { courseId: course.id }),
+              userId: user.id,
+              amount: price.toString(),
+              title: item.title,
+              ...(coupon && { couponCode: coupon.code }),
+              ...(gift && { gift })
+            }),
+          });
 
       if (!response.ok) throw new Error('Failed to initiate payment');
 
-      const { hash, merchant_id, order_id, amount } = await response.json();
+      const { hash, merchant_id, order_id, amount, title } = await response.json();
 
       // Initialize PayHere payment (matching Stripe behavior)
       const payment = {
         sandbox: true, // Set to false for production
         merchant_id,
-        return_url: `${window.location.origin}/payment/success?order_id=${order_id}&course_id=${course.id}&payment_id=${order_id}`,
-        cancel_url: `${window.location.origin}/courses/${course.id}?canceled=true`,
+        return_url: bundle
+          ? `${window.location.origin}/payment/success?order_id=${order_id}&bundle_id=${bundle.id}&payment_id=${order_id}`
+          : `${window.location.origin}/payment/success?order_id=${order_id}&course_id=${course.id}&payment_id=${order_id}`,
+        cancel_url: bundle
+          ? `${window.location.origin}/courses?canceled=true`
+          : `${window.location.origin}/courses/${course.id}?canceled=true`,
         notify_url: `${window.location.origin}/api/payments/payhere-callback`,
         order_id: order_id,
-        items: course.title,
+        items: title || item.title,
         amount: amount,
         currency: 'LKR',
         first_name: user.name?.split(' ')[0] || 'User',
@@ -113,9 +135,9 @@ export default function PayHereButton({ course, user, onSuccess, onError, disabl
         <>
           <FiCreditCard className="w-5 h-5" />
           <span>Pay with PayHere</span>
-          {course?.price && (
+          {price && (
             <span className="font-bold">
-              LKR {course.price.toFixed(2)}
+              LKR {price.toFixed(2)}
             </span>
           )}
         </>
@@ -3,23 +3,27 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { FiX, FiCreditCard, FiDollarSign, FiUpload, FiCheck } from 'react-icons/fi'
 import { FaWhatsapp } from 'react-icons/fa'
 import toast from 'react-hot-toast'
-import { supabase } from '../../lib/supabase'
 import { loadStripe } from '@stripe/stripe-js'
 import axios from 'axios'
+import { formatCurrency } from '../../utils/format'
+import { getListedPrice } from '../../utils/currency'
+import { CURRENCY } from '../../utils/constants'
 
 const stripePromise = loadStripe(process.env.NEXT_PUBLIC_STRIPE_PUBLISHABLE_KEY)
 
-export default function PaymentModal({ isOpen, onClose, course, user }) {
+export default function PaymentModal({ isOpen, onClose, course, user, currency = CURRENCY.CODE }) {
   const [paymentMethod, setPaymentMethod] = useState('payhere')
   const [loading, setLoading] = useState(false)
   const [bankReceipt, setBankReceipt] = useState(null)
   
-  const formatPrice = (price) => {
-    return `LKR ${(price).toLocaleString('en-US', {
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    })}`
-  }
+  // Cards are charged the price listed in the visitor's currency; PayHere
+  // and bank transfers are always in LKR
+  const listedPrice = getListedPrice(course, currency)
+  const amountDue = paymentMethod === 'stripe'
+    ? listedPrice
+    : { amount: course?.price, currency: CURRENCY.CODE }
+
+  const formatPrice = ({ amount, currency }) => formatCurrency(amount, { currency })
   
   const handlePayHerePayment = async () => {
     setLoading(true)
@@ -108,7 +112,8 @@ export default function PaymentModal({ isOpen, onClose, course, user }) {
       // Create Stripe checkout session
       const response = await axios.post('/api/payments/create-checkout', {
         courseId: course.id,
-        userId: user.id
+        userId: user.id,
+        currency
       })
       
       const { sessionId } = response.data
@@ -134,28 +139,20 @@ export default function PaymentModal({ isOpen, onClose, course, user }) {
     setLoading(true)
     
     try {
-      // Create payment record for bank transfer
-      const { data: payment, error } = await supabase
-        .from('payments')
-        .insert({
-          user_id: user.id,
-          course_id: course.id,
-          amount: course.price,
-          method: 'bank_transfer',
-          status: 'pending',
-          receipt_url: bankReceipt
-        })
-        .select()
-        .single()
+      const formData = new FormData()
+      formData.append('userId', user.id)
+      formData.append('courseId', course.id)
+      formData.append('receipt', bankReceipt)
 
-      if (error) throw error
+      const response = await axios.post('/api/payments/bank-transfer', formData)
 
       toast.success('Bank transfer submitted for verification')
+      toast.success(`Your transfer reference is ${response.data.transferReference}`)
       onClose()
       
     } catch (error) {
       console.error('Bank transfer error:', error)
-      toast.error('Failed to submit bank transfer')
+      toast.error(error.response?.data?.error || 'Failed to submit bank transfer')
     } finally {
       setLoading(false)
     }
@@ -197,7 +194,7 @@ export default function PaymentModal({ isOpen, onClose, course, user }) {
                 <h3 className="text-lg font-semibold text-white">{course.title}</h3>
                 <p className="text-gray-400">{course.category}</p>
                 <p className="text-2xl font-bold text-primary-400 mt-1">
-                  {formatPrice(course.price)}
+                  {formatPrice(listedPrice)}
                 </p>
               </div>
             </div>
@@ -318,7 +315,7 @@ export default function PaymentModal({ isOpen, onClose, course, user }) {
                   <p><strong>Account Name:</strong> MathPro Academy</p>
                   <p><strong>Account Number:</strong> 1234567890</p>
                   <p><strong>Branch:</strong> Colombo Main Branch</p>
-                  <p><strong>Amount:</strong> {formatPrice(course.price)}</p>
+                  <p><strong>Amount:</strong> {formatPrice({ amount: course.price, currency: CURRENCY.CODE })}</p>
                 </div>
                 
                 <div className="mt-4">
@@ -327,7 +324,7 @@ export default function PaymentModal({ isOpen, onClose, course, user }) {
                   </label>
                   <input
                     type="file"
-                    accept="image/*,.pdf"
+                    accept="image/jpeg,image/png,image/webp,.pdf"
                     onChange={(e) => setBankReceipt(e.target.files[0])}
                     className="w-full p-3 bg-dark-600 border border-dark-500 rounded-lg text-white"
                   />
@@ -359,7 +356,7 @@ export default function PaymentModal({ isOpen, onClose, course, user }) {
                     <span>Processing...</span>
                   </div>
                 ) : (
-                  `Pay ${formatPrice(course.price)}`
+                  `Pay ${formatPrice(amountDue)}`
                 )}
               </button>
             </div>
@@ -4,12 +4,20 @@ import { loadStripe } from '@stripe/stripe-js'
 import axios from 'axios'
 import toast from 'react-hot-toast'
 import { STRIPE_CONFIG } from '../../lib/stripe'
+import { formatCurrency } from '../../utils/format'
+import { getListedCharge } from '../../utils/currency'
 
 // Initialize Stripe
 const stripePromise = loadStripe(STRIPE_CONFIG.PUBLISHABLE_KEY)
 
-export default function StripeButton({ course, user, onSuccess, onError, disabled = false, className = '' }) {
+export default function StripeButton({ course, bundle = null, installment = null, gift = null, user, coupon = null, currency, onSuccess, onError, disabled = false, className = '' }) {
   const [loading, setLoading] = useState(false)
+  const item = bundle || course
+  const price = installment ? installment.amount : coupon ? coupon.finalAmount : item?.price
+  // A course listed in the visitor's currency is charged in it
+  const listedCharge = !bundle && !installment && course && currency && price
+    ? getListedCharge(course, currency, price)
+    : null
 
   const handleStripePayment = async () => {
     if (!user) {
@@ -17,21 +25,32 @@ export default function StripeButton({ course, user, onSuccess, onError, disable
       return
     }
 
-    if (!course) {
-      toast.error('Course not found')
+    if (!item) {
+      toast.error(bundle ? 'Bundle not found' : 'Course not found')
       return
     }
 
     setLoading(true)
     
     try {
-      // Create checkout session
-      const response = await axios.post('/api/payments/create-checkout', {
-        courseId: course.id,
-        price: course.price,
-        title: course.title,
-        userId: user.id
-      })
+      // Create checkout session; installments are priced by their schedule
+      const response = installment
+        ? await axios.post('/api/installments/checkout', {
+            method: 'stripe',
+            userId: user.id,
+            courseId: course.id,
+            planId: installment.planId,
+            installmentId: installment.installmentId
+          })
+        : await axios.post('/api/payments/create-checkout', {
+            ...(bundle ? { bundleId: bundle.id } : { courseId: course.id }),
+            price,
+            title: item.title,
+            userId: user.id,
+            ...(currency && { currency }),
+            ...(coupon && { couponCode: coupon.code }),
+            ...(gift && { gift })
+          })
 
       const { sessionId, url } = response.data
       
@@ -62,7 +81,7 @@ export default function StripeButton({ course, user, onSuccess, onError, disable
       }
     } catch (error) {
       console.error('Stripe payment error:', error)
-      toast.error('Payment failed. Please try again.')
+      toast.error(error.response?.data?.message || error.response?.data?.error || 'Payment failed. Please try again.')
       if (onError) onError(error)
     } finally {
       setLoading(false)
@@ -72,7 +91,7 @@ export default function StripeButton({ course, user, onSuccess, onError, disable
   return (
     <button
       onClick={handleStripePayment}
-      disabled={disabled || loading || !course?.price}
+      disabled={disabled || loading || !price}
       className={`btn-primary flex items-center justify-center space-x-2 ${className}`}
     >
       {loading ? (
@@ -84,9 +103,11 @@ export default function StripeButton({ course, user, onSuccess, onError, disable
         <>
           <FiCreditCard className="w-5 h-5" />
           <span>Pay with Card</span>
-          {course?.price && (
+          {price && (
             <span className="font-bold">
-              LKR {course.price.toFixed(2)}
+              {listedCharge
+                ? formatCurrency(listedCharge.amount, { currency: listedCharge.currency })
+                : `LKR ${price.toFixed(2)}`}
             </span>
           )}
         </>
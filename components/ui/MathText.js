@@ -0,0 +1,12 @@
+import { useMemo } from 'react'
+import { renderMath } from '../../utils/math'
+
+/**
+ * Text with `$...$` and `$$...$$` formulas rendered by KaTeX.
+ * Pass `html` for content that is already HTML, like post lessons.
+ */
+export default function MathText({ text, as: Component = 'span', html = false, className = '' }) {
+  const markup = useMemo(() => renderMath(text || '', { html }), [text, html])
+
+  return <Component className={className} dangerouslySetInnerHTML={{ __html: markup }} />
+}
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from 'react'
+import toast from 'react-hot-toast'
+import {
+  getGuestCart,
+  addToGuestCart,
+  removeFromGuestCart,
+  clearGuestCart,
+  notifyCartUpdated,
+  getCartTotal
+} from '../utils/cart'
+import { CART } from '../utils/constants'
+
+/**
+ * Custom hook for the shopping cart
+ * Signed-in users get their saved cart; guests get the local one, which is
+ * merged into the saved cart the first time they load it signed in.
+ * Every mounted cart reloads when any of them changes.
+ * @param {Object} user - Current user object
+ * @returns {Object} Cart items and functions to change them
+ */
+export function useCart(user) {
+  const [items, setItems] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  const loadCart = useCallback(async () => {
+    if (!user) {
+      setItems(getGuestCart())
+      return
+    }
+
+    try {
+      setLoading(true)
+
+      const guestItems = getGuestCart()
+      const response = guestItems.length
+        ? await fetch('/api/cart/sync', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+              userId: user.id,
+              courseIds: guestItems.map(item => item.id)
+            })
+          })
+        : await fetch(`/api/cart?userId=${user.id}`)
+
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to load cart')
+      }
+
+      setItems(result.items)
+
+      if (guestItems.length) {
+        clearGuestCart()
+      }
+    } catch (error) {
+      console.error('Error loading cart:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [user])
+
+  useEffect(() => {
+    loadCart()
+
+    window.addEventListener(CART.UPDATED_EVENT, loadCart)
+    return () => window.removeEventListener(CART.UPDATED_EVENT, loadCart)
+  }, [loadCart])
+
+  const updateSavedCart = useCallback(async (method, courseId) => {
+    const response = await fetch('/api/cart', {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ userId: user.id, courseId })
+    })
+
+    const result = await response.json()
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to update cart')
+    }
+
+    setItems(result.items)
+    notifyCartUpdated()
+  }, [user])
+
+  /**
+   * Add a course to the cart
+   * @param {{ id: string, title: string, price: number, thumbnail?: string }} course
+   * @returns {Promise<boolean>} whether the course is in the cart afterwards
+   */
+  const addItem = useCallback(async (course) => {
+    try {
+      if (!user) {
+        if (!addToGuestCart(course)) {
+          throw new Error(`A cart can hold up to ${CART.MAX_ITEMS} courses`)
+        }
+      } else {
+        await updateSavedCart('POST', course.id)
+      }
+
+      toast.success('Added to cart')
+      return true
+    } catch (error) {
+      toast.error(error.message)
+      return false
+    }
+  }, [user, updateSavedCart])
+
+  const removeItem = useCallback(async (courseId) => {
+    try {
+      if (!user) {
+        removeFromGuestCart(courseId)
+      } else {
+        await updateSavedCart('DELETE', courseId)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }, [user, updateSavedCart])
+
+  const isInCart = useCallback((courseId) => {
+    return items.some(item => item.id === courseId)
+  }, [items])
+
+  return {
+    items,
+    count: items.length,
+    total: getCartTotal(items),
+    loading,
+    addItem,
+    removeItem,
+    isInCart,
+    reload: loadCart
+  }
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react'
+import { resolveVisitorCurrency } from '../utils/currency'
+import { CURRENCY } from '../utils/constants'
+
+/**
+ * Custom hook for the currency prices are shown in
+ * Uses the currency saved on the user's profile, else the one their browser
+ * locale suggests. Starts as LKR so server and client renders match.
+ * @param {Object} user - Current user object
+ * @returns {string} Currency code
+ */
+export function useCurrency(user) {
+  const [currency, setCurrency] = useState(CURRENCY.CODE)
+
+  useEffect(() => {
+    setCurrency(resolveVisitorCurrency({
+      profileCurrency: user?.currency,
+      locale: navigator.language
+    }))
+  }, [user?.currency])
+
+  return currency
+}
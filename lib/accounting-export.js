@@ -0,0 +1,342 @@
+/**
+ * Accounting exports
+ *
+ * Payments in a date range as a generic CSV, a QuickBooks IIF journal or
+ * an Xero bank statement CSV. The export is written a page of payments at
+ * a time so long ranges are never held in memory at once.
+ *
+ * Journal and bank amounts are in LKR, the currency courses are priced
+ * in. Only paid and refunded payments post to them: a sale (less the
+ * gateway fee) on the day it was paid, and a reversal on the day it was
+ * refunded. The generic CSV lists every payment in the requested statuses.
+ */
+
+import { supabase } from './supabase-admin'
+import { ValidationError } from './errors'
+import { PAID_PAYMENT_STATUSES } from './purchases'
+import { ACCOUNTING_EXPORT } from '../utils/constants'
+import { getOrderTitle } from '../utils/cart'
+
+const { FORMATS, ACCOUNTS, TIME_ZONE, UTC_OFFSET } = ACCOUNTING_EXPORT
+
+export const EXPORT_PAGE_SIZE = 1000
+
+const EXPORT_SELECT = `
+  *,
+  profiles (name, email),
+  courses (title),
+  bundles (title),
+  invoices (document_type, invoice_number)
+`
+
+const GATEWAY_NAMES = {
+  stripe: 'Stripe',
+  payhere: 'PayHere'
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+const escapeCsvValue = (value) => {
+  const text = value == null ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvLine = (row) => row.map(escapeCsvValue).join(',')
+
+// IIF is tab separated with no quoting, so tabs and newlines are dropped
+const toIifLine = (row) => row.map(value => (value == null ? '' : String(value)).replace(/[\t\r\n]+/g, ' ')).join('\t')
+
+const dateFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+})
+
+const getLocalDate = (date) => {
+  const parts = dateFormatter.formatToParts(new Date(date))
+  return Object.fromEntries(parts.map(part => [part.type, part.value]))
+}
+
+const formatIsoDate = (date) => {
+  const { year, month, day } = getLocalDate(date)
+  return `${year}-${month}-${day}`
+}
+
+/**
+ * Turn an inclusive range of local dates into created_at bounds
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {{ start: string, end: string }} ISO timestamps, end exclusive
+ */
+export const getExportRange = (from, to) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+  if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+    throw new ValidationError('Dates must be in YYYY-MM-DD format')
+  }
+
+  const start = new Date(`${from}T00:00:00${UTC_OFFSET}`)
+  const end = new Date(`${to}T00:00:00${UTC_OFFSET}`)
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new ValidationError('Invalid date range')
+  }
+
+  if (end < start) {
+    throw new ValidationError('The start date must be on or before the end date')
+  }
+
+  end.setUTCDate(end.getUTCDate() + 1)
+  return { start: start.toISOString(), end: end.toISOString() }
+}
+
+/**
+ * What a payment was for
+ */
+export const getPaymentItem = (payment) => {
+  return payment.courses?.title || payment.bundles?.title || getOrderTitle(payment.order_items || [])
+}
+
+const getDocumentNumber = (payment, documentType) => {
+  return (payment.invoices || []).find(document => document.document_type === documentType)?.invoice_number || ''
+}
+
+const getGatewayReference = (payment) => {
+  return payment.payment_id || payment.payhere_payment_id || payment.transfer_reference || ''
+}
+
+/**
+ * Gateway fee in the payment's own currency. Stripe reports fees in the
+ * currency it settles in, which is converted back with the payment's rate
+ * snapshot. Null when there is no fee or it cannot be converted.
+ * @param {Object} payment
+ * @returns {number|null}
+ */
+export const getFeeInBaseCurrency = (payment) => {
+  if (payment.gateway_fee == null) return null
+
+  const fee = Number(payment.gateway_fee)
+  const feeCurrency = payment.gateway_fee_currency?.toUpperCase()
+
+  if (!feeCurrency || feeCurrency === payment.currency?.toUpperCase()) {
+    return roundAmount(fee)
+  }
+
+  const rate = Number(payment.exchange_rate)
+  if (feeCurrency === payment.charged_currency?.toUpperCase() && rate > 0) {
+    return roundAmount(fee / rate)
+  }
+
+  return null
+}
+
+// Journal entries for a payment: the sale, and its reversal if refunded
+const getJournalEntries = (payment) => {
+  const isRefunded = payment.status === 'refunded'
+  if (!isRefunded && !PAID_PAYMENT_STATUSES.includes(payment.status)) return []
+
+  // Scholarship waivers move no money, so there is nothing to post
+  const amount = roundAmount(Number(payment.amount))
+  if (!amount) return []
+
+  const customer = payment.profiles?.name || payment.profiles?.email || 'Unknown customer'
+  const item = getPaymentItem(payment)
+
+  const entries = [{
+    type: 'sale',
+    date: payment.approved_at || payment.created_at,
+    amount,
+    fee: getFeeInBaseCurrency(payment) || 0,
+    customer,
+    documentNumber: getDocumentNumber(payment, 'invoice'),
+    memo: item
+  }]
+
+  if (isRefunded) {
+    entries.push({
+      type: 'refund',
+      date: payment.refunded_at || payment.updated_at || payment.created_at,
+      amount,
+      fee: 0,
+      customer,
+      documentNumber: getDocumentNumber(payment, 'credit_note'),
+      memo: `Refund: ${item}`
+    })
+  }
+
+  return entries
+}
+
+export const CSV_HEADER = [
+  'date', 'payment_id', 'status', 'method', 'customer_name', 'customer_email', 'item',
+  'invoice_number', 'credit_note_number', 'amount', 'currency',
+  'charged_amount', 'charged_currency', 'exchange_rate', 'rate_id', 'rate_effective_from',
+  'gateway_fee', 'gateway_fee_currency', 'gateway_fee_base', 'net_amount',
+  'gateway_reference', 'refunded_at', 'refund_reference'
+]
+
+/**
+ * One generic CSV row per payment
+ * @param {Object} payment - payments row with profiles, courses, bundles and invoices
+ * @returns {Array<string|number>}
+ */
+export const paymentToCsvRow = (payment) => {
+  const snapshot = payment.exchange_rate_snapshot || {}
+  const baseFee = getFeeInBaseCurrency(payment)
+
+  return [
+    formatIsoDate(payment.created_at),
+    payment.id,
+    payment.status,
+    payment.method || '',
+    payment.profiles?.name || '',
+    payment.profiles?.email || '',
+    getPaymentItem(payment),
+    getDocumentNumber(payment, 'invoice'),
+    getDocumentNumber(payment, 'credit_note'),
+    payment.amount,
+    payment.currency,
+    payment.charged_amount ?? '',
+    payment.charged_currency || '',
+    payment.exchange_rate ?? '',
+    snapshot.rate_id || '',
+    snapshot.effective_from || '',
+    payment.gateway_fee ?? '',
+    payment.gateway_fee_currency || '',
+    baseFee ?? '',
+    baseFee === null ? '' : roundAmount(Number(payment.amount) - baseFee),
+    getGatewayReference(payment),
+    payment.refunded_at || '',
+    payment.refund_reference || ''
+  ]
+}
+
+export const IIF_HEADER = [
+  ['!TRNS', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+  ['!SPL', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+  ['!ENDTRNS']
+]
+
+/**
+ * QuickBooks IIF general journal lines for a payment. Each entry debits
+ * the clearing account with what the gateway paid out, debits fees and
+ * credits sales; refunds reverse the sale.
+ * @param {Object} payment
+ * @returns {Array<Array<string|number>>}
+ */
+export const paymentToIifRows = (payment) => {
+  return getJournalEntries(payment).flatMap(entry => {
+    const { year, month, day } = getLocalDate(entry.date)
+    const date = `${month}/${day}/${year}`
+    const sign = entry.type === 'refund' ? -1 : 1
+    const line = (type, account, amount) => [
+      type, 'GENERAL JOURNAL', date, account, entry.customer, roundAmount(amount), entry.documentNumber, entry.memo
+    ]
+
+    return [
+      line('TRNS', ACCOUNTS.CLEARING, sign * (entry.amount - entry.fee)),
+      ...(entry.fee ? [line('SPL', ACCOUNTS.FEES, entry.fee)] : []),
+      line('SPL', ACCOUNTS.SALES, -sign * entry.amount),
+      ['ENDTRNS']
+    ]
+  })
+}
+
+export const XERO_HEADER = ['Date', 'Amount', 'Payee', 'Description', 'Reference']
+
+/**
+ * Xero bank statement rows for a payment: the sale, the gateway fee as a
+ * separate debit and any refund
+ * @param {Object} payment
+ * @returns {Array<Array<string|number>>}
+ */
+export const paymentToXeroRows = (payment) => {
+  const gateway = GATEWAY_NAMES[payment.method] || payment.method || 'Gateway'
+  const reference = getGatewayReference(payment)
+
+  return getJournalEntries(payment).flatMap(entry => {
+    const { year, month, day } = getLocalDate(entry.date)
+    const date = `${day}/${month}/${year}`
+    const description = [entry.memo, entry.documentNumber].filter(Boolean).join(' - ')
+
+    const rows = [[
+      date,
+      entry.type === 'refund' ? -entry.amount : entry.amount,
+      entry.customer,
+      description,
+      reference
+    ]]
+
+    if (entry.fee) {
+      rows.push([date, -entry.fee, gateway, `${gateway} fee: ${entry.memo}`, reference])
+    }
+
+    return rows
+  })
+}
+
+const FORMAT_WRITERS = {
+  [FORMATS.CSV]: { header: [CSV_HEADER], toRows: (payment) => [paymentToCsvRow(payment)], toLine: toCsvLine },
+  [FORMATS.IIF]: { header: IIF_HEADER, toRows: paymentToIifRows, toLine: toIifLine },
+  [FORMATS.XERO]: { header: [XERO_HEADER], toRows: paymentToXeroRows, toLine: toCsvLine }
+}
+
+/**
+ * File name and content type for a download
+ * @param {string} format
+ * @param {string} from
+ * @param {string} to
+ */
+export const getExportFile = (format, from, to) => {
+  const suffix = format === FORMATS.XERO ? '-xero.csv' : `.${format}`
+
+  return {
+    filename: `payments-${from}-to-${to}${suffix}`,
+    contentType: format === FORMATS.IIF ? 'text/plain; charset=utf-8' : 'text/csv; charset=utf-8'
+  }
+}
+
+/**
+ * Write an export, fetching payments a page at a time
+ * @param {{ format: string, from: string, to: string, statuses?: string[] }} params
+ * @param {(chunk: string) => void} write - receives each page of output
+ * @returns {Promise<number>} number of payments exported
+ */
+export const writePaymentsExport = async ({ format, from, to, statuses = ACCOUNTING_EXPORT.STATUSES }, write) => {
+  const writer = FORMAT_WRITERS[format]
+  if (!writer) {
+    throw new ValidationError('Invalid export format')
+  }
+
+  const invalidStatus = statuses.find(status => !ACCOUNTING_EXPORT.STATUSES.includes(status))
+  if (!statuses.length || invalidStatus) {
+    throw new ValidationError('Invalid payment status', { status: invalidStatus })
+  }
+
+  const { start, end } = getExportRange(from, to)
+
+  // IIF lines end in CRLF, which QuickBooks on Windows expects
+  const newline = format === FORMATS.IIF ? '\r\n' : '\n'
+  write(writer.header.map(writer.toLine).join(newline) + newline)
+
+  let exported = 0
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('payments')
+      .select(EXPORT_SELECT)
+      .in('status', statuses)
+      .gte('created_at', start)
+      .lt('created_at', end)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + EXPORT_PAGE_SIZE - 1)
+
+    if (error) throw error
+
+    const lines = (data || []).flatMap(writer.toRows).map(writer.toLine)
+    if (lines.length) write(lines.join(newline) + newline)
+
+    exported += (data || []).length
+    if (!data || data.length < EXPORT_PAGE_SIZE) return exported
+  }
+}
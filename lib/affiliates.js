@@ -0,0 +1,391 @@
+/**
+ * Referral and affiliate program
+ *
+ * Affiliates share links carrying `?ref=CODE`. Opening one records a click
+ * and sets a cookie; a checkout started while it is set stores the
+ * affiliate on the payment (`payments.affiliate_id`). Once the payment is
+ * fulfilled its commission is added to the affiliate's ledger, using the
+ * course's commission rule or the default rate. Commissions become payable
+ * after the refund window and are settled by payouts admins record.
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase-admin'
+import { logger } from './logger'
+import { ValidationError, createNotFoundError } from './errors'
+import { AFFILIATE, COMMISSION_TYPES } from '../utils/constants'
+import { getOrderTitle } from '../utils/cart'
+import { isCommissionPayable } from '../utils/affiliates'
+
+export const AFFILIATE_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended'
+}
+
+export const COMMISSION_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  VOID: 'void'
+}
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Generate a referral code, e.g. 7K3Q9XPA. Ambiguous characters (0/O, 1/I)
+ * are left out so codes can be read out in a class or typed from a poster.
+ */
+export const generateReferralCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+  const bytes = crypto.randomBytes(8)
+  let code = ''
+  for (const byte of bytes) {
+    code += alphabet[byte % alphabet.length]
+  }
+  return code
+}
+
+/**
+ * Normalize a referral code from a link or cookie
+ */
+export const normalizeReferralCode = (code) => {
+  return typeof code === 'string' ? code.trim().toUpperCase() : ''
+}
+
+/**
+ * Commission on an amount (LKR) under a course's rule. Courses without a
+ * rule earn the default percentage.
+ * @param {{ commission_type: string, commission_value: number } | null} rule
+ * @param {number} amount
+ * @returns {number}
+ */
+export const calculateCommission = (rule, amount) => {
+  const type = rule?.commission_type || COMMISSION_TYPES.PERCENTAGE
+  const value = Number(rule ? rule.commission_value : AFFILIATE.DEFAULT_COMMISSION_PERCENT) || 0
+
+  const commission = type === COMMISSION_TYPES.PERCENTAGE
+    ? (amount * Math.min(value, 100)) / 100
+    : value
+
+  return roundAmount(Math.min(Math.max(commission, 0), amount))
+}
+
+/**
+ * Commission earned on a payment. Cart orders add up each course's
+ * commission on the price charged for it; bundles earn the default rate.
+ * @param {Object} payment
+ * @param {Object<string, Object>} rules - commission rules keyed by course ID
+ * @returns {number}
+ */
+export const getPaymentCommission = (payment, rules = {}) => {
+  if (payment.order_items?.length) {
+    return roundAmount(payment.order_items.reduce(
+      (sum, item) => sum + calculateCommission(rules[item.course_id] || null, Number(item.amount) || 0),
+      0
+    ))
+  }
+
+  const rule = payment.course_id ? rules[payment.course_id] : null
+  return calculateCommission(rule || null, Number(payment.amount) || 0)
+}
+
+const findAffiliateByCode = async (code) => {
+  const referralCode = normalizeReferralCode(code)
+  if (!referralCode) return null
+
+  const { data, error } = await supabase
+    .from('affiliates')
+    .select('id, user_id, code, status')
+    .eq('code', referralCode)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Record a visit from a referral link
+ * @param {{ code: string, landingPath?: string, ipAddress?: string }} params
+ * @returns {Promise<Object>} the affiliate
+ */
+export const recordReferralClick = async ({ code, landingPath, ipAddress }) => {
+  const affiliate = await findAffiliateByCode(code)
+
+  if (!affiliate || affiliate.status !== AFFILIATE_STATUS.ACTIVE) {
+    throw new ValidationError('Invalid referral code')
+  }
+
+  const { error } = await supabase
+    .from('referral_clicks')
+    .insert({
+      affiliate_id: affiliate.id,
+      landing_path: landingPath?.slice(0, 500) || null,
+      // Enough to spot repeat clicks without keeping visitors' addresses
+      ip_hash: ipAddress
+        ? crypto.createHash('sha256').update(ipAddress).digest('hex')
+        : null
+    })
+
+  if (error) throw error
+  return affiliate
+}
+
+/**
+ * Payment columns attributing a checkout to the affiliate whose cookie the
+ * buyer carries. Unknown or suspended codes and self-referrals earn
+ * nothing, and a failed lookup never blocks the checkout.
+ * @param {string} [code] - referral cookie value
+ * @param {string} userId - buyer
+ * @returns {Promise<{ affiliate_id?: string }>}
+ */
+export const getReferralPaymentFields = async (code, userId) => {
+  try {
+    const affiliate = await findAffiliateByCode(code)
+
+    if (!affiliate || affiliate.status !== AFFILIATE_STATUS.ACTIVE || affiliate.user_id === userId) {
+      return {}
+    }
+
+    return { affiliate_id: affiliate.id }
+  } catch (error) {
+    logger.warn('Referral lookup failed', 'PAYMENT', { code, userId, error })
+    return {}
+  }
+}
+
+/**
+ * Make a user an affiliate, or return their existing affiliate account
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+export const joinAffiliateProgram = async (userId) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('affiliates')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (existingError) throw existingError
+  if (existing) return existing
+
+  // Retry the rare code collision rather than failing the sign-up
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: affiliate, error } = await supabase
+      .from('affiliates')
+      .insert({ user_id: userId, code: generateReferralCode() })
+      .select()
+      .single()
+
+    if (!error) return affiliate
+    if (error.code !== '23505') throw error
+  }
+
+  throw new Error('Failed to generate a unique referral code')
+}
+
+/**
+ * Suspend an affiliate or make them active again. Suspended codes stop
+ * attributing new checkouts; commissions already earned are kept.
+ * @param {string} affiliateId
+ * @param {string} status
+ */
+export const setAffiliateStatus = async (affiliateId, status) => {
+  if (!Object.values(AFFILIATE_STATUS).includes(status)) {
+    throw new ValidationError('Invalid affiliate status')
+  }
+
+  const { data, error } = await supabase
+    .from('affiliates')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', affiliateId)
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw createNotFoundError('Affiliate', { affiliateId })
+
+  return data
+}
+
+/**
+ * Set a course's commission rule, or remove it when no type is given so
+ * the course earns the default rate
+ * @param {{ courseId: string, commissionType?: string, commissionValue?: number }} params
+ */
+export const setCommissionRule = async ({ courseId, commissionType, commissionValue }) => {
+  if (!commissionType) {
+    const { error } = await supabase
+      .from('affiliate_commission_rules')
+      .delete()
+      .eq('course_id', courseId)
+
+    if (error) throw error
+    return null
+  }
+
+  const value = Number(commissionValue)
+
+  if (!Object.values(COMMISSION_TYPES).includes(commissionType)) {
+    throw new ValidationError('Invalid commission type')
+  }
+
+  if (!Number.isFinite(value) || value < 0) {
+    throw new ValidationError('Commission must be zero or more')
+  }
+
+  if (commissionType === COMMISSION_TYPES.PERCENTAGE && value > 100) {
+    throw new ValidationError('Commission percentage cannot exceed 100')
+  }
+
+  const { data, error } = await supabase
+    .from('affiliate_commission_rules')
+    .upsert({
+      course_id: courseId,
+      commission_type: commissionType,
+      commission_value: value,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'course_id' })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Add the commission for a fulfilled referred payment to the affiliate's
+ * ledger. Safe to call again for the same payment.
+ * @param {Object} payment - payments row with courses and bundles
+ * @returns {Promise<Object|null>} affiliate_commissions row
+ */
+export const recordCommissionForPayment = async (payment) => {
+  if (!payment.affiliate_id) return null
+
+  const { data: existing, error: existingError } = await supabase
+    .from('affiliate_commissions')
+    .select('*')
+    .eq('payment_id', payment.id)
+    .maybeSingle()
+
+  if (existingError) throw existingError
+  if (existing) return existing
+
+  const courseIds = payment.order_items?.length
+    ? payment.order_items.map(item => item.course_id)
+    : [payment.course_id].filter(Boolean)
+
+  let rules = {}
+  if (courseIds.length) {
+    const { data, error } = await supabase
+      .from('affiliate_commission_rules')
+      .select('course_id, commission_type, commission_value')
+      .in('course_id', courseIds)
+
+    if (error) throw error
+    rules = Object.fromEntries((data || []).map(rule => [rule.course_id, rule]))
+  }
+
+  const { data: commission, error } = await supabase
+    .from('affiliate_commissions')
+    .insert({
+      affiliate_id: payment.affiliate_id,
+      payment_id: payment.id,
+      description: payment.courses?.title || payment.bundles?.title || getOrderTitle(payment.order_items),
+      order_amount: payment.amount,
+      amount: getPaymentCommission(payment, rules),
+      currency: payment.currency,
+      status: COMMISSION_STATUS.PENDING
+    })
+    .select()
+    .single()
+
+  // A concurrent delivery recorded it first
+  if (error?.code === '23505') {
+    const { data, error: refetchError } = await supabase
+      .from('affiliate_commissions')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .single()
+
+    if (refetchError) throw refetchError
+    return data
+  }
+
+  if (error) throw error
+  return commission
+}
+
+/**
+ * Cancel the unpaid commission on a refunded payment. Commissions already
+ * paid out are left for the admin to settle with the affiliate.
+ * @param {string} paymentId
+ */
+export const voidCommissionForPayment = async (paymentId) => {
+  const { error } = await supabase
+    .from('affiliate_commissions')
+    .update({ status: COMMISSION_STATUS.VOID, updated_at: new Date().toISOString() })
+    .eq('payment_id', paymentId)
+    .eq('status', COMMISSION_STATUS.PENDING)
+
+  if (error) throw error
+}
+
+/**
+ * Record a payout settling every payable commission of an affiliate
+ * @param {{ affiliateId: string, adminId: string, reference?: string }} params
+ * @returns {Promise<{ payout: Object, commissionCount: number }>}
+ */
+export const recordAffiliatePayout = async ({ affiliateId, adminId, reference }) => {
+  const now = new Date()
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('affiliate_commissions')
+    .select('id, amount, status, created_at')
+    .eq('affiliate_id', affiliateId)
+    .eq('status', COMMISSION_STATUS.PENDING)
+
+  if (pendingError) throw pendingError
+
+  const payable = (pending || []).filter(commission => isCommissionPayable(commission, now))
+  if (!payable.length) {
+    throw new ValidationError('No commissions are payable yet')
+  }
+
+  const total = roundAmount(payable.reduce((sum, commission) => sum + Number(commission.amount), 0))
+
+  const { data: payout, error: payoutError } = await supabase
+    .from('affiliate_payouts')
+    .insert({
+      affiliate_id: affiliateId,
+      amount: total,
+      reference: reference?.trim() || null,
+      paid_by: adminId,
+      paid_at: now.toISOString()
+    })
+    .select()
+    .single()
+
+  if (payoutError) throw payoutError
+
+  const { data: settled, error: settleError } = await supabase
+    .from('affiliate_commissions')
+    .update({ status: COMMISSION_STATUS.PAID, payout_id: payout.id, updated_at: now.toISOString() })
+    .in('id', payable.map(commission => commission.id))
+    .eq('status', COMMISSION_STATUS.PENDING)
+    .select('amount')
+
+  if (settleError) throw settleError
+
+  // A refund can void a commission between reading and settling it
+  const settledTotal = roundAmount((settled || []).reduce((sum, commission) => sum + Number(commission.amount), 0))
+  if (settledTotal !== total) {
+    const { error } = await supabase
+      .from('affiliate_payouts')
+      .update({ amount: settledTotal })
+      .eq('id', payout.id)
+
+    if (error) throw error
+    payout.amount = settledTotal
+  }
+
+  return { payout, commissionCount: (settled || []).length }
+}
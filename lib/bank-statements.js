@@ -0,0 +1,389 @@
+/**
+ * Bank statement import
+ *
+ * Admins upload the bank's CSV statement export. Each credit is matched to
+ * a pending bank transfer by its transfer reference, amount and date:
+ * confident matches are approved through the normal approval flow, the
+ * rest are saved as ambiguous for an admin to decide. Lines already
+ * imported from an earlier statement are skipped.
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase-admin'
+import { ValidationError, createNotFoundError } from './errors'
+import { approveBankTransfer } from './bank-transfer'
+
+export const STATEMENT_LINE_STATUS = {
+  MATCHED: 'matched',
+  AMBIGUOUS: 'ambiguous',
+  UNMATCHED: 'unmatched',
+  IGNORED: 'ignored'
+}
+
+// Students upload the receipt some days after paying and banks post
+// credits a day or two late, so dates only need to be this close
+export const MATCH_WINDOW_DAYS = 7
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Header names used by the banks we see, first match wins
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'txn date', 'value date', 'posting date'],
+  description: ['description', 'narration', 'details', 'particulars', 'remarks', 'reference'],
+  credit: ['credit', 'credit amount', 'deposit', 'deposits', 'amount']
+}
+
+/**
+ * Split one CSV line, honouring quoted cells such as "1,500.00"
+ */
+const splitCsvLine = (line) => {
+  const cells = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else {
+        quoted = !quoted
+      }
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim())
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  cells.push(cell.trim())
+  return cells
+}
+
+/**
+ * Parse a statement amount such as "1,500.00", "LKR 1500" or "(250.00)".
+ * Returns NaN when the cell is not an amount.
+ */
+export const parseStatementAmount = (value) => {
+  const text = String(value || '').trim()
+  if (!text) return NaN
+
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-')
+  const digits = text
+    .replace(/[(),\s-]/g, '')
+    .replace(/^[^\d]+/, '')
+    .replace(/[^\d]+$/, '')
+
+  if (!/^\d+(\.\d+)?$/.test(digits)) return NaN
+
+  const amount = Number(digits)
+  return negative ? -amount : amount
+}
+
+/**
+ * Parse a statement date in ISO (2026-05-02) or day-first (02/05/2026)
+ * form. Returns YYYY-MM-DD, or null when the date is invalid.
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || '').trim()
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/)
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/)
+
+  const [year, month, day] = iso
+    ? [iso[1], iso[2], iso[3]]
+    : dayFirst
+      ? [dayFirst[3], dayFirst[2], dayFirst[1]]
+      : []
+
+  if (!year) return null
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null
+  }
+
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Parse a bank statement CSV. The header needs a date column, a description
+ * column and a credit (or signed amount) column; see COLUMN_ALIASES.
+ * Debits and empty credits are skipped. Every credit line is validated so
+ * an import is all-or-nothing.
+ * @param {string} text
+ * @returns {{ rows: Array<{ line: number, date: string, description: string, amount: number }>, skipped: number, errors: { line: number, message: string }[] }}
+ */
+export const parseBankStatementCsv = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, cells: splitCsvLine(line) }))
+    .filter(({ cells }) => cells.some(Boolean))
+
+  if (!lines.length) {
+    return { rows: [], skipped: 0, errors: [{ line: 1, message: 'File is empty' }] }
+  }
+
+  const header = lines[0].cells.map(cell => cell.toLowerCase())
+  const columnFor = (aliases) => aliases.map(alias => header.indexOf(alias)).find(index => index !== -1)
+  const dateColumn = columnFor(COLUMN_ALIASES.date)
+  const creditColumn = columnFor(COLUMN_ALIASES.credit)
+  const descriptionColumns = COLUMN_ALIASES.description
+    .map(alias => header.indexOf(alias))
+    .filter(index => index !== -1)
+
+  const missing = [
+    dateColumn === undefined && 'date',
+    !descriptionColumns.length && 'description',
+    creditColumn === undefined && 'credit'
+  ].filter(Boolean)
+
+  if (missing.length) {
+    return { rows: [], skipped: 0, errors: [{ line: 1, message: `Missing columns: ${missing.join(', ')}` }] }
+  }
+
+  const rows = []
+  const errors = []
+  let skipped = 0
+
+  lines.slice(1).forEach(({ line, cells }) => {
+    const credit = cells[creditColumn] || ''
+    const amount = parseStatementAmount(credit)
+
+    if (!credit || amount <= 0) {
+      skipped++
+      return
+    }
+
+    if (Number.isNaN(amount)) {
+      errors.push({ line, message: `Amount "${credit}" is not a number` })
+      return
+    }
+
+    const date = parseStatementDate(cells[dateColumn])
+    if (!date) {
+      errors.push({ line, message: 'Date is invalid' })
+      return
+    }
+
+    rows.push({
+      line,
+      date,
+      description: descriptionColumns.map(index => cells[index]).filter(Boolean).join(' '),
+      amount: Math.round(amount * 100) / 100
+    })
+  })
+
+  return { rows, skipped, errors }
+}
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+/**
+ * Whether a statement description quotes a transfer reference. Students
+ * often drop the BT- prefix or add spaces, so both are ignored.
+ */
+export const mentionsReference = (description, reference) => {
+  const code = normalizeReference(reference).replace(/^BT/, '')
+  return code.length > 0 && normalizeReference(description).includes(code)
+}
+
+const amountsMatch = (a, b) => Math.abs(Number(a) - Number(b)) < 0.005
+
+const withinWindow = (date, createdAt) => {
+  const days = Math.abs(Date.parse(date) - Date.parse(String(createdAt).slice(0, 10))) / DAY_MS
+  return days <= MATCH_WINDOW_DAYS
+}
+
+/**
+ * Match statement credits to pending bank transfers. A credit is matched
+ * only when it quotes exactly one transfer's reference and agrees with it
+ * on amount and date. A credit that quotes references but disagrees, or
+ * quotes none but has the amount of transfers made around that date, is
+ * ambiguous. A transfer matched by one credit is not offered for another.
+ * @param {Array<{ date: string, description: string, amount: number }>} rows
+ * @param {Array<{ id: string, amount: number, transfer_reference: string, created_at: string }>} payments
+ * @returns {Array<{ row: Object, status: string, payment: Object|null, candidates: Object[] }>}
+ */
+export const matchStatement = (rows, payments) => {
+  const claimed = new Set()
+
+  const confident = rows.map(row => {
+    const quoted = payments.filter(payment => mentionsReference(row.description, payment.transfer_reference))
+    const [payment] = quoted
+
+    if (
+      quoted.length === 1 &&
+      !claimed.has(payment.id) &&
+      amountsMatch(row.amount, payment.amount) &&
+      withinWindow(row.date, payment.created_at)
+    ) {
+      claimed.add(payment.id)
+      return payment
+    }
+
+    return null
+  })
+
+  const open = payments.filter(payment => !claimed.has(payment.id))
+
+  return rows.map((row, index) => {
+    if (confident[index]) {
+      return { row, status: STATEMENT_LINE_STATUS.MATCHED, payment: confident[index], candidates: [confident[index]] }
+    }
+
+    const quoted = open.filter(payment => mentionsReference(row.description, payment.transfer_reference))
+    const candidates = quoted.length
+      ? quoted
+      : open.filter(payment => amountsMatch(row.amount, payment.amount) && withinWindow(row.date, payment.created_at))
+
+    return {
+      row,
+      status: candidates.length ? STATEMENT_LINE_STATUS.AMBIGUOUS : STATEMENT_LINE_STATUS.UNMATCHED,
+      payment: null,
+      candidates
+    }
+  })
+}
+
+/**
+ * Fingerprint of a statement line, so importing an overlapping statement
+ * does not record the same credit twice. Identical lines in one file are
+ * told apart by their position among themselves.
+ */
+export const getStatementLineHashes = (rows) => {
+  const seen = {}
+
+  return rows.map(row => {
+    const key = [row.date, row.amount.toFixed(2), normalizeReference(row.description)].join('|')
+    seen[key] = (seen[key] || 0) + 1
+    return crypto.createHash('sha256').update(`${key}|${seen[key]}`).digest('hex')
+  })
+}
+
+/**
+ * Save parsed statement credits, approve the confident matches and keep
+ * the rest for review
+ * @param {Array<{ date: string, description: string, amount: number }>} rows
+ * @param {string} adminId
+ * @returns {Promise<{ matched: number, ambiguous: number, unmatched: number, duplicates: number, failedSteps: Array<{ paymentId: string, steps: string[] }> }>}
+ */
+export const importBankStatement = async (rows, adminId) => {
+  const hashes = getStatementLineHashes(rows)
+
+  const { data: existing, error: existingError } = await supabase
+    .from('bank_statement_lines')
+    .select('line_hash')
+    .in('line_hash', hashes)
+
+  if (existingError) throw existingError
+
+  const imported = new Set((existing || []).map(line => line.line_hash))
+  const newRows = rows
+    .map((row, index) => ({ ...row, hash: hashes[index] }))
+    .filter(row => !imported.has(row.hash))
+
+  const { data: pendingPayments, error: paymentsError } = await supabase
+    .from('payments')
+    .select('id, amount, transfer_reference, created_at')
+    .eq('method', 'bank_transfer')
+    .eq('status', 'pending')
+
+  if (paymentsError) throw paymentsError
+
+  const matches = matchStatement(newRows, pendingPayments || [])
+  const summary = { matched: 0, ambiguous: 0, unmatched: 0, duplicates: rows.length - newRows.length, failedSteps: [] }
+
+  if (!matches.length) return summary
+
+  // Lines are saved before anything is approved so a failed approval
+  // still leaves the credit on record for review
+  const { data: lines, error: insertError } = await supabase
+    .from('bank_statement_lines')
+    .insert(matches.map(({ row, status, payment, candidates }) => ({
+      statement_date: row.date,
+      description: row.description,
+      amount: row.amount,
+      line_hash: row.hash,
+      status,
+      payment_id: payment?.id || null,
+      candidate_payment_ids: candidates.map(candidate => candidate.id),
+      imported_by: adminId
+    })))
+    .select('id, line_hash')
+
+  if (insertError) throw insertError
+
+  const lineIds = Object.fromEntries(lines.map(line => [line.line_hash, line.id]))
+
+  for (const { row, status, payment } of matches) {
+    if (status !== STATEMENT_LINE_STATUS.MATCHED) {
+      summary[status]++
+      continue
+    }
+
+    try {
+      const { failedSteps } = await approveBankTransfer(payment.id, adminId)
+      if (failedSteps.length) {
+        summary.failedSteps.push({ paymentId: payment.id, steps: failedSteps })
+      }
+      summary.matched++
+    } catch (error) {
+      // Approved or rejected by someone else since we loaded it; let an
+      // admin look at the credit instead
+      console.error('Bank statement approval failed:', payment.id, error.message)
+      await supabase
+        .from('bank_statement_lines')
+        .update({ status: STATEMENT_LINE_STATUS.AMBIGUOUS, payment_id: null })
+        .eq('id', lineIds[row.hash])
+      summary.ambiguous++
+    }
+  }
+
+  return summary
+}
+
+/**
+ * Settle a statement line an admin reviewed: approve the transfer they
+ * picked, or ignore the credit when it is not for any transfer
+ * @param {string} lineId
+ * @param {{ paymentId?: string, adminId: string }} decision
+ * @returns {Promise<{ line: Object, failedSteps: string[] }>}
+ */
+export const resolveStatementLine = async (lineId, { paymentId, adminId }) => {
+  const { data: line, error } = await supabase
+    .from('bank_statement_lines')
+    .select('*')
+    .eq('id', lineId)
+    .single()
+
+  if (error || !line) {
+    throw createNotFoundError('Statement line')
+  }
+
+  if (![STATEMENT_LINE_STATUS.AMBIGUOUS, STATEMENT_LINE_STATUS.UNMATCHED].includes(line.status)) {
+    throw new ValidationError('Statement line already resolved')
+  }
+
+  const { failedSteps } = paymentId
+    ? await approveBankTransfer(paymentId, adminId)
+    : { failedSteps: [] }
+
+  const { data: resolved, error: updateError } = await supabase
+    .from('bank_statement_lines')
+    .update({
+      status: paymentId ? STATEMENT_LINE_STATUS.MATCHED : STATEMENT_LINE_STATUS.IGNORED,
+      payment_id: paymentId || null,
+      resolved_by: adminId,
+      resolved_at: new Date().toISOString()
+    })
+    .eq('id', lineId)
+    .select()
+    .single()
+
+  if (updateError) throw updateError
+
+  return { line: resolved, failedSteps }
+}
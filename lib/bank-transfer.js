@@ -0,0 +1,100 @@
+import crypto from 'crypto'
+import { supabase } from './supabase-admin'
+import { ValidationError, createNotFoundError } from './errors'
+import { fulfillPayment, FULFILLMENT_SOURCES } from './fulfillment'
+
+// Private bucket holding uploaded bank transfer receipts
+export const RECEIPT_BUCKET = 'payment-receipts'
+
+// Signed receipt URLs are only handed to admins, keep them short-lived
+export const RECEIPT_URL_TTL = 5 * 60 // seconds
+
+export const RECEIPT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+}
+
+/**
+ * Generate a short human-readable transfer reference, e.g. BT-7K3Q9XPA.
+ * Ambiguous characters (0/O, 1/I) are left out so students can read it
+ * back over the phone.
+ */
+export const generateTransferReference = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+  const bytes = crypto.randomBytes(8)
+  let reference = ''
+  for (const byte of bytes) {
+    reference += alphabet[byte % alphabet.length]
+  }
+  return `BT-${reference}`
+}
+
+/**
+ * Create a short-lived signed URL for a stored receipt
+ */
+export const getReceiptSignedUrl = async (receiptPath) => {
+  const { data, error } = await supabase.storage
+    .from(RECEIPT_BUCKET)
+    .createSignedUrl(receiptPath, RECEIPT_URL_TTL)
+
+  if (error) throw error
+  return data.signedUrl
+}
+
+/**
+ * Approve a pending bank transfer and fulfil it: grants access (or the gift
+ * code), issues the invoice and emails it. Used by manual review and by
+ * bank statement matching.
+ * @param {string} paymentId
+ * @param {string} adminId - admin approving it, or who imported the statement
+ * @returns {Promise<{ payment: Object, invoice: Object|null, failedSteps: string[] }>}
+ */
+export const approveBankTransfer = async (paymentId, adminId) => {
+  const { data: payment, error: paymentError } = await supabase
+    .from('payments')
+    .select(`
+      *,
+      profiles (name, email),
+      courses (title, price),
+      bundles (title)
+    `)
+    .eq('id', paymentId)
+    .single()
+
+  if (paymentError || !payment) {
+    throw createNotFoundError('Payment')
+  }
+
+  if (payment.status !== 'pending') {
+    throw new ValidationError('Payment already processed')
+  }
+
+  const approval = {
+    status: 'approved',
+    approved_at: new Date().toISOString(),
+    reviewed_by: adminId
+  }
+
+  // Only a still-pending payment is approved, so two admins (or an admin
+  // and a statement import) cannot fulfil it twice
+  const { data: approved, error: updateError } = await supabase
+    .from('payments')
+    .update(approval)
+    .eq('id', paymentId)
+    .eq('status', 'pending')
+    .select('id')
+
+  if (updateError) throw updateError
+  if (!approved?.length) {
+    throw new ValidationError('Payment already processed')
+  }
+
+  const { invoice, failedSteps } = await fulfillPayment(
+    { ...payment, ...approval },
+    { source: FULFILLMENT_SOURCES.BANK_APPROVAL }
+  )
+
+  return { payment: { ...payment, ...approval }, invoice, failedSteps }
+}
@@ -0,0 +1,122 @@
+import { supabase } from './supabase-admin'
+import { ValidationError, createNotFoundError } from './errors'
+import { getBundleCourseIds, grantBundleCoursesToOwners } from './purchases'
+
+/**
+ * Check whether a bundle can be bought by a user who already owns
+ * `ownedCourseIds`. Returns the reason it cannot, or null.
+ */
+export const getBundleIneligibility = (bundle, ownedCourseIds = []) => {
+  if (!bundle || bundle.status !== 'published') {
+    return 'Bundle is not available for purchase'
+  }
+
+  if (!bundle.courseIds?.length) {
+    return 'Bundle has no courses'
+  }
+
+  if (bundle.courseIds.every(courseId => ownedCourseIds.includes(courseId))) {
+    return 'You already have access to every course in this bundle'
+  }
+
+  return null
+}
+
+/**
+ * Work out which courses to add to and remove from a bundle
+ */
+export const diffBundleCourses = (currentIds, nextIds) => {
+  return {
+    added: nextIds.filter(id => !currentIds.includes(id)),
+    removed: currentIds.filter(id => !nextIds.includes(id))
+  }
+}
+
+/**
+ * Course IDs out of `courseIds` that a user already has access to
+ */
+export const getOwnedCourseIds = async (userId, courseIds) => {
+  if (!courseIds.length) return []
+
+  const { data, error } = await supabase
+    .from('purchases')
+    .select('course_id')
+    .eq('user_id', userId)
+    .eq('access_granted', true)
+    .in('course_id', courseIds)
+
+  if (error) throw error
+  return (data || []).map(row => row.course_id)
+}
+
+/**
+ * Load a bundle for checkout and make sure this user can buy it.
+ * Throws NotFoundError / ValidationError otherwise.
+ * @param {string} bundleId
+ * @param {string} userId
+ * @param {{ gift?: boolean }} [options] - gifts skip the buyer's ownership check
+ * @returns {Promise<Object>} bundle with `courseIds`
+ */
+export const getPurchasableBundle = async (bundleId, userId, { gift = false } = {}) => {
+  const { data: bundle, error } = await supabase
+    .from('bundles')
+    .select('id, title, description, price, thumbnail, status')
+    .eq('id', bundleId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!bundle) throw createNotFoundError('Bundle')
+
+  bundle.courseIds = await getBundleCourseIds(bundleId)
+
+  // What the buyer owns does not matter when the bundle is a gift
+  const ownedCourseIds = gift ? [] : await getOwnedCourseIds(userId, bundle.courseIds)
+  const reason = getBundleIneligibility(bundle, ownedCourseIds)
+
+  if (reason) {
+    throw new ValidationError(reason, { bundleId })
+  }
+
+  return bundle
+}
+
+/**
+ * Replace the courses in a bundle. Students who already bought the bundle
+ * get the added courses; removed courses are not taken away from them.
+ * @param {string} bundleId
+ * @param {string[]} courseIds - in display order
+ * @returns {Promise<{ added: string[], removed: string[], ownersUpdated: number }>}
+ */
+export const setBundleCourses = async (bundleId, courseIds) => {
+  const currentIds = await getBundleCourseIds(bundleId)
+  const { added, removed } = diffBundleCourses(currentIds, courseIds)
+
+  if (removed.length) {
+    const { error } = await supabase
+      .from('bundle_courses')
+      .delete()
+      .eq('bundle_id', bundleId)
+      .in('course_id', removed)
+
+    if (error) throw error
+  }
+
+  if (courseIds.length) {
+    const { error } = await supabase
+      .from('bundle_courses')
+      .upsert(
+        courseIds.map((courseId, position) => ({
+          bundle_id: bundleId,
+          course_id: courseId,
+          position
+        })),
+        { onConflict: 'bundle_id,course_id' }
+      )
+
+    if (error) throw error
+  }
+
+  const ownersUpdated = await grantBundleCoursesToOwners(bundleId, added)
+
+  return { added, removed, ownersUpdated }
+}
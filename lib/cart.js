@@ -0,0 +1,200 @@
+/**
+ * Shopping cart
+ *
+ * Signed-in students keep their cart in `cart_items`; guests keep theirs
+ * in local storage (utils/cart) and merge it in when they sign in. A cart
+ * is checked out as one payment whose `order_items` list every course
+ * with the price charged for it, so fulfillment grants them all and the
+ * invoice shows one line per course.
+ */
+
+import { supabase } from './supabase-admin'
+import { ValidationError, createNotFoundError } from './errors'
+import { getOwnedCourseIds } from './bundles'
+import { CART } from '../utils/constants'
+
+const CART_COURSE_FIELDS = 'id, title, price, thumbnail, status'
+
+/**
+ * Split cart rows into courses that can still be bought and ones that
+ * cannot (unpublished, or already owned)
+ * @param {Array<{ course_id: string, courses: Object }>} rows
+ * @param {string[]} ownedCourseIds
+ * @returns {{ items: Object[], unavailable: string[] }}
+ */
+export const partitionCartRows = (rows, ownedCourseIds = []) => {
+  const items = []
+  const unavailable = []
+
+  rows.forEach(row => {
+    const course = row.courses
+    if (!course || course.status !== 'published' || ownedCourseIds.includes(row.course_id)) {
+      unavailable.push(row.course_id)
+    } else {
+      items.push({ ...course, added_at: row.added_at })
+    }
+  })
+
+  return { items, unavailable }
+}
+
+/**
+ * Lines stored on a cart payment, priced from the courses table
+ * @param {Array<{ id: string, title: string, price: number }>} courses
+ * @returns {Array<{ course_id: string, title: string, amount: number }>}
+ */
+export const buildOrderItems = (courses) => {
+  return courses.map(course => ({
+    course_id: course.id,
+    title: course.title,
+    amount: Number(course.price)
+  }))
+}
+
+/**
+ * Courses in a user's cart. Courses bought elsewhere since they were added,
+ * or no longer published, are dropped from the cart.
+ * @param {string} userId
+ * @returns {Promise<Object[]>} courses, oldest addition first
+ */
+export const getCart = async (userId) => {
+  const { data, error } = await supabase
+    .from('cart_items')
+    .select(`course_id, added_at, courses (${CART_COURSE_FIELDS})`)
+    .eq('user_id', userId)
+    .order('added_at', { ascending: true })
+
+  if (error) throw error
+
+  const rows = data || []
+  const ownedCourseIds = await getOwnedCourseIds(userId, rows.map(row => row.course_id))
+  const { items, unavailable } = partitionCartRows(rows, ownedCourseIds)
+
+  if (unavailable.length) {
+    await removeCoursesFromCart(userId, unavailable)
+  }
+
+  return items
+}
+
+/**
+ * Load a course and make sure the user can add it to their cart
+ */
+const getCartableCourse = async (userId, courseId) => {
+  const { data: course, error } = await supabase
+    .from('courses')
+    .select(CART_COURSE_FIELDS)
+    .eq('id', courseId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!course) throw createNotFoundError('Course', { courseId })
+
+  if (course.status !== 'published') {
+    throw new ValidationError('Course is not available for purchase', { courseId })
+  }
+
+  const [owned] = await getOwnedCourseIds(userId, [courseId])
+  if (owned) {
+    throw new ValidationError('You already have access to this course', { courseId })
+  }
+
+  return course
+}
+
+/**
+ * Add a course to a user's cart. Adding one already there is a no-op.
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<Object[]>} the cart afterwards
+ */
+export const addToCart = async (userId, courseId) => {
+  await getCartableCourse(userId, courseId)
+
+  const cart = await getCart(userId)
+  if (cart.some(course => course.id === courseId)) return cart
+
+  if (cart.length >= CART.MAX_ITEMS) {
+    throw new ValidationError(`A cart can hold up to ${CART.MAX_ITEMS} courses`)
+  }
+
+  const { error } = await supabase
+    .from('cart_items')
+    .upsert({ user_id: userId, course_id: courseId }, { onConflict: 'user_id,course_id', ignoreDuplicates: true })
+
+  if (error) throw error
+  return getCart(userId)
+}
+
+/**
+ * Remove courses from a user's cart
+ * @param {string} userId
+ * @param {string[]} courseIds
+ */
+export const removeCoursesFromCart = async (userId, courseIds) => {
+  if (!courseIds.length) return
+
+  const { error } = await supabase
+    .from('cart_items')
+    .delete()
+    .eq('user_id', userId)
+    .in('course_id', courseIds)
+
+  if (error) throw error
+}
+
+/**
+ * Merge a guest cart into the saved one after sign-in. Courses that cannot
+ * be bought, and any past the size limit, are left out.
+ * @param {string} userId
+ * @param {string[]} courseIds - from the guest cart
+ * @returns {Promise<Object[]>} the merged cart
+ */
+export const mergeGuestCart = async (userId, courseIds) => {
+  const cart = await getCart(userId)
+  const newIds = [...new Set(courseIds)].filter(courseId => !cart.some(course => course.id === courseId))
+
+  if (newIds.length) {
+    const { data: courses, error } = await supabase
+      .from('courses')
+      .select('id, status')
+      .in('id', newIds)
+
+    if (error) throw error
+
+    const ownedCourseIds = await getOwnedCourseIds(userId, newIds)
+    const rows = newIds
+      .filter(courseId => courses?.some(course => course.id === courseId && course.status === 'published'))
+      .filter(courseId => !ownedCourseIds.includes(courseId))
+      .slice(0, Math.max(CART.MAX_ITEMS - cart.length, 0))
+      .map(courseId => ({ user_id: userId, course_id: courseId }))
+
+    if (rows.length) {
+      const { error: insertError } = await supabase
+        .from('cart_items')
+        .upsert(rows, { onConflict: 'user_id,course_id', ignoreDuplicates: true })
+
+      if (insertError) throw insertError
+    }
+  }
+
+  return getCart(userId)
+}
+
+/**
+ * The cart as an order ready to be paid for
+ * @param {string} userId
+ * @returns {Promise<{ items: Array<{ course_id: string, title: string, amount: number }>, total: number }>}
+ */
+export const prepareCartOrder = async (userId) => {
+  const courses = await getCart(userId)
+
+  if (!courses.length) {
+    throw new ValidationError('Your cart is empty')
+  }
+
+  const items = buildOrderItems(courses)
+  const total = items.reduce((sum, item) => sum + item.amount, 0)
+
+  return { items, total }
+}
@@ -0,0 +1,191 @@
+import { supabase } from './supabase-admin'
+import { ValidationError } from './errors'
+import { COUPON_DISCOUNT_TYPES as DISCOUNT_TYPES } from '../utils/constants'
+
+// Payment statuses that count towards usage caps
+const REDEEMED_STATUSES = ['approved', 'completed']
+
+// A pending checkout holds its redemption this long, the lifetime of a
+// Stripe Checkout session; pending bank transfers hold it until reviewed.
+// Keep in step with enforce_coupon_limits in the database setup.
+export const COUPON_HOLD_HOURS = 24
+
+// SQLSTATE raised by enforce_coupon_limits when an insert would go over a cap
+export const COUPON_LIMIT_ERROR_CODE = 'CU001'
+
+/**
+ * Normalize user-entered coupon codes
+ */
+export const normalizeCouponCode = (code) => {
+  return typeof code === 'string' ? code.trim().toUpperCase() : ''
+}
+
+/**
+ * Calculate the discount a coupon gives on an amount (LKR)
+ */
+export const calculateDiscount = (coupon, amount) => {
+  const value = Number(coupon.discount_value) || 0
+  let discountAmount = coupon.discount_type === DISCOUNT_TYPES.PERCENTAGE
+    ? (amount * Math.min(value, 100)) / 100
+    : value
+
+  discountAmount = Math.round(Math.min(Math.max(discountAmount, 0), amount) * 100) / 100
+
+  return {
+    originalAmount: amount,
+    discountAmount,
+    finalAmount: Math.round((amount - discountAmount) * 100) / 100
+  }
+}
+
+/**
+ * Check a coupon against its own rules. Returns the reason it cannot be
+ * used, or null when it is valid.
+ */
+export const getCouponIneligibility = (coupon, {
+  courseId,
+  userId,
+  now = new Date(),
+  totalRedemptions = 0,
+  userRedemptions = 0
+} = {}) => {
+  if (!coupon || !coupon.active) {
+    return 'Invalid coupon code'
+  }
+
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    return 'This coupon is not active yet'
+  }
+
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+    return 'This coupon has expired'
+  }
+
+  if (coupon.course_ids?.length && !coupon.course_ids.includes(courseId)) {
+    return 'This coupon is not valid for this course'
+  }
+
+  // Scholarship discounts are issued to one student
+  if (coupon.user_id && coupon.user_id !== userId) {
+    return 'This coupon is not valid for your account'
+  }
+
+  if (coupon.max_redemptions && totalRedemptions >= coupon.max_redemptions) {
+    return 'This coupon has reached its usage limit'
+  }
+
+  if (coupon.per_user_limit && userRedemptions >= coupon.per_user_limit) {
+    return 'You have already used this coupon'
+  }
+
+  return null
+}
+
+const countRedemptions = async (couponId, userId = null) => {
+  const heldSince = new Date(Date.now() - COUPON_HOLD_HOURS * 60 * 60 * 1000).toISOString()
+
+  let query = supabase
+    .from('payments')
+    .select('id', { count: 'exact', head: true })
+    .eq('coupon_id', couponId)
+    .or([
+      `status.in.(${REDEEMED_STATUSES.join(',')})`,
+      'and(status.eq.pending,method.eq.bank_transfer)',
+      `and(status.eq.pending,created_at.gt.${heldSince})`
+    ].join(','))
+
+  if (userId) {
+    query = query.eq('user_id', userId)
+  }
+
+  const { count, error } = await query
+  if (error) throw error
+  return count || 0
+}
+
+/**
+ * The ValidationError to show when a payment insert was refused because
+ * its coupon is used up, or null for any other database error
+ * @param {Object} error - Supabase error from inserting a payment
+ * @returns {ValidationError|null}
+ */
+export const getCouponLimitError = (error) => {
+  return error?.code === COUPON_LIMIT_ERROR_CODE ? new ValidationError(error.message) : null
+}
+
+/**
+ * Validate a coupon for a user and course and price it against `amount`.
+ * Pending checkouts count towards the caps, so this is a preview; the
+ * caps are enforced again, atomically, when the payment is inserted.
+ * Throws a ValidationError when the coupon cannot be applied.
+ */
+export const validateCoupon = async ({ code, userId, courseId, amount }) => {
+  const normalizedCode = normalizeCouponCode(code)
+
+  if (!normalizedCode) {
+    throw new ValidationError('Coupon code is required')
+  }
+
+  const { data: coupon, error } = await supabase
+    .from('coupons')
+    .select('*')
+    .eq('code', normalizedCode)
+    .maybeSingle()
+
+  if (error) throw error
+
+  const [totalRedemptions, userRedemptions] = coupon
+    ? await Promise.all([
+        countRedemptions(coupon.id),
+        countRedemptions(coupon.id, userId)
+      ])
+    : [0, 0]
+
+  const reason = getCouponIneligibility(coupon, {
+    courseId,
+    userId,
+    totalRedemptions,
+    userRedemptions
+  })
+
+  if (reason) {
+    throw new ValidationError(reason, { code: normalizedCode })
+  }
+
+  return {
+    coupon,
+    ...calculateDiscount(coupon, amount)
+  }
+}
+
+/**
+ * Resolve the price a user pays for a course, applying an optional coupon.
+ * The returned `paymentFields` are spread into the payment row.
+ */
+export const priceWithCoupon = async ({ code, userId, courseId, amount }) => {
+  if (!normalizeCouponCode(code)) {
+    return {
+      finalAmount: amount,
+      discountAmount: 0,
+      paymentFields: {}
+    }
+  }
+
+  const { coupon, originalAmount, discountAmount, finalAmount } = await validateCoupon({
+    code,
+    userId,
+    courseId,
+    amount
+  })
+
+  return {
+    finalAmount,
+    discountAmount,
+    paymentFields: {
+      coupon_id: coupon.id,
+      coupon_code: coupon.code,
+      original_amount: originalAmount,
+      discount_amount: discountAmount
+    }
+  }
+}
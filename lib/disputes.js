@@ -0,0 +1,209 @@
+/**
+ * Card disputes and chargebacks
+ *
+ * While a Stripe dispute is open the student's access from the disputed
+ * payment is suspended (purchases stay, with access_granted off) and the
+ * payment is flagged with `dispute_status`. Winning restores access; losing
+ * treats the payment as refunded. Admins are emailed with an evidence
+ * summary built from the student's logins and lesson progress.
+ */
+
+import { supabase } from './supabase-admin'
+import { sendEmail } from './email'
+import { logger } from './logger'
+import { getPaymentCourseIds } from './purchases'
+
+// Stripe dispute statuses while it can still go either way
+export const OPEN_DISPUTE_STATUSES = [
+  'warning_needs_response',
+  'warning_under_review',
+  'needs_response',
+  'under_review'
+]
+
+// Stripe closes inquiries we were not charged back for as warning_closed
+export const WON_DISPUTE_STATUSES = ['won', 'warning_closed']
+
+// Values of payments.dispute_status
+export const PAYMENT_DISPUTE_STATUS = {
+  OPEN: 'open',
+  WON: 'won',
+  LOST: 'lost'
+}
+
+// Most recent logins listed in the evidence
+const RECENT_LOGIN_LIMIT = 10
+
+/**
+ * Find the local payment for a Stripe charge or dispute. Approved Stripe
+ * payments store the payment intent in `payment_id`.
+ * @param {string} paymentIntentId
+ * @param {string} select
+ * @returns {Promise<Object|null>}
+ */
+export const findPaymentByIntent = async (paymentIntentId, select = '*') => {
+  if (!paymentIntentId) return null
+
+  const { data, error } = await supabase
+    .from('payments')
+    .select(select)
+    .eq('payment_id', paymentIntentId)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Turn access from a payment off or back on. Covers every course the
+ * payment granted, including a redeemed gift's recipient.
+ * @param {Object} payment
+ * @param {boolean} accessGranted
+ */
+export const setPaymentAccess = async (payment, accessGranted) => {
+  const { error } = await supabase
+    .from('purchases')
+    .update({ access_granted: accessGranted })
+    .eq('payment_id', payment.id)
+
+  if (error) throw error
+}
+
+/**
+ * Summarise what the student did with their purchase, for the response to
+ * the card issuer
+ * @param {Object} params
+ * @param {Object} params.payment
+ * @param {Array<{ id: string, title: string }>} params.courses
+ * @param {Array<{ id: string, course_id: string }>} params.lessons
+ * @param {Array<{ created_at: string, ip_address: string, user_agent: string }>} params.logins - successful logins since the purchase
+ * @param {Array<{ lesson_id: string, completed: boolean, watch_time: number, last_watched_at: string }>} params.progress
+ * @returns {Object}
+ */
+export const summarizeDisputeEvidence = ({ payment, courses = [], lessons = [], logins = [], progress = [] }) => {
+  const sortedLogins = [...logins].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  const lessonCourse = Object.fromEntries(lessons.map(lesson => [lesson.id, lesson.course_id]))
+
+  const courseActivity = courses.map(course => {
+    const courseProgress = progress.filter(row => lessonCourse[row.lesson_id] === course.id)
+    const lastWatched = courseProgress
+      .map(row => row.last_watched_at)
+      .filter(Boolean)
+      .sort()
+      .pop()
+
+    return {
+      courseId: course.id,
+      title: course.title,
+      totalLessons: lessons.filter(lesson => lesson.course_id === course.id).length,
+      lessonsStarted: courseProgress.length,
+      lessonsCompleted: courseProgress.filter(row => row.completed).length,
+      watchTimeMinutes: Math.round(courseProgress.reduce((sum, row) => sum + (row.watch_time || 0), 0) / 60),
+      lastWatchedAt: lastWatched || null
+    }
+  })
+
+  return {
+    customer: {
+      name: payment.profiles?.name || null,
+      email: payment.profiles?.email || null,
+      userId: payment.user_id
+    },
+    purchase: {
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      chargedAmount: payment.charged_amount,
+      chargedCurrency: payment.charged_currency,
+      paidAt: payment.approved_at || payment.created_at
+    },
+    logins: {
+      count: logins.length,
+      firstAt: sortedLogins[sortedLogins.length - 1]?.created_at || null,
+      lastAt: sortedLogins[0]?.created_at || null,
+      ipAddresses: [...new Set(logins.map(login => login.ip_address).filter(Boolean))],
+      recent: sortedLogins.slice(0, RECENT_LOGIN_LIMIT).map(login => ({
+        at: login.created_at,
+        ipAddress: login.ip_address,
+        userAgent: login.user_agent
+      }))
+    },
+    courses: courseActivity
+  }
+}
+
+/**
+ * Load the student's logins and lesson progress for the courses a payment
+ * granted and summarise them
+ * @param {Object} payment - payments row with profiles
+ * @returns {Promise<Object>}
+ */
+export const compileDisputeEvidence = async (payment) => {
+  const courseIds = await getPaymentCourseIds(payment)
+  const since = payment.approved_at || payment.created_at
+
+  const [coursesResult, lessonsResult, loginsResult] = await Promise.all([
+    supabase.from('courses').select('id, title').in('id', courseIds),
+    supabase.from('lessons').select('id, course_id').in('course_id', courseIds),
+    supabase
+      .from('login_logs')
+      .select('created_at, ip_address, user_agent')
+      .eq('user_id', payment.user_id)
+      .eq('success', true)
+      .is('logout_time', null)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+  ])
+
+  const failed = [coursesResult, lessonsResult, loginsResult].find(result => result.error)
+  if (failed) throw failed.error
+
+  const lessons = lessonsResult.data || []
+  let progress = []
+
+  if (lessons.length) {
+    const { data, error } = await supabase
+      .from('lesson_progress')
+      .select('lesson_id, completed, watch_time, last_watched_at')
+      .eq('user_id', payment.user_id)
+      .in('lesson_id', lessons.map(lesson => lesson.id))
+
+    if (error) throw error
+    progress = data || []
+  }
+
+  return summarizeDisputeEvidence({
+    payment,
+    courses: coursesResult.data || [],
+    lessons,
+    logins: loginsResult.data || [],
+    progress
+  })
+}
+
+/**
+ * Email every admin about a dispute. Failures are logged; the webhook has
+ * already applied the dispute by the time this runs.
+ * @param {'dispute-opened' | 'dispute-closed'} template
+ * @param {Object} data - template data
+ */
+export const notifyAdminsOfDispute = async (template, data) => {
+  try {
+    const { data: admins, error } = await supabase
+      .from('profiles')
+      .select('email')
+      .eq('role', 'admin')
+
+    if (error) throw error
+
+    for (const admin of (admins || []).filter(admin => admin.email)) {
+      await sendEmail({ to: admin.email, template, data })
+    }
+  } catch (error) {
+    logger.error('Failed to notify admins of dispute', 'PAYMENT', {
+      template,
+      disputeId: data.disputeId,
+      error
+    })
+  }
+}
@@ -1,4 +1,5 @@
 import nodemailer from 'nodemailer'
+import { renderMath, mathToPlainText } from '../utils/math'
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -16,6 +17,37 @@ const transporter = nodemailer.createTransport({
   logger: true // Enable logger
 })
 
+// Course names can hold $...$ formulas. Bodies get MathML, which needs
+// no stylesheet or fonts from us; subjects get a plain text reading.
+const mathHtml = (text) => renderMath(text, { output: 'mathml' })
+
+// Evidence summary shared by the dispute emails
+const renderDisputeEvidence = (evidence) => {
+  if (!evidence) return ''
+
+  const courseRows = evidence.courses.map(course => `
+    <tr>
+      <td>${mathHtml(course.title)}</td>
+      <td>${course.lessonsStarted} / ${course.totalLessons}</td>
+      <td>${course.lessonsCompleted}</td>
+      <td>${course.watchTimeMinutes} min</td>
+      <td>${course.lastWatchedAt ? new Date(course.lastWatchedAt).toLocaleDateString() : '-'}</td>
+    </tr>
+  `).join('')
+
+  return `
+    <div class="evidence">
+      <h3>Evidence summary</h3>
+      <p><strong>${evidence.logins.count}</strong> sign-ins since the purchase${evidence.logins.lastAt ? `, most recently on ${new Date(evidence.logins.lastAt).toLocaleString()}` : ''}.</p>
+      ${evidence.logins.ipAddresses.length ? `<p>IP addresses: ${evidence.logins.ipAddresses.join(', ')}</p>` : ''}
+      <table>
+        <tr><th>Course</th><th>Lessons started</th><th>Completed</th><th>Watch time</th><th>Last watched</th></tr>
+        ${courseRows}
+      </table>
+    </div>
+  `
+}
+
 // Email templates
 const getEmailTemplate = (type, data) => {
   const templates = {
@@ -68,7 +100,7 @@ const getEmailTemplate = (type, data) => {
     },
     
     'payment-success': {
-      subject: `Payment Confirmation - ${data.courseName} 🎉`,
+      subject: `Payment Confirmation - ${mathToPlainText(data.courseName)} 🎉`,
       html: `
         <!DOCTYPE html>
         <html>
@@ -94,7 +126,7 @@ const getEmailTemplate = (type, data) => {
             <div class="content">
               <h2>Thank you for your purchase, ${data.studentName}!</h2>
               <p>Your payment has been successfully processed and you now have full access to:</p>
-              <h3 style="color: #667eea;">${data.courseName}</h3>
+              <h3 style="color: #667eea;">${mathHtml(data.courseName)}</h3>
               
               <div class="invoice-details">
                 <h3>Invoice Details</h3>
@@ -108,13 +140,14 @@ const getEmailTemplate = (type, data) => {
                 </div>
                 <div class="invoice-row">
                   <span>Course:</span>
-                  <strong>${data.courseName}</strong>
+                  <strong>${mathHtml(data.courseName)}</strong>
                 </div>
                 <div class="invoice-row">
                   <span>Amount Paid:</span>
-                  <strong>LKR ${(data.amount / 100).toLocaleString()}</strong>
+                  <strong>LKR ${Number(data.amount || 0).toLocaleString()}</strong>
                 </div>
               </div>
+              ${data.invoiceNumber ? `<p>Your invoice <strong>${data.invoiceNumber}</strong> is attached to this email.</p>` : ''}
               
               <center>
                 <a href="${process.env.NEXT_PUBLIC_APP_URL}/my-courses" class="button">Access Your Course</a>
@@ -154,7 +187,7 @@ const getEmailTemplate = (type, data) => {
             </div>
             <div class="content">
               <h2>Hello ${data.studentName},</h2>
-              <p>Unfortunately, your payment for <strong>${data.courseName}</strong> could not be processed.</p>
+              <p>Unfortunately, your payment for <strong>${mathHtml(data.courseName)}</strong> could not be processed.</p>
               <p>Please try again or contact our support team for assistance.</p>
               
               <center>
@@ -171,6 +204,535 @@ const getEmailTemplate = (type, data) => {
         </body>
         </html>
       `
+    },
+
+    'bank-approval': {
+      subject: `Bank Transfer Approved - ${mathToPlainText(data.courseName)} 🎉`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #10b981; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Bank Transfer Approved</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>We have verified your bank transfer of <strong>LKR ${Number(data.amount || 0).toLocaleString()}</strong> and you now have full access to <strong>${mathHtml(data.courseName)}</strong>.</p>
+              ${data.invoiceNumber ? `<p>Your invoice <strong>${data.invoiceNumber}</strong> is attached to this email.</p>` : ''}
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/my-courses" class="button">Access Your Course</a>
+              </center>
+              
+              <p>Happy Learning!<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'bank-rejected': {
+      subject: `Bank Transfer Could Not Be Verified - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .reason { background: white; padding: 20px; border-left: 4px solid #ef4444; border-radius: 8px; margin: 20px 0; }
+            .button { display: inline-block; padding: 12px 30px; background: #ef4444; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Bank Transfer Not Verified</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>We were unable to verify your bank transfer <strong>${data.transferReference}</strong> for <strong>${mathHtml(data.courseName)}</strong>.</p>
+              
+              <div class="reason">
+                <strong>Reason:</strong>
+                <p>${data.reason}</p>
+              </div>
+              
+              <p>You can submit a new receipt from the course page, or reply to this email if you believe this is a mistake.</p>
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/courses/${data.courseId}" class="button">Back to Course</a>
+              </center>
+              
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'refund-approved': {
+      subject: `Refund Approved - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Refund Approved</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>Your refund request for <strong>${mathHtml(data.courseName)}</strong> has been approved and your access to ${data.isOrder ? 'its courses' : 'the course'} has been removed.</p>
+              
+              <div class="details">
+                <p><strong>Amount:</strong> LKR ${Number(data.amount || 0).toLocaleString()}</p>
+                ${data.refundReference ? `<p><strong>Refund reference:</strong> ${data.refundReference}</p>` : ''}
+                ${data.creditNoteNumber ? `<p><strong>Credit note:</strong> ${data.creditNoteNumber} (attached)</p>` : ''}
+                <p>${data.method === 'stripe'
+                  ? 'The refund has been sent to your card and usually appears within 5-10 business days, depending on your bank.'
+                  : 'The refund will be paid back to you within 7-14 business days. We will contact you if we need your bank details.'}</p>
+              </div>
+              
+              <p>We're sorry the course wasn't the right fit. You're welcome back any time.</p>
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'membership-payment-failed': {
+      subject: `Action Needed - Membership Renewal Failed`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #ef4444; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Membership Renewal Failed</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>We couldn't charge your card for your membership renewal.</p>
+              <p>You still have access to every course until <strong>${new Date(data.graceUntil).toLocaleDateString()}</strong>. Please update your payment details before then to keep learning without interruption.</p>
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/profile" class="button">Update Payment Details</a>
+              </center>
+              
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'installment-reminder': {
+      subject: `Installment Due - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .button { display: inline-block; padding: 12px 30px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Installment Reminder</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>Installment ${data.installmentNumber} of ${data.installmentCount} for <strong>${mathHtml(data.courseName)}</strong> is due soon.</p>
+              
+              <div class="details">
+                <p><strong>Amount:</strong> LKR ${Number(data.amount || 0).toLocaleString()}</p>
+                <p><strong>Due date:</strong> ${new Date(data.dueDate).toLocaleDateString()}</p>
+              </div>
+              
+              <p>Installments not paid within a week of the due date pause your access to the course until they are paid.</p>
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/profile" class="button">Pay Installment</a>
+              </center>
+              
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'installment-suspended': {
+      subject: `Course Access Paused - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; padding: 12px 30px; background: #ef4444; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Course Access Paused</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>Installment ${data.installmentNumber} of ${data.installmentCount} for <strong>${mathHtml(data.courseName)}</strong> (LKR ${Number(data.amount || 0).toLocaleString()}) is overdue, so your access to the course has been paused.</p>
+              <p>Your progress is saved. Pay the installment and your access will be restored straight away.</p>
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/profile" class="button">Pay Now</a>
+              </center>
+              
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'gift-received': {
+      subject: `${data.senderName} sent you a course - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #8b5cf6 0%, #6d28d9 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { font-family: monospace; font-size: 22px; letter-spacing: 2px; background: white; border: 2px dashed #8b5cf6; padding: 15px; text-align: center; margin: 20px 0; }
+            .message { background: white; padding: 15px; border-left: 4px solid #8b5cf6; font-style: italic; }
+            .button { display: inline-block; padding: 12px 30px; background: #8b5cf6; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You've Received a Gift!</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.recipientName || 'there'},</h2>
+              <p><strong>${data.senderName}</strong> has given you <strong>${mathHtml(data.courseName)}</strong>.</p>
+              ${data.message ? `<p class="message">${data.message}</p>` : ''}
+              <p>Your redemption code:</p>
+              <div class="code">${data.code}</div>
+              <p>Sign in or create an account, then enter the code to unlock the course. The code can only be used once${data.expiresAt ? ` and expires on ${new Date(data.expiresAt).toLocaleDateString()}` : ''}.</p>
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/redeem?code=${encodeURIComponent(data.code)}" class="button">Redeem Gift</a>
+              </center>
+              
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'refund-denied': {
+      subject: `Refund Request Update - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .reason { background: white; padding: 20px; border-left: 4px solid #ef4444; border-radius: 8px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Refund Request Not Approved</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>We have reviewed your refund request for <strong>${mathHtml(data.courseName)}</strong> and are unable to approve it. You still have full access to the course.</p>
+              
+              <div class="reason">
+                <strong>Reason:</strong>
+                <p>${data.reason}</p>
+              </div>
+              
+              <p>If you have any questions, just reply to this email.</p>
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'dispute-opened': {
+      subject: `Payment Disputed - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .evidence { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .evidence table { width: 100%; border-collapse: collapse; font-size: 13px; }
+            .evidence th, .evidence td { text-align: left; padding: 6px; border-bottom: 1px solid #eee; }
+            .button { display: inline-block; padding: 12px 30px; background: #f59e0b; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Payment Disputed</h1>
+            </div>
+            <div class="content">
+              <p><strong>${data.studentName || data.studentEmail}</strong> has disputed their payment for <strong>${mathHtml(data.courseName)}</strong>. Their access has been suspended until the dispute is closed.</p>
+              
+              <div class="details">
+                <p><strong>Amount:</strong> ${data.currency} ${data.amount}</p>
+                <p><strong>Reason:</strong> ${data.reason}</p>
+                <p><strong>Student:</strong> ${data.studentEmail}</p>
+                ${data.evidenceDueBy ? `<p><strong>Evidence due by:</strong> ${new Date(data.evidenceDueBy).toLocaleString()}</p>` : ''}
+                <p><strong>Dispute:</strong> ${data.disputeId}</p>
+              </div>
+              
+              ${renderDisputeEvidence(data.evidence)}
+              
+              <center>
+                <a href="https://dashboard.stripe.com/disputes/${data.disputeId}" class="button">Respond in Stripe</a>
+              </center>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'dispute-closed': {
+      subject: `Dispute ${data.outcome === 'won' ? 'Won' : 'Lost'} - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .details { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .evidence { background: white; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            .evidence table { width: 100%; border-collapse: collapse; font-size: 13px; }
+            .evidence th, .evidence td { text-align: left; padding: 6px; border-bottom: 1px solid #eee; }
+            .button { display: inline-block; padding: 12px 30px; background: #3b82f6; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Dispute ${data.outcome === 'won' ? 'Won' : 'Lost'}</h1>
+            </div>
+            <div class="content">
+              <p>The dispute from <strong>${data.studentName || data.studentEmail}</strong> over <strong>${mathHtml(data.courseName)}</strong> has closed.</p>
+              <p>${data.outcome === 'won'
+                ? 'Their access has been restored.'
+                : 'The payment has been marked as refunded, their access removed and a credit note issued.'}</p>
+              
+              <div class="details">
+                <p><strong>Amount:</strong> ${data.currency} ${data.amount}</p>
+                <p><strong>Reason:</strong> ${data.reason}</p>
+                <p><strong>Stripe status:</strong> ${data.status}</p>
+                <p><strong>Dispute:</strong> ${data.disputeId}</p>
+              </div>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'scholarship-approved': {
+      subject: `Scholarship Approved - ${mathToPlainText(data.courseName)} 🎉`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #10b981 0%, #059669 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { font-family: monospace; font-size: 22px; letter-spacing: 2px; background: white; border: 2px dashed #10b981; padding: 15px; text-align: center; margin: 20px 0; }
+            .button { display: inline-block; padding: 12px 30px; background: #10b981; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Scholarship Approved</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              ${data.couponCode ? `
+                <p>Your scholarship application for <strong>${mathHtml(data.courseName)}</strong> has been approved with a <strong>${data.discountPercent}% discount</strong>.</p>
+                <p>Enter this code at checkout. It can be used once, on your account only${data.expiresAt ? `, until ${new Date(data.expiresAt).toLocaleDateString()}` : ''}.</p>
+                <div class="code">${data.couponCode}</div>
+              ` : `
+                <p>Your scholarship application for <strong>${mathHtml(data.courseName)}</strong> has been approved. Your course fee has been waived in full and the course is now in your account.</p>
+                ${data.invoiceNumber ? `<p>Your invoice <strong>${data.invoiceNumber}</strong> is attached for your records.</p>` : ''}
+              `}
+              
+              <center>
+                <a href="${process.env.NEXT_PUBLIC_APP_URL}/courses/${data.courseId}" class="button">${data.couponCode ? 'Go to Course' : 'Start Learning'}</a>
+              </center>
+              
+              <p>Happy Learning!<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    },
+
+    'scholarship-rejected': {
+      subject: `Scholarship Application Update - ${mathToPlainText(data.courseName)}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+            .reason { background: white; padding: 20px; border-left: 4px solid #ef4444; border-radius: 8px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Scholarship Application Not Approved</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${data.name},</h2>
+              <p>We have reviewed your scholarship application for <strong>${mathHtml(data.courseName)}</strong> and are unable to approve it this time.</p>
+              
+              <div class="reason">
+                <strong>Reason:</strong>
+                <p>${data.reason}</p>
+              </div>
+              
+              <p>If your circumstances change you are welcome to apply again. If you have any questions, just reply to this email.</p>
+              <p>Best regards,<br>The ${process.env.NEXT_PUBLIC_APP_NAME} Team</p>
+            </div>
+            <div class="footer">
+              <p>© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
     }
   }
   
@@ -178,7 +740,7 @@ const getEmailTemplate = (type, data) => {
 }
 
 // Main email sending function
-export const sendEmail = async ({ to, subject, template, data }) => {
+export const sendEmail = async ({ to, subject, template, data, attachments }) => {
   try {
     // Check if SMTP is configured
     if (!process.env.SMTP_HOST || !process.env.SMTP_USER || !process.env.SMTP_PASS) {
@@ -194,6 +756,10 @@ export const sendEmail = async ({ to, subject, template, data }) => {
       subject: subject || emailTemplate.subject,
       html: emailTemplate.html
     }
+
+    if (attachments?.length) {
+      mailOptions.attachments = attachments
+    }
     
     const result = await transporter.sendMail(mailOptions)
     console.log('Email sent successfully:', result.messageId)
@@ -0,0 +1,203 @@
+import { supabase } from './supabase-admin'
+import { PaymentError } from './errors'
+
+export const RATE_SOURCES = {
+  MANUAL: 'manual',
+  CSV: 'csv'
+}
+
+const CSV_COLUMNS = ['base_currency', 'quote_currency', 'rate', 'effective_from']
+const CURRENCY_PATTERN = /^[A-Z]{3}$/
+
+const roundTo = (value, places) => {
+  const factor = 10 ** places
+  return Math.round(value * factor) / factor
+}
+
+/**
+ * Normalize a currency code to upper-case ISO form
+ */
+export const normalizeCurrency = (code) => {
+  return typeof code === 'string' ? code.trim().toUpperCase() : ''
+}
+
+/**
+ * Turn an exchange_rates row into the multiplier for from -> to. Rows are
+ * stored as "1 base = rate quote", so the reverse pair uses 1 / rate.
+ * Returns the snapshot stored on payments.
+ */
+export const buildRateSnapshot = (row, fromCurrency, toCurrency) => {
+  const rate = Number(row.rate)
+  const inverted = row.base_currency !== fromCurrency
+
+  return {
+    rate_id: row.id,
+    base_currency: row.base_currency,
+    quote_currency: row.quote_currency,
+    rate,
+    effective_from: row.effective_from,
+    from_currency: fromCurrency,
+    to_currency: toCurrency,
+    multiplier: inverted ? 1 / rate : rate
+  }
+}
+
+/**
+ * Convert an amount with a snapshot. Charged amounts are rounded to cents.
+ */
+export const applyRateSnapshot = (amount, snapshot) => {
+  return roundTo(amount * snapshot.multiplier, 2)
+}
+
+/**
+ * Find the rate in force for a currency pair at a point in time, looking
+ * at both directions of the pair
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @param {Date} [at]
+ * @returns {Promise<Object|null>} rate snapshot, or null when none is set
+ */
+export const getEffectiveRate = async (fromCurrency, toCurrency, at = new Date()) => {
+  const from = normalizeCurrency(fromCurrency)
+  const to = normalizeCurrency(toCurrency)
+
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .select('*')
+    .or(`and(base_currency.eq.${from},quote_currency.eq.${to}),and(base_currency.eq.${to},quote_currency.eq.${from})`)
+    .lte('effective_from', at.toISOString())
+    .order('effective_from', { ascending: false })
+    .limit(1)
+
+  if (error) throw error
+  if (!data?.length) return null
+
+  return buildRateSnapshot(data[0], from, to)
+}
+
+/**
+ * Convert an amount between currencies using the managed rates
+ * @param {number} amount
+ * @param {string} fromCurrency
+ * @param {string} toCurrency
+ * @returns {Promise<{ amount: number, currency: string, rate: number, snapshot: Object|null }>}
+ */
+export const convertAmount = async (amount, fromCurrency, toCurrency) => {
+  const from = normalizeCurrency(fromCurrency)
+  const to = normalizeCurrency(toCurrency)
+
+  if (from === to) {
+    return { amount, currency: to, rate: 1, snapshot: null }
+  }
+
+  const snapshot = await getEffectiveRate(from, to)
+  if (!snapshot) {
+    throw new PaymentError(`No exchange rate configured for ${from} to ${to}`, { from, to })
+  }
+
+  return {
+    amount: applyRateSnapshot(amount, snapshot),
+    currency: to,
+    rate: snapshot.multiplier,
+    snapshot
+  }
+}
+
+/**
+ * Check one rate before it is saved. Returns an error message or null.
+ */
+export const getRateError = ({ base_currency, quote_currency, rate, effective_from }) => {
+  if (!CURRENCY_PATTERN.test(base_currency) || !CURRENCY_PATTERN.test(quote_currency)) {
+    return 'Currencies must be 3-letter ISO codes'
+  }
+
+  if (base_currency === quote_currency) {
+    return 'Base and quote currency must differ'
+  }
+
+  if (!Number.isFinite(rate) || rate <= 0) {
+    return 'Rate must be a positive number'
+  }
+
+  if (!effective_from || Number.isNaN(new Date(effective_from).getTime())) {
+    return 'Effective date is invalid'
+  }
+
+  return null
+}
+
+/**
+ * Parse an exchange rate CSV with the header
+ * base_currency,quote_currency,rate,effective_from (any column order).
+ * Every line is validated so an import is all-or-nothing.
+ * @param {string} text
+ * @returns {{ rows: Object[], errors: { line: number, message: string }[] }}
+ */
+export const parseExchangeRateCsv = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: index + 1, cells: line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')) }))
+    .filter(({ cells }) => cells.some(Boolean))
+
+  if (!lines.length) {
+    return { rows: [], errors: [{ line: 1, message: 'File is empty' }] }
+  }
+
+  const header = lines[0].cells.map(cell => cell.toLowerCase())
+  const missing = CSV_COLUMNS.filter(column => !header.includes(column))
+  if (missing.length) {
+    return { rows: [], errors: [{ line: 1, message: `Missing columns: ${missing.join(', ')}` }] }
+  }
+
+  const rows = []
+  const errors = []
+  const seen = new Set()
+
+  lines.slice(1).forEach(({ line, cells }) => {
+    const value = (column) => cells[header.indexOf(column)] || ''
+    const effective = new Date(value('effective_from'))
+
+    const row = {
+      base_currency: normalizeCurrency(value('base_currency')),
+      quote_currency: normalizeCurrency(value('quote_currency')),
+      rate: Number(value('rate')),
+      effective_from: Number.isNaN(effective.getTime()) ? null : effective.toISOString()
+    }
+
+    const message = getRateError(row)
+    if (message) {
+      errors.push({ line, message })
+      return
+    }
+
+    const key = `${row.base_currency}:${row.quote_currency}:${row.effective_from}`
+    if (seen.has(key)) {
+      errors.push({ line, message: 'Duplicate rate for this pair and date' })
+      return
+    }
+
+    seen.add(key)
+    rows.push(row)
+  })
+
+  return { rows, errors }
+}
+
+/**
+ * Save parsed rates, replacing any existing rate for the same pair and date
+ * @param {Object[]} rows
+ * @param {string} adminId
+ * @returns {Promise<Object[]>}
+ */
+export const importExchangeRates = async (rows, adminId) => {
+  const { data, error } = await supabase
+    .from('exchange_rates')
+    .upsert(
+      rows.map(row => ({ ...row, source: RATE_SOURCES.CSV, created_by: adminId })),
+      { onConflict: 'base_currency,quote_currency,effective_from' }
+    )
+    .select()
+
+  if (error) throw error
+  return data
+}
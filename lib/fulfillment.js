@@ -0,0 +1,294 @@
+/**
+ * Payment fulfillment
+ *
+ * Every path that marks a payment as paid (Stripe webhook and session
+ * verification, PayHere notifications, bank transfer approval,
+ * scholarship waivers) hands it to fulfillPayment once its own status
+ * columns are updated. Fulfilling means granting what was bought,
+ * issuing the invoice, emailing the student and crediting the referring
+ * affiliate. Each step's outcome is kept in `payment_fulfillments`, so a
+ * repeated delivery skips the steps already done and a step that failed
+ * can be retried from the admin panel.
+ */
+
+import { supabase } from './supabase-admin'
+import { sendEmail } from './email'
+import { logger } from './logger'
+import { getPaymentCourseIds, PAID_PAYMENT_STATUSES } from './purchases'
+import { recordInstallmentPayment } from './installments'
+import { issueGiftForPayment } from './gifts'
+import { issueInvoiceForPayment, getInvoiceAttachment } from './invoicing'
+import { recordCommissionForPayment } from './affiliates'
+import { createNotFoundError, ValidationError } from './errors'
+import { getOrderTitle } from '../utils/cart'
+
+export const FULFILLMENT_SOURCES = {
+  STRIPE_WEBHOOK: 'stripe_webhook',
+  STRIPE_VERIFY_SESSION: 'stripe_verify_session',
+  PAYHERE_NOTIFY: 'payhere_notify',
+  BANK_APPROVAL: 'bank_approval',
+  SCHOLARSHIP: 'scholarship'
+}
+
+export const FULFILLMENT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  PARTIAL: 'partial'
+}
+
+export const STEP_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  DONE: 'done',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+}
+
+export const PAYMENT_WITH_RELATIONS = `
+  *,
+  profiles (name, email),
+  courses (title),
+  bundles (title)
+`
+
+const FINISHED_STEP_STATUSES = [STEP_STATUS.DONE, STEP_STATUS.SKIPPED]
+
+/**
+ * Load the fulfillment row for a payment, creating it on first delivery
+ */
+async function startFulfillment(paymentId, source) {
+  const { error: insertError } = await supabase
+    .from('payment_fulfillments')
+    .insert({ payment_id: paymentId, source })
+
+  // An earlier delivery or attempt already created it
+  if (insertError && insertError.code !== '23505') throw insertError
+
+  const { data: fulfillment, error } = await supabase
+    .from('payment_fulfillments')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .single()
+
+  if (error) throw error
+  return fulfillment
+}
+
+/**
+ * Grant what the payment bought, recording the step in the same
+ * transaction. Installments go through their schedule so an overdue plan
+ * is not unlocked early, and gifts issue and email a code for the recipient.
+ */
+async function grantAccess(payment, source) {
+  if (payment.installment_id) {
+    await recordInstallmentPayment(payment, source)
+    return
+  }
+
+  if (payment.is_gift) {
+    await issueGiftForPayment(payment, source)
+    return
+  }
+
+  const courseIds = await getPaymentCourseIds(payment)
+
+  const { error } = await supabase.rpc('grant_payment_access', {
+    p_payment_id: payment.id,
+    p_course_ids: courseIds,
+    p_source: source
+  })
+
+  if (error) throw error
+}
+
+/**
+ * Take the email step so concurrent deliveries send one email. A step
+ * stuck in 'sending' is only taken back by an admin retry.
+ */
+async function claimEmailStep(paymentId, { force = false } = {}) {
+  const claimable = [STEP_STATUS.PENDING, STEP_STATUS.FAILED]
+  if (force) claimable.push(STEP_STATUS.SENDING)
+
+  const { data, error } = await supabase
+    .from('payment_fulfillments')
+    .update({ email_status: STEP_STATUS.SENDING })
+    .eq('payment_id', paymentId)
+    .in('email_status', claimable)
+    .select('id')
+    .maybeSingle()
+
+  if (error) throw error
+  return !!data
+}
+
+/**
+ * Email the student that their payment went through, with the invoice
+ * attached when there is one
+ */
+async function sendConfirmationEmail(payment, invoice) {
+  const courseName = payment.courses?.title || payment.bundles?.title || getOrderTitle(payment.order_items)
+  const attachments = invoice ? [await getInvoiceAttachment(invoice, payment)] : []
+
+  const email = payment.method === 'scholarship'
+    ? {
+        template: 'scholarship-approved',
+        data: {
+          name: payment.profiles.name,
+          courseName,
+          courseId: payment.course_id,
+          invoiceNumber: invoice?.invoice_number
+        }
+      }
+    : payment.method === 'bank_transfer'
+    ? {
+        template: 'bank-approval',
+        data: {
+          name: payment.profiles.name,
+          courseName,
+          amount: payment.amount,
+          invoiceNumber: invoice?.invoice_number
+        }
+      }
+    : {
+        template: 'payment-success',
+        data: {
+          studentName: payment.profiles.name,
+          courseName,
+          amount: payment.amount,
+          paymentId: payment.payment_id || payment.payhere_payment_id || payment.id,
+          invoiceNumber: invoice?.invoice_number
+        }
+      }
+
+  const result = await sendEmail({
+    to: payment.profiles.email,
+    ...email,
+    attachments
+  })
+
+  // sendEmail reports failures instead of throwing
+  if (result?.error) throw new Error(result.error)
+}
+
+/**
+ * @typedef {Object} FulfillmentResult
+ * @property {Object} fulfillment - payment_fulfillments row
+ * @property {Object|null} invoice - invoices row when one was issued
+ * @property {string[]} failedSteps - steps to retry, empty when complete
+ */
+
+/**
+ * Fulfill a paid payment. Safe to call again for the same payment: steps
+ * already done are skipped. Failures are recorded rather than thrown so
+ * the caller's own status update stands.
+ * @param {Object} payment - payments row with profiles, courses and bundles
+ * @param {{ source: string, forceEmail?: boolean }} options
+ * @returns {Promise<FulfillmentResult>}
+ */
+export async function fulfillPayment(payment, { source, forceEmail = false }) {
+  const fulfillment = await startFulfillment(payment.id, source)
+  // Only the steps this call ran are written back, so a concurrent
+  // delivery's results are not overwritten
+  const ran = {}
+  const errors = {}
+  let invoice = null
+
+  const runStep = async (step, work) => {
+    try {
+      await work()
+      ran[`${step}_status`] = STEP_STATUS.DONE
+      errors[step] = null
+    } catch (error) {
+      ran[`${step}_status`] = STEP_STATUS.FAILED
+      errors[step] = error.message
+      logger.error(`Payment fulfillment step failed: ${step}`, 'PAYMENT', {
+        paymentId: payment.id,
+        source,
+        error
+      })
+    }
+  }
+
+  if (fulfillment.access_status !== STEP_STATUS.DONE) {
+    await runStep('access', () => grantAccess(payment, source))
+  }
+
+  const emailFinished = FINISHED_STEP_STATUSES.includes(fulfillment.email_status)
+
+  // Issuing is idempotent, so a done step still returns the invoice to attach
+  if (fulfillment.invoice_status !== STEP_STATUS.DONE || !emailFinished) {
+    await runStep('invoice', async () => {
+      invoice = await issueInvoiceForPayment(payment)
+    })
+  }
+
+  // Only confirm once the student actually has access
+  const hasAccess = (ran.access_status || fulfillment.access_status) === STEP_STATUS.DONE
+
+  // Referred payments credit their affiliate once access is granted
+  const earnsCommission = !!payment.affiliate_id
+  if (earnsCommission && hasAccess && fulfillment.commission_status !== STEP_STATUS.DONE) {
+    await runStep('commission', () => recordCommissionForPayment(payment))
+  }
+  if (!emailFinished && hasAccess) {
+    if (!payment.profiles?.email) {
+      ran.email_status = STEP_STATUS.SKIPPED
+    } else if (await claimEmailStep(payment.id, { force: forceEmail })) {
+      await runStep('email', () => sendConfirmationEmail(payment, invoice))
+    }
+  }
+
+  // Merged into the current row and given its overall status in one transaction
+  const { data: saved, error: saveError } = await supabase.rpc('record_fulfillment_attempt', {
+    p_fulfillment_id: fulfillment.id,
+    p_steps: ran,
+    p_errors: errors,
+    p_invoice_id: invoice?.id || null,
+    p_earns_commission: earnsCommission
+  })
+
+  if (saveError) throw saveError
+
+  const failedSteps = Object.keys(saved.errors || {})
+
+  if (failedSteps.length) {
+    logger.warn('Payment fulfilled partially', 'PAYMENT', {
+      paymentId: payment.id,
+      source,
+      failedSteps
+    })
+  }
+
+  return { fulfillment: saved, invoice, failedSteps }
+}
+
+/**
+ * Re-run the unfinished steps of a payment's fulfillment
+ * @param {string} paymentId
+ * @returns {Promise<FulfillmentResult>}
+ */
+export async function retryFulfillment(paymentId) {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select(`${PAYMENT_WITH_RELATIONS}, payment_fulfillments (source)`)
+    .eq('id', paymentId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!payment) throw createNotFoundError('Payment', { paymentId })
+
+  if (!PAID_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new ValidationError(`Payment is ${payment.status}, not paid`)
+  }
+
+  const fulfillment = Array.isArray(payment.payment_fulfillments)
+    ? payment.payment_fulfillments[0]
+    : payment.payment_fulfillments
+
+  logger.info('Retrying payment fulfillment', 'PAYMENT', { paymentId })
+
+  return fulfillPayment(payment, {
+    source: fulfillment?.source || payment.method,
+    forceEmail: true
+  })
+}
@@ -0,0 +1,371 @@
+/**
+ * Gift purchases and prepaid course codes
+ *
+ * A gift payment goes through the normal checkout but is fulfilled with
+ * a single-use code emailed to the recipient instead of a purchases row
+ * for the buyer. Admins can also generate batches of prepaid codes for
+ * schools and tuition classes. Redeeming a code grants its course (or
+ * every course in its bundle) to the signed-in student.
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase-admin'
+import { sendEmail } from './email'
+import { logger } from './logger'
+import { sanitizeInput } from './api-utils'
+import { grantPurchase, getPaymentCourseIds } from './purchases'
+import { getOwnedCourseIds } from './bundles'
+import { ValidationError, createNotFoundError } from './errors'
+
+export const GIFT_CODE_STATUS = {
+  ACTIVE: 'active',
+  REDEEMED: 'redeemed',
+  REVOKED: 'revoked'
+}
+
+// Largest batch an admin can generate at once
+export const MAX_GIFT_BATCH_SIZE = 1000
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Generate a redemption code, e.g. GIFT-7K3Q-9XPA-M2RT. Ambiguous
+ * characters (0/O, 1/I) are left out so codes can be typed from print.
+ */
+export const generateGiftCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+  const bytes = crypto.randomBytes(12)
+  let code = ''
+  for (const byte of bytes) {
+    code += alphabet[byte % alphabet.length]
+  }
+  return `GIFT-${code.slice(0, 4)}-${code.slice(4, 8)}-${code.slice(8, 12)}`
+}
+
+/**
+ * Normalize user-entered gift codes; spaces and case are ignored
+ */
+export const normalizeGiftCode = (code) => {
+  return typeof code === 'string' ? code.replace(/\s+/g, '').toUpperCase() : ''
+}
+
+/**
+ * Validate the gift details sent with a checkout and map them onto
+ * payments columns. Returns an empty object when the purchase is not a gift.
+ * @param {{ recipientEmail: string, recipientName?: string, message?: string } | null} gift
+ * @returns {Object}
+ */
+export const getGiftPaymentFields = (gift) => {
+  if (!gift) return {}
+
+  const recipientEmail = typeof gift.recipientEmail === 'string' ? gift.recipientEmail.trim().toLowerCase() : ''
+  if (!EMAIL_PATTERN.test(recipientEmail)) {
+    throw new ValidationError('Enter a valid recipient email address')
+  }
+
+  const message = typeof gift.message === 'string' ? gift.message.trim() : ''
+  if (message.length > 500) {
+    throw new ValidationError('Gift message must be 500 characters or fewer')
+  }
+
+  return {
+    is_gift: true,
+    gift_recipient_email: recipientEmail,
+    gift_recipient_name: typeof gift.recipientName === 'string' ? gift.recipientName.trim().slice(0, 100) || null : null,
+    gift_message: message || null
+  }
+}
+
+/**
+ * Why a gift code cannot be redeemed, or null
+ * @param {Object | null} giftCode
+ * @param {Date} [now=new Date()]
+ * @returns {string | null}
+ */
+export const getGiftCodeIneligibility = (giftCode, now = new Date()) => {
+  if (!giftCode || giftCode.status === GIFT_CODE_STATUS.REVOKED) {
+    return 'Invalid gift code'
+  }
+
+  if (giftCode.status === GIFT_CODE_STATUS.REDEEMED) {
+    return 'This gift code has already been redeemed'
+  }
+
+  if (giftCode.expires_at && new Date(giftCode.expires_at) <= now) {
+    return 'This gift code has expired'
+  }
+
+  return null
+}
+
+/**
+ * Insert gift code rows, retrying with fresh codes on the rare collision
+ */
+async function insertGiftCodes(rows) {
+  let lastError = null
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, error } = await supabase
+      .from('gift_codes')
+      .insert(rows.map(row => ({ ...row, code: generateGiftCode() })))
+      .select()
+
+    if (!error) return data
+    if (error.code !== '23505') throw error
+    lastError = error
+  }
+
+  throw lastError
+}
+
+/**
+ * Fulfil a paid gift payment: issue its code and email it to the
+ * recipient. Safe to run more than once; the code is issued only once
+ * per payment, and emailed again until a send succeeds. Once it is sent,
+ * the code is marked emailed and the fulfillment access step recorded in
+ * one transaction. A failed email throws, so the step is retried.
+ * @param {Object} payment - payments row with `is_gift`
+ * @param {string} source - fulfillment source recorded on the step
+ * @returns {Promise<Object>} gift code
+ */
+export const issueGiftForPayment = async (payment, source) => {
+  const { data: existing, error: lookupError } = await supabase
+    .from('gift_codes')
+    .select('*')
+    .eq('payment_id', payment.id)
+    .maybeSingle()
+
+  if (lookupError) throw lookupError
+
+  const giftCode = existing || await insertGiftForPayment(payment)
+
+  if (!giftCode.emailed_at) await sendGiftEmail(giftCode, payment)
+
+  const { data: delivered, error } = await supabase.rpc('record_gift_delivery', {
+    p_gift_code_id: giftCode.id,
+    p_source: source
+  })
+
+  if (error) throw error
+  return delivered
+}
+
+async function insertGiftForPayment(payment) {
+  let giftCode
+  try {
+    [giftCode] = await insertGiftCodes([{
+      course_id: payment.course_id || null,
+      bundle_id: payment.bundle_id || null,
+      payment_id: payment.id,
+      purchaser_id: payment.user_id,
+      recipient_email: payment.gift_recipient_email,
+      recipient_name: payment.gift_recipient_name,
+      message: payment.gift_message,
+      status: GIFT_CODE_STATUS.ACTIVE
+    }])
+  } catch (error) {
+    if (error.code !== '23505') throw error
+
+    // A concurrent delivery issued the code first
+    const { data: issued, error: issuedError } = await supabase
+      .from('gift_codes')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .maybeSingle()
+
+    if (issuedError) throw issuedError
+    if (!issued) throw error
+    return issued
+  }
+
+  return giftCode
+}
+
+async function sendGiftEmail(giftCode, payment) {
+  try {
+    const [{ data: sender }, { data: item }] = await Promise.all([
+      supabase.from('profiles').select('name').eq('id', payment.user_id).maybeSingle(),
+      supabase
+        .from(payment.bundle_id ? 'bundles' : 'courses')
+        .select('title')
+        .eq('id', payment.bundle_id || payment.course_id)
+        .maybeSingle()
+    ])
+
+    await sendEmail({
+      to: giftCode.recipient_email,
+      template: 'gift-received',
+      data: {
+        recipientName: sanitizeInput(giftCode.recipient_name || ''),
+        senderName: sanitizeInput(sender?.name || 'A friend'),
+        courseName: item?.title,
+        message: sanitizeInput(giftCode.message || ''),
+        code: giftCode.code,
+        expiresAt: giftCode.expires_at
+      }
+    })
+  } catch (emailError) {
+    logger.error('Failed to send gift email', 'PAYMENT', {
+      giftCodeId: giftCode.id,
+      paymentId: payment.id,
+      error: emailError
+    })
+    throw emailError
+  }
+}
+
+/**
+ * Generate a batch of prepaid codes for a course or bundle
+ * @param {{ label: string, courseId?: string, bundleId?: string, quantity: number, expiresAt?: string, adminId: string }} params
+ * @returns {Promise<{ batch: Object, giftCodes: Object[] }>}
+ */
+export const createGiftCodeBatch = async ({ label, courseId, bundleId, quantity, expiresAt, adminId }) => {
+  const count = Number(quantity)
+
+  if (!label?.trim()) {
+    throw new ValidationError('Batch label is required')
+  }
+  if (!courseId === !bundleId) {
+    throw new ValidationError('Choose either a course or a bundle')
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_GIFT_BATCH_SIZE) {
+    throw new ValidationError(`Quantity must be between 1 and ${MAX_GIFT_BATCH_SIZE}`)
+  }
+  if (expiresAt && !(new Date(expiresAt) > new Date())) {
+    throw new ValidationError('Expiry date must be in the future')
+  }
+
+  const { data: item, error: itemError } = await supabase
+    .from(bundleId ? 'bundles' : 'courses')
+    .select('id')
+    .eq('id', bundleId || courseId)
+    .maybeSingle()
+
+  if (itemError) throw itemError
+  if (!item) throw createNotFoundError(bundleId ? 'Bundle' : 'Course')
+
+  const itemFields = {
+    course_id: courseId || null,
+    bundle_id: bundleId || null,
+    expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+  }
+
+  const { data: batch, error: batchError } = await supabase
+    .from('gift_code_batches')
+    .insert({
+      label: label.trim(),
+      quantity: count,
+      created_by: adminId,
+      ...itemFields
+    })
+    .select()
+    .single()
+
+  if (batchError) throw batchError
+
+  const giftCodes = await insertGiftCodes(
+    Array.from({ length: count }, () => ({
+      ...itemFields,
+      batch_id: batch.id,
+      status: GIFT_CODE_STATUS.ACTIVE
+    }))
+  )
+
+  return { batch, giftCodes }
+}
+
+/**
+ * Redeem a code for a student. The code is claimed before access is
+ * granted so two people cannot redeem the same code at once.
+ * @param {{ code: string, userId: string }} params
+ * @returns {Promise<{ giftCode: Object, courseIds: string[] }>}
+ */
+export const redeemGiftCode = async ({ code, userId }) => {
+  const normalized = normalizeGiftCode(code)
+  if (!normalized) {
+    throw new ValidationError('Enter a gift code')
+  }
+
+  const { data: giftCode, error } = await supabase
+    .from('gift_codes')
+    .select('*, courses (id, title), bundles (id, title)')
+    .eq('code', normalized)
+    .maybeSingle()
+
+  if (error) throw error
+
+  const reason = getGiftCodeIneligibility(giftCode)
+  if (reason) throw new ValidationError(reason)
+
+  const courseIds = await getPaymentCourseIds(giftCode)
+  const ownedCourseIds = await getOwnedCourseIds(userId, courseIds)
+
+  // Leave the code unused so it can be passed on to someone else
+  if (courseIds.length && ownedCourseIds.length === courseIds.length) {
+    throw new ValidationError(
+      giftCode.bundle_id
+        ? 'You already have access to every course in this bundle'
+        : 'You already have access to this course'
+    )
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('gift_codes')
+    .update({
+      status: GIFT_CODE_STATUS.REDEEMED,
+      redeemed_by: userId,
+      redeemed_at: new Date().toISOString()
+    })
+    .eq('id', giftCode.id)
+    .eq('status', GIFT_CODE_STATUS.ACTIVE)
+    .select()
+    .maybeSingle()
+
+  if (claimError) throw claimError
+  if (!claimed) {
+    throw new ValidationError('This gift code has already been redeemed')
+  }
+
+  for (const courseId of courseIds) {
+    await grantPurchase(userId, courseId, giftCode.payment_id)
+  }
+
+  return {
+    giftCode: { ...claimed, courses: giftCode.courses, bundles: giftCode.bundles },
+    courseIds
+  }
+}
+
+/**
+ * Undo a refunded gift payment: revoke its code, or take access away
+ * from whoever already redeemed it
+ * @param {Object} payment - payments row with `is_gift`
+ * @returns {Promise<void>}
+ */
+export const revokeGiftForPayment = async (payment) => {
+  const { data: giftCode, error } = await supabase
+    .from('gift_codes')
+    .select('id, status, redeemed_by')
+    .eq('payment_id', payment.id)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!giftCode) return
+
+  if (giftCode.status === GIFT_CODE_STATUS.REDEEMED) {
+    const { error: deleteError } = await supabase
+      .from('purchases')
+      .delete()
+      .eq('user_id', giftCode.redeemed_by)
+      .eq('payment_id', payment.id)
+
+    if (deleteError) throw deleteError
+  }
+
+  const { error: updateError } = await supabase
+    .from('gift_codes')
+    .update({ status: GIFT_CODE_STATUS.REVOKED })
+    .eq('id', giftCode.id)
+
+  if (updateError) throw updateError
+}
@@ -0,0 +1,432 @@
+/**
+ * Installment payment plans
+ *
+ * A student picks one of the admin's plans for a course and gets a
+ * schedule of installments. Each installment is paid through its own
+ * payments row (Stripe or PayHere). The first payment grants access; an
+ * installment left unpaid past the grace period suspends access by
+ * clearing `purchases.access_granted`, and paying it restores access.
+ */
+
+import { supabase } from './supabase-admin'
+import { sendEmail } from './email'
+import { logger } from './logger'
+import { ValidationError, createNotFoundError } from './errors'
+import { splitInstallments, isPlanAvailableForPrice } from '../utils/installments'
+import { INSTALLMENT_POLICY, CURRENCY } from '../utils/constants'
+
+export const SCHEDULE_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  COMPLETED: 'completed',
+  CANCELED: 'canceled'
+}
+
+export const INSTALLMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid'
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Add calendar months, clamping to the end of shorter months
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+export const addMonths = (date, months) => {
+  const result = new Date(date)
+  const day = result.getUTCDate()
+  result.setUTCDate(1)
+  result.setUTCMonth(result.getUTCMonth() + months)
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate()
+  result.setUTCDate(Math.min(day, lastDay))
+  return result
+}
+
+/**
+ * Build the installments rows for a schedule starting at `start`
+ * @param {{ total: number, count: number, intervalMonths: number, start: Date }} params
+ * @returns {Array<{ installment_number: number, amount: number, due_date: string }>}
+ */
+export const buildInstallmentRows = ({ total, count, intervalMonths, start }) => {
+  return splitInstallments(total, count).map((amount, index) => ({
+    installment_number: index + 1,
+    amount,
+    due_date: addMonths(start, index * intervalMonths).toISOString()
+  }))
+}
+
+/**
+ * Why a plan cannot be used for a course, or null
+ * @param {Object | null} plan
+ * @param {{ price: number, status?: string }} course
+ * @returns {string | null}
+ */
+export const getPlanIneligibility = (plan, course) => {
+  if (!plan || !plan.active) {
+    return 'Installment plan is not available'
+  }
+
+  if (course.status && course.status !== 'published') {
+    return 'Course is not available for purchase'
+  }
+
+  if (!isPlanAvailableForPrice(plan, course.price)) {
+    return 'This course is not eligible for this installment plan'
+  }
+
+  return null
+}
+
+/**
+ * What the daily job should do with an unpaid installment
+ * @param {{ status: string, due_date: string, reminder_sent_at?: string | null }} installment
+ * @param {Date} [now=new Date()]
+ * @returns {'suspend' | 'remind' | null}
+ */
+export const getInstallmentAction = (installment, now = new Date()) => {
+  if (installment.status !== INSTALLMENT_STATUS.PENDING) return null
+
+  const dueAt = new Date(installment.due_date).getTime()
+
+  if (now.getTime() - dueAt > INSTALLMENT_POLICY.GRACE_DAYS * DAY_MS) {
+    return 'suspend'
+  }
+
+  if (!installment.reminder_sent_at && dueAt - now.getTime() <= INSTALLMENT_POLICY.REMINDER_DAYS * DAY_MS) {
+    return 'remind'
+  }
+
+  return null
+}
+
+/**
+ * Work out a schedule's status from its installments
+ * @param {Array<Object>} installments
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export const getScheduleStatus = (installments, now = new Date()) => {
+  if (installments.every(installment => installment.status === INSTALLMENT_STATUS.PAID)) {
+    return SCHEDULE_STATUS.COMPLETED
+  }
+
+  if (installments.some(installment => getInstallmentAction(installment, now) === 'suspend')) {
+    return SCHEDULE_STATUS.SUSPENDED
+  }
+
+  return SCHEDULE_STATUS.ACTIVE
+}
+
+/**
+ * Create a schedule for a course and return its first installment.
+ * Throws ValidationError / NotFoundError when the plan cannot be used.
+ * @param {{ userId: string, courseId: string, planId: string }} params
+ * @returns {Promise<{ schedule: Object, installment: Object, course: Object }>}
+ */
+export const startInstallmentSchedule = async ({ userId, courseId, planId }) => {
+  const [{ data: plan, error: planError }, { data: course, error: courseError }] = await Promise.all([
+    supabase.from('installment_plans').select('*').eq('id', planId).maybeSingle(),
+    supabase.from('courses').select('id, title, description, price, status').eq('id', courseId).maybeSingle()
+  ])
+
+  if (planError) throw planError
+  if (courseError) throw courseError
+  if (!course) throw createNotFoundError('Course')
+
+  const reason = getPlanIneligibility(plan, course)
+  if (reason) throw new ValidationError(reason, { planId, courseId })
+
+  const { data: purchase } = await supabase
+    .from('purchases')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .eq('access_granted', true)
+    .maybeSingle()
+
+  if (purchase) {
+    throw new ValidationError('You already have access to this course')
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('installment_schedules')
+    .select('id, status')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .in('status', [SCHEDULE_STATUS.PENDING, SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.SUSPENDED])
+
+  if (existingError) throw existingError
+
+  if (existing.some(schedule => schedule.status !== SCHEDULE_STATUS.PENDING)) {
+    throw new ValidationError('You already have an installment plan for this course')
+  }
+
+  // A pending schedule is one whose first payment never went through
+  if (existing.length) {
+    await supabase
+      .from('installment_schedules')
+      .update({ status: SCHEDULE_STATUS.CANCELED, updated_at: new Date().toISOString() })
+      .in('id', existing.map(schedule => schedule.id))
+  }
+
+  const { data: schedule, error: scheduleError } = await supabase
+    .from('installment_schedules')
+    .insert({
+      user_id: userId,
+      course_id: courseId,
+      plan_id: plan.id,
+      total_amount: course.price,
+      installment_count: plan.installment_count,
+      status: SCHEDULE_STATUS.PENDING
+    })
+    .select()
+    .single()
+
+  if (scheduleError) throw scheduleError
+
+  const rows = buildInstallmentRows({
+    total: Number(course.price),
+    count: plan.installment_count,
+    intervalMonths: plan.interval_months,
+    start: new Date()
+  })
+
+  const { data: installments, error: installmentsError } = await supabase
+    .from('installments')
+    .insert(rows.map(row => ({ ...row, schedule_id: schedule.id })))
+    .select()
+
+  if (installmentsError) throw installmentsError
+
+  const installment = installments.find(row => row.installment_number === 1)
+  return { schedule, installment, course }
+}
+
+/**
+ * Load an installment the user can pay now: their own, unpaid, and the
+ * earliest unpaid one on its schedule
+ * @param {string} installmentId
+ * @param {string} userId
+ * @returns {Promise<{ schedule: Object, installment: Object, course: Object }>}
+ */
+export const getPayableInstallment = async (installmentId, userId) => {
+  const { data: installment, error } = await supabase
+    .from('installments')
+    .select(`
+      *,
+      installment_schedules (
+        *,
+        courses (id, title, description, price),
+        installments (installment_number, status)
+      )
+    `)
+    .eq('id', installmentId)
+    .maybeSingle()
+
+  if (error) throw error
+
+  const schedule = installment?.installment_schedules
+  if (!installment || schedule.user_id !== userId) {
+    throw createNotFoundError('Installment')
+  }
+
+  if (installment.status !== INSTALLMENT_STATUS.PENDING) {
+    throw new ValidationError('This installment has already been paid')
+  }
+
+  if (![SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.SUSPENDED].includes(schedule.status)) {
+    throw new ValidationError('This installment plan is no longer active')
+  }
+
+  const nextNumber = Math.min(
+    ...schedule.installments
+      .filter(row => row.status === INSTALLMENT_STATUS.PENDING)
+      .map(row => row.installment_number)
+  )
+
+  if (installment.installment_number !== nextNumber) {
+    throw new ValidationError('Please pay your earlier installment first')
+  }
+
+  return { schedule, installment, course: schedule.courses }
+}
+
+/**
+ * Create the pending payments row for one installment
+ * @param {{ installment: Object, schedule: Object, method: string, fields?: Object }} params
+ * @returns {Promise<Object>} payment
+ */
+export const createInstallmentPayment = async ({ installment, schedule, method, fields = {} }) => {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .insert({
+      user_id: schedule.user_id,
+      course_id: schedule.course_id,
+      installment_id: installment.id,
+      amount: installment.amount,
+      currency: CURRENCY.CODE,
+      method,
+      status: 'pending',
+      ...fields,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return payment
+}
+
+/**
+ * Take course access away while an installment is overdue. The purchase
+ * row is kept so paying the installment restores it.
+ * @param {Object} schedule
+ * @returns {Promise<void>}
+ */
+export const suspendSchedule = async (schedule) => {
+  const { error: purchaseError } = await supabase
+    .from('purchases')
+    .update({ access_granted: false })
+    .eq('user_id', schedule.user_id)
+    .eq('course_id', schedule.course_id)
+
+  if (purchaseError) throw purchaseError
+
+  const { error } = await supabase
+    .from('installment_schedules')
+    .update({
+      status: SCHEDULE_STATUS.SUSPENDED,
+      suspended_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', schedule.id)
+
+  if (error) throw error
+}
+
+/**
+ * Apply a paid installment payment: mark the installment paid, update the
+ * schedule and grant (or restore) course access unless another
+ * installment is still overdue. The database does all of that and records
+ * the fulfillment access step in one transaction. Safe to run more than once.
+ * @param {Object} payment - payments row with `installment_id`
+ * @param {string} source - fulfillment source recorded on the step
+ * @returns {Promise<Object>} updated schedule
+ */
+export const recordInstallmentPayment = async (payment, source) => {
+  const { data: installment, error: installmentError } = await supabase
+    .from('installments')
+    .select('id, schedule_id')
+    .eq('id', payment.installment_id)
+    .single()
+
+  if (installmentError) throw installmentError
+
+  const { data: installments, error: scheduleError } = await supabase
+    .from('installments')
+    .select('*')
+    .eq('schedule_id', installment.schedule_id)
+
+  if (scheduleError) throw scheduleError
+
+  // The schedule as it stands once this installment is paid
+  const status = getScheduleStatus(installments.map(item => (
+    item.id === installment.id ? { ...item, status: INSTALLMENT_STATUS.PAID } : item
+  )))
+
+  const { data: schedule, error } = await supabase.rpc('grant_installment_access', {
+    p_payment_id: payment.id,
+    p_schedule_status: status,
+    p_source: source
+  })
+
+  if (error) throw error
+  return schedule
+}
+
+async function sendInstallmentEmail(template, installment, schedule) {
+  if (!schedule.profiles?.email) return
+
+  try {
+    await sendEmail({
+      to: schedule.profiles.email,
+      template,
+      data: {
+        name: schedule.profiles.name,
+        courseName: schedule.courses?.title,
+        amount: installment.amount,
+        dueDate: installment.due_date,
+        installmentNumber: installment.installment_number,
+        installmentCount: schedule.installment_count
+      }
+    })
+  } catch (emailError) {
+    logger.error('Failed to send installment email', 'PAYMENT', {
+      template,
+      installmentId: installment.id,
+      error: emailError
+    })
+  }
+}
+
+/**
+ * Daily job: remind students of upcoming installments and suspend
+ * schedules with an installment overdue past the grace period
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ reminded: number, suspended: number }>}
+ */
+export const processInstallments = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + INSTALLMENT_POLICY.REMINDER_DAYS * DAY_MS)
+
+  const { data: installments, error } = await supabase
+    .from('installments')
+    .select(`
+      *,
+      installment_schedules!inner (
+        *,
+        profiles (name, email),
+        courses (title)
+      )
+    `)
+    .eq('status', INSTALLMENT_STATUS.PENDING)
+    .lte('due_date', horizon.toISOString())
+    .in('installment_schedules.status', [SCHEDULE_STATUS.ACTIVE, SCHEDULE_STATUS.SUSPENDED])
+    .order('due_date', { ascending: true })
+
+  if (error) throw error
+
+  let reminded = 0
+  let suspended = 0
+  const suspendedSchedules = new Set()
+
+  for (const installment of installments || []) {
+    const schedule = installment.installment_schedules
+    const action = getInstallmentAction(installment, now)
+
+    if (action === 'remind') {
+      await sendInstallmentEmail('installment-reminder', installment, schedule)
+
+      const { error: updateError } = await supabase
+        .from('installments')
+        .update({ reminder_sent_at: now.toISOString() })
+        .eq('id', installment.id)
+
+      if (updateError) throw updateError
+      reminded++
+    }
+
+    if (action === 'suspend' && schedule.status === SCHEDULE_STATUS.ACTIVE &&
+        !suspendedSchedules.has(schedule.id)) {
+      await suspendSchedule(schedule)
+      await sendInstallmentEmail('installment-suspended', installment, schedule)
+      suspendedSchedules.add(schedule.id)
+      suspended++
+    }
+  }
+
+  return { reminded, suspended }
+}
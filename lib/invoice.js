@@ -1,191 +1,224 @@
 import PDFDocument from 'pdfkit'
-import fs from 'fs'
-import path from 'path'
+import { mathToPlainText } from '../utils/math'
 
-export const generateInvoice = async (invoiceData) => {
-  return new Promise((resolve, reject) => {
-    try {
-      // Create PDF document
-      const doc = new PDFDocument({
-        size: 'A4',
-        margin: 50
-      })
-      
-      // Generate unique invoice number
-      const invoiceNumber = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`
-      
-      // File path
-      const fileName = `invoice-${invoiceNumber}.pdf`
-      const filePath = path.join(process.cwd(), 'public', 'invoices', fileName)
-      
-      // Ensure directory exists
-      const dir = path.dirname(filePath)
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true })
-      }
-      
-      // Pipe to file
-      doc.pipe(fs.createWriteStream(filePath))
-      
-      // Header with gradient effect (simulated)
-      doc.rect(0, 0, doc.page.width, 150)
-         .fill('#667eea')
-      
-      // Logo and Company Name
-      doc.fillColor('#ffffff')
-         .fontSize(28)
-         .font('Helvetica-Bold')
-         .text(process.env.NEXT_PUBLIC_APP_NAME, 50, 50)
-      
-      doc.fontSize(12)
-         .font('Helvetica')
-         .text('Excellence in Mathematics Education', 50, 85)
-      
-      // Invoice Title
-      doc.fillColor('#ffffff')
-         .fontSize(20)
-         .text('INVOICE', 450, 50, { align: 'right' })
-      
-      doc.fontSize(10)
-         .text(`#${invoiceNumber}`, 450, 75, { align: 'right' })
-         .text(`Date: ${new Date().toLocaleDateString('en-GB')}`, 450, 90, { align: 'right' })
-      
-      // Reset color for body
-      doc.fillColor('#333333')
-      
-      // Customer Information Box
-      doc.rect(50, 180, 250, 100)
-         .stroke('#e5e7eb')
-      
-      doc.fontSize(12)
-         .font('Helvetica-Bold')
-         .text('BILL TO:', 60, 190)
-      
-      doc.font('Helvetica')
-         .fontSize(11)
-         .text(invoiceData.customerName, 60, 210)
-         .text(invoiceData.customerEmail, 60, 225)
-         .text(`Student ID: ${invoiceData.userId}`, 60, 240)
-      
-      // Company Information Box
-      doc.rect(320, 180, 250, 100)
-         .stroke('#e5e7eb')
-      
-      doc.fontSize(12)
-         .font('Helvetica-Bold')
-         .text('FROM:', 330, 190)
-      
-      doc.font('Helvetica')
-         .fontSize(11)
-         .text(process.env.NEXT_PUBLIC_APP_NAME, 330, 210)
-         .text('mathtutor@asfaqahmed.com', 330, 225)
-         .text('Colombo, Sri Lanka', 330, 240)
-         .text('Tel: +94 75 660 5254', 330, 255)
-      
-      // Invoice Details Table
-      doc.rect(50, 310, 520, 30)
-         .fill('#f3f4f6')
-      
-      doc.fillColor('#333333')
-         .fontSize(11)
-         .font('Helvetica-Bold')
-         .text('Description', 60, 320)
-         .text('Quantity', 350, 320)
-         .text('Unit Price', 420, 320)
-         .text('Total', 500, 320)
-      
-      // Course Details
-      doc.rect(50, 340, 520, 60)
-         .stroke('#e5e7eb')
-      
-      doc.font('Helvetica')
-         .fontSize(11)
-         .text(invoiceData.courseName, 60, 355)
-         .text('Online Course Access', 60, 370, { color: '#6b7280' })
-         .text('1', 350, 355)
-         .text(`LKR ${invoiceData.amount.toLocaleString()}`, 420, 355)
-         .text(`LKR ${invoiceData.amount.toLocaleString()}`, 500, 355)
-      
-      // Payment Summary
-      doc.rect(320, 420, 250, 120)
-         .stroke('#e5e7eb')
-      
-      doc.font('Helvetica')
-         .fontSize(11)
-         .text('Subtotal:', 330, 435)
-         .text(`LKR ${invoiceData.amount.toLocaleString()}`, 480, 435, { align: 'right' })
-      
-      doc.text('Tax (0%):', 330, 455)
-         .text('LKR 0', 480, 455, { align: 'right' })
-      
-      doc.moveTo(330, 475)
-         .lineTo(560, 475)
-         .stroke('#e5e7eb')
-      
-      doc.font('Helvetica-Bold')
-         .fontSize(14)
-         .text('Total:', 330, 490)
-         .text(`LKR ${invoiceData.amount.toLocaleString()}`, 460, 490, { align: 'right' })
-      
-      doc.font('Helvetica')
-         .fontSize(10)
-         .fillColor('#10b981')
-         .text(`Paid via ${invoiceData.paymentMethod}`, 330, 515)
-      
-      // Payment Information
-      doc.fillColor('#333333')
-         .fontSize(11)
-         .font('Helvetica-Bold')
-         .text('Payment Information:', 50, 435)
-      
-      doc.font('Helvetica')
-         .fontSize(10)
-         .text(`Method: ${invoiceData.paymentMethod}`, 50, 455)
-         .text(`Transaction ID: ${invoiceData.transactionId || 'N/A'}`, 50, 470)
-         .text(`Payment Date: ${new Date().toLocaleString('en-GB')}`, 50, 485)
-      
-      // Bank Details (if needed)
-      if (invoiceData.paymentMethod === 'Bank Transfer') {
-        doc.rect(50, 560, 520, 80)
-           .stroke('#e5e7eb')
-        
-        doc.font('Helvetica-Bold')
-           .fontSize(11)
-           .text('Bank Details:', 60, 570)
-        
-        doc.font('Helvetica')
-           .fontSize(10)
-           .text(`Bank: ${process.env.NEXT_PUBLIC_BANK_NAME}`, 60, 590)
-           .text(`Account: ${process.env.NEXT_PUBLIC_BANK_ACCOUNT}`, 60, 605)
-           .text(`Name: ${process.env.NEXT_PUBLIC_BANK_ACCOUNT_NAME}`, 60, 620)
-           .text(`Branch: ${process.env.NEXT_PUBLIC_BANK_BRANCH}`, 300, 590)
-           .text(`SWIFT: ${process.env.NEXT_PUBLIC_BANK_SWIFT}`, 300, 605)
-      }
-      
-      // Footer
-      doc.fontSize(9)
-         .fillColor('#6b7280')
-         .text('Thank you for your business!', 50, 680, { align: 'center' })
-         .text(`This is a computer-generated invoice and is valid without signature.`, 50, 695, { align: 'center' })
-         .text(`© 2025 ${process.env.NEXT_PUBLIC_APP_NAME}. All rights reserved.`, 50, 710, { align: 'center' })
-      
-      // Finalize PDF
-      doc.end()
-      
-      // Return file info
-      resolve({
-        fileName,
-        filePath,
-        publicPath: `/invoices/${fileName}`,
-        invoiceNumber
-      })
-      
-    } catch (error) {
-      reject(error)
-    }
+/**
+ * @typedef {Object} InvoiceData
+ * @property {'invoice' | 'credit_note'} documentType
+ * @property {string} invoiceNumber - sequential number from lib/invoicing
+ * @property {string} issuedAt
+ * @property {string} [creditedInvoiceNumber] - invoice a credit note cancels
+ * @property {{ name: string, address: string, email: string, phone: string, businessRegistrationNumber?: string, vatNumber?: string, ssclNumber?: string }} seller
+ * @property {{ name: string, email: string, userId: string }} customer
+ * @property {string} description
+ * @property {Array<{ description: string, quantity: number, amount: number }>} [lineItems] - one per course for cart orders
+ * @property {string} currency
+ * @property {number} subtotal
+ * @property {Array<{ name: string, rate: number, amount: number }>} taxLines
+ * @property {number} total
+ * @property {{ method: string, reference: string, paidAt: string }} payment
+ * @property {Object} [charged] - amount charged in the gateway currency
+ */
+
+const formatMoney = (amount, currency = 'LKR') => {
+  return `${currency} ${Number(amount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })}`
+}
+
+const renderInvoice = (doc, invoiceData) => {
+  const isCreditNote = invoiceData.documentType === 'credit_note'
+  const { seller, customer, currency } = invoiceData
+  // Credit notes print their amounts as negatives of the invoice
+  const money = (amount) => formatMoney(isCreditNote && amount ? -amount : amount, currency)
+
+  // Header with gradient effect (simulated)
+  doc.rect(0, 0, doc.page.width, 150)
+     .fill(isCreditNote ? '#764ba2' : '#667eea')
+
+  // Logo and Company Name
+  doc.fillColor('#ffffff')
+     .fontSize(28)
+     .font('Helvetica-Bold')
+     .text(seller.name, 50, 50, { width: 330 })
+
+  doc.fontSize(12)
+     .font('Helvetica')
+     .text('Excellence in Mathematics Education', 50, 85)
+
+  // Document Title
+  doc.fillColor('#ffffff')
+     .fontSize(20)
+     .text(isCreditNote ? 'CREDIT NOTE' : 'INVOICE', 350, 50, { width: 195, align: 'right' })
+
+  doc.fontSize(10)
+     .text(`#${invoiceData.invoiceNumber}`, 350, 75, { width: 195, align: 'right' })
+     .text(`Date: ${new Date(invoiceData.issuedAt).toLocaleDateString('en-GB')}`, 350, 90, { width: 195, align: 'right' })
+
+  if (isCreditNote && invoiceData.creditedInvoiceNumber) {
+    doc.text(`Credits invoice #${invoiceData.creditedInvoiceNumber}`, 350, 105, { width: 195, align: 'right' })
+  }
+
+  // Reset color for body
+  doc.fillColor('#333333')
+
+  // Customer Information Box
+  doc.rect(50, 180, 250, 110)
+     .stroke('#e5e7eb')
+
+  doc.fontSize(12)
+     .font('Helvetica-Bold')
+     .text(isCreditNote ? 'CREDIT TO:' : 'BILL TO:', 60, 190)
+
+  doc.font('Helvetica')
+     .fontSize(11)
+     .text(customer.name, 60, 210)
+     .text(customer.email || '', 60, 225)
+     .text(`Student ID: ${customer.userId}`, 60, 240, { width: 230 })
+
+  // Company Information Box
+  doc.rect(320, 180, 250, 110)
+     .stroke('#e5e7eb')
+
+  doc.fontSize(12)
+     .font('Helvetica-Bold')
+     .text('FROM:', 330, 190)
+
+  let sellerY = 210
+  const sellerLines = [
+    seller.name,
+    seller.email,
+    seller.address,
+    seller.phone && `Tel: ${seller.phone}`,
+    seller.businessRegistrationNumber && `Reg. No: ${seller.businessRegistrationNumber}`,
+    seller.vatNumber && `VAT No: ${seller.vatNumber}`,
+    seller.ssclNumber && `SSCL No: ${seller.ssclNumber}`
+  ].filter(Boolean)
+
+  doc.font('Helvetica').fontSize(seller.vatNumber || seller.ssclNumber ? 9 : 11)
+  sellerLines.forEach(line => {
+    doc.text(line, 330, sellerY, { width: 230 })
+    sellerY += seller.vatNumber || seller.ssclNumber ? 11 : 15
+  })
+
+  // Invoice Details Table
+  doc.rect(50, 310, 520, 30)
+     .fill('#f3f4f6')
+
+  doc.fillColor('#333333')
+     .fontSize(11)
+     .font('Helvetica-Bold')
+     .text('Description', 60, 320)
+     .text('Quantity', 330, 320)
+     .text('Unit Price', 390, 320)
+     .text('Total', 480, 320)
+
+  // Course Details, one row per course for cart orders
+  const lines = invoiceData.lineItems?.length
+    ? invoiceData.lineItems
+    : [{ description: invoiceData.description, quantity: 1, amount: invoiceData.subtotal }]
+  // Cart orders are capped at CART.MAX_ITEMS, which still fits above the footer
+  const compact = lines.length > 1
+  const lineHeight = compact ? 30 : 60
+
+  doc.rect(50, 340, 520, lineHeight * lines.length)
+     .stroke('#e5e7eb')
+
+  lines.forEach((line, index) => {
+    const lineY = 340 + index * lineHeight + (compact ? 3 : 15)
+
+    // The standard fonts cannot draw typeset math, so formulas in course
+    // titles are written out as text
+    doc.font('Helvetica')
+       .fontSize(11)
+       .fillColor('#333333')
+       .text(mathToPlainText(line.description), 60, lineY, { width: 260, height: 14, ellipsis: true })
+       .fillColor('#6b7280')
+       .text('Online Course Access', 60, lineY + (compact ? 13 : 15))
+       .fillColor('#333333')
+       .text(String(line.quantity), 330, lineY)
+       .text(money(line.amount), 390, lineY, { width: 85 })
+       .text(money(line.amount * line.quantity), 480, lineY, { width: 85 })
   })
+
+  // Summary, one row per tax line
+  const summaryTop = 360 + lineHeight * lines.length
+  let y = summaryTop + 15
+  const row = (label, value) => {
+    doc.text(label, 330, y)
+       .text(value, 440, y, { width: 120, align: 'right' })
+    y += 20
+  }
+
+  doc.font('Helvetica').fontSize(11)
+  row('Subtotal:', money(invoiceData.subtotal))
+
+  if (invoiceData.taxLines.length) {
+    invoiceData.taxLines.forEach(line => row(`${line.name} (${line.rate}%):`, money(line.amount)))
+  } else {
+    row('Tax (0%):', money(0))
+  }
+
+  doc.moveTo(330, y)
+     .lineTo(560, y)
+     .stroke('#e5e7eb')
+  y += 15
+
+  doc.font('Helvetica-Bold')
+     .fontSize(14)
+     .text(isCreditNote ? 'Total Credit:' : 'Total:', 330, y)
+     .text(money(invoiceData.total), 420, y, { width: 140, align: 'right' })
+  y += 25
+
+  doc.font('Helvetica')
+     .fontSize(10)
+     .fillColor('#10b981')
+     .text(isCreditNote ? `Refunded via ${invoiceData.payment.method}` : `Paid via ${invoiceData.payment.method}`, 330, y)
+  y += 15
+
+  if (invoiceData.charged) {
+    const { charged } = invoiceData
+    doc.fillColor('#6b7280')
+       .fontSize(9)
+       .text(`Charged: ${charged.currency} ${Number(charged.amount).toFixed(2)}`, 330, y)
+    y += 12
+
+    if (charged.rate) {
+      doc.text(`Rate: 1 ${charged.baseCurrency} = ${charged.rate} ${charged.quoteCurrency} (effective ${charged.effectiveFrom})`, 330, y, { width: 235 })
+      y += 18
+    } else {
+      y += 6
+    }
+  }
+
+  doc.rect(320, summaryTop, 250, y - summaryTop + 5)
+     .stroke('#e5e7eb')
+
+  // Payment Information
+  doc.fillColor('#333333')
+     .fontSize(11)
+     .font('Helvetica-Bold')
+     .text('Payment Information:', 50, summaryTop + 15)
+
+  doc.font('Helvetica')
+     .fontSize(10)
+     .text(`Method: ${invoiceData.payment.method}`, 50, summaryTop + 35)
+     .text(`Transaction ID: ${invoiceData.payment.reference || 'N/A'}`, 50, summaryTop + 50, { width: 260 })
+     .text(`Payment Date: ${new Date(invoiceData.payment.paidAt).toLocaleString('en-GB')}`, 50, summaryTop + 80)
+
+  // Footer
+  doc.fontSize(9)
+     .fillColor('#6b7280')
+     .text('Thank you for your business!', 50, 680, { align: 'center' })
+     .text(`This is a computer-generated ${isCreditNote ? 'credit note' : 'invoice'} and is valid without signature.`, 50, 695, { align: 'center' })
+     .text(`© ${new Date(invoiceData.issuedAt).getFullYear()} ${seller.name}. All rights reserved.`, 50, 710, { align: 'center' })
 }
 
+/**
+ * Render an invoice or credit note PDF into a buffer
+ * @param {InvoiceData} invoiceData
+ * @returns {Promise<Buffer>}
+ */
 export const generateInvoicePDF = async (invoiceData) => {
   return new Promise((resolve, reject) => {
     try {
@@ -198,38 +231,7 @@ export const generateInvoicePDF = async (invoiceData) => {
         resolve(pdfData)
       })
 
-      // Header
-      doc.fontSize(20).font('Helvetica-Bold').text(invoiceData.company.name, 50, 50)
-      doc.fontSize(10).font('Helvetica').text(invoiceData.company.address, 50, 75)
-
-      // Invoice details
-      doc.fontSize(24).font('Helvetica-Bold').text('INVOICE', 400, 50, { align: 'right' })
-      doc.fontSize(12).font('Helvetica').text(`#${invoiceData.invoiceNumber}`, 400, 80, { align: 'right' })
-
-      // Customer info
-      doc.fontSize(14).font('Helvetica-Bold').text('Bill To:', 50, 150)
-      doc.fontSize(12).font('Helvetica').text(invoiceData.customer.name, 50, 170)
-      doc.text(invoiceData.customer.email, 50, 185)
-
-      // Items
-      let y = 250
-      doc.fontSize(12).font('Helvetica-Bold')
-      doc.text('Description', 50, y).text('Amount', 450, y)
-      y += 20
-      
-      invoiceData.items.forEach(item => {
-        doc.fontSize(10).font('Helvetica')
-        doc.text(item.description, 50, y)
-        doc.text(`LKR ${(item.total / 100).toLocaleString()}`, 450, y)
-        y += 20
-      })
-
-      // Total
-      y += 20
-      doc.fontSize(14).font('Helvetica-Bold')
-      doc.text('Total:', 350, y)
-      doc.text(`LKR ${(invoiceData.total / 100).toLocaleString()}`, 450, y)
-
+      renderInvoice(doc, invoiceData)
       doc.end()
     } catch (error) {
       reject(error)
@@ -237,4 +239,4 @@ export const generateInvoicePDF = async (invoiceData) => {
   })
 }
 
-export default generateInvoice
\ No newline at end of file
+export default generateInvoicePDF
@@ -0,0 +1,368 @@
+/**
+ * Invoices and credit notes
+ *
+ * Every paid payment gets one invoice, and every refunded payment one
+ * credit note. Numbers come from per-year database sequences
+ * (INV-2026-000001, CN-2026-000001) allocated in the same transaction
+ * that stores the document, so a failed insert never leaves a gap.
+ *
+ * Course prices are tax-inclusive: the amount the student paid is the
+ * invoice total, and the configured tax rates are backed out of it.
+ *
+ * Each document is rendered once and kept in a private storage bucket;
+ * downloads are served from that copy through short-lived signed URLs.
+ */
+
+import { supabase } from './supabase-admin'
+import { generateInvoicePDF } from './invoice'
+import { getOrderTitle } from '../utils/cart'
+
+export const DOCUMENT_TYPE = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note'
+}
+
+// Private bucket holding rendered invoices and credit notes
+export const INVOICE_BUCKET = 'invoices'
+
+// Signed invoice URLs are handed to students, keep them short-lived
+export const INVOICE_URL_TTL = 5 * 60 // seconds
+
+// settings.key holding the seller details printed on every document
+export const SELLER_SETTINGS_KEY = 'invoice_seller'
+
+export const DEFAULT_SELLER = {
+  name: process.env.NEXT_PUBLIC_APP_NAME || 'MathPro Academy',
+  address: 'Colombo, Sri Lanka',
+  email: 'mathtutor@asfaqahmed.com',
+  phone: '+94 75 660 5254',
+  businessRegistrationNumber: '',
+  vatNumber: '',
+  ssclNumber: ''
+}
+
+const PAYMENT_METHOD_LABELS = {
+  stripe: 'Card (Stripe)',
+  payhere: 'PayHere',
+  bank_transfer: 'Bank Transfer',
+  scholarship: 'Scholarship'
+}
+
+/**
+ * Split a tax-inclusive total into a net subtotal and one line per tax.
+ * Compound taxes are charged on the subtotal plus the taxes before them
+ * (VAT on top of SSCL). Lines are rounded to cents and the rounding lands
+ * on the subtotal, so they always add up to the amount paid.
+ * @param {number} total - amount paid
+ * @param {Array<{ name: string, rate: number, compound?: boolean, sort_order?: number }>} taxRates
+ * @returns {{ subtotal: number, taxLines: Array<{ name: string, rate: number, amount: number }>, taxTotal: number, total: number }}
+ */
+export const calculateTaxLines = (total, taxRates = []) => {
+  const rates = [...taxRates].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+  const totalCents = Math.round(Number(total) * 100)
+
+  let multiplier = 1
+  const coefficients = rates.map(taxRate => {
+    const coefficient = (taxRate.compound ? multiplier : 1) * Number(taxRate.rate) / 100
+    multiplier += coefficient
+    return coefficient
+  })
+
+  const netCents = totalCents / multiplier
+  const taxCents = coefficients.map(coefficient => Math.round(netCents * coefficient))
+  const taxTotalCents = taxCents.reduce((sum, cents) => sum + cents, 0)
+
+  return {
+    subtotal: (totalCents - taxTotalCents) / 100,
+    taxLines: rates.map((taxRate, index) => ({
+      name: taxRate.name,
+      rate: Number(taxRate.rate),
+      amount: taxCents[index] / 100
+    })),
+    taxTotal: taxTotalCents / 100,
+    total: totalCents / 100
+  }
+}
+
+/**
+ * Invoice lines for a cart order. The net subtotal is spread over the
+ * courses in proportion to their prices; rounding lands on the last line
+ * so the lines add up to the subtotal.
+ * @param {Array<{ title: string, amount: number }>} orderItems - payments.order_items
+ * @param {number} subtotal - net subtotal from calculateTaxLines
+ * @returns {Array<{ description: string, quantity: number, amount: number }>}
+ */
+export const buildInvoiceLines = (orderItems, subtotal) => {
+  const orderTotal = orderItems.reduce((sum, item) => sum + Number(item.amount), 0)
+  const subtotalCents = Math.round(Number(subtotal) * 100)
+  let allocatedCents = 0
+
+  return orderItems.map((item, index) => {
+    const cents = index === orderItems.length - 1
+      ? subtotalCents - allocatedCents
+      : Math.round(subtotalCents * Number(item.amount) / orderTotal)
+    allocatedCents += cents
+
+    return { description: item.title, quantity: 1, amount: cents / 100 }
+  })
+}
+
+/**
+ * Seller details from settings, falling back to the defaults above
+ */
+export const getSellerDetails = async () => {
+  const { data, error } = await supabase
+    .from('settings')
+    .select('value')
+    .eq('key', SELLER_SETTINGS_KEY)
+    .maybeSingle()
+
+  if (error) throw error
+  return { ...DEFAULT_SELLER, ...(data?.value || {}) }
+}
+
+/**
+ * Tax rates currently applied to new invoices
+ */
+export const getActiveTaxRates = async () => {
+  const { data, error } = await supabase
+    .from('tax_rates')
+    .select('name, rate, compound, sort_order')
+    .eq('active', true)
+    .order('sort_order', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+async function findDocument(paymentId, documentType) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .eq('document_type', documentType)
+    .maybeSingle()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Store a document through the issue_invoice database function, which
+ * allocates the next number for the year. Concurrent calls for the same
+ * payment lose the unique constraint race and read back the winner.
+ */
+async function storeDocument(document) {
+  const { data, error } = await supabase.rpc('issue_invoice', { p_document: document })
+
+  if (error) {
+    if (error.code !== '23505') throw error
+
+    const existing = await findDocument(document.payment_id, document.document_type)
+    if (!existing) throw error
+    return existing
+  }
+
+  return data
+}
+
+/**
+ * Issue the invoice for a paid payment, or return the one already issued
+ * @param {Object} payment - payments row with profiles, courses and bundles
+ * @returns {Promise<Object>} invoices row
+ */
+export const issueInvoiceForPayment = async (payment) => {
+  const existing = await findDocument(payment.id, DOCUMENT_TYPE.INVOICE)
+  if (existing) return existing
+
+  const [seller, taxRates] = await Promise.all([getSellerDetails(), getActiveTaxRates()])
+  const { subtotal, taxLines, taxTotal, total } = calculateTaxLines(payment.amount, taxRates)
+  const lineItems = payment.order_items?.length ? buildInvoiceLines(payment.order_items, subtotal) : []
+
+  return storeDocument({
+    document_type: DOCUMENT_TYPE.INVOICE,
+    payment_id: payment.id,
+    customer_name: payment.profiles?.name || null,
+    customer_email: payment.profiles?.email || null,
+    description: payment.courses?.title || payment.bundles?.title || getOrderTitle(payment.order_items) || 'Course access',
+    line_items: lineItems,
+    currency: 'LKR',
+    subtotal,
+    tax_lines: taxLines,
+    tax_total: taxTotal,
+    total,
+    seller
+  })
+}
+
+/**
+ * Issue the credit note cancelling a refunded payment's invoice. It
+ * mirrors the invoice's amounts and tax lines so the two net to zero.
+ * @param {Object} payment - payments row with profiles, courses and bundles
+ * @returns {Promise<{ invoice: Object, creditNote: Object }>}
+ */
+export const issueCreditNoteForPayment = async (payment) => {
+  const invoice = await issueInvoiceForPayment(payment)
+
+  const existing = await findDocument(payment.id, DOCUMENT_TYPE.CREDIT_NOTE)
+  if (existing) return { invoice, creditNote: existing }
+
+  const creditNote = await storeDocument({
+    document_type: DOCUMENT_TYPE.CREDIT_NOTE,
+    payment_id: payment.id,
+    credited_invoice_id: invoice.id,
+    customer_name: invoice.customer_name,
+    customer_email: invoice.customer_email,
+    description: invoice.description,
+    line_items: invoice.line_items,
+    currency: invoice.currency,
+    subtotal: invoice.subtotal,
+    tax_lines: invoice.tax_lines,
+    tax_total: invoice.tax_total,
+    total: invoice.total,
+    seller: await getSellerDetails()
+  })
+
+  return { invoice, creditNote }
+}
+
+/**
+ * Map a stored invoice or credit note onto the data the PDF generator
+ * in lib/invoice renders
+ * @param {Object} document - invoices row
+ * @param {Object} payment - the payment it was issued for
+ * @param {Object} [creditedInvoice] - original invoice, for credit notes
+ */
+export const toInvoiceData = (document, payment, creditedInvoice = null) => {
+  const method = payment.method || payment.payment_method
+  const snapshot = payment.exchange_rate_snapshot
+  const chargedInOtherCurrency = payment.charged_currency && payment.charged_currency !== document.currency
+
+  return {
+    documentType: document.document_type,
+    invoiceNumber: document.invoice_number,
+    issuedAt: document.issued_at,
+    creditedInvoiceNumber: creditedInvoice?.invoice_number || null,
+    seller: document.seller,
+    customer: {
+      name: document.customer_name || 'N/A',
+      email: document.customer_email,
+      userId: payment.user_id
+    },
+    description: document.description,
+    lineItems: document.line_items || [],
+    currency: document.currency,
+    subtotal: Number(document.subtotal),
+    taxLines: document.tax_lines || [],
+    total: Number(document.total),
+    payment: {
+      method: PAYMENT_METHOD_LABELS[method] || method,
+      reference: payment.payment_id || payment.order_id || payment.id,
+      paidAt: payment.approved_at || payment.updated_at || payment.created_at
+    },
+
+    // Amount actually charged when the gateway used another currency. A
+    // listed price is charged as is, so it has no exchange rate to show.
+    charged: chargedInOtherCurrency ? {
+      amount: payment.charged_amount,
+      currency: payment.charged_currency,
+      ...(snapshot && {
+        rate: snapshot.rate,
+        baseCurrency: snapshot.base_currency,
+        quoteCurrency: snapshot.quote_currency,
+        effectiveFrom: new Date(snapshot.effective_from).toLocaleDateString('en-GB')
+      })
+    } : null
+  }
+}
+
+/**
+ * Download file name for a document, e.g. invoice-INV-2026-000001.pdf
+ */
+export const getInvoiceFileName = (document) => {
+  const prefix = document.document_type === DOCUMENT_TYPE.CREDIT_NOTE ? 'credit-note' : 'invoice'
+  return `${prefix}-${document.invoice_number}.pdf`
+}
+
+const isAlreadyStoredError = (error) => {
+  return String(error.statusCode) === '409' || /already exists/i.test(error.message || '')
+}
+
+/**
+ * Render a document and keep it in the invoice bucket, unless it was
+ * stored before. Invoices are also linked from their payment row.
+ * @param {Object} document - invoices row
+ * @param {Object} payment - the payment it was issued for
+ * @param {Object} [creditedInvoice] - original invoice, for credit notes
+ * @returns {Promise<{ filePath: string, pdf: Buffer | null }>} pdf is only set when rendered by this call
+ */
+export const storeInvoicePdf = async (document, payment, creditedInvoice = null) => {
+  if (document.file_path) {
+    return { filePath: document.file_path, pdf: null }
+  }
+
+  const filePath = `${document.year}/${getInvoiceFileName(document)}`
+  const pdf = await generateInvoicePDF(toInvoiceData(document, payment, creditedInvoice))
+
+  const { error: uploadError } = await supabase.storage
+    .from(INVOICE_BUCKET)
+    .upload(filePath, pdf, { contentType: 'application/pdf', upsert: false })
+
+  // A concurrent download stored the same document first
+  if (uploadError && !isAlreadyStoredError(uploadError)) throw uploadError
+
+  const { error: updateError } = await supabase
+    .from('invoices')
+    .update({ file_path: filePath })
+    .eq('id', document.id)
+
+  if (updateError) throw updateError
+
+  if (document.document_type === DOCUMENT_TYPE.INVOICE) {
+    const { error: paymentError } = await supabase
+      .from('payments')
+      .update({ invoice_number: document.invoice_number, invoice_path: filePath })
+      .eq('id', payment.id)
+
+    if (paymentError) throw paymentError
+  }
+
+  return { filePath, pdf: uploadError ? null : pdf }
+}
+
+/**
+ * Read a stored document back from the invoice bucket
+ * @returns {Promise<Buffer>}
+ */
+export const downloadInvoicePdf = async (filePath) => {
+  const { data, error } = await supabase.storage
+    .from(INVOICE_BUCKET)
+    .download(filePath)
+
+  if (error) throw error
+  return Buffer.from(await data.arrayBuffer())
+}
+
+/**
+ * Email attachment for a document, storing it first if needed
+ */
+export const getInvoiceAttachment = async (document, payment, creditedInvoice = null) => {
+  const { filePath, pdf } = await storeInvoicePdf(document, payment, creditedInvoice)
+
+  return {
+    filename: getInvoiceFileName(document),
+    content: pdf || await downloadInvoicePdf(filePath)
+  }
+}
+
+/**
+ * Create a short-lived signed URL that downloads a stored document
+ */
+export const getInvoiceSignedUrl = async (filePath, fileName) => {
+  const { data, error } = await supabase.storage
+    .from(INVOICE_BUCKET)
+    .createSignedUrl(filePath, INVOICE_URL_TTL, { download: fileName })
+
+  if (error) throw error
+  return data.signedUrl
+}
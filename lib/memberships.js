@@ -0,0 +1,248 @@
+/**
+ * All-access memberships
+ *
+ * A membership is a Stripe subscription that unlocks every published
+ * course. Stripe is the source of truth: webhook handlers re-read the
+ * subscription and copy its state into `memberships`, so replays and
+ * out-of-order deliveries always land on the latest state.
+ */
+
+import { supabase } from './supabase-admin'
+import {
+  createCustomer,
+  createSubscriptionCheckoutSession,
+  createBillingPortalSession,
+  getSubscription,
+  updateSubscription,
+  getPrice
+} from './stripe'
+import { ValidationError, createNotFoundError } from './errors'
+import { isMembershipActive } from '../utils/auth'
+import { MEMBERSHIP_PLANS, MEMBERSHIP_GRACE_DAYS } from '../utils/constants'
+
+const PRICE_IDS = {
+  [MEMBERSHIP_PLANS.MONTHLY]: process.env.STRIPE_MEMBERSHIP_MONTHLY_PRICE_ID,
+  [MEMBERSHIP_PLANS.YEARLY]: process.env.STRIPE_MEMBERSHIP_YEARLY_PRICE_ID
+}
+
+const PLAN_BY_INTERVAL = {
+  month: MEMBERSHIP_PLANS.MONTHLY,
+  year: MEMBERSHIP_PLANS.YEARLY
+}
+
+const toISO = (unixSeconds) => {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null
+}
+
+/**
+ * Map a Stripe subscription onto a memberships row.
+ * A failing renewal starts the grace period the first time it is seen
+ * and keeps it; any healthy status clears it.
+ * @param {Object} subscription - Stripe subscription
+ * @param {{ userId: string, existing?: Object | null, now?: Date }} options
+ * @returns {Object}
+ */
+export const buildMembershipFields = (subscription, { userId, existing = null, now = new Date() }) => {
+  const price = subscription.items?.data?.[0]?.price
+  const failing = ['past_due', 'unpaid'].includes(subscription.status)
+
+  let graceUntil = null
+  if (failing) {
+    graceUntil = existing?.grace_until ||
+      new Date(now.getTime() + MEMBERSHIP_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  }
+
+  return {
+    user_id: userId,
+    plan: PLAN_BY_INTERVAL[price?.recurring?.interval] || subscription.metadata?.plan,
+    status: subscription.status,
+    stripe_customer_id: subscription.customer,
+    stripe_subscription_id: subscription.id,
+    current_period_end: toISO(subscription.current_period_end),
+    cancel_at_period_end: !!subscription.cancel_at_period_end,
+    grace_until: graceUntil,
+    canceled_at: toISO(subscription.canceled_at),
+    ended_at: toISO(subscription.ended_at),
+    updated_at: now.toISOString()
+  }
+}
+
+/**
+ * The user's membership that currently gives access, if any
+ * @param {string} userId
+ * @returns {Promise<Object | null>}
+ */
+export const getActiveMembership = async (userId) => {
+  const { data, error } = await supabase
+    .from('memberships')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return (data || []).find(membership => isMembershipActive(membership)) || null
+}
+
+/**
+ * Monthly and yearly plans with their Stripe prices
+ * @returns {Promise<Array<{ plan: string, amount: number, currency: string }>>}
+ */
+export const getMembershipPlans = async () => {
+  const plans = Object.entries(PRICE_IDS).filter(([, priceId]) => priceId)
+
+  return Promise.all(plans.map(async ([plan, priceId]) => {
+    const price = await getPrice(priceId)
+    return {
+      plan,
+      amount: price.unit_amount / 100,
+      currency: price.currency.toUpperCase()
+    }
+  }))
+}
+
+/**
+ * Reuse the Stripe customer saved on the profile, or create one
+ */
+const getOrCreateCustomerId = async (profile) => {
+  if (profile.stripe_customer_id) return profile.stripe_customer_id
+
+  const customer = await createCustomer({
+    email: profile.email,
+    name: profile.name,
+    metadata: { userId: profile.id }
+  })
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({ stripe_customer_id: customer.id })
+    .eq('id', profile.id)
+
+  if (error) throw error
+  return customer.id
+}
+
+/**
+ * Start a Stripe checkout for a membership plan
+ * @param {{ userId: string, plan: string, successUrl: string, cancelUrl: string }} params
+ * @returns {Promise<{ sessionId: string, url: string }>}
+ */
+export const createMembershipCheckout = async ({ userId, plan, successUrl, cancelUrl }) => {
+  const priceId = PRICE_IDS[plan]
+  if (!priceId) {
+    throw new ValidationError('Unknown membership plan', { plan })
+  }
+
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('id, name, email, stripe_customer_id')
+    .eq('id', userId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!profile) throw createNotFoundError('User')
+
+  if (await getActiveMembership(userId)) {
+    throw new ValidationError('You already have an active membership')
+  }
+
+  const customerId = await getOrCreateCustomerId(profile)
+
+  return createSubscriptionCheckoutSession({
+    priceId,
+    customerId,
+    successUrl,
+    cancelUrl,
+    metadata: { userId, plan }
+  })
+}
+
+/**
+ * Work out which local user a subscription belongs to
+ */
+const resolveSubscriptionUser = async (subscription, existing) => {
+  if (subscription.metadata?.userId) return subscription.metadata.userId
+  if (existing) return existing.user_id
+
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('id')
+    .eq('stripe_customer_id', subscription.customer)
+    .maybeSingle()
+
+  if (error) throw error
+  return profile?.id || null
+}
+
+/**
+ * Copy the current state of a Stripe subscription into `memberships`
+ * @param {string} subscriptionId
+ * @returns {Promise<{ membership: Object, previous: Object | null }>}
+ */
+export const syncSubscription = async (subscriptionId) => {
+  const subscription = await getSubscription(subscriptionId)
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('memberships')
+    .select('*')
+    .eq('stripe_subscription_id', subscription.id)
+    .maybeSingle()
+
+  if (lookupError) throw lookupError
+
+  const userId = await resolveSubscriptionUser(subscription, existing)
+  if (!userId) {
+    throw new Error(`No user found for subscription ${subscription.id}`)
+  }
+
+  const { data: membership, error } = await supabase
+    .from('memberships')
+    .upsert(
+      buildMembershipFields(subscription, { userId, existing }),
+      { onConflict: 'stripe_subscription_id' }
+    )
+    .select()
+    .single()
+
+  if (error) throw error
+  return { membership, previous: existing }
+}
+
+/**
+ * Turn auto-renewal off (cancel at period end) or back on
+ * @param {string} userId
+ * @param {boolean} cancel
+ * @returns {Promise<Object>} updated membership
+ */
+export const setMembershipRenewal = async (userId, cancel) => {
+  const membership = await getActiveMembership(userId)
+  if (!membership) throw createNotFoundError('Membership')
+
+  await updateSubscription(membership.stripe_subscription_id, {
+    cancel_at_period_end: cancel
+  })
+
+  const { membership: updated } = await syncSubscription(membership.stripe_subscription_id)
+  return updated
+}
+
+/**
+ * Open Stripe's billing portal for the user's saved Stripe customer
+ * @param {string} userId
+ * @param {string} returnUrl
+ * @returns {Promise<{ url: string }>}
+ */
+export const createMembershipPortal = async (userId, returnUrl) => {
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('stripe_customer_id')
+    .eq('id', userId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!profile?.stripe_customer_id) throw createNotFoundError('Billing account')
+
+  return createBillingPortalSession({
+    customerId: profile.stripe_customer_id,
+    returnUrl
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * Local PayHere sandbox simulator
+ *
+ * Stands in for the PayHere hosted checkout during development and
+ * Playwright runs. public/payhere-simulator.js replaces the PayHere SDK
+ * and opens /payment/payhere-simulator, where the tester picks an
+ * outcome. This module signs the notifications PayHere would send for
+ * that outcome so they can be posted to our notify_url and go through
+ * the same verification as real ones.
+ *
+ * Enabled with PAYHERE_SIMULATOR=true and never in production.
+ */
+
+import crypto from 'crypto'
+import {
+  PAYHERE_CONFIG,
+  generatePayHereHash,
+  generateNotificationSignature
+} from './payhere'
+import { ValidationError } from './errors'
+
+// Status codes PayHere sends to notify_url, in the order it sends them
+export const SIMULATOR_OUTCOMES = {
+  success: { statusCodes: ['2'], message: 'Successfully completed the payment.' },
+  failure: { statusCodes: ['-2'], message: 'Payment declined by the card issuer.' },
+  cancel: { statusCodes: ['-1'], message: 'Payment cancelled by the customer.' },
+  // A paid order later reversed by the card holder's bank
+  chargeback: { statusCodes: ['2', '-3'], message: 'Payment charged back by the card holder.' }
+}
+
+export const isPayHereSimulatorEnabled = () => {
+  return process.env.PAYHERE_SIMULATOR === 'true' && process.env.NODE_ENV !== 'production'
+}
+
+/**
+ * Check the hash on a startPayment() payment object, as the hosted
+ * checkout does before showing the payment form
+ */
+export const verifyCheckoutHash = (payment) => {
+  if (!payment?.order_id || !payment.amount || !payment.hash) return false
+
+  try {
+    return payment.merchant_id === PAYHERE_CONFIG.MERCHANT_ID &&
+      generatePayHereHash(payment.order_id, payment.amount, payment.currency || PAYHERE_CONFIG.CURRENCY) === payment.hash
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Build the signed notifications PayHere would post to notify_url for
+ * the chosen outcome
+ * @param {Object} payment - object passed to payhere.startPayment()
+ * @param {keyof SIMULATOR_OUTCOMES} outcome
+ * @returns {Array<Object>} form fields, one set per notification
+ */
+export const buildSimulatedNotifications = (payment, outcome) => {
+  const simulated = SIMULATOR_OUTCOMES[outcome]
+  if (!simulated) {
+    throw new ValidationError(`Unknown simulator outcome: ${outcome}`)
+  }
+
+  const amount = parseFloat(payment.amount).toFixed(2)
+  const currency = payment.currency || PAYHERE_CONFIG.CURRENCY
+  // PayHere payment ids are 12+ digit numbers
+  const paymentId = String(crypto.randomInt(100000000000, 999999999999))
+
+  return simulated.statusCodes.map(statusCode => ({
+    merchant_id: PAYHERE_CONFIG.MERCHANT_ID,
+    order_id: payment.order_id,
+    payment_id: paymentId,
+    payhere_amount: amount,
+    payhere_currency: currency,
+    status_code: statusCode,
+    md5sig: generateNotificationSignature({
+      merchantId: PAYHERE_CONFIG.MERCHANT_ID,
+      orderId: payment.order_id,
+      amount,
+      currency,
+      statusCode
+    }),
+    method: 'TEST',
+    status_message: statusCode === '2' ? SIMULATOR_OUTCOMES.success.message : simulated.message
+  }))
+}
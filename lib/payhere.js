@@ -6,7 +6,18 @@ export const PAYHERE_CONFIG = {
   MERCHANT_SECRET: process.env.NEXT_PUBLIC_PAYHERE_MERCHANT_SECRET,
   SANDBOX_URL: 'https://sandbox.payhere.lk/pay/checkout',
   LIVE_URL: 'https://www.payhere.lk/pay/checkout',
-  CURRENCY: 'LKR'
+  CURRENCY: 'LKR',
+  // PayHere does not report its fee in notifications, so we estimate it
+  // from the merchant's agreed rate, e.g. 3.3
+  FEE_PERCENT: parseFloat(process.env.PAYHERE_FEE_PERCENT) || null
+}
+
+/**
+ * Estimated PayHere fee on an amount, or null when no rate is configured
+ */
+export const estimatePayHereFee = (amount) => {
+  if (!PAYHERE_CONFIG.FEE_PERCENT) return null
+  return Math.round(amount * PAYHERE_CONFIG.FEE_PERCENT) / 100
 }
 
 /**
@@ -75,6 +86,26 @@ export const createPayHerePayment = ({
   }
 }
 
+/**
+ * Sign a payment notification the way PayHere does for notify_url:
+ * MD5(merchant_id + order_id + payhere_amount + payhere_currency + status_code + MD5(merchant_secret))
+ */
+export const generateNotificationSignature = ({ merchantId, orderId, amount, currency, statusCode }) => {
+  const merchantSecret = PAYHERE_CONFIG.MERCHANT_SECRET
+
+  if (!merchantSecret) {
+    throw new Error('PayHere merchant secret not configured')
+  }
+
+  const innerHash = crypto.createHash('md5').update(merchantSecret).digest('hex').toUpperCase()
+
+  return crypto
+    .createHash('md5')
+    .update(merchantId + orderId + amount + currency + statusCode + innerHash)
+    .digest('hex')
+    .toUpperCase()
+}
+
 /**
  * Verify PayHere callback notification
  */
@@ -88,29 +119,13 @@ export const verifyPayHereCallback = (data) => {
     md5sig
   } = data
 
-  // Generate expected hash for verification (same format as working implementation)
-  const merchantSecret = PAYHERE_CONFIG.MERCHANT_SECRET
-  
-  if (!merchantSecret) {
-    throw new Error('PayHere merchant secret not configured')
-  }
-
-  const localMd5sig = crypto
-    .createHash('md5')
-    .update(
-      merchant_id +
-        order_id +
-        payhere_amount +
-        payhere_currency +
-        status_code +
-        crypto
-          .createHash('md5')
-          .update(merchantSecret)
-          .digest('hex')
-          .toUpperCase()
-    )
-    .digest('hex')
-    .toUpperCase()
+  const localMd5sig = generateNotificationSignature({
+    merchantId: merchant_id,
+    orderId: order_id,
+    amount: payhere_amount,
+    currency: payhere_currency,
+    statusCode: status_code
+  })
 
   // Verify hash matches
   const isValid = localMd5sig === md5sig
@@ -157,7 +172,7 @@ export const loadPayHereScript = () => {
 
     // Create script element
     const script = document.createElement('script')
-    script.src = 'https://www.payhere.lk/lib/payhere.js'
+    script.src = process.env.NEXT_PUBLIC_PAYHERE_JS || 'https://www.payhere.lk/lib/payhere.js'
     script.onload = () => {
       if (typeof window.payhere !== 'undefined') {
         resolve(window.payhere)
@@ -210,6 +225,8 @@ const PayHereUtils = {
   PAYHERE_CONFIG,
   generatePayHereHash,
   createPayHerePayment,
+  estimatePayHereFee,
+  generateNotificationSignature,
   verifyPayHereCallback,
   loadPayHereScript,
   initializePayHerePayment
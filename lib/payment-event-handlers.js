@@ -0,0 +1,586 @@
+/**
+ * Payment gateway event handlers
+ *
+ * Each handler takes the stored event payload and applies it to our data.
+ * They are called for live webhook deliveries and for admin replays, so
+ * they must be safe to run more than once for the same event.
+ */
+
+import { supabase } from './supabase-admin'
+import { sendEmail } from './email'
+import { logger } from './logger'
+import { syncSubscription } from './memberships'
+import { fulfillPayment, FULFILLMENT_SOURCES, PAYMENT_WITH_RELATIONS } from './fulfillment'
+import { PAID_PAYMENT_STATUSES } from './purchases'
+import { revokeCourseAccess } from './refunds'
+import { issueCreditNoteForPayment } from './invoicing'
+import { voidCommissionForPayment } from './affiliates'
+import { getPaymentIntentFee } from './stripe'
+import { estimatePayHereFee } from './payhere'
+import {
+  findPaymentByIntent,
+  setPaymentAccess,
+  compileDisputeEvidence,
+  notifyAdminsOfDispute,
+  WON_DISPUTE_STATUSES,
+  PAYMENT_DISPUTE_STATUS
+} from './disputes'
+import { getOrderTitle } from '../utils/cart'
+
+// Only these are moved to paid. A replay or late delivery for a payment
+// that was since refunded or disputed must not approve it again, or
+// fulfillment would grant the access again.
+const SETTLEABLE_PAYMENT_STATUSES = ['pending', 'failed']
+
+// PayHere status_code for a payment charged back by the card holder
+const PAYHERE_CHARGEBACK = '-3'
+
+/**
+ * @typedef {Object} HandlerResult
+ * @property {'processed' | 'ignored'} status
+ * @property {string} [message]
+ * @property {string} [paymentId] - local payments.id the event applied to
+ */
+
+async function sendPaymentEmail(template, payment, paymentReference) {
+  if (!payment.profiles?.email) return
+
+  try {
+    await sendEmail({
+      to: payment.profiles.email,
+      template,
+      data: {
+        studentName: payment.profiles.name,
+        courseName: payment.courses?.title || payment.bundles?.title || getOrderTitle(payment.order_items),
+        amount: payment.amount,
+        paymentId: paymentReference
+      }
+    })
+  } catch (emailError) {
+    logger.error('Failed to send payment email', 'PAYMENT', {
+      template,
+      paymentId: payment.id,
+      error: emailError
+    })
+  }
+}
+
+/**
+ * Why a success notification must not approve and fulfil this payment, if
+ * it must not. Paid payments are fulfilled again, so replays retry failed
+ * steps.
+ */
+function getSettleSkipReason(payment) {
+  if (payment.dispute_status === PAYMENT_DISPUTE_STATUS.OPEN || payment.dispute_status === PAYMENT_DISPUTE_STATUS.LOST) {
+    return `Payment is disputed (${payment.dispute_status})`
+  }
+  if (![...SETTLEABLE_PAYMENT_STATUSES, ...PAID_PAYMENT_STATUSES].includes(payment.status)) {
+    return `Payment is ${payment.status}`
+  }
+  return null
+}
+
+/**
+ * Find the local payment row for a Stripe checkout session
+ */
+async function findStripePayment(session) {
+  let query = supabase.from('payments').select(PAYMENT_WITH_RELATIONS)
+
+  if (session.metadata?.payment_id) {
+    query = query.eq('id', session.metadata.payment_id)
+  } else {
+    query = query.or(`stripe_session_id.eq.${session.id},payment_id.eq.${session.id}`)
+  }
+
+  const { data: payment, error } = await query.maybeSingle()
+  if (error) throw error
+  if (!payment) throw new Error(`Payment not found for session ${session.id}`)
+
+  return payment
+}
+
+/**
+ * Store the fee Stripe kept on a payment. Best effort: the fee only feeds
+ * accounting exports, so failing to read it must not hold up the order.
+ */
+async function recordStripeFee(paymentId, paymentIntentId) {
+  try {
+    const fee = await getPaymentIntentFee(paymentIntentId)
+    if (!fee) return
+
+    const { error } = await supabase
+      .from('payments')
+      .update({ gateway_fee: fee.amount, gateway_fee_currency: fee.currency })
+      .eq('id', paymentId)
+
+    if (error) throw error
+  } catch (error) {
+    logger.warn('Failed to record Stripe fee', 'PAYMENT', { paymentId, paymentIntentId, error })
+  }
+}
+
+async function handleCheckoutSessionCompleted(session) {
+  if (session.mode === 'subscription') {
+    return handleSubscriptionChanged(session.subscription)
+  }
+
+  const payment = await findStripePayment(session)
+
+  const skipReason = getSettleSkipReason(payment)
+  if (skipReason) {
+    return { status: 'ignored', message: `${skipReason}; not approving it`, paymentId: payment.id }
+  }
+
+  if (SETTLEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    const { error: updateError } = await supabase
+      .from('payments')
+      .update({
+        status: 'approved',
+        payment_id: session.payment_intent,
+        stripe_session_id: session.id,
+        approved_at: payment.approved_at || new Date().toISOString()
+      })
+      .eq('id', payment.id)
+
+    if (updateError) throw updateError
+  }
+
+  await recordStripeFee(payment.id, session.payment_intent)
+
+  const { failedSteps } = await fulfillPayment(
+    { ...payment, payment_id: session.payment_intent },
+    { source: FULFILLMENT_SOURCES.STRIPE_WEBHOOK }
+  )
+
+  return {
+    status: 'processed',
+    message: failedSteps.length ? `Checkout completed; retry needed for ${failedSteps.join(', ')}` : 'Checkout completed',
+    paymentId: payment.id
+  }
+}
+
+async function handlePaymentIntentFailed(paymentIntent) {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select(PAYMENT_WITH_RELATIONS)
+    .eq('payment_id', paymentIntent.id)
+    .maybeSingle()
+
+  if (error) throw error
+
+  if (!payment) {
+    return { status: 'ignored', message: `No payment recorded for intent ${paymentIntent.id}` }
+  }
+
+  // A late or replayed failure, maybe from an earlier declined attempt on
+  // the same intent, must not undo a payment that has since gone through
+  if (!SETTLEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return { status: 'ignored', message: `Payment is already ${payment.status}`, paymentId: payment.id }
+  }
+
+  // Conditional, so a success applied in the meantime is not overwritten
+  const { data: failed, error: updateError } = await supabase
+    .from('payments')
+    .update({ status: 'failed' })
+    .eq('id', payment.id)
+    .in('status', SETTLEABLE_PAYMENT_STATUSES)
+    .select('id')
+    .maybeSingle()
+
+  if (updateError) throw updateError
+
+  if (!failed) {
+    return { status: 'ignored', message: 'Payment was settled in the meantime', paymentId: payment.id }
+  }
+
+  if (payment.status !== 'failed') {
+    await sendPaymentEmail('payment-failed', payment, paymentIntent.id)
+  }
+
+  return { status: 'processed', message: 'Payment marked as failed', paymentId: payment.id }
+}
+
+/**
+ * Re-read a subscription from Stripe and store its state
+ */
+async function handleSubscriptionChanged(subscriptionId) {
+  const { membership } = await syncSubscription(subscriptionId)
+  return { status: 'processed', message: `Membership ${membership.status}` }
+}
+
+async function handleInvoicePaymentFailed(invoice) {
+  if (!invoice.subscription) {
+    return { status: 'ignored', message: 'Invoice is not for a subscription' }
+  }
+
+  const { membership, previous } = await syncSubscription(invoice.subscription)
+
+  // Only the first failure of a renewal starts the grace period; tell the
+  // student once rather than on every Stripe retry
+  if (membership.grace_until && !previous?.grace_until) {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('name, email')
+      .eq('id', membership.user_id)
+      .maybeSingle()
+
+    if (profile?.email) {
+      try {
+        await sendEmail({
+          to: profile.email,
+          template: 'membership-payment-failed',
+          data: {
+            name: profile.name,
+            graceUntil: membership.grace_until
+          }
+        })
+      } catch (emailError) {
+        logger.error('Failed to send membership email', 'PAYMENT', {
+          membershipId: membership.id,
+          error: emailError
+        })
+      }
+    }
+  }
+
+  return { status: 'processed', message: `Membership ${membership.status}` }
+}
+
+/**
+ * Mark a payment refunded outside the admin refund flow (a lost dispute or
+ * a refund made from the Stripe dashboard), revoke what it granted and
+ * issue the credit note
+ */
+async function markPaymentRefunded(payment, { refundMethod, refundReference }) {
+  const { error: updateError } = await supabase
+    .from('payments')
+    .update({
+      status: 'refunded',
+      refunded_at: new Date().toISOString(),
+      refund_method: refundMethod,
+      refund_reference: refundReference
+    })
+    .eq('id', payment.id)
+
+  if (updateError) throw updateError
+
+  await revokeCourseAccess(payment)
+  await voidCommissionForPayment(payment.id)
+
+  // The money has already gone back, so a failed credit note is logged; it
+  // can be issued again from the payments page
+  try {
+    await issueCreditNoteForPayment(payment)
+  } catch (creditNoteError) {
+    logger.error('Failed to issue credit note', 'PAYMENT', {
+      paymentId: payment.id,
+      error: creditNoteError
+    })
+  }
+}
+
+function getDisputeEmailData(dispute, payment, evidence) {
+  return {
+    disputeId: dispute.id,
+    studentName: payment.profiles?.name,
+    studentEmail: payment.profiles?.email,
+    courseName: payment.courses?.title || payment.bundles?.title || getOrderTitle(payment.order_items),
+    amount: dispute.amount / 100,
+    currency: dispute.currency?.toUpperCase(),
+    reason: dispute.reason,
+    status: dispute.status,
+    evidenceDueBy: dispute.evidence_details?.due_by
+      ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+      : null,
+    evidence
+  }
+}
+
+async function handleDisputeCreated(dispute) {
+  const payment = await findPaymentByIntent(dispute.payment_intent, PAYMENT_WITH_RELATIONS)
+
+  if (!payment) {
+    return { status: 'ignored', message: `No payment recorded for intent ${dispute.payment_intent}` }
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('payment_disputes')
+    .select('id, evidence')
+    .eq('stripe_dispute_id', dispute.id)
+    .maybeSingle()
+
+  if (existingError) throw existingError
+
+  // Suspend before anything that can fail, so a student is never left with
+  // access while the charge is being contested
+  await setPaymentAccess(payment, false)
+
+  const { error: paymentUpdateError } = await supabase
+    .from('payments')
+    .update({ dispute_status: PAYMENT_DISPUTE_STATUS.OPEN })
+    .eq('id', payment.id)
+
+  if (paymentUpdateError) throw paymentUpdateError
+
+  const evidence = existing?.evidence || await compileDisputeEvidence(payment)
+  const emailData = getDisputeEmailData(dispute, payment, evidence)
+
+  const { error: upsertError } = await supabase
+    .from('payment_disputes')
+    .upsert({
+      payment_id: payment.id,
+      stripe_dispute_id: dispute.id,
+      charge_id: dispute.charge,
+      reason: dispute.reason,
+      amount: dispute.amount / 100,
+      currency: emailData.currency,
+      status: dispute.status,
+      evidence,
+      evidence_due_by: emailData.evidenceDueBy,
+      opened_at: new Date(dispute.created * 1000).toISOString(),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'stripe_dispute_id' })
+
+  if (upsertError) throw upsertError
+
+  if (!existing) {
+    await notifyAdminsOfDispute('dispute-opened', emailData)
+  }
+
+  return { status: 'processed', message: 'Dispute opened; access suspended', paymentId: payment.id }
+}
+
+async function handleDisputeClosed(dispute) {
+  const payment = await findPaymentByIntent(dispute.payment_intent, PAYMENT_WITH_RELATIONS)
+
+  if (!payment) {
+    return { status: 'ignored', message: `No payment recorded for intent ${dispute.payment_intent}` }
+  }
+
+  const { data: record, error: recordError } = await supabase
+    .from('payment_disputes')
+    .select('id, status, evidence')
+    .eq('stripe_dispute_id', dispute.id)
+    .maybeSingle()
+
+  if (recordError) throw recordError
+
+  const won = WON_DISPUTE_STATUSES.includes(dispute.status)
+  const outcome = won ? PAYMENT_DISPUTE_STATUS.WON : PAYMENT_DISPUTE_STATUS.LOST
+  const alreadyClosed = record?.status === dispute.status
+
+  const { error: paymentUpdateError } = await supabase
+    .from('payments')
+    .update({ dispute_status: outcome })
+    .eq('id', payment.id)
+
+  if (paymentUpdateError) throw paymentUpdateError
+
+  if (won) {
+    await setPaymentAccess(payment, true)
+  } else if (payment.status !== 'refunded') {
+    // The card issuer has taken the money back
+    await markPaymentRefunded(payment, { refundMethod: 'chargeback', refundReference: dispute.id })
+  }
+
+  const { error: upsertError } = await supabase
+    .from('payment_disputes')
+    .upsert({
+      payment_id: payment.id,
+      stripe_dispute_id: dispute.id,
+      charge_id: dispute.charge,
+      reason: dispute.reason,
+      amount: dispute.amount / 100,
+      currency: dispute.currency?.toUpperCase(),
+      status: dispute.status,
+      outcome,
+      opened_at: new Date(dispute.created * 1000).toISOString(),
+      closed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'stripe_dispute_id' })
+
+  if (upsertError) throw upsertError
+
+  if (!alreadyClosed) {
+    await notifyAdminsOfDispute('dispute-closed', {
+      ...getDisputeEmailData(dispute, payment, record?.evidence || null),
+      outcome
+    })
+  }
+
+  return {
+    status: 'processed',
+    message: won ? 'Dispute won; access restored' : 'Dispute lost; payment refunded',
+    paymentId: payment.id
+  }
+}
+
+async function handleChargeRefunded(charge) {
+  if (!charge.refunded) {
+    return { status: 'ignored', message: 'Charge is only partially refunded' }
+  }
+
+  const payment = await findPaymentByIntent(charge.payment_intent, PAYMENT_WITH_RELATIONS)
+
+  if (!payment) {
+    return { status: 'ignored', message: `No payment recorded for intent ${charge.payment_intent}` }
+  }
+
+  // Refunds issued from the admin refund flow have already been applied
+  if (payment.status === 'refunded') {
+    return { status: 'ignored', message: 'Payment already refunded', paymentId: payment.id }
+  }
+
+  await markPaymentRefunded(payment, {
+    refundMethod: 'stripe',
+    refundReference: charge.refunds?.data?.[0]?.id || charge.id
+  })
+
+  return { status: 'processed', message: 'Payment refunded', paymentId: payment.id }
+}
+
+/**
+ * Apply a Stripe webhook event
+ * @param {import('stripe').Stripe.Event} event
+ * @returns {Promise<HandlerResult>}
+ */
+export async function handleStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return handleCheckoutSessionCompleted(event.data.object)
+    case 'payment_intent.payment_failed':
+      return handlePaymentIntentFailed(event.data.object)
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      return handleSubscriptionChanged(event.data.object.id)
+    case 'invoice.payment_succeeded':
+      return event.data.object.subscription
+        ? handleSubscriptionChanged(event.data.object.subscription)
+        : { status: 'ignored', message: 'Invoice is not for a subscription' }
+    case 'invoice.payment_failed':
+      return handleInvoicePaymentFailed(event.data.object)
+    case 'charge.dispute.created':
+      return handleDisputeCreated(event.data.object)
+    case 'charge.dispute.closed':
+      return handleDisputeClosed(event.data.object)
+    case 'charge.refunded':
+      return handleChargeRefunded(event.data.object)
+    default:
+      return { status: 'ignored', message: `Unhandled event type: ${event.type}` }
+  }
+}
+
+/**
+ * Apply a PayHere payment notification. The signature must already have
+ * been verified by the receiving endpoint.
+ * @param {Object} notification - PayHere notify_url POST body
+ * @returns {Promise<HandlerResult>}
+ */
+export async function handlePayHereNotification(notification) {
+  const {
+    order_id: orderId,
+    status_code: statusCode,
+    payment_id: payherePaymentId,
+    payhere_amount: payhereAmount,
+    payhere_currency: payhereCurrency,
+    method,
+    status_message: statusMessage
+  } = notification
+
+  const { data: payment, error: paymentError } = await supabase
+    .from('payments')
+    .select(PAYMENT_WITH_RELATIONS)
+    .eq('id', orderId)
+    .maybeSingle()
+
+  if (paymentError) throw paymentError
+  if (!payment) throw new Error(`Payment record not found for order ${orderId}`)
+
+  // status_code '2' means success in PayHere
+  if (statusCode === '2') {
+    const skipReason = getSettleSkipReason(payment)
+    if (skipReason) {
+      return { status: 'ignored', message: `${skipReason}; not completing it`, paymentId: payment.id }
+    }
+
+    if (SETTLEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      const gatewayFee = estimatePayHereFee(Number(payhereAmount) || Number(payment.amount))
+
+      const { error: updateError } = await supabase
+        .from('payments')
+        .update({
+          status: 'completed',
+          payhere_payment_id: payherePaymentId,
+          gateway_fee: gatewayFee,
+          gateway_fee_currency: gatewayFee === null ? null : payhereCurrency || payment.currency,
+          payment_method_details: {
+            method,
+            status_message: statusMessage,
+            processed_at: new Date().toISOString()
+          },
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', orderId)
+
+      if (updateError) throw updateError
+    }
+
+    const { failedSteps } = await fulfillPayment(
+      { ...payment, payhere_payment_id: payherePaymentId },
+      { source: FULFILLMENT_SOURCES.PAYHERE_NOTIFY }
+    )
+
+    return {
+      status: 'processed',
+      message: failedSteps.length ? `Payment completed; retry needed for ${failedSteps.join(', ')}` : 'Payment completed',
+      paymentId: payment.id
+    }
+  }
+
+  if (statusCode === PAYHERE_CHARGEBACK) {
+    if (payment.status === 'refunded') {
+      return { status: 'ignored', message: 'Payment already refunded', paymentId: payment.id }
+    }
+    if (!PAID_PAYMENT_STATUSES.includes(payment.status)) {
+      return { status: 'ignored', message: `Payment is ${payment.status}; nothing to charge back`, paymentId: payment.id }
+    }
+
+    const { error: disputeError } = await supabase
+      .from('payments')
+      .update({ dispute_status: PAYMENT_DISPUTE_STATUS.LOST })
+      .eq('id', payment.id)
+
+    if (disputeError) throw disputeError
+
+    // The card holder has taken the money back
+    await markPaymentRefunded(payment, { refundMethod: 'chargeback', refundReference: payherePaymentId })
+
+    return { status: 'processed', message: 'Payment charged back; access revoked', paymentId: payment.id }
+  }
+
+  // Failed and cancelled notifications arrive late or are replayed; they
+  // must not undo a payment that has already gone through
+  if (!SETTLEABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return { status: 'ignored', message: `Payment is already ${payment.status}`, paymentId: payment.id }
+  }
+
+  const { error: updateError } = await supabase
+    .from('payments')
+    .update({
+      status: 'failed',
+      payhere_payment_id: payherePaymentId,
+      payment_method_details: {
+        method,
+        status_message: statusMessage,
+        status_code: statusCode,
+        failed_at: new Date().toISOString()
+      },
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', orderId)
+
+  if (updateError) throw updateError
+
+  return { status: 'processed', message: statusMessage || 'Payment failed', paymentId: payment.id }
+}
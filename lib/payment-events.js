@@ -0,0 +1,160 @@
+/**
+ * Payment event store
+ *
+ * Every verified gateway notification is saved to `payment_events` keyed by
+ * (provider, event_id) before it is applied, so retried deliveries are
+ * ignored and failed ones can be replayed from the admin panel.
+ */
+
+import { supabase } from './supabase-admin'
+import { logger } from './logger'
+import { handleStripeEvent, handlePayHereNotification } from './payment-event-handlers'
+
+export const EVENT_PROVIDERS = {
+  STRIPE: 'stripe',
+  PAYHERE: 'payhere'
+}
+
+export const EVENT_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+}
+
+const HANDLERS = {
+  [EVENT_PROVIDERS.STRIPE]: handleStripeEvent,
+  [EVENT_PROVIDERS.PAYHERE]: handlePayHereNotification
+}
+
+/**
+ * PayHere has no event ID; it re-sends the same notification for an order
+ * and status until we answer 200, so that pair identifies a delivery.
+ * @param {Object} notification
+ * @returns {string}
+ */
+export const getPayHereEventId = (notification) => {
+  return `${notification.order_id}:${notification.status_code}`
+}
+
+/**
+ * Save an event, or claim a previously failed copy of it for a retry.
+ * Returns null when the event is a duplicate that should be skipped.
+ */
+async function claimEvent({ provider, eventId, eventType, payload }) {
+  const { data: inserted, error: insertError } = await supabase
+    .from('payment_events')
+    .insert({
+      provider,
+      event_id: eventId,
+      event_type: eventType,
+      payload,
+      status: EVENT_STATUS.RECEIVED,
+      received_at: new Date().toISOString()
+    })
+    .select()
+    .single()
+
+  if (!insertError) return inserted
+  if (insertError.code !== '23505') throw insertError
+
+  // Already seen. Only a failed attempt may be retried by the gateway;
+  // the conditional update makes sure one delivery wins the retry.
+  const { data: reclaimed, error: reclaimError } = await supabase
+    .from('payment_events')
+    .update({ status: EVENT_STATUS.RECEIVED, error: null })
+    .eq('provider', provider)
+    .eq('event_id', eventId)
+    .eq('status', EVENT_STATUS.FAILED)
+    .select()
+    .maybeSingle()
+
+  if (reclaimError) throw reclaimError
+  return reclaimed
+}
+
+/**
+ * Run the provider handler for a stored event and record the outcome
+ * @param {Object} event - payment_events row
+ * @returns {Promise<Object>} updated payment_events row
+ */
+async function runEvent(event) {
+  const handler = HANDLERS[event.provider]
+  const attempts = (event.attempts || 0) + 1
+  let update
+
+  try {
+    if (!handler) throw new Error(`No handler for provider ${event.provider}`)
+
+    const result = await handler(event.payload)
+    update = {
+      status: result.status,
+      error: null,
+      result_message: result.message || null,
+      payment_id: result.paymentId || event.payment_id || null
+    }
+  } catch (error) {
+    logger.error('Payment event handler failed', 'PAYMENT', {
+      provider: event.provider,
+      eventId: event.event_id,
+      error
+    })
+    update = { status: EVENT_STATUS.FAILED, error: error.message }
+  }
+
+  const { data: saved, error: saveError } = await supabase
+    .from('payment_events')
+    .update({
+      ...update,
+      attempts,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', event.id)
+    .select()
+    .single()
+
+  if (saveError) throw saveError
+  return saved
+}
+
+/**
+ * Record and apply an inbound gateway event exactly once
+ * @param {{ provider: string, eventId: string, eventType: string, payload: Object }} params
+ * @returns {Promise<{ duplicate: boolean, event: Object|null }>}
+ */
+export async function receivePaymentEvent(params) {
+  const event = await claimEvent(params)
+
+  if (!event) {
+    logger.info('Duplicate payment event ignored', 'PAYMENT', {
+      provider: params.provider,
+      eventId: params.eventId
+    })
+    return { duplicate: true, event: null }
+  }
+
+  return { duplicate: false, event: await runEvent(event) }
+}
+
+/**
+ * Re-run a stored event through its handler, whatever its current status
+ * @param {string} id - payment_events.id
+ * @returns {Promise<Object>} updated payment_events row
+ */
+export async function replayPaymentEvent(id) {
+  const { data: event, error } = await supabase
+    .from('payment_events')
+    .select('*')
+    .eq('id', id)
+    .single()
+
+  if (error) throw error
+
+  logger.info('Replaying payment event', 'PAYMENT', {
+    provider: event.provider,
+    eventId: event.event_id,
+    previousStatus: event.status
+  })
+
+  return runEvent(event)
+}
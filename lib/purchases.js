@@ -0,0 +1,120 @@
+/**
+ * Course access for paid payments
+ *
+ * A payment is for one course (`course_id`), a bundle (`bundle_id`) or a
+ * cart order (`order_items`). Bundle payments grant a purchases row for
+ * every member course, and for courses added to the bundle later on.
+ * Cart orders grant each course listed in the order.
+ */
+
+import { supabase } from './supabase-admin'
+
+// Payment statuses that mean the student has paid
+export const PAID_PAYMENT_STATUSES = ['approved', 'completed']
+
+/**
+ * Grant one course to a user. Reuses an existing purchase row when there
+ * is one so repeated deliveries do not fail.
+ * @param {string} userId
+ * @param {string} courseId
+ * @param {string} paymentId
+ * @returns {Promise<void>}
+ */
+export async function grantPurchase(userId, courseId, paymentId) {
+  const { data: existingPurchase, error: lookupError } = await supabase
+    .from('purchases')
+    .select('id, access_granted')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .maybeSingle()
+
+  if (lookupError) throw lookupError
+
+  if (existingPurchase) {
+    if (existingPurchase.access_granted) return
+
+    const { error: updateError } = await supabase
+      .from('purchases')
+      .update({
+        access_granted: true,
+        payment_id: paymentId,
+        purchase_date: new Date().toISOString()
+      })
+      .eq('id', existingPurchase.id)
+
+    if (updateError) throw updateError
+    return
+  }
+
+  const { error: insertError } = await supabase
+    .from('purchases')
+    .insert({
+      user_id: userId,
+      course_id: courseId,
+      payment_id: paymentId,
+      access_granted: true,
+      purchase_date: new Date().toISOString()
+    })
+
+  // Ignore duplicate key error from a concurrent delivery
+  if (insertError && insertError.code !== '23505') throw insertError
+}
+
+/**
+ * Course IDs a bundle currently contains
+ * @param {string} bundleId
+ * @returns {Promise<string[]>}
+ */
+export async function getBundleCourseIds(bundleId) {
+  const { data, error } = await supabase
+    .from('bundle_courses')
+    .select('course_id')
+    .eq('bundle_id', bundleId)
+    .order('position', { ascending: true })
+
+  if (error) throw error
+  return (data || []).map(row => row.course_id)
+}
+
+/**
+ * Courses a payment pays for
+ * @param {{ course_id?: string, bundle_id?: string, order_items?: Array<{ course_id: string }> }} payment
+ * @returns {Promise<string[]>}
+ */
+export async function getPaymentCourseIds(payment) {
+  if (payment.order_items?.length) {
+    return payment.order_items.map(item => item.course_id)
+  }
+
+  if (payment.bundle_id) {
+    return getBundleCourseIds(payment.bundle_id)
+  }
+
+  return payment.course_id ? [payment.course_id] : []
+}
+
+/**
+ * Give courses newly added to a bundle to everyone who already paid for it
+ * @param {string} bundleId
+ * @param {string[]} courseIds
+ * @returns {Promise<number>} number of paid bundle payments updated
+ */
+export async function grantBundleCoursesToOwners(bundleId, courseIds) {
+  if (!courseIds.length) return 0
+
+  const { data: payments, error } = await supabase
+    .from('payments')
+    .select('id, user_id')
+    .eq('bundle_id', bundleId)
+    .in('status', PAID_PAYMENT_STATUSES)
+
+  if (error) throw error
+
+  for (const payment of payments || []) {
+    for (const courseId of courseIds) {
+      await grantPurchase(payment.user_id, courseId, payment.id)
+    }
+  }
+
+  return payments?.length || 0
+}
@@ -0,0 +1,395 @@
+/**
+ * Quiz lessons
+ *
+ * Questions and their answers live in quiz_questions, which students
+ * cannot read. They get questions without answers through the API,
+ * submit responses, and are graded here; every attempt is stored. A
+ * passing attempt completes the lesson.
+ *
+ * Problem questions are generated from a template in problem_templates,
+ * with numbers seeded by the student, question and attempt number.
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase-admin'
+import { logger } from './logger'
+import { getOwnedCourseIds } from './bundles'
+import { getActiveMembership } from './memberships'
+import { ValidationError, ForbiddenError, createNotFoundError } from './errors'
+import { getQuizError, gradeQuiz, normalizeAnswer, toPublicQuestion } from '../utils/quiz'
+import { resolveProblemQuestion } from '../utils/problems'
+import { LESSON_TYPES, QUIZ } from '../utils/constants'
+
+// Longest text response kept with an attempt
+const MAX_RESPONSE_LENGTH = 500
+
+// Attempts shown to the student alongside the quiz
+const RECENT_ATTEMPTS = 10
+
+const ATTEMPT_SUMMARY = 'id, score, max_score, percentage, passed, created_at'
+
+/**
+ * Load a quiz lesson with what is needed to check access
+ * @param {string} lessonId
+ * @returns {Promise<Object>} lessons row with courses (status)
+ */
+export const getQuizLesson = async (lessonId) => {
+  const { data: lesson, error } = await supabase
+    .from('lessons')
+    .select('id, course_id, type, is_preview, quiz_pass_percentage, courses (status)')
+    .eq('id', lessonId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!lesson) throw createNotFoundError('Lesson', { lessonId })
+
+  if (lesson.type !== LESSON_TYPES.QUIZ) {
+    throw new ValidationError('This lesson is not a quiz')
+  }
+
+  return lesson
+}
+
+const getPassPercentage = (lesson) => lesson.quiz_pass_percentage || QUIZ.DEFAULT_PASS_PERCENTAGE
+
+/**
+ * Students can take preview quizzes, and quizzes in courses they own or
+ * reach through a membership
+ */
+const assertCanAttempt = async (userId, lesson) => {
+  if (lesson.is_preview) return
+
+  const owned = await getOwnedCourseIds(userId, [lesson.course_id])
+  if (owned.length) return
+
+  if (lesson.courses?.status === 'published' && await getActiveMembership(userId)) return
+
+  throw new ForbiddenError('Enroll in the course to take this quiz')
+}
+
+/**
+ * A quiz's questions with their answers, in order
+ * @param {string} lessonId
+ * @returns {Promise<Array<Object>>}
+ */
+export const getQuizQuestions = async (lessonId) => {
+  const { data, error } = await supabase
+    .from('quiz_questions')
+    .select('*')
+    .eq('lesson_id', lessonId)
+    .order('position', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Problem questions turned into expression questions with the student's
+ * numbers for their next attempt. Reloading the quiz shows the same
+ * numbers; each new attempt gets new ones.
+ * @param {Array<Object>} questions
+ * @param {string} userId
+ * @param {string} lessonId
+ * @returns {Promise<Array<Object>>}
+ */
+const resolveProblems = async (questions, userId, lessonId) => {
+  const problems = questions.filter(question => question.type === QUIZ.QUESTION_TYPES.PROBLEM)
+  if (!problems.length) return questions
+
+  const [templatesResult, attemptsResult] = await Promise.all([
+    supabase
+      .from('problem_templates')
+      .select('*')
+      .in('id', problems.map(question => question.answer?.templateId)),
+    supabase
+      .from('quiz_attempts')
+      .select('id', { count: 'exact', head: true })
+      .eq('lesson_id', lessonId)
+      .eq('user_id', userId)
+  ])
+
+  if (templatesResult.error) throw templatesResult.error
+  if (attemptsResult.error) throw attemptsResult.error
+
+  const templates = new Map((templatesResult.data || []).map(template => [template.id, template]))
+  const attemptNumber = (attemptsResult.count || 0) + 1
+
+  return questions.map(question => {
+    if (question.type !== QUIZ.QUESTION_TYPES.PROBLEM) return question
+
+    const template = templates.get(question.answer?.templateId)
+    if (!template) throw createNotFoundError('Problem template', { templateId: question.answer?.templateId })
+
+    return resolveProblemQuestion(question, template, `${userId}:${question.id}:${attemptNumber}`)
+  })
+}
+
+/**
+ * The quiz as a student sees it, with their recent attempts
+ * @param {{ userId: string, lessonId: string }} params
+ * @returns {Promise<{ passPercentage: number, questions: Array<Object>, attempts: Array<Object>, passed: boolean }>}
+ */
+export const getStudentQuiz = async ({ userId, lessonId }) => {
+  const lesson = await getQuizLesson(lessonId)
+  await assertCanAttempt(userId, lesson)
+
+  const [questions, attemptsResult] = await Promise.all([
+    getQuizQuestions(lessonId),
+    supabase
+      .from('quiz_attempts')
+      .select(ATTEMPT_SUMMARY)
+      .eq('lesson_id', lessonId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(RECENT_ATTEMPTS)
+  ])
+
+  if (attemptsResult.error) throw attemptsResult.error
+
+  const attempts = attemptsResult.data || []
+  const resolved = await resolveProblems(questions, userId, lessonId)
+
+  return {
+    passPercentage: getPassPercentage(lesson),
+    questions: resolved.map(toPublicQuestion),
+    attempts,
+    passed: attempts.some(attempt => attempt.passed) || await hasPassedQuiz(userId, lessonId)
+  }
+}
+
+/**
+ * Whether the user has ever passed a quiz
+ * @param {string} userId
+ * @param {string} lessonId
+ * @returns {Promise<boolean>}
+ */
+export const hasPassedQuiz = async (userId, lessonId) => {
+  const { data, error } = await supabase
+    .from('quiz_attempts')
+    .select('id')
+    .eq('lesson_id', lessonId)
+    .eq('user_id', userId)
+    .eq('passed', true)
+    .limit(1)
+
+  if (error) throw error
+  return (data || []).length > 0
+}
+
+/**
+ * Replace a quiz's questions. Questions keep their ids so earlier
+ * attempts still line up with them.
+ * @param {{ lessonId: string, questions: Array<Object>, passPercentage?: number }} params
+ * @returns {Promise<Array<Object>>} saved questions
+ */
+export const saveQuizQuestions = async ({ lessonId, questions, passPercentage = QUIZ.DEFAULT_PASS_PERCENTAGE }) => {
+  const quizError = getQuizError(questions)
+  if (quizError) throw new ValidationError(quizError)
+
+  const percent = Number(passPercentage)
+  if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+    throw new ValidationError('Pass mark must be a whole percentage between 1 and 100')
+  }
+
+  await getQuizLesson(lessonId)
+
+  const templateIds = [...new Set(questions
+    .filter(question => question.type === QUIZ.QUESTION_TYPES.PROBLEM)
+    .map(question => question.answer.templateId))]
+
+  if (templateIds.length) {
+    const { data: templates, error: templatesError } = await supabase
+      .from('problem_templates')
+      .select('id')
+      .in('id', templateIds)
+
+    if (templatesError) throw templatesError
+    if ((templates || []).length !== templateIds.length) {
+      throw new ValidationError('A problem template no longer exists')
+    }
+  }
+
+  // Only ids already on this quiz are kept, so a question cannot be
+  // moved in from another lesson
+  const existingIds = (await getQuizQuestions(lessonId)).map(question => question.id)
+  const now = new Date().toISOString()
+
+  const rows = questions.map((question, index) => ({
+    id: existingIds.includes(question.id) ? question.id : crypto.randomUUID(),
+    lesson_id: lessonId,
+    position: index,
+    type: question.type,
+    prompt: (question.prompt || '').trim(),
+    options: question.type === QUIZ.QUESTION_TYPES.SINGLE || question.type === QUIZ.QUESTION_TYPES.MULTIPLE
+      ? question.options.map(option => ({ id: option.id, text: String(option.text).trim() }))
+      : [],
+    answer: normalizeAnswer(question),
+    points: Number(question.points ?? 1),
+    explanation: question.explanation?.trim() || null,
+    updated_at: now
+  }))
+
+  const { data: saved, error } = await supabase
+    .from('quiz_questions')
+    .upsert(rows)
+    .select()
+
+  if (error) throw error
+
+  const removedIds = existingIds.filter(id => !rows.some(row => row.id === id))
+  if (removedIds.length) {
+    const { error: deleteError } = await supabase
+      .from('quiz_questions')
+      .delete()
+      .in('id', removedIds)
+
+    if (deleteError) throw deleteError
+  }
+
+  const { error: lessonError } = await supabase
+    .from('lessons')
+    .update({ quiz_pass_percentage: percent })
+    .eq('id', lessonId)
+
+  if (lessonError) throw lessonError
+
+  return (saved || []).sort((a, b) => a.position - b.position)
+}
+
+/**
+ * Record the course as completed once all its published lessons are, as
+ * /api/lessons/progress does for other lessons. Keeps the first completion
+ * date if the course was already completed.
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<boolean>} whether the course is complete
+ */
+const completeCourseIfFinished = async (userId, courseId) => {
+  const { data: lessons, error } = await supabase
+    .from('lessons')
+    .select('id')
+    .eq('course_id', courseId)
+    .eq('is_published', true)
+
+  if (error) throw error
+  if (!lessons?.length) return false
+
+  const { data: completed, error: progressError } = await supabase
+    .from('lesson_progress')
+    .select('lesson_id')
+    .eq('user_id', userId)
+    .eq('completed', true)
+    .in('lesson_id', lessons.map(lesson => lesson.id))
+
+  if (progressError) throw progressError
+  if ((completed || []).length < lessons.length) return false
+
+  const { error: completionError } = await supabase
+    .from('course_completions')
+    .upsert({
+      user_id: userId,
+      course_id: courseId,
+      completed_at: new Date().toISOString(),
+      completion_percentage: 100
+    }, { onConflict: 'user_id,course_id', ignoreDuplicates: true })
+
+  if (completionError) throw completionError
+  return true
+}
+
+// Keep only responses to this quiz's questions, in the shape each type expects
+const sanitizeResponses = (questions, responses = {}) => {
+  return Object.fromEntries(questions.flatMap(question => {
+    const response = responses?.[question.id]
+
+    if (Array.isArray(response)) {
+      return [[question.id, response.filter(value => typeof value === 'string').slice(0, QUIZ.MAX_OPTIONS)]]
+    }
+    if (typeof response === 'string') {
+      return [[question.id, response.slice(0, MAX_RESPONSE_LENGTH)]]
+    }
+    if (typeof response === 'number') {
+      return [[question.id, response]]
+    }
+    return []
+  }))
+}
+
+/**
+ * Grade and record an attempt. Passing completes the lesson, and the
+ * course when it was the last lesson left.
+ * @param {{ userId: string, lessonId: string, responses: Object<string, *> }} params
+ * @returns {Promise<{ attempt: Object, courseCompleted: boolean, results: Array<Object> }>} results include explanations
+ */
+export const submitQuizAttempt = async ({ userId, lessonId, responses }) => {
+  const lesson = await getQuizLesson(lessonId)
+  await assertCanAttempt(userId, lesson)
+
+  const stored = await getQuizQuestions(lessonId)
+  if (!stored.length) {
+    throw new ValidationError('This quiz has no questions yet')
+  }
+
+  // Counted before the insert, so the numbers match the ones the student saw
+  const questions = await resolveProblems(stored, userId, lessonId)
+
+  const cleanResponses = sanitizeResponses(questions, responses)
+  const grade = gradeQuiz(questions, cleanResponses, getPassPercentage(lesson))
+
+  const { data: attempt, error } = await supabase
+    .from('quiz_attempts')
+    .insert({
+      lesson_id: lessonId,
+      user_id: userId,
+      responses: cleanResponses,
+      results: grade.results,
+      score: grade.score,
+      max_score: grade.maxScore,
+      percentage: grade.percentage,
+      passed: grade.passed
+    })
+    .select(ATTEMPT_SUMMARY)
+    .single()
+
+  if (error) throw error
+
+  let courseCompleted = false
+
+  if (grade.passed) {
+    const now = new Date().toISOString()
+    const { error: progressError } = await supabase
+      .from('lesson_progress')
+      .upsert({
+        lesson_id: lessonId,
+        user_id: userId,
+        progress_percentage: 100,
+        completed: true,
+        last_watched_at: now,
+        updated_at: now
+      }, { onConflict: 'lesson_id,user_id' })
+
+    // The attempt is recorded; progress catches up on the next update
+    if (progressError) {
+      logger.error('Failed to complete quiz lesson', 'PROGRESS', { lessonId, userId, error: progressError })
+    } else {
+      try {
+        courseCompleted = await completeCourseIfFinished(userId, lesson.course_id)
+      } catch (completionError) {
+        logger.error('Failed to check course completion', 'PROGRESS', {
+          lessonId,
+          userId,
+          courseId: lesson.course_id,
+          error: completionError
+        })
+      }
+    }
+  }
+
+  const explanations = Object.fromEntries(questions.map(question => [question.id, question.explanation]))
+
+  return {
+    attempt,
+    courseCompleted,
+    results: grade.results.map(result => ({ ...result, explanation: explanations[result.questionId] || null }))
+  }
+}
@@ -0,0 +1,127 @@
+import { supabase } from './supabase-admin'
+import { createRefund, getCheckoutSession } from './stripe'
+import { revokeGiftForPayment } from './gifts'
+import { REFUND_POLICY } from '../utils/constants'
+
+export const REFUND_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied'
+}
+
+// Payment statuses a student can ask to have refunded
+export const REFUNDABLE_PAYMENT_STATUSES = ['approved', 'completed']
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Check a payment against the refund policy. Returns the reason a refund
+ * cannot be requested, or null when the student is eligible.
+ */
+export const getRefundIneligibility = ({ payment, progress = 0, now = new Date() }) => {
+  if (!payment || !REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return 'No refundable payment found for this course'
+  }
+
+  if (payment.method === 'scholarship') {
+    return 'Courses awarded through a scholarship cannot be refunded'
+  }
+
+  const paidAt = new Date(payment.approved_at || payment.created_at)
+  if (now - paidAt > REFUND_POLICY.WINDOW_DAYS * DAY_MS) {
+    return `Refunds must be requested within ${REFUND_POLICY.WINDOW_DAYS} days of purchase`
+  }
+
+  if (progress > REFUND_POLICY.MAX_PROGRESS_PERCENT) {
+    return `Courses more than ${REFUND_POLICY.MAX_PROGRESS_PERCENT}% complete are not eligible for a refund`
+  }
+
+  return null
+}
+
+/**
+ * Percentage of a course's lessons the user has completed
+ */
+export const getCourseProgress = async (userId, courseId) => {
+  const { data: lessons, error: lessonsError } = await supabase
+    .from('lessons')
+    .select('id')
+    .eq('course_id', courseId)
+
+  if (lessonsError) throw lessonsError
+  if (!lessons?.length) return 0
+
+  const { count, error } = await supabase
+    .from('lesson_progress')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('completed', true)
+    .in('lesson_id', lessons.map(lesson => lesson.id))
+
+  if (error) throw error
+  return Math.round(((count || 0) / lessons.length) * 100)
+}
+
+// Approved Stripe payments store the payment intent in `payment_id`; older
+// rows only have the checkout session, so fall back to looking it up.
+const resolvePaymentIntent = async (payment) => {
+  if (payment.payment_id?.startsWith('pi_')) {
+    return payment.payment_id
+  }
+
+  const sessionId = payment.stripe_session_id ||
+    (payment.payment_id?.startsWith('cs_') ? payment.payment_id : null)
+
+  if (!sessionId) {
+    throw new Error('No Stripe payment reference recorded for this payment')
+  }
+
+  const session = await getCheckoutSession(sessionId)
+  return typeof session.payment_intent === 'string'
+    ? session.payment_intent
+    : session.payment_intent?.id
+}
+
+/**
+ * Return the money for a payment. Stripe payments are refunded through the
+ * API; PayHere and bank payments are paid back by hand, so we only record
+ * the reference the admin gives us.
+ */
+export const issueRefund = async (payment, { reference, refundRequestId } = {}) => {
+  const method = payment.method || payment.payment_method
+
+  if (method === 'stripe') {
+    const paymentIntentId = await resolvePaymentIntent(payment)
+    const refund = await createRefund({
+      paymentIntentId,
+      metadata: {
+        payment_id: payment.id,
+        ...(refundRequestId && { refund_request_id: refundRequestId })
+      }
+    })
+
+    return { refundMethod: 'stripe', refundReference: refund.id }
+  }
+
+  return { refundMethod: 'manual', refundReference: reference || null }
+}
+
+/**
+ * Remove the access the refunded payment granted, to one course or to every
+ * course of a bundle or cart. Access granted by another payment for the same
+ * course, such as a bundle, gift or membership, is kept. A refunded gift
+ * revokes its code.
+ */
+export const revokeCourseAccess = async (payment) => {
+  if (payment.is_gift) {
+    return revokeGiftForPayment(payment)
+  }
+
+  const { error } = await supabase
+    .from('purchases')
+    .delete()
+    .eq('user_id', payment.user_id)
+    .eq('payment_id', payment.id)
+
+  if (error) throw error
+}
@@ -0,0 +1,430 @@
+/**
+ * Scholarships and fee waivers
+ *
+ * Students who cannot afford a course apply with a reason and supporting
+ * documents. An admin either rejects the application or approves it as:
+ *   - a full waiver: a zero-amount `scholarship` payment is recorded and
+ *     fulfilled like any other, so the course, invoice and reports all
+ *     show how the student got access
+ *   - a discount: a single-use percentage coupon for that student and
+ *     course, which they use at checkout
+ */
+
+import crypto from 'crypto'
+import { supabase } from './supabase-admin'
+import { sendEmail } from './email'
+import { logger } from './logger'
+import { sanitizeInput } from './api-utils'
+import { RECEIPT_TYPES } from './bank-transfer'
+import { getOwnedCourseIds } from './bundles'
+import { fulfillPayment, FULFILLMENT_SOURCES } from './fulfillment'
+import { ValidationError, createNotFoundError } from './errors'
+import { COUPON_DISCOUNT_TYPES, FILE_LIMITS, PAYMENT_METHODS } from '../utils/constants'
+
+export const SCHOLARSHIP_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+}
+
+export const SCHOLARSHIP_AWARDS = {
+  WAIVER: 'waiver',
+  DISCOUNT: 'discount'
+}
+
+// Private bucket for supporting documents, served to admins through signed URLs
+export const SCHOLARSHIP_BUCKET = 'scholarship-documents'
+
+export const DOCUMENT_URL_TTL = 5 * 60 // seconds
+
+export const MAX_SCHOLARSHIP_DOCUMENTS = 3
+
+// How long a student has to use a discount award
+export const SCHOLARSHIP_COUPON_DAYS = 30
+
+const APPLICATION_WITH_RELATIONS = `
+  *,
+  profiles!scholarship_applications_user_id_fkey (name, email),
+  courses (title, price)
+`
+
+/**
+ * Generate a discount award code, e.g. SCH-7K3Q9XPA
+ */
+export const generateScholarshipCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+  const bytes = crypto.randomBytes(8)
+  let code = ''
+  for (const byte of bytes) {
+    code += alphabet[byte % alphabet.length]
+  }
+  return `SCH-${code}`
+}
+
+/**
+ * Check uploaded supporting documents and decode them
+ * @param {Array<{ data: string, filename: string, type: string }>} documents - base64 file data
+ * @returns {Array<{ buffer: Buffer, filename: string, type: string, extension: string }>}
+ */
+export const parseScholarshipDocuments = (documents = []) => {
+  if (!Array.isArray(documents) || documents.length > MAX_SCHOLARSHIP_DOCUMENTS) {
+    throw new ValidationError(`Attach up to ${MAX_SCHOLARSHIP_DOCUMENTS} supporting documents`)
+  }
+
+  return documents.map(document => {
+    const extension = RECEIPT_TYPES[document?.type]
+    if (!extension) {
+      throw new ValidationError('Documents must be JPG, PNG, WEBP or PDF files')
+    }
+
+    const buffer = Buffer.from(document.data || '', 'base64')
+    if (buffer.length === 0 || buffer.length > FILE_LIMITS.MAX_FILE_SIZE) {
+      throw new ValidationError('Each document must be smaller than 5MB')
+    }
+
+    return {
+      buffer,
+      filename: String(document.filename || `document.${extension}`).slice(0, 200),
+      type: document.type,
+      extension
+    }
+  })
+}
+
+/**
+ * Submit a scholarship application for a course
+ * @param {{ userId: string, courseId: string, reason: string, documents?: Array }} params
+ * @returns {Promise<Object>} scholarship_applications row
+ */
+export const submitScholarshipApplication = async ({ userId, courseId, reason, documents = [] }) => {
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : ''
+  if (trimmedReason.length < 50) {
+    throw new ValidationError('Tell us a little more about your situation (at least 50 characters)')
+  }
+  if (trimmedReason.length > 2000) {
+    throw new ValidationError('Reason must be 2000 characters or fewer')
+  }
+
+  const files = parseScholarshipDocuments(documents)
+
+  const { data: course, error: courseError } = await supabase
+    .from('courses')
+    .select('id, status')
+    .eq('id', courseId)
+    .maybeSingle()
+
+  if (courseError) throw courseError
+  if (!course) throw createNotFoundError('Course', { courseId })
+
+  if (course.status && course.status !== 'published') {
+    throw new ValidationError('Course is not available')
+  }
+
+  const owned = await getOwnedCourseIds(userId, [courseId])
+  if (owned.length) {
+    throw new ValidationError('You already have access to this course')
+  }
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('scholarship_applications')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('course_id', courseId)
+    .eq('status', SCHOLARSHIP_STATUS.PENDING)
+    .maybeSingle()
+
+  if (pendingError) throw pendingError
+  if (pending) {
+    throw new ValidationError('Your application for this course is already being reviewed')
+  }
+
+  const applicationId = crypto.randomUUID()
+  const storedDocuments = []
+
+  const removeUploads = () => storedDocuments.length
+    ? supabase.storage.from(SCHOLARSHIP_BUCKET).remove(storedDocuments.map(document => document.path))
+    : null
+
+  for (const [index, file] of files.entries()) {
+    const path = `${userId}/${applicationId}/${index + 1}.${file.extension}`
+    const { error: uploadError } = await supabase.storage
+      .from(SCHOLARSHIP_BUCKET)
+      .upload(path, file.buffer, { contentType: file.type, upsert: false })
+
+    if (uploadError) {
+      await removeUploads()
+      throw uploadError
+    }
+
+    storedDocuments.push({ path, filename: file.filename, type: file.type })
+  }
+
+  const { data: application, error } = await supabase
+    .from('scholarship_applications')
+    .insert({
+      id: applicationId,
+      user_id: userId,
+      course_id: courseId,
+      reason: trimmedReason,
+      documents: storedDocuments,
+      status: SCHOLARSHIP_STATUS.PENDING
+    })
+    .select()
+    .single()
+
+  if (error) {
+    await removeUploads()
+    // Another submission for the same course got in first
+    if (error.code === '23505') {
+      throw new ValidationError('Your application for this course is already being reviewed')
+    }
+    throw error
+  }
+
+  return application
+}
+
+/**
+ * Short-lived links to an application's supporting documents
+ * @param {Object} application
+ * @returns {Promise<Array<{ url: string, filename: string, isPdf: boolean }>>}
+ */
+export const getScholarshipDocumentUrls = async (application) => {
+  return Promise.all((application.documents || []).map(async (document) => {
+    const { data, error } = await supabase.storage
+      .from(SCHOLARSHIP_BUCKET)
+      .createSignedUrl(document.path, DOCUMENT_URL_TTL)
+
+    if (error) throw error
+    return { url: data.signedUrl, filename: document.filename, isPdf: document.type === 'application/pdf' }
+  }))
+}
+
+const getPendingApplication = async (applicationId) => {
+  const { data: application, error } = await supabase
+    .from('scholarship_applications')
+    .select(APPLICATION_WITH_RELATIONS)
+    .eq('id', applicationId)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!application) throw createNotFoundError('Scholarship application', { applicationId })
+
+  if (application.status !== SCHOLARSHIP_STATUS.PENDING) {
+    throw new ValidationError('Application already reviewed')
+  }
+
+  return application
+}
+
+/**
+ * Mark a pending application reviewed. Only a still-pending row is
+ * updated so two admins cannot award the same application twice.
+ */
+const claimApplication = async (applicationId, fields) => {
+  const { data, error } = await supabase
+    .from('scholarship_applications')
+    .update({ ...fields, reviewed_at: new Date().toISOString() })
+    .eq('id', applicationId)
+    .eq('status', SCHOLARSHIP_STATUS.PENDING)
+    .select('id')
+
+  if (error) throw error
+  if (!data?.length) {
+    throw new ValidationError('Application already reviewed')
+  }
+}
+
+const releaseApplication = async (applicationId) => {
+  const { error } = await supabase
+    .from('scholarship_applications')
+    .update({
+      status: SCHOLARSHIP_STATUS.PENDING,
+      award_type: null,
+      discount_percent: null,
+      admin_note: null,
+      reviewed_by: null,
+      reviewed_at: null
+    })
+    .eq('id', applicationId)
+
+  if (error) {
+    logger.error('Failed to reopen scholarship application', 'PAYMENT', { applicationId, error })
+  }
+}
+
+/**
+ * Record the zero-amount payment for a full waiver
+ */
+async function createWaiverPayment(application, adminId) {
+  const price = Number(application.courses?.price) || 0
+  const now = new Date().toISOString()
+
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .insert({
+      user_id: application.user_id,
+      course_id: application.course_id,
+      amount: 0,
+      currency: 'LKR',
+      method: PAYMENT_METHODS.SCHOLARSHIP,
+      status: 'approved',
+      original_amount: price,
+      discount_amount: price,
+      reviewed_by: adminId,
+      approved_at: now,
+      created_at: now
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return payment
+}
+
+/**
+ * Create the student's single-use discount coupon for the course
+ */
+async function createDiscountCoupon(application, adminId, discountPercent) {
+  const expiresAt = new Date()
+  expiresAt.setDate(expiresAt.getDate() + SCHOLARSHIP_COUPON_DAYS)
+
+  // Retry the rare code collision
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: coupon, error } = await supabase
+      .from('coupons')
+      .insert({
+        code: generateScholarshipCode(),
+        description: `Scholarship for ${application.profiles?.name || application.profiles?.email || application.user_id}`,
+        discount_type: COUPON_DISCOUNT_TYPES.PERCENTAGE,
+        discount_value: discountPercent,
+        course_ids: [application.course_id],
+        user_id: application.user_id,
+        max_redemptions: 1,
+        per_user_limit: 1,
+        expires_at: expiresAt.toISOString(),
+        created_by: adminId
+      })
+      .select()
+      .single()
+
+    if (!error) return coupon
+    if (error.code !== '23505') throw error
+  }
+
+  throw new Error('Failed to generate a unique scholarship code')
+}
+
+async function sendScholarshipEmail(template, application, data = {}) {
+  if (!application.profiles?.email) return
+
+  try {
+    await sendEmail({
+      to: application.profiles.email,
+      template,
+      data: {
+        name: application.profiles.name,
+        courseName: application.courses?.title,
+        courseId: application.course_id,
+        ...data
+      }
+    })
+  } catch (emailError) {
+    logger.error('Failed to send scholarship email', 'PAYMENT', {
+      template,
+      applicationId: application.id,
+      error: emailError
+    })
+  }
+}
+
+/**
+ * Approve an application as a full waiver or a percentage discount
+ * @param {{ applicationId: string, adminId: string, award: string, discountPercent?: number, note?: string }} params
+ * @returns {Promise<{ application: Object, payment?: Object, coupon?: Object, failedSteps?: string[] }>}
+ */
+export const approveScholarship = async ({ applicationId, adminId, award, discountPercent, note }) => {
+  if (!Object.values(SCHOLARSHIP_AWARDS).includes(award)) {
+    throw new ValidationError('Invalid scholarship award')
+  }
+
+  const percent = Number(discountPercent)
+  if (award === SCHOLARSHIP_AWARDS.DISCOUNT && !(Number.isFinite(percent) && percent > 0 && percent < 100)) {
+    throw new ValidationError('Discount must be between 1% and 99%; use a full waiver for 100%')
+  }
+
+  const application = await getPendingApplication(applicationId)
+
+  await claimApplication(applicationId, {
+    status: SCHOLARSHIP_STATUS.APPROVED,
+    award_type: award,
+    discount_percent: award === SCHOLARSHIP_AWARDS.DISCOUNT ? percent : null,
+    admin_note: note?.trim() || null,
+    reviewed_by: adminId
+  })
+
+  let payment = null
+  let coupon = null
+  try {
+    if (award === SCHOLARSHIP_AWARDS.WAIVER) {
+      payment = await createWaiverPayment(application, adminId)
+    } else {
+      coupon = await createDiscountCoupon(application, adminId, percent)
+    }
+  } catch (error) {
+    // Nothing was awarded, so put the application back in the queue
+    await releaseApplication(applicationId)
+    throw error
+  }
+
+  const { error: linkError } = await supabase
+    .from('scholarship_applications')
+    .update(payment ? { payment_id: payment.id } : { coupon_id: coupon.id })
+    .eq('id', applicationId)
+
+  if (linkError) {
+    logger.error('Failed to link scholarship award', 'PAYMENT', { applicationId, error: linkError })
+  }
+
+  if (coupon) {
+    await sendScholarshipEmail('scholarship-approved', application, {
+      discountPercent: percent,
+      couponCode: coupon.code,
+      expiresAt: coupon.expires_at
+    })
+
+    return { application, coupon }
+  }
+
+  // Fulfilment grants the course and emails the student their invoice
+  const { failedSteps } = await fulfillPayment(
+    { ...payment, profiles: application.profiles, courses: application.courses },
+    { source: FULFILLMENT_SOURCES.SCHOLARSHIP }
+  )
+
+  return { application, payment, failedSteps }
+}
+
+/**
+ * Reject an application, telling the student why
+ * @param {{ applicationId: string, adminId: string, note: string }} params
+ */
+export const rejectScholarship = async ({ applicationId, adminId, note }) => {
+  if (!note?.trim()) {
+    throw new ValidationError('A reason is required to reject an application')
+  }
+
+  const application = await getPendingApplication(applicationId)
+
+  await claimApplication(applicationId, {
+    status: SCHOLARSHIP_STATUS.REJECTED,
+    admin_note: note.trim(),
+    reviewed_by: adminId
+  })
+
+  await sendScholarshipEmail('scholarship-rejected', application, {
+    reason: sanitizeInput(note.trim())
+  })
+
+  return { application }
+}
@@ -17,13 +17,15 @@ export const STRIPE_CONFIG = {
 }
 
 /**
- * Create a Stripe checkout session
+ * Create a Stripe checkout session. Pass `lineItems` to charge several
+ * courses in one session instead of the single course line.
  */
 export const createCheckoutSession = async ({
   courseId,
   courseName,
   courseDescription,
   amount, // Amount in LKR (will be converted to cents)
+  lineItems = null, // [{ name, description, amount }]
   customerEmail,
   userId,
   successUrl,
@@ -35,33 +37,35 @@ export const createCheckoutSession = async ({
   }
 
   try {
+    const items = lineItems || [
+      { name: courseName, description: courseDescription, amount }
+    ]
+
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: STRIPE_CONFIG.CURRENCY,
-            product_data: {
-              name: courseName,
-              description: courseDescription,
-            },
-            unit_amount: Math.round(amount * 100), // Convert to cents
+      line_items: items.map(item => ({
+        price_data: {
+          currency: STRIPE_CONFIG.CURRENCY,
+          product_data: {
+            name: item.name,
+            description: item.description,
           },
-          quantity: 1,
+          unit_amount: Math.round(item.amount * 100), // Convert to cents
         },
-      ],
+        quantity: 1,
+      })),
       mode: 'payment',
       success_url: successUrl,
       cancel_url: cancelUrl,
       customer_email: customerEmail,
       metadata: {
-        courseId,
+        ...(courseId && { courseId }),
         userId,
         ...metadata
       },
       payment_intent_data: {
         metadata: {
-          courseId,
+          ...(courseId && { courseId }),
           userId,
           ...metadata
         }
@@ -98,6 +102,35 @@ export const getCheckoutSession = async (sessionId) => {
   }
 }
 
+/**
+ * Fee Stripe kept on a payment intent's charge, in the balance currency
+ * it settled in. Null while the charge has no balance transaction yet.
+ * @param {string} paymentIntentId
+ * @returns {Promise<{ amount: number, currency: string } | null>}
+ */
+export const getPaymentIntentFee = async (paymentIntentId) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ['latest_charge.balance_transaction']
+    })
+
+    const balanceTransaction = paymentIntent.latest_charge?.balance_transaction
+    if (!balanceTransaction || typeof balanceTransaction === 'string') return null
+
+    return {
+      amount: convertFromCents(balanceTransaction.fee),
+      currency: balanceTransaction.currency.toUpperCase()
+    }
+  } catch (error) {
+    console.error('Error retrieving payment fee:', error)
+    throw new Error(`Failed to retrieve payment fee: ${error.message}`)
+  }
+}
+
 /**
  * Create a payment intent (for custom payment flows)
  */
@@ -135,6 +168,33 @@ export const createPaymentIntent = async ({
   }
 }
 
+/**
+ * Refund a payment intent (full refund unless `amount` is given)
+ */
+export const createRefund = async ({
+  paymentIntentId,
+  amount,
+  reason = 'requested_by_customer',
+  metadata = {}
+}) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      ...(amount && { amount: Math.round(amount * 100) }), // Convert to cents
+      reason,
+      metadata
+    })
+    return refund
+  } catch (error) {
+    console.error('Error creating Stripe refund:', error)
+    throw new Error(`Failed to create refund: ${error.message}`)
+  }
+}
+
 /**
  * Verify webhook signature
  */
@@ -175,6 +235,13 @@ export const handleWebhookEvent = async (event) => {
     case 'invoice.payment_succeeded':
       return await handleInvoicePaymentSucceeded(event.data.object)
     
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed':
+      return await handleDisputeChanged(event.type, event.data.object)
+    
+    case 'charge.refunded':
+      return await handleChargeRefunded(event.data.object)
+    
     default:
       console.log(`Unhandled event type: ${event.type}`)
       return { received: true }
@@ -250,6 +317,36 @@ const handleInvoicePaymentSucceeded = async (invoice) => {
   }
 }
 
+/**
+ * Handle a dispute being opened or closed
+ */
+const handleDisputeChanged = async (type, dispute) => {
+  return {
+    type: type === 'charge.dispute.created' ? 'dispute_created' : 'dispute_closed',
+    disputeId: dispute.id,
+    chargeId: dispute.charge,
+    paymentIntentId: dispute.payment_intent,
+    amount: dispute.amount / 100,
+    currency: dispute.currency,
+    reason: dispute.reason,
+    status: dispute.status
+  }
+}
+
+/**
+ * Handle a refunded charge
+ */
+const handleChargeRefunded = async (charge) => {
+  return {
+    type: 'charge_refunded',
+    chargeId: charge.id,
+    paymentIntentId: charge.payment_intent,
+    amount: charge.amount_refunded / 100,
+    currency: charge.currency,
+    fullyRefunded: charge.refunded
+  }
+}
+
 /**
  * Create a customer
  */
@@ -271,6 +368,106 @@ export const createCustomer = async ({ email, name, metadata = {} }) => {
   }
 }
 
+/**
+ * Create a Stripe checkout session for a recurring subscription
+ */
+export const createSubscriptionCheckoutSession = async ({
+  priceId,
+  customerId,
+  successUrl,
+  cancelUrl,
+  metadata = {}
+}) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    const session = await stripe.checkout.sessions.create({
+      mode: 'subscription',
+      customer: customerId,
+      line_items: [{ price: priceId, quantity: 1 }],
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      metadata,
+      subscription_data: { metadata }
+    })
+
+    return { sessionId: session.id, url: session.url }
+  } catch (error) {
+    console.error('Error creating subscription checkout session:', error)
+    throw new Error(`Failed to create subscription checkout: ${error.message}`)
+  }
+}
+
+/**
+ * Retrieve a subscription
+ */
+export const getSubscription = async (subscriptionId) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    return await stripe.subscriptions.retrieve(subscriptionId)
+  } catch (error) {
+    console.error('Error retrieving subscription:', error)
+    throw new Error(`Failed to retrieve subscription: ${error.message}`)
+  }
+}
+
+/**
+ * Update a subscription
+ */
+export const updateSubscription = async (subscriptionId, updates) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    return await stripe.subscriptions.update(subscriptionId, updates)
+  } catch (error) {
+    console.error('Error updating subscription:', error)
+    throw new Error(`Failed to update subscription: ${error.message}`)
+  }
+}
+
+/**
+ * Retrieve a price
+ */
+export const getPrice = async (priceId) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    return await stripe.prices.retrieve(priceId)
+  } catch (error) {
+    console.error('Error retrieving price:', error)
+    throw new Error(`Failed to retrieve price: ${error.message}`)
+  }
+}
+
+/**
+ * Create a billing portal session where customers manage their card and invoices
+ */
+export const createBillingPortalSession = async ({ customerId, returnUrl }) => {
+  if (!stripe) {
+    throw new Error('Stripe not initialized')
+  }
+
+  try {
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl
+    })
+    return { url: session.url }
+  } catch (error) {
+    console.error('Error creating billing portal session:', error)
+    throw new Error(`Failed to create billing portal session: ${error.message}`)
+  }
+}
+
 /**
  * Format amount for display (convert cents to currency)
  */
@@ -323,10 +520,17 @@ const StripeUtils = {
   STRIPE_CONFIG,
   createCheckoutSession,
   getCheckoutSession,
+  getPaymentIntentFee,
   createPaymentIntent,
+  createRefund,
   verifyWebhookSignature,
   handleWebhookEvent,
   createCustomer,
+  createSubscriptionCheckoutSession,
+  getSubscription,
+  updateSubscription,
+  getPrice,
+  createBillingPortalSession,
   formatAmount,
   convertToCents,
   convertFromCents,
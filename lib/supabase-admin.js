@@ -194,5 +194,5 @@ export const setMaintenanceMode = async (enabled, message = '') => {
   return data
 }
 
-export { supabaseAdmin as supabase }
+export { supabaseAdmin as supabase, supabaseAdmin }
 export default supabaseAdmin
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import { isMembershipActive } from '../utils/auth'
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
@@ -109,6 +110,41 @@ export const getCourse = async (id) => {
   return data
 }
 
+// Bundle helpers
+export const getBundles = async () => {
+  const { data, error } = await supabase
+    .from('bundles')
+    .select(`
+      *,
+      bundle_courses (
+        position,
+        courses (id, title, price, thumbnail)
+      )
+    `)
+    .eq('status', 'published')
+    .order('created_at', { ascending: false })
+  
+  if (error) throw error
+  
+  return (data || []).map(({ bundle_courses, ...bundle }) => ({
+    ...bundle,
+    courses: (bundle_courses || [])
+      .sort((a, b) => a.position - b.position)
+      .map(row => row.courses)
+      .filter(Boolean)
+  }))
+}
+
+export const getBundleCourseIds = async (bundleId) => {
+  const { data, error } = await supabase
+    .from('bundle_courses')
+    .select('course_id')
+    .eq('bundle_id', bundleId)
+  
+  if (error) throw error
+  return data.map(row => row.course_id)
+}
+
 export const getUserCourses = async (userId) => {
   const { data, error } = await supabase
     .from('purchases')
@@ -127,6 +163,17 @@ export const getUserCourses = async (userId) => {
   return data
 }
 
+export const getActiveMembership = async (userId) => {
+  const { data, error } = await supabase
+    .from('memberships')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+  
+  if (error) return null
+  return data.find(membership => isMembershipActive(membership)) || null
+}
+
 export const checkCourseAccess = async (userId, courseId) => {
   const { data, error } = await supabase
     .from('purchases')
@@ -136,7 +183,19 @@ export const checkCourseAccess = async (userId, courseId) => {
     .eq('access_granted', true)
     .single()
   
-  return !error && data
+  if (!error && data) return data
+  
+  // Members can open any published course
+  const membership = await getActiveMembership(userId)
+  if (!membership) return false
+  
+  const { data: course } = await supabase
+    .from('courses')
+    .select('status')
+    .eq('id', courseId)
+    .single()
+  
+  return course?.status === 'published'
 }
 
 // Payment helpers
@@ -219,22 +278,20 @@ export const getAllPayments = async () => {
 }
 
 export const approveBankPayment = async (paymentId) => {
-  const { data: payment, error: paymentError } = await updatePaymentStatus(
+  const payment = await updatePaymentStatus(
     paymentId,
     'approved',
     new Date().toISOString()
   )
   
-  if (paymentError) throw paymentError
+  // Grant course access, one purchase per course for bundles
+  const courseIds = payment.bundle_id
+    ? await getBundleCourseIds(payment.bundle_id)
+    : [payment.course_id]
   
-  // Grant course access
-  const { data: purchase, error: purchaseError } = await createPurchase(
-    payment.user_id,
-    payment.course_id,
-    payment.id
+  const purchases = await Promise.all(
+    courseIds.map(courseId => createPurchase(payment.user_id, courseId, payment.id))
   )
   
-  if (purchaseError) throw purchaseError
-  
-  return { payment, purchase }
+  return { payment, purchases }
 }
\ No newline at end of file
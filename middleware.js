@@ -23,7 +23,7 @@ export async function middleware(req) {
   })
   
   // Protected routes
-  const protectedRoutes = ['/my-courses', '/profile']
+  const protectedRoutes = ['/my-courses', '/profile', '/affiliate', '/scholarship']
   const adminRoutes = ['/admin', '/admin/*']
   const authRoutes = ['/auth/login', '/auth/register']
   
@@ -2,6 +2,7 @@ import { useEffect, useState } from 'react'
 import { useRouter } from 'next/router'
 import { Toaster } from 'react-hot-toast'
 import { supabase } from '../lib/supabase'
+import 'katex/dist/katex.min.css'
 import '../styles/globals.css'
 
 /**
@@ -32,6 +33,19 @@ function MyApp({ Component, pageProps }) {
     }
   }, [])
 
+  // Referral links (?ref=CODE) set the cookie that credits the affiliate
+  // for checkouts started later
+  const referralCode = router.query.ref
+  useEffect(() => {
+    if (!router.isReady || typeof referralCode !== 'string') return
+
+    fetch('/api/affiliates/click', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: referralCode, path: window.location.pathname })
+    }).catch(error => console.error('Error recording referral:', error))
+  }, [router.isReady, referralCode])
+
   /**
    * Checks current user session and updates user state
    */
@@ -60,7 +74,8 @@ function MyApp({ Component, pageProps }) {
           name: profile?.name || authUser.user_metadata?.name || '',
           role: profile?.role || 'student',
           created_at: profile?.created_at || authUser.created_at,
-          avatar_url: profile?.avatar_url || authUser.user_metadata?.avatar_url
+          avatar_url: profile?.avatar_url || authUser.user_metadata?.avatar_url,
+          currency: profile?.currency || null
         }
 
         setUser(fullUser)
@@ -0,0 +1,460 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+import { FiX, FiShare2, FiDownload, FiDollarSign, FiPause, FiPlay } from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import { affiliateLedgerToCsv, isCommissionPayable, summarizeCommissions } from '../../utils/affiliates'
+import { formatCurrency } from '../../utils/format'
+import { AFFILIATE, COMMISSION_TYPES } from '../../utils/constants'
+import toast from 'react-hot-toast'
+
+const LEDGER_SELECT = `
+  *,
+  affiliates (code, profiles (name, email)),
+  affiliate_payouts (reference, paid_at)
+`
+
+const STATUS_BADGES = {
+  pending: 'badge-warning',
+  paid: 'badge-success',
+  void: 'badge-danger'
+}
+
+export default function AdminAffiliates({ user }) {
+  const router = useRouter()
+  const [activeTab, setActiveTab] = useState('affiliates')
+  const [affiliates, setAffiliates] = useState([])
+  const [clickCounts, setClickCounts] = useState({})
+  const [commissions, setCommissions] = useState([])
+  const [courses, setCourses] = useState([])
+  const [rules, setRules] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [payoutAffiliate, setPayoutAffiliate] = useState(null)
+  const [payoutReference, setPayoutReference] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchData()
+  }
+
+  const fetchData = async () => {
+    try {
+      const [affiliatesResult, clicksResult, commissionsResult, coursesResult, rulesResult] = await Promise.all([
+        supabase
+          .from('affiliates')
+          .select('*, profiles (name, email)')
+          .order('created_at', { ascending: false }),
+        supabase.from('referral_clicks').select('affiliate_id'),
+        supabase
+          .from('affiliate_commissions')
+          .select(LEDGER_SELECT)
+          .order('created_at', { ascending: false }),
+        supabase.from('courses').select('id, title, price').order('title'),
+        supabase.from('affiliate_commission_rules').select('*')
+      ])
+
+      if (affiliatesResult.error) throw affiliatesResult.error
+      if (commissionsResult.error) throw commissionsResult.error
+
+      const counts = {}
+      ;(clicksResult.data || []).forEach(({ affiliate_id }) => {
+        counts[affiliate_id] = (counts[affiliate_id] || 0) + 1
+      })
+
+      setAffiliates(affiliatesResult.data || [])
+      setClickCounts(counts)
+      setCommissions(commissionsResult.data || [])
+      setCourses(coursesResult.data || [])
+      setRules(Object.fromEntries((rulesResult.data || []).map(rule => [rule.course_id, rule])))
+    } catch (error) {
+      console.error('Error fetching affiliates:', error)
+      toast.error('Failed to load affiliates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const commissionsFor = (affiliateId) => commissions.filter(commission => commission.affiliate_id === affiliateId)
+
+  const payableAmount = (affiliateId) => commissionsFor(affiliateId)
+    .filter(commission => isCommissionPayable(commission))
+    .reduce((sum, commission) => sum + Number(commission.amount), 0)
+
+  const exportLedger = () => {
+    const blob = new Blob([affiliateLedgerToCsv(commissions)], { type: 'text/csv' })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `affiliate-ledger-${new Date().toISOString().split('T')[0]}.csv`
+    a.click()
+    window.URL.revokeObjectURL(url)
+  }
+
+  const closePayout = () => {
+    setPayoutAffiliate(null)
+    setPayoutReference('')
+  }
+
+  const handlePayout = async (e) => {
+    e.preventDefault()
+
+    setSaving(true)
+    try {
+      const response = await axios.post('/api/affiliates/payouts', {
+        affiliateId: payoutAffiliate.id,
+        adminId: user.id,
+        reference: payoutReference
+      })
+
+      toast.success(response.data.message)
+      closePayout()
+      fetchData()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record payout')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleStatus = async (affiliate) => {
+    const status = affiliate.status === 'active' ? 'suspended' : 'active'
+    if (status === 'suspended' && !confirm(`Suspend ${affiliate.profiles?.name || affiliate.code}? New sales will not be credited.`)) return
+
+    try {
+      const response = await axios.post('/api/affiliates/status', {
+        affiliateId: affiliate.id,
+        adminId: user.id,
+        status
+      })
+      toast.success(response.data.message)
+      fetchData()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update affiliate')
+    }
+  }
+
+  const updateRuleDraft = (courseId, changes) => {
+    setRules({
+      ...rules,
+      [courseId]: { ...rules[courseId], course_id: courseId, ...changes, dirty: true }
+    })
+  }
+
+  const saveRule = async (courseId) => {
+    const rule = rules[courseId]
+
+    try {
+      const response = await axios.post('/api/affiliates/rules', {
+        courseId,
+        adminId: user.id,
+        commissionType: rule?.commission_type || undefined,
+        commissionValue: rule?.commission_value === '' ? undefined : Number(rule?.commission_value)
+      })
+      toast.success(response.data.message)
+      fetchData()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save commission rule')
+    }
+  }
+
+  const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '—'
+
+  if (!user) return null
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              Affiliates
+            </h1>
+            <p className="text-gray-400">
+              Referral links, commissions and payouts
+            </p>
+          </div>
+          <button
+            onClick={exportLedger}
+            disabled={commissions.length === 0}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <FiDownload className="w-5 h-5" />
+            <span>Export Ledger</span>
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex space-x-2 mb-6">
+          {[
+            { id: 'affiliates', label: 'Affiliates' },
+            { id: 'ledger', label: 'Payout Ledger' },
+            { id: 'rules', label: 'Commission Rules' }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={activeTab === tab.id ? 'btn-primary' : 'btn-ghost'}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : activeTab === 'affiliates' ? (
+            affiliates.length === 0 ? (
+              <div className="text-center py-12">
+                <FiShare2 className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-semibold text-white mb-2">No affiliates yet</h3>
+                <p className="text-gray-400">Students and tutors join from the Affiliate page in their account menu.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table-auto">
+                  <thead>
+                    <tr>
+                      <th>Affiliate</th>
+                      <th>Code</th>
+                      <th>Clicks</th>
+                      <th>Conversions</th>
+                      <th>Earned</th>
+                      <th>Payable</th>
+                      <th>Paid</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {affiliates.map(affiliate => {
+                      const summary = summarizeCommissions(commissionsFor(affiliate.id))
+                      const payable = payableAmount(affiliate.id)
+
+                      return (
+                        <tr key={affiliate.id}>
+                          <td className="text-white">
+                            {affiliate.profiles?.name || 'Unknown'}
+                            <div className="text-xs text-gray-500">{affiliate.profiles?.email}</div>
+                          </td>
+                          <td className="font-mono text-gray-300 text-sm">{affiliate.code}</td>
+                          <td className="text-gray-300">{clickCounts[affiliate.id] || 0}</td>
+                          <td className="text-gray-300">{summary.conversions}</td>
+                          <td className="text-gray-300">{formatCurrency(summary.earned)}</td>
+                          <td className="text-green-400 font-semibold">{formatCurrency(payable)}</td>
+                          <td className="text-gray-400">{formatCurrency(summary.paid)}</td>
+                          <td>
+                            <span className={`badge ${affiliate.status === 'active' ? 'badge-success' : 'badge-danger'}`}>
+                              {affiliate.status}
+                            </span>
+                          </td>
+                          <td>
+                            <div className="flex items-center space-x-2">
+                              <button
+                                onClick={() => setPayoutAffiliate({ ...affiliate, payable })}
+                                disabled={payable <= 0}
+                                className="text-green-400 hover:text-green-300 disabled:opacity-30"
+                                title="Record payout"
+                              >
+                                <FiDollarSign className="w-5 h-5" />
+                              </button>
+                              <button
+                                onClick={() => toggleStatus(affiliate)}
+                                className="text-yellow-400 hover:text-yellow-300"
+                                title={affiliate.status === 'active' ? 'Suspend' : 'Reactivate'}
+                              >
+                                {affiliate.status === 'active' ? <FiPause className="w-5 h-5" /> : <FiPlay className="w-5 h-5" />}
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )
+          ) : activeTab === 'ledger' ? (
+            commissions.length === 0 ? (
+              <div className="text-center py-12">
+                <FiDollarSign className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-semibold text-white mb-2">No commissions yet</h3>
+                <p className="text-gray-400">Sales made through referral links will appear here.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table-auto">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Affiliate</th>
+                      <th>Item</th>
+                      <th>Sale</th>
+                      <th>Commission</th>
+                      <th>Status</th>
+                      <th>Payout</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {commissions.map(commission => (
+                      <tr key={commission.id}>
+                        <td className="text-gray-400 text-sm">{formatDate(commission.created_at)}</td>
+                        <td className="text-gray-300 text-sm">
+                          {commission.affiliates?.profiles?.name || 'Unknown'}
+                          <div className="text-xs text-gray-500 font-mono">{commission.affiliates?.code}</div>
+                        </td>
+                        <td className="text-white text-sm">{commission.description}</td>
+                        <td className="text-gray-300">{formatCurrency(commission.order_amount)}</td>
+                        <td className="text-green-400 font-semibold">{formatCurrency(commission.amount)}</td>
+                        <td>
+                          <span className={`badge ${STATUS_BADGES[commission.status]}`}>{commission.status}</span>
+                        </td>
+                        <td className="text-gray-400 text-sm">
+                          {commission.affiliate_payouts ? (
+                            <>
+                              {formatDate(commission.affiliate_payouts.paid_at)}
+                              <div className="text-xs text-gray-500 font-mono">{commission.affiliate_payouts.reference}</div>
+                            </>
+                          ) : isCommissionPayable(commission) ? 'Payable' : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          ) : (
+            <div className="overflow-x-auto">
+              <p className="text-sm text-gray-400 mb-4">
+                Courses without a rule earn {AFFILIATE.DEFAULT_COMMISSION_PERCENT}% of the amount paid. Bundles always earn the default rate.
+              </p>
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Course</th>
+                    <th>Price</th>
+                    <th>Commission</th>
+                    <th>Value</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {courses.map(course => {
+                    const rule = rules[course.id]
+
+                    return (
+                      <tr key={course.id}>
+                        <td className="text-white">{course.title}</td>
+                        <td className="text-gray-300">{formatCurrency(course.price)}</td>
+                        <td>
+                          <select
+                            value={rule?.commission_type || ''}
+                            onChange={(e) => updateRuleDraft(course.id, { commission_type: e.target.value })}
+                            className="input"
+                          >
+                            <option value="">Default ({AFFILIATE.DEFAULT_COMMISSION_PERCENT}%)</option>
+                            <option value={COMMISSION_TYPES.PERCENTAGE}>Percentage</option>
+                            <option value={COMMISSION_TYPES.FIXED}>Fixed (LKR)</option>
+                          </select>
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={rule?.commission_value ?? ''}
+                            onChange={(e) => updateRuleDraft(course.id, { commission_value: e.target.value })}
+                            disabled={!rule?.commission_type}
+                            className="input w-32"
+                          />
+                        </td>
+                        <td>
+                          {rule?.dirty && (
+                            <button onClick={() => saveRule(course.id)} className="btn-primary text-sm">
+                              Save
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Record Payout Modal */}
+        {payoutAffiliate && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={closePayout}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-lg w-full"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <h2 className="text-xl font-bold text-white">Record Payout</h2>
+                  <button onClick={closePayout} className="text-gray-400 hover:text-white">
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <form onSubmit={handlePayout} className="p-6 space-y-4">
+                  <p className="text-gray-300">
+                    Pay <span className="text-white font-semibold">{formatCurrency(payoutAffiliate.payable)}</span> to{' '}
+                    {payoutAffiliate.profiles?.name || payoutAffiliate.code}, then record the transfer here. Every
+                    commission past the refund window is marked as paid.
+                  </p>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Reference</label>
+                    <input
+                      type="text"
+                      value={payoutReference}
+                      onChange={(e) => setPayoutReference(e.target.value)}
+                      className="input"
+                      placeholder="e.g. bank transfer reference"
+                    />
+                  </div>
+                  <div className="flex justify-end space-x-3 pt-2">
+                    <button type="button" onClick={closePayout} className="btn-ghost">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={saving} className="btn-primary">
+                      {saving ? 'Saving...' : 'Record Payout'}
+                    </button>
+                  </div>
+                </form>
+              </motion.div>
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
@@ -0,0 +1,567 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import {
+  FiPlus, FiEdit, FiTrash2, FiX, FiPackage, FiImage, FiArrowUp, FiArrowDown
+} from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import toast from 'react-hot-toast'
+
+const emptyForm = {
+  title: '',
+  description: '',
+  price: '',
+  thumbnail: '',
+  status: 'draft',
+  course_ids: []
+}
+
+export default function AdminBundles({ user }) {
+  const router = useRouter()
+  const [bundles, setBundles] = useState([])
+  const [courses, setCourses] = useState([])
+  const [sales, setSales] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [modalOpen, setModalOpen] = useState(false)
+  const [editingBundle, setEditingBundle] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [uploading, setUploading] = useState(false)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchData()
+  }
+
+  const fetchData = async () => {
+    try {
+      const [bundlesResult, coursesResult, salesResult] = await Promise.all([
+        supabase
+          .from('bundles')
+          .select('*, bundle_courses (course_id, position)')
+          .order('created_at', { ascending: false }),
+        supabase.from('courses').select('id, title, price').order('title'),
+        supabase
+          .from('payments')
+          .select('bundle_id')
+          .not('bundle_id', 'is', null)
+          .in('status', ['approved', 'completed'])
+      ])
+
+      if (bundlesResult.error) throw bundlesResult.error
+
+      const counts = {}
+      ;(salesResult.data || []).forEach(({ bundle_id }) => {
+        counts[bundle_id] = (counts[bundle_id] || 0) + 1
+      })
+
+      setBundles((bundlesResult.data || []).map(({ bundle_courses, ...bundle }) => ({
+        ...bundle,
+        course_ids: (bundle_courses || [])
+          .sort((a, b) => a.position - b.position)
+          .map(row => row.course_id)
+      })))
+      setCourses(coursesResult.data || [])
+      setSales(counts)
+    } catch (error) {
+      console.error('Error fetching bundles:', error)
+      toast.error('Failed to load bundles')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openModal = (bundle = null) => {
+    setEditingBundle(bundle)
+    setFormData(bundle ? {
+      title: bundle.title,
+      description: bundle.description || '',
+      price: bundle.price,
+      thumbnail: bundle.thumbnail || '',
+      status: bundle.status,
+      course_ids: bundle.course_ids
+    } : emptyForm)
+    setModalOpen(true)
+  }
+
+  const closeModal = () => {
+    setModalOpen(false)
+    setEditingBundle(null)
+    setFormData(emptyForm)
+  }
+
+  const toggleCourse = (courseId) => {
+    setFormData(prev => ({
+      ...prev,
+      course_ids: prev.course_ids.includes(courseId)
+        ? prev.course_ids.filter(id => id !== courseId)
+        : [...prev.course_ids, courseId]
+    }))
+  }
+
+  const moveCourse = (index, direction) => {
+    setFormData(prev => {
+      const courseIds = [...prev.course_ids]
+      const target = index + direction
+      if (target < 0 || target >= courseIds.length) return prev
+      ;[courseIds[index], courseIds[target]] = [courseIds[target], courseIds[index]]
+      return { ...prev, course_ids: courseIds }
+    })
+  }
+
+  const getCourse = (courseId) => courses.find(course => course.id === courseId)
+
+  // Sum of the individual course prices, to show what the bundle saves
+  const getCoursesTotal = (courseIds) => {
+    return courseIds.reduce((total, id) => total + (Number(getCourse(id)?.price) || 0), 0)
+  }
+
+  const handleThumbnailUpload = (e) => {
+    const file = e.target.files[0]
+    if (!file) return
+
+    if (!file.type.startsWith('image/')) {
+      toast.error('Please select an image file')
+      return
+    }
+
+    setUploading(true)
+    const reader = new FileReader()
+    reader.onload = async () => {
+      try {
+        const response = await fetch('/api/thumbnails/upload', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            user_id: user.id,
+            image_data: reader.result.split(',')[1],
+            filename: file.name
+          })
+        })
+
+        const result = await response.json()
+
+        if (!response.ok) {
+          throw new Error(result.error || 'Failed to upload thumbnail')
+        }
+
+        setFormData(prev => ({ ...prev, thumbnail: result.url }))
+        toast.success('Thumbnail uploaded successfully!')
+      } catch (error) {
+        console.error('Error uploading thumbnail:', error)
+        toast.error(error.message || 'Failed to upload thumbnail')
+      } finally {
+        setUploading(false)
+      }
+    }
+    reader.readAsDataURL(file)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const title = formData.title.trim()
+    const price = parseFloat(formData.price)
+
+    if (!title) {
+      toast.error('Bundle title is required')
+      return
+    }
+
+    if (!(price > 0)) {
+      toast.error('Price must be greater than 0')
+      return
+    }
+
+    if (formData.status === 'published' && formData.course_ids.length < 2) {
+      toast.error('A published bundle needs at least two courses')
+      return
+    }
+
+    const bundleData = {
+      title,
+      description: formData.description.trim() || null,
+      price,
+      thumbnail: formData.thumbnail || null,
+      status: formData.status,
+      updated_at: new Date().toISOString()
+    }
+
+    setSaving(true)
+    try {
+      const { data: bundle, error } = editingBundle
+        ? await supabase.from('bundles').update(bundleData).eq('id', editingBundle.id).select().single()
+        : await supabase.from('bundles').insert({ ...bundleData, created_by: user.id }).select().single()
+
+      if (error) throw error
+
+      const response = await fetch('/api/bundles/courses', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          bundleId: bundle.id,
+          courseIds: formData.course_ids,
+          adminId: user.id
+        })
+      })
+
+      const result = await response.json()
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to update bundle courses')
+      }
+
+      toast.success(editingBundle ? result.message : 'Bundle created')
+      closeModal()
+      fetchData()
+    } catch (error) {
+      console.error('Error saving bundle:', error)
+      toast.error(error.message || 'Failed to save bundle')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (bundle) => {
+    if (sales[bundle.id]) {
+      toast.error('This bundle has been sold. Move it back to draft instead.')
+      return
+    }
+
+    if (!confirm(`Delete bundle "${bundle.title}"?`)) return
+
+    try {
+      const { error } = await supabase.from('bundles').delete().eq('id', bundle.id)
+      if (error) throw error
+
+      toast.success('Bundle deleted')
+      fetchData()
+    } catch (error) {
+      console.error('Error deleting bundle:', error)
+      toast.error('Failed to delete bundle')
+    }
+  }
+
+  if (!user) return null
+
+  const formCoursesTotal = getCoursesTotal(formData.course_ids)
+  const formSavings = formCoursesTotal - (parseFloat(formData.price) || 0)
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              Bundles
+            </h1>
+            <p className="text-gray-400">
+              Sell several courses together at a single price
+            </p>
+          </div>
+          <button
+            onClick={() => openModal()}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <FiPlus className="w-5 h-5" />
+            <span>New Bundle</span>
+          </button>
+        </div>
+
+        {/* Bundles Table */}
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : bundles.length === 0 ? (
+            <div className="text-center py-12">
+              <FiPackage className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-white mb-2">No bundles yet</h3>
+              <p className="text-gray-400">Group courses into a bundle to sell them together.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Bundle</th>
+                    <th>Courses</th>
+                    <th>Price</th>
+                    <th>Sales</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {bundles.map((bundle) => {
+                    const coursesTotal = getCoursesTotal(bundle.course_ids)
+                    return (
+                      <tr key={bundle.id}>
+                        <td>
+                          <div className="flex items-center space-x-3">
+                            {bundle.thumbnail ? (
+                              <img
+                                src={bundle.thumbnail}
+                                alt={bundle.title}
+                                className="w-16 h-10 rounded object-cover"
+                              />
+                            ) : (
+                              <div className="w-16 h-10 rounded bg-dark-700 flex items-center justify-center">
+                                <FiPackage className="w-5 h-5 text-gray-500" />
+                              </div>
+                            )}
+                            <div className="font-medium text-white">{bundle.title}</div>
+                          </div>
+                        </td>
+                        <td className="text-gray-300 text-sm max-w-xs truncate">
+                          {bundle.course_ids.map(id => getCourse(id)?.title || 'Unknown course').join(', ') || '—'}
+                        </td>
+                        <td>
+                          <div className="font-mono text-green-400">
+                            LKR {Number(bundle.price).toLocaleString()}
+                          </div>
+                          {coursesTotal > bundle.price && (
+                            <div className="text-xs text-gray-500">
+                              saves LKR {(coursesTotal - bundle.price).toLocaleString()}
+                            </div>
+                          )}
+                        </td>
+                        <td className="text-gray-300">{sales[bundle.id] || 0}</td>
+                        <td>
+                          <span className={`badge ${bundle.status === 'published' ? 'badge-success' : 'badge-warning'}`}>
+                            {bundle.status}
+                          </span>
+                        </td>
+                        <td>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => openModal(bundle)}
+                              className="text-blue-400 hover:text-blue-300"
+                              title="Edit"
+                            >
+                              <FiEdit className="w-5 h-5" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(bundle)}
+                              className="text-red-400 hover:text-red-300"
+                              title="Delete"
+                            >
+                              <FiTrash2 className="w-5 h-5" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Bundle Form Modal */}
+        {modalOpen && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={closeModal}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <h2 className="text-xl font-bold text-white">
+                    {editingBundle ? 'Edit Bundle' : 'New Bundle'}
+                  </h2>
+                  <button onClick={closeModal} className="text-gray-400 hover:text-white">
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Title</label>
+                    <input
+                      type="text"
+                      value={formData.title}
+                      onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                      className="input"
+                      required
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Description</label>
+                    <textarea
+                      value={formData.description}
+                      onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                      className="input"
+                      rows={3}
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Price (LKR)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.price}
+                        onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+                        className="input"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Status</label>
+                      <select
+                        value={formData.status}
+                        onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                        className="input"
+                      >
+                        <option value="draft">Draft</option>
+                        <option value="published">Published</option>
+                      </select>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Thumbnail</label>
+                    <div className="flex items-center space-x-4">
+                      <div className="w-32 aspect-video rounded-lg overflow-hidden bg-dark-700">
+                        {formData.thumbnail ? (
+                          <img
+                            src={formData.thumbnail}
+                            alt="Thumbnail"
+                            className="w-full h-full object-cover"
+                          />
+                        ) : (
+                          <div className="w-full h-full flex items-center justify-center">
+                            <FiImage className="w-8 h-8 text-gray-500" />
+                          </div>
+                        )}
+                      </div>
+                      <label className="btn-secondary flex items-center space-x-2 cursor-pointer">
+                        <FiImage />
+                        <span>{uploading ? 'Uploading...' : 'Upload Thumbnail'}</span>
+                        <input
+                          type="file"
+                          accept="image/*"
+                          onChange={handleThumbnailUpload}
+                          disabled={uploading}
+                          className="hidden"
+                        />
+                      </label>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Courses</label>
+                    <div className="max-h-40 overflow-y-auto space-y-2 p-3 bg-dark-700/50 rounded-lg">
+                      {courses.map((course) => (
+                        <label key={course.id} className="flex items-center space-x-2 text-gray-300">
+                          <input
+                            type="checkbox"
+                            checked={formData.course_ids.includes(course.id)}
+                            onChange={() => toggleCourse(course.id)}
+                          />
+                          <span>{course.title}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  {formData.course_ids.length > 0 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Order</label>
+                      <div className="space-y-2">
+                        {formData.course_ids.map((courseId, index) => (
+                          <div
+                            key={courseId}
+                            className="flex items-center justify-between p-2 bg-dark-700/50 rounded-lg"
+                          >
+                            <span className="text-gray-300">
+                              {index + 1}. {getCourse(courseId)?.title || 'Unknown course'}
+                            </span>
+                            <div className="flex items-center space-x-1">
+                              <button
+                                type="button"
+                                onClick={() => moveCourse(index, -1)}
+                                disabled={index === 0}
+                                className="text-gray-400 hover:text-white disabled:opacity-30"
+                                title="Move up"
+                              >
+                                <FiArrowUp className="w-4 h-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => moveCourse(index, 1)}
+                                disabled={index === formData.course_ids.length - 1}
+                                className="text-gray-400 hover:text-white disabled:opacity-30"
+                                title="Move down"
+                              >
+                                <FiArrowDown className="w-4 h-4" />
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                      <div className="mt-3 text-sm text-gray-400">
+                        Courses bought separately: LKR {formCoursesTotal.toLocaleString()}
+                        {formSavings > 0 && (
+                          <span className="text-green-400"> · students save LKR {formSavings.toLocaleString()}</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {editingBundle && sales[editingBundle.id] > 0 && (
+                    <p className="text-sm text-yellow-400">
+                      Students who already bought this bundle will get any course you add.
+                      Removing a course does not take it away from them.
+                    </p>
+                  )}
+
+                  <div className="flex space-x-3 pt-4 border-t border-dark-600">
+                    <button type="button" onClick={closeModal} className="flex-1 btn-secondary">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={saving || uploading} className="flex-1 btn-primary">
+                      {saving ? 'Saving...' : editingBundle ? 'Save Changes' : 'Create Bundle'}
+                    </button>
+                  </div>
+                </form>
+              </motion.div>
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
@@ -0,0 +1,524 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import {
+  FiPlus, FiEdit, FiTrash2, FiX, FiTag, FiToggleLeft, FiToggleRight
+} from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import { COUPON_DISCOUNT_TYPES as DISCOUNT_TYPES } from '../../utils/constants'
+import toast from 'react-hot-toast'
+
+const emptyForm = {
+  code: '',
+  description: '',
+  discount_type: DISCOUNT_TYPES.PERCENTAGE,
+  discount_value: '',
+  starts_at: '',
+  expires_at: '',
+  max_redemptions: '',
+  per_user_limit: '',
+  course_ids: [],
+  active: true
+}
+
+// datetime-local inputs want "YYYY-MM-DDTHH:mm" in local time
+const toInputDate = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+export default function AdminCoupons({ user }) {
+  const router = useRouter()
+  const [coupons, setCoupons] = useState([])
+  const [courses, setCourses] = useState([])
+  const [usage, setUsage] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [modalOpen, setModalOpen] = useState(false)
+  const [editingCoupon, setEditingCoupon] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchData()
+  }
+
+  const fetchData = async () => {
+    try {
+      const [couponsResult, coursesResult, redemptionsResult] = await Promise.all([
+        supabase.from('coupons').select('*').order('created_at', { ascending: false }),
+        supabase.from('courses').select('id, title').order('title'),
+        supabase
+          .from('payments')
+          .select('coupon_id')
+          .not('coupon_id', 'is', null)
+          .in('status', ['approved', 'completed'])
+      ])
+
+      if (couponsResult.error) throw couponsResult.error
+
+      const counts = {}
+      ;(redemptionsResult.data || []).forEach(({ coupon_id }) => {
+        counts[coupon_id] = (counts[coupon_id] || 0) + 1
+      })
+
+      setCoupons(couponsResult.data || [])
+      setCourses(coursesResult.data || [])
+      setUsage(counts)
+    } catch (error) {
+      console.error('Error fetching coupons:', error)
+      toast.error('Failed to load coupons')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openModal = (coupon = null) => {
+    setEditingCoupon(coupon)
+    setFormData(coupon ? {
+      code: coupon.code,
+      description: coupon.description || '',
+      discount_type: coupon.discount_type,
+      discount_value: coupon.discount_value,
+      starts_at: toInputDate(coupon.starts_at),
+      expires_at: toInputDate(coupon.expires_at),
+      max_redemptions: coupon.max_redemptions || '',
+      per_user_limit: coupon.per_user_limit || '',
+      course_ids: coupon.course_ids || [],
+      active: coupon.active
+    } : emptyForm)
+    setModalOpen(true)
+  }
+
+  const closeModal = () => {
+    setModalOpen(false)
+    setEditingCoupon(null)
+    setFormData(emptyForm)
+  }
+
+  const toggleCourse = (courseId) => {
+    setFormData(prev => ({
+      ...prev,
+      course_ids: prev.course_ids.includes(courseId)
+        ? prev.course_ids.filter(id => id !== courseId)
+        : [...prev.course_ids, courseId]
+    }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const code = formData.code.trim().toUpperCase()
+    const discountValue = parseFloat(formData.discount_value)
+
+    if (!code) {
+      toast.error('Coupon code is required')
+      return
+    }
+
+    if (!(discountValue > 0)) {
+      toast.error('Discount must be greater than 0')
+      return
+    }
+
+    if (formData.discount_type === DISCOUNT_TYPES.PERCENTAGE && discountValue > 100) {
+      toast.error('Percentage discount cannot exceed 100')
+      return
+    }
+
+    if (formData.starts_at && formData.expires_at &&
+        new Date(formData.expires_at) <= new Date(formData.starts_at)) {
+      toast.error('Expiry must be after the start date')
+      return
+    }
+
+    const couponData = {
+      code,
+      description: formData.description.trim() || null,
+      discount_type: formData.discount_type,
+      discount_value: discountValue,
+      starts_at: formData.starts_at ? new Date(formData.starts_at).toISOString() : null,
+      expires_at: formData.expires_at ? new Date(formData.expires_at).toISOString() : null,
+      max_redemptions: parseInt(formData.max_redemptions) || null,
+      per_user_limit: parseInt(formData.per_user_limit) || null,
+      course_ids: formData.course_ids.length ? formData.course_ids : null,
+      active: formData.active,
+      updated_at: new Date().toISOString()
+    }
+
+    setSaving(true)
+    try {
+      const { error } = editingCoupon
+        ? await supabase.from('coupons').update(couponData).eq('id', editingCoupon.id)
+        : await supabase.from('coupons').insert({ ...couponData, created_by: user.id })
+
+      if (error) {
+        if (error.code === '23505') {
+          toast.error('A coupon with this code already exists')
+          return
+        }
+        throw error
+      }
+
+      toast.success(editingCoupon ? 'Coupon updated' : 'Coupon created')
+      closeModal()
+      fetchData()
+    } catch (error) {
+      console.error('Error saving coupon:', error)
+      toast.error('Failed to save coupon')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleActive = async (coupon) => {
+    try {
+      const { error } = await supabase
+        .from('coupons')
+        .update({ active: !coupon.active, updated_at: new Date().toISOString() })
+        .eq('id', coupon.id)
+
+      if (error) throw error
+
+      toast.success(coupon.active ? 'Coupon disabled' : 'Coupon enabled')
+      fetchData()
+    } catch (error) {
+      console.error('Error updating coupon:', error)
+      toast.error('Failed to update coupon')
+    }
+  }
+
+  const handleDelete = async (coupon) => {
+    if (usage[coupon.id]) {
+      toast.error('This coupon has been redeemed. Disable it instead.')
+      return
+    }
+
+    if (!confirm(`Delete coupon ${coupon.code}?`)) return
+
+    try {
+      const { error } = await supabase.from('coupons').delete().eq('id', coupon.id)
+      if (error) throw error
+
+      toast.success('Coupon deleted')
+      fetchData()
+    } catch (error) {
+      console.error('Error deleting coupon:', error)
+      toast.error('Failed to delete coupon')
+    }
+  }
+
+  const formatDiscount = (coupon) => {
+    return coupon.discount_type === DISCOUNT_TYPES.PERCENTAGE
+      ? `${coupon.discount_value}%`
+      : `LKR ${Number(coupon.discount_value).toLocaleString()}`
+  }
+
+  const getCouponStatus = (coupon) => {
+    const now = new Date()
+    if (!coupon.active) return { label: 'disabled', badge: 'badge-danger' }
+    if (coupon.expires_at && new Date(coupon.expires_at) <= now) return { label: 'expired', badge: 'badge-danger' }
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) return { label: 'scheduled', badge: 'badge-warning' }
+    if (coupon.max_redemptions && (usage[coupon.id] || 0) >= coupon.max_redemptions) {
+      return { label: 'used up', badge: 'badge-warning' }
+    }
+    return { label: 'active', badge: 'badge-success' }
+  }
+
+  const getCourseScope = (coupon) => {
+    if (!coupon.course_ids?.length) return 'All courses'
+    return coupon.course_ids
+      .map(id => courses.find(course => course.id === id)?.title || 'Unknown course')
+      .join(', ')
+  }
+
+  if (!user) return null
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              Coupons
+            </h1>
+            <p className="text-gray-400">
+              Create discount codes and track how often they are used
+            </p>
+          </div>
+          <button
+            onClick={() => openModal()}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <FiPlus className="w-5 h-5" />
+            <span>New Coupon</span>
+          </button>
+        </div>
+
+        {/* Coupons Table */}
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : coupons.length === 0 ? (
+            <div className="text-center py-12">
+              <FiTag className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-white mb-2">No coupons yet</h3>
+              <p className="text-gray-400">Create a coupon to offer students a discount.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Discount</th>
+                    <th>Courses</th>
+                    <th>Usage</th>
+                    <th>Expires</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coupons.map((coupon) => {
+                    const status = getCouponStatus(coupon)
+                    return (
+                      <tr key={coupon.id}>
+                        <td>
+                          <div className="font-mono font-medium text-white">{coupon.code}</div>
+                          {coupon.description && (
+                            <div className="text-xs text-gray-500">{coupon.description}</div>
+                          )}
+                        </td>
+                        <td className="font-mono text-green-400">{formatDiscount(coupon)}</td>
+                        <td className="text-gray-300 text-sm max-w-xs truncate">
+                          {getCourseScope(coupon)}
+                        </td>
+                        <td className="text-gray-300">
+                          {usage[coupon.id] || 0}
+                          {coupon.max_redemptions ? ` / ${coupon.max_redemptions}` : ''}
+                          {coupon.per_user_limit && (
+                            <div className="text-xs text-gray-500">
+                              {coupon.per_user_limit} per student
+                            </div>
+                          )}
+                        </td>
+                        <td className="text-gray-400 text-sm">
+                          {coupon.expires_at ? new Date(coupon.expires_at).toLocaleDateString() : 'Never'}
+                        </td>
+                        <td>
+                          <span className={`badge ${status.badge}`}>{status.label}</span>
+                        </td>
+                        <td>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => handleToggleActive(coupon)}
+                              className="text-gray-400 hover:text-white"
+                              title={coupon.active ? 'Disable' : 'Enable'}
+                            >
+                              {coupon.active
+                                ? <FiToggleRight className="w-5 h-5 text-green-400" />
+                                : <FiToggleLeft className="w-5 h-5" />}
+                            </button>
+                            <button
+                              onClick={() => openModal(coupon)}
+                              className="text-blue-400 hover:text-blue-300"
+                              title="Edit"
+                            >
+                              <FiEdit className="w-5 h-5" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(coupon)}
+                              className="text-red-400 hover:text-red-300"
+                              title="Delete"
+                            >
+                              <FiTrash2 className="w-5 h-5" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Coupon Form Modal */}
+        {modalOpen && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={closeModal}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <h2 className="text-xl font-bold text-white">
+                    {editingCoupon ? 'Edit Coupon' : 'New Coupon'}
+                  </h2>
+                  <button onClick={closeModal} className="text-gray-400 hover:text-white">
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Code</label>
+                      <input
+                        type="text"
+                        value={formData.code}
+                        onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+                        className="input font-mono"
+                        placeholder="e.g. WELCOME20"
+                        maxLength={50}
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Description</label>
+                      <input
+                        type="text"
+                        value={formData.description}
+                        onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                        className="input"
+                        placeholder="Internal note"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Discount Type</label>
+                      <select
+                        value={formData.discount_type}
+                        onChange={(e) => setFormData({ ...formData, discount_type: e.target.value })}
+                        className="input"
+                      >
+                        <option value={DISCOUNT_TYPES.PERCENTAGE}>Percentage</option>
+                        <option value={DISCOUNT_TYPES.FIXED}>Fixed amount (LKR)</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">
+                        {formData.discount_type === DISCOUNT_TYPES.PERCENTAGE ? 'Percent Off' : 'Amount Off (LKR)'}
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.discount_value}
+                        onChange={(e) => setFormData({ ...formData, discount_value: e.target.value })}
+                        className="input"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Starts</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.starts_at}
+                        onChange={(e) => setFormData({ ...formData, starts_at: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Expires</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.expires_at}
+                        onChange={(e) => setFormData({ ...formData, expires_at: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Total Uses</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.max_redemptions}
+                        onChange={(e) => setFormData({ ...formData, max_redemptions: e.target.value })}
+                        className="input"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Uses Per Student</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.per_user_limit}
+                        onChange={(e) => setFormData({ ...formData, per_user_limit: e.target.value })}
+                        className="input"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">
+                      Courses (leave empty for all courses)
+                    </label>
+                    <div className="max-h-40 overflow-y-auto space-y-2 p-3 bg-dark-700/50 rounded-lg">
+                      {courses.map((course) => (
+                        <label key={course.id} className="flex items-center space-x-2 text-gray-300">
+                          <input
+                            type="checkbox"
+                            checked={formData.course_ids.includes(course.id)}
+                            onChange={() => toggleCourse(course.id)}
+                          />
+                          <span>{course.title}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <label className="flex items-center space-x-2 text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={formData.active}
+                      onChange={(e) => setFormData({ ...formData, active: e.target.checked })}
+                    />
+                    <span>Active</span>
+                  </label>
+
+                  <div className="flex space-x-3 pt-4 border-t border-dark-600">
+                    <button type="button" onClick={closeModal} className="flex-1 btn-secondary">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={saving} className="flex-1 btn-primary">
+                      {saving ? 'Saving...' : editingCoupon ? 'Save Changes' : 'Create Coupon'}
+                    </button>
+                  </div>
+                </form>
+              </motion.div>
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
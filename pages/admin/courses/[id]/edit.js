@@ -9,7 +9,16 @@ import {
 import { supabase, isAdmin } from '../../../../lib/supabase'
 import AdminLayout from '../../../../components/admin/AdminLayout'
 import VideoUpload from '../../../../components/ui/VideoUpload'
+import PriceListFields from '../../../../components/admin/PriceListFields'
+import QuizEditor from '../../../../components/admin/QuizEditor'
+import MathPreview from '../../../../components/admin/MathPreview'
 import toast from 'react-hot-toast'
+import { normalizePriceList } from '../../../../utils/currency'
+import {
+  DEFAULT_SECTION_TITLE,
+  groupLessonsBySection,
+  orderLessonsBySection
+} from '../../../../utils/sections'
 
 export default function EditCourse({ user }) {
   const router = useRouter()
@@ -22,11 +31,13 @@ export default function EditCourse({ user }) {
     description: '',
     category: 'Algebra',
     price: '',
+    prices: {},
     thumbnail: '',
     intro_video: '',
     featured: false,
     published: false
   })
+  const [priceListErrors, setPriceListErrors] = useState({})
   const [lessons, setLessons] = useState([])
   const [newLesson, setNewLesson] = useState({
     title: '',
@@ -35,10 +46,16 @@ export default function EditCourse({ user }) {
     content: '',
     duration: '',
     is_preview: false,
-    video_source: 'youtube'
+    video_source: 'youtube',
+    section_id: null
   })
   const [addingLesson, setAddingLesson] = useState(false)
   const [deletedLessons, setDeletedLessons] = useState([])
+  // Kept in position order; lessons are kept in section order to match
+  const [sections, setSections] = useState([])
+  const [deletedSections, setDeletedSections] = useState([])
+  const [dragging, setDragging] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
   const [introVideoSource, setIntroVideoSource] = useState('url')
   
   useEffect(() => {
@@ -71,7 +88,8 @@ export default function EditCourse({ user }) {
       
       setCourseData({
         ...course,
-        price: course.price
+        price: course.price,
+        prices: course.prices || {}
       })
       
       // Set intro video source based on current value
@@ -95,7 +113,17 @@ export default function EditCourse({ user }) {
       
       if (lessonsError) throw lessonsError
       
-      setLessons(courseLessons || [])
+      // Fetch sections
+      const { data: courseSections, error: sectionsError } = await supabase
+        .from('course_sections')
+        .select('*')
+        .eq('course_id', id)
+        .order('position')
+      
+      if (sectionsError) throw sectionsError
+      
+      setSections(courseSections || [])
+      setLessons(orderLessonsBySection(courseSections || [], courseLessons || []))
       
     } catch (error) {
       console.error('Error fetching course:', error)
@@ -119,6 +147,18 @@ export default function EditCourse({ user }) {
       toast.error('Please fill in all required fields')
       return
     }
+
+    const priceList = normalizePriceList(courseData.prices)
+    setPriceListErrors(priceList.errors)
+    if (Object.keys(priceList.errors).length) {
+      toast.error('Please fix the listed prices')
+      return
+    }
+
+    if (sections.some(section => !section.title?.trim())) {
+      toast.error('Please give every section a title')
+      return
+    }
     
     console.log('=== COURSE UPDATE START ===')
     console.log('Course ID:', id)
@@ -135,6 +175,7 @@ export default function EditCourse({ user }) {
         description: courseData.description,
         category: courseData.category,
         price: parseInt(courseData.price),
+        prices: priceList.prices,
         thumbnail: courseData.thumbnail,
         intro_video: courseData.intro_video,
         featured: courseData.featured,
@@ -151,6 +192,7 @@ export default function EditCourse({ user }) {
           description: courseData.description,
           category: courseData.category,
           price: parseInt(courseData.price),
+          prices: priceList.prices,
           thumbnail: courseData.thumbnail,
           intro_video: courseData.intro_video,
           featured: courseData.featured,
@@ -171,7 +213,7 @@ export default function EditCourse({ user }) {
       console.log('✅ Course updated successfully via API')
       
       // Update lessons using API endpoint
-      if (lessons.length > 0 || deletedLessons.length > 0) {
+      if (lessons.length > 0 || deletedLessons.length > 0 || sections.length > 0 || deletedSections.length > 0) {
         console.log('Updating lessons via API...')
         const lessonsResponse = await fetch(`/api/courses/${id}/lessons`, {
           method: 'POST',
@@ -180,8 +222,10 @@ export default function EditCourse({ user }) {
           },
           body: JSON.stringify({
             action: 'bulk_update',
-            lessons: lessons,
-            deletedLessons: deletedLessons
+            lessons: lessons.map(lesson => ({ ...lesson, section_id: lesson.section_id || null })),
+            deletedLessons: deletedLessons,
+            sections: sections.map(({ id, title, description }) => ({ id, title, description })),
+            deletedSections: deletedSections
           })
         })
         
@@ -226,12 +270,13 @@ export default function EditCourse({ user }) {
   }
   
   const addLesson = () => {
-    if (!newLesson.title || !newLesson.content) {
+    // Quizzes only need a title; questions are added once the lesson is saved
+    if (!newLesson.title || (newLesson.type !== 'quiz' && !newLesson.content)) {
       toast.error('Please fill in lesson title and content')
       return
     }
     
-    setLessons([...lessons, { ...newLesson, isNew: true }])
+    setOrderedLessons([...lessons, { ...newLesson, isNew: true }])
     setNewLesson({
       title: '',
       description: '',
@@ -239,7 +284,8 @@ export default function EditCourse({ user }) {
       content: '',
       duration: '',
       is_preview: false,
-      video_source: 'youtube'
+      video_source: 'youtube',
+      section_id: newLesson.section_id
     })
     setAddingLesson(false)
     toast.success('Lesson added')
@@ -266,14 +312,97 @@ export default function EditCourse({ user }) {
     setLessons(updatedLessons)
   }
   
+  const setOrderedLessons = (updatedLessons, orderedSections = sections) => {
+    setLessons(orderLessonsBySection(orderedSections, updatedLessons))
+  }
+  
   const moveLesson = (index, direction) => {
     const newLessons = [...lessons]
     const newIndex = direction === 'up' ? index - 1 : index + 1
     
     if (newIndex < 0 || newIndex >= lessons.length) return
     
-    [newLessons[index], newLessons[newIndex]] = [newLessons[newIndex], newLessons[index]]
-    setLessons(newLessons)
+    const sectionId = lessons[index].section_id || null
+    const neighbourSectionId = lessons[newIndex].section_id || null
+    if (sectionId === neighbourSectionId) {
+      [newLessons[index], newLessons[newIndex]] = [newLessons[newIndex], newLessons[index]]
+    } else {
+      // Step over the section boundary into the neighbouring section
+      newLessons[index] = { ...lessons[index], section_id: neighbourSectionId }
+    }
+    setOrderedLessons(newLessons)
+  }
+  
+  // Move a lesson into a section, before another lesson or at the end
+  const placeLesson = (from, sectionId, beforeIndex = null) => {
+    if (from === beforeIndex) return
+    
+    const moved = { ...lessons[from], section_id: sectionId }
+    const rest = lessons.filter((_, i) => i !== from)
+    const at = beforeIndex === null ? rest.length : rest.indexOf(lessons[beforeIndex])
+    rest.splice(at, 0, moved)
+    setOrderedLessons(rest)
+  }
+  
+  const addSection = () => {
+    setSections([
+      ...sections,
+      { id: `new-${Date.now()}`, title: '', description: '', position: sections.length, isNew: true }
+    ])
+  }
+  
+  const updateSection = (sectionId, field, value) => {
+    setSections(sections.map(section => (
+      section.id === sectionId ? { ...section, [field]: value } : section
+    )))
+  }
+  
+  const removeSection = (sectionId) => {
+    const sectionToRemove = sections.find(section => section.id === sectionId)
+    
+    if (!sectionToRemove.isNew) {
+      setDeletedSections([...deletedSections, sectionId])
+    }
+    
+    // Its lessons stay in the course without a section
+    const remaining = sections
+      .filter(section => section.id !== sectionId)
+      .map((section, position) => ({ ...section, position }))
+    setSections(remaining)
+    setOrderedLessons(
+      lessons.map(lesson => (lesson.section_id === sectionId ? { ...lesson, section_id: null } : lesson)),
+      remaining
+    )
+    toast.success('Section removed')
+  }
+  
+  const placeSection = (from, to) => {
+    if (from === to || to < 0 || to >= sections.length) return
+    
+    const reordered = [...sections]
+    const [moved] = reordered.splice(from, 1)
+    reordered.splice(to, 0, moved)
+    const positioned = reordered.map((section, position) => ({ ...section, position }))
+    setSections(positioned)
+    setOrderedLessons(lessons, positioned)
+  }
+  
+  const startDrag = (e, item) => {
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', '') // Firefox only drags with data set
+    setDragging(item)
+  }
+  
+  const endDrag = () => {
+    setDragging(null)
+    setDropTarget(null)
+  }
+  
+  const dragOver = (e, target, accepts) => {
+    if (!accepts.includes(dragging?.type)) return
+    e.preventDefault()
+    e.stopPropagation()
+    setDropTarget(target)
   }
   
   const handleThumbnailUpload = async (e) => {
@@ -339,6 +468,12 @@ export default function EditCourse({ user }) {
   
   if (!user) return null
   
+  const lessonGroups = groupLessonsBySection(sections, lessons)
+  if (sections.length > 0 && dragging?.type === 'lesson' && lessonGroups[0]?.section) {
+    // Somewhere to drop a lesson that should leave its section
+    lessonGroups.unshift({ section: null, lessons: [] })
+  }
+  
   if (loading) {
     return (
       <AdminLayout user={user}>
@@ -455,6 +590,7 @@ export default function EditCourse({ user }) {
                       onChange={(e) => setCourseData({ ...courseData, description: e.target.value })}
                       className="input w-full h-32 resize-none"
                     />
+                    <MathPreview text={courseData.description} />
                   </div>
                   
                   <div className="grid grid-cols-2 gap-4">
@@ -491,6 +627,15 @@ export default function EditCourse({ user }) {
                       </div>
                     </div>
                   </div>
+
+                  <PriceListFields
+                    prices={courseData.prices}
+                    errors={priceListErrors}
+                    onChange={(currency, value) => setCourseData({
+                      ...courseData,
+                      prices: { ...courseData.prices, [currency]: value }
+                    })}
+                  />
                   
                   <div>
                     <label className="block text-sm font-medium text-gray-300 mb-2">
@@ -569,16 +714,26 @@ export default function EditCourse({ user }) {
                     Course Lessons ({lessons.length})
                   </h2>
                   
-                  {!addingLesson && (
+                  <div className="flex items-center space-x-3">
                     <button
                       type="button"
-                      onClick={() => setAddingLesson(true)}
-                      className="btn-primary flex items-center space-x-2"
+                      onClick={addSection}
+                      className="btn-secondary flex items-center space-x-2"
                     >
                       <FiPlus />
-                      <span>Add Lesson</span>
+                      <span>Add Section</span>
                     </button>
-                  )}
+                    {!addingLesson && (
+                      <button
+                        type="button"
+                        onClick={() => setAddingLesson(true)}
+                        className="btn-primary flex items-center space-x-2"
+                      >
+                        <FiPlus />
+                        <span>Add Lesson</span>
+                      </button>
+                    )}
+                  </div>
                 </div>
                 
                 {/* Add Lesson Form */}
@@ -595,6 +750,21 @@ export default function EditCourse({ user }) {
                         placeholder="Lesson title"
                       />
                       
+                      {sections.length > 0 && (
+                        <select
+                          value={newLesson.section_id || ''}
+                          onChange={(e) => setNewLesson({ ...newLesson, section_id: e.target.value || null })}
+                          className="input w-full"
+                        >
+                          <option value="">No section ({DEFAULT_SECTION_TITLE})</option>
+                          {sections.map(section => (
+                            <option key={section.id} value={section.id}>
+                              {section.title || 'Untitled section'}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      
                       <textarea
                         value={newLesson.description}
                         onChange={(e) => setNewLesson({ ...newLesson, description: e.target.value })}
@@ -610,6 +780,7 @@ export default function EditCourse({ user }) {
                         >
                           <option value="video">Video</option>
                           <option value="post">Article</option>
+                          <option value="quiz">Quiz</option>
                         </select>
                         
                         <input
@@ -670,12 +841,15 @@ export default function EditCourse({ user }) {
                           )}
                         </div>
                       ) : (
-                        <textarea
-                          value={newLesson.content}
-                          onChange={(e) => setNewLesson({ ...newLesson, content: e.target.value })}
-                          className="input w-full h-32 resize-none"
-                          placeholder="Article content"
-                        />
+                        <div>
+                          <textarea
+                            value={newLesson.content}
+                            onChange={(e) => setNewLesson({ ...newLesson, content: e.target.value })}
+                            className="input w-full h-32 resize-none"
+                            placeholder={newLesson.type === 'quiz' ? 'Quiz instructions (optional)' : 'Article content'}
+                          />
+                          <MathPreview text={newLesson.content} html={newLesson.type === 'post'} />
+                        </div>
                       )}
                       
                       <label className="flex items-center space-x-2">
@@ -708,131 +882,254 @@ export default function EditCourse({ user }) {
                   </div>
                 )}
                 
-                {/* Lessons List */}
-                <div className="space-y-3">
-                  {lessons.map((lesson, index) => (
-                    <div key={lesson.id || `new-${index}`} className="bg-dark-700 rounded-lg p-4">
-                      <div className="flex items-start justify-between mb-3">
-                        <div className="flex items-center space-x-3">
-                          <span className="text-gray-500">#{index + 1}</span>
-                          <input
-                            type="text"
-                            value={lesson.title}
-                            onChange={(e) => updateLesson(index, 'title', e.target.value)}
-                            className="input"
-                            placeholder="Lesson title"
-                          />
-                        </div>
+                {/* Lessons List, grouped by section */}
+                <div className="space-y-6">
+                  {lessonGroups.map(({ section, lessons: sectionLessons }) => {
+                    const sectionId = section?.id || null
+                    const sectionIndex = section ? sections.indexOf(section) : -1
+                    
+                    return (
+                      <div
+                        key={sectionId || 'unsectioned'}
+                        onDragOver={(e) => dragOver(e, `section-${sectionId}`, section ? ['lesson', 'section'] : ['lesson'])}
+                        onDrop={(e) => {
+                          e.preventDefault()
+                          if (dragging?.type === 'lesson') placeLesson(dragging.index, sectionId)
+                          if (dragging?.type === 'section') placeSection(dragging.index, sectionIndex)
+                          endDrag()
+                        }}
+                        className={sections.length > 0
+                          ? `rounded-lg border p-4 ${dropTarget === `section-${sectionId}` ? 'border-primary-500' : 'border-dark-600'}`
+                          : ''}
+                      >
+                        {section ? (
+                          <div className="flex items-start justify-between mb-4 gap-3">
+                            <div className="flex items-start space-x-3 flex-1">
+                              <span
+                                draggable
+                                onDragStart={(e) => startDrag(e, { type: 'section', index: sectionIndex })}
+                                onDragEnd={endDrag}
+                                className="mt-3 text-gray-400 hover:text-white cursor-move"
+                                title="Drag to reorder sections"
+                              >
+                                <FiMove />
+                              </span>
+                              <div className="flex-1 space-y-2">
+                                <input
+                                  type="text"
+                                  value={section.title}
+                                  onChange={(e) => updateSection(section.id, 'title', e.target.value)}
+                                  className="input w-full font-semibold"
+                                  placeholder="Section title, e.g. Unit 1: Limits"
+                                />
+                                <textarea
+                                  value={section.description || ''}
+                                  onChange={(e) => updateSection(section.id, 'description', e.target.value)}
+                                  className="input w-full h-16 resize-none text-sm"
+                                  placeholder="Section description (optional)"
+                                />
+                              </div>
+                            </div>
+                            
+                            <div className="flex items-center space-x-2 mt-3">
+                              <button
+                                type="button"
+                                onClick={() => placeSection(sectionIndex, sectionIndex - 1)}
+                                disabled={sectionIndex === 0}
+                                className="text-gray-400 hover:text-white disabled:opacity-50"
+                              >
+                                ↑
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => placeSection(sectionIndex, sectionIndex + 1)}
+                                disabled={sectionIndex === sections.length - 1}
+                                className="text-gray-400 hover:text-white disabled:opacity-50"
+                              >
+                                ↓
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => removeSection(section.id)}
+                                className="text-red-400 hover:text-red-300"
+                                title="Remove section (its lessons are kept)"
+                              >
+                                <FiTrash2 />
+                              </button>
+                            </div>
+                          </div>
+                        ) : sections.length > 0 && (
+                          <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wide mb-4">
+                            {DEFAULT_SECTION_TITLE}
+                          </h3>
+                        )}
                         
-                        <div className="flex items-center space-x-2">
-                          <button
-                            type="button"
-                            onClick={() => moveLesson(index, 'up')}
-                            disabled={index === 0}
-                            className="text-gray-400 hover:text-white disabled:opacity-50"
-                          >
-                            ↑
-                          </button>
-                          <button
-                            type="button"
-                            onClick={() => moveLesson(index, 'down')}
-                            disabled={index === lessons.length - 1}
-                            className="text-gray-400 hover:text-white disabled:opacity-50"
-                          >
-                            ↓
-                          </button>
-                          <button
-                            type="button"
-                            onClick={() => removeLesson(index)}
-                            className="text-red-400 hover:text-red-300"
-                          >
-                            <FiTrash2 />
-                          </button>
-                        </div>
-                      </div>
+                        <div className="space-y-3">
+                          {sectionLessons.map(({ index, ...lesson }) => (
+                            <div
+                              key={lesson.id || `new-${index}`}
+                              onDragOver={(e) => dragOver(e, `lesson-${index}`, ['lesson'])}
+                              onDrop={(e) => {
+                                // Sections dropped here are handled by their container
+                                if (dragging?.type !== 'lesson') return
+                                e.preventDefault()
+                                e.stopPropagation()
+                                placeLesson(dragging.index, sectionId, index)
+                                endDrag()
+                              }}
+                              className={`bg-dark-700 rounded-lg p-4 ${dropTarget === `lesson-${index}` ? 'ring-2 ring-primary-500' : ''}`}
+                            >
+                          <div className="flex items-start justify-between mb-3">
+                            <div className="flex items-center space-x-3">
+                              <span
+                                draggable
+                                onDragStart={(e) => startDrag(e, { type: 'lesson', index })}
+                                onDragEnd={endDrag}
+                                className="text-gray-400 hover:text-white cursor-move"
+                                title="Drag to move"
+                              >
+                                <FiMove />
+                              </span>
+                              <span className="text-gray-500">#{index + 1}</span>
+                              <input
+                                type="text"
+                                value={lesson.title}
+                                onChange={(e) => updateLesson(index, 'title', e.target.value)}
+                                className="input"
+                                placeholder="Lesson title"
+                              />
+                            </div>
+                        
+                            <div className="flex items-center space-x-2">
+                              <button
+                                type="button"
+                                onClick={() => moveLesson(index, 'up')}
+                                disabled={index === 0}
+                                className="text-gray-400 hover:text-white disabled:opacity-50"
+                              >
+                                ↑
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => moveLesson(index, 'down')}
+                                disabled={index === lessons.length - 1}
+                                className="text-gray-400 hover:text-white disabled:opacity-50"
+                              >
+                                ↓
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => removeLesson(index)}
+                                className="text-red-400 hover:text-red-300"
+                              >
+                                <FiTrash2 />
+                              </button>
+                            </div>
+                          </div>
                       
-                      <div className="space-y-3">
-                        <div className="grid grid-cols-3 gap-3">
-                          <select
-                            value={lesson.type}
-                            onChange={(e) => updateLesson(index, 'type', e.target.value)}
-                            className="input"
-                          >
-                            <option value="video">Video</option>
-                            <option value="post">Article</option>
-                          </select>
+                          <div className="space-y-3">
+                            <div className="grid grid-cols-3 gap-3">
+                              <select
+                                value={lesson.type}
+                                onChange={(e) => updateLesson(index, 'type', e.target.value)}
+                                className="input"
+                              >
+                                <option value="video">Video</option>
+                                <option value="post">Article</option>
+                                <option value="quiz">Quiz</option>
+                              </select>
                           
-                          <input
-                            type="number"
-                            value={lesson.duration}
-                            onChange={(e) => updateLesson(index, 'duration', e.target.value)}
-                            className="input"
-                            placeholder="Duration"
-                          />
+                              <input
+                                type="number"
+                                value={lesson.duration}
+                                onChange={(e) => updateLesson(index, 'duration', e.target.value)}
+                                className="input"
+                                placeholder="Duration"
+                              />
                           
-                          <label className="flex items-center space-x-2">
-                            <input
-                              type="checkbox"
-                              checked={lesson.is_preview}
-                              onChange={(e) => updateLesson(index, 'is_preview', e.target.checked)}
-                              className="w-4 h-4"
-                            />
-                            <span className="text-sm text-gray-300">Preview</span>
-                          </label>
-                        </div>
-                        
-                        {lesson.type === 'video' && (
-                          <div className="space-y-2">
-                            <div className="grid grid-cols-2 gap-2">
-                              <label className="flex items-center space-x-2">
-                                <input
-                                  type="radio"
-                                  name={`video_source_${index}`}
-                                  value="youtube"
-                                  checked={!lesson.video_source || lesson.video_source !== 'upload'}
-                                  onChange={(e) => updateLesson(index, 'video_source', 'youtube')}
-                                  className="w-4 h-4"
-                                />
-                                <span className="text-xs text-gray-300">YouTube URL</span>
-                              </label>
                               <label className="flex items-center space-x-2">
                                 <input
-                                  type="radio"
-                                  name={`video_source_${index}`}
-                                  value="upload"
-                                  checked={lesson.video_source === 'upload'}
-                                  onChange={(e) => updateLesson(index, 'video_source', 'upload')}
+                                  type="checkbox"
+                                  checked={lesson.is_preview}
+                                  onChange={(e) => updateLesson(index, 'is_preview', e.target.checked)}
                                   className="w-4 h-4"
                                 />
-                                <span className="text-xs text-gray-300">Upload Video</span>
+                                <span className="text-sm text-gray-300">Preview</span>
                               </label>
                             </div>
+                        
+                            {lesson.type === 'video' && (
+                              <div className="space-y-2">
+                                <div className="grid grid-cols-2 gap-2">
+                                  <label className="flex items-center space-x-2">
+                                    <input
+                                      type="radio"
+                                      name={`video_source_${index}`}
+                                      value="youtube"
+                                      checked={!lesson.video_source || lesson.video_source !== 'upload'}
+                                      onChange={(e) => updateLesson(index, 'video_source', 'youtube')}
+                                      className="w-4 h-4"
+                                    />
+                                    <span className="text-xs text-gray-300">YouTube URL</span>
+                                  </label>
+                                  <label className="flex items-center space-x-2">
+                                    <input
+                                      type="radio"
+                                      name={`video_source_${index}`}
+                                      value="upload"
+                                      checked={lesson.video_source === 'upload'}
+                                      onChange={(e) => updateLesson(index, 'video_source', 'upload')}
+                                      className="w-4 h-4"
+                                    />
+                                    <span className="text-xs text-gray-300">Upload Video</span>
+                                  </label>
+                                </div>
                             
-                            {lesson.video_source === 'upload' ? (
-                              <VideoUpload
-                                onUploadSuccess={(videoData) => {
-                                  updateLesson(index, 'content', videoData.url)
-                                  toast.success('Video uploaded successfully!')
-                                }}
-                                onUploadError={(error) => {
-                                  toast.error('Failed to upload video')
-                                }}
-                                maxSizeMB={500}
-                              />
-                            ) : (
-                              <input
-                                type="url"
-                                value={lesson.content}
-                                onChange={(e) => updateLesson(index, 'content', e.target.value)}
-                                className="input w-full text-sm"
-                                placeholder="YouTube Video URL"
-                              />
+                                {lesson.video_source === 'upload' ? (
+                                  <VideoUpload
+                                    onUploadSuccess={(videoData) => {
+                                      updateLesson(index, 'content', videoData.url)
+                                      toast.success('Video uploaded successfully!')
+                                    }}
+                                    onUploadError={(error) => {
+                                      toast.error('Failed to upload video')
+                                    }}
+                                    maxSizeMB={500}
+                                  />
+                                ) : (
+                                  <input
+                                    type="url"
+                                    value={lesson.content}
+                                    onChange={(e) => updateLesson(index, 'content', e.target.value)}
+                                    className="input w-full text-sm"
+                                    placeholder="YouTube Video URL"
+                                  />
+                                )}
+                              </div>
+                            )}
+
+                            {lesson.type === 'quiz' && (
+                              lesson.id ? (
+                                <QuizEditor lessonId={lesson.id} adminId={user.id} />
+                              ) : (
+                                <p className="text-sm text-gray-400">
+                                  Save the course to add this quiz&apos;s questions.
+                                </p>
+                              )
                             )}
                           </div>
-                        )}
+                            </div>
+                          ))}
+                          
+                          {sectionLessons.length === 0 && (
+                            <p className="text-sm text-gray-500 text-center py-4">
+                              Drag lessons here
+                            </p>
+                          )}
+                        </div>
                       </div>
-                    </div>
-                  ))}
+                    )
+                  })}
                 </div>
               </motion.div>
             </div>
@@ -9,6 +9,7 @@ import {
 import { supabase, isAdmin } from '../../../lib/supabase'
 import AdminLayout from '../../../components/admin/AdminLayout'
 import VideoUpload from '../../../components/ui/VideoUpload'
+import MathPreview from '../../../components/admin/MathPreview'
 import toast from 'react-hot-toast'
 
 export default function NewCourse({ user }) {
@@ -250,6 +251,7 @@ export default function NewCourse({ user }) {
                       className="input w-full h-32 resize-none"
                       placeholder="Describe what students will learn..."
                     />
+                    <MathPreview text={courseData.description} />
                   </div>
                   
                   <div className="grid grid-cols-2 gap-4">
@@ -492,12 +494,15 @@ export default function NewCourse({ user }) {
                             )}
                           </div>
                         ) : (
-                          <textarea
-                            value={newLesson.content}
-                            onChange={(e) => setNewLesson({ ...newLesson, content: e.target.value })}
-                            className="input w-full h-32 resize-none"
-                            placeholder="Write your article content..."
-                          />
+                          <div>
+                            <textarea
+                              value={newLesson.content}
+                              onChange={(e) => setNewLesson({ ...newLesson, content: e.target.value })}
+                              className="input w-full h-32 resize-none"
+                              placeholder="Write your article content..."
+                            />
+                            <MathPreview text={newLesson.content} html />
+                          </div>
                         )}
                       </div>
                       
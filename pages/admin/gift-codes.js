@@ -0,0 +1,504 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+import { FiPlus, FiX, FiGift, FiDownload, FiEye } from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import { giftCodesToCsv } from '../../utils/gifts'
+import toast from 'react-hot-toast'
+
+const emptyForm = {
+  label: '',
+  itemType: 'course',
+  itemId: '',
+  quantity: 10,
+  expires_at: ''
+}
+
+const GIFT_CODE_SELECT = `
+  *,
+  courses (title),
+  bundles (title),
+  purchaser:profiles!gift_codes_purchaser_id_fkey (name, email),
+  redeemer:profiles!gift_codes_redeemed_by_fkey (name, email)
+`
+
+const STATUS_BADGES = {
+  active: 'badge-primary',
+  redeemed: 'badge-success',
+  revoked: 'badge-danger'
+}
+
+export default function AdminGiftCodes({ user }) {
+  const router = useRouter()
+  const [activeTab, setActiveTab] = useState('batches')
+  const [batches, setBatches] = useState([])
+  const [redeemedCounts, setRedeemedCounts] = useState({})
+  const [giftPurchases, setGiftPurchases] = useState([])
+  const [courses, setCourses] = useState([])
+  const [bundles, setBundles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [modalOpen, setModalOpen] = useState(false)
+  const [formData, setFormData] = useState(emptyForm)
+  const [saving, setSaving] = useState(false)
+  const [viewBatch, setViewBatch] = useState(null)
+  const [batchCodes, setBatchCodes] = useState([])
+  const [loadingCodes, setLoadingCodes] = useState(false)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchData()
+  }
+
+  const fetchData = async () => {
+    try {
+      const [batchesResult, redeemedResult, purchasesResult, coursesResult, bundlesResult] = await Promise.all([
+        supabase
+          .from('gift_code_batches')
+          .select('*, courses (title), bundles (title)')
+          .order('created_at', { ascending: false }),
+        supabase
+          .from('gift_codes')
+          .select('batch_id')
+          .not('batch_id', 'is', null)
+          .eq('status', 'redeemed'),
+        supabase
+          .from('gift_codes')
+          .select(GIFT_CODE_SELECT)
+          .not('payment_id', 'is', null)
+          .order('created_at', { ascending: false })
+          .limit(200),
+        supabase.from('courses').select('id, title').order('title'),
+        supabase.from('bundles').select('id, title').order('title')
+      ])
+
+      if (batchesResult.error) throw batchesResult.error
+      if (purchasesResult.error) throw purchasesResult.error
+
+      const counts = {}
+      ;(redeemedResult.data || []).forEach(({ batch_id }) => {
+        counts[batch_id] = (counts[batch_id] || 0) + 1
+      })
+
+      setBatches(batchesResult.data || [])
+      setRedeemedCounts(counts)
+      setGiftPurchases(purchasesResult.data || [])
+      setCourses(coursesResult.data || [])
+      setBundles(bundlesResult.data || [])
+    } catch (error) {
+      console.error('Error fetching gift codes:', error)
+      toast.error('Failed to load gift codes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchBatchCodes = async (batch) => {
+    const { data, error } = await supabase
+      .from('gift_codes')
+      .select(GIFT_CODE_SELECT)
+      .eq('batch_id', batch.id)
+      .order('created_at', { ascending: true })
+
+    if (error) throw error
+    return data || []
+  }
+
+  const openBatch = async (batch) => {
+    setViewBatch(batch)
+    setBatchCodes([])
+    setLoadingCodes(true)
+    try {
+      setBatchCodes(await fetchBatchCodes(batch))
+    } catch (error) {
+      console.error('Error fetching batch codes:', error)
+      toast.error('Failed to load codes')
+    } finally {
+      setLoadingCodes(false)
+    }
+  }
+
+  const downloadCsv = (giftCodes, filename) => {
+    const blob = new Blob([giftCodesToCsv(giftCodes)], { type: 'text/csv' })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    window.URL.revokeObjectURL(url)
+  }
+
+  const exportBatch = async (batch) => {
+    try {
+      const giftCodes = await fetchBatchCodes(batch)
+      const slug = batch.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      downloadCsv(giftCodes, `gift-codes-${slug || batch.id.slice(0, 8)}.csv`)
+      toast.success('Gift codes exported')
+    } catch (error) {
+      console.error('Error exporting gift codes:', error)
+      toast.error('Failed to export gift codes')
+    }
+  }
+
+  const closeModal = () => {
+    setModalOpen(false)
+    setFormData(emptyForm)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!formData.itemId) {
+      toast.error(`Choose a ${formData.itemType}`)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const response = await axios.post('/api/gifts/batches', {
+        adminId: user.id,
+        label: formData.label,
+        ...(formData.itemType === 'bundle' ? { bundleId: formData.itemId } : { courseId: formData.itemId }),
+        quantity: parseInt(formData.quantity),
+        expiresAt: formData.expires_at ? new Date(formData.expires_at).toISOString() : undefined
+      })
+
+      toast.success(response.data.message)
+      closeModal()
+      fetchData()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate gift codes')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const formatDate = (date) => date ? new Date(date).toLocaleDateString() : '—'
+  const itemTitle = (row) => row.courses?.title || (row.bundles && `${row.bundles.title} (bundle)`) || 'Unknown'
+
+  if (!user) return null
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              Gift Codes
+            </h1>
+            <p className="text-gray-400">
+              Prepaid codes for schools and classes, and courses bought as gifts
+            </p>
+          </div>
+          <button
+            onClick={() => setModalOpen(true)}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <FiPlus className="w-5 h-5" />
+            <span>Generate Codes</span>
+          </button>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex space-x-2 mb-6">
+          {[
+            { id: 'batches', label: 'Prepaid Batches' },
+            { id: 'gifts', label: 'Gift Purchases' }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={activeTab === tab.id ? 'btn-primary' : 'btn-ghost'}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : activeTab === 'batches' ? (
+            batches.length === 0 ? (
+              <div className="text-center py-12">
+                <FiGift className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-semibold text-white mb-2">No prepaid codes yet</h3>
+                <p className="text-gray-400">Generate a batch of codes to hand out to a school or class.</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table-auto">
+                  <thead>
+                    <tr>
+                      <th>Batch</th>
+                      <th>Item</th>
+                      <th>Redeemed</th>
+                      <th>Expires</th>
+                      <th>Created</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batches.map(batch => (
+                      <tr key={batch.id}>
+                        <td className="text-white font-medium">{batch.label}</td>
+                        <td className="text-gray-300 text-sm">{itemTitle(batch)}</td>
+                        <td className="text-gray-300">
+                          {redeemedCounts[batch.id] || 0} / {batch.quantity}
+                        </td>
+                        <td className="text-gray-400 text-sm">{batch.expires_at ? formatDate(batch.expires_at) : 'Never'}</td>
+                        <td className="text-gray-400 text-sm">{formatDate(batch.created_at)}</td>
+                        <td>
+                          <div className="flex items-center space-x-2">
+                            <button
+                              onClick={() => openBatch(batch)}
+                              className="text-blue-400 hover:text-blue-300"
+                              title="View codes"
+                            >
+                              <FiEye className="w-5 h-5" />
+                            </button>
+                            <button
+                              onClick={() => exportBatch(batch)}
+                              className="text-green-400 hover:text-green-300"
+                              title="Export CSV"
+                            >
+                              <FiDownload className="w-5 h-5" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          ) : giftPurchases.length === 0 ? (
+            <div className="text-center py-12">
+              <FiGift className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-white mb-2">No gifts yet</h3>
+              <p className="text-gray-400">Codes for courses bought as gifts will appear here.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Item</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Status</th>
+                    <th>Redeemed By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {giftPurchases.map(giftCode => (
+                    <tr key={giftCode.id}>
+                      <td className="font-mono text-white text-sm">{giftCode.code}</td>
+                      <td className="text-gray-300 text-sm">{itemTitle(giftCode)}</td>
+                      <td className="text-gray-300 text-sm">
+                        {giftCode.purchaser?.name || 'Unknown'}
+                        <div className="text-xs text-gray-500">{giftCode.purchaser?.email}</div>
+                      </td>
+                      <td className="text-gray-300 text-sm">
+                        {giftCode.recipient_name || '—'}
+                        <div className="text-xs text-gray-500">{giftCode.recipient_email}</div>
+                      </td>
+                      <td>
+                        <span className={`badge ${STATUS_BADGES[giftCode.status]}`}>{giftCode.status}</span>
+                      </td>
+                      <td className="text-gray-400 text-sm">
+                        {giftCode.redeemer ? (
+                          <>
+                            {giftCode.redeemer.email}
+                            <div className="text-xs text-gray-500">{formatDate(giftCode.redeemed_at)}</div>
+                          </>
+                        ) : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Generate Codes Modal */}
+        {modalOpen && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={closeModal}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <h2 className="text-xl font-bold text-white">Generate Prepaid Codes</h2>
+                  <button onClick={closeModal} className="text-gray-400 hover:text-white">
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Label</label>
+                    <input
+                      type="text"
+                      value={formData.label}
+                      onChange={(e) => setFormData({ ...formData, label: e.target.value })}
+                      className="input"
+                      placeholder="e.g. Royal College Grade 11"
+                      required
+                    />
+                  </div>
+                  <div className="grid grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Type</label>
+                      <select
+                        value={formData.itemType}
+                        onChange={(e) => setFormData({ ...formData, itemType: e.target.value, itemId: '' })}
+                        className="input"
+                      >
+                        <option value="course">Course</option>
+                        <option value="bundle">Bundle</option>
+                      </select>
+                    </div>
+                    <div className="col-span-2">
+                      <label className="block text-sm font-medium text-gray-400 mb-2">
+                        {formData.itemType === 'bundle' ? 'Bundle' : 'Course'}
+                      </label>
+                      <select
+                        value={formData.itemId}
+                        onChange={(e) => setFormData({ ...formData, itemId: e.target.value })}
+                        className="input"
+                        required
+                      >
+                        <option value="">Select...</option>
+                        {(formData.itemType === 'bundle' ? bundles : courses).map(item => (
+                          <option key={item.id} value={item.id}>{item.title}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Quantity</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="1000"
+                        value={formData.quantity}
+                        onChange={(e) => setFormData({ ...formData, quantity: e.target.value })}
+                        className="input"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-400 mb-2">Expires</label>
+                      <input
+                        type="date"
+                        value={formData.expires_at}
+                        onChange={(e) => setFormData({ ...formData, expires_at: e.target.value })}
+                        className="input"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex space-x-3 pt-4 border-t border-dark-600">
+                    <button type="button" onClick={closeModal} className="flex-1 btn-secondary">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={saving} className="flex-1 btn-primary">
+                      {saving ? 'Generating...' : 'Generate Codes'}
+                    </button>
+                  </div>
+                </form>
+              </motion.div>
+            </div>
+          </>
+        )}
+
+        {/* Batch Codes Modal */}
+        {viewBatch && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={() => setViewBatch(null)}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <div>
+                    <h2 className="text-xl font-bold text-white">{viewBatch.label}</h2>
+                    <p className="text-sm text-gray-400">{itemTitle(viewBatch)}</p>
+                  </div>
+                  <button onClick={() => setViewBatch(null)} className="text-gray-400 hover:text-white">
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <div className="p-6">
+                  {loadingCodes ? (
+                    <div className="flex justify-center py-12">
+                      <div className="spinner"></div>
+                    </div>
+                  ) : (
+                    <table className="table-auto">
+                      <thead>
+                        <tr>
+                          <th>Code</th>
+                          <th>Status</th>
+                          <th>Redeemed By</th>
+                          <th>Redeemed</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {batchCodes.map(giftCode => (
+                          <tr key={giftCode.id}>
+                            <td className="font-mono text-white text-sm">{giftCode.code}</td>
+                            <td>
+                              <span className={`badge ${STATUS_BADGES[giftCode.status]}`}>{giftCode.status}</span>
+                            </td>
+                            <td className="text-gray-300 text-sm">{giftCode.redeemer?.email || '—'}</td>
+                            <td className="text-gray-400 text-sm">{formatDate(giftCode.redeemed_at)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </motion.div>
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
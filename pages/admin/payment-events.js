@@ -0,0 +1,472 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import { FiActivity, FiRefreshCw, FiEye, FiX, FiSearch, FiAlertTriangle } from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import toast from 'react-hot-toast'
+
+const PAGE_SIZE = 100
+
+export default function AdminPaymentEvents({ user }) {
+  const router = useRouter()
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [providerFilter, setProviderFilter] = useState('all')
+  const [statusFilter, setStatusFilter] = useState('all')
+  const [searchTerm, setSearchTerm] = useState('')
+  const [selectedEvent, setSelectedEvent] = useState(null)
+  const [replayingId, setReplayingId] = useState(null)
+  const [fulfillments, setFulfillments] = useState([])
+  const [retryingId, setRetryingId] = useState(null)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user])
+
+  useEffect(() => {
+    if (!loading) fetchEvents()
+  }, [providerFilter, statusFilter])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchEvents()
+    fetchFulfillments()
+  }
+
+  // Paid payments where granting, invoicing or emailing still needs a retry
+  const fetchFulfillments = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('payment_fulfillments')
+        .select(`
+          *,
+          payments (
+            amount,
+            method,
+            profiles (name, email),
+            courses (title),
+            bundles (title)
+          )
+        `)
+        .eq('status', 'partial')
+        .order('updated_at', { ascending: false })
+
+      if (error) throw error
+
+      setFulfillments(data || [])
+    } catch (error) {
+      console.error('Error fetching fulfillments:', error)
+      toast.error('Failed to load incomplete fulfillments')
+    }
+  }
+
+  const handleRetryFulfillment = async (fulfillment) => {
+    setRetryingId(fulfillment.id)
+    try {
+      const response = await fetch('/api/payments/fulfillments/retry', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ paymentId: fulfillment.payment_id, adminId: user.id })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.message)
+
+      if (result.success) {
+        toast.success(result.message)
+        setFulfillments(prev => prev.filter(f => f.id !== fulfillment.id))
+      } else {
+        toast.error(result.message)
+        setFulfillments(prev => prev.map(f => (f.id === fulfillment.id ? { ...f, ...result.fulfillment } : f)))
+      }
+    } catch (error) {
+      console.error('Error retrying fulfillment:', error)
+      toast.error(error.message || 'Failed to retry fulfillment')
+    } finally {
+      setRetryingId(null)
+    }
+  }
+
+  const fetchEvents = async () => {
+    try {
+      let query = supabase
+        .from('payment_events')
+        .select('*')
+        .order('received_at', { ascending: false })
+        .limit(PAGE_SIZE)
+
+      if (providerFilter !== 'all') query = query.eq('provider', providerFilter)
+      if (statusFilter !== 'all') query = query.eq('status', statusFilter)
+
+      const { data, error } = await query
+      if (error) throw error
+
+      setEvents(data || [])
+    } catch (error) {
+      console.error('Error fetching payment events:', error)
+      toast.error('Failed to load payment events')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleReplay = async (event) => {
+    if (!confirm(`Replay ${event.provider} event ${event.event_id}?`)) return
+
+    setReplayingId(event.id)
+    try {
+      const response = await fetch('/api/payments/events/replay', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ eventId: event.id, adminId: user.id })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.message)
+
+      if (result.success) {
+        toast.success(result.message)
+      } else {
+        toast.error(result.message)
+      }
+
+      setEvents(prev => prev.map(e => (e.id === result.event.id ? result.event : e)))
+      if (selectedEvent?.id === result.event.id) setSelectedEvent(result.event)
+    } catch (error) {
+      console.error('Error replaying event:', error)
+      toast.error(error.message || 'Failed to replay event')
+    } finally {
+      setReplayingId(null)
+    }
+  }
+
+  const getStatusBadge = (status) => {
+    const badges = {
+      received: 'badge-warning',
+      processed: 'badge-success',
+      failed: 'badge-danger',
+      ignored: 'badge-primary'
+    }
+    return badges[status] || 'badge-primary'
+  }
+
+  const formatDate = (date) => {
+    return date ? new Date(date).toLocaleString() : '—'
+  }
+
+  const filteredEvents = searchTerm
+    ? events.filter(event =>
+        event.event_id?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        event.payment_id?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        event.event_type?.toLowerCase().includes(searchTerm.toLowerCase())
+      )
+    : events
+
+  if (!user) return null
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              Payment Events
+            </h1>
+            <p className="text-gray-400">
+              Webhook deliveries from Stripe and PayHere and how they were handled
+            </p>
+          </div>
+          <button
+            onClick={() => {
+              fetchEvents()
+              fetchFulfillments()
+            }}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <FiRefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {/* Incomplete Fulfillments */}
+        {fulfillments.length > 0 && (
+          <div className="card mb-6">
+            <div className="flex items-center space-x-2 mb-4">
+              <FiAlertTriangle className="w-5 h-5 text-yellow-400" />
+              <h2 className="text-lg font-semibold text-white">Incomplete Fulfillments</h2>
+            </div>
+            <p className="text-sm text-gray-400 mb-4">
+              These payments went through but a fulfillment step failed. Retrying only re-runs the failed steps.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Student</th>
+                    <th>Item</th>
+                    <th>Source</th>
+                    <th>Steps</th>
+                    <th>Attempts</th>
+                    <th>Last Error</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {fulfillments.map((fulfillment) => (
+                    <tr key={fulfillment.id}>
+                      <td>
+                        <div className="text-white text-sm">{fulfillment.payments?.profiles?.name || '—'}</div>
+                        <div className="text-xs text-gray-500">{fulfillment.payments?.profiles?.email}</div>
+                      </td>
+                      <td className="text-gray-300 text-sm">
+                        {fulfillment.payments?.courses?.title || fulfillment.payments?.bundles?.title || '—'}
+                      </td>
+                      <td className="text-gray-400 text-sm">{fulfillment.source}</td>
+                      <td>
+                        <div className="flex flex-wrap gap-1">
+                          {['access', 'invoice', 'email'].map(step => (
+                            <span
+                              key={step}
+                              className={`badge ${fulfillment[`${step}_status`] === 'failed' ? 'badge-danger' : fulfillment[`${step}_status`] === 'done' ? 'badge-success' : 'badge-warning'}`}
+                            >
+                              {step}: {fulfillment[`${step}_status`]}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="text-gray-300">{fulfillment.attempts || 0}</td>
+                      <td className="text-sm text-red-400 max-w-xs truncate">
+                        {Object.values(fulfillment.errors || {}).join('; ')}
+                      </td>
+                      <td>
+                        <button
+                          onClick={() => handleRetryFulfillment(fulfillment)}
+                          disabled={retryingId === fulfillment.id}
+                          className="text-yellow-400 hover:text-yellow-300 disabled:opacity-50"
+                          title="Retry failed steps"
+                        >
+                          <FiRefreshCw className={`w-5 h-5 ${retryingId === fulfillment.id ? 'animate-spin' : ''}`} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Filters */}
+        <div className="card mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">
+                Search
+              </label>
+              <div className="relative">
+                <FiSearch className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Event ID, payment ID or type..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  className="input pl-10"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">
+                Provider
+              </label>
+              <select
+                value={providerFilter}
+                onChange={(e) => setProviderFilter(e.target.value)}
+                className="input"
+              >
+                <option value="all">All Providers</option>
+                <option value="stripe">Stripe</option>
+                <option value="payhere">PayHere</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-400 mb-2">
+                Status
+              </label>
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="input"
+              >
+                <option value="all">All Status</option>
+                <option value="processed">Processed</option>
+                <option value="failed">Failed</option>
+                <option value="received">Received</option>
+                <option value="ignored">Ignored</option>
+              </select>
+            </div>
+          </div>
+        </div>
+
+        {/* Events Table */}
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : filteredEvents.length === 0 ? (
+            <div className="text-center py-12">
+              <FiActivity className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-white mb-2">No events found</h3>
+              <p className="text-gray-400">No payment events match your current filters.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Received</th>
+                    <th>Provider</th>
+                    <th>Event</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Result</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredEvents.map((event) => (
+                    <tr key={event.id}>
+                      <td className="text-gray-400 text-sm">{formatDate(event.received_at)}</td>
+                      <td className="text-gray-300 capitalize">{event.provider}</td>
+                      <td>
+                        <div className="text-white text-sm">{event.event_type}</div>
+                        <div className="text-xs text-gray-500 font-mono">{event.event_id}</div>
+                      </td>
+                      <td>
+                        <span className={`badge ${getStatusBadge(event.status)}`}>{event.status}</span>
+                      </td>
+                      <td className="text-gray-300">{event.attempts || 0}</td>
+                      <td className="text-sm max-w-xs truncate">
+                        {event.error
+                          ? <span className="text-red-400">{event.error}</span>
+                          : <span className="text-gray-400">{event.result_message}</span>}
+                      </td>
+                      <td>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => setSelectedEvent(event)}
+                            className="text-blue-400 hover:text-blue-300"
+                            title="View payload"
+                          >
+                            <FiEye className="w-5 h-5" />
+                          </button>
+                          <button
+                            onClick={() => handleReplay(event)}
+                            disabled={replayingId === event.id}
+                            className="text-yellow-400 hover:text-yellow-300 disabled:opacity-50"
+                            title="Replay"
+                          >
+                            <FiRefreshCw className={`w-5 h-5 ${replayingId === event.id ? 'animate-spin' : ''}`} />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Event Details Modal */}
+        {selectedEvent && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={() => setSelectedEvent(null)}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-3xl w-full max-h-[90vh] flex flex-col"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <div>
+                    <h2 className="text-xl font-bold text-white">{selectedEvent.event_type}</h2>
+                    <p className="text-sm text-gray-400 font-mono">{selectedEvent.event_id}</p>
+                  </div>
+                  <button
+                    onClick={() => setSelectedEvent(null)}
+                    className="text-gray-400 hover:text-white"
+                  >
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <div className="p-6 overflow-y-auto space-y-4">
+                  <div className="grid grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <span className="text-gray-400">Status:</span>
+                      <span className={`ml-2 badge ${getStatusBadge(selectedEvent.status)}`}>
+                        {selectedEvent.status}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-gray-400">Payment:</span>
+                      <span className="text-white ml-2 font-mono">{selectedEvent.payment_id || '—'}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-400">Received:</span>
+                      <span className="text-white ml-2">{formatDate(selectedEvent.received_at)}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-400">Last processed:</span>
+                      <span className="text-white ml-2">{formatDate(selectedEvent.processed_at)}</span>
+                    </div>
+                  </div>
+
+                  {selectedEvent.error && (
+                    <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400 text-sm">
+                      {selectedEvent.error}
+                    </div>
+                  )}
+
+                  <pre className="p-4 bg-dark-900 rounded-lg text-xs text-gray-300 overflow-x-auto">
+                    {JSON.stringify(selectedEvent.payload, null, 2)}
+                  </pre>
+                </div>
+
+                <div className="flex justify-end p-6 border-t border-dark-600">
+                  <button
+                    onClick={() => handleReplay(selectedEvent)}
+                    disabled={replayingId === selectedEvent.id}
+                    className="btn-primary flex items-center space-x-2"
+                  >
+                    <FiRefreshCw className="w-4 h-4" />
+                    <span>{replayingId === selectedEvent.id ? 'Replaying...' : 'Replay Event'}</span>
+                  </button>
+                </div>
+              </motion.div>
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
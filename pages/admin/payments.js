@@ -4,12 +4,17 @@ import { motion } from 'framer-motion'
 import {
   FiCheck, FiX, FiEye, FiDownload, FiFilter,
   FiSearch, FiDollarSign, FiClock, FiCheckCircle,
-  FiAlertCircle, FiXCircle, FiMoreVertical
+  FiAlertCircle, FiXCircle, FiMoreVertical, FiFileText, FiRotateCcw, FiFileMinus
 } from 'react-icons/fi'
 import { FaWhatsapp } from 'react-icons/fa'
 import { supabase, isAdmin } from '../../lib/supabase'
 import AdminLayout from '../../components/admin/AdminLayout'
+import BankTransferReview from '../../components/admin/BankTransferReview'
+import BankStatementMatching from '../../components/admin/BankStatementMatching'
+import RefundReview from '../../components/admin/RefundReview'
+import AccountingExport from '../../components/admin/AccountingExport'
 import toast from 'react-hot-toast'
+import { getOrderTitle } from '../../utils/cart'
 
 export default function AdminPayments({ user }) {
   const router = useRouter()
@@ -21,6 +26,9 @@ export default function AdminPayments({ user }) {
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [methodFilter, setMethodFilter] = useState('all')
+  const [reviewPayment, setReviewPayment] = useState(null)
+  const [refundRequests, setRefundRequests] = useState([])
+  const [reviewRefund, setReviewRefund] = useState(null)
   
   useEffect(() => {
     checkAdminAccess()
@@ -44,8 +52,43 @@ export default function AdminPayments({ user }) {
     }
     
     fetchPayments()
+    fetchRefundRequests()
   }
   
+  const fetchRefundRequests = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('refund_requests')
+        .select(`
+          *,
+          profiles (
+            name,
+            email
+          ),
+          courses (
+            title
+          ),
+          payments (
+            method,
+            payment_method,
+            amount,
+            bundle_id,
+            order_items,
+            bundles (
+              title
+            )
+          )
+        `)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: true })
+
+      if (error) throw error
+      setRefundRequests(data || [])
+    } catch (error) {
+      console.error('Error fetching refund requests:', error)
+    }
+  }
+
   const fetchPayments = async () => {
     try {
       // First try with joins
@@ -60,6 +103,16 @@ export default function AdminPayments({ user }) {
           courses (
             title,
             price
+          ),
+          bundles (
+            title
+          ),
+          installments (
+            installment_number,
+            installment_schedules (
+              installment_count,
+              status
+            )
           )
         `)
         .order('created_at', { ascending: false })
@@ -85,6 +138,14 @@ export default function AdminPayments({ user }) {
     }
   }
   
+  const getPaymentMethod = (payment) => payment.method || payment.payment_method
+
+  const isBankTransfer = (payment) => ['bank_transfer', 'bank'].includes(getPaymentMethod(payment))
+
+  const bankReviewQueue = payments
+    .filter(payment => payment.status === 'pending' && isBankTransfer(payment))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
   const filterPayments = () => {
     let filtered = payments
     
@@ -94,7 +155,9 @@ export default function AdminPayments({ user }) {
         payment.profiles?.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         payment.profiles?.email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
         payment.courses?.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        payment.order_id?.toLowerCase().includes(searchTerm.toLowerCase())
+        payment.bundles?.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        payment.order_id?.toLowerCase().includes(searchTerm.toLowerCase()) ||
+        payment.transfer_reference?.toLowerCase().includes(searchTerm.toLowerCase())
       )
     }
     
@@ -105,7 +168,7 @@ export default function AdminPayments({ user }) {
     
     // Method filter  
     if (methodFilter !== 'all') {
-      filtered = filtered.filter(payment => payment.payment_method === methodFilter)
+      filtered = filtered.filter(payment => getPaymentMethod(payment) === methodFilter)
     }
     
     setFilteredPayments(filtered)
@@ -148,7 +211,23 @@ export default function AdminPayments({ user }) {
       toast.error('Failed to reject payment')
     }
   }
-  
+
+  // Invoices are stored privately; the API hands back a short-lived link
+  const handleDownloadDocument = async (payment, type) => {
+    try {
+      const response = await fetch(
+        `/api/invoice/generate?paymentId=${payment.id}&type=${type}&adminId=${user.id}`
+      )
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.error)
+      window.open(result.url, '_blank')
+    } catch (error) {
+      console.error('Error downloading document:', error)
+      toast.error(error.message || 'Failed to download document')
+    }
+  }
+
   const formatCurrency = (amount) => {
     return `LKR ${(amount).toLocaleString('en-US', {
       minimumFractionDigits: 0,
@@ -176,6 +255,8 @@ export default function AdminPayments({ user }) {
         return <FiXCircle className="w-5 h-5 text-red-400" />
       case 'failed':
         return <FiAlertCircle className="w-5 h-5 text-red-400" />
+      case 'refunded':
+        return <FiRotateCcw className="w-5 h-5 text-blue-400" />
       default:
         return <FiClock className="w-5 h-5 text-gray-400" />
     }
@@ -186,11 +267,21 @@ export default function AdminPayments({ user }) {
       pending: 'badge-warning',
       approved: 'badge-success',
       rejected: 'badge-danger',
-      failed: 'badge-danger'
+      failed: 'badge-danger',
+      refunded: 'badge-primary'
     }
     return badges[status] || 'badge-primary'
   }
 
+  const getScheduleBadge = (status) => {
+    const badges = {
+      active: 'badge-success',
+      completed: 'badge-success',
+      suspended: 'badge-danger'
+    }
+    return badges[status] || 'badge-warning'
+  }
+
   if (!user) return null
 
   return (
@@ -208,6 +299,94 @@ export default function AdminPayments({ user }) {
           </div>
         </div>
 
+        {/* Accounting Export */}
+        <AccountingExport adminId={user.id} />
+
+        {/* Bank Statement Matching */}
+        <BankStatementMatching
+          adminId={user.id}
+          onProcessed={fetchPayments}
+          onReview={setReviewPayment}
+        />
+
+        {/* Bank Transfer Review Queue */}
+        {bankReviewQueue.length > 0 && (
+          <div className="card mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-white">
+                Bank Transfers Awaiting Review
+              </h2>
+              <span className="badge badge-warning">{bankReviewQueue.length} pending</span>
+            </div>
+            <div className="space-y-3">
+              {bankReviewQueue.map((payment) => (
+                <div
+                  key={payment.id}
+                  className="flex items-center justify-between p-4 rounded-lg bg-dark-700/50"
+                >
+                  <div>
+                    <div className="font-medium text-white">
+                      {payment.profiles?.name || 'Unknown'}
+                      <span className="text-gray-400 font-normal"> — {payment.courses?.title || payment.bundles?.title || 'N/A'}</span>
+                    </div>
+                    <div className="text-xs text-gray-500 font-mono">
+                      {payment.transfer_reference || payment.id} · submitted {formatDate(payment.created_at)}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <span className="font-mono text-green-400">{formatCurrency(payment.amount)}</span>
+                    <button
+                      onClick={() => setReviewPayment(payment)}
+                      className="btn-primary"
+                    >
+                      Review
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Refund Requests */}
+        {refundRequests.length > 0 && (
+          <div className="card mb-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-white">
+                Refund Requests
+              </h2>
+              <span className="badge badge-warning">{refundRequests.length} pending</span>
+            </div>
+            <div className="space-y-3">
+              {refundRequests.map((refundRequest) => (
+                <div
+                  key={refundRequest.id}
+                  className="flex items-center justify-between p-4 rounded-lg bg-dark-700/50"
+                >
+                  <div>
+                    <div className="font-medium text-white">
+                      {refundRequest.profiles?.name || 'Unknown'}
+                      <span className="text-gray-400 font-normal"> — {refundRequest.courses?.title || 'N/A'}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {refundRequest.progress_percentage || 0}% complete · requested {formatDate(refundRequest.created_at)}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <span className="font-mono text-green-400">{formatCurrency(refundRequest.amount)}</span>
+                    <button
+                      onClick={() => setReviewRefund(refundRequest)}
+                      className="btn-primary"
+                    >
+                      Review
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Filters */}
         <div className="card mb-6">
           <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -241,6 +420,7 @@ export default function AdminPayments({ user }) {
                 <option value="approved">Approved</option>
                 <option value="rejected">Rejected</option>
                 <option value="failed">Failed</option>
+                <option value="refunded">Refunded</option>
               </select>
             </div>
             
@@ -315,27 +495,50 @@ export default function AdminPayments({ user }) {
                         </div>
                       </td>
                       <td className="text-gray-300">
-                        {payment.courses?.title || 'N/A'}
+                        {payment.courses?.title || (payment.bundles && `${payment.bundles.title} (bundle)`) || (payment.order_items && `${getOrderTitle(payment.order_items)} (cart)`) || 'N/A'}
+                        {payment.installments && (
+                          <div className="flex items-center space-x-2 mt-1 text-xs text-gray-500">
+                            <span>
+                              Installment {payment.installments.installment_number}/{payment.installments.installment_schedules?.installment_count}
+                            </span>
+                            <span className={`badge ${getScheduleBadge(payment.installments.installment_schedules?.status)}`}>
+                              {payment.installments.installment_schedules?.status}
+                            </span>
+                          </div>
+                        )}
                       </td>
                       <td className="font-mono text-green-400">
                         {formatCurrency(payment.amount)}
                       </td>
                       <td>
                         <span className="text-gray-300 capitalize">
-                          {payment.payment_method?.replace('_', ' ')}
+                          {getPaymentMethod(payment)?.replace('_', ' ')}
                         </span>
                       </td>
                       <td>
                         <span className={`badge ${getStatusBadge(payment.status)}`}>
                           {payment.status}
                         </span>
+                        {payment.dispute_status === 'open' && (
+                          <span className="ml-2 badge badge-danger">disputed</span>
+                        )}
                       </td>
                       <td className="text-gray-400 text-sm">
                         {formatDate(payment.created_at)}
                       </td>
                       <td>
                         <div className="flex items-center space-x-2">
-                          {payment.status === 'pending' && (
+                          {payment.status === 'pending' && isBankTransfer(payment) && (
+                            <button
+                              onClick={() => setReviewPayment(payment)}
+                              className="text-yellow-400 hover:text-yellow-300"
+                              title="Review Receipt"
+                            >
+                              <FiFileText className="w-5 h-5" />
+                            </button>
+                          )}
+
+                          {payment.status === 'pending' && !isBankTransfer(payment) && (
                             <>
                               <button
                                 onClick={() => handleApprovePayment(payment.id)}
@@ -354,14 +557,24 @@ export default function AdminPayments({ user }) {
                             </>
                           )}
                           
-                          {payment.status === 'approved' && (
-                            <a
-                              href={`/api/invoice/generate?paymentId=${payment.id}`}
+                          {['approved', 'refunded'].includes(payment.status) && (
+                            <button
+                              onClick={() => handleDownloadDocument(payment, 'invoice')}
                               className="text-blue-400 hover:text-blue-300"
                               title="Download Invoice"
                             >
                               <FiDownload className="w-5 h-5" />
-                            </a>
+                            </button>
+                          )}
+
+                          {payment.status === 'refunded' && (
+                            <button
+                              onClick={() => handleDownloadDocument(payment, 'credit_note')}
+                              className="text-purple-400 hover:text-purple-300"
+                              title="Download Credit Note"
+                            >
+                              <FiFileMinus className="w-5 h-5" />
+                            </button>
                           )}
                           
                           <button
@@ -416,20 +629,82 @@ export default function AdminPayments({ user }) {
                           <span className="text-gray-400">Order ID:</span>
                           <span className="text-white ml-2 font-mono">{selectedPayment.order_id}</span>
                         </div>
+                        {selectedPayment.transfer_reference && (
+                          <div>
+                            <span className="text-gray-400">Transfer Ref:</span>
+                            <span className="text-white ml-2 font-mono">{selectedPayment.transfer_reference}</span>
+                          </div>
+                        )}
                         <div>
                           <span className="text-gray-400">Amount:</span>
                           <span className="text-white ml-2">{formatCurrency(selectedPayment.amount)}</span>
                         </div>
+                        {selectedPayment.coupon_code && (
+                          <div>
+                            <span className="text-gray-400">Coupon:</span>
+                            <span className="text-white ml-2 font-mono">{selectedPayment.coupon_code}</span>
+                            <span className="text-green-400 ml-2">
+                              (-{formatCurrency(selectedPayment.discount_amount || 0)} from {formatCurrency(selectedPayment.original_amount || 0)})
+                            </span>
+                          </div>
+                        )}
+                        {selectedPayment.charged_currency && selectedPayment.charged_currency !== selectedPayment.currency && (
+                          <div>
+                            <span className="text-gray-400">Charged:</span>
+                            <span className="text-white ml-2">
+                              {selectedPayment.charged_currency} {Number(selectedPayment.charged_amount).toFixed(2)}
+                            </span>
+                            <span className="text-gray-400 ml-2">
+                              {selectedPayment.exchange_rate_snapshot
+                                ? `(1 ${selectedPayment.exchange_rate_snapshot.base_currency} = ${selectedPayment.exchange_rate_snapshot.rate} ${selectedPayment.exchange_rate_snapshot.quote_currency})`
+                                : '(listed price)'}
+                            </span>
+                          </div>
+                        )}
                         <div>
                           <span className="text-gray-400">Method:</span>
-                          <span className="text-white ml-2 capitalize">{selectedPayment.payment_method?.replace('_', ' ')}</span>
+                          <span className="text-white ml-2 capitalize">{getPaymentMethod(selectedPayment)?.replace('_', ' ')}</span>
                         </div>
+                        {selectedPayment.installments && (
+                          <div>
+                            <span className="text-gray-400">Installment:</span>
+                            <span className="text-white ml-2">
+                              {selectedPayment.installments.installment_number} of {selectedPayment.installments.installment_schedules?.installment_count}
+                            </span>
+                            <span className={`ml-2 badge ${getScheduleBadge(selectedPayment.installments.installment_schedules?.status)}`}>
+                              plan {selectedPayment.installments.installment_schedules?.status}
+                            </span>
+                          </div>
+                        )}
                         <div>
                           <span className="text-gray-400">Status:</span>
                           <span className={`ml-2 badge ${getStatusBadge(selectedPayment.status)}`}>
                             {selectedPayment.status}
                           </span>
                         </div>
+                        {selectedPayment.dispute_status && (
+                          <div>
+                            <span className="text-gray-400">Dispute:</span>
+                            <span className={`ml-2 badge ${selectedPayment.dispute_status === 'open' ? 'badge-danger' : 'badge-primary'}`}>
+                              {selectedPayment.dispute_status}
+                            </span>
+                          </div>
+                        )}
+                        {selectedPayment.refunded_at && (
+                          <div>
+                            <span className="text-gray-400">Refunded:</span>
+                            <span className="text-white ml-2">{formatDate(selectedPayment.refunded_at)}</span>
+                            {selectedPayment.refund_reference && (
+                              <div className="text-xs text-gray-500 font-mono">{selectedPayment.refund_reference}</div>
+                            )}
+                          </div>
+                        )}
+                        {selectedPayment.rejection_reason && (
+                          <div>
+                            <span className="text-gray-400">Rejection reason:</span>
+                            <p className="text-white mt-1">{selectedPayment.rejection_reason}</p>
+                          </div>
+                        )}
                       </div>
                     </div>
                     
@@ -449,8 +724,8 @@ export default function AdminPayments({ user }) {
                           <span className="text-white ml-2">{selectedPayment.profiles?.phone || 'N/A'}</span>
                         </div> */}
                         <div>
-                          <span className="text-gray-400">Course:</span>
-                          <span className="text-white ml-2">{selectedPayment.courses?.title}</span>
+                          <span className="text-gray-400">{selectedPayment.bundle_id ? 'Bundle:' : 'Course:'}</span>
+                          <span className="text-white ml-2">{selectedPayment.courses?.title || selectedPayment.bundles?.title || getOrderTitle(selectedPayment.order_items)}</span>
                         </div>
                       </div>
                     </div>
@@ -465,7 +740,19 @@ export default function AdminPayments({ user }) {
                         )}
                       </div>
                       
-                      {selectedPayment.status === 'pending' && (
+                      {selectedPayment.status === 'pending' && isBankTransfer(selectedPayment) && (
+                        <button
+                          onClick={() => {
+                            setReviewPayment(selectedPayment)
+                            setDetailsModalOpen(false)
+                          }}
+                          className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700"
+                        >
+                          Review Receipt
+                        </button>
+                      )}
+
+                      {selectedPayment.status === 'pending' && !isBankTransfer(selectedPayment) && (
                         <div className="flex space-x-3">
                           <button
                             onClick={() => {
@@ -494,6 +781,31 @@ export default function AdminPayments({ user }) {
             </div>
           </>
         )}
+
+        {reviewPayment && (
+          <BankTransferReview
+            payment={reviewPayment}
+            adminId={user.id}
+            onClose={() => setReviewPayment(null)}
+            onProcessed={() => {
+              setReviewPayment(null)
+              fetchPayments()
+            }}
+          />
+        )}
+
+        {reviewRefund && (
+          <RefundReview
+            refundRequest={reviewRefund}
+            adminId={user.id}
+            onClose={() => setReviewRefund(null)}
+            onProcessed={() => {
+              setReviewRefund(null)
+              fetchPayments()
+              fetchRefundRequests()
+            }}
+          />
+        )}
       </div>
     </AdminLayout>
   )
@@ -0,0 +1,588 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import {
+  FiPlus, FiEdit, FiTrash2, FiX, FiShuffle, FiPrinter
+} from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import MathText from '../../components/ui/MathText'
+import { generateProblem, getTemplateError, normalizeTemplate } from '../../utils/problems'
+import { PROBLEM_TEMPLATES, QUIZ } from '../../utils/constants'
+import toast from 'react-hot-toast'
+
+const makeKey = () => Math.random().toString(36).slice(2, 10)
+
+const emptyVariable = (name = '') => ({ key: makeKey(), name, kind: 'range', min: '1', max: '10', step: '1', choices: '' })
+
+const emptyForm = {
+  title: '',
+  prompt: '',
+  variables: [emptyVariable('a')],
+  constraints: '',
+  answer: { expression: '', tolerance: 0, unit: '', requireUnit: true, requireSimplified: false, partialCredit: 0.5 },
+  solution: ''
+}
+
+const randomSeed = () => Math.floor(Math.random() * 1000000)
+
+// The form as a template in its stored shape
+const toTemplate = (formData) => normalizeTemplate({
+  ...formData,
+  variables: formData.variables.map(variable => (variable.kind === 'choices'
+    ? { name: variable.name, choices: variable.choices.split(',').map(choice => choice.trim()).filter(Boolean) }
+    : { name: variable.name, min: variable.min, max: variable.max, step: variable.step })),
+  constraints: formData.constraints.split('\n')
+})
+
+export default function AdminProblems({ user }) {
+  const router = useRouter()
+  const [templates, setTemplates] = useState([])
+  const [usage, setUsage] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [modalOpen, setModalOpen] = useState(false)
+  const [editingTemplate, setEditingTemplate] = useState(null)
+  const [formData, setFormData] = useState(emptyForm)
+  const [previewSeed, setPreviewSeed] = useState(randomSeed)
+  const [saving, setSaving] = useState(false)
+  const [selected, setSelected] = useState([])
+  const [copies, setCopies] = useState(1)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchData()
+  }
+
+  const fetchData = async () => {
+    try {
+      const [templatesResult, questionsResult] = await Promise.all([
+        supabase
+          .from('problem_templates')
+          .select('*')
+          .order('title', { ascending: true }),
+        supabase
+          .from('quiz_questions')
+          .select('answer')
+          .eq('type', QUIZ.QUESTION_TYPES.PROBLEM)
+      ])
+
+      if (templatesResult.error) throw templatesResult.error
+
+      const counts = {}
+      ;(questionsResult.data || []).forEach(({ answer }) => {
+        counts[answer?.templateId] = (counts[answer?.templateId] || 0) + 1
+      })
+
+      setTemplates(templatesResult.data || [])
+      setUsage(counts)
+    } catch (error) {
+      console.error('Error fetching problem templates:', error)
+      toast.error('Failed to load problem templates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openModal = (template = null) => {
+    setEditingTemplate(template)
+    setFormData(template ? {
+      title: template.title,
+      prompt: template.prompt,
+      variables: template.variables.map(variable => ({
+        ...emptyVariable(variable.name),
+        ...(Array.isArray(variable.choices)
+          ? { kind: 'choices', choices: variable.choices.join(', ') }
+          : { min: String(variable.min), max: String(variable.max), step: String(variable.step || 1) })
+      })),
+      constraints: (template.constraints || []).join('\n'),
+      answer: { ...emptyForm.answer, ...template.answer, unit: template.answer.unit || '' },
+      solution: template.solution || ''
+    } : emptyForm)
+    setPreviewSeed(randomSeed())
+    setModalOpen(true)
+  }
+
+  const closeModal = () => {
+    setModalOpen(false)
+    setEditingTemplate(null)
+    setFormData(emptyForm)
+  }
+
+  const updateVariable = (index, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      variables: prev.variables.map((variable, i) => i === index ? { ...variable, ...changes } : variable)
+    }))
+  }
+
+  const updateAnswer = (changes) => {
+    setFormData(prev => ({ ...prev, answer: { ...prev.answer, ...changes } }))
+  }
+
+  const toggleSelected = (templateId) => {
+    setSelected(prev => prev.includes(templateId)
+      ? prev.filter(id => id !== templateId)
+      : [...prev, templateId])
+  }
+
+  const printWorksheet = () => {
+    if (selected.length * copies > PROBLEM_TEMPLATES.MAX_WORKSHEET_PROBLEMS) {
+      toast.error(`A worksheet can have up to ${PROBLEM_TEMPLATES.MAX_WORKSHEET_PROBLEMS} problems`)
+      return
+    }
+
+    router.push({
+      pathname: '/admin/worksheet',
+      query: { templates: selected.join(','), copies, seed: randomSeed() }
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const template = toTemplate(formData)
+    const templateError = getTemplateError(template)
+    if (templateError) {
+      toast.error(templateError)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const templateData = { ...template, updated_at: new Date().toISOString() }
+
+      const { error } = editingTemplate
+        ? await supabase.from('problem_templates').update(templateData).eq('id', editingTemplate.id)
+        : await supabase.from('problem_templates').insert({ ...templateData, created_by: user.id })
+
+      if (error) throw error
+
+      toast.success(editingTemplate ? 'Template updated' : 'Template created')
+      closeModal()
+      fetchData()
+    } catch (error) {
+      console.error('Error saving problem template:', error)
+      toast.error(error.message || 'Failed to save template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (template) => {
+    if (usage[template.id]) {
+      toast.error('This template is used in a quiz. Remove it from the quiz first.')
+      return
+    }
+
+    if (!confirm(`Delete template "${template.title}"?`)) return
+
+    try {
+      const { error } = await supabase.from('problem_templates').delete().eq('id', template.id)
+      if (error) throw error
+
+      toast.success('Template deleted')
+      setSelected(prev => prev.filter(id => id !== template.id))
+      fetchData()
+    } catch (error) {
+      console.error('Error deleting problem template:', error)
+      toast.error('Failed to delete template')
+    }
+  }
+
+  if (!user) return null
+
+  const formTemplate = modalOpen ? toTemplate(formData) : null
+  const formError = formTemplate && getTemplateError(formTemplate)
+  const sample = formTemplate && !formError ? generateProblem(formTemplate, previewSeed) : null
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-display font-bold text-white mb-2">
+              Problems
+            </h1>
+            <p className="text-gray-400">
+              Templates that give every student their own numbers, in quizzes and printed worksheets
+            </p>
+          </div>
+          <button
+            onClick={() => openModal()}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <FiPlus className="w-5 h-5" />
+            <span>New Template</span>
+          </button>
+        </div>
+
+        {selected.length > 0 && (
+          <div className="card p-4 mb-4 flex flex-wrap items-center gap-3">
+            <span className="text-gray-300">{selected.length} selected</span>
+            <label className="flex items-center space-x-2 text-sm text-gray-400">
+              <span>Problems per template</span>
+              <input
+                type="number"
+                min="1"
+                max={PROBLEM_TEMPLATES.MAX_WORKSHEET_PROBLEMS}
+                value={copies}
+                onChange={(e) => setCopies(Math.max(1, parseInt(e.target.value) || 1))}
+                className="input w-20"
+              />
+            </label>
+            <button onClick={printWorksheet} className="btn-secondary flex items-center space-x-2">
+              <FiPrinter className="w-4 h-4" />
+              <span>Print Worksheet</span>
+            </button>
+          </div>
+        )}
+
+        {/* Templates Table */}
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : templates.length === 0 ? (
+            <div className="text-center py-12">
+              <FiShuffle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-white mb-2">No problem templates yet</h3>
+              <p className="text-gray-400">Write a problem with variables and each student gets their own numbers.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Template</th>
+                    <th>Variables</th>
+                    <th>Quiz questions</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {templates.map((template) => (
+                    <tr key={template.id}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(template.id)}
+                          onChange={() => toggleSelected(template.id)}
+                          title="Add to worksheet"
+                        />
+                      </td>
+                      <td>
+                        <div className="font-medium text-white">{template.title}</div>
+                        <div className="text-sm text-gray-400 max-w-md truncate">{template.prompt}</div>
+                      </td>
+                      <td className="font-mono text-gray-300">
+                        {template.variables.map(variable => variable.name).join(', ')}
+                      </td>
+                      <td className="text-gray-300">{usage[template.id] || 0}</td>
+                      <td>
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => openModal(template)}
+                            className="text-blue-400 hover:text-blue-300"
+                            title="Edit"
+                          >
+                            <FiEdit className="w-5 h-5" />
+                          </button>
+                          <button
+                            onClick={() => handleDelete(template)}
+                            className="text-red-400 hover:text-red-300"
+                            title="Delete"
+                          >
+                            <FiTrash2 className="w-5 h-5" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Template Form Modal */}
+        {modalOpen && (
+          <>
+            <div
+              className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+              onClick={closeModal}
+            />
+            <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+              <motion.div
+                initial={{ opacity: 0, scale: 0.95 }}
+                animate={{ opacity: 1, scale: 1 }}
+                className="bg-dark-800 rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+              >
+                <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                  <h2 className="text-xl font-bold text-white">
+                    {editingTemplate ? 'Edit Template' : 'New Template'}
+                  </h2>
+                  <button onClick={closeModal} className="text-gray-400 hover:text-white">
+                    <FiX className="w-6 h-6" />
+                  </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="p-6 space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Title</label>
+                    <input
+                      type="text"
+                      value={formData.title}
+                      onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                      className="input"
+                      required
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Problem</label>
+                    <textarea
+                      value={formData.prompt}
+                      onChange={(e) => setFormData({ ...formData, prompt: e.target.value })}
+                      className="input"
+                      rows={3}
+                      placeholder="A car travels {d} km in {t} hours. What is its average speed?"
+                      required
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Write {'{a}'} for a variable and {'{= 2a + 1}'} for a worked value. $...$ formulas are supported.
+                    </p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Variables</label>
+                    <div className="space-y-2">
+                      {formData.variables.map((variable, index) => (
+                        <div key={variable.key} className="flex items-center space-x-2">
+                          <input
+                            type="text"
+                            maxLength={1}
+                            value={variable.name}
+                            onChange={(e) => updateVariable(index, { name: e.target.value })}
+                            className="input w-14 font-mono text-center"
+                            placeholder="a"
+                          />
+                          <select
+                            value={variable.kind}
+                            onChange={(e) => updateVariable(index, { kind: e.target.value })}
+                            className="input w-32"
+                          >
+                            <option value="range">Range</option>
+                            <option value="choices">One of</option>
+                          </select>
+                          {variable.kind === 'choices' ? (
+                            <input
+                              type="text"
+                              value={variable.choices}
+                              onChange={(e) => updateVariable(index, { choices: e.target.value })}
+                              className="input flex-1"
+                              placeholder="2, 3, 5, 7"
+                            />
+                          ) : (
+                            <>
+                              <input
+                                type="number"
+                                step="any"
+                                value={variable.min}
+                                onChange={(e) => updateVariable(index, { min: e.target.value })}
+                                className="input flex-1"
+                                placeholder="Min"
+                              />
+                              <input
+                                type="number"
+                                step="any"
+                                value={variable.max}
+                                onChange={(e) => updateVariable(index, { max: e.target.value })}
+                                className="input flex-1"
+                                placeholder="Max"
+                              />
+                              <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={variable.step}
+                                onChange={(e) => updateVariable(index, { step: e.target.value })}
+                                className="input flex-1"
+                                placeholder="Step"
+                              />
+                            </>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => setFormData({ ...formData, variables: formData.variables.filter((_, i) => i !== index) })}
+                            disabled={formData.variables.length <= 1}
+                            className="text-gray-400 hover:text-red-400 disabled:opacity-50"
+                          >
+                            <FiTrash2 />
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                    {formData.variables.length < PROBLEM_TEMPLATES.MAX_VARIABLES && (
+                      <button
+                        type="button"
+                        onClick={() => setFormData({ ...formData, variables: [...formData.variables, emptyVariable()] })}
+                        className="btn-ghost text-sm flex items-center space-x-1 mt-2"
+                      >
+                        <FiPlus className="w-4 h-4" />
+                        <span>Add variable</span>
+                      </button>
+                    )}
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Constraints</label>
+                    <textarea
+                      value={formData.constraints}
+                      onChange={(e) => setFormData({ ...formData, constraints: e.target.value })}
+                      className="input font-mono"
+                      rows={2}
+                      placeholder={'a != b\nb^2 - 4ac >= 0'}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">One per line. Numbers are drawn again until every constraint holds.</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Answer formula</label>
+                    <input
+                      type="text"
+                      value={formData.answer.expression}
+                      onChange={(e) => updateAnswer({ expression: e.target.value })}
+                      className="input font-mono"
+                      placeholder="d/t"
+                      required
+                    />
+                    <div className="grid grid-cols-2 gap-3 mt-2">
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={formData.answer.tolerance}
+                        onChange={(e) => updateAnswer({ tolerance: e.target.value })}
+                        className="input"
+                        placeholder="Tolerance (±)"
+                      />
+                      <input
+                        type="text"
+                        value={formData.answer.unit}
+                        onChange={(e) => updateAnswer({ unit: e.target.value })}
+                        className="input"
+                        placeholder="Unit, e.g. km/h (optional)"
+                      />
+                    </div>
+                    {formData.answer.unit && (
+                      <label className="flex items-center space-x-2 mt-2">
+                        <input
+                          type="checkbox"
+                          checked={formData.answer.requireUnit !== false}
+                          onChange={(e) => updateAnswer({ requireUnit: e.target.checked })}
+                          className="w-4 h-4"
+                        />
+                        <span className="text-sm text-gray-300">Students must include the unit</span>
+                      </label>
+                    )}
+                    <div className="flex items-center space-x-2 mt-2">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(formData.answer.requireSimplified)}
+                        onChange={(e) => updateAnswer({ requireSimplified: e.target.checked })}
+                        className="w-4 h-4"
+                      />
+                      <span className="text-sm text-gray-300">Require simplified form; unsimplified answers earn</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={Math.round((formData.answer.partialCredit ?? 0.5) * 100)}
+                        onChange={(e) => updateAnswer({ partialCredit: Number(e.target.value) / 100 })}
+                        disabled={!formData.answer.requireSimplified}
+                        className="input w-20"
+                      />
+                      <span className="text-sm text-gray-300">%</span>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">Worked solution (optional)</label>
+                    <textarea
+                      value={formData.solution}
+                      onChange={(e) => setFormData({ ...formData, solution: e.target.value })}
+                      className="input"
+                      rows={2}
+                      placeholder="Speed = {d} ÷ {t} = {= d/t} km/h"
+                    />
+                  </div>
+
+                  <div className="rounded-lg bg-dark-700/50 p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm font-medium text-gray-400">Sample</span>
+                      <button
+                        type="button"
+                        onClick={() => setPreviewSeed(randomSeed())}
+                        className="btn-ghost text-sm flex items-center space-x-1"
+                      >
+                        <FiShuffle className="w-4 h-4" />
+                        <span>New numbers</span>
+                      </button>
+                    </div>
+                    {sample ? (
+                      <div className="space-y-2 text-sm">
+                        <MathText as="p" text={sample.prompt} className="text-white whitespace-pre-line" />
+                        <p className="text-gray-400">
+                          Answer: <span className="font-mono text-green-400">{sample.answer.expression}</span> {sample.answer.unit || ''}
+                        </p>
+                        {sample.solution && (
+                          <MathText as="p" text={sample.solution} className="text-gray-400 whitespace-pre-line" />
+                        )}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-yellow-400">{formError}</p>
+                    )}
+                  </div>
+
+                  {editingTemplate && usage[editingTemplate.id] > 0 && (
+                    <p className="text-sm text-yellow-400">
+                      This template is used in {usage[editingTemplate.id]} quiz question(s). Changes give students
+                      new problems, and past attempts keep the grades they were given.
+                    </p>
+                  )}
+
+                  <div className="flex space-x-3 pt-4 border-t border-dark-600">
+                    <button type="button" onClick={closeModal} className="flex-1 btn-secondary">
+                      Cancel
+                    </button>
+                    <button type="submit" disabled={saving} className="flex-1 btn-primary">
+                      {saving ? 'Saving...' : editingTemplate ? 'Save Changes' : 'Create Template'}
+                    </button>
+                  </div>
+                </form>
+              </motion.div>
+            </div>
+          </>
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
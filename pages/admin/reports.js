@@ -8,6 +8,7 @@ import {
 } from 'react-icons/fi'
 import { supabase, isAdmin } from '../../lib/supabase'
 import AdminLayout from '../../components/admin/AdminLayout'
+import AccountingExport from '../../components/admin/AccountingExport'
 import toast from 'react-hot-toast'
 
 export default function AdminReports({ user }) {
@@ -21,7 +22,8 @@ export default function AdminReports({ user }) {
       growth: 0,
       byMonth: [],
       byCourse: [],
-      byMethod: []
+      byMethod: [],
+      byChargedCurrency: []
     },
     users: {
       total: 0,
@@ -139,6 +141,17 @@ export default function AdminReports({ user }) {
         return acc
       }, {}) || {}
       
+      // Reconcile LKR revenue with what was actually charged. Payments
+      // without a rate snapshot were charged in their own currency.
+      const revenueByChargedCurrency = payments?.reduce((acc, p) => {
+        const currency = p.charged_currency || p.currency || 'LKR'
+        if (!acc[currency]) acc[currency] = { count: 0, originalAmount: 0, chargedAmount: 0 }
+        acc[currency].count++
+        acc[currency].originalAmount += p.amount
+        acc[currency].chargedAmount += Number(p.charged_amount ?? p.amount)
+        return acc
+      }, {}) || {}
+      
       // Process user analytics
       const newUsers = users?.length || 0
       const totalUsers = await supabase
@@ -170,6 +183,11 @@ export default function AdminReports({ user }) {
           byMethod: Object.entries(revenueByMethod).map(([method, amount]) => ({
             method,
             amount
+          })),
+          byChargedCurrency: Object.entries(revenueByChargedCurrency).map(([currency, data]) => ({
+            currency,
+            ...data,
+            averageRate: data.chargedAmount > 0 ? data.originalAmount / data.chargedAmount : null
           }))
         },
         users: {
@@ -295,6 +313,9 @@ export default function AdminReports({ user }) {
             </button>
           </div>
         </div>
+
+        {/* Accounting Export */}
+        <AccountingExport adminId={user.id} />
         
         {loading ? (
           <div className="flex justify-center py-12">
@@ -548,6 +569,52 @@ export default function AdminReports({ user }) {
               </motion.div>
             </div>
             
+            {/* Currency Reconciliation */}
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.85 }}
+              className="card mt-8"
+            >
+              <h3 className="text-xl font-semibold text-white mb-2">
+                Currency Reconciliation
+              </h3>
+              <p className="text-sm text-gray-400 mb-6">
+                Course prices in LKR against the amounts charged, using the exchange rate stored on each payment
+              </p>
+              
+              <div className="overflow-x-auto">
+                <table className="table-auto">
+                  <thead>
+                    <tr>
+                      <th>Charged In</th>
+                      <th>Payments</th>
+                      <th>Original Amount</th>
+                      <th>Charged Amount</th>
+                      <th>Avg. Rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analytics.revenue.byChargedCurrency.map((row) => (
+                      <tr key={row.currency}>
+                        <td className="text-white font-mono">{row.currency}</td>
+                        <td className="text-gray-300">{row.count}</td>
+                        <td className="text-gray-300">{formatCurrency(row.originalAmount)}</td>
+                        <td className="text-white font-semibold">
+                          {row.currency} {row.chargedAmount.toLocaleString(undefined, { maximumFractionDigits: 2 })}
+                        </td>
+                        <td className="text-gray-400">
+                          {row.averageRate
+                            ? `1 ${row.currency} = ${row.averageRate.toFixed(2)} LKR`
+                            : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </motion.div>
+            
             {/* Engagement Metrics */}
             <motion.div
               initial={{ opacity: 0, y: 20 }}
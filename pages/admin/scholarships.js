@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { FiAward, FiEye } from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import AdminLayout from '../../components/admin/AdminLayout'
+import ScholarshipReview from '../../components/admin/ScholarshipReview'
+import toast from 'react-hot-toast'
+
+const APPLICATION_SELECT = `
+  *,
+  profiles!scholarship_applications_user_id_fkey (name, email),
+  courses (title, price)
+`
+
+const STATUS_BADGES = {
+  pending: 'badge-warning',
+  approved: 'badge-success',
+  rejected: 'badge-danger'
+}
+
+export default function AdminScholarships({ user }) {
+  const router = useRouter()
+  const [status, setStatus] = useState('pending')
+  const [applications, setApplications] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reviewApplication, setReviewApplication] = useState(null)
+
+  useEffect(() => {
+    checkAdminAccess()
+  }, [user, status])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchApplications()
+  }
+
+  const fetchApplications = async () => {
+    setLoading(true)
+    try {
+      const { data, error } = await supabase
+        .from('scholarship_applications')
+        .select(APPLICATION_SELECT)
+        .eq('status', status)
+        .order('created_at', { ascending: status === 'pending' })
+        .limit(200)
+
+      if (error) throw error
+      setApplications(data || [])
+    } catch (error) {
+      console.error('Error fetching scholarship applications:', error)
+      toast.error('Failed to load scholarship applications')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const formatAward = (application) => {
+    if (application.award_type === 'waiver') return 'Full waiver'
+    if (application.award_type === 'discount') return `${Number(application.discount_percent)}% discount`
+    return '—'
+  }
+
+  if (!user) return null
+
+  return (
+    <AdminLayout user={user}>
+      <div className="p-6">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-display font-bold text-white mb-2">
+            Scholarships
+          </h1>
+          <p className="text-gray-400">
+            Review fee waiver and discount applications from students
+          </p>
+        </div>
+
+        {/* Tabs */}
+        <div className="flex space-x-2 mb-6">
+          {['pending', 'approved', 'rejected'].map(tab => (
+            <button
+              key={tab}
+              onClick={() => setStatus(tab)}
+              className={`capitalize ${status === tab ? 'btn-primary' : 'btn-ghost'}`}
+            >
+              {tab}
+            </button>
+          ))}
+        </div>
+
+        <div className="card overflow-hidden">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : applications.length === 0 ? (
+            <div className="text-center py-12">
+              <FiAward className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-white mb-2">No {status} applications</h3>
+              <p className="text-gray-400">Students apply from the course page.</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table-auto">
+                <thead>
+                  <tr>
+                    <th>Student</th>
+                    <th>Course</th>
+                    <th>Documents</th>
+                    <th>Status</th>
+                    <th>Award</th>
+                    <th>Applied</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {applications.map(application => (
+                    <tr key={application.id}>
+                      <td className="text-gray-300 text-sm">
+                        {application.profiles?.name || 'Unknown'}
+                        <div className="text-xs text-gray-500">{application.profiles?.email}</div>
+                      </td>
+                      <td className="text-gray-300 text-sm">{application.courses?.title}</td>
+                      <td className="text-gray-400 text-sm">{application.documents?.length || 0}</td>
+                      <td>
+                        <span className={`badge ${STATUS_BADGES[application.status]}`}>{application.status}</span>
+                      </td>
+                      <td className="text-gray-300 text-sm">{formatAward(application)}</td>
+                      <td className="text-gray-400 text-sm">{new Date(application.created_at).toLocaleDateString()}</td>
+                      <td>
+                        <button
+                          onClick={() => setReviewApplication(application)}
+                          className="text-blue-400 hover:text-blue-300"
+                          title={application.status === 'pending' ? 'Review' : 'View'}
+                        >
+                          <FiEye className="w-5 h-5" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {reviewApplication && (
+          <ScholarshipReview
+            application={reviewApplication}
+            adminId={user.id}
+            onClose={() => setReviewApplication(null)}
+            onProcessed={() => {
+              setReviewApplication(null)
+              fetchApplications()
+            }}
+          />
+        )}
+      </div>
+    </AdminLayout>
+  )
+}
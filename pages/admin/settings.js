@@ -5,11 +5,14 @@ import {
   FiSettings, FiSave, FiDollarSign, FiMail,
   FiCreditCard, FiGlobe, FiBell, FiShield,
   FiDatabase, FiKey, FiToggleLeft, FiToggleRight,
-  FiInfo, FiAlertCircle, FiCheck
+  FiInfo, FiAlertCircle, FiCheck, FiFileText
 } from 'react-icons/fi'
 import { FaWhatsapp, FaPaypal } from 'react-icons/fa'
 import { supabase, isAdmin } from '../../lib/supabase'
 import AdminLayout from '../../components/admin/AdminLayout'
+import ExchangeRates from '../../components/admin/ExchangeRates'
+import InstallmentPlans from '../../components/admin/InstallmentPlans'
+import InvoiceSettings from '../../components/admin/InvoiceSettings'
 import toast from 'react-hot-toast'
 
 export default function AdminSettings({ user }) {
@@ -89,6 +92,7 @@ export default function AdminSettings({ user }) {
   const tabs = [
     { id: 'general', label: 'General', icon: FiSettings },
     { id: 'payment', label: 'Payment', icon: FiCreditCard },
+    { id: 'invoicing', label: 'Invoicing', icon: FiFileText },
     { id: 'email', label: 'Email', icon: FiMail },
     { id: 'notifications', label: 'Notifications', icon: FiBell },
     { id: 'security', label: 'Security', icon: FiShield },
@@ -475,6 +479,20 @@ export default function AdminSettings({ user }) {
                         </div>
                       )}
                     </div>
+
+                    {/* Exchange Rates */}
+                    <ExchangeRates adminId={user.id} />
+
+                    {/* Installment Plans */}
+                    <InstallmentPlans adminId={user.id} />
+                  </div>
+                )}
+
+                {/* Invoicing Settings */}
+                {activeTab === 'invoicing' && (
+                  <div className="space-y-6">
+                    <h3 className="text-xl font-semibold text-white mb-4">Invoicing</h3>
+                    <InvoiceSettings />
                   </div>
                 )}
                 
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import { FiArrowLeft, FiPrinter, FiShuffle } from 'react-icons/fi'
+import { supabase, isAdmin } from '../../lib/supabase'
+import MathText from '../../components/ui/MathText'
+import { generateProblem } from '../../utils/problems'
+import { PROBLEM_TEMPLATES } from '../../utils/constants'
+import toast from 'react-hot-toast'
+
+/**
+ * Printable worksheet of generated problems with an answer key on its own
+ * page. The seed is in the URL and on the sheet, so the same worksheet
+ * can be printed again.
+ */
+export default function AdminWorksheet({ user }) {
+  const router = useRouter()
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  const templateIds = String(router.query.templates || '').split(',').filter(Boolean)
+  const copies = Math.min(
+    Math.max(1, parseInt(router.query.copies) || 1),
+    PROBLEM_TEMPLATES.MAX_WORKSHEET_PROBLEMS
+  )
+  const seed = String(router.query.seed || '')
+
+  useEffect(() => {
+    if (router.isReady) checkAdminAccess()
+  }, [user, router.isReady])
+
+  const checkAdminAccess = async () => {
+    if (!user) {
+      router.push('/auth/login')
+      return
+    }
+
+    const adminStatus = await isAdmin(user.id)
+    if (!adminStatus) {
+      toast.error('Access denied. Admin only.')
+      router.push('/')
+      return
+    }
+
+    fetchTemplates()
+  }
+
+  const fetchTemplates = async () => {
+    try {
+      if (!templateIds.length) return
+
+      const { data, error } = await supabase
+        .from('problem_templates')
+        .select('*')
+        .in('id', templateIds)
+
+      if (error) throw error
+
+      // In the order they were chosen
+      setTemplates(templateIds.map(id => (data || []).find(template => template.id === id)).filter(Boolean))
+    } catch (error) {
+      console.error('Error fetching problem templates:', error)
+      toast.error('Failed to load problem templates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const newNumbers = () => {
+    router.replace({
+      pathname: router.pathname,
+      query: { ...router.query, seed: Math.floor(Math.random() * 1000000) }
+    })
+  }
+
+  if (!user) return null
+
+  const problems = templates
+    .flatMap(template => Array.from({ length: copies }, (_, copy) => ({ template, copy })))
+    .slice(0, PROBLEM_TEMPLATES.MAX_WORKSHEET_PROBLEMS)
+    .map(({ template, copy }) => {
+      try {
+        return { ...generateProblem(template, `${seed}:${template.id}:${copy}`), title: template.title }
+      } catch (error) {
+        return { title: template.title, error: error.message }
+      }
+    })
+
+  return (
+    <div className="min-h-screen bg-white text-gray-900">
+      <div className="max-w-3xl mx-auto p-8">
+        {/* Controls */}
+        <div className="flex items-center justify-between mb-8 print:hidden">
+          <Link href="/admin/problems" className="flex items-center space-x-2 text-gray-600 hover:text-gray-900">
+            <FiArrowLeft className="w-4 h-4" />
+            <span>Back to problems</span>
+          </Link>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={newNumbers}
+              className="flex items-center space-x-2 px-4 py-2 rounded-lg border border-gray-300 hover:bg-gray-100"
+            >
+              <FiShuffle className="w-4 h-4" />
+              <span>New numbers</span>
+            </button>
+            <button
+              onClick={() => window.print()}
+              disabled={!problems.length}
+              className="btn-primary flex items-center space-x-2"
+            >
+              <FiPrinter className="w-4 h-4" />
+              <span>Print</span>
+            </button>
+          </div>
+        </div>
+
+        {loading && templateIds.length > 0 ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner"></div>
+          </div>
+        ) : !problems.length ? (
+          <p className="text-gray-600 py-12 text-center print:hidden">
+            Choose templates on the problems page to build a worksheet.
+          </p>
+        ) : (
+          <>
+            <div className="flex items-end justify-between border-b border-gray-300 pb-4 mb-8">
+              <div>
+                <h1 className="text-2xl font-bold">Worksheet</h1>
+                <p className="text-sm text-gray-500">Sheet {seed}</p>
+              </div>
+              <div className="text-sm space-y-2">
+                <p>Name: ______________________</p>
+                <p>Date: ______________________</p>
+              </div>
+            </div>
+
+            <ol className="space-y-10">
+              {problems.map((problem, index) => (
+                <li key={index} className="break-inside-avoid">
+                  <div className="flex">
+                    <span className="font-semibold mr-3">{index + 1}.</span>
+                    {problem.error ? (
+                      <span className="text-red-600 print:hidden">{problem.title}: {problem.error}</span>
+                    ) : (
+                      <MathText as="p" text={problem.prompt} className="whitespace-pre-line" />
+                    )}
+                  </div>
+                  <div className="mt-8 ml-7 border-b border-dotted border-gray-400" />
+                </li>
+              ))}
+            </ol>
+
+            {/* Answer Key */}
+            <div className="break-before-page pt-8 print:pt-0">
+              <h2 className="text-xl font-bold border-b border-gray-300 pb-2 mb-6">
+                Answer key <span className="text-sm font-normal text-gray-500">· sheet {seed}</span>
+              </h2>
+              <ol className="space-y-4">
+                {problems.map((problem, index) => !problem.error && (
+                  <li key={index} className="break-inside-avoid">
+                    <div className="flex">
+                      <span className="font-semibold mr-3">{index + 1}.</span>
+                      <div>
+                        <p className="font-mono">
+                          {problem.answer.expression} {problem.answer.unit || ''}
+                        </p>
+                        {problem.solution && (
+                          <MathText as="p" text={problem.solution} className="text-sm text-gray-600 whitespace-pre-line" />
+                        )}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
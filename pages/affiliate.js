@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+import { FiShare2, FiCopy, FiMousePointer, FiShoppingBag, FiDollarSign, FiClock } from 'react-icons/fi'
+import { supabase } from '../lib/supabase'
+import { formatCurrency } from '../utils/format'
+import { getReferralLink, summarizeCommissions } from '../utils/affiliates'
+import { AFFILIATE, REFUND_POLICY } from '../utils/constants'
+import Header from '../components/layout/Header'
+import Footer from '../components/layout/Footer'
+import toast from 'react-hot-toast'
+
+const STATUS_BADGES = {
+  pending: 'badge-warning',
+  paid: 'badge-success',
+  void: 'badge-danger'
+}
+
+export default function Affiliate({ user }) {
+  const router = useRouter()
+  const [affiliate, setAffiliate] = useState(null)
+  const [clicks, setClicks] = useState(0)
+  const [commissions, setCommissions] = useState([])
+  const [payouts, setPayouts] = useState([])
+  const [courses, setCourses] = useState([])
+  const [linkPath, setLinkPath] = useState('/courses')
+  const [loading, setLoading] = useState(true)
+  const [joining, setJoining] = useState(false)
+
+  useEffect(() => {
+    if (!user) {
+      router.push('/auth/login?redirectTo=/affiliate')
+      return
+    }
+    fetchAffiliate()
+  }, [user])
+
+  const fetchAffiliate = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('affiliates')
+        .select('*')
+        .eq('user_id', user.id)
+        .maybeSingle()
+
+      if (error) throw error
+
+      setAffiliate(data)
+      if (data) await fetchActivity(data)
+    } catch (error) {
+      console.error('Error fetching affiliate account:', error)
+      toast.error('Failed to load your affiliate account')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchActivity = async (account) => {
+    const [clicksResult, commissionsResult, payoutsResult, coursesResult] = await Promise.all([
+      supabase
+        .from('referral_clicks')
+        .select('id', { count: 'exact', head: true })
+        .eq('affiliate_id', account.id),
+      supabase
+        .from('affiliate_commissions')
+        .select('*')
+        .eq('affiliate_id', account.id)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('affiliate_payouts')
+        .select('*')
+        .eq('affiliate_id', account.id)
+        .order('paid_at', { ascending: false }),
+      supabase
+        .from('courses')
+        .select('id, title')
+        .eq('status', 'published')
+        .order('title')
+    ])
+
+    if (commissionsResult.error) throw commissionsResult.error
+
+    setClicks(clicksResult.count || 0)
+    setCommissions(commissionsResult.data || [])
+    setPayouts(payoutsResult.data || [])
+    setCourses(coursesResult.data || [])
+  }
+
+  const handleJoin = async () => {
+    setJoining(true)
+    try {
+      const response = await axios.post('/api/affiliates/join', { userId: user.id })
+      setAffiliate(response.data.affiliate)
+      await fetchActivity(response.data.affiliate)
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to join the affiliate program')
+    } finally {
+      setJoining(false)
+    }
+  }
+
+  const copyLink = (link) => {
+    navigator.clipboard.writeText(link)
+    toast.success('Link copied')
+  }
+
+  if (!user) return null
+
+  const summary = summarizeCommissions(commissions)
+  const referralLink = affiliate && typeof window !== 'undefined'
+    ? getReferralLink(window.location.origin, affiliate.code, linkPath)
+    : ''
+  const formatDate = (date) => new Date(date).toLocaleDateString()
+
+  const stats = [
+    { label: 'Link Clicks', value: clicks, icon: FiMousePointer, color: 'text-blue-400' },
+    { label: 'Conversions', value: summary.conversions, icon: FiShoppingBag, color: 'text-purple-400' },
+    { label: 'Total Earned', value: formatCurrency(summary.earned), icon: FiDollarSign, color: 'text-green-400' },
+    { label: 'Awaiting Payout', value: formatCurrency(summary.pending), icon: FiClock, color: 'text-yellow-400' }
+  ]
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900">
+      <Header user={user} />
+
+      <section className="relative pt-20 pb-24">
+        <div className="absolute inset-0">
+          <div className="absolute top-0 left-1/4 w-96 h-96 bg-primary-500/10 rounded-full filter blur-3xl"></div>
+          <div className="absolute bottom-0 right-1/4 w-96 h-96 bg-purple-500/10 rounded-full filter blur-3xl"></div>
+        </div>
+
+        <div className="relative max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+          >
+            <h1 className="text-4xl md:text-5xl font-display font-bold text-white mb-4">
+              Affiliate Program
+            </h1>
+            <p className="text-xl text-gray-400">
+              Share MathPro courses and earn a commission on every sale your link brings in
+            </p>
+          </motion.div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="spinner"></div>
+            </div>
+          ) : !affiliate ? (
+            <div className="glass rounded-2xl p-8 mt-12 max-w-xl text-center">
+              <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary-500/20 mb-4">
+                <FiShare2 className="w-8 h-8 text-primary-400" />
+              </div>
+              <h2 className="text-2xl font-bold text-white mb-2">Get your referral link</h2>
+              <p className="text-gray-400 mb-6">
+                Anyone who opens your link and buys a course within {AFFILIATE.COOKIE_DAYS} days earns you
+                a commission, usually {AFFILIATE.DEFAULT_COMMISSION_PERCENT}% of what they pay.
+              </p>
+              <button onClick={handleJoin} disabled={joining} className="btn-primary w-full">
+                {joining ? 'Joining...' : 'Become an Affiliate'}
+              </button>
+            </div>
+          ) : (
+            <>
+              {affiliate.status === 'suspended' && (
+                <div className="mt-8 p-4 rounded-lg bg-red-500/10 border border-red-500/30 text-red-400">
+                  Your affiliate account is suspended, so new sales are not credited. Contact us if you think this is a mistake.
+                </div>
+              )}
+
+              {/* Referral link */}
+              <div className="glass rounded-xl p-6 mt-8">
+                <h2 className="text-lg font-semibold text-white mb-4">Your referral link</h2>
+                <div className="flex flex-col md:flex-row gap-3">
+                  <select
+                    value={linkPath}
+                    onChange={(e) => setLinkPath(e.target.value)}
+                    className="input md:w-64"
+                  >
+                    <option value="/courses">All courses</option>
+                    {courses.map(course => (
+                      <option key={course.id} value={`/courses/${course.id}`}>{course.title}</option>
+                    ))}
+                  </select>
+                  <input type="text" readOnly value={referralLink} className="input flex-1 font-mono text-sm" />
+                  <button onClick={() => copyLink(referralLink)} className="btn-primary flex items-center justify-center space-x-2">
+                    <FiCopy className="w-4 h-4" />
+                    <span>Copy</span>
+                  </button>
+                </div>
+                <p className="text-sm text-gray-500 mt-3">
+                  Code <span className="font-mono text-gray-300">{affiliate.code}</span>. Commissions can be paid out
+                  {' '}{REFUND_POLICY.WINDOW_DAYS} days after the sale, once it can no longer be refunded.
+                </p>
+              </div>
+
+              {/* Stats */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mt-8">
+                {stats.map(stat => (
+                  <div key={stat.label} className="glass rounded-xl p-6">
+                    <div className="flex items-center justify-between mb-4">
+                      <stat.icon className={`w-8 h-8 ${stat.color}`} />
+                      <span className="text-2xl font-bold text-white">{stat.value}</span>
+                    </div>
+                    <h3 className="text-gray-400">{stat.label}</h3>
+                  </div>
+                ))}
+              </div>
+
+              {/* Conversions */}
+              <div className="card mt-8 overflow-hidden">
+                <h2 className="text-lg font-semibold text-white mb-4">Sales</h2>
+                {commissions.length === 0 ? (
+                  <p className="text-gray-400">No sales yet. Share your link to get started.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="table-auto">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Item</th>
+                          <th>Sale</th>
+                          <th>Commission</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {commissions.map(commission => (
+                          <tr key={commission.id}>
+                            <td className="text-gray-400 text-sm">{formatDate(commission.created_at)}</td>
+                            <td className="text-white">{commission.description}</td>
+                            <td className="text-gray-300">{formatCurrency(commission.order_amount)}</td>
+                            <td className="text-green-400 font-semibold">{formatCurrency(commission.amount)}</td>
+                            <td>
+                              <span className={`badge ${STATUS_BADGES[commission.status]}`}>
+                                {commission.status === 'void' ? 'refunded' : commission.status}
+                              </span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+
+              {/* Payouts */}
+              {payouts.length > 0 && (
+                <div className="card mt-8 overflow-hidden">
+                  <h2 className="text-lg font-semibold text-white mb-4">Payouts</h2>
+                  <div className="overflow-x-auto">
+                    <table className="table-auto">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Amount</th>
+                          <th>Reference</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {payouts.map(payout => (
+                          <tr key={payout.id}>
+                            <td className="text-gray-400 text-sm">{formatDate(payout.paid_at)}</td>
+                            <td className="text-white font-semibold">{formatCurrency(payout.amount)}</td>
+                            <td className="text-gray-400 font-mono text-sm">{payout.reference || '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  )
+}
@@ -0,0 +1,54 @@
+import { recordReferralClick } from '../../../lib/affiliates'
+import { getUserIP } from '../../../lib/api-utils'
+import { ValidationError } from '../../../lib/errors'
+import { AFFILIATE } from '../../../utils/constants'
+
+/**
+ * API endpoint for recording a visit from a referral link
+ *
+ * POST /api/affiliates/click
+ * Body: { code: string, path?: string }
+ *
+ * Records the click and sets the referral cookie that checkouts read to
+ * credit the affiliate. A later referral link replaces an earlier one.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { code, path } = req.body
+
+    if (!code) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const affiliate = await recordReferralClick({
+      code,
+      landingPath: path,
+      ipAddress: getUserIP(req)
+    })
+
+    const maxAge = AFFILIATE.COOKIE_DAYS * 24 * 60 * 60
+    res.setHeader(
+      'Set-Cookie',
+      `${AFFILIATE.COOKIE}=${encodeURIComponent(affiliate.code)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${process.env.NODE_ENV === 'production' ? '; Secure' : ''}`
+    )
+
+    res.status(200).json({ success: true })
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Referral click error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record referral',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,40 @@
+import { joinAffiliateProgram } from '../../../lib/affiliates'
+
+/**
+ * API endpoint for joining the affiliate program
+ *
+ * POST /api/affiliates/join
+ * Body: { userId: string }
+ *
+ * Gives the user a referral code. Joining again returns the same code.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { userId } = req.body
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const affiliate = await joinAffiliateProgram(userId)
+
+    res.status(200).json({
+      success: true,
+      affiliate,
+      message: 'You are now an affiliate'
+    })
+
+  } catch (error) {
+    console.error('Affiliate join error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join the affiliate program',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,52 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { recordAffiliatePayout } from '../../../lib/affiliates'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for recording an affiliate payout
+ *
+ * POST /api/affiliates/payouts
+ * Body: { affiliateId: string, adminId: string, reference?: string }
+ *
+ * Marks every commission past the refund window as paid under one payout.
+ * The money itself is sent outside the system; `reference` records how.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { affiliateId, adminId, reference } = req.body
+
+    if (!affiliateId || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { payout, commissionCount } = await recordAffiliatePayout({ affiliateId, adminId, reference })
+
+    res.status(200).json({
+      success: true,
+      payout,
+      message: `Payout of LKR ${Number(payout.amount).toLocaleString()} recorded for ${commissionCount} commission${commissionCount === 1 ? '' : 's'}`
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Affiliate payout error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payout',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,57 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { setCommissionRule } from '../../../lib/affiliates'
+import { ValidationError } from '../../../lib/errors'
+
+/**
+ * API endpoint for setting a course's affiliate commission
+ *
+ * POST /api/affiliates/rules
+ * Body: {
+ *   courseId: string,
+ *   adminId: string,
+ *   commissionType?: 'percentage' | 'fixed',
+ *   commissionValue?: number
+ * }
+ *
+ * Without a commission type the course's rule is removed and it earns the
+ * default rate.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { courseId, adminId, commissionType, commissionValue } = req.body
+
+    if (!courseId || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const rule = await setCommissionRule({ courseId, commissionType, commissionValue })
+
+    res.status(200).json({
+      success: true,
+      rule,
+      message: rule ? 'Commission rule saved' : 'Course now earns the default commission'
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Commission rule error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save commission rule',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,49 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { setAffiliateStatus } from '../../../lib/affiliates'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for suspending or reactivating an affiliate
+ *
+ * POST /api/affiliates/status
+ * Body: { affiliateId: string, adminId: string, status: 'active' | 'suspended' }
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { affiliateId, adminId, status } = req.body
+
+    if (!affiliateId || !adminId || !status) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const affiliate = await setAffiliateStatus(affiliateId, status)
+
+    res.status(200).json({
+      success: true,
+      affiliate,
+      message: `Affiliate ${affiliate.status}`
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Affiliate status error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update affiliate',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,69 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { parseBankStatementCsv, importBankStatement } from '../../../lib/bank-statements'
+
+/**
+ * API endpoint for importing a bank statement and matching its credits to
+ * pending bank transfers
+ *
+ * POST /api/bank-statements/import
+ * Body: { csv: string, adminId: string }
+ *
+ * The CSV needs date, description and credit (or amount) columns. Nothing
+ * is saved unless every credit line is valid. Confident matches are
+ * approved; ambiguous credits are kept for review.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { csv, adminId } = req.body
+
+    if (!csv || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { rows, errors } = parseBankStatementCsv(csv)
+
+    if (errors.length) {
+      return res.status(400).json({
+        message: `CSV has ${errors.length} invalid line${errors.length === 1 ? '' : 's'}`,
+        errors
+      })
+    }
+
+    if (!rows.length) {
+      return res.status(400).json({ message: 'Statement contains no credits' })
+    }
+
+    const summary = await importBankStatement(rows, adminId)
+
+    const parts = [
+      `${summary.matched} approved`,
+      `${summary.ambiguous} to review`,
+      `${summary.unmatched} unmatched`,
+      summary.duplicates && `${summary.duplicates} already imported`
+    ].filter(Boolean)
+
+    res.status(200).json({
+      success: true,
+      summary,
+      message: `Statement imported: ${parts.join(', ')}`
+    })
+
+  } catch (error) {
+    console.error('Bank statement import error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import bank statement',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,58 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { resolveStatementLine } from '../../../lib/bank-statements'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for settling a statement credit that could not be matched
+ * with confidence
+ *
+ * POST /api/bank-statements/resolve
+ * Body: { lineId: string, adminId: string, paymentId?: string }
+ *
+ * With a paymentId the bank transfer is approved as if reviewed by hand;
+ * without one the credit is ignored.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { lineId, adminId, paymentId } = req.body
+
+    if (!lineId || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { line, failedSteps } = await resolveStatementLine(lineId, { paymentId, adminId })
+
+    res.status(200).json({
+      success: true,
+      line,
+      failedSteps,
+      message: !paymentId
+        ? 'Statement line ignored'
+        : failedSteps.length
+          ? `Payment approved; retry needed for ${failedSteps.join(', ')}`
+          : 'Payment approved successfully'
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Bank statement resolve error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve statement line',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,55 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { setBundleCourses } from '../../../lib/bundles'
+
+/**
+ * API endpoint for setting the courses in a bundle
+ *
+ * POST /api/bundles/courses
+ * Body: { bundleId: string, courseIds: string[], adminId: string }
+ *
+ * `courseIds` replaces the bundle's courses, in display order. Students who
+ * already bought the bundle are granted any newly added course.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { bundleId, courseIds, adminId } = req.body
+
+    if (!bundleId || !Array.isArray(courseIds) || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    if (new Set(courseIds).size !== courseIds.length) {
+      return res.status(400).json({ message: 'A course can only be added to a bundle once' })
+    }
+
+    const { added, removed, ownersUpdated } = await setBundleCourses(bundleId, courseIds)
+
+    res.status(200).json({
+      success: true,
+      added,
+      removed,
+      ownersUpdated,
+      message: ownersUpdated
+        ? `Bundle updated and ${ownersUpdated} existing student${ownersUpdated === 1 ? '' : 's'} granted the new courses`
+        : 'Bundle updated'
+    })
+
+  } catch (error) {
+    console.error('Bundle courses update error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update bundle courses',
+      error: error.message
+    })
+  }
+}
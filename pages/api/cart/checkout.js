@@ -0,0 +1,141 @@
+import { supabase } from '../../../lib/supabase-admin'
+import { prepareCartOrder } from '../../../lib/cart'
+import { convertAmount, applyRateSnapshot } from '../../../lib/exchange-rates'
+import { createCheckoutSession } from '../../../lib/stripe'
+import { generatePayHereHash, PAYHERE_CONFIG } from '../../../lib/payhere'
+import { getReferralPaymentFields } from '../../../lib/affiliates'
+import { ValidationError, NotFoundError, PaymentError } from '../../../lib/errors'
+import { getOrderTitle } from '../../../utils/cart'
+import { CURRENCY, AFFILIATE } from '../../../utils/constants'
+
+// Card payments are charged in USD
+const STRIPE_CURRENCY = 'USD'
+
+/**
+ * Store the pending payment for a cart order
+ */
+async function createOrderPayment(userId, order, method, fields = {}) {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .insert({
+      user_id: userId,
+      order_items: order.items,
+      amount: order.total,
+      currency: CURRENCY.CODE,
+      status: 'pending',
+      method,
+      ...fields,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return payment
+}
+
+/**
+ * API endpoint for checking out the cart
+ *
+ * POST /api/cart/checkout
+ * Body: { userId: string, method: 'stripe' | 'payhere' }
+ *
+ * Creates one payment for every course in the cart, priced from the
+ * courses table. Returns a Stripe checkout URL with one line item per
+ * course, or a single PayHere order and hash, in the same shape as the
+ * regular course checkout endpoints. Courses leave the cart once the
+ * student owns them, so an abandoned checkout leaves it intact.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, method } = req.body
+
+    if (!userId || !['stripe', 'payhere'].includes(method)) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('profiles')
+      .select('id, email')
+      .eq('id', userId)
+      .maybeSingle()
+
+    if (userError) throw userError
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const order = await prepareCartOrder(userId)
+    const title = getOrderTitle(order.items)
+    const referralFields = await getReferralPaymentFields(req.cookies?.[AFFILIATE.COOKIE], userId)
+
+    if (method === 'payhere') {
+      const payment = await createOrderPayment(userId, order, method, referralFields)
+
+      return res.status(200).json({
+        success: true,
+        hash: generatePayHereHash(payment.id, payment.amount),
+        merchant_id: PAYHERE_CONFIG.MERCHANT_ID,
+        order_id: payment.id,
+        amount: Number(payment.amount).toFixed(2),
+        title
+      })
+    }
+
+    // One rate for the whole order; each line is converted with it so the
+    // session total matches the stored charged amount
+    const charge = await convertAmount(order.total, CURRENCY.CODE, STRIPE_CURRENCY)
+    const lineItems = order.items.map(item => ({
+      name: item.title,
+      description: 'Online Course Access',
+      amount: charge.snapshot ? applyRateSnapshot(item.amount, charge.snapshot) : item.amount
+    }))
+    const chargedAmount = Math.round(lineItems.reduce((sum, item) => sum + item.amount * 100, 0)) / 100
+
+    const payment = await createOrderPayment(userId, order, method, {
+      charged_amount: chargedAmount,
+      charged_currency: charge.currency,
+      exchange_rate: charge.rate,
+      exchange_rate_snapshot: charge.snapshot,
+      ...referralFields
+    })
+
+    const origin = req.headers.origin || process.env.NEXT_PUBLIC_APP_URL
+
+    const session = await createCheckoutSession({
+      lineItems,
+      customerEmail: user.email,
+      userId,
+      successUrl: `${origin}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancelUrl: `${origin}/courses?canceled=true`,
+      metadata: { payment_id: payment.id }
+    })
+
+    await supabase
+      .from('payments')
+      .update({ stripe_session_id: session.sessionId })
+      .eq('id', payment.id)
+
+    res.status(200).json({
+      success: true,
+      sessionId: session.sessionId,
+      url: session.url
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Cart checkout error:', error)
+    res.status(500).json({
+      error: 'Failed to start cart checkout',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,49 @@
+import { getCart, addToCart, removeCoursesFromCart } from '../../../lib/cart'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for a student's saved cart
+ *
+ * GET /api/cart?userId=...
+ * POST /api/cart    Body: { userId: string, courseId: string }
+ * DELETE /api/cart  Body: { userId: string, courseId: string }
+ *
+ * Every method responds with the cart afterwards as `items`.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, courseId } = req.method === 'GET' ? req.query : req.body
+
+    if (!userId || (req.method !== 'GET' && !courseId)) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    let items
+    if (req.method === 'POST') {
+      items = await addToCart(userId, courseId)
+    } else {
+      if (req.method === 'DELETE') {
+        await removeCoursesFromCart(userId, [courseId])
+      }
+      items = await getCart(userId)
+    }
+
+    res.status(200).json({ success: true, items })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Cart error:', error)
+    res.status(500).json({
+      error: 'Failed to update cart',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,36 @@
+import { mergeGuestCart } from '../../../lib/cart'
+
+/**
+ * API endpoint for merging a guest cart into a student's saved cart
+ *
+ * POST /api/cart/sync
+ * Body: { userId: string, courseIds: string[] }
+ *
+ * Called once after sign-in with the courses kept in local storage.
+ * Courses that cannot be bought are dropped silently.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, courseIds } = req.body
+
+    if (!userId || !Array.isArray(courseIds)) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const items = await mergeGuestCart(userId, courseIds)
+
+    res.status(200).json({ success: true, items })
+
+  } catch (error) {
+    console.error('Cart sync error:', error)
+    res.status(500).json({
+      error: 'Failed to sync cart',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,62 @@
+import { supabase } from '../../../lib/supabase-admin'
+import { validateCoupon } from '../../../lib/coupons'
+import { ValidationError } from '../../../lib/errors'
+
+/**
+ * API endpoint for previewing a coupon before checkout
+ *
+ * POST /api/coupons/validate
+ * Body: { code: string, courseId?: string, bundleId?: string, userId: string }
+ *
+ * The discount is re-validated by every checkout endpoint, so this is only
+ * used to show the student the price they will pay.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { code, courseId, bundleId, userId } = req.body
+
+    if (!code || !userId || !courseId === !bundleId) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const { data: item, error: itemError } = await supabase
+      .from(bundleId ? 'bundles' : 'courses')
+      .select('id, price')
+      .eq('id', bundleId || courseId)
+      .single()
+
+    if (itemError || !item) {
+      return res.status(404).json({ error: bundleId ? 'Bundle not found' : 'Course not found' })
+    }
+
+    const { coupon, originalAmount, discountAmount, finalAmount } = await validateCoupon({
+      code,
+      userId,
+      courseId,
+      amount: item.price
+    })
+
+    res.status(200).json({
+      success: true,
+      code: coupon.code,
+      discountType: coupon.discount_type,
+      discountValue: coupon.discount_value,
+      originalAmount,
+      discountAmount,
+      finalAmount
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    console.error('Coupon validation error:', error)
+    res.status(500).json({ error: 'Failed to validate coupon', details: error.message })
+  }
+}
@@ -27,6 +27,7 @@ import {
   createNotFoundError,
   ErrorCode
 } from '../../../utils/error'
+import { SUPPORTED_CURRENCIES } from '../../../utils/constants'
 
 /**
  * @typedef {Object} Lesson
@@ -46,6 +47,7 @@ import {
  * @property {string} description - Course description
  * @property {number} price - Course price
  * @property {string} currency - Course currency (default: USD)
+ * @property {Object<string, number>} prices - Listed prices in other currencies
  * @property {string} category - Course category
  * @property {string} level - Course level (beginner, intermediate, advanced)
  * @property {string} status - Course status (draft, published)
@@ -75,6 +77,12 @@ import {
  */
 
 // Validation schemas
+// Prices in currencies other than LKR, e.g. { USD: 15 }
+const coursePriceListSchema = z.record(
+  z.enum(Object.keys(SUPPORTED_CURRENCIES)),
+  z.number().positive('Price must be greater than 0')
+)
+
 const courseIdSchema = z.object({
   id: z.string().uuid('Invalid course ID format')
 })
@@ -88,7 +96,8 @@ const updateCourseSchema = courseSchema.partial().extend({
   what_you_learn: z.array(z.string()).optional(),
   requirements: z.array(z.string()).optional(),
   featured: z.boolean().optional(),
-  published: z.boolean().optional()
+  published: z.boolean().optional(),
+  prices: coursePriceListSchema.optional()
 })
 
 /**
@@ -126,6 +135,7 @@ function transformCourse(course) {
     description: course.description,
     price: course.price,
     currency: course.currency || 'USD',
+    prices: course.prices || {},
     category: course.category,
     level: course.level,
     status: course.status,
@@ -3,6 +3,8 @@
  *
  * Handles bulk operations for course lessons including fetching all lessons
  * for a course and performing bulk updates, inserts, and deletions.
+ * Lessons are grouped under course sections, which are saved in the same
+ * request so lessons can be moved between them.
  *
  * @route GET /api/courses/[id]/lessons - Get all lessons for a course
  * @route POST /api/courses/[id]/lessons - Bulk update/create/delete lessons
@@ -37,13 +39,27 @@ const lessonUpdateSchema = lessonSchema.partial().extend({
   type: z.enum(['video', 'text', 'quiz', 'assignment']).optional(),
   content: z.string().optional(),
   is_preview: z.boolean().optional().default(false),
-  is_free: z.boolean().optional().default(false)
+  is_free: z.boolean().optional().default(false),
+  // A section id from this course or from `sections`, null for none,
+  // left out to keep the lesson where it is
+  section_id: z.string().nullable().optional()
+})
+
+// New sections have a temporary id until they are saved
+const sectionSchema = z.object({
+  id: z.string().min(1),
+  title: z.string().trim().min(1, 'Section title is required').max(200, 'Section title is too long'),
+  description: z.string().nullable().optional()
 })
 
 const bulkLessonsSchema = z.object({
   action: z.enum(['bulk_update']),
-  lessons: z.array(lessonUpdateSchema).min(1, 'At least one lesson is required'),
-  deletedLessons: z.array(z.string().uuid()).optional().default([])
+  // May be empty while a course only has sections
+  lessons: z.array(lessonUpdateSchema),
+  deletedLessons: z.array(z.string().uuid()).optional().default([]),
+  // In order; left out to keep the course's sections as they are
+  sections: z.array(sectionSchema).optional(),
+  deletedSections: z.array(z.string().uuid()).optional().default([])
 })
 
 /**
@@ -59,15 +75,26 @@ const bulkLessonsSchema = z.object({
  * @property {number} order
  * @property {boolean} is_preview
  * @property {boolean} is_free
+ * @property {string|null} section_id
  * @property {string} created_at
  * @property {string} updated_at
  */
 
+/**
+ * @typedef {Object} SectionData
+ * @property {string} id
+ * @property {string} course_id
+ * @property {string} title
+ * @property {string|null} description
+ * @property {number} position
+ */
+
 /**
  * @typedef {Object} LessonsResponse
  * @property {boolean} success
  * @property {LessonData[]} [data]
  * @property {LessonData[]} [lessons]
+ * @property {SectionData[]} [sections]
  * @property {string} [message]
  */
 
@@ -76,6 +103,7 @@ const bulkLessonsSchema = z.object({
  * @property {boolean} success
  * @property {LessonData[]} [data]
  * @property {LessonData[]} [lessons]
+ * @property {SectionData[]} [sections]
  * @property {string} message
  */
 
@@ -127,11 +155,27 @@ function transformLesson(lesson) {
     order: lesson.order || lesson.order_index || 0,
     is_preview: lesson.is_preview || false,
     is_free: lesson.is_free || false,
+    section_id: lesson.section_id || null,
     created_at: lesson.created_at,
     updated_at: lesson.updated_at
   }
 }
 
+/**
+ * Transform section data for response
+ * @param {any} section
+ * @returns {SectionData}
+ */
+function transformSection(section) {
+  return {
+    id: section.id,
+    course_id: section.course_id,
+    title: section.title,
+    description: section.description || null,
+    position: section.position || 0
+  }
+}
+
 /**
  * GET handler - Fetch all lessons for a course
  * @param {import('next').NextApiRequest} req
@@ -153,31 +197,43 @@ async function getLessons(req, res) {
     const cached = getCached(cacheKey)
 
     if (cached) {
-      logger.info('Serving lessons from cache', 'API', { courseId, count: cached.length })
+      logger.info('Serving lessons from cache', 'API', { courseId, count: cached.lessons.length })
       return res.status(200).json({
         success: true,
-        data: cached,
-        lessons: cached // For compatibility
+        data: cached.lessons,
+        lessons: cached.lessons, // For compatibility
+        sections: cached.sections
       })
     }
 
     // Fetch from database
-    const { data: lessons, error } = await supabaseAdmin
-      .from('lessons')
-      .select('*')
-      .eq('course_id', courseId)
-      .order('order', { ascending: true })
-
-    if (error) {
-      logger.error('Database error fetching lessons', 'API', { error, courseId })
+    const [
+      { data: lessons, error },
+      { data: sections, error: sectionsError }
+    ] = await Promise.all([
+      supabaseAdmin
+        .from('lessons')
+        .select('*')
+        .eq('course_id', courseId)
+        .order('order', { ascending: true }),
+      supabaseAdmin
+        .from('course_sections')
+        .select('*')
+        .eq('course_id', courseId)
+        .order('position', { ascending: true })
+    ])
+
+    if (error || sectionsError) {
+      logger.error('Database error fetching lessons', 'API', { error: error || sectionsError, courseId })
       throw new Error('Failed to fetch lessons from database')
     }
 
     // Transform lessons
     const transformedLessons = (lessons || []).map(transformLesson)
+    const transformedSections = (sections || []).map(transformSection)
 
     // Cache the results (5 minutes TTL)
-    setCached(cacheKey, transformedLessons, 300000)
+    setCached(cacheKey, { lessons: transformedLessons, sections: transformedSections }, 300000)
 
     const duration = Date.now() - startTime
     logger.performance('Lessons fetch', duration)
@@ -191,7 +247,8 @@ async function getLessons(req, res) {
     return res.status(200).json({
       success: true,
       data: transformedLessons,
-      lessons: transformedLessons // For compatibility
+      lessons: transformedLessons, // For compatibility
+      sections: transformedSections
     })
 
   } catch (error) {
@@ -225,9 +282,10 @@ async function getLessons(req, res) {
  * @param {any} lessonData
  * @param {string} courseId
  * @param {number} order
+ * @param {string|null|undefined} sectionId - undefined keeps the current section
  * @returns {Promise<LessonData[]>}
  */
-async function updateLesson(lessonData, courseId, order) {
+async function updateLesson(lessonData, courseId, order, sectionId) {
   const sanitizedData = sanitizeObject(lessonData)
 
   const updateData = {
@@ -240,6 +298,7 @@ async function updateLesson(lessonData, courseId, order) {
     order,
     is_preview: sanitizedData.is_preview || false,
     is_free: sanitizedData.is_free || false,
+    ...(sectionId !== undefined && { section_id: sectionId }),
     updated_at: new Date().toISOString()
   }
 
@@ -267,9 +326,10 @@ async function updateLesson(lessonData, courseId, order) {
  * @param {any} lessonData
  * @param {string} courseId
  * @param {number} order
+ * @param {string|null} [sectionId]
  * @returns {Promise<LessonData[]>}
  */
-async function createLesson(lessonData, courseId, order) {
+async function createLesson(lessonData, courseId, order, sectionId) {
   const sanitizedData = sanitizeObject(lessonData)
 
   const insertData = {
@@ -283,6 +343,7 @@ async function createLesson(lessonData, courseId, order) {
     order,
     is_preview: sanitizedData.is_preview || false,
     is_free: sanitizedData.is_free || false,
+    section_id: sectionId || null,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   }
@@ -335,6 +396,97 @@ async function deleteLessons(lessonIds, courseId) {
   })
 }
 
+/**
+ * Delete, update and create a course's sections
+ * @param {Array<{ id: string, title: string, description?: string|null }>|undefined} sections - in order
+ * @param {string[]} deletedSectionIds
+ * @param {string} courseId
+ * @returns {Promise<{ sections: SectionData[], sectionIds: Map<string, string> }>}
+ *   sectionIds maps the ids lessons may use, temporary ones included, to saved ids
+ */
+async function saveSections(sections, deletedSectionIds, courseId) {
+  if (deletedSectionIds.length > 0) {
+    // Their lessons are left without a section
+    const { error } = await supabaseAdmin
+      .from('course_sections')
+      .delete()
+      .in('id', deletedSectionIds)
+      .eq('course_id', courseId)
+
+    if (error) {
+      logger.error('Failed to delete sections', 'API', { deletedSectionIds, courseId, error })
+      throw new Error('Failed to delete sections')
+    }
+  }
+
+  const { data: existing, error: fetchError } = await supabaseAdmin
+    .from('course_sections')
+    .select('*')
+    .eq('course_id', courseId)
+    .order('position', { ascending: true })
+
+  if (fetchError) {
+    logger.error('Failed to fetch sections', 'API', { courseId, error: fetchError })
+    throw new Error('Failed to fetch sections')
+  }
+
+  const sectionIds = new Map((existing || []).map(section => [section.id, section.id]))
+  if (!sections) {
+    return { sections: (existing || []).map(transformSection), sectionIds }
+  }
+
+  const saved = []
+  for (const [position, section] of sections.entries()) {
+    const sanitizedData = sanitizeObject(section)
+    const sectionData = {
+      title: sanitizedData.title,
+      description: sanitizedData.description || null,
+      position,
+      updated_at: new Date().toISOString()
+    }
+
+    const isExisting = sectionIds.has(section.id)
+    const { data, error } = isExisting
+      ? await supabaseAdmin
+        .from('course_sections')
+        .update(sectionData)
+        .eq('id', section.id)
+        .eq('course_id', courseId)
+        .select()
+        .single()
+      : await supabaseAdmin
+        .from('course_sections')
+        .insert([{ ...sectionData, course_id: courseId }])
+        .select()
+        .single()
+
+    if (error) {
+      logger.error('Failed to save section', 'API', { courseId, sectionId: section.id, error })
+      throw new Error(`Failed to save section: ${sanitizedData.title}`)
+    }
+
+    sectionIds.set(section.id, data.id)
+    saved.push(transformSection(data))
+  }
+
+  return { sections: saved, sectionIds }
+}
+
+/**
+ * Saved section id for a lesson
+ * @param {string|null|undefined} sectionId - as sent by the client
+ * @param {Map<string, string>} sectionIds - from saveSections
+ * @returns {string|null|undefined}
+ */
+function resolveSectionId(sectionId, sectionIds) {
+  if (sectionId === undefined) return undefined
+  if (!sectionId) return null
+  if (!sectionIds.has(sectionId)) {
+    throw new ValidationError(`Section ${sectionId} does not belong to this course`)
+  }
+  return sectionIds.get(sectionId)
+}
+
 /**
  * POST handler - Bulk update/create/delete lessons
  * @param {import('next').NextApiRequest} req
@@ -352,7 +504,9 @@ async function bulkUpdateLessons(req, res) {
       courseId,
       action: validatedData.action,
       lessonsCount: validatedData.lessons.length,
-      deletedCount: validatedData.deletedLessons.length
+      deletedCount: validatedData.deletedLessons.length,
+      sectionsCount: validatedData.sections?.length,
+      deletedSectionsCount: validatedData.deletedSections.length
     })
 
     // Validate course exists
@@ -365,26 +519,35 @@ async function bulkUpdateLessons(req, res) {
       await deleteLessons(validatedData.deletedLessons, courseId)
     }
 
+    // Sections next, so lessons can be moved into new ones
+    const { sections, sectionIds } = await saveSections(
+      validatedData.sections,
+      validatedData.deletedSections,
+      courseId
+    )
+
     // Process lessons (update existing or create new)
     for (let i = 0; i < validatedData.lessons.length; i++) {
       const lesson = validatedData.lessons[i]
       const order = i + 1
+      const sectionId = resolveSectionId(lesson.section_id, sectionIds)
 
       logger.debug(`Processing lesson ${i + 1}/${validatedData.lessons.length}`, 'API', {
         courseId,
         lessonId: lesson.id,
         title: lesson.title,
-        order
+        order,
+        sectionId
       })
 
       try {
         if (lesson.id && !validatedData.deletedLessons.includes(lesson.id)) {
           // Update existing lesson
-          const updatedLessons = await updateLesson(lesson, courseId, order)
+          const updatedLessons = await updateLesson(lesson, courseId, order, sectionId)
           results.push(...updatedLessons.map(transformLesson))
         } else {
           // Create new lesson
-          const createdLessons = await createLesson(lesson, courseId, order)
+          const createdLessons = await createLesson(lesson, courseId, order, sectionId)
           results.push(...createdLessons.map(transformLesson))
         }
       } catch (lessonError) {
@@ -415,6 +578,7 @@ async function bulkUpdateLessons(req, res) {
       success: true,
       data: results,
       lessons: results, // For compatibility
+      sections,
       message: 'Lessons updated successfully'
     })
 
@@ -30,6 +30,7 @@ import {
   createNotFoundError,
   ErrorCode
 } from '../../../utils/error'
+import { SUPPORTED_CURRENCIES } from '../../../utils/constants'
 
 /**
  * @typedef {Object} CourseWithStats
@@ -38,6 +39,7 @@ import {
  * @property {string} description - Course description
  * @property {number} price - Course price
  * @property {string} currency - Course currency (default: USD)
+ * @property {Object<string, number>} prices - Listed prices in other currencies
  * @property {string} category - Course category
  * @property {string} level - Course level (beginner, intermediate, advanced)
  * @property {string} status - Course status (draft, published)
@@ -75,6 +77,12 @@ import {
  */
 
 // Extended validation schemas
+// Prices in currencies other than LKR, e.g. { USD: 15 }
+const coursePriceListSchema = z.record(
+  z.enum(Object.keys(SUPPORTED_CURRENCIES)),
+  z.number().positive('Price must be greater than 0')
+)
+
 const createCourseSchema = courseSchema.extend({
   category: z.string().min(1, 'Category is required'),
   level: z.enum(['beginner', 'intermediate', 'advanced']),
@@ -83,7 +91,8 @@ const createCourseSchema = courseSchema.extend({
   intro_video: z.string().url('Invalid intro video URL').optional(),
   what_you_learn: z.array(z.string()).optional().default([]),
   requirements: z.array(z.string()).optional().default([]),
-  featured: z.boolean().optional().default(false)
+  featured: z.boolean().optional().default(false),
+  prices: coursePriceListSchema.optional().default({})
 })
 
 const courseQuerySchema = searchParamsSchema.extend({
@@ -164,6 +173,7 @@ function transformCourseWithStats(course) {
     description: course.description,
     price: course.price,
     currency: course.currency || 'USD',
+    prices: course.prices || {},
     category: course.category,
     level: course.level,
     status: course.status,
@@ -307,6 +317,7 @@ async function createCourse(req, res) {
         description: validatedData.description,
         price: validatedData.price,
         currency: validatedData.currency,
+        prices: validatedData.prices,
         category: validatedData.category,
         level: validatedData.level,
         thumbnail: validatedData.thumbnail,
@@ -0,0 +1,61 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { parseExchangeRateCsv, importExchangeRates } from '../../../lib/exchange-rates'
+
+/**
+ * API endpoint for importing exchange rates from a CSV file
+ *
+ * POST /api/exchange-rates/import
+ * Body: { csv: string, adminId: string }
+ *
+ * CSV header: base_currency,quote_currency,rate,effective_from
+ * Nothing is saved unless every line is valid. A line for an existing
+ * pair and date replaces that rate.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { csv, adminId } = req.body
+
+    if (!csv || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { rows, errors } = parseExchangeRateCsv(csv)
+
+    if (errors.length) {
+      return res.status(400).json({
+        message: `CSV has ${errors.length} invalid line${errors.length === 1 ? '' : 's'}`,
+        errors
+      })
+    }
+
+    if (!rows.length) {
+      return res.status(400).json({ message: 'CSV contains no rates' })
+    }
+
+    const rates = await importExchangeRates(rows, adminId)
+
+    res.status(200).json({
+      success: true,
+      imported: rates.length,
+      message: `Imported ${rates.length} exchange rate${rates.length === 1 ? '' : 's'}`
+    })
+
+  } catch (error) {
+    console.error('Exchange rate import error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import exchange rates',
+      error: error.message
+    })
+  }
+}
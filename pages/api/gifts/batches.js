@@ -0,0 +1,67 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { createGiftCodeBatch } from '../../../lib/gifts'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for generating prepaid gift codes
+ *
+ * POST /api/gifts/batches
+ * Body: {
+ *   adminId: string,
+ *   label: string,
+ *   courseId?: string,
+ *   bundleId?: string,
+ *   quantity: number,
+ *   expiresAt?: string
+ * }
+ *
+ * Creates a batch of single-use codes for a course or bundle, e.g. for a
+ * school or tuition class, and returns them for export.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { adminId, label, courseId, bundleId, quantity, expiresAt } = req.body
+
+    if (!adminId || !label || !quantity) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { batch, giftCodes } = await createGiftCodeBatch({
+      label,
+      courseId,
+      bundleId,
+      quantity,
+      expiresAt,
+      adminId
+    })
+
+    res.status(200).json({
+      success: true,
+      batch,
+      giftCodes,
+      message: `${giftCodes.length} gift code${giftCodes.length === 1 ? '' : 's'} generated`
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Gift code batch error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate gift codes',
+      error: error.message
+    })
+  }
+}
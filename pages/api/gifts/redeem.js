@@ -0,0 +1,48 @@
+import { redeemGiftCode } from '../../../lib/gifts'
+import { ValidationError } from '../../../lib/errors'
+
+/**
+ * API endpoint for redeeming a gift or prepaid course code
+ *
+ * POST /api/gifts/redeem
+ * Body: { userId: string, code: string }
+ *
+ * Grants the code's course, or every course in its bundle, to the user.
+ * Each code can be redeemed once.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, code } = req.body
+
+    if (!userId || !code) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const { giftCode, courseIds } = await redeemGiftCode({ code, userId })
+
+    res.status(200).json({
+      success: true,
+      courseIds,
+      courseId: giftCode.course_id,
+      bundleId: giftCode.bundle_id,
+      title: giftCode.courses?.title || giftCode.bundles?.title,
+      message: 'Gift redeemed successfully'
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    console.error('Gift redemption error:', error)
+    res.status(500).json({
+      error: 'Failed to redeem gift code',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,127 @@
+import { supabase } from '../../../lib/supabase-admin'
+import {
+  startInstallmentSchedule,
+  getPayableInstallment,
+  createInstallmentPayment
+} from '../../../lib/installments'
+import { convertAmount } from '../../../lib/exchange-rates'
+import { createCheckoutSession } from '../../../lib/stripe'
+import { generatePayHereHash, PAYHERE_CONFIG } from '../../../lib/payhere'
+import { ValidationError, NotFoundError, PaymentError } from '../../../lib/errors'
+import { CURRENCY } from '../../../utils/constants'
+
+// Card payments are charged in USD
+const STRIPE_CURRENCY = 'USD'
+
+/**
+ * API endpoint for paying an installment
+ *
+ * POST /api/installments/checkout
+ * Body: {
+ *   userId: string,
+ *   method: 'stripe' | 'payhere',
+ *   courseId?: string,
+ *   planId?: string,
+ *   installmentId?: string
+ * }
+ *
+ * Send courseId and planId to start a plan and pay its first installment,
+ * or installmentId to pay the next installment of an existing plan.
+ * Returns a Stripe checkout URL, or the PayHere order and hash, in the
+ * same shape as the regular course checkout endpoints.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, method, courseId, planId, installmentId } = req.body
+
+    if (!userId || !['stripe', 'payhere'].includes(method) ||
+        (!installmentId && !(courseId && planId))) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('profiles')
+      .select('id, email')
+      .eq('id', userId)
+      .maybeSingle()
+
+    if (userError) throw userError
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    const { schedule, installment, course } = installmentId
+      ? await getPayableInstallment(installmentId, userId)
+      : await startInstallmentSchedule({ userId, courseId, planId })
+
+    const title = `${course.title} (installment ${installment.installment_number} of ${schedule.installment_count})`
+
+    if (method === 'payhere') {
+      const payment = await createInstallmentPayment({ installment, schedule, method })
+
+      return res.status(200).json({
+        success: true,
+        hash: generatePayHereHash(payment.id, payment.amount),
+        merchant_id: PAYHERE_CONFIG.MERCHANT_ID,
+        order_id: payment.id,
+        amount: Number(payment.amount).toFixed(2),
+        title
+      })
+    }
+
+    const charge = await convertAmount(installment.amount, CURRENCY.CODE, STRIPE_CURRENCY)
+
+    const payment = await createInstallmentPayment({
+      installment,
+      schedule,
+      method,
+      fields: {
+        charged_amount: charge.amount,
+        charged_currency: charge.currency,
+        exchange_rate: charge.rate,
+        exchange_rate_snapshot: charge.snapshot
+      }
+    })
+
+    const origin = req.headers.origin || process.env.NEXT_PUBLIC_APP_URL
+
+    const session = await createCheckoutSession({
+      courseId: course.id,
+      courseName: title,
+      courseDescription: course.description || title,
+      amount: charge.amount,
+      customerEmail: user.email,
+      userId,
+      successUrl: `${origin}/payment/success?session_id={CHECKOUT_SESSION_ID}&course_id=${course.id}`,
+      cancelUrl: `${origin}/courses/${course.id}?canceled=true`,
+      metadata: { payment_id: payment.id, installment_id: installment.id }
+    })
+
+    await supabase
+      .from('payments')
+      .update({ stripe_session_id: session.sessionId })
+      .eq('id', payment.id)
+
+    res.status(200).json({
+      success: true,
+      sessionId: session.sessionId,
+      url: session.url
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Installment checkout error:', error)
+    res.status(500).json({
+      error: 'Failed to start installment payment',
+      details: error.message
+    })
+  }
+}
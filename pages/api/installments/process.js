@@ -0,0 +1,36 @@
+import { processInstallments } from '../../../lib/installments'
+
+/**
+ * API endpoint for the daily installment job
+ *
+ * GET|POST /api/installments/process
+ * Header: Authorization: Bearer <CRON_SECRET>
+ *
+ * Sends reminders for installments due within a few days and suspends
+ * course access for installments overdue past the grace period. Meant to
+ * be called once a day by a scheduler; running it more often is harmless.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const secret = process.env.CRON_SECRET
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+
+  try {
+    const { reminded, suspended } = await processInstallments()
+
+    res.status(200).json({ success: true, reminded, suspended })
+
+  } catch (error) {
+    console.error('Installment processing error:', error)
+    res.status(500).json({
+      error: 'Failed to process installments',
+      details: error.message
+    })
+  }
+}
@@ -1,19 +1,49 @@
-import { generateInvoicePDF } from '../../../lib/invoice'
-import { supabase } from '../../../lib/supabase-admin'
+import { supabase, isAdminServer } from '../../../lib/supabase-admin'
+import {
+  DOCUMENT_TYPE,
+  INVOICE_URL_TTL,
+  issueInvoiceForPayment,
+  issueCreditNoteForPayment,
+  storeInvoicePdf,
+  getInvoiceFileName,
+  getInvoiceSignedUrl
+} from '../../../lib/invoicing'
 
+// Payments that have been paid at some point and so carry an invoice
+const INVOICED_STATUSES = ['approved', 'completed', 'refunded']
+
+/**
+ * API endpoint returning a short-lived link to a payment's invoice or
+ * credit note
+ *
+ * GET /api/invoice/generate?paymentId=...&type=invoice|credit_note&userId=...
+ * GET /api/invoice/generate?paymentId=...&type=invoice|credit_note&adminId=...
+ *
+ * Only the paying student or an admin can download. Documents are issued
+ * and stored on first download when fulfillment did not do it, and every
+ * later download serves that same stored file.
+ */
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
     return res.status(405).json({ error: 'Method not allowed' })
   }
 
   try {
-    const { paymentId } = req.query
+    const { paymentId, type = DOCUMENT_TYPE.INVOICE, userId, adminId } = req.query
+
+    if (!paymentId || (!userId && !adminId)) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!Object.values(DOCUMENT_TYPE).includes(type)) {
+      return res.status(400).json({ error: 'Invalid document type' })
+    }
 
-    if (!paymentId) {
-      return res.status(400).json({ error: 'Payment ID is required' })
+    if (adminId && !(await isAdminServer(adminId))) {
+      return res.status(403).json({ error: 'Admin access required' })
     }
 
-    // Fetch payment details with related data
     const { data: payment, error: paymentError } = await supabase
       .from('payments')
       .select(`
@@ -23,74 +53,51 @@ export default async function handler(req, res) {
           email
         ),
         courses (
-          title,
-          description
+          title
+        ),
+        bundles (
+          title
         )
       `)
       .eq('id', paymentId)
-      .eq('status', 'approved')
-      .single()
+      .in('status', INVOICED_STATUSES)
+      .maybeSingle()
 
     if (paymentError) throw paymentError
 
-    if (!payment) {
+    // Someone else's payment looks the same as a missing one
+    if (!payment || (!adminId && payment.user_id !== userId)) {
       return res.status(404).json({ error: 'Payment not found or not approved' })
     }
 
-    // Generate invoice data
-    const invoiceData = {
-      invoiceNumber: `INV-${payment.id.toString()}`,
-      date: new Date(payment.created_at).toLocaleDateString(),
-      dueDate: new Date(payment.created_at).toLocaleDateString(),
-      
-      // Company details
-      company: {
-        name: 'MathPro Academy',
-        address: 'Colombo, Sri Lanka',
-        email: 'support@mathslms.com',
-        phone: '+94 11 234 5678'
-      },
-      
-      // Customer details
-      customer: {
-        name: payment.profiles.name || 'N/A',
-        email: payment.profiles.email,
-        // phone: 'N/A'
-      },
-      
-      // Items
-      items: [
-        {
-          description: payment.courses.title,
-          quantity: 1,
-          unitPrice: payment.amount,
-          total: payment.amount
-        }
-      ],
-      
-      // Totals
-      // subtotal: payment.amount,
-       total: payment.amount,
-      
-      // Payment info
-      paymentMethod: payment.payment_method,
-      paymentId: payment.payment_id || payment.order_id,
-      paymentDate: new Date(payment.updated_at).toLocaleDateString()
-    }
+    let document
+    let creditedInvoice = null
+    if (type === DOCUMENT_TYPE.CREDIT_NOTE) {
+      if (payment.status !== 'refunded') {
+        return res.status(404).json({ error: 'Payment has not been refunded' })
+      }
 
-    // Generate PDF
-    const pdfBuffer = await generateInvoicePDF(invoiceData)
+      const documents = await issueCreditNoteForPayment(payment)
+      document = documents.creditNote
+      creditedInvoice = documents.invoice
+    } else {
+      document = await issueInvoiceForPayment(payment)
+    }
 
-    // Set response headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf')
-    res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoiceData.invoiceNumber}.pdf"`)
-    res.setHeader('Content-Length', pdfBuffer.length)
+    const { filePath } = await storeInvoicePdf(document, payment, creditedInvoice)
+    const filename = getInvoiceFileName(document)
+    const url = await getInvoiceSignedUrl(filePath, filename)
 
-    // Send PDF
-    res.send(pdfBuffer)
+    res.status(200).json({
+      success: true,
+      url,
+      filename,
+      invoiceNumber: document.invoice_number,
+      expiresIn: INVOICE_URL_TTL
+    })
 
   } catch (error) {
     console.error('Error generating invoice:', error)
     res.status(500).json({ error: 'Failed to generate invoice' })
   }
-}
\ No newline at end of file
+}
@@ -26,6 +26,8 @@ import {
   createNotFoundError,
   ErrorCode
 } from '../../../src/lib/errors'
+import { hasPassedQuiz } from '../../../lib/quizzes'
+import { LESSON_TYPES } from '../../../utils/constants'
 
 // Extended validation schema
 const lessonProgressSchema = progressSchema.extend({
@@ -111,19 +113,24 @@ async function trackProgressHandler(req, res) {
       throw new AuthError('Access denied to this course', ErrorCode.FORBIDDEN)
     }
 
+    // A quiz is complete once it has been passed, whatever the client reports
+    const lessonCompleted = lesson.type === LESSON_TYPES.QUIZ
+      ? await hasPassedQuiz(userId, lessonId)
+      : completed
+
     // Update lesson progress
     const progress = await upsertLessonProgress(
       lessonId,
       userId,
       progressPercentage,
       watchTime,
-      completed
+      lessonCompleted
     )
 
     let courseCompleted = false
 
     // If lesson is completed, check course completion
-    if (completed) {
+    if (lessonCompleted) {
       const completionStatus = await checkCourseCompletion(userId, courseId)
 
       if (completionStatus.completed) {
@@ -218,12 +225,12 @@ async function trackProgressHandler(req, res) {
  * Validate lesson exists and belongs to course
  * @param {string} lessonId
  * @param {string} courseId
- * @returns {Promise<{ id: string, course_id: string, title: string }>}
+ * @returns {Promise<{ id: string, course_id: string, title: string, type: string }>}
  */
 async function validateLessonAccess(lessonId, courseId) {
   const { data: lesson, error } = await supabaseAdmin
     .from('lessons')
-    .select('id, course_id, title')
+    .select('id, course_id, title, type')
     .eq('id', lessonId)
     .single()
 
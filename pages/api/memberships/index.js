@@ -0,0 +1,68 @@
+import { getMembershipPlans, createMembershipCheckout } from '../../../lib/memberships'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for membership plans and sign-up
+ *
+ * GET /api/memberships
+ * Returns the monthly and yearly plans with their prices.
+ *
+ * POST /api/memberships
+ * Body: { userId: string, plan: 'monthly' | 'yearly' }
+ *
+ * Starts a Stripe subscription checkout. The membership row is created by
+ * the subscription webhooks once Stripe confirms the first payment.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    try {
+      const plans = await getMembershipPlans()
+      return res.status(200).json({ success: true, plans })
+    } catch (error) {
+      console.error('Membership plans error:', error)
+      return res.status(500).json({
+        error: 'Failed to load membership plans',
+        details: error.message
+      })
+    }
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, plan } = req.body
+
+    if (!userId || !plan) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const origin = req.headers.origin || process.env.NEXT_PUBLIC_APP_URL
+
+    const session = await createMembershipCheckout({
+      userId,
+      plan,
+      successUrl: `${origin}/profile?membership=success`,
+      cancelUrl: `${origin}/profile?membership=canceled`
+    })
+
+    res.status(200).json({
+      success: true,
+      sessionId: session.sessionId,
+      url: session.url
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Membership checkout error:', error)
+    res.status(500).json({
+      error: 'Failed to start membership checkout',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,42 @@
+import { createMembershipPortal } from '../../../lib/memberships'
+import { NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for opening the Stripe billing portal
+ *
+ * POST /api/memberships/portal
+ * Body: { userId: string }
+ *
+ * Returns a portal URL where the student can update their card and
+ * download past membership invoices.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId } = req.body
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const origin = req.headers.origin || process.env.NEXT_PUBLIC_APP_URL
+    const { url } = await createMembershipPortal(userId, `${origin}/profile`)
+
+    res.status(200).json({ success: true, url })
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'No billing account found' })
+    }
+
+    console.error('Billing portal error:', error)
+    res.status(500).json({
+      error: 'Failed to open billing portal',
+      details: error.message
+    })
+  }
+}
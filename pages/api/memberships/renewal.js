@@ -0,0 +1,47 @@
+import { setMembershipRenewal } from '../../../lib/memberships'
+import { NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for turning membership auto-renewal off or on
+ *
+ * POST /api/memberships/renewal
+ * Body: { userId: string, cancel: boolean }
+ *
+ * Cancelling keeps access until the end of the paid period; Stripe then
+ * ends the subscription and sends `customer.subscription.deleted`.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, cancel } = req.body
+
+    if (!userId || typeof cancel !== 'boolean') {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const membership = await setMembershipRenewal(userId, cancel)
+
+    res.status(200).json({
+      success: true,
+      membership,
+      message: cancel
+        ? 'Your membership will end at the close of the current period'
+        : 'Your membership will renew automatically'
+    })
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: 'No active membership found' })
+    }
+
+    console.error('Membership renewal error:', error)
+    res.status(500).json({
+      error: 'Failed to update membership',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,282 @@
+import crypto from 'crypto'
+import { buffer } from 'micro'
+import { supabase } from '../../../lib/supabase-admin'
+import {
+  RECEIPT_BUCKET,
+  RECEIPT_TYPES,
+  generateTransferReference
+} from '../../../lib/bank-transfer'
+import { priceWithCoupon, getCouponLimitError } from '../../../lib/coupons'
+import { getPurchasableBundle } from '../../../lib/bundles'
+import { getGiftPaymentFields } from '../../../lib/gifts'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+import { FILE_LIMITS } from '../../../utils/constants'
+
+// Read as multipart/form-data below
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+}
+
+// Room for a 5MB receipt plus the other form fields
+const MAX_BODY_SIZE = '6mb'
+
+/**
+ * Parse the multipart form into its fields and receipt file
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<{ fields: Object, receipt: File|null }>}
+ */
+async function readTransferForm(req) {
+  const body = await buffer(req, { limit: MAX_BODY_SIZE })
+  const form = await new Response(body, {
+    headers: { 'content-type': req.headers['content-type'] || '' }
+  }).formData()
+
+  const fields = {}
+  for (const name of ['userId', 'courseId', 'bundleId', 'couponCode']) {
+    const value = form.get(name)
+    if (typeof value === 'string' && value) fields[name] = value
+  }
+
+  const gift = form.get('gift')
+  if (typeof gift === 'string' && gift) {
+    try {
+      fields.gift = JSON.parse(gift)
+    } catch {
+      throw new ValidationError('Gift details are invalid')
+    }
+  }
+
+  const receipt = form.get('receipt')
+  return { fields, receipt: typeof receipt === 'string' ? null : receipt }
+}
+
+/**
+ * API endpoint for submitting a bank transfer receipt
+ *
+ * POST /api/payments/bank-transfer
+ * Body (multipart/form-data): {
+ *   userId: string,
+ *   courseId?: string,
+ *   bundleId?: string,
+ *   receipt: File (JPG, PNG, WEBP or PDF, up to 5MB),
+ *   couponCode?: string,
+ *   gift?: string (JSON: { recipientEmail: string, recipientName?: string, message?: string })
+ * }
+ *
+ * Exactly one of courseId or bundleId is required. Stores the receipt in
+ * the private receipts bucket and creates a `pending` payment with a unique
+ * transfer reference for the admin review queue. A gift is emailed to its
+ * recipient as a redemption code once the transfer is approved.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    let form
+    try {
+      form = await readTransferForm(req)
+    } catch (error) {
+      if (error.statusCode === 413) {
+        return res.status(413).json({ error: 'Receipt must be smaller than 5MB' })
+      }
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message })
+      }
+      return res.status(400).json({ error: 'Submit the receipt as a multipart form upload' })
+    }
+
+    const { fields: { userId, courseId, bundleId, couponCode, gift }, receipt } = form
+
+    if (!userId || !receipt || !courseId === !bundleId) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const filename = receipt.name
+    const fileType = receipt.type
+    const extension = RECEIPT_TYPES[fileType]
+    if (!extension) {
+      return res.status(400).json({ error: 'Receipt must be a JPG, PNG, WEBP or PDF file' })
+    }
+
+    if (receipt.size === 0 || receipt.size > FILE_LIMITS.MAX_FILE_SIZE) {
+      return res.status(400).json({ error: 'Receipt must be smaller than 5MB' })
+    }
+    const receiptBuffer = Buffer.from(await receipt.arrayBuffer())
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id')
+      .eq('id', userId)
+      .single()
+
+    if (profileError || !profile) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    let giftFields
+    try {
+      giftFields = getGiftPaymentFields(gift)
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    let price
+    if (bundleId) {
+      try {
+        const bundle = await getPurchasableBundle(bundleId, userId, { gift: !!gift })
+        price = bundle.price
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          return res.status(404).json({ error: error.message })
+        }
+        if (error instanceof ValidationError) {
+          return res.status(400).json({ error: error.message })
+        }
+        throw error
+      }
+    } else {
+      const { data: course, error: courseError } = await supabase
+        .from('courses')
+        .select('id, title, price, status')
+        .eq('id', courseId)
+        .single()
+
+      if (courseError || !course) {
+        return res.status(404).json({ error: 'Course not found' })
+      }
+
+      if (course.status && course.status !== 'published') {
+        return res.status(400).json({ error: 'Course is not available for purchase' })
+      }
+
+      const { data: existingPurchase } = await supabase
+        .from('purchases')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('course_id', courseId)
+        .eq('access_granted', true)
+        .maybeSingle()
+
+      if (existingPurchase && !gift) {
+        return res.status(400).json({ error: 'You already have access to this course' })
+      }
+
+      price = course.price
+    }
+
+    const itemFields = bundleId ? { bundle_id: bundleId } : { course_id: courseId }
+
+    const { data: pendingPayment } = await supabase
+      .from('payments')
+      .select('id, transfer_reference')
+      .eq('user_id', userId)
+      .match(itemFields)
+      .eq('method', 'bank_transfer')
+      .eq('status', 'pending')
+      .eq('is_gift', !!gift)
+      .limit(1)
+      .maybeSingle()
+
+    if (pendingPayment) {
+      return res.status(409).json({
+        error: `A bank transfer for this ${bundleId ? 'bundle' : 'course'} is already awaiting review`,
+        transferReference: pendingPayment.transfer_reference
+      })
+    }
+
+    let pricing
+    try {
+      pricing = await priceWithCoupon({
+        code: couponCode,
+        userId,
+        courseId,
+        amount: price
+      })
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message })
+      }
+      throw error
+    }
+
+    if (pricing.finalAmount <= 0) {
+      return res.status(400).json({ error: 'Discounted amount is below the minimum transfer amount' })
+    }
+
+    const paymentId = crypto.randomUUID()
+    const receiptPath = `${userId}/${paymentId}.${extension}`
+
+    const { error: uploadError } = await supabase.storage
+      .from(RECEIPT_BUCKET)
+      .upload(receiptPath, receiptBuffer, {
+        contentType: fileType,
+        upsert: false
+      })
+
+    if (uploadError) {
+      console.error('Receipt upload error:', uploadError)
+      return res.status(500).json({ error: 'Failed to upload receipt', details: uploadError.message })
+    }
+
+    // The reference column is unique; retry on the rare collision
+    let payment = null
+    for (let attempt = 0; attempt < 3 && !payment; attempt++) {
+      const { data, error } = await supabase
+        .from('payments')
+        .insert({
+          id: paymentId,
+          user_id: userId,
+          ...itemFields,
+          amount: pricing.finalAmount,
+          currency: 'LKR',
+          method: 'bank_transfer',
+          status: 'pending',
+          ...pricing.paymentFields,
+          ...giftFields,
+          transfer_reference: generateTransferReference(),
+          receipt_path: receiptPath,
+          receipt_filename: filename,
+          created_at: new Date().toISOString()
+        })
+        .select()
+        .single()
+
+      if (!error) {
+        payment = data
+      } else if (error.code !== '23505') {
+        await supabase.storage.from(RECEIPT_BUCKET).remove([receiptPath])
+
+        // Another checkout took the coupon's last redemption
+        const couponError = getCouponLimitError(error)
+        if (couponError) {
+          return res.status(400).json({ error: couponError.message })
+        }
+        throw error
+      }
+    }
+
+    if (!payment) {
+      await supabase.storage.from(RECEIPT_BUCKET).remove([receiptPath])
+      return res.status(500).json({ error: 'Failed to allocate a transfer reference' })
+    }
+
+    res.status(200).json({
+      success: true,
+      paymentId: payment.id,
+      transferReference: payment.transfer_reference,
+      message: 'Bank transfer submitted for verification'
+    })
+
+  } catch (error) {
+    console.error('Bank transfer submission error:', error)
+    res.status(500).json({
+      error: 'Failed to submit bank transfer',
+      details: error.message
+    })
+  }
+}
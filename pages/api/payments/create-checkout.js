@@ -1,41 +1,63 @@
 /**
  * Payment API - Create Stripe Checkout Session
  *
- * Creates a Stripe checkout session for course payments with comprehensive
- * validation, error handling, and secure payment processing.
+ * Creates a Stripe checkout session for course or bundle payments with
+ * comprehensive validation, error handling, and secure payment processing.
  *
  * @route POST /api/payments/create-checkout
  */
 
 import { z } from 'zod'
 import Stripe from 'stripe'
-import { supabaseAdmin } from '../../../src/lib/supabase-admin'
-import { logger } from '../../../src/lib/logger'
+import { supabaseAdmin } from '../../../lib/supabase-admin'
+import { logger } from '../../../lib/logger'
 import {
   withMiddleware,
   createSuccessResponse,
   createErrorResponse,
   STRICT_RATE_LIMIT,
   sanitizeInput
-} from '../../../src/lib/api-utils'
+} from '../../../lib/api-utils'
 import {
   ValidationError,
   PaymentError,
+  NotFoundError,
   createNotFoundError,
   ErrorCode
-} from '../../../src/lib/errors'
+} from '../../../lib/errors'
+import { priceWithCoupon, getCouponLimitError } from '../../../lib/coupons'
+import { getPurchasableBundle } from '../../../lib/bundles'
+import { getGiftPaymentFields } from '../../../lib/gifts'
+import { getReferralPaymentFields } from '../../../lib/affiliates'
+import { convertAmount } from '../../../lib/exchange-rates'
+import { CURRENCY, SUPPORTED_CURRENCIES, AFFILIATE } from '../../../utils/constants'
+import { getListedCharge } from '../../../utils/currency'
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2023-10-16'
 })
 
+// Card payments are charged in USD unless the course lists a price in the
+// visitor's currency
+const STRIPE_CURRENCY = 'USD'
+
 // Validation schemas
 const createCheckoutSchema = z.object({
-  courseId: z.string().uuid('Invalid course ID format'),
+  courseId: z.string().uuid('Invalid course ID format').optional(),
+  bundleId: z.string().uuid('Invalid bundle ID format').optional(),
   userId: z.string().uuid('Invalid user ID format'),
+  couponCode: z.string().max(50, 'Coupon code too long').optional(),
+  currency: z.enum(Object.keys(SUPPORTED_CURRENCIES)).optional(),
+  gift: z.object({
+    recipientEmail: z.string().email('Invalid recipient email'),
+    recipientName: z.string().max(100, 'Recipient name too long').optional(),
+    message: z.string().max(500, 'Gift message too long').optional()
+  }).optional(),
   successUrl: z.string().url('Invalid success URL').optional(),
   cancelUrl: z.string().url('Invalid cancel URL').optional()
+}).refine(data => !!data.courseId !== !!data.bundleId, {
+  message: 'Provide either a course ID or a bundle ID'
 })
 
 /**
@@ -53,9 +75,21 @@ const createCheckoutSchema = z.object({
  * @property {string} description
  * @property {number} price
  * @property {string} currency
+ * @property {Object<string, number>} [prices] - listed prices in other currencies
  * @property {string} status
  */
 
+/**
+ * @typedef {Object} CheckoutItem
+ * @property {'course' | 'bundle'} type
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {number} price
+ * @property {string} currency
+ * @property {Object<string, number>} [prices] - listed prices in other currencies
+ */
+
 /**
  * @typedef {Object} UserData
  * @property {string} id
@@ -67,15 +101,29 @@ const createCheckoutSchema = z.object({
  * @typedef {Object} PaymentRecord
  * @property {string} id
  * @property {string} user_id
- * @property {string} course_id
+ * @property {string} [course_id]
+ * @property {string} [bundle_id]
  * @property {number} amount
  * @property {string} currency
  * @property {string} status
  * @property {string} method
  * @property {string} [stripe_session_id]
+ * @property {number} charged_amount
+ * @property {string} charged_currency
+ * @property {number} [exchange_rate]
+ * @property {Object} [exchange_rate_snapshot]
  * @property {string} created_at
  */
 
+/**
+ * @typedef {Object} ChargeData
+ * @property {number} amount - amount charged in the Stripe currency
+ * @property {string} currency
+ * @property {number} rate - multiplier applied to the payment amount
+ * @property {Object|null} snapshot - exchange rate used, as stored on the payment;
+ *   null when a listed price was charged
+ */
+
 /**
  * Get site URL from environment or request
  * @param {import('next').NextApiRequest} req
@@ -97,7 +145,7 @@ function getSiteUrl(req) {
 async function fetchCourse(courseId) {
   const { data: course, error } = await supabaseAdmin
     .from('courses')
-    .select('id, title, description, price, currency, status')
+    .select('id, title, description, price, currency, prices, status')
     .eq('id', courseId)
     .single()
 
@@ -155,12 +203,13 @@ async function fetchUser(userId) {
  */
 async function checkExistingAccess(userId, courseId) {
   try {
-    // Check for approved payments
+    // Check for approved payments; gifts bought for someone else do not count
     const { data: existingPayment } = await supabaseAdmin
       .from('payments')
       .select('id')
       .eq('user_id', userId)
       .eq('course_id', courseId)
+      .eq('is_gift', false)
       .in('status', ['approved', 'completed'])
       .single()
 
@@ -188,21 +237,89 @@ async function checkExistingAccess(userId, courseId) {
   }
 }
 
+/**
+ * Load the course or bundle being bought and check the user can buy it.
+ * A gift can be bought for a course the buyer already owns.
+ * @param {{ courseId?: string, bundleId?: string }} ids
+ * @param {string} userId
+ * @param {boolean} [gift=false]
+ * @returns {Promise<CheckoutItem>}
+ */
+async function fetchCheckoutItem({ courseId, bundleId }, userId, gift = false) {
+  if (bundleId) {
+    const bundle = await getPurchasableBundle(bundleId, userId, { gift })
+    return {
+      type: 'bundle',
+      id: bundle.id,
+      title: bundle.title,
+      description: bundle.description || `${bundle.courseIds.length} course bundle`,
+      price: bundle.price,
+      currency: CURRENCY.CODE
+    }
+  }
+
+  const course = await fetchCourse(courseId)
+
+  const hasAccess = !gift && await checkExistingAccess(userId, courseId)
+  if (hasAccess) {
+    throw new ValidationError('User already has access to this course')
+  }
+
+  return {
+    type: 'course',
+    id: course.id,
+    title: course.title,
+    description: course.description,
+    price: course.price,
+    currency: course.currency || CURRENCY.CODE,
+    prices: course.prices || {}
+  }
+}
+
+/**
+ * Work out what Stripe charges: the listed price when the item has one in
+ * the buyer's currency, else the amount converted to USD with the managed
+ * rate in force now. The snapshot is kept on the payment so reports and
+ * invoices can reconcile it later.
+ * @param {CheckoutItem} item
+ * @param {number} finalAmount - amount due after any coupon
+ * @param {string} [currency] - currency the buyer was shown
+ * @returns {Promise<ChargeData>}
+ */
+async function getCharge(item, finalAmount, currency) {
+  const listedCharge = currency && getListedCharge(item, currency, finalAmount)
+  if (listedCharge) {
+    return listedCharge
+  }
+
+  return convertAmount(finalAmount, item.currency, STRIPE_CURRENCY)
+}
+
 /**
  * Create payment record in database
  * @param {string} userId
- * @param {string} courseId
- * @param {CourseData} course
+ * @param {CheckoutItem} item
+ * @param {{ finalAmount: number, paymentFields: Object }} pricing
+ * @param {ChargeData} charge
+ * @param {Object} [giftFields] - recipient columns from getGiftPaymentFields
+ * @param {Object} [referralFields] - affiliate column from getReferralPaymentFields
  * @returns {Promise<PaymentRecord>}
  */
-async function createPaymentRecord(userId, courseId, course) {
+async function createPaymentRecord(userId, item, pricing, charge, giftFields = {}, referralFields = {}) {
   const paymentData = {
     user_id: userId,
-    course_id: courseId,
-    amount: course.price,
-    currency: course.currency || 'USD',
+    [item.type === 'bundle' ? 'bundle_id' : 'course_id']: item.id,
+    amount: pricing.finalAmount,
+    currency: item.currency,
     status: 'pending',
     method: 'stripe',
+    ...pricing.paymentFields,
+    charged_amount: charge.amount,
+    charged_currency: charge.currency,
+    exchange_rate: charge.rate,
+    exchange_rate_snapshot: charge.snapshot,
+    ...giftFields,
+    ...referralFields,
     created_at: new Date().toISOString()
   }
 
@@ -213,6 +330,10 @@ async function createPaymentRecord(userId, courseId, course) {
     .single()
 
   if (error) {
+    // Another checkout took the coupon's last redemption
+    const couponError = getCouponLimitError(error)
+    if (couponError) throw couponError
+
     logger.error('Database error creating payment record', 'PAYMENT', {
       paymentData,
       error
@@ -223,41 +344,9 @@ async function createPaymentRecord(userId, courseId, course) {
   return payment
 }
 
-/**
- * Convert currency amounts
- * @param {number} amount
- * @param {string} fromCurrency
- * @param {string} toCurrency
- * @returns {number}
- */
-function convertCurrency(amount, fromCurrency, toCurrency) {
-  if (fromCurrency === toCurrency) {
-    return amount
-  }
-
-  // Simple conversion rates (in production, use real-time rates)
-  const rates = {
-    LKR: {
-      USD: 1 / 300, // 1 USD = 300 LKR (approximate)
-      EUR: 1 / 330, // 1 EUR = 330 LKR (approximate)
-    },
-    USD: {
-      LKR: 300,
-      EUR: 0.9,
-    },
-    EUR: {
-      LKR: 330,
-      USD: 1.1,
-    }
-  }
-
-  const rate = rates[fromCurrency]?.[toCurrency] || 1
-  return amount * rate
-}
-
 /**
  * Create Stripe checkout session
- * @param {CourseData} course
+ * @param {CheckoutItem} item
  * @param {UserData} user
  * @param {PaymentRecord} payment
  * @param {string} siteUrl
@@ -265,16 +354,17 @@ function convertCurrency(amount, fromCurrency, toCurrency) {
  * @param {string} [cancelUrl]
  * @returns {Promise<import('stripe').Checkout.Session>}
  */
-async function createStripeSession(course, user, payment, siteUrl, successUrl, cancelUrl) {
+async function createStripeSession(item, user, payment, siteUrl, successUrl, cancelUrl) {
   try {
-    // Convert to USD if needed (Stripe prefers USD)
-    const targetCurrency = 'usd'
-    const convertedAmount = convertCurrency(course.price, course.currency, 'USD')
-    const stripeAmount = Math.round(convertedAmount * 100) // Convert to cents
+    // Charge exactly the amount stored on the payment
+    const stripeAmount = Math.round(payment.charged_amount * 100) // Convert to cents
 
     // Build URLs
-    const defaultSuccessUrl = `${siteUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}&course_id=${course.id}`
-    const defaultCancelUrl = `${siteUrl}/courses/${course.id}?canceled=true`
+    const itemKey = item.type === 'bundle' ? 'bundle_id' : 'course_id'
+    const defaultSuccessUrl = `${siteUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}&${itemKey}=${item.id}`
+    const defaultCancelUrl = item.type === 'bundle'
+      ? `${siteUrl}/courses?canceled=true`
+      : `${siteUrl}/courses/${item.id}?canceled=true`
 
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ['card'],
@@ -283,14 +373,14 @@ async function createStripeSession(course, user, payment, siteUrl, successUrl, c
       line_items: [
         {
           price_data: {
-            currency: targetCurrency,
+            currency: payment.charged_currency.toLowerCase(),
             product_data: {
-              name: sanitizeInput(course.title),
-              description: sanitizeInput(course.description),
+              name: sanitizeInput(item.title),
+              description: sanitizeInput(item.description),
               metadata: {
-                course_id: course.id,
-                original_price: course.price,
-                original_currency: course.currency
+                [itemKey]: item.id,
+                original_price: item.price,
+                original_currency: payment.currency
               }
             },
             unit_amount: stripeAmount
@@ -302,15 +392,19 @@ async function createStripeSession(course, user, payment, siteUrl, successUrl, c
       cancel_url: cancelUrl || defaultCancelUrl,
       metadata: {
         user_id: user.id,
-        course_id: course.id,
+        [itemKey]: item.id,
         payment_id: payment.id,
-        original_amount: course.price.toString(),
-        original_currency: course.currency
+        original_amount: payment.amount.toString(),
+        original_currency: payment.currency,
+        ...(payment.exchange_rate_snapshot && {
+          exchange_rate_id: payment.exchange_rate_snapshot.rate_id
+        }),
+        ...(payment.coupon_code && { coupon_code: payment.coupon_code })
       },
       payment_intent_data: {
         metadata: {
           user_id: user.id,
-          course_id: course.id,
+          [itemKey]: item.id,
           payment_id: payment.id
         }
       }
@@ -319,7 +413,8 @@ async function createStripeSession(course, user, payment, siteUrl, successUrl, c
     return session
   } catch (error) {
     logger.error('Stripe session creation failed', 'PAYMENT', {
-      courseId: course.id,
+      itemType: item.type,
+      itemId: item.id,
       userId: user.id,
       paymentId: payment.id,
       error
@@ -378,34 +473,50 @@ async function createCheckoutHandler(req, res) {
 
     // Parse and validate request body
     const validatedData = createCheckoutSchema.parse(req.body)
-    const { courseId, userId, successUrl, cancelUrl } = validatedData
+    const { courseId, bundleId, userId, couponCode, currency, gift, successUrl, cancelUrl } = validatedData
 
     logger.info('Creating checkout session', 'PAYMENT', {
       courseId,
-      userId
+      bundleId,
+      userId,
+      currency,
+      gift: !!gift
     })
 
-    // Fetch course details
-    const course = await fetchCourse(courseId)
+    const giftFields = getGiftPaymentFields(gift)
+
+    // Fetch the course or bundle, rejecting ones the user already owns
+    const item = await fetchCheckoutItem({ courseId, bundleId }, userId, !!gift)
 
     // Fetch user details
     const user = await fetchUser(userId)
 
-    // Check if user already has access
-    const hasAccess = await checkExistingAccess(userId, courseId)
-    if (hasAccess) {
-      throw new ValidationError('User already has access to this course')
+    // Apply coupon server-side; never trust a client-side discount
+    const pricing = await priceWithCoupon({
+      code: couponCode,
+      userId,
+      courseId,
+      amount: item.price
+    })
+
+    if (pricing.finalAmount <= 0) {
+      throw new ValidationError('Discounted amount is below the minimum chargeable amount')
     }
 
+    const charge = await getCharge(item, pricing.finalAmount, currency)
+
+    // Credit the affiliate whose referral link brought the buyer here
+    const referralFields = await getReferralPaymentFields(req.cookies?.[AFFILIATE.COOKIE], userId)
+
     // Create payment record
-    const payment = await createPaymentRecord(userId, courseId, course)
+    const payment = await createPaymentRecord(userId, item, pricing, charge, giftFields, referralFields)
 
     // Get site URL
     const siteUrl = getSiteUrl(req)
 
     // Create Stripe session
     const session = await createStripeSession(
-      course,
+      item,
       user,
       payment,
       siteUrl,
@@ -421,11 +532,15 @@ async function createCheckoutHandler(req, res) {
 
     logger.info('Checkout session created successfully', 'PAYMENT', {
       courseId,
+      bundleId,
       userId,
       paymentId: payment.id,
       sessionId: session.id,
-      amount: course.price,
-      currency: course.currency,
+      amount: payment.amount,
+      couponCode: payment.coupon_code,
+      currency: payment.currency,
+      chargedAmount: payment.charged_amount,
+      chargedCurrency: payment.charged_currency,
       duration
     })
 
@@ -453,7 +568,11 @@ async function createCheckoutHandler(req, res) {
       return res.status(400).json(validationError.toJSON())
     }
 
-    if (error instanceof ValidationError || error instanceof PaymentError) {
+    if (
+      error instanceof ValidationError ||
+      error instanceof PaymentError ||
+      error instanceof NotFoundError
+    ) {
       logger.error('Checkout failed', 'PAYMENT', { error, duration })
       return res.status(error.statusCode).json(error.toJSON())
     }
@@ -0,0 +1,53 @@
+import { isAdminServer } from '../../../../lib/supabase-admin'
+import { replayPaymentEvent } from '../../../../lib/payment-events'
+
+/**
+ * API endpoint for re-running a stored gateway event
+ *
+ * POST /api/payments/events/replay
+ * Body: { eventId: string, adminId: string }
+ *
+ * Runs the event through the same handler as the live webhook. Used when
+ * fulfillment failed, e.g. because the payment row was missing at the time.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { eventId, adminId } = req.body
+
+    if (!eventId || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const event = await replayPaymentEvent(eventId)
+
+    res.status(200).json({
+      success: event.status !== 'failed',
+      event,
+      message: event.status === 'failed'
+        ? `Replay failed: ${event.error}`
+        : `Event ${event.status}`
+    })
+
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({ message: 'Event not found' })
+    }
+
+    console.error('Payment event replay error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay event',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,59 @@
+import { isAdminServer } from '../../../../lib/supabase-admin'
+import { retryFulfillment } from '../../../../lib/fulfillment'
+import { ValidationError, NotFoundError } from '../../../../lib/errors'
+
+/**
+ * API endpoint for re-running the unfinished steps of a payment's
+ * fulfillment
+ *
+ * POST /api/payments/fulfillments/retry
+ * Body: { paymentId: string, adminId: string }
+ *
+ * Steps already done are skipped, so this never grants twice or sends a
+ * second confirmation email once one went out.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { paymentId, adminId } = req.body
+
+    if (!paymentId || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { fulfillment, failedSteps } = await retryFulfillment(paymentId)
+
+    res.status(200).json({
+      success: failedSteps.length === 0,
+      fulfillment,
+      failedSteps,
+      message: failedSteps.length
+        ? `Still failing: ${failedSteps.join(', ')}`
+        : 'Payment fulfilled'
+    })
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ message: error.message })
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ message: error.message })
+    }
+
+    console.error('Payment fulfillment retry error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry fulfillment',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,55 @@
+import {
+  isPayHereSimulatorEnabled,
+  verifyCheckoutHash,
+  buildSimulatedNotifications,
+  SIMULATOR_OUTCOMES
+} from '../../../lib/payhere-simulator'
+
+/**
+ * API endpoint signing notifications for the local PayHere simulator
+ *
+ * POST /api/payments/payhere-simulator
+ * Body: { payment: Object, outcome: 'success' | 'failure' | 'cancel' | 'chargeback' }
+ *
+ * `payment` is the object the page passed to payhere.startPayment(). The
+ * simulator checkout posts the returned notifications to its notify_url
+ * in order. Only available when PAYHERE_SIMULATOR=true outside production.
+ */
+export default async function handler(req, res) {
+  if (!isPayHereSimulatorEnabled()) {
+    return res.status(404).json({ error: 'Not found' })
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { payment, outcome } = req.body
+
+    if (!payment || !outcome) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (!SIMULATOR_OUTCOMES[outcome]) {
+      return res.status(400).json({ error: 'Invalid outcome' })
+    }
+
+    // The real checkout rejects payments whose hash does not match
+    if (!verifyCheckoutHash(payment)) {
+      return res.status(400).json({ error: 'Invalid payment hash' })
+    }
+
+    res.status(200).json({
+      success: true,
+      outcome,
+      notifyUrl: payment.notify_url,
+      notifications: buildSimulatedNotifications(payment, outcome)
+    })
+
+  } catch (error) {
+    console.error('PayHere simulator error:', error)
+    res.status(500).json({ error: 'Failed to simulate payment' })
+  }
+}
@@ -20,9 +20,21 @@ import {
 import {
   ValidationError,
   PaymentError,
+  NotFoundError,
   createNotFoundError,
   ErrorCode
 } from '../../../lib/errors'
+import { priceWithCoupon, getCouponLimitError } from '../../../lib/coupons'
+import { getPurchasableBundle } from '../../../lib/bundles'
+import { getGiftPaymentFields } from '../../../lib/gifts'
+import { getReferralPaymentFields } from '../../../lib/affiliates'
+import {
+  receivePaymentEvent,
+  getPayHereEventId,
+  EVENT_PROVIDERS,
+  EVENT_STATUS
+} from '../../../lib/payment-events'
+import { AFFILIATE } from '../../../utils/constants'
 
 // PayHere configuration validation
 const payhereConfig = {
@@ -37,11 +49,20 @@ if (!payhereConfig.merchantId || !payhereConfig.merchantSecret) {
 
 // Validation schemas
 const paymentStartSchema = z.object({
-  courseId: z.string().uuid('Invalid course ID format'),
+  courseId: z.string().uuid('Invalid course ID format').optional(),
+  bundleId: z.string().uuid('Invalid bundle ID format').optional(),
   userId: z.string().uuid('Invalid user ID format'),
   amount: z.coerce.number().min(1, 'Amount must be greater than 0'),
   title: z.string().min(1, 'Course title is required').max(200, 'Title too long'),
-  currency: z.enum(['LKR']).default('LKR')
+  currency: z.enum(['LKR']).default('LKR'),
+  couponCode: z.string().max(50, 'Coupon code too long').optional(),
+  gift: z.object({
+    recipientEmail: z.string().email('Invalid recipient email'),
+    recipientName: z.string().max(100, 'Recipient name too long').optional(),
+    message: z.string().max(500, 'Gift message too long').optional()
+  }).optional()
+}).refine(data => !!data.courseId !== !!data.bundleId, {
+  message: 'Provide either a course ID or a bundle ID'
 })
 
 const paymentNotifySchema = z.object({
@@ -118,12 +139,14 @@ function verifyPayHereSignature(
 }
 
 /**
- * Validate course and get details
+ * Validate course and the amount the client is about to charge.
+ * The amount must match the course price after any coupon is applied.
  * @param {string} courseId
  * @param {number} expectedAmount
- * @returns {Promise<{ id: string, title: string, price: number }>}
+ * @param {{ userId: string, couponCode?: string }} buyer
+ * @returns {Promise<{ course: { id: string, title: string, price: number }, pricing: Object }>}
  */
-async function validateCourse(courseId, expectedAmount) {
+async function validateCourse(courseId, expectedAmount, { userId, couponCode }) {
   const { data: course, error } = await supabaseAdmin
     .from('courses')
     .select('id, title, price, status')
@@ -141,16 +164,54 @@ async function validateCourse(courseId, expectedAmount) {
     throw new ValidationError('Course is not available for purchase')
   }
 
-  if (Math.abs(course.price - expectedAmount) > 0.01) {
+  const pricing = await priceWithCoupon({
+    code: couponCode,
+    userId,
+    courseId,
+    amount: course.price
+  })
+
+  if (Math.abs(pricing.finalAmount - expectedAmount) > 0.01) {
     logger.warn('Course price mismatch', 'PAYMENT', {
       courseId,
       expectedAmount,
-      actualPrice: course.price
+      actualPrice: pricing.finalAmount,
+      couponCode
     })
     throw new ValidationError('Payment amount does not match course price')
   }
 
-  return course
+  return { course, pricing }
+}
+
+/**
+ * Validate a bundle and the amount the client is about to charge
+ * @param {string} bundleId
+ * @param {number} expectedAmount
+ * @param {{ userId: string, couponCode?: string, gift?: boolean }} buyer
+ * @returns {Promise<{ bundle: Object, pricing: Object }>}
+ */
+async function validateBundle(bundleId, expectedAmount, { userId, couponCode, gift = false }) {
+  const bundle = await getPurchasableBundle(bundleId, userId, { gift })
+
+  const pricing = await priceWithCoupon({
+    code: couponCode,
+    userId,
+    courseId: null,
+    amount: bundle.price
+  })
+
+  if (Math.abs(pricing.finalAmount - expectedAmount) > 0.01) {
+    logger.warn('Bundle price mismatch', 'PAYMENT', {
+      bundleId,
+      expectedAmount,
+      actualPrice: pricing.finalAmount,
+      couponCode
+    })
+    throw new ValidationError('Payment amount does not match bundle price')
+  }
+
+  return { bundle, pricing }
 }
 
 /**
@@ -179,20 +240,22 @@ async function validateUser(userId) {
  * Create payment record for PayHere
  * @param {string} orderId
  * @param {string} userId
- * @param {string} courseId
+ * @param {{ course_id?: string, bundle_id?: string }} itemFields - what is being bought
  * @param {number} amount
  * @param {string} currency
+ * @param {Object} [couponFields] - coupon, gift and affiliate columns
  * @returns {Promise<PaymentRecord>}
  */
-async function createPaymentRecord(orderId, userId, courseId, amount, currency) {
+async function createPaymentRecord(orderId, userId, itemFields, amount, currency, couponFields = {}) {
   const paymentData = {
     id: orderId,
     user_id: userId,
-    course_id: courseId,
+    ...itemFields,
     amount,
     currency,
     status: 'pending',
     method: 'payhere',
+    ...couponFields,
     created_at: new Date().toISOString()
   }
 
@@ -203,6 +266,10 @@ async function createPaymentRecord(orderId, userId, courseId, amount, currency)
     .single()
 
   if (error) {
+    // Another checkout took the coupon's last redemption
+    const couponError = getCouponLimitError(error)
+    if (couponError) throw couponError
+
     logger.error('Failed to create payment record', 'PAYMENT', {
       paymentData,
       error
@@ -224,24 +291,39 @@ async function handlePaymentStart(req, res) {
 
   try {
     const validatedData = paymentStartSchema.parse(req.body)
-    const { courseId, userId, amount, title, currency } = validatedData
+    const { courseId, bundleId, userId, amount, title, currency, couponCode, gift } = validatedData
 
     logger.info('Initiating PayHere payment', 'PAYMENT', {
       courseId,
+      bundleId,
       userId,
       amount,
-      currency
+      currency,
+      couponCode,
+      gift: !!gift
     })
 
-    // Validate course and user
-    await validateCourse(courseId, amount)
+    const giftFields = getGiftPaymentFields(gift)
+
+    // Validate course or bundle and user
+    const { pricing } = bundleId
+      ? await validateBundle(bundleId, amount, { userId, couponCode, gift: !!gift })
+      : await validateCourse(courseId, amount, { userId, couponCode })
     await validateUser(userId)
 
+    // Credit the affiliate whose referral link brought the buyer here
+    const referralFields = await getReferralPaymentFields(req.cookies?.[AFFILIATE.COOKIE], userId)
+
     // Generate unique order ID
     const orderId = crypto.randomUUID()
 
     // Create payment record
-    await createPaymentRecord(orderId, userId, courseId, amount, currency)
+    const itemFields = bundleId ? { bundle_id: bundleId } : { course_id: courseId }
+    await createPaymentRecord(orderId, userId, itemFields, amount, currency, {
+      ...pricing.paymentFields,
+      ...giftFields,
+      ...referralFields
+    })
 
     // Generate PayHere hash
     const hash = generatePayHereHash(
@@ -258,6 +340,7 @@ async function handlePaymentStart(req, res) {
     logger.info('PayHere payment hash generated', 'PAYMENT', {
       orderId,
       courseId,
+      bundleId,
       userId,
       amount,
       duration
@@ -289,7 +372,11 @@ async function handlePaymentStart(req, res) {
       return res.status(400).json(validationError.toJSON())
     }
 
-    if (error instanceof ValidationError || error instanceof PaymentError) {
+    if (
+      error instanceof ValidationError ||
+      error instanceof PaymentError ||
+      error instanceof NotFoundError
+    ) {
       logger.error('PayHere payment start failed', 'PAYMENT', { error, duration })
       return res.status(error.statusCode).json(error.toJSON())
     }
@@ -303,76 +390,6 @@ async function handlePaymentStart(req, res) {
   }
 }
 
-/**
- * Grant course access after successful payment
- * @param {PaymentRecord} paymentRecord
- * @returns {Promise<void>}
- */
-async function grantCourseAccess(paymentRecord) {
-  try {
-    // Check for existing purchase
-    const { data: existingPurchase } = await supabaseAdmin
-      .from('purchases')
-      .select('id, access_granted')
-      .eq('user_id', paymentRecord.user_id)
-      .eq('course_id', paymentRecord.course_id)
-      .single()
-
-    if (existingPurchase) {
-      if (!existingPurchase.access_granted) {
-        // Update existing purchase to grant access
-        const { error: updateError } = await supabaseAdmin
-          .from('purchases')
-          .update({
-            access_granted: true,
-            payment_id: paymentRecord.id,
-            purchase_date: new Date().toISOString()
-          })
-          .eq('id', existingPurchase.id)
-
-        if (updateError) {
-          throw updateError
-        }
-
-        logger.info('Course access granted via existing purchase', 'PAYMENT', {
-          userId: paymentRecord.user_id,
-          courseId: paymentRecord.course_id,
-          purchaseId: existingPurchase.id
-        })
-      }
-    } else {
-      // Create new purchase record
-      const { error: insertError } = await supabaseAdmin
-        .from('purchases')
-        .insert([{
-          user_id: paymentRecord.user_id,
-          course_id: paymentRecord.course_id,
-          payment_id: paymentRecord.id,
-          access_granted: true,
-          purchase_date: new Date().toISOString()
-        }])
-
-      if (insertError) {
-        throw insertError
-      }
-
-      logger.info('Course access granted via new purchase', 'PAYMENT', {
-        userId: paymentRecord.user_id,
-        courseId: paymentRecord.course_id,
-        paymentId: paymentRecord.id
-      })
-    }
-  } catch (error) {
-    logger.error('Failed to grant course access', 'PAYMENT', {
-      paymentId: paymentRecord.id,
-      userId: paymentRecord.user_id,
-      courseId: paymentRecord.course_id,
-      error
-    })
-    throw new PaymentError('Failed to grant course access')
-  }
-}
-
 /**
  * Handle payment notification from PayHere
  * @param {import('next').NextApiRequest} req
@@ -392,8 +409,7 @@ async function handlePaymentNotify(req, res) {
       status_code: statusCode,
       md5sig: signature,
       payment_id: payherePaymentId,
-      method,
-      status_message: statusMessage
+      method
     } = validatedData
 
     logger.info('PayHere payment notification received', 'PAYMENT', {
@@ -431,124 +447,47 @@ async function handlePaymentNotify(req, res) {
       })
     }
 
-    // Get payment record
-    const { data: payment, error: paymentError } = await supabaseAdmin
-      .from('payments')
-      .select('*')
-      .eq('id', orderId)
-      .single()
-
-    if (paymentError) {
-      if (paymentError.code === 'PGRST116') {
-        logger.warn('Payment record not found', 'PAYMENT', { orderId, clientIP })
-        return res.status(404).json({
-          success: false,
-          status: 'failed',
-          message: 'Payment record not found'
-        })
-      }
-
-      logger.error('Database error fetching payment', 'PAYMENT', {
-        orderId,
-        error: paymentError
-      })
-
-      return res.status(500).json({
-        success: false,
-        status: 'failed',
-        message: 'Database error'
-      })
-    }
-
-    // Check if payment is successful (status_code '2' means success in PayHere)
-    if (statusCode === '2') {
-      // Update payment status
-      const { error: updateError } = await supabaseAdmin
-        .from('payments')
-        .update({
-          status: 'completed',
-          payhere_payment_id: payherePaymentId,
-          payment_method_details: {
-            method,
-            status_message: statusMessage,
-            processed_at: new Date().toISOString()
-          },
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-
-      if (updateError) {
-        logger.error('Failed to update payment status', 'PAYMENT', {
-          orderId,
-          error: updateError
-        })
-
-        return res.status(500).json({
-          success: false,
-          status: 'failed',
-          message: 'Failed to update payment status'
-        })
-      }
-
-      // Grant course access
-      await grantCourseAccess(payment)
-
-      const duration = Date.now() - startTime
-      logger.performance('PayHere payment notification', duration)
+    // Store the notification and apply it once; PayHere retries are skipped
+    const { duplicate, event } = await receivePaymentEvent({
+      provider: EVENT_PROVIDERS.PAYHERE,
+      eventId: getPayHereEventId(validatedData),
+      eventType: `status_${statusCode}`,
+      payload: validatedData
+    })
 
-      logger.info('PayHere payment completed successfully', 'PAYMENT', {
-        orderId,
-        userId: payment.user_id,
-        courseId: payment.course_id,
-        amount: payment.amount,
-        payherePaymentId,
-        duration
-      })
+    const duration = Date.now() - startTime
+    logger.performance('PayHere payment notification', duration)
 
+    if (duplicate) {
       return res.status(200).json({
         success: true,
-        status: 'success',
-        message: 'Payment completed successfully'
-      })
-
-    } else {
-      // Payment failed or other status
-      const { error: updateError } = await supabaseAdmin
-        .from('payments')
-        .update({
-          status: 'failed',
-          payhere_payment_id: payherePaymentId,
-          payment_method_details: {
-            method,
-            status_message: statusMessage,
-            status_code: statusCode,
-            failed_at: new Date().toISOString()
-          },
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', orderId)
-
-      if (updateError) {
-        logger.error('Failed to update failed payment status', 'PAYMENT', {
-          orderId,
-          error: updateError
-        })
-      }
-
-      logger.warn('PayHere payment failed', 'PAYMENT', {
-        orderId,
-        statusCode,
-        statusMessage,
-        clientIP
+        status: 'duplicate',
+        message: 'Notification already processed'
       })
+    }
 
-      return res.status(200).json({
+    if (event.status === EVENT_STATUS.FAILED) {
+      return res.status(500).json({
         success: false,
         status: 'failed',
-        message: statusMessage || 'Payment failed'
+        message: 'Failed to process payment notification'
       })
     }
 
+    logger.info('PayHere payment notification processed', 'PAYMENT', {
+      orderId,
+      statusCode,
+      payherePaymentId,
+      result: event.result_message,
+      duration
+    })
+
+    return res.status(200).json({
+      success: statusCode === '2',
+      status: statusCode === '2' ? 'success' : 'failed',
+      message: event.result_message
+    })
+
   } catch (error) {
     const duration = Date.now() - startTime
 
@@ -0,0 +1,55 @@
+import { supabase, isAdminServer } from '../../../lib/supabase-admin'
+import { getReceiptSignedUrl, RECEIPT_URL_TTL } from '../../../lib/bank-transfer'
+
+/**
+ * API endpoint returning a short-lived link to a bank transfer receipt
+ *
+ * GET /api/payments/receipt?paymentId=...&adminId=...
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { paymentId, adminId } = req.query
+
+    if (!paymentId || !adminId) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ error: 'Admin access required' })
+    }
+
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select('id, receipt_path, receipt_filename')
+      .eq('id', paymentId)
+      .single()
+
+    if (paymentError || !payment) {
+      return res.status(404).json({ error: 'Payment not found' })
+    }
+
+    if (!payment.receipt_path) {
+      return res.status(404).json({ error: 'No receipt attached to this payment' })
+    }
+
+    const url = await getReceiptSignedUrl(payment.receipt_path)
+
+    res.status(200).json({
+      success: true,
+      url,
+      filename: payment.receipt_filename,
+      isPdf: payment.receipt_path.endsWith('.pdf'),
+      expiresIn: RECEIPT_URL_TTL
+    })
+
+  } catch (error) {
+    console.error('Receipt link error:', error)
+    res.status(500).json({ error: 'Failed to load receipt', details: error.message })
+  }
+}
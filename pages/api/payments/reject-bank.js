@@ -0,0 +1,78 @@
+import { supabase, isAdminServer } from '../../../lib/supabase-admin'
+import { sendEmail } from '../../../lib/email'
+import { sanitizeInput } from '../../../lib/api-utils'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+  
+  try {
+    const { paymentId, adminId, reason } = req.body
+    
+    if (!paymentId || !adminId || !reason?.trim()) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+    
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    
+    const { data: payment, error: paymentError } = await supabase
+      .from('payments')
+      .select(`
+        *,
+        profiles (name, email),
+        courses (title),
+        bundles (title)
+      `)
+      .eq('id', paymentId)
+      .single()
+    
+    if (paymentError || !payment) {
+      return res.status(404).json({ message: 'Payment not found' })
+    }
+    
+    if (payment.status !== 'pending') {
+      return res.status(400).json({ message: 'Payment already processed' })
+    }
+    
+    const { error: updateError } = await supabase
+      .from('payments')
+      .update({
+        status: 'rejected',
+        rejection_reason: reason.trim(),
+        reviewed_by: adminId,
+        rejected_at: new Date().toISOString()
+      })
+      .eq('id', paymentId)
+    
+    if (updateError) throw updateError
+    
+    await sendEmail({
+      to: payment.profiles.email,
+      template: 'bank-rejected',
+      data: {
+        name: payment.profiles.name,
+        courseName: payment.courses?.title || payment.bundles?.title,
+        courseId: payment.course_id,
+        transferReference: payment.transfer_reference || payment.id,
+        reason: sanitizeInput(reason.trim())
+      }
+    })
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payment rejected'
+    })
+    
+  } catch (error) {
+    console.error('Bank rejection error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject payment',
+      error: error.message
+    })
+  }
+}
@@ -1,7 +1,6 @@
 import { buffer } from 'micro'
 import Stripe from 'stripe'
-import { supabase } from '../../../lib/supabase-admin'
-import { sendEmail } from '../../../lib/email'
+import { receivePaymentEvent, EVENT_PROVIDERS, EVENT_STATUS } from '../../../lib/payment-events'
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET
@@ -30,129 +29,21 @@ export default async function handler(req, res) {
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutSessionCompleted(event.data.object)
-        break
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object)
-        break
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object)
-        break
-      default:
-        console.log(`Unhandled event type: ${event.type}`)
+    const { duplicate, event: storedEvent } = await receivePaymentEvent({
+      provider: EVENT_PROVIDERS.STRIPE,
+      eventId: event.id,
+      eventType: event.type,
+      payload: event
+    })
+
+    // A 500 makes Stripe retry; the failed event is picked up again then
+    if (storedEvent?.status === EVENT_STATUS.FAILED) {
+      return res.status(500).json({ error: 'Webhook handler failed' })
     }
 
-    res.status(200).json({ received: true })
+    res.status(200).json({ received: true, duplicate })
   } catch (error) {
     console.error('Webhook handler error:', error)
     res.status(500).json({ error: 'Webhook handler failed' })
   }
 }
-
-async function handleCheckoutSessionCompleted(session) {
-  console.log('Checkout session completed:', session.id)
-
-  // Update payment record
-  const { data: payment, error: paymentError } = await supabase
-    .from('payments')
-    .update({
-      status: 'approved',
-      payment_id: session.payment_intent,
-      approved_at: new Date().toISOString()
-    })
-    .eq('payment_id', session.id)
-    .select(`
-      *,
-      profiles (name, email),
-      courses (title)
-    `)
-    .single()
-
-  if (paymentError) throw paymentError
-
-  if (!payment) {
-    console.error('Payment not found for session:', session.id)
-    return
-  }
-
-  // Add user to course
-  const { error: purchaseError } = await supabase
-    .from('purchases')
-    .insert({
-      user_id: payment.user_id,
-      course_id: payment.course_id,
-      payment_id: payment.id,
-      access_granted: true,
-      purchase_date: new Date().toISOString()
-    })
-
-  if (purchaseError && purchaseError.code !== '23505') { // Ignore duplicate key error
-    console.error('Error creating purchase:', purchaseError)
-  }
-
-  // Send confirmation email
-  try {
-    await sendEmail({
-      to: payment.profiles.email,
-      template: 'payment-success',
-      data: {
-        studentName: payment.profiles.name,
-        courseName: payment.courses.title,
-        amount: payment.amount * 100, // Convert to cents for email template
-        paymentId: session.payment_intent
-      }
-    })
-    console.log('Confirmation email sent to:', payment.profiles.email)
-  } catch (emailError) {
-    console.error('Error sending confirmation email:', emailError)
-  }
-}
-
-async function handlePaymentIntentSucceeded(paymentIntent) {
-  console.log('Payment intent succeeded:', paymentIntent.id)
-  // Additional handling if needed
-}
-
-async function handlePaymentIntentFailed(paymentIntent) {
-  console.log('Payment intent failed:', paymentIntent.id)
-
-  // Update payment record
-  const { data: payment, error: paymentError } = await supabase
-    .from('payments')
-    .update({
-      status: 'failed'
-    })
-    .eq('payment_id', paymentIntent.id)
-    .select(`
-      *,
-      profiles (name, email),
-      courses (title)
-    `)
-    .single()
-
-  if (paymentError) throw paymentError
-
-  if (!payment) {
-    console.error('Payment not found for payment intent:', paymentIntent.id)
-    return
-  }
-
-  // Send failure email
-  try {
-    await sendEmail({
-      to: payment.profiles.email,
-      subject: 'Payment Failed',
-      template: 'payment-failed',
-      data: {
-        studentName: payment.profiles.name,
-        courseName: payment.courses.title,
-        amount: payment.amount,
-        paymentId: paymentIntent.id
-      }
-    })
-  } catch (emailError) {
-    console.error('Error sending failure email:', emailError)
-  }
-}
\ No newline at end of file
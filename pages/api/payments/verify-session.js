@@ -1,6 +1,6 @@
 import Stripe from 'stripe'
 import { supabase } from '../../../lib/supabase-admin'
-import { sendEmail } from '../../../lib/email'
+import { fulfillPayment, FULFILLMENT_SOURCES } from '../../../lib/fulfillment'
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
 
@@ -47,7 +47,8 @@ export default async function handler(req, res) {
         .select(`
           *,
           profiles (name, email),
-          courses (title, id)
+          courses (title, id),
+          bundles (title, id)
         `)
         .single()
 
@@ -57,48 +58,13 @@ export default async function handler(req, res) {
         console.error('Error updating payment:', paymentError)
       }
 
-      // Ensure user has course access
+      // Grants access, issues the invoice and emails the student unless
+      // the webhook already did
       if (payment) {
-        const { error: purchaseError } = await supabase
-          .from('purchases')
-          .upsert({
-            user_id: payment.user_id,
-            course_id: payment.course_id,
-            payment_id: payment.id,
-            access_granted: true,
-            purchase_date: new Date().toISOString()
-          }, {
-            onConflict: 'user_id,course_id'
-          })
-
-        if (purchaseError) {
-          console.error('Error creating/updating purchase:', purchaseError)
-        }
-
-        // Send confirmation email
         try {
-          console.log('Attempting to send email to:', payment?.profiles?.email)
-          if (payment && payment.profiles && payment.courses) {
-            await sendEmail({
-              to: payment.profiles.email,
-              template: 'payment-success',
-              data: {
-                studentName: payment.profiles.name,
-                courseName: payment.courses.title,
-                amount: session.amount_total,
-                paymentId: session.payment_intent
-              }
-            })
-            console.log('✅ Confirmation email sent successfully to:', payment.profiles.email)
-          } else {
-            console.log('❌ Cannot send email - missing payment/profile/course data:', {
-              hasPayment: !!payment,
-              hasProfile: !!payment?.profiles,
-              hasCourse: !!payment?.courses
-            })
-          }
-        } catch (emailError) {
-          console.error('❌ Error sending confirmation email:', emailError)
+          await fulfillPayment(payment, { source: FULFILLMENT_SOURCES.STRIPE_VERIFY_SESSION })
+        } catch (fulfillmentError) {
+          console.error('Error fulfilling payment:', fulfillmentError)
         }
       }
 
@@ -108,7 +74,8 @@ export default async function handler(req, res) {
         customer_email: session.customer_details?.email,
         amount_total: session.amount_total,
         currency: session.currency,
-        course: payment?.courses || null
+        course: payment?.courses || null,
+        bundle: payment?.bundles || null
       })
     } else {
       return res.status(200).json({
@@ -0,0 +1,52 @@
+import { submitQuizAttempt } from '../../../lib/quizzes'
+import { ValidationError, NotFoundError, ForbiddenError } from '../../../lib/errors'
+
+/**
+ * API endpoint for submitting a quiz attempt
+ *
+ * POST /api/quizzes/attempt
+ * Body: {
+ *   userId: string,
+ *   lessonId: string,
+ *   responses: { [questionId]: string | string[] | number }
+ * }
+ *
+ * Grades the attempt on the server and stores it. A passing attempt
+ * marks the lesson complete, and the course too when it was the last
+ * lesson left.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, lessonId, responses = {} } = req.body
+
+    if (!userId || !lessonId) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const { attempt, courseCompleted, results } = await submitQuizAttempt({ userId, lessonId, responses })
+
+    res.status(200).json({
+      success: true,
+      attempt,
+      courseCompleted,
+      results,
+      message: attempt.passed ? 'Quiz passed' : 'Quiz not passed yet'
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ForbiddenError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Quiz attempt error:', error)
+    res.status(500).json({
+      error: 'Failed to submit quiz',
+      details: error.message
+    })
+  }
+}
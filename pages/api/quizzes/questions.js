@@ -0,0 +1,69 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { getStudentQuiz, saveQuizQuestions } from '../../../lib/quizzes'
+import { ValidationError, NotFoundError, ForbiddenError } from '../../../lib/errors'
+
+/**
+ * API endpoint for a quiz lesson's questions
+ *
+ * GET /api/quizzes/questions?lessonId=...&userId=...
+ *   The questions without their answers, the pass mark and the student's
+ *   recent attempts.
+ *
+ * PUT /api/quizzes/questions
+ * Body: {
+ *   lessonId: string,
+ *   adminId: string,
+ *   passPercentage: number,
+ *   questions: [{ id?, type, prompt, options, answer, points, explanation }]
+ * }
+ *   Replaces the quiz's questions. Admin only.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'PUT'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'PUT'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { lessonId, userId } = req.query
+
+      if (!lessonId || !userId) {
+        return res.status(400).json({ error: 'Missing required fields' })
+      }
+
+      const quiz = await getStudentQuiz({ userId, lessonId })
+      return res.status(200).json(quiz)
+    }
+
+    const { lessonId, adminId, questions, passPercentage } = req.body
+
+    if (!lessonId || !adminId || !Array.isArray(questions)) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    const saved = await saveQuizQuestions({ lessonId, questions, passPercentage })
+
+    res.status(200).json({
+      success: true,
+      questions: saved,
+      message: 'Quiz saved'
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ForbiddenError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Quiz questions error:', error)
+    res.status(500).json({
+      error: 'Failed to load quiz',
+      details: error.message
+    })
+  }
+}
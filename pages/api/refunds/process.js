@@ -0,0 +1,229 @@
+import { supabase, isAdminServer } from '../../../lib/supabase-admin'
+import { sendEmail } from '../../../lib/email'
+import { sanitizeInput } from '../../../lib/api-utils'
+import { REFUND_STATUS, issueRefund, revokeCourseAccess } from '../../../lib/refunds'
+import { issueCreditNoteForPayment, getInvoiceAttachment } from '../../../lib/invoicing'
+import { voidCommissionForPayment } from '../../../lib/affiliates'
+import { getOrderTitle, isMultiCoursePayment } from '../../../utils/cart'
+
+/**
+ * API endpoint for admins to approve or deny a refund request
+ *
+ * POST /api/refunds/process
+ * Body: {
+ *   refundRequestId: string,
+ *   adminId: string,
+ *   action: 'approve' | 'deny',
+ *   note?: string,       // required when denying, emailed to the student
+ *   reference?: string,  // manual refund reference for PayHere/bank payments
+ *   refundWholeOrder?: boolean // required to approve a bundle or cart payment
+ * }
+ *
+ * Approving refunds the money, revokes access and emails a credit note
+ * cancelling the payment's invoice. A bundle or cart payment cannot be
+ * split, so a request for one of its courses is only approved once the
+ * admin confirms refunding the whole order.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { refundRequestId, adminId, action, note, reference, refundWholeOrder } = req.body
+
+    if (!refundRequestId || !adminId || !['approve', 'deny'].includes(action)) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    if (action === 'deny' && !note?.trim()) {
+      return res.status(400).json({ message: 'A reason is required to deny a refund' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { data: refundRequest, error: requestError } = await supabase
+      .from('refund_requests')
+      .select(`
+        *,
+        payments (*, bundles (title)),
+        profiles (name, email),
+        courses (title)
+      `)
+      .eq('id', refundRequestId)
+      .single()
+
+    if (requestError || !refundRequest) {
+      return res.status(404).json({ message: 'Refund request not found' })
+    }
+
+    if (refundRequest.status !== REFUND_STATUS.PENDING) {
+      return res.status(400).json({ message: 'Refund request already processed' })
+    }
+
+    const payment = refundRequest.payments
+    const reviewedAt = new Date().toISOString()
+
+    if (action === 'deny') {
+      const { data: denied, error: updateError } = await supabase
+        .from('refund_requests')
+        .update({
+          status: REFUND_STATUS.DENIED,
+          admin_note: note.trim(),
+          reviewed_by: adminId,
+          reviewed_at: reviewedAt
+        })
+        .eq('id', refundRequestId)
+        .eq('status', REFUND_STATUS.PENDING)
+        .select('id')
+        .maybeSingle()
+
+      if (updateError) throw updateError
+      if (!denied) {
+        return res.status(409).json({ message: 'Refund request already processed' })
+      }
+
+      await sendEmail({
+        to: refundRequest.profiles.email,
+        template: 'refund-denied',
+        data: {
+          name: refundRequest.profiles.name,
+          courseName: refundRequest.courses.title,
+          reason: sanitizeInput(note.trim())
+        }
+      })
+
+      return res.status(200).json({ success: true, message: 'Refund request denied' })
+    }
+
+    if (payment.status === 'refunded') {
+      return res.status(400).json({ message: 'Payment has already been refunded' })
+    }
+
+    const isOrder = isMultiCoursePayment(payment)
+    if (isOrder && !refundWholeOrder) {
+      return res.status(400).json({
+        message: 'This payment covers several courses and can only be refunded as a whole order'
+      })
+    }
+
+    // Claim the request before moving any money, so two admins approving
+    // at once cannot refund the payment twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('refund_requests')
+      .update({
+        status: REFUND_STATUS.APPROVED,
+        admin_note: note?.trim() || null,
+        reviewed_by: adminId,
+        reviewed_at: reviewedAt
+      })
+      .eq('id', refundRequestId)
+      .eq('status', REFUND_STATUS.PENDING)
+      .select('id')
+      .maybeSingle()
+
+    if (claimError) throw claimError
+    if (!claimed) {
+      return res.status(409).json({ message: 'Refund request already processed' })
+    }
+
+    let refundMethod
+    let refundReference
+    try {
+      ({ refundMethod, refundReference } = await issueRefund(payment, {
+        reference: reference?.trim(),
+        refundRequestId
+      }))
+    } catch (refundError) {
+      // No money moved, so hand the request back for another try
+      const { error: releaseError } = await supabase
+        .from('refund_requests')
+        .update({ status: REFUND_STATUS.PENDING, admin_note: null, reviewed_by: null, reviewed_at: null })
+        .eq('id', refundRequestId)
+
+      if (releaseError) {
+        console.error('Refund failed and request could not be released:', { refundRequestId, error: releaseError })
+      }
+      throw refundError
+    }
+
+    const { error: paymentUpdateError } = await supabase
+      .from('payments')
+      .update({
+        status: 'refunded',
+        refunded_at: reviewedAt,
+        refund_method: refundMethod,
+        refund_reference: refundReference
+      })
+      .eq('id', payment.id)
+
+    if (paymentUpdateError) {
+      console.error('Refund issued but payment update failed:', { paymentId: payment.id, refundReference })
+      throw paymentUpdateError
+    }
+
+    await revokeCourseAccess(payment)
+    await voidCommissionForPayment(payment.id)
+
+    const { error: updateError } = await supabase
+      .from('refund_requests')
+      .update({ refund_reference: refundReference })
+      .eq('id', refundRequestId)
+
+    if (updateError) throw updateError
+
+    // The money has moved, so a failed credit note is logged rather than
+    // failing the refund; it can be issued again from the payments page
+    let creditNote = null
+    let creditNoteAttachment = null
+    try {
+      const refundedPayment = {
+        ...payment,
+        profiles: refundRequest.profiles,
+        ...(!isOrder && { courses: refundRequest.courses })
+      }
+      const documents = await issueCreditNoteForPayment(refundedPayment)
+      creditNote = documents.creditNote
+      creditNoteAttachment = await getInvoiceAttachment(creditNote, refundedPayment, documents.invoice)
+    } catch (creditNoteError) {
+      console.error('Refund issued but credit note failed:', { paymentId: payment.id, error: creditNoteError })
+    }
+
+    await sendEmail({
+      to: refundRequest.profiles.email,
+      template: 'refund-approved',
+      data: {
+        name: refundRequest.profiles.name,
+        courseName: isOrder
+          ? payment.bundles?.title || getOrderTitle(payment.order_items)
+          : refundRequest.courses.title,
+        isOrder,
+        amount: payment.amount,
+        method: payment.method || payment.payment_method,
+        refundReference,
+        creditNoteNumber: creditNote?.invoice_number
+      },
+      ...(creditNoteAttachment && { attachments: [creditNoteAttachment] })
+    })
+
+    res.status(200).json({
+      success: true,
+      refundMethod,
+      refundReference,
+      creditNoteNumber: creditNote?.invoice_number || null,
+      message: 'Refund approved'
+    })
+
+  } catch (error) {
+    console.error('Refund processing error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process refund',
+      error: error.message
+    })
+  }
+}
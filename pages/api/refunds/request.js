@@ -0,0 +1,124 @@
+import { supabase } from '../../../lib/supabase-admin'
+import {
+  REFUND_STATUS,
+  REFUNDABLE_PAYMENT_STATUSES,
+  getRefundIneligibility,
+  getCourseProgress
+} from '../../../lib/refunds'
+
+/**
+ * API endpoint for a student to request a course refund
+ *
+ * POST /api/refunds/request
+ * Body: { userId: string, courseId: string, reason: string }
+ *
+ * Finds the payment that granted the course through the student's purchase,
+ * so bundle and cart payments are found too, checks the refund window and
+ * course progress, then queues the request for an admin to approve or deny
+ * from the payments screen.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, courseId, reason } = req.body
+
+    if (!userId || !courseId || !reason?.trim()) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    if (reason.trim().length > 1000) {
+      return res.status(400).json({ error: 'Reason must be 1000 characters or fewer' })
+    }
+
+    const { data: purchase, error: purchaseError } = await supabase
+      .from('purchases')
+      .select('payment_id')
+      .eq('user_id', userId)
+      .eq('course_id', courseId)
+      .eq('access_granted', true)
+      .maybeSingle()
+
+    if (purchaseError) throw purchaseError
+
+    const { data: payment, error: paymentError } = purchase?.payment_id
+      ? await supabase
+        .from('payments')
+        .select('*')
+        .eq('id', purchase.payment_id)
+        .eq('user_id', userId)
+        .in('status', REFUNDABLE_PAYMENT_STATUSES)
+        .maybeSingle()
+      : { data: null, error: null }
+
+    if (paymentError) throw paymentError
+
+    if (!payment) {
+      return res.status(404).json({ error: 'No refundable payment found for this course' })
+    }
+
+    const { data: existingRequest } = await supabase
+      .from('refund_requests')
+      .select('id')
+      .eq('payment_id', payment.id)
+      .eq('status', REFUND_STATUS.PENDING)
+      .maybeSingle()
+
+    if (existingRequest) {
+      return res.status(409).json({ error: 'A refund request for this course is already being reviewed' })
+    }
+
+    // A bundle or cart payment is refunded whole, so count the furthest
+    // progress through any course it granted
+    const { data: paidCourses, error: paidCoursesError } = await supabase
+      .from('purchases')
+      .select('course_id')
+      .eq('user_id', userId)
+      .eq('payment_id', payment.id)
+
+    if (paidCoursesError) throw paidCoursesError
+
+    const courseIds = [...new Set([courseId, ...(paidCourses || []).map(row => row.course_id)])]
+    const progress = Math.max(...await Promise.all(
+      courseIds.map(paidCourseId => getCourseProgress(userId, paidCourseId))
+    ))
+    const reasonIneligible = getRefundIneligibility({ payment, progress })
+
+    if (reasonIneligible) {
+      return res.status(400).json({ error: reasonIneligible })
+    }
+
+    const { data: refundRequest, error: insertError } = await supabase
+      .from('refund_requests')
+      .insert({
+        payment_id: payment.id,
+        user_id: userId,
+        course_id: courseId,
+        amount: payment.amount,
+        reason: reason.trim(),
+        progress_percentage: progress,
+        status: REFUND_STATUS.PENDING,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single()
+
+    if (insertError) throw insertError
+
+    res.status(200).json({
+      success: true,
+      refundRequestId: refundRequest.id,
+      message: 'Refund request submitted'
+    })
+
+  } catch (error) {
+    console.error('Refund request error:', error)
+    res.status(500).json({
+      error: 'Failed to submit refund request',
+      details: error.message
+    })
+  }
+}
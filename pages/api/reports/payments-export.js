@@ -0,0 +1,78 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { writePaymentsExport, getExportFile } from '../../../lib/accounting-export'
+import { ValidationError } from '../../../lib/errors'
+import { ACCOUNTING_EXPORT } from '../../../utils/constants'
+
+// Exports of long ranges are larger than Next's default response limit
+export const config = {
+  api: {
+    responseLimit: false
+  }
+}
+
+/**
+ * API endpoint downloading payments for the accountant
+ *
+ * GET /api/reports/payments-export?format=csv|iif|xero&from=YYYY-MM-DD&to=YYYY-MM-DD&adminId=...
+ *   &statuses=approved,refunded (optional, defaults to paid, refunded and pending)
+ *
+ * The file is streamed as it is generated, so the range is not limited by
+ * what fits in memory here or in the browser.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { format = ACCOUNTING_EXPORT.FORMATS.CSV, from, to, statuses, adminId } = req.query
+
+    if (!from || !to || !adminId) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    const { filename, contentType } = getExportFile(format, from, to)
+
+    await writePaymentsExport({
+      format,
+      from,
+      to,
+      ...(statuses && { statuses: statuses.split(',').filter(Boolean) })
+    }, (chunk) => {
+      // Headers go out with the first chunk, once the request has been validated
+      if (!res.headersSent) {
+        res.setHeader('Content-Type', contentType)
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+        res.status(200)
+      }
+      res.write(chunk)
+    })
+
+    res.end()
+
+  } catch (error) {
+    if (error instanceof ValidationError && !res.headersSent) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Payments export error:', error)
+
+    // Part of the file has gone out. Drop the connection so the download
+    // fails instead of saving a file that looks complete.
+    if (res.headersSent) {
+      return res.destroy()
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export payments',
+      error: error.message
+    })
+  }
+}
@@ -0,0 +1,59 @@
+import { submitScholarshipApplication } from '../../../lib/scholarships'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+export const config = {
+  api: {
+    bodyParser: {
+      // Up to three 5MB documents, base64 encoded
+      sizeLimit: '25mb',
+    },
+  },
+}
+
+/**
+ * API endpoint for a student to apply for a scholarship or fee waiver
+ *
+ * POST /api/scholarships/apply
+ * Body: {
+ *   userId: string,
+ *   courseId: string,
+ *   reason: string,
+ *   documents?: [{ data: string (base64), filename: string, type: string }]
+ * }
+ *
+ * Stores the supporting documents in the private scholarship-documents
+ * bucket and queues the application for an admin to review.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { userId, courseId, reason, documents = [] } = req.body
+
+    if (!userId || !courseId || !reason?.trim()) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const application = await submitScholarshipApplication({ userId, courseId, reason, documents })
+
+    res.status(200).json({
+      success: true,
+      applicationId: application.id,
+      message: 'Scholarship application submitted'
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ error: error.message })
+    }
+
+    console.error('Scholarship application error:', error)
+    res.status(500).json({
+      error: 'Failed to submit scholarship application',
+      details: error.message
+    })
+  }
+}
@@ -0,0 +1,50 @@
+import { supabase, isAdminServer } from '../../../lib/supabase-admin'
+import { getScholarshipDocumentUrls, DOCUMENT_URL_TTL } from '../../../lib/scholarships'
+
+/**
+ * API endpoint returning short-lived links to a scholarship application's
+ * supporting documents
+ *
+ * GET /api/scholarships/documents?applicationId=...&adminId=...
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { applicationId, adminId } = req.query
+
+    if (!applicationId || !adminId) {
+      return res.status(400).json({ error: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ error: 'Admin access required' })
+    }
+
+    const { data: application, error: applicationError } = await supabase
+      .from('scholarship_applications')
+      .select('id, documents')
+      .eq('id', applicationId)
+      .single()
+
+    if (applicationError || !application) {
+      return res.status(404).json({ error: 'Application not found' })
+    }
+
+    const documents = await getScholarshipDocumentUrls(application)
+
+    res.status(200).json({
+      success: true,
+      documents,
+      expiresIn: DOCUMENT_URL_TTL
+    })
+
+  } catch (error) {
+    console.error('Scholarship documents error:', error)
+    res.status(500).json({ error: 'Failed to load documents', details: error.message })
+  }
+}
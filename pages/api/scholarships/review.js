@@ -0,0 +1,79 @@
+import { isAdminServer } from '../../../lib/supabase-admin'
+import { approveScholarship, rejectScholarship, SCHOLARSHIP_AWARDS } from '../../../lib/scholarships'
+import { ValidationError, NotFoundError } from '../../../lib/errors'
+
+/**
+ * API endpoint for admins to approve or reject a scholarship application
+ *
+ * POST /api/scholarships/review
+ * Body: {
+ *   applicationId: string,
+ *   adminId: string,
+ *   action: 'approve' | 'reject',
+ *   award?: 'waiver' | 'discount',  // required to approve
+ *   discountPercent?: number,       // required for a discount
+ *   note?: string                   // required to reject, emailed to the student
+ * }
+ *
+ * A waiver records a zero-amount `scholarship` payment and grants the
+ * course; a discount emails the student a single-use coupon.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ message: 'Method not allowed' })
+  }
+
+  try {
+    const { applicationId, adminId, action, award, discountPercent, note } = req.body
+
+    if (!applicationId || !adminId || !['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ message: 'Missing required fields' })
+    }
+
+    const adminStatus = await isAdminServer(adminId)
+    if (!adminStatus) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+
+    if (action === 'reject') {
+      await rejectScholarship({ applicationId, adminId, note })
+      return res.status(200).json({ success: true, message: 'Application rejected' })
+    }
+
+    const { payment, coupon, failedSteps = [] } = await approveScholarship({
+      applicationId,
+      adminId,
+      award,
+      discountPercent,
+      note
+    })
+
+    let message = `Discount code ${coupon?.code} sent to the student`
+    if (award === SCHOLARSHIP_AWARDS.WAIVER) {
+      message = failedSteps.length
+        ? `Fee waived; retry needed for ${failedSteps.join(', ')}`
+        : 'Fee waived and course granted'
+    }
+
+    res.status(200).json({
+      success: true,
+      paymentId: payment?.id || null,
+      couponCode: coupon?.code || null,
+      failedSteps,
+      message
+    })
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({ message: error.message })
+    }
+
+    console.error('Scholarship review error:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review application',
+      error: error.message
+    })
+  }
+}
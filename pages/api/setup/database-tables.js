@@ -70,6 +70,279 @@ export default async function handler(req, res) {
       results.push('email_sent column needs to be added to payments table')
     }
 
+    // 6. Add bank transfer review columns to payments table
+    try {
+      const { error: bankColumnsError } = await supabase
+        .from('payments')
+        .select('transfer_reference, receipt_path')
+        .limit(1)
+
+      if (bankColumnsError) throw bankColumnsError
+    } catch (error) {
+      console.log('Need to add bank transfer columns to payments table')
+      results.push('bank transfer columns need to be added to payments table')
+    }
+
+    // 7. Create coupons table and coupon columns on payments
+    try {
+      const { error: couponsTableError } = await supabase
+        .from('coupons')
+        .select('id')
+        .limit(1)
+
+      if (couponsTableError) throw couponsTableError
+    } catch (error) {
+      console.log('Creating coupons table...')
+      results.push('coupons table needs to be created in Supabase dashboard')
+    }
+
+    // 8. Create refund_requests table and refund columns on payments
+    try {
+      const { error: refundsTableError } = await supabase
+        .from('refund_requests')
+        .select('id')
+        .limit(1)
+
+      if (refundsTableError) throw refundsTableError
+    } catch (error) {
+      console.log('Creating refund_requests table...')
+      results.push('refund_requests table needs to be created in Supabase dashboard')
+    }
+
+    // 9. Create payment_events table
+    try {
+      const { error: eventsTableError } = await supabase
+        .from('payment_events')
+        .select('id')
+        .limit(1)
+
+      if (eventsTableError) throw eventsTableError
+    } catch (error) {
+      console.log('Creating payment_events table...')
+      results.push('payment_events table needs to be created in Supabase dashboard')
+    }
+
+    // 10. Create exchange_rates table
+    try {
+      const { error: ratesTableError } = await supabase
+        .from('exchange_rates')
+        .select('id')
+        .limit(1)
+
+      if (ratesTableError) throw ratesTableError
+    } catch (error) {
+      console.log('Creating exchange_rates table...')
+      results.push('exchange_rates table needs to be created in Supabase dashboard')
+    }
+
+    // 11. Create bundles tables
+    try {
+      const { error: bundlesTableError } = await supabase
+        .from('bundles')
+        .select('id')
+        .limit(1)
+
+      if (bundlesTableError) throw bundlesTableError
+    } catch (error) {
+      console.log('Creating bundles tables...')
+      results.push('bundles and bundle_courses tables need to be created in Supabase dashboard')
+    }
+
+    // 12. Create memberships table
+    try {
+      const { error: membershipsTableError } = await supabase
+        .from('memberships')
+        .select('id')
+        .limit(1)
+
+      if (membershipsTableError) throw membershipsTableError
+    } catch (error) {
+      console.log('Creating memberships table...')
+      results.push('memberships table needs to be created in Supabase dashboard')
+    }
+
+    // 13. Create installment tables
+    try {
+      const { error: installmentsTableError } = await supabase
+        .from('installment_plans')
+        .select('id')
+        .limit(1)
+
+      if (installmentsTableError) throw installmentsTableError
+    } catch (error) {
+      console.log('Creating installment tables...')
+      results.push('installment_plans, installment_schedules and installments tables need to be created in Supabase dashboard')
+    }
+
+    // 14. Create gift code tables
+    try {
+      const { error: giftCodesTableError } = await supabase
+        .from('gift_codes')
+        .select('id')
+        .limit(1)
+
+      if (giftCodesTableError) throw giftCodesTableError
+    } catch (error) {
+      console.log('Creating gift code tables...')
+      results.push('gift_code_batches and gift_codes tables need to be created in Supabase dashboard')
+    }
+
+    // 15. Create invoicing tables
+    try {
+      const { error: invoicesTableError } = await supabase
+        .from('invoices')
+        .select('id')
+        .limit(1)
+
+      if (invoicesTableError) throw invoicesTableError
+    } catch (error) {
+      console.log('Creating invoicing tables...')
+      results.push('invoices, invoice_sequences and tax_rates tables need to be created in Supabase dashboard')
+    }
+
+    // 16. Create payment_fulfillments table
+    try {
+      const { error: fulfillmentsTableError } = await supabase
+        .from('payment_fulfillments')
+        .select('id')
+        .limit(1)
+
+      if (fulfillmentsTableError) throw fulfillmentsTableError
+    } catch (error) {
+      console.log('Creating payment_fulfillments table...')
+      results.push('payment_fulfillments table and its access and attempt functions need to be created in Supabase dashboard')
+    }
+
+    // 17. Create cart_items table
+    try {
+      const { error: cartItemsTableError } = await supabase
+        .from('cart_items')
+        .select('id')
+        .limit(1)
+
+      if (cartItemsTableError) throw cartItemsTableError
+    } catch (error) {
+      console.log('Creating cart_items table...')
+      results.push('cart_items table and payments.order_items column need to be created in Supabase dashboard')
+    }
+
+    // 18. Add course price lists
+    try {
+      const { error: priceListError } = await supabase
+        .from('courses')
+        .select('prices')
+        .limit(1)
+
+      if (priceListError) throw priceListError
+    } catch (error) {
+      console.log('Adding course price lists...')
+      results.push('courses.prices and profiles.currency columns need to be added in Supabase dashboard')
+    }
+
+    // 19. Create bank_statement_lines table
+    try {
+      const { error: statementLinesTableError } = await supabase
+        .from('bank_statement_lines')
+        .select('id')
+        .limit(1)
+
+      if (statementLinesTableError) throw statementLinesTableError
+    } catch (error) {
+      console.log('Creating bank_statement_lines table...')
+      results.push('bank_statement_lines table needs to be created in Supabase dashboard')
+    }
+
+    // 20. Create payment_disputes table
+    try {
+      const { error: disputesTableError } = await supabase
+        .from('payment_disputes')
+        .select('id')
+        .limit(1)
+
+      if (disputesTableError) throw disputesTableError
+    } catch (error) {
+      console.log('Creating payment_disputes table...')
+      results.push('payment_disputes table and payments.dispute_status column need to be created in Supabase dashboard')
+    }
+
+    // 21. Create affiliate tables
+    try {
+      const { error: affiliatesTableError } = await supabase
+        .from('affiliates')
+        .select('id')
+        .limit(1)
+
+      if (affiliatesTableError) throw affiliatesTableError
+    } catch (error) {
+      console.log('Creating affiliate tables...')
+      results.push('affiliate tables and payments.affiliate_id column need to be created in Supabase dashboard')
+    }
+
+    // 22. Add gateway fee columns to payments table
+    try {
+      const { error: feeColumnsError } = await supabase
+        .from('payments')
+        .select('gateway_fee, gateway_fee_currency')
+        .limit(1)
+
+      if (feeColumnsError) throw feeColumnsError
+    } catch (error) {
+      console.log('Need to add gateway fee columns to payments table')
+      results.push('gateway fee columns need to be added to payments table')
+    }
+
+    // 23. Create scholarship_applications table
+    try {
+      const { error: scholarshipsTableError } = await supabase
+        .from('scholarship_applications')
+        .select('id')
+        .limit(1)
+
+      if (scholarshipsTableError) throw scholarshipsTableError
+    } catch (error) {
+      console.log('Creating scholarship_applications table...')
+      results.push('scholarship_applications table and coupons.user_id column need to be created in Supabase dashboard')
+    }
+
+    // 24. Create quiz tables
+    try {
+      const { error: quizAttemptsTableError } = await supabase
+        .from('quiz_attempts')
+        .select('id')
+        .limit(1)
+
+      if (quizAttemptsTableError) throw quizAttemptsTableError
+    } catch (error) {
+      console.log('Creating quiz tables...')
+      results.push('quiz_questions and quiz_attempts tables need to be created in Supabase dashboard')
+    }
+
+    // 25. Create problem_templates table
+    try {
+      const { error: problemTemplatesTableError } = await supabase
+        .from('problem_templates')
+        .select('id')
+        .limit(1)
+
+      if (problemTemplatesTableError) throw problemTemplatesTableError
+    } catch (error) {
+      console.log('Creating problem_templates table...')
+      results.push('problem_templates table needs to be created in Supabase dashboard')
+    }
+
+    // 26. Create course_sections table
+    try {
+      const { error: courseSectionsTableError } = await supabase
+        .from('course_sections')
+        .select('id')
+        .limit(1)
+
+      if (courseSectionsTableError) throw courseSectionsTableError
+    } catch (error) {
+      console.log('Creating course_sections table...')
+      results.push('course_sections table and lessons.section_id need to be created in Supabase dashboard')
+    }
+
     res.status(200).json({
       success: true,
       message: 'Database setup check completed',
@@ -203,6 +476,1154 @@ export default async function handler(req, res) {
 
           -- Create index
           CREATE INDEX IF NOT EXISTS idx_payments_email_sent ON payments(email_sent);
+        `,
+        payments_bank_transfer: `
+          -- Bank transfer receipts and review outcome
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS transfer_reference TEXT UNIQUE;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS receipt_path TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS receipt_filename TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES profiles(id);
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ;
+
+          -- Review queue lookups
+          CREATE INDEX IF NOT EXISTS idx_payments_method_status ON payments(method, status);
+        `,
+        coupons: `
+          CREATE TABLE IF NOT EXISTS coupons (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            code TEXT NOT NULL UNIQUE CHECK (code = UPPER(code)),
+            description TEXT,
+            discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+            discount_value NUMERIC(10,2) NOT NULL CHECK (discount_value > 0),
+            starts_at TIMESTAMPTZ,
+            expires_at TIMESTAMPTZ,
+            max_redemptions INTEGER CHECK (max_redemptions > 0),
+            per_user_limit INTEGER CHECK (per_user_limit > 0),
+            course_ids UUID[],
+            active BOOLEAN DEFAULT TRUE,
+            created_by UUID REFERENCES profiles(id),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Discount applied to each payment
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS original_amount NUMERIC(10,2);
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2) DEFAULT 0;
+
+          CREATE INDEX IF NOT EXISTS idx_payments_coupon_id ON payments(coupon_id);
+
+          -- Refuses a payment that would take its coupon over a cap. Locking
+          -- the coupon row serialises concurrent checkouts for it. Paid
+          -- payments count, as do pending bank transfers and other pending
+          -- checkouts from the last 24 hours (COUPON_HOLD_HOURS in lib/coupons.js).
+          CREATE OR REPLACE FUNCTION enforce_coupon_limits()
+          RETURNS TRIGGER
+          LANGUAGE plpgsql
+          AS $$
+          DECLARE
+            v_coupon coupons;
+            v_total INTEGER;
+            v_user_total INTEGER;
+          BEGIN
+            SELECT * INTO v_coupon FROM coupons WHERE id = NEW.coupon_id FOR UPDATE;
+            IF NOT FOUND THEN
+              RETURN NEW;
+            END IF;
+
+            SELECT COUNT(*), COUNT(*) FILTER (WHERE user_id = NEW.user_id)
+            INTO v_total, v_user_total
+            FROM payments
+            WHERE coupon_id = NEW.coupon_id
+              AND (
+                status IN ('approved', 'completed')
+                OR (status = 'pending' AND (method = 'bank_transfer' OR created_at > NOW() - INTERVAL '24 hours'))
+              );
+
+            IF v_coupon.max_redemptions IS NOT NULL AND v_total >= v_coupon.max_redemptions THEN
+              RAISE EXCEPTION 'This coupon has reached its usage limit' USING ERRCODE = 'CU001';
+            END IF;
+
+            IF v_coupon.per_user_limit IS NOT NULL AND v_user_total >= v_coupon.per_user_limit THEN
+              RAISE EXCEPTION 'You have already used this coupon' USING ERRCODE = 'CU001';
+            END IF;
+
+            RETURN NEW;
+          END;
+          $$;
+
+          DROP TRIGGER IF EXISTS payments_enforce_coupon_limits ON payments;
+          CREATE TRIGGER payments_enforce_coupon_limits
+            BEFORE INSERT ON payments
+            FOR EACH ROW
+            WHEN (NEW.coupon_id IS NOT NULL)
+            EXECUTE FUNCTION enforce_coupon_limits();
+
+          -- Enable RLS
+          ALTER TABLE coupons ENABLE ROW LEVEL SECURITY;
+
+          -- Coupons are validated server-side; only admins manage them directly
+          CREATE POLICY "Admins can manage coupons" ON coupons
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        refund_requests: `
+          CREATE TABLE IF NOT EXISTS refund_requests (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+            user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+            course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+            amount NUMERIC(10,2) NOT NULL,
+            reason TEXT NOT NULL,
+            progress_percentage INTEGER DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+            admin_note TEXT,
+            refund_reference TEXT,
+            reviewed_by UUID REFERENCES profiles(id),
+            reviewed_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Only one open request per payment
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_refund_requests_pending
+            ON refund_requests(payment_id) WHERE status = 'pending';
+          CREATE INDEX IF NOT EXISTS idx_refund_requests_user_id ON refund_requests(user_id);
+
+          -- Refund outcome on the payment ('refunded' is a payment status)
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_method TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_reference TEXT;
+
+          -- Enable RLS
+          ALTER TABLE refund_requests ENABLE ROW LEVEL SECURITY;
+
+          -- Create RLS policies
+          CREATE POLICY "Users can view their own refund requests" ON refund_requests
+            FOR SELECT USING (auth.uid() = user_id);
+
+          CREATE POLICY "Admins can view refund requests" ON refund_requests
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        payment_events: `
+          CREATE TABLE IF NOT EXISTS payment_events (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            provider TEXT NOT NULL CHECK (provider IN ('stripe', 'payhere')),
+            event_id TEXT NOT NULL,
+            event_type TEXT NOT NULL,
+            payload JSONB NOT NULL,
+            payment_id UUID,
+            status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'failed', 'ignored')),
+            result_message TEXT,
+            error TEXT,
+            attempts INTEGER DEFAULT 0,
+            received_at TIMESTAMPTZ DEFAULT NOW(),
+            processed_at TIMESTAMPTZ,
+            -- Deduplicates gateway retries
+            UNIQUE(provider, event_id)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_payment_events_status ON payment_events(status);
+          CREATE INDEX IF NOT EXISTS idx_payment_events_payment_id ON payment_events(payment_id);
+          CREATE INDEX IF NOT EXISTS idx_payment_events_received_at ON payment_events(received_at DESC);
+
+          -- Enable RLS
+          ALTER TABLE payment_events ENABLE ROW LEVEL SECURITY;
+
+          -- Written by webhooks with the service role; admins can read
+          CREATE POLICY "Admins can view payment events" ON payment_events
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        exchange_rates: `
+          CREATE TABLE IF NOT EXISTS exchange_rates (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            -- 1 base_currency = rate quote_currency
+            base_currency TEXT NOT NULL CHECK (base_currency ~ '^[A-Z]{3}$'),
+            quote_currency TEXT NOT NULL CHECK (quote_currency ~ '^[A-Z]{3}$'),
+            rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+            effective_from TIMESTAMPTZ NOT NULL,
+            source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'csv')),
+            created_by UUID REFERENCES profiles(id),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            CHECK (base_currency <> quote_currency),
+            UNIQUE(base_currency, quote_currency, effective_from)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair ON exchange_rates(base_currency, quote_currency, effective_from DESC);
+
+          -- Rate snapshot used to charge each payment
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS charged_amount NUMERIC(12, 2);
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS charged_currency TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18, 8);
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate_snapshot JSONB;
+
+          -- Enable RLS
+          ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+          CREATE POLICY "Admins can manage exchange rates" ON exchange_rates
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        bundles: `
+          CREATE TABLE IF NOT EXISTS bundles (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            title TEXT NOT NULL,
+            description TEXT,
+            price NUMERIC(10, 2) NOT NULL CHECK (price > 0),
+            thumbnail TEXT,
+            status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+            created_by UUID REFERENCES profiles(id),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE TABLE IF NOT EXISTS bundle_courses (
+            bundle_id UUID NOT NULL REFERENCES bundles(id) ON DELETE CASCADE,
+            course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+            position INTEGER DEFAULT 0,
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (bundle_id, course_id)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_bundle_courses_course_id ON bundle_courses(course_id);
+
+          -- A payment is for either one course or one bundle
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES bundles(id);
+          ALTER TABLE payments ALTER COLUMN course_id DROP NOT NULL;
+          ALTER TABLE payments ADD CONSTRAINT payments_course_or_bundle
+            CHECK (course_id IS NOT NULL OR bundle_id IS NOT NULL);
+          CREATE INDEX IF NOT EXISTS idx_payments_bundle_id ON payments(bundle_id);
+
+          -- Enable RLS
+          ALTER TABLE bundles ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE bundle_courses ENABLE ROW LEVEL SECURITY;
+
+          CREATE POLICY "Anyone can view published bundles" ON bundles
+            FOR SELECT USING (status = 'published');
+
+          CREATE POLICY "Anyone can view bundle courses" ON bundle_courses
+            FOR SELECT USING (true);
+
+          CREATE POLICY "Admins can manage bundles" ON bundles
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Admins can manage bundle courses" ON bundle_courses
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        memberships: `
+          -- One row per Stripe subscription, kept in sync by webhooks
+          CREATE TABLE IF NOT EXISTS memberships (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+            plan TEXT NOT NULL CHECK (plan IN ('monthly', 'yearly')),
+            status TEXT NOT NULL,
+            stripe_customer_id TEXT NOT NULL,
+            stripe_subscription_id TEXT NOT NULL UNIQUE,
+            current_period_end TIMESTAMPTZ,
+            cancel_at_period_end BOOLEAN DEFAULT FALSE,
+            -- Access is kept until this time while a renewal is failing
+            grace_until TIMESTAMPTZ,
+            canceled_at TIMESTAMPTZ,
+            ended_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_memberships_user_id ON memberships(user_id);
+
+          ALTER TABLE profiles ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT UNIQUE;
+
+          -- Enable RLS
+          ALTER TABLE memberships ENABLE ROW LEVEL SECURITY;
+
+          -- Written by webhooks with the service role
+          CREATE POLICY "Users can view own memberships" ON memberships
+            FOR SELECT USING (auth.uid() = user_id);
+
+          CREATE POLICY "Admins can view memberships" ON memberships
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        installments: `
+          -- Plans admins offer, e.g. 3 monthly installments for courses over a price
+          CREATE TABLE IF NOT EXISTS installment_plans (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            name TEXT NOT NULL,
+            installment_count INTEGER NOT NULL CHECK (installment_count BETWEEN 2 AND 12),
+            interval_months INTEGER NOT NULL DEFAULT 1 CHECK (interval_months BETWEEN 1 AND 6),
+            min_course_price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+            active BOOLEAN DEFAULT TRUE,
+            created_by UUID REFERENCES profiles(id),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- A student's copy of a plan for one course
+          CREATE TABLE IF NOT EXISTS installment_schedules (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+            course_id UUID NOT NULL REFERENCES courses(id),
+            plan_id UUID REFERENCES installment_plans(id),
+            total_amount NUMERIC(10, 2) NOT NULL,
+            installment_count INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending'
+              CHECK (status IN ('pending', 'active', 'suspended', 'completed', 'canceled')),
+            suspended_at TIMESTAMPTZ,
+            completed_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE TABLE IF NOT EXISTS installments (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            schedule_id UUID NOT NULL REFERENCES installment_schedules(id) ON DELETE CASCADE,
+            installment_number INTEGER NOT NULL,
+            amount NUMERIC(10, 2) NOT NULL,
+            due_date TIMESTAMPTZ NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+            payment_id UUID REFERENCES payments(id),
+            paid_at TIMESTAMPTZ,
+            reminder_sent_at TIMESTAMPTZ,
+            UNIQUE(schedule_id, installment_number)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_installment_schedules_user_id ON installment_schedules(user_id);
+          CREATE INDEX IF NOT EXISTS idx_installments_due ON installments(status, due_date);
+
+          -- Each installment is paid through its own payments row
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS installment_id UUID REFERENCES installments(id);
+          CREATE INDEX IF NOT EXISTS idx_payments_installment_id ON payments(installment_id);
+
+          -- Enable RLS
+          ALTER TABLE installment_plans ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE installment_schedules ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE installments ENABLE ROW LEVEL SECURITY;
+
+          CREATE POLICY "Anyone can view active installment plans" ON installment_plans
+            FOR SELECT USING (active = true);
+
+          CREATE POLICY "Admins can manage installment plans" ON installment_plans
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          -- Schedules are written by the server with the service role
+          CREATE POLICY "Users can view own installment schedules" ON installment_schedules
+            FOR SELECT USING (auth.uid() = user_id);
+
+          CREATE POLICY "Admins can view installment schedules" ON installment_schedules
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Users can view own installments" ON installments
+            FOR SELECT USING (
+              EXISTS (
+                SELECT 1 FROM installment_schedules
+                WHERE installment_schedules.id = installments.schedule_id
+                AND installment_schedules.user_id = auth.uid()
+              )
+            );
+
+          CREATE POLICY "Admins can view installments" ON installments
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        gift_codes: `
+          -- Prepaid codes generated by admins for schools and tuition classes
+          CREATE TABLE IF NOT EXISTS gift_code_batches (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            label TEXT NOT NULL,
+            course_id UUID REFERENCES courses(id),
+            bundle_id UUID REFERENCES bundles(id),
+            quantity INTEGER NOT NULL CHECK (quantity BETWEEN 1 AND 1000),
+            expires_at TIMESTAMPTZ,
+            created_by UUID REFERENCES profiles(id),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            CHECK ((course_id IS NULL) <> (bundle_id IS NULL))
+          );
+
+          -- One single-use code per gift purchase or prepaid seat
+          CREATE TABLE IF NOT EXISTS gift_codes (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            code TEXT NOT NULL UNIQUE,
+            course_id UUID REFERENCES courses(id),
+            bundle_id UUID REFERENCES bundles(id),
+            payment_id UUID UNIQUE REFERENCES payments(id),
+            batch_id UUID REFERENCES gift_code_batches(id) ON DELETE CASCADE,
+            purchaser_id UUID REFERENCES profiles(id),
+            recipient_email TEXT,
+            recipient_name TEXT,
+            message TEXT,
+            status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'redeemed', 'revoked')),
+            redeemed_by UUID REFERENCES profiles(id),
+            redeemed_at TIMESTAMPTZ,
+            expires_at TIMESTAMPTZ,
+            -- Set once the recipient has been emailed the code; retries send it until then
+            emailed_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            CHECK ((course_id IS NULL) <> (bundle_id IS NULL))
+          );
+
+          ALTER TABLE gift_codes ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMPTZ;
+
+          CREATE INDEX IF NOT EXISTS idx_gift_codes_batch_id ON gift_codes(batch_id);
+          CREATE INDEX IF NOT EXISTS idx_gift_codes_purchaser_id ON gift_codes(purchaser_id);
+
+          -- A gift payment is fulfilled with a code instead of a purchase
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS is_gift BOOLEAN DEFAULT FALSE;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS gift_recipient_email TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS gift_recipient_name TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS gift_message TEXT;
+
+          -- Enable RLS
+          ALTER TABLE gift_code_batches ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE gift_codes ENABLE ROW LEVEL SECURITY;
+
+          -- Codes are issued and redeemed by the server with the service role
+          CREATE POLICY "Users can view gifts they bought" ON gift_codes
+            FOR SELECT USING (auth.uid() = purchaser_id);
+
+          CREATE POLICY "Admins can view gift codes" ON gift_codes
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Admins can view gift code batches" ON gift_code_batches
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        invoices: `
+          -- Configurable taxes backed out of tax-inclusive prices, e.g.
+          -- SSCL 2.5% and VAT 18% (compound, charged on top of SSCL)
+          CREATE TABLE IF NOT EXISTS tax_rates (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            name TEXT NOT NULL,
+            rate NUMERIC(6, 3) NOT NULL CHECK (rate >= 0 AND rate < 100),
+            compound BOOLEAN DEFAULT FALSE,
+            sort_order INTEGER DEFAULT 0,
+            active BOOLEAN DEFAULT TRUE,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Last number handed out per document type and year
+          CREATE TABLE IF NOT EXISTS invoice_sequences (
+            document_type TEXT NOT NULL CHECK (document_type IN ('invoice', 'credit_note')),
+            year INTEGER NOT NULL,
+            last_number INTEGER NOT NULL,
+            PRIMARY KEY (document_type, year)
+          );
+
+          CREATE TABLE IF NOT EXISTS invoices (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            document_type TEXT NOT NULL CHECK (document_type IN ('invoice', 'credit_note')),
+            invoice_number TEXT NOT NULL UNIQUE,
+            year INTEGER NOT NULL,
+            sequence INTEGER NOT NULL,
+            payment_id UUID NOT NULL REFERENCES payments(id),
+            credited_invoice_id UUID REFERENCES invoices(id),
+            customer_name TEXT,
+            customer_email TEXT,
+            description TEXT NOT NULL,
+            currency TEXT NOT NULL DEFAULT 'LKR',
+            subtotal NUMERIC(12, 2) NOT NULL,
+            tax_lines JSONB NOT NULL DEFAULT '[]',
+            tax_total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+            total NUMERIC(12, 2) NOT NULL,
+            seller JSONB NOT NULL,
+            issued_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE(document_type, year, sequence),
+            UNIQUE(payment_id, document_type)
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_invoices_issued_at ON invoices(issued_at DESC);
+
+          -- Rendered PDFs live in the private 'invoices' storage bucket
+          ALTER TABLE invoices ADD COLUMN IF NOT EXISTS file_path TEXT;
+          -- One line per course for cart orders; empty for single items
+          ALTER TABLE invoices ADD COLUMN IF NOT EXISTS line_items JSONB NOT NULL DEFAULT '[]';
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS invoice_number TEXT;
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS invoice_path TEXT;
+
+          -- Allocates the next number and stores the document in one
+          -- transaction, so a failed insert rolls the sequence back too
+          CREATE OR REPLACE FUNCTION issue_invoice(p_document JSONB)
+          RETURNS invoices
+          LANGUAGE plpgsql
+          AS $$
+          DECLARE
+            v_type TEXT := p_document->>'document_type';
+            v_year INTEGER := EXTRACT(YEAR FROM NOW() AT TIME ZONE 'Asia/Colombo');
+            v_sequence INTEGER;
+            v_invoice invoices;
+          BEGIN
+            INSERT INTO invoice_sequences (document_type, year, last_number)
+            VALUES (v_type, v_year, 1)
+            ON CONFLICT (document_type, year)
+            DO UPDATE SET last_number = invoice_sequences.last_number + 1
+            RETURNING last_number INTO v_sequence;
+
+            INSERT INTO invoices (
+              document_type, invoice_number, year, sequence, payment_id, credited_invoice_id,
+              customer_name, customer_email, description, line_items, currency,
+              subtotal, tax_lines, tax_total, total, seller
+            ) VALUES (
+              v_type,
+              CASE WHEN v_type = 'credit_note' THEN 'CN' ELSE 'INV' END || '-' || v_year || '-' || LPAD(v_sequence::TEXT, 6, '0'),
+              v_year,
+              v_sequence,
+              (p_document->>'payment_id')::UUID,
+              (p_document->>'credited_invoice_id')::UUID,
+              p_document->>'customer_name',
+              p_document->>'customer_email',
+              p_document->>'description',
+              COALESCE(p_document->'line_items', '[]'::JSONB),
+              COALESCE(p_document->>'currency', 'LKR'),
+              (p_document->>'subtotal')::NUMERIC,
+              COALESCE(p_document->'tax_lines', '[]'::JSONB),
+              (p_document->>'tax_total')::NUMERIC,
+              (p_document->>'total')::NUMERIC,
+              p_document->'seller'
+            )
+            RETURNING * INTO v_invoice;
+
+            RETURN v_invoice;
+          END;
+          $$;
+
+          -- Seller registration details live in settings under 'invoice_seller'
+          CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value JSONB,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Enable RLS
+          ALTER TABLE tax_rates ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE invoice_sequences ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
+
+          -- Documents are issued by the server with the service role
+          CREATE POLICY "Users can view own invoices" ON invoices
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM payments WHERE payments.id = invoices.payment_id AND payments.user_id = auth.uid())
+            );
+
+          CREATE POLICY "Admins can view invoices" ON invoices
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Admins can manage tax rates" ON tax_rates
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Admins can manage settings" ON settings
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        payment_fulfillments: `
+          -- One row per paid payment: what fulfilling it did and what is
+          -- left to retry. Steps are 'pending', 'done' or 'failed'; the
+          -- email step can also be 'sending' or 'skipped' (no address).
+          CREATE TABLE IF NOT EXISTS payment_fulfillments (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            payment_id UUID NOT NULL UNIQUE REFERENCES payments(id),
+            source TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'partial')),
+            access_status TEXT NOT NULL DEFAULT 'pending' CHECK (access_status IN ('pending', 'done', 'failed')),
+            invoice_status TEXT NOT NULL DEFAULT 'pending' CHECK (invoice_status IN ('pending', 'done', 'failed')),
+            email_status TEXT NOT NULL DEFAULT 'pending' CHECK (email_status IN ('pending', 'sending', 'done', 'failed', 'skipped')),
+            course_ids UUID[],
+            invoice_id UUID REFERENCES invoices(id),
+            errors JSONB NOT NULL DEFAULT '{}',
+            attempts INTEGER DEFAULT 0,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+            completed_at TIMESTAMPTZ
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_payment_fulfillments_status ON payment_fulfillments(status);
+
+          -- Grants the purchases for a payment and records the access step
+          -- in one transaction, so the audit row never disagrees with access
+          CREATE OR REPLACE FUNCTION grant_payment_access(p_payment_id UUID, p_course_ids UUID[], p_source TEXT)
+          RETURNS payment_fulfillments
+          LANGUAGE plpgsql
+          AS $$
+          DECLARE
+            v_user_id UUID;
+            v_course_id UUID;
+            v_fulfillment payment_fulfillments;
+          BEGIN
+            SELECT user_id INTO v_user_id FROM payments WHERE id = p_payment_id;
+            IF v_user_id IS NULL THEN
+              RAISE EXCEPTION 'Payment % not found', p_payment_id;
+            END IF;
+
+            FOREACH v_course_id IN ARRAY COALESCE(p_course_ids, '{}') LOOP
+              IF EXISTS (SELECT 1 FROM purchases WHERE user_id = v_user_id AND course_id = v_course_id) THEN
+                UPDATE purchases
+                SET access_granted = TRUE, payment_id = p_payment_id, purchase_date = NOW()
+                WHERE user_id = v_user_id AND course_id = v_course_id AND access_granted IS NOT TRUE;
+              ELSE
+                INSERT INTO purchases (user_id, course_id, payment_id, access_granted, purchase_date)
+                VALUES (v_user_id, v_course_id, p_payment_id, TRUE, NOW())
+                ON CONFLICT DO NOTHING;
+              END IF;
+            END LOOP;
+
+            INSERT INTO payment_fulfillments (payment_id, source, access_status, course_ids)
+            VALUES (p_payment_id, p_source, 'done', p_course_ids)
+            ON CONFLICT (payment_id) DO UPDATE
+            SET access_status = 'done',
+                course_ids = EXCLUDED.course_ids,
+                errors = payment_fulfillments.errors - 'access',
+                updated_at = NOW()
+            RETURNING * INTO v_fulfillment;
+
+            RETURN v_fulfillment;
+          END;
+          $$;
+
+          -- Applies a paid installment and records the access step in one
+          -- transaction. p_schedule_status is worked out by the server from
+          -- the schedule with this installment paid; 'suspended' means
+          -- another installment is overdue, so access stays revoked.
+          CREATE OR REPLACE FUNCTION grant_installment_access(p_payment_id UUID, p_schedule_status TEXT, p_source TEXT)
+          RETURNS installment_schedules
+          LANGUAGE plpgsql
+          AS $$
+          DECLARE
+            v_installment_id UUID;
+            v_schedule installment_schedules;
+          BEGIN
+            SELECT installment_id INTO v_installment_id FROM payments WHERE id = p_payment_id;
+            IF v_installment_id IS NULL THEN
+              RAISE EXCEPTION 'Installment payment % not found', p_payment_id;
+            END IF;
+
+            UPDATE installments
+            SET status = 'paid', payment_id = p_payment_id, paid_at = NOW()
+            WHERE id = v_installment_id AND status <> 'paid';
+
+            SELECT s.* INTO v_schedule
+            FROM installment_schedules s
+            JOIN installments i ON i.schedule_id = s.id
+            WHERE i.id = v_installment_id
+            FOR UPDATE OF s;
+
+            IF p_schedule_status = 'suspended' THEN
+              UPDATE purchases SET access_granted = FALSE
+              WHERE user_id = v_schedule.user_id AND course_id = v_schedule.course_id;
+
+              UPDATE installment_schedules
+              SET status = 'suspended', suspended_at = NOW(), updated_at = NOW()
+              WHERE id = v_schedule.id
+              RETURNING * INTO v_schedule;
+            ELSE
+              IF EXISTS (SELECT 1 FROM purchases WHERE user_id = v_schedule.user_id AND course_id = v_schedule.course_id) THEN
+                UPDATE purchases
+                SET access_granted = TRUE, payment_id = p_payment_id, purchase_date = NOW()
+                WHERE user_id = v_schedule.user_id AND course_id = v_schedule.course_id AND access_granted IS NOT TRUE;
+              ELSE
+                INSERT INTO purchases (user_id, course_id, payment_id, access_granted, purchase_date)
+                VALUES (v_schedule.user_id, v_schedule.course_id, p_payment_id, TRUE, NOW())
+                ON CONFLICT DO NOTHING;
+              END IF;
+
+              UPDATE installment_schedules
+              SET status = p_schedule_status,
+                  suspended_at = NULL,
+                  completed_at = CASE WHEN p_schedule_status = 'completed' THEN NOW() END,
+                  updated_at = NOW()
+              WHERE id = v_schedule.id
+              RETURNING * INTO v_schedule;
+            END IF;
+
+            INSERT INTO payment_fulfillments (payment_id, source, access_status, course_ids)
+            VALUES (p_payment_id, p_source, 'done', ARRAY[v_schedule.course_id])
+            ON CONFLICT (payment_id) DO UPDATE
+            SET access_status = 'done',
+                course_ids = EXCLUDED.course_ids,
+                errors = payment_fulfillments.errors - 'access',
+                updated_at = NOW();
+
+            RETURN v_schedule;
+          END;
+          $$;
+
+          -- Marks a gift code emailed and records the gift payment's access
+          -- step in one transaction; until then a retry emails the code again
+          CREATE OR REPLACE FUNCTION record_gift_delivery(p_gift_code_id UUID, p_source TEXT)
+          RETURNS gift_codes
+          LANGUAGE plpgsql
+          AS $$
+          DECLARE
+            v_gift_code gift_codes;
+          BEGIN
+            UPDATE gift_codes
+            SET emailed_at = COALESCE(emailed_at, NOW())
+            WHERE id = p_gift_code_id AND payment_id IS NOT NULL
+            RETURNING * INTO v_gift_code;
+
+            IF v_gift_code.id IS NULL THEN
+              RAISE EXCEPTION 'Gift code % not found', p_gift_code_id;
+            END IF;
+
+            INSERT INTO payment_fulfillments (payment_id, source, access_status)
+            VALUES (v_gift_code.payment_id, p_source, 'done')
+            ON CONFLICT (payment_id) DO UPDATE
+            SET access_status = 'done',
+                errors = payment_fulfillments.errors - 'access',
+                updated_at = NOW();
+
+            RETURN v_gift_code;
+          END;
+          $$;
+
+          -- Saves one fulfillment attempt: the steps it ran, their errors
+          -- (null clears a step's error) and the overall status, worked out
+          -- from the merged row so a concurrent delivery's steps count too.
+          -- An email another delivery is still sending does not hold it up.
+          CREATE OR REPLACE FUNCTION record_fulfillment_attempt(
+            p_fulfillment_id UUID,
+            p_steps JSONB,
+            p_errors JSONB,
+            p_invoice_id UUID,
+            p_earns_commission BOOLEAN
+          )
+          RETURNS payment_fulfillments
+          LANGUAGE plpgsql
+          AS $$
+          DECLARE
+            v_fulfillment payment_fulfillments;
+            v_complete BOOLEAN;
+          BEGIN
+            SELECT * INTO v_fulfillment FROM payment_fulfillments WHERE id = p_fulfillment_id FOR UPDATE;
+            IF NOT FOUND THEN
+              RAISE EXCEPTION 'Payment fulfillment % not found', p_fulfillment_id;
+            END IF;
+
+            v_fulfillment.access_status := COALESCE(p_steps->>'access_status', v_fulfillment.access_status);
+            v_fulfillment.invoice_status := COALESCE(p_steps->>'invoice_status', v_fulfillment.invoice_status);
+            v_fulfillment.email_status := COALESCE(p_steps->>'email_status', v_fulfillment.email_status);
+            v_fulfillment.commission_status := COALESCE(p_steps->>'commission_status', v_fulfillment.commission_status);
+
+            v_complete := v_fulfillment.access_status = 'done'
+              AND v_fulfillment.invoice_status = 'done'
+              AND v_fulfillment.email_status IN ('done', 'skipped', 'sending')
+              AND (NOT p_earns_commission OR v_fulfillment.commission_status = 'done');
+
+            UPDATE payment_fulfillments
+            SET access_status = v_fulfillment.access_status,
+                invoice_status = v_fulfillment.invoice_status,
+                email_status = v_fulfillment.email_status,
+                commission_status = v_fulfillment.commission_status,
+                invoice_id = COALESCE(p_invoice_id, invoice_id),
+                errors = jsonb_strip_nulls(errors || COALESCE(p_errors, '{}')),
+                attempts = attempts + 1,
+                status = CASE WHEN v_complete THEN 'completed' ELSE 'partial' END,
+                completed_at = CASE WHEN v_complete THEN COALESCE(completed_at, NOW()) END,
+                updated_at = NOW()
+            WHERE id = p_fulfillment_id
+            RETURNING * INTO v_fulfillment;
+
+            RETURN v_fulfillment;
+          END;
+          $$;
+
+          -- Enable RLS
+          ALTER TABLE payment_fulfillments ENABLE ROW LEVEL SECURITY;
+
+          -- Written by the server with the service role; admins can read
+          CREATE POLICY "Admins can view payment fulfillments" ON payment_fulfillments
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        cart_items: `
+          CREATE TABLE IF NOT EXISTS cart_items (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+            course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+            added_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE(user_id, course_id)
+          );
+
+          -- A cart checkout is one payment listing every course bought:
+          -- [{ course_id, title, amount }], amounts in rupees
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS order_items JSONB;
+          ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_course_or_bundle;
+          ALTER TABLE payments ADD CONSTRAINT payments_course_or_bundle
+            CHECK (course_id IS NOT NULL OR bundle_id IS NOT NULL OR order_items IS NOT NULL);
+
+          -- Enable RLS
+          ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+
+          CREATE POLICY "Users can manage own cart" ON cart_items
+            FOR ALL USING (auth.uid() = user_id);
+        `,
+        course_price_lists: `
+          -- Prices an admin lists in currencies other than LKR, e.g. {"USD": 15};
+          -- courses.price stays the LKR price
+          ALTER TABLE courses ADD COLUMN IF NOT EXISTS prices JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+          -- Currency a student chose to see prices in; NULL follows their locale
+          ALTER TABLE profiles ADD COLUMN IF NOT EXISTS currency TEXT
+            CHECK (currency IN ('LKR', 'USD', 'GBP', 'EUR', 'AUD'));
+        `,
+        bank_statement_lines: `
+          -- Credits from imported bank statements and the transfer each settled
+          CREATE TABLE IF NOT EXISTS bank_statement_lines (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            statement_date DATE NOT NULL,
+            description TEXT,
+            amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+            line_hash TEXT NOT NULL UNIQUE,
+            status TEXT NOT NULL CHECK (status IN ('matched', 'ambiguous', 'unmatched', 'ignored')),
+            payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+            candidate_payment_ids UUID[] DEFAULT '{}',
+            imported_by UUID REFERENCES profiles(id),
+            imported_at TIMESTAMPTZ DEFAULT NOW(),
+            resolved_by UUID REFERENCES profiles(id),
+            resolved_at TIMESTAMPTZ
+          );
+
+          -- Review queue lookups
+          CREATE INDEX IF NOT EXISTS idx_bank_statement_lines_status ON bank_statement_lines(status);
+
+          -- Enable RLS
+          ALTER TABLE bank_statement_lines ENABLE ROW LEVEL SECURITY;
+
+          -- Written by the server with the service role; admins can read
+          CREATE POLICY "Admins can view bank statement lines" ON bank_statement_lines
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        payment_disputes: `
+          -- Card disputes raised against Stripe payments
+          CREATE TABLE IF NOT EXISTS payment_disputes (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+            stripe_dispute_id TEXT NOT NULL UNIQUE,
+            charge_id TEXT,
+            reason TEXT,
+            amount NUMERIC(10,2),
+            currency TEXT,
+            status TEXT NOT NULL,
+            outcome TEXT CHECK (outcome IN ('won', 'lost')),
+            evidence JSONB,
+            evidence_due_by TIMESTAMPTZ,
+            opened_at TIMESTAMPTZ,
+            closed_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_payment_disputes_payment_id ON payment_disputes(payment_id);
+
+          -- Set while a dispute is open and kept once it closes
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS dispute_status TEXT
+            CHECK (dispute_status IN ('open', 'won', 'lost'));
+
+          -- Enable RLS
+          ALTER TABLE payment_disputes ENABLE ROW LEVEL SECURITY;
+
+          -- Written by the server with the service role; admins can read
+          CREATE POLICY "Admins can view payment disputes" ON payment_disputes
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        affiliates: `
+          -- Students and tutors who share referral links
+          CREATE TABLE IF NOT EXISTS affiliates (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            user_id UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE,
+            code TEXT NOT NULL UNIQUE,
+            status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Visits from referral links
+          CREATE TABLE IF NOT EXISTS referral_clicks (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            affiliate_id UUID NOT NULL REFERENCES affiliates(id) ON DELETE CASCADE,
+            landing_path TEXT,
+            ip_hash TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Per-course commission; courses without a rule earn the default rate
+          CREATE TABLE IF NOT EXISTS affiliate_commission_rules (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            course_id UUID NOT NULL UNIQUE REFERENCES courses(id) ON DELETE CASCADE,
+            commission_type TEXT NOT NULL CHECK (commission_type IN ('percentage', 'fixed')),
+            commission_value NUMERIC(10,2) NOT NULL CHECK (commission_value >= 0),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE TABLE IF NOT EXISTS affiliate_payouts (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            affiliate_id UUID NOT NULL REFERENCES affiliates(id) ON DELETE CASCADE,
+            amount NUMERIC(10,2) NOT NULL,
+            reference TEXT,
+            paid_by UUID REFERENCES profiles(id),
+            paid_at TIMESTAMPTZ DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- One commission per referred payment
+          CREATE TABLE IF NOT EXISTS affiliate_commissions (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            affiliate_id UUID NOT NULL REFERENCES affiliates(id) ON DELETE CASCADE,
+            payment_id UUID NOT NULL UNIQUE REFERENCES payments(id),
+            description TEXT,
+            order_amount NUMERIC(10,2) NOT NULL,
+            amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+            currency TEXT NOT NULL DEFAULT 'LKR',
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'void')),
+            payout_id UUID REFERENCES affiliate_payouts(id),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_referral_clicks_affiliate_id ON referral_clicks(affiliate_id);
+          CREATE INDEX IF NOT EXISTS idx_affiliate_commissions_affiliate_id ON affiliate_commissions(affiliate_id, status);
+
+          -- Affiliate whose referral link the buyer followed
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS affiliate_id UUID REFERENCES affiliates(id);
+
+          -- Set for referred payments only
+          ALTER TABLE payment_fulfillments ADD COLUMN IF NOT EXISTS commission_status TEXT
+            CHECK (commission_status IN ('pending', 'done', 'failed'));
+
+          -- Enable RLS
+          ALTER TABLE affiliates ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE referral_clicks ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE affiliate_commission_rules ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE affiliate_payouts ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE affiliate_commissions ENABLE ROW LEVEL SECURITY;
+
+          -- Written by the server with the service role; affiliates can read
+          -- their own records and admins can read everything
+          CREATE POLICY "Affiliates can view own account" ON affiliates
+            FOR SELECT USING (
+              user_id = auth.uid() OR
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Affiliates can view own clicks" ON referral_clicks
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM affiliates WHERE affiliates.id = referral_clicks.affiliate_id AND affiliates.user_id = auth.uid()) OR
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Affiliates can view own payouts" ON affiliate_payouts
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM affiliates WHERE affiliates.id = affiliate_payouts.affiliate_id AND affiliates.user_id = auth.uid()) OR
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Affiliates can view own commissions" ON affiliate_commissions
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM affiliates WHERE affiliates.id = affiliate_commissions.affiliate_id AND affiliates.user_id = auth.uid()) OR
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          CREATE POLICY "Admins can view commission rules" ON affiliate_commission_rules
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        payments_gateway_fees: `
+          -- Fee the gateway kept, in the currency it was charged in.
+          -- Stripe reports it on the balance transaction; PayHere fees are
+          -- estimated from the configured rate.
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway_fee NUMERIC(12, 2);
+          ALTER TABLE payments ADD COLUMN IF NOT EXISTS gateway_fee_currency TEXT;
+
+          -- Accounting exports page through payments by date
+          CREATE INDEX IF NOT EXISTS idx_payments_created_at ON payments(created_at);
+        `,
+        scholarship_applications: `
+          CREATE TABLE IF NOT EXISTS scholarship_applications (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+            course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+            reason TEXT NOT NULL,
+            -- [{ path, filename, type }] in the scholarship-documents bucket
+            documents JSONB NOT NULL DEFAULT '[]',
+            status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+            award_type TEXT CHECK (award_type IN ('waiver', 'discount')),
+            discount_percent NUMERIC(5,2) CHECK (discount_percent > 0 AND discount_percent < 100),
+            -- Zero-amount payment for a waiver, or the student's coupon for a discount
+            payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+            coupon_id UUID REFERENCES coupons(id) ON DELETE SET NULL,
+            admin_note TEXT,
+            reviewed_by UUID REFERENCES profiles(id),
+            reviewed_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Only one open application per student and course
+          CREATE UNIQUE INDEX IF NOT EXISTS idx_scholarship_applications_pending
+            ON scholarship_applications(user_id, course_id) WHERE status = 'pending';
+          CREATE INDEX IF NOT EXISTS idx_scholarship_applications_status ON scholarship_applications(status, created_at);
+
+          -- Discount awards can only be used by the student they were issued to
+          ALTER TABLE coupons ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES profiles(id) ON DELETE CASCADE;
+
+          -- Enable RLS
+          ALTER TABLE scholarship_applications ENABLE ROW LEVEL SECURITY;
+
+          -- Written by the server with the service role
+          CREATE POLICY "Users can view their own scholarship applications" ON scholarship_applications
+            FOR SELECT USING (auth.uid() = user_id);
+
+          CREATE POLICY "Admins can view scholarship applications" ON scholarship_applications
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        quiz_tables: `
+          -- Share of points needed to pass a quiz lesson
+          ALTER TABLE lessons ADD COLUMN IF NOT EXISTS quiz_pass_percentage INTEGER DEFAULT 70
+            CHECK (quiz_pass_percentage > 0 AND quiz_pass_percentage <= 100);
+
+          CREATE TABLE IF NOT EXISTS quiz_questions (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+            position INTEGER NOT NULL DEFAULT 0,
+            type TEXT NOT NULL CHECK (type IN ('single', 'multiple', 'numeric', 'text', 'expression', 'problem')),
+            prompt TEXT NOT NULL,
+            -- [{ id, text }] for single and multiple choice
+            options JSONB NOT NULL DEFAULT '[]',
+            -- Never sent to students; see utils/quiz.js for the shape by type
+            answer JSONB NOT NULL,
+            points INTEGER NOT NULL DEFAULT 1 CHECK (points > 0),
+            explanation TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE TABLE IF NOT EXISTS quiz_attempts (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+            user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+            -- Responses keyed by question id, and per-question results
+            responses JSONB NOT NULL DEFAULT '{}',
+            results JSONB NOT NULL DEFAULT '[]',
+            -- Expression questions can earn partial credit
+            score NUMERIC(8,2) NOT NULL,
+            max_score INTEGER NOT NULL,
+            percentage NUMERIC(5,2) NOT NULL,
+            passed BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Bring tables created before expression and problem questions up to date
+          ALTER TABLE quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_type_check;
+          ALTER TABLE quiz_questions ADD CONSTRAINT quiz_questions_type_check
+            CHECK (type IN ('single', 'multiple', 'numeric', 'text', 'expression', 'problem'));
+          ALTER TABLE quiz_attempts ALTER COLUMN score TYPE NUMERIC(8,2);
+
+          CREATE INDEX IF NOT EXISTS idx_quiz_questions_lesson ON quiz_questions(lesson_id, position);
+          CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_lesson ON quiz_attempts(user_id, lesson_id, created_at);
+
+          -- Enable RLS
+          ALTER TABLE quiz_questions ENABLE ROW LEVEL SECURITY;
+          ALTER TABLE quiz_attempts ENABLE ROW LEVEL SECURITY;
+
+          -- Questions hold the answers, so students only get them through the API
+          CREATE POLICY "Admins can manage quiz questions" ON quiz_questions
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+
+          -- Attempts are graded and written by the server with the service role
+          CREATE POLICY "Users can view their own quiz attempts" ON quiz_attempts
+            FOR SELECT USING (auth.uid() = user_id);
+
+          CREATE POLICY "Admins can view quiz attempts" ON quiz_attempts
+            FOR SELECT USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        problem_templates: `
+          -- Reusable problems with variables; see utils/problems.js for the shapes
+          CREATE TABLE IF NOT EXISTS problem_templates (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            title TEXT NOT NULL,
+            prompt TEXT NOT NULL,
+            variables JSONB NOT NULL DEFAULT '[]',
+            constraints JSONB NOT NULL DEFAULT '[]',
+            answer JSONB NOT NULL,
+            solution TEXT,
+            created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          -- Enable RLS
+          ALTER TABLE problem_templates ENABLE ROW LEVEL SECURITY;
+
+          -- Templates hold the answer formula, so students only get
+          -- generated problems through the quiz API
+          CREATE POLICY "Admins can manage problem templates" ON problem_templates
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
+        `,
+        course_sections: `
+          -- Units such as "Unit 1: Limits" that group a course's lessons
+          CREATE TABLE IF NOT EXISTS course_sections (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            course_id UUID NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+            title TEXT NOT NULL,
+            description TEXT,
+            position INTEGER NOT NULL DEFAULT 0,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+          );
+
+          CREATE INDEX IF NOT EXISTS idx_course_sections_course_id ON course_sections(course_id, position);
+
+          -- Lessons without a section are listed first
+          ALTER TABLE lessons ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES course_sections(id) ON DELETE SET NULL;
+          CREATE INDEX IF NOT EXISTS idx_lessons_section_id ON lessons(section_id);
+
+          -- Enable RLS
+          ALTER TABLE course_sections ENABLE ROW LEVEL SECURITY;
+
+          CREATE POLICY "Anyone can view course sections" ON course_sections
+            FOR SELECT USING (true);
+
+          CREATE POLICY "Admins can manage course sections" ON course_sections
+            FOR ALL USING (
+              EXISTS (SELECT 1 FROM profiles WHERE profiles.id = auth.uid() AND profiles.role = 'admin')
+            );
         `
       }
     })
@@ -20,6 +20,24 @@ export default async function handler(req, res) {
         public: true,
         fileSizeLimit: 10 * 1024 * 1024, // 10MB
         allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif']
+      },
+      {
+        name: 'payment-receipts',
+        public: false, // Receipts are only served through signed URLs
+        fileSizeLimit: 5 * 1024 * 1024, // 5MB
+        allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+      },
+      {
+        name: 'scholarship-documents',
+        public: false, // Supporting documents are only served through signed URLs
+        fileSizeLimit: 5 * 1024 * 1024, // 5MB
+        allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+      },
+      {
+        name: 'invoices',
+        public: false, // Invoices are only served through signed URLs
+        fileSizeLimit: 5 * 1024 * 1024, // 5MB
+        allowedMimeTypes: ['application/pdf']
       }
     ]
 
@@ -1,15 +1,22 @@
 import { useState, useEffect } from 'react'
 import { useRouter } from 'next/router'
+import Link from 'next/link'
 import { motion, AnimatePresence } from 'framer-motion'
 import { 
   FiPlay, FiLock, FiUnlock, FiClock, FiBook, FiStar, 
   FiCheck, FiChevronDown, FiChevronUp, FiDownload,
-  FiUsers, FiAward, FiTrendingUp
+  FiUsers, FiAward, FiTrendingUp, FiShoppingCart
 } from 'react-icons/fi'
-import { supabase, getCourse } from '../../lib/supabase'
+import { supabase, getCourse, checkCourseAccess } from '../../lib/supabase'
 import Header from '../../components/layout/Header'
 import Footer from '../../components/layout/Footer'
 import PaymentModal from '../../components/payment/PaymentModal'
+import QuizPlayer from '../../components/course/QuizPlayer'
+import MathText from '../../components/ui/MathText'
+import { useCart } from '../../hooks/useCart'
+import { useCurrency } from '../../hooks/useCurrency'
+import { getListedPrice } from '../../utils/currency'
+import { formatCurrency } from '../../utils/format'
 import toast from 'react-hot-toast'
 
 export default function CourseDetail({ user }) {
@@ -24,6 +31,8 @@ export default function CourseDetail({ user }) {
   const [expandedSections, setExpandedSections] = useState({})
   const [paymentModalOpen, setPaymentModalOpen] = useState(false)
   const [videoProgress, setVideoProgress] = useState({})
+  const cart = useCart(user)
+  const currency = useCurrency(user)
   
   useEffect(() => {
     if (id) {
@@ -110,40 +119,11 @@ export default function CourseDetail({ user }) {
         }
       }
       
-      // Check if user has access via purchases table
+      // Access comes from an active membership or a purchase that still
+      // grants it; an open dispute or an overdue installment plan revokes
+      // the purchase's access
       if (user && currentCourse) {
-        console.log('Checking access for user:', user.id, 'course:', currentCourse.id);
-        
-        // Try purchases table first
-        const { data: purchase, error: purchaseError } = await supabase
-          .from('purchases')
-          .select('*')
-          .eq('user_id', user.id)
-          .eq('course_id', currentCourse.id)
-          .eq('access_granted', true)
-          .single()
-        
-        if (purchaseError) {
-          console.log('Purchase check error:', purchaseError);
-          
-          // If purchases table fails, fall back to payments table
-          console.log('Falling back to payments table check');
-          const { data: payment, error: paymentError } = await supabase
-            .from('payments')
-            .select('*')
-            .eq('user_id', user.id)
-            .eq('course_id', currentCourse.id)
-            .eq('status', 'approved')
-            .single()
-          
-          if (paymentError) {
-            console.log('Payment check error:', paymentError);
-          }
-          
-          setHasAccess(!!payment);
-        } else {
-          setHasAccess(!!purchase);
-        }
+        setHasAccess(!!(await checkCourseAccess(user.id, currentCourse.id)))
       }
       
     } catch (error) {
@@ -162,6 +142,14 @@ export default function CourseDetail({ user }) {
     setActiveLesson(lesson)
   }
   
+  // Passing a quiz completes it on the server; mirror that in the lesson list
+  const handleQuizPassed = (lessonId) => {
+    setVideoProgress(prev => ({
+      ...prev,
+      [lessonId]: { ...prev[lessonId], completed: true }
+    }))
+  }
+
   const handleEnroll = () => {
     if (!user) {
       toast.error('Please sign in to enroll')
@@ -214,6 +202,8 @@ export default function CourseDetail({ user }) {
   //     </div>
   //   )
   // }
+
+  const listedPrice = getListedPrice(course, currency)
   
   return (
     <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900">
@@ -244,12 +234,14 @@ export default function CourseDetail({ user }) {
               </div>
               
               <h1 className="text-4xl md:text-5xl font-display font-bold text-white mb-4">
-                {course?.title || 'Course Title'}
+                <MathText text={course?.title || 'Course Title'} />
               </h1>
               
-              <p className="text-xl text-gray-400 mb-6">
-                {course?.description || 'Course description'}
-              </p>
+              <MathText
+                as="p"
+                text={course?.description || 'Course description'}
+                className="text-xl text-gray-400 mb-6"
+              />
               
               {/* Course Stats */}
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
@@ -277,20 +269,36 @@ export default function CourseDetail({ user }) {
               
               {/* Action Buttons */}
               {!hasAccess ? (
-                <div className="flex flex-col sm:flex-row gap-4">
-                  <button
-                    onClick={handleEnroll}
-                    className="btn-primary flex items-center justify-center space-x-2"
-                  >
-                    <span>Enroll Now</span>
-                    <span className="text-xl font-bold">
-                      LKR {course?.price?.toLocaleString() || '0'}
-                    </span>
-                  </button>
-                  <button className="btn-secondary flex items-center justify-center space-x-2">
-                    <FiPlay />
-                    <span>Watch Preview</span>
-                  </button>
+                <div>
+                  <div className="flex flex-col sm:flex-row gap-4">
+                    <button
+                      onClick={handleEnroll}
+                      className="btn-primary flex items-center justify-center space-x-2"
+                    >
+                      <span>Enroll Now</span>
+                      <span className="text-xl font-bold">
+                        {formatCurrency(listedPrice.amount, { currency: listedPrice.currency })}
+                      </span>
+                    </button>
+                    <button
+                      onClick={() => cart.addItem(course)}
+                      disabled={!course || cart.isInCart(course.id)}
+                      className="btn-secondary flex items-center justify-center space-x-2"
+                    >
+                      <FiShoppingCart />
+                      <span>{course && cart.isInCart(course.id) ? 'In Cart' : 'Add to Cart'}</span>
+                    </button>
+                    <button className="btn-secondary flex items-center justify-center space-x-2">
+                      <FiPlay />
+                      <span>Watch Preview</span>
+                    </button>
+                  </div>
+                  <p className="text-sm text-gray-400 mt-4">
+                    Can&apos;t afford this course?{' '}
+                    <Link href={`/scholarship?courseId=${id}`} legacyBehavior>
+                      <a className="text-primary-400 hover:text-primary-300">Apply for a scholarship</a>
+                    </Link>
+                  </p>
                 </div>
               ) : (
                 <div className="flex items-center space-x-4">
@@ -376,10 +384,36 @@ export default function CourseDetail({ user }) {
                           </div>
                         )}
                       </div>
+                    ) : activeLesson.type === 'quiz' ? (
+                      hasAccess || activeLesson.is_preview ? (
+                        user ? (
+                          <QuizPlayer user={user} lesson={activeLesson} onPassed={handleQuizPassed} />
+                        ) : (
+                          <div className="text-center py-12">
+                            <p className="text-gray-400 mb-4">Sign in to take this quiz</p>
+                            <button onClick={() => router.push('/auth/login')} className="btn-primary">
+                              Sign In
+                            </button>
+                          </div>
+                        )
+                      ) : (
+                        <div className="text-center py-12">
+                          <FiLock className="w-16 h-16 text-gray-500 mx-auto mb-4" />
+                          <h3 className="text-xl font-semibold text-white mb-2">
+                            This quiz is locked
+                          </h3>
+                          <p className="text-gray-400 mb-4">
+                            Enroll in the course to take this quiz
+                          </p>
+                          <button onClick={handleEnroll} className="btn-primary">
+                            Enroll Now
+                          </button>
+                        </div>
+                      )
                     ) : (
                       <div className="prose prose-invert max-w-none mb-6">
                         {hasAccess || activeLesson.is_preview ? (
-                          <div dangerouslySetInnerHTML={{ __html: activeLesson.content }} />
+                          <MathText as="div" html text={activeLesson.content} />
                         ) : (
                           <div className="text-center py-12">
                             <FiLock className="w-16 h-16 text-gray-500 mx-auto mb-4" />
@@ -397,9 +431,7 @@ export default function CourseDetail({ user }) {
                       </div>
                     )}
                     
-                    <p className="text-gray-400">
-                      {activeLesson.description}
-                    </p>
+                    <MathText as="p" text={activeLesson.description} className="text-gray-400" />
                     
                     {/* Lesson Navigation */}
                     <div className="flex items-center justify-between mt-6 pt-6 border-t border-dark-700">
@@ -452,17 +484,17 @@ export default function CourseDetail({ user }) {
                   What You'll Learn
                 </h3>
                 <div className="grid md:grid-cols-2 gap-4">
-                  {[
+                  {(course?.what_you_learn?.length ? course.what_you_learn : [
                     'Fundamental concepts and principles',
                     'Problem-solving techniques',
                     'Real-world applications',
                     'Practice exercises with solutions',
                     'Tips and tricks for exams',
                     'Advanced topics and extensions'
-                  ].map((item, index) => (
+                  ]).map((item, index) => (
                     <div key={index} className="flex items-start space-x-2">
                       <FiCheck className="w-5 h-5 text-green-400 mt-0.5 flex-shrink-0" />
-                      <span className="text-gray-300">{item}</span>
+                      <MathText text={item} className="text-gray-300" />
                     </div>
                   ))}
                 </div>
@@ -591,6 +623,7 @@ export default function CourseDetail({ user }) {
         onClose={() => setPaymentModalOpen(false)}
         course={course}
         user={user}
+        currency={currency}
       />
       
       <Footer />
@@ -26,6 +26,7 @@ export default function EnhancedCourseDetail({ user }) {
   
   const [course, setCourse] = useState(null)
   const [lessons, setLessons] = useState([])
+  const [sections, setSections] = useState([])
   const [hasAccess, setHasAccess] = useState(false)
   const [loading, setLoading] = useState(true)
   const [activeLesson, setActiveLesson] = useState(null)
@@ -94,6 +95,19 @@ export default function EnhancedCourseDetail({ user }) {
         }
       }
 
+      // Fetch sections; lesson order already follows them
+      const { data: courseSections, error: sectionsError } = await supabase
+        .from('course_sections')
+        .select('*')
+        .eq('course_id', id)
+        .order('position')
+
+      if (sectionsError) {
+        console.error('Error fetching sections:', sectionsError)
+      } else {
+        setSections(courseSections || [])
+      }
+
       // Check access
       if (user) {
         const { data: purchase } = await supabase
@@ -488,6 +502,7 @@ export default function EnhancedCourseDetail({ user }) {
                   user={user}
                   course={course}
                   lessons={lessons}
+                  sections={sections}
                 />
               )}
 
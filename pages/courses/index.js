@@ -2,19 +2,29 @@ import { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { FiSearch, FiGrid, FiList } from 'react-icons/fi'
 import Link from 'next/link'
-import { supabase } from '../../lib/supabase'
+import { useRouter } from 'next/router'
+import toast from 'react-hot-toast'
+import { supabase, getBundles } from '../../lib/supabase'
 import Header from '../../components/layout/Header'
 import Footer from '../../components/layout/Footer'
 import CourseCard from '../../components/course/CourseCard'
+import BundleCard from '../../components/course/BundleCard'
+import MathText from '../../components/ui/MathText'
+import PurchaseModal from '../../components/course/PurchaseModal'
 import { handleError } from '@/utils/error'
-import { formatPrice } from '@/utils/format'
+import { formatCurrency } from '@/utils/format'
+import { getListedPrice } from '@/utils/currency'
+import { useCurrency } from '@/hooks/useCurrency'
 
 /**
  * Courses page component
  * Displays all available courses with filtering and sorting capabilities
  */
 export default function Courses({ user }) {
+  const router = useRouter()
   const [courses, setCourses] = useState([])
+  const [bundles, setBundles] = useState([])
+  const [selectedBundle, setSelectedBundle] = useState(null)
   const [filteredCourses, setFilteredCourses] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
@@ -22,6 +32,12 @@ export default function Courses({ user }) {
   const [priceRange, setPriceRange] = useState('all')
   const [sortBy, setSortBy] = useState('newest')
   const [viewMode, setViewMode] = useState('grid')
+  const currency = useCurrency(user)
+
+  const formatPrice = (course) => {
+    const { amount, currency: listedCurrency } = getListedPrice(course, currency)
+    return formatCurrency(amount, { currency: listedCurrency })
+  }
 
   // Static filter options
   const categories = [
@@ -51,6 +67,7 @@ export default function Courses({ user }) {
 
   useEffect(() => {
     fetchCourses()
+    fetchBundles()
   }, [])
 
   useEffect(() => {
@@ -86,6 +103,33 @@ export default function Courses({ user }) {
     }
   }
 
+  /**
+   * Fetches published bundles with their courses
+   */
+  const fetchBundles = async () => {
+    try {
+      setBundles(await getBundles())
+    } catch (error) {
+      handleError(error, {
+        component: 'Courses',
+        action: 'fetchBundles',
+        userId: user?.id
+      })
+    }
+  }
+
+  /**
+   * Opens checkout for a bundle, asking guests to sign in first
+   */
+  const handleSelectBundle = (bundle) => {
+    if (!user) {
+      toast.error('Please sign in to purchase')
+      router.push('/auth/login')
+      return
+    }
+    setSelectedBundle(bundle)
+  }
+
   /**
    * Filters and sorts courses based on current filter criteria
    */
@@ -197,6 +241,22 @@ export default function Courses({ user }) {
         </div>
       </section>
 
+      {/* Bundles */}
+      {bundles.length > 0 && (
+        <section className="pb-12">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <h2 className="text-2xl font-display font-bold text-white mb-6">
+              Course <span className="gradient-text">Bundles</span>
+            </h2>
+            <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+              {bundles.map((bundle) => (
+                <BundleCard key={bundle.id} bundle={bundle} onSelect={handleSelectBundle} />
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+
       {/* Filters and Search */}
       <section className="py-8 border-b border-dark-700">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -318,7 +378,7 @@ export default function Courses({ user }) {
                   transition={{ duration: 0.5, delay: index * 0.1 }}
                 >
                   {viewMode === 'grid' ? (
-                    <CourseCard course={course} />
+                    <CourseCard course={course} currency={currency} />
                   ) : (
                     // List View
                     <div className="card flex flex-col md:flex-row gap-6">
@@ -332,11 +392,11 @@ export default function Courses({ user }) {
                         </div>
                       </div>
                       <div className="flex-1">
-                        <h3 className="text-xl font-semibold text-white mb-2">{course.title}</h3>
-                        <p className="text-gray-400 mb-4 line-clamp-2">{course.description}</p>
+                        <MathText as="h3" text={course.title} className="text-xl font-semibold text-white mb-2" />
+                        <MathText as="p" text={course.description} className="text-gray-400 mb-4 line-clamp-2" />
                         <div className="flex items-center justify-between">
                           <span className="text-2xl font-bold text-white">
-                            {formatPrice(course.price)}
+                            {formatPrice(course)}
                           </span>
                           <Link
                             href={`/courses/${course.id}`}
@@ -355,6 +415,15 @@ export default function Courses({ user }) {
         </div>
       </section>
 
+      <PurchaseModal
+        isOpen={!!selectedBundle}
+        onClose={() => setSelectedBundle(null)}
+        course={null}
+        bundle={selectedBundle}
+        user={user}
+        currency={currency}
+      />
+
       <Footer />
     </div>
   )
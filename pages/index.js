@@ -14,6 +14,7 @@ import { supabase } from '../lib/supabase'
 import Header from '../components/layout/Header'
 import Footer from '../components/layout/Footer'
 import CourseCard from '../components/course/CourseCard'
+import { useCurrency } from '../hooks/useCurrency'
 import { handleError } from '../utils/error'
 
 /**
@@ -22,6 +23,7 @@ import { handleError } from '../utils/error'
 export default function Home({ user }) {
   const [courses, setCourses] = useState([])
   const [loading, setLoading] = useState(true)
+  const currency = useCurrency(user)
 
   // useEffect(() => {
   //   fetchCourses()
@@ -254,7 +256,7 @@ export default function Home({ user }) {
                   transition={{ duration: 0.5, delay: index * 0.1 }}
                   viewport={{ once: true }}
                 >
-                  <CourseCard course={course} />
+                  <CourseCard course={course} currency={currency} />
                 </motion.div>
               ))}
             </div>
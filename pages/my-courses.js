@@ -4,9 +4,10 @@ import Link from 'next/link'
 import { motion } from 'framer-motion'
 import { 
   FiBook, FiClock, FiTrendingUp, FiAward, 
-  FiPlay, FiCheckCircle, FiCalendar, FiDownload 
+  FiPlay, FiCheckCircle, FiCalendar, FiDownload, FiRotateCcw, FiX
 } from 'react-icons/fi'
 import { supabase } from '../lib/supabase'
+import { REFUND_POLICY } from '../utils/constants'
 import Header from '../components/layout/Header'
 import Footer from '../components/layout/Footer'
 import toast from 'react-hot-toast'
@@ -16,6 +17,10 @@ export default function MyCourses({ user }) {
   const [courses, setCourses] = useState([])
   const [loading, setLoading] = useState(true)
   const [activeTab, setActiveTab] = useState('in-progress')
+  const [refundRequests, setRefundRequests] = useState({})
+  const [refundCourse, setRefundCourse] = useState(null)
+  const [refundReason, setRefundReason] = useState('')
+  const [submittingRefund, setSubmittingRefund] = useState(false)
   const [stats, setStats] = useState({
     totalCourses: 0,
     completedCourses: 0,
@@ -29,7 +34,28 @@ export default function MyCourses({ user }) {
       return
     }
     fetchUserCourses()
+    fetchRefundRequests()
   }, [user])
+
+  const fetchRefundRequests = async () => {
+    const { data, error } = await supabase
+      .from('refund_requests')
+      .select('course_id, status, created_at')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: false })
+
+    if (error) {
+      console.error('Error fetching refund requests:', error)
+      return
+    }
+
+    // Keep the latest request per course
+    const latest = {}
+    ;(data || []).forEach(request => {
+      if (!latest[request.course_id]) latest[request.course_id] = request
+    })
+    setRefundRequests(latest)
+  }
   
   const fetchUserCourses = async () => {
     try {
@@ -146,6 +172,48 @@ export default function MyCourses({ user }) {
       day: 'numeric'
     })
   }
+
+  // Progress is re-checked on the server; this only hides the link once
+  // the refund window has closed
+  const isWithinRefundWindow = (course) => {
+    const windowMs = REFUND_POLICY.WINDOW_DAYS * 24 * 60 * 60 * 1000
+    return Date.now() - new Date(course.purchaseDate).getTime() <= windowMs
+  }
+
+  const handleRefundRequest = async (e) => {
+    e.preventDefault()
+
+    if (!refundReason.trim()) {
+      toast.error('Please tell us why you would like a refund')
+      return
+    }
+
+    setSubmittingRefund(true)
+    try {
+      const response = await fetch('/api/refunds/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId: user.id,
+          courseId: refundCourse.id,
+          reason: refundReason
+        })
+      })
+      const result = await response.json()
+
+      if (!response.ok) throw new Error(result.error)
+
+      toast.success('Refund request submitted. We will review it within 24-48 hours.')
+      setRefundCourse(null)
+      setRefundReason('')
+      fetchRefundRequests()
+    } catch (error) {
+      console.error('Error requesting refund:', error)
+      toast.error(error.message || 'Failed to submit refund request')
+    } finally {
+      setSubmittingRefund(false)
+    }
+  }
   
   if (!user) {
     return null
@@ -364,6 +432,25 @@ export default function MyCourses({ user }) {
                           <span>{course.isCompleted ? 'Review Course' : 'Continue Learning'}</span>
                         </a>
                       </Link>
+
+                      {/* Refund */}
+                      {refundRequests[course.id]?.status === 'pending' ? (
+                        <p className="mt-3 text-center text-sm text-yellow-400">
+                          Refund requested · under review
+                        </p>
+                      ) : refundRequests[course.id]?.status === 'denied' ? (
+                        <p className="mt-3 text-center text-sm text-gray-500">
+                          Refund request was not approved
+                        </p>
+                      ) : isWithinRefundWindow(course) && (
+                        <button
+                          onClick={() => setRefundCourse(course)}
+                          className="mt-3 text-sm text-gray-400 hover:text-white flex items-center justify-center space-x-1"
+                        >
+                          <FiRotateCcw className="w-4 h-4" />
+                          <span>Request a refund</span>
+                        </button>
+                      )}
                     </div>
                   </div>
                 </motion.div>
@@ -394,6 +481,74 @@ export default function MyCourses({ user }) {
         </section>
       )}
       
+      {/* Refund Request Modal */}
+      {refundCourse && (
+        <>
+          <div
+            className="fixed inset-0 bg-black/60 backdrop-blur-sm z-40"
+            onClick={() => setRefundCourse(null)}
+          />
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+            <motion.div
+              initial={{ opacity: 0, scale: 0.95 }}
+              animate={{ opacity: 1, scale: 1 }}
+              className="bg-dark-800 rounded-2xl max-w-md w-full"
+            >
+              <div className="flex items-center justify-between p-6 border-b border-dark-600">
+                <h2 className="text-xl font-bold text-white">Request a Refund</h2>
+                <button
+                  onClick={() => setRefundCourse(null)}
+                  className="text-gray-400 hover:text-white"
+                >
+                  <FiX className="w-6 h-6" />
+                </button>
+              </div>
+
+              <form onSubmit={handleRefundRequest} className="p-6 space-y-4">
+                <p className="text-gray-400 text-sm">
+                  Refunds for <span className="text-white">{refundCourse.title}</span> are available
+                  within {REFUND_POLICY.WINDOW_DAYS} days of purchase if you have completed no more
+                  than {REFUND_POLICY.MAX_PROGRESS_PERCENT}% of the course. Your access is removed
+                  once the refund is approved.{' '}
+                  <Link href="/refund" legacyBehavior>
+                    <a className="text-primary-400 hover:text-primary-300">Refund policy</a>
+                  </Link>
+                </p>
+                <div>
+                  <label className="block text-sm font-medium text-gray-400 mb-2">
+                    Reason
+                  </label>
+                  <textarea
+                    value={refundReason}
+                    onChange={(e) => setRefundReason(e.target.value)}
+                    rows={4}
+                    maxLength={1000}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setRefundCourse(null)}
+                    className="flex-1 btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submittingRefund}
+                    className="flex-1 btn-primary"
+                  >
+                    {submittingRefund ? 'Submitting...' : 'Submit Request'}
+                  </button>
+                </div>
+              </form>
+            </motion.div>
+          </div>
+        </>
+      )}
+
       <Footer />
     </div>
   )
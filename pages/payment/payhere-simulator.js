@@ -0,0 +1,175 @@
+import { useState, useEffect, useMemo } from 'react'
+import { useRouter } from 'next/router'
+import { FiCheckCircle, FiXCircle, FiSlash, FiRotateCcw, FiX } from 'react-icons/fi'
+import { isPayHereSimulatorEnabled } from '../../lib/payhere-simulator'
+
+// Message type public/payhere-simulator.js listens for
+const SIMULATOR_MESSAGE = 'payhere-simulator'
+
+const outcomes = [
+  { key: 'success', label: 'Pay successfully', icon: FiCheckCircle, className: 'btn-primary' },
+  { key: 'failure', label: 'Decline payment', icon: FiXCircle, className: 'btn-secondary' },
+  { key: 'cancel', label: 'Cancel payment', icon: FiSlash, className: 'btn-secondary' },
+  { key: 'chargeback', label: 'Pay, then charge back', icon: FiRotateCcw, className: 'btn-secondary' }
+]
+
+/**
+ * Fake PayHere hosted checkout used by the local simulator. The simulator
+ * SDK opens it in an overlay with the startPayment() object in the
+ * `payment` query parameter; opened directly it redirects like the real
+ * checkout form does.
+ */
+export default function PayHereSimulator() {
+  const router = useRouter()
+  const [submitting, setSubmitting] = useState(null)
+  const [delivered, setDelivered] = useState([])
+  const [error, setError] = useState(null)
+  const [embedded, setEmbedded] = useState(false)
+
+  useEffect(() => {
+    setEmbedded(window.parent !== window)
+  }, [])
+
+  const payment = useMemo(() => {
+    if (typeof router.query.payment !== 'string') return null
+    try {
+      return JSON.parse(router.query.payment)
+    } catch (parseError) {
+      return null
+    }
+  }, [router.query.payment])
+
+  const finish = (outcome, message) => {
+    if (embedded) {
+      window.parent.postMessage({
+        type: SIMULATOR_MESSAGE,
+        outcome,
+        orderId: payment?.order_id,
+        message
+      }, window.location.origin)
+      return
+    }
+
+    const paid = outcome === 'success' || outcome === 'chargeback'
+    const target = paid ? payment?.return_url : payment?.cancel_url
+    if (target) window.location.assign(target)
+  }
+
+  const handleOutcome = async (outcome) => {
+    setSubmitting(outcome)
+    setError(null)
+    setDelivered([])
+
+    try {
+      const response = await fetch('/api/payments/payhere-simulator', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ payment, outcome })
+      })
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.error || 'Failed to simulate payment')
+
+      // PayHere posts each notification to notify_url as a form, one after another
+      const statuses = []
+      for (const notification of result.notifications) {
+        const notifyResponse = await fetch(result.notifyUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams(notification).toString()
+        })
+        statuses.push({ statusCode: notification.status_code, httpStatus: notifyResponse.status })
+        setDelivered([...statuses])
+      }
+
+      const lastNotification = result.notifications[result.notifications.length - 1]
+      finish(outcome, lastNotification?.status_message)
+    } catch (simulateError) {
+      console.error('PayHere simulator error:', simulateError)
+      setError(simulateError.message)
+    } finally {
+      setSubmitting(null)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-dark-900 flex items-center justify-center p-4">
+      <div className="glass rounded-2xl p-6 w-full max-w-md relative">
+        {embedded && (
+          <button
+            onClick={() => finish('dismissed')}
+            className="absolute top-4 right-4 text-gray-400 hover:text-white"
+            aria-label="Close checkout"
+          >
+            <FiX className="w-5 h-5" />
+          </button>
+        )}
+
+        <p className="badge badge-warning mb-3">PayHere Simulator</p>
+        <h1 className="text-xl font-bold text-white mb-4">Checkout</h1>
+
+        {!payment ? (
+          <p className="text-red-400">No payment details were passed to the checkout.</p>
+        ) : (
+          <>
+            <dl className="space-y-2 text-sm mb-6">
+              <div className="flex justify-between">
+                <dt className="text-gray-400">Merchant</dt>
+                <dd className="text-white">{payment.merchant_id}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-400">Order</dt>
+                <dd className="text-white font-mono text-xs">{payment.order_id}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-400">Item</dt>
+                <dd className="text-white">{payment.items}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-400">Customer</dt>
+                <dd className="text-white">{payment.email}</dd>
+              </div>
+              <div className="flex justify-between text-base">
+                <dt className="text-gray-400">Amount</dt>
+                <dd className="text-white font-bold">{payment.currency} {payment.amount}</dd>
+              </div>
+            </dl>
+
+            <div className="space-y-3">
+              {outcomes.map(({ key, label, icon: Icon, className }) => (
+                <button
+                  key={key}
+                  onClick={() => handleOutcome(key)}
+                  disabled={!!submitting}
+                  className={`${className} w-full flex items-center justify-center space-x-2`}
+                >
+                  <Icon className="w-4 h-4" />
+                  <span>{submitting === key ? 'Sending notifications...' : label}</span>
+                </button>
+              ))}
+            </div>
+
+            {delivered.length > 0 && (
+              <ul className="mt-4 text-xs text-gray-400 space-y-1">
+                {delivered.map((entry, index) => (
+                  <li key={index}>
+                    status_code {entry.statusCode} → notify_url responded {entry.httpStatus}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {error && <p className="mt-4 text-sm text-red-400">{error}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export async function getServerSideProps() {
+  if (!isPayHereSimulatorEnabled()) {
+    return { notFound: true }
+  }
+
+  return { props: {} }
+}
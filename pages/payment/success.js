@@ -4,12 +4,13 @@ import Link from 'next/link'
 import { motion } from 'framer-motion'
 import { 
   FiCheckCircle, FiBook, FiPlay, FiDownload, 
-  FiMail, FiClock, FiUsers, FiArrowRight
+  FiMail, FiClock, FiUsers, FiArrowRight, FiGift
 } from 'react-icons/fi'
 import { supabase } from '../../lib/supabase'
 import Header from '../../components/layout/Header'
 import Footer from '../../components/layout/Footer'
 import toast from 'react-hot-toast'
+import { getOrderTitle } from '../../utils/cart'
 
 export default function PaymentSuccess({ user }) {
   const router = useRouter()
@@ -44,7 +45,8 @@ export default function PaymentSuccess({ user }) {
             .select(`
               *,
               profiles (name, email),
-              courses (*)
+              courses (*),
+              bundles (*)
             `)
             .eq('payment_id', session_id)
             .eq('status', 'approved')
@@ -55,6 +57,26 @@ export default function PaymentSuccess({ user }) {
           }
         }
 
+        // Cart orders are only linked to the session they were created with
+        if (!paymentData && user) {
+          const { data: sessionPayment, error: sessionPaymentError } = await supabase
+            .from('payments')
+            .select(`
+              *,
+              profiles (name, email),
+              courses (*),
+              bundles (*)
+            `)
+            .eq('stripe_session_id', session_id)
+            .eq('user_id', user.id)
+            .eq('status', 'approved')
+            .maybeSingle()
+
+          if (!sessionPaymentError && sessionPayment) {
+            paymentData = sessionPayment
+          }
+        }
+
         // If no payment found by session_id, try by course_id and user
         if (!paymentData && course_id && user) {
           const { data: coursePayment, error: coursePaymentError } = await supabase
@@ -62,7 +84,8 @@ export default function PaymentSuccess({ user }) {
             .select(`
               *,
               profiles (name, email),
-              courses (*)
+              courses (*),
+              bundles (*)
             `)
             .eq('course_id', course_id)
             .eq('user_id', user.id)
@@ -84,7 +107,8 @@ export default function PaymentSuccess({ user }) {
           .select(`
             *,
             profiles (name, email),
-            courses (*)
+            courses (*),
+            bundles (*)
           `)
           .eq('id', order_id)
           .eq('status', 'completed')
@@ -101,7 +125,8 @@ export default function PaymentSuccess({ user }) {
             .select(`
               *,
               profiles (name, email),
-              courses (*)
+              courses (*),
+              bundles (*)
             `)
             .eq('id', order_id)
             .single()
@@ -120,7 +145,8 @@ export default function PaymentSuccess({ user }) {
                 .select(`
                   *,
                   profiles (name, email),
-                  courses (*)
+                  courses (*),
+                  bundles (*)
                 `)
                 .eq('id', order_id)
                 .eq('status', 'completed')
@@ -143,71 +169,18 @@ export default function PaymentSuccess({ user }) {
       }
 
       setPayment(paymentData)
-      setCourse(paymentData.courses)
+      // Bundle payments show the bundle in place of a course, and cart
+      // orders the courses they bought
+      setCourse(paymentData.courses || paymentData.bundles || (paymentData.order_items && {
+        title: getOrderTitle(paymentData.order_items),
+        description: `${paymentData.order_items.length} courses`
+      }))
 
       // Verify user has access (if user is authenticated)
       if (user && paymentData.user_id === user.id) {
+        // Access, invoice and confirmation email come from server-side
+        // fulfillment when the gateway confirms the payment
         setHasAccess(true)
-        console.log('User verified, creating purchase record and sending email...')
-        
-        // Check if already has purchase record, if not create one
-        const { data: existingPurchase } = await supabase
-          .from('purchases')
-          .select('id')
-          .eq('user_id', user.id)
-          .eq('course_id', paymentData.course_id)
-          .single()
-
-        if (!existingPurchase) {
-          console.log('Creating purchase record...')
-          // Create purchase record for course access
-          const { error: purchaseError } = await supabase
-            .from('purchases')
-            .insert({
-              user_id: user.id,
-              course_id: paymentData.course_id,
-              payment_id: paymentData.id,
-              access_granted: true,
-              purchase_date: new Date().toISOString()
-            })
-
-          if (purchaseError) {
-            console.error('Error creating purchase record:', purchaseError)
-          } else {
-            console.log('Purchase record created successfully')
-          }
-        } else {
-          console.log('Purchase record already exists')
-        }
-
-        // Send confirmation email for PayHere payments (if not already sent)
-        if (order_id && paymentData) {
-          try {
-            console.log('Sending confirmation email for PayHere payment...')
-            const response = await fetch('/api/payments/send-confirmation-email', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                paymentId: paymentData.id,
-                studentName: user.name,
-                studentEmail: user.email,
-                courseName: paymentData.courses?.title,
-                amount: paymentData.amount,
-                paymentMethod: 'PayHere'
-              })
-            })
-
-            if (response.ok) {
-              console.log('Confirmation email sent successfully')
-            } else {
-              console.log('Email service might not be available')
-            }
-          } catch (emailError) {
-            console.error('Error sending confirmation email:', emailError)
-          }
-        }
       } else if (!user) {
         // User not authenticated yet, show payment info but require login for access
         setHasAccess(false)
@@ -228,39 +201,35 @@ export default function PaymentSuccess({ user }) {
   }
 
   const handleStartLearning = () => {
-    if (course) {
+    if (payment?.bundle_id || payment?.order_items) {
+      router.push('/my-courses')
+    } else if (course) {
       router.push(`/courses/${course.id}`)
     }
   }
 
   const handleDownloadReceipt = async () => {
+    if (!user) {
+      toast.error('Please sign in to download your invoice')
+      return
+    }
+
     try {
-      // Generate invoice/receipt
-      const response = await fetch('/api/invoice/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          paymentId: payment.id,
-          orderId: order_id || payment?.id,
-          sessionId: session_id
-        }),
-      })
+      // Invoices are stored privately; the API hands back a short-lived link
+      const response = await fetch(`/api/invoice/generate?paymentId=${payment.id}&userId=${user.id}`)
+      const result = await response.json()
 
       if (response.ok) {
-        const blob = await response.blob()
-        const url = window.URL.createObjectURL(blob)
         const a = document.createElement('a')
         a.style.display = 'none'
-        a.href = url
-        a.download = `receipt-${order_id || session_id || payment?.id}.pdf`
+        a.href = result.url
+        a.download = result.filename
         document.body.appendChild(a)
         a.click()
-        window.URL.revokeObjectURL(url)
+        document.body.removeChild(a)
         toast.success('Receipt downloaded successfully')
       } else {
-        toast.error('Failed to generate receipt')
+        toast.error(result.error || 'Failed to generate receipt')
       }
     } catch (error) {
       console.error('Error downloading receipt:', error)
@@ -488,30 +457,42 @@ export default function PaymentSuccess({ user }) {
             </h3>
             
             <div className="grid md:grid-cols-3 gap-6">
-              {/* Start Learning */}
-              <div className="text-center">
-                <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary-500/20 mb-4">
-                  <FiPlay className="w-8 h-8 text-primary-400" />
+              {/* Start Learning, or where the gift went */}
+              {payment.is_gift ? (
+                <div className="text-center">
+                  <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary-500/20 mb-4">
+                    <FiGift className="w-8 h-8 text-primary-400" />
+                  </div>
+                  <h4 className="text-lg font-semibold text-white mb-2">Gift Sent</h4>
+                  <p className="text-gray-400 text-sm mb-4">
+                    We emailed a redemption code to {payment.gift_recipient_email}. They can redeem it from their own account.
+                  </p>
                 </div>
-                <h4 className="text-lg font-semibold text-white mb-2">Start Learning</h4>
-                <p className="text-gray-400 text-sm mb-4">
-                  Begin your course immediately and learn at your own pace
-                </p>
-                {user && hasAccess ? (
-                  <button
-                    onClick={handleStartLearning}
-                    className="btn-primary w-full"
-                  >
-                    Start Course <FiArrowRight className="ml-2" />
-                  </button>
-                ) : (
-                  <Link href="/auth/login" legacyBehavior>
-                    <a className="btn-primary w-full inline-flex items-center justify-center">
-                      Sign In to Access <FiArrowRight className="ml-2" />
-                    </a>
-                  </Link>
-                )}
-              </div>
+              ) : (
+                <div className="text-center">
+                  <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary-500/20 mb-4">
+                    <FiPlay className="w-8 h-8 text-primary-400" />
+                  </div>
+                  <h4 className="text-lg font-semibold text-white mb-2">Start Learning</h4>
+                  <p className="text-gray-400 text-sm mb-4">
+                    Begin your course immediately and learn at your own pace
+                  </p>
+                  {user && hasAccess ? (
+                    <button
+                      onClick={handleStartLearning}
+                      className="btn-primary w-full"
+                    >
+                      Start Course <FiArrowRight className="ml-2" />
+                    </button>
+                  ) : (
+                    <Link href="/auth/login" legacyBehavior>
+                      <a className="btn-primary w-full inline-flex items-center justify-center">
+                        Sign In to Access <FiArrowRight className="ml-2" />
+                      </a>
+                    </Link>
+                  )}
+                </div>
+              )}
 
               {/* Download Receipt */}
               <div className="text-center">
@@ -3,12 +3,15 @@ import { useRouter } from 'next/router'
 import { motion } from 'framer-motion'
 import { 
   FiUser, FiMail, FiPhone, FiLock, FiSave, 
-  FiCamera, FiEdit2, FiCheck, FiX 
+  FiCamera, FiEdit2, FiCheck, FiX, FiGlobe
 } from 'react-icons/fi'
 import { supabase } from '../lib/supabase'
 import Header from '../components/layout/Header'
 import Footer from '../components/layout/Footer'
+import MembershipCard from '../components/payment/MembershipCard'
+import InstallmentSchedules from '../components/payment/InstallmentSchedules'
 import toast from 'react-hot-toast'
+import { SUPPORTED_CURRENCIES } from '../utils/constants'
 
 export default function Profile({ user, setUser }) {
   const router = useRouter()
@@ -19,7 +22,8 @@ export default function Profile({ user, setUser }) {
     name: '',
     email: '',
     phone: '',
-    avatar_url: ''
+    avatar_url: '',
+    currency: ''
   })
   const [passwordData, setPasswordData] = useState({
     currentPassword: '',
@@ -37,10 +41,19 @@ export default function Profile({ user, setUser }) {
       name: user.name || '',
       email: user.email || '',
       phone: user.phone || '',
-      avatar_url: user.avatar_url || ''
+      avatar_url: user.avatar_url || '',
+      currency: user.currency || ''
     })
   }, [user])
   
+  useEffect(() => {
+    if (router.query.membership === 'success') {
+      toast.success('Thanks for joining! Your membership will be active in a moment.')
+    } else if (router.query.membership === 'canceled') {
+      toast('Membership checkout was canceled')
+    }
+  }, [router.query.membership])
+  
   const handleUpdateProfile = async (e) => {
     e.preventDefault()
     setLoading(true)
@@ -52,6 +65,7 @@ export default function Profile({ user, setUser }) {
           name: formData.name,
           phone: formData.phone,
           avatar_url: formData.avatar_url,
+          currency: formData.currency || null,
           updated_at: new Date().toISOString()
         })
         .eq('id', user.id)
@@ -63,7 +77,8 @@ export default function Profile({ user, setUser }) {
         ...user,
         name: formData.name,
         phone: formData.phone,
-        avatar_url: formData.avatar_url
+        avatar_url: formData.avatar_url,
+        currency: formData.currency || null
       })
       
       toast.success('Profile updated successfully')
@@ -237,7 +252,8 @@ export default function Profile({ user, setUser }) {
                               name: user.name || '',
                               email: user.email || '',
                               phone: user.phone || '',
-                              avatar_url: user.avatar_url || ''
+                              avatar_url: user.avatar_url || '',
+                              currency: user.currency || ''
                             })
                           }}
                           className="btn-ghost"
@@ -316,6 +332,30 @@ export default function Profile({ user, setUser }) {
                         />
                       </div>
                     </div>
+
+                    {/* Currency */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Preferred Currency
+                      </label>
+                      <div className="relative">
+                        <FiGlobe className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500" />
+                        <select
+                          value={formData.currency}
+                          onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                          disabled={!editMode}
+                          className="input pl-10"
+                        >
+                          <option value="">Automatic (from your location)</option>
+                          {Object.entries(SUPPORTED_CURRENCIES).map(([code, { label }]) => (
+                            <option key={code} value={code}>{label} ({code})</option>
+                          ))}
+                        </select>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Courses are shown and charged in this currency when they have a price listed in it
+                      </p>
+                    </div>
                   </form>
                 </div>
                 
@@ -397,6 +437,16 @@ export default function Profile({ user, setUser }) {
                     </p>
                   )}
                 </div>
+                
+                {/* Membership */}
+                <div className="mt-8">
+                  <MembershipCard user={user} />
+                </div>
+
+                {/* Installment Plans */}
+                <div className="mt-8">
+                  <InstallmentSchedules user={user} />
+                </div>
               </div>
             </div>
           </motion.div>
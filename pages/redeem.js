@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+import { FiGift, FiArrowRight, FiCheckCircle } from 'react-icons/fi'
+import Header from '../components/layout/Header'
+import Footer from '../components/layout/Footer'
+import toast from 'react-hot-toast'
+
+export default function Redeem({ user }) {
+  const router = useRouter()
+  const [code, setCode] = useState('')
+  const [redeeming, setRedeeming] = useState(false)
+  const [redeemed, setRedeemed] = useState(null)
+
+  // Links in gift emails carry the code
+  useEffect(() => {
+    if (typeof router.query.code === 'string') {
+      setCode(router.query.code)
+    }
+  }, [router.query.code])
+
+  const handleRedeem = async (e) => {
+    e.preventDefault()
+    if (!code.trim()) return
+
+    setRedeeming(true)
+    try {
+      const response = await axios.post('/api/gifts/redeem', {
+        userId: user.id,
+        code
+      })
+      setRedeemed(response.data)
+      toast.success(`${response.data.title} unlocked!`)
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to redeem gift code')
+    } finally {
+      setRedeeming(false)
+    }
+  }
+
+  const loginHref = `/auth/login?redirectTo=${encodeURIComponent(router.asPath)}`
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900">
+      <Header user={user} />
+
+      <section className="relative pt-20 pb-24">
+        <div className="absolute inset-0">
+          <div className="absolute top-0 left-1/4 w-96 h-96 bg-primary-500/10 rounded-full filter blur-3xl"></div>
+          <div className="absolute bottom-0 right-1/4 w-96 h-96 bg-purple-500/10 rounded-full filter blur-3xl"></div>
+        </div>
+
+        <div className="relative max-w-xl mx-auto px-4 sm:px-6 lg:px-8">
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            className="glass rounded-2xl p-8 text-center"
+          >
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary-500/20 mb-4">
+              {redeemed ? (
+                <FiCheckCircle className="w-8 h-8 text-green-400" />
+              ) : (
+                <FiGift className="w-8 h-8 text-primary-400" />
+              )}
+            </div>
+
+            {redeemed ? (
+              <>
+                <h1 className="text-3xl font-display font-bold text-white mb-2">Gift Redeemed</h1>
+                <p className="text-gray-400 mb-6">
+                  <span className="text-white">{redeemed.title}</span> has been added to your courses.
+                </p>
+                <Link href={redeemed.courseId ? `/courses/${redeemed.courseId}` : '/my-courses'} legacyBehavior>
+                  <a className="btn-primary inline-flex items-center">
+                    Start Learning <FiArrowRight className="ml-2" />
+                  </a>
+                </Link>
+              </>
+            ) : (
+              <>
+                <h1 className="text-3xl font-display font-bold text-white mb-2">Redeem a Gift</h1>
+                <p className="text-gray-400 mb-6">
+                  Enter the code from your gift email or the card your school gave you.
+                </p>
+
+                {user ? (
+                  <form onSubmit={handleRedeem} className="space-y-4">
+                    <input
+                      type="text"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      placeholder="GIFT-XXXX-XXXX-XXXX"
+                      className="input w-full text-center font-mono uppercase tracking-wider"
+                    />
+                    <button
+                      type="submit"
+                      disabled={redeeming || !code.trim()}
+                      className="btn-primary w-full"
+                    >
+                      {redeeming ? 'Redeeming...' : 'Redeem Code'}
+                    </button>
+                  </form>
+                ) : (
+                  <div className="space-y-3">
+                    <Link href={loginHref} legacyBehavior>
+                      <a className="btn-primary w-full inline-flex items-center justify-center">
+                        Sign In to Redeem <FiArrowRight className="ml-2" />
+                      </a>
+                    </Link>
+                    <p className="text-sm text-gray-500">
+                      New here?{' '}
+                      <Link href="/auth/register" legacyBehavior>
+                        <a className="text-primary-400 hover:text-primary-300">Create an account</a>
+                      </Link>
+                      {' '}first, then come back to this page.
+                    </p>
+                  </div>
+                )}
+              </>
+            )}
+          </motion.div>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  )
+}
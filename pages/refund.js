@@ -24,7 +24,7 @@ export default function RefundPolicy({ user }) {
     {
       step: 1,
       title: 'Submit Request',
-      description: 'Contact our support team within 7 days of purchase',
+      description: 'Request a refund from My Courses within 7 days of purchase',
       icon: FiAlertCircle
     },
     {
@@ -217,9 +217,15 @@ export default function RefundPolicy({ user }) {
                 Request a Refund
               </h2>
               <p className="text-gray-300 mb-6">
-                To request a refund, please contact our support team with your order details:
+                Use the &quot;Request a refund&quot; link on the course in My Courses, or contact our support team with your order details:
               </p>
               <div className="flex flex-col sm:flex-row gap-4 justify-center">
+                <a
+                  href="/my-courses"
+                  className="inline-flex items-center justify-center px-6 py-3 bg-dark-700 text-white rounded-lg hover:bg-dark-600 transition-colors"
+                >
+                  My Courses
+                </a>
                 <a
                   href="mailto:refunds@mathpro.lk"
                   className="inline-flex items-center justify-center px-6 py-3 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
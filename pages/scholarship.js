@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import Link from 'next/link'
+import { motion } from 'framer-motion'
+import axios from 'axios'
+import { FiAward, FiUpload, FiX, FiCheckCircle, FiArrowLeft } from 'react-icons/fi'
+import { supabase } from '../lib/supabase'
+import { FILE_LIMITS } from '../utils/constants'
+import Header from '../components/layout/Header'
+import Footer from '../components/layout/Footer'
+import toast from 'react-hot-toast'
+
+const MAX_DOCUMENTS = 3
+const MIN_REASON_LENGTH = 50
+const DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result.split(',')[1])
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(file)
+})
+
+export default function Scholarship({ user }) {
+  const router = useRouter()
+  const { courseId } = router.query
+  const [course, setCourse] = useState(null)
+  const [application, setApplication] = useState(null)
+  const [reason, setReason] = useState('')
+  const [documents, setDocuments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+
+  useEffect(() => {
+    if (!router.isReady) return
+    if (user && courseId) {
+      fetchCourse()
+    } else {
+      setLoading(false)
+    }
+  }, [router.isReady, user, courseId])
+
+  const fetchCourse = async () => {
+    try {
+      const [courseResult, applicationResult] = await Promise.all([
+        supabase
+          .from('courses')
+          .select('id, title')
+          .eq('id', courseId)
+          .single(),
+        supabase
+          .from('scholarship_applications')
+          .select('id, status, award_type, created_at')
+          .eq('user_id', user.id)
+          .eq('course_id', courseId)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle()
+      ])
+
+      if (courseResult.error) throw courseResult.error
+
+      setCourse(courseResult.data)
+      setApplication(applicationResult.data)
+    } catch (error) {
+      console.error('Error loading course:', error)
+      toast.error('Course not found')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+
+    const accepted = files.filter(file => {
+      if (!DOCUMENT_TYPES.includes(file.type)) {
+        toast.error(`${file.name} must be a JPG, PNG, WEBP or PDF file`)
+        return false
+      }
+      if (file.size > FILE_LIMITS.MAX_FILE_SIZE) {
+        toast.error(`${file.name} is larger than 5MB`)
+        return false
+      }
+      return true
+    })
+
+    setDocuments(current => {
+      const next = [...current, ...accepted]
+      if (next.length > MAX_DOCUMENTS) {
+        toast.error(`You can attach up to ${MAX_DOCUMENTS} documents`)
+      }
+      return next.slice(0, MAX_DOCUMENTS)
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (reason.trim().length < MIN_REASON_LENGTH) {
+      toast.error(`Please tell us a little more (at least ${MIN_REASON_LENGTH} characters)`)
+      return
+    }
+
+    setSubmitting(true)
+    try {
+      const encoded = await Promise.all(documents.map(async (file) => ({
+        data: await readAsBase64(file),
+        filename: file.name,
+        type: file.type
+      })))
+
+      await axios.post('/api/scholarships/apply', {
+        userId: user.id,
+        courseId,
+        reason,
+        documents: encoded
+      })
+
+      setApplication({ status: 'pending' })
+      toast.success('Application submitted')
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to submit your application')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const loginHref = `/auth/login?redirectTo=${encodeURIComponent(router.asPath)}`
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-dark-900 via-dark-800 to-dark-900">
+      <Header user={user} />
+
+      <section className="relative pt-20 pb-24">
+        <div className="absolute inset-0">
+          <div className="absolute top-0 left-1/4 w-96 h-96 bg-primary-500/10 rounded-full filter blur-3xl"></div>
+          <div className="absolute bottom-0 right-1/4 w-96 h-96 bg-purple-500/10 rounded-full filter blur-3xl"></div>
+        </div>
+
+        <div className="relative max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+          {courseId && (
+            <Link href={`/courses/${courseId}`} legacyBehavior>
+              <a className="inline-flex items-center text-gray-400 hover:text-white mb-6">
+                <FiArrowLeft className="mr-2" /> Back to course
+              </a>
+            </Link>
+          )}
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.5 }}
+            className="glass rounded-2xl p-8"
+          >
+            {!user ? (
+              <div className="text-center">
+                <h1 className="text-3xl font-display font-bold text-white mb-2">Apply for a Scholarship</h1>
+                <p className="text-gray-400 mb-6">Sign in to apply for a fee waiver or discount on this course.</p>
+                <Link href={loginHref} legacyBehavior>
+                  <a className="btn-primary inline-flex items-center">Sign In to Apply</a>
+                </Link>
+              </div>
+            ) : loading ? (
+              <div className="flex justify-center py-12">
+                <div className="spinner"></div>
+              </div>
+            ) : !course ? (
+              <p className="text-gray-400 text-center">Choose a course and use its scholarship link to apply.</p>
+            ) : application?.status === 'pending' ? (
+              <div className="text-center">
+                <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-green-500/20 mb-4">
+                  <FiCheckCircle className="w-8 h-8 text-green-400" />
+                </div>
+                <h1 className="text-3xl font-display font-bold text-white mb-2">Application Received</h1>
+                <p className="text-gray-400">
+                  Your application for <span className="text-white">{course.title}</span> is being reviewed.
+                  We will email you once a decision has been made.
+                </p>
+              </div>
+            ) : (
+              <>
+                <div className="text-center mb-6">
+                  <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary-500/20 mb-4">
+                    <FiAward className="w-8 h-8 text-primary-400" />
+                  </div>
+                  <h1 className="text-3xl font-display font-bold text-white mb-2">Apply for a Scholarship</h1>
+                  <p className="text-gray-400">
+                    For <span className="text-white">{course.title}</span>. We offer full fee waivers and partial
+                    discounts to students who cannot afford the course fee.
+                  </p>
+                  {application?.status === 'rejected' && (
+                    <p className="text-sm text-yellow-400 mt-3">
+                      Your previous application was not approved. You can apply again if your circumstances have changed.
+                    </p>
+                  )}
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-5">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">
+                      Why are you applying?
+                    </label>
+                    <textarea
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      rows={6}
+                      maxLength={2000}
+                      className="input"
+                      placeholder="Tell us about your situation and how the course will help you"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">{reason.trim().length}/2000 characters, at least {MIN_REASON_LENGTH}</p>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-400 mb-2">
+                      Supporting documents (optional)
+                    </label>
+                    <p className="text-xs text-gray-500 mb-3">
+                      For example a school letter, Samurdhi card or income certificate. Up to {MAX_DOCUMENTS} JPG, PNG,
+                      WEBP or PDF files, 5MB each. Only our admissions team can see them.
+                    </p>
+                    {documents.length > 0 && (
+                      <ul className="space-y-2 mb-3">
+                        {documents.map((file, index) => (
+                          <li key={`${file.name}-${index}`} className="flex items-center justify-between p-2 rounded-lg bg-dark-700/50">
+                            <span className="text-sm text-white truncate">{file.name}</span>
+                            <button
+                              type="button"
+                              onClick={() => setDocuments(current => current.filter((_, i) => i !== index))}
+                              className="text-gray-400 hover:text-red-400"
+                            >
+                              <FiX className="w-4 h-4" />
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {documents.length < MAX_DOCUMENTS && (
+                      <label className="btn-secondary inline-flex items-center space-x-2 cursor-pointer">
+                        <FiUpload className="w-4 h-4" />
+                        <span>Attach Files</span>
+                        <input
+                          type="file"
+                          multiple
+                          accept={DOCUMENT_TYPES.join(',')}
+                          onChange={handleFiles}
+                          className="hidden"
+                        />
+                      </label>
+                    )}
+                  </div>
+
+                  <button type="submit" disabled={submitting} className="btn-primary w-full">
+                    {submitting ? 'Submitting...' : 'Submit Application'}
+                  </button>
+                </form>
+              </>
+            )}
+          </motion.div>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  )
+}
@@ -1,5 +1,9 @@
 const { defineConfig, devices } = require('@playwright/test')
 
+// Credentials the PayHere simulator signs with; tests/e2e reads the same defaults
+const payhereMerchantId = process.env.NEXT_PUBLIC_PAYHERE_MERCHANT_ID || 'test-merchant'
+const payhereMerchantSecret = process.env.NEXT_PUBLIC_PAYHERE_MERCHANT_SECRET || 'test-secret'
+
 module.exports = defineConfig({
   testDir: './tests/e2e',
   fullyParallel: true,
@@ -34,5 +38,14 @@ module.exports = defineConfig({
     command: 'npm run dev',
     port: 3000,
     reuseExistingServer: !process.env.CI,
+    // Swap the PayHere sandbox for the local simulator so payment flows run offline
+    env: {
+      PAYHERE_SIMULATOR: 'true',
+      NEXT_PUBLIC_PAYHERE_JS: '/payhere-simulator.js',
+      NEXT_PUBLIC_PAYHERE_MERCHANT_ID: payhereMerchantId,
+      NEXT_PUBLIC_PAYHERE_MERCHANT_SECRET: payhereMerchantSecret,
+      // payhere-callback verifies with this one
+      PAYHERE_MERCHANT_SECRET: payhereMerchantSecret,
+    },
   },
 })
\ No newline at end of file
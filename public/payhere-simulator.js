@@ -0,0 +1,64 @@
+/**
+ * Stand-in for https://www.payhere.lk/lib/payhere.js used with the local
+ * PayHere simulator. Load it with NEXT_PUBLIC_PAYHERE_JS=/payhere-simulator.js.
+ *
+ * payhere.startPayment() opens /payment/payhere-simulator in an overlay
+ * instead of the PayHere sandbox. The overlay posts the signed
+ * notifications to notify_url and reports the outcome back here, which
+ * calls onCompleted, onDismissed or onError like the real SDK.
+ */
+(function () {
+  // A page or test that already stubbed the SDK keeps its stub
+  if (window.payhere) return
+
+  var MESSAGE_TYPE = 'payhere-simulator'
+  var OVERLAY_ID = 'payhere-simulator-overlay'
+
+  var closeOverlay = function () {
+    var overlay = document.getElementById(OVERLAY_ID)
+    if (overlay) overlay.parentNode.removeChild(overlay)
+  }
+
+  var payhere = {
+    onCompleted: null,
+    onDismissed: null,
+    onError: null,
+
+    startPayment: function (payment) {
+      closeOverlay()
+
+      var overlay = document.createElement('div')
+      overlay.id = OVERLAY_ID
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;'
+
+      var frame = document.createElement('iframe')
+      frame.title = 'PayHere Checkout'
+      frame.src = '/payment/payhere-simulator?payment=' + encodeURIComponent(JSON.stringify(payment))
+      frame.style.cssText = 'width:100%;max-width:480px;height:640px;max-height:100%;border:0;border-radius:16px;'
+
+      overlay.appendChild(frame)
+      document.body.appendChild(overlay)
+    }
+  }
+
+  window.addEventListener('message', function (event) {
+    if (event.origin !== window.location.origin) return
+    if (!event.data || event.data.type !== MESSAGE_TYPE) return
+
+    closeOverlay()
+
+    switch (event.data.outcome) {
+      case 'success':
+      case 'chargeback':
+        if (payhere.onCompleted) payhere.onCompleted(event.data.orderId)
+        break
+      case 'failure':
+        if (payhere.onError) payhere.onError(event.data.message || 'Payment failed')
+        break
+      default:
+        if (payhere.onDismissed) payhere.onDismissed()
+    }
+  })
+
+  window.payhere = payhere
+})()
@@ -0,0 +1,159 @@
+import handler from '../../../pages/api/refunds/process'
+import { issueRefund, revokeCourseAccess } from '../../../lib/refunds'
+import { sendEmail } from '../../../lib/email'
+
+// Each supabase call resolves with the next queued result
+const results = []
+const writes = []
+const chain = (table) => {
+  const builder = {}
+  ;['select', 'eq', 'in'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.update = jest.fn((values) => {
+    writes.push({ table, values })
+    return builder
+  })
+  builder.single = jest.fn(() => Promise.resolve(results.shift()))
+  builder.maybeSingle = builder.single
+  builder.then = (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject)
+  return builder
+}
+
+jest.mock('../../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn((table) => chain(table)) },
+  isAdminServer: jest.fn(() => Promise.resolve(true))
+}))
+
+jest.mock('../../../lib/stripe', () => ({
+  createRefund: jest.fn(),
+  getCheckoutSession: jest.fn()
+}))
+
+jest.mock('../../../lib/refunds', () => ({
+  ...jest.requireActual('../../../lib/refunds'),
+  issueRefund: jest.fn(),
+  revokeCourseAccess: jest.fn()
+}))
+
+jest.mock('../../../lib/email', () => ({ sendEmail: jest.fn() }))
+jest.mock('../../../lib/invoicing', () => ({
+  issueCreditNoteForPayment: jest.fn(() => Promise.resolve({ creditNote: { invoice_number: 'CN-2026-000001' } })),
+  getInvoiceAttachment: jest.fn(() => Promise.resolve(null))
+}))
+jest.mock('../../../lib/affiliates', () => ({ voidCommissionForPayment: jest.fn() }))
+
+const makeRequest = (payment = {}) => ({
+  id: 'request-1',
+  status: 'pending',
+  payments: { id: 'payment-1', status: 'approved', method: 'stripe', amount: 5000, course_id: 'course-1', ...payment },
+  profiles: { name: 'Student', email: 'student@example.com' },
+  courses: { title: 'Combined Maths' }
+})
+
+const approve = async (body = {}) => {
+  const req = {
+    method: 'POST',
+    body: { refundRequestId: 'request-1', adminId: 'admin-1', action: 'approve', ...body }
+  }
+  const res = {
+    setHeader: jest.fn(),
+    status: jest.fn((code) => {
+      res.statusCode = code
+      return res
+    }),
+    json: jest.fn(() => res)
+  }
+  await handler(req, res)
+  return res
+}
+
+describe('/api/refunds/process', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    results.length = 0
+    writes.length = 0
+    issueRefund.mockResolvedValue({ refundMethod: 'stripe', refundReference: 're_1' })
+  })
+
+  it('should claim the request before refunding the payment', async () => {
+    results.push(
+      { data: makeRequest(), error: null },
+      { data: { id: 'request-1' }, error: null },
+      { error: null },
+      { error: null }
+    )
+
+    const res = await approve()
+
+    expect(res.statusCode).toBe(200)
+    expect(writes[0]).toMatchObject({ table: 'refund_requests', values: { status: 'approved', reviewed_by: 'admin-1' } })
+    expect(writes[1]).toMatchObject({ table: 'payments', values: { status: 'refunded', refund_reference: 're_1' } })
+    expect(revokeCourseAccess).toHaveBeenCalled()
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ courseName: 'Combined Maths', isOrder: false })
+    }))
+  })
+
+  it('should not refund a request another admin already claimed', async () => {
+    results.push(
+      { data: makeRequest(), error: null },
+      { data: null, error: null }
+    )
+
+    const res = await approve()
+
+    expect(res.statusCode).toBe(409)
+    expect(issueRefund).not.toHaveBeenCalled()
+    expect(writes.map(write => write.table)).toEqual(['refund_requests'])
+  })
+
+  it('should hand the request back when the refund fails', async () => {
+    issueRefund.mockRejectedValue(new Error('Stripe is down'))
+    results.push(
+      { data: makeRequest(), error: null },
+      { data: { id: 'request-1' }, error: null },
+      { error: null }
+    )
+
+    const res = await approve()
+
+    expect(res.statusCode).toBe(500)
+    expect(writes[1]).toMatchObject({ table: 'refund_requests', values: { status: 'pending', reviewed_by: null } })
+    expect(revokeCourseAccess).not.toHaveBeenCalled()
+  })
+
+  it('should refuse to refund one course of a cart order', async () => {
+    const orderItems = [
+      { course_id: 'course-1', title: 'Combined Maths', amount: 5000 },
+      { course_id: 'course-2', title: 'Physics', amount: 2500 }
+    ]
+    results.push({ data: makeRequest({ course_id: null, order_items: orderItems }), error: null })
+
+    const res = await approve()
+
+    expect(res.statusCode).toBe(400)
+    expect(issueRefund).not.toHaveBeenCalled()
+    expect(writes).toHaveLength(0)
+  })
+
+  it('should name the whole order when the admin refunds it', async () => {
+    const orderItems = [
+      { course_id: 'course-1', title: 'Combined Maths', amount: 5000 },
+      { course_id: 'course-2', title: 'Physics', amount: 2500 }
+    ]
+    results.push(
+      { data: makeRequest({ course_id: null, order_items: orderItems }), error: null },
+      { data: { id: 'request-1' }, error: null },
+      { error: null },
+      { error: null }
+    )
+
+    const res = await approve({ refundWholeOrder: true })
+
+    expect(res.statusCode).toBe(200)
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ courseName: 'Combined Maths, Physics', isOrder: true })
+    }))
+  })
+})
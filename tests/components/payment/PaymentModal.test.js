@@ -270,6 +270,9 @@ describe('PaymentModal', () => {
 
   it('handles bank transfer submission', async () => {
     const mockFile = new File(['receipt'], 'receipt.jpg', { type: 'image/jpeg' })
+    axios.post.mockResolvedValueOnce({
+      data: { success: true, transferReference: 'BT-TEST1234' }
+    })
     
     render(
       <PaymentModal 
@@ -288,7 +291,12 @@ describe('PaymentModal', () => {
     fireEvent.click(screen.getByText(`Pay LKR 5,000`))
 
     await waitFor(() => {
-      expect(supabase.from).toHaveBeenCalledWith('payments')
+      expect(axios.post).toHaveBeenCalledWith('/api/payments/bank-transfer', expect.any(FormData))
+      const formData = axios.post.mock.calls[0][1]
+      expect(formData.get('userId')).toBe(mockUser.id)
+      expect(formData.get('courseId')).toBe(mockCourse.id)
+      expect(formData.get('receipt').name).toBe('receipt.jpg')
+      expect(formData.get('receipt').type).toBe('image/jpeg')
       expect(toast.success).toHaveBeenCalledWith('Bank transfer submitted for verification')
     })
   })
@@ -1,4 +1,112 @@
+const crypto = require('crypto')
 const { test, expect } = require('@playwright/test')
+const { createClient } = require('@supabase/supabase-js')
+
+// Same defaults playwright.config.js gives the dev server
+const PAYHERE_MERCHANT_ID = process.env.NEXT_PUBLIC_PAYHERE_MERCHANT_ID || 'test-merchant'
+const PAYHERE_MERCHANT_SECRET = process.env.NEXT_PUBLIC_PAYHERE_MERCHANT_SECRET || 'test-secret'
+const NOTIFY_PATH = '/api/payments/payhere-callback'
+
+// The simulator specs post to the real notify endpoint, so they need the
+// dev server's Supabase project and a student and course to buy it with.
+// Their payments and invoices are kept; run them against a test project.
+const E2E_USER_ID = process.env.E2E_USER_ID
+const E2E_COURSE_ID = process.env.E2E_COURSE_ID
+const supabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+  ? createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex').toUpperCase()
+
+const checkoutHash = (orderId, amount) =>
+  md5(PAYHERE_MERCHANT_ID + orderId + amount + 'LKR' + md5(PAYHERE_MERCHANT_SECRET))
+
+const notificationSignature = (fields) =>
+  md5(fields.merchant_id + fields.order_id + fields.payhere_amount + fields.payhere_currency + fields.status_code + md5(PAYHERE_MERCHANT_SECRET))
+
+// A pending PayHere payment for the notifications to settle, as
+// payhere?action=start would create it
+const createPendingPayment = async () => {
+  const { data, error } = await supabase
+    .from('payments')
+    .insert({
+      id: crypto.randomUUID(),
+      user_id: E2E_USER_ID,
+      course_id: E2E_COURSE_ID,
+      amount: 5000,
+      currency: 'LKR',
+      method: 'payhere',
+      status: 'pending'
+    })
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// The payment as the notify endpoint left it, with the access it granted
+const getPayment = async (orderId) => {
+  const [{ data: payment, error }, { data: purchases, error: purchasesError }] = await Promise.all([
+    supabase.from('payments').select('status, dispute_status').eq('id', orderId).single(),
+    supabase.from('purchases').select('access_granted').eq('payment_id', orderId)
+  ])
+
+  if (error) throw error
+  if (purchasesError) throw purchasesError
+  return { ...payment, purchases }
+}
+
+// Leaves the student without the access the test granted
+const removePurchases = async (orderId) => {
+  await supabase.from('purchases').delete().eq('payment_id', orderId)
+}
+
+// Records each notification the simulator posts to notify_url with the
+// server's answer; the requests themselves reach the real endpoint
+const watchNotifications = (page) => {
+  const notifications = []
+  page.on('response', async response => {
+    if (!response.url().endsWith(NOTIFY_PATH)) return
+    notifications.push({
+      ...Object.fromEntries(new URLSearchParams(response.request().postData())),
+      responseStatus: response.status()
+    })
+  })
+  return notifications
+}
+
+const waitForNotifications = (notifications, count) =>
+  expect.poll(() => notifications.length).toBe(count)
+
+// Starts a payment straight through the simulator SDK and records which callback fired
+const startSimulatedPayment = async (page, orderId) => {
+  await page.goto('/about')
+  await page.waitForFunction(() => !!window.payhere)
+  await page.evaluate(({ orderId, merchantId, hash, notifyPath }) => {
+    window.payhereResult = null
+    window.payhere.onCompleted = (id) => { window.payhereResult = { callback: 'completed', orderId: id } }
+    window.payhere.onDismissed = () => { window.payhereResult = { callback: 'dismissed' } }
+    window.payhere.onError = (error) => { window.payhereResult = { callback: 'error', error } }
+    window.payhere.startPayment({
+      sandbox: true,
+      merchant_id: merchantId,
+      return_url: `${window.location.origin}/payment/success?order_id=${orderId}`,
+      cancel_url: `${window.location.origin}/courses?canceled=true`,
+      notify_url: `${window.location.origin}${notifyPath}`,
+      order_id: orderId,
+      items: 'Advanced Mathematics',
+      amount: '5000.00',
+      currency: 'LKR',
+      email: 'test@example.com',
+      hash
+    })
+  }, { orderId, merchantId: PAYHERE_MERCHANT_ID, hash: checkoutHash(orderId, '5000.00'), notifyPath: NOTIFY_PATH })
+
+  return page.frameLocator('iframe[title="PayHere Checkout"]')
+}
+
+const payhereResult = (page) => page.waitForFunction(() => window.payhereResult).then(handle => handle.jsonValue())
 
 test.describe('Course Purchase Flow', () => {
   test.beforeEach(async ({ page }) => {
@@ -361,4 +469,160 @@ test.describe('Course Purchase Flow', () => {
     const href = await whatsappLink.getAttribute('href')
     expect(href).toContain('wa.me')
   })
-})
\ No newline at end of file
+})
+
+test.describe('PayHere Sandbox Simulator', () => {
+  test.skip(!supabase || !E2E_USER_ID || !E2E_COURSE_ID,
+    'Needs NEXT_PUBLIC_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, E2E_USER_ID and E2E_COURSE_ID')
+
+  let orderId
+
+  test.beforeEach(async () => {
+    orderId = (await createPendingPayment()).id
+  })
+
+  test.afterEach(async () => {
+    await removePurchases(orderId)
+  })
+
+  test('should complete a course purchase through the simulated checkout', async ({ page }) => {
+    const notifications = watchNotifications(page)
+
+    await page.route('/api/courses/course-1', async route => {
+      await route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({
+          id: 'course-1',
+          title: 'Advanced Mathematics',
+          price: 5000
+        })
+      })
+    })
+
+    await page.route('/api/payments/payhere?action=start', async route => {
+      await route.fulfill({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({
+          hash: checkoutHash(orderId, '5000.00'),
+          merchant_id: PAYHERE_MERCHANT_ID,
+          order_id: orderId,
+          amount: '5000.00'
+        })
+      })
+    })
+
+    await page.goto('/courses/course-1')
+    await page.getByRole('button', { name: /Purchase|Buy|Enroll/ }).click()
+    await page.getByRole('button', { name: /Pay LKR/ }).click()
+
+    const checkout = page.frameLocator('iframe[title="PayHere Checkout"]')
+    await expect(checkout.getByText('LKR 5000.00')).toBeVisible()
+    await checkout.getByRole('button', { name: 'Pay successfully' }).click()
+
+    await expect(page.getByText('Payment completed! Redirecting to success page...')).toBeVisible()
+    await waitForNotifications(notifications, 1)
+    expect(notifications[0]).toMatchObject({ status_code: '2', responseStatus: 200 })
+    expect(notifications[0].md5sig).toBe(notificationSignature(notifications[0]))
+    expect(await getPayment(orderId)).toMatchObject({ status: 'completed', purchases: [{ access_granted: true }] })
+  })
+
+  test('should post a signed success notification to notify_url', async ({ page }) => {
+    const notifications = watchNotifications(page)
+    const checkout = await startSimulatedPayment(page, orderId)
+
+    await checkout.getByRole('button', { name: 'Pay successfully' }).click()
+
+    expect(await payhereResult(page)).toEqual({ callback: 'completed', orderId })
+    await waitForNotifications(notifications, 1)
+    expect(notifications).toEqual([expect.objectContaining({
+      merchant_id: PAYHERE_MERCHANT_ID,
+      order_id: orderId,
+      payhere_amount: '5000.00',
+      payhere_currency: 'LKR',
+      status_code: '2',
+      responseStatus: 200
+    })])
+    expect(notifications[0].md5sig).toBe(notificationSignature(notifications[0]))
+    expect(await getPayment(orderId)).toMatchObject({ status: 'completed', purchases: [{ access_granted: true }] })
+  })
+
+  test('should report a declined payment as an error', async ({ page }) => {
+    const notifications = watchNotifications(page)
+    const checkout = await startSimulatedPayment(page, orderId)
+
+    await checkout.getByRole('button', { name: 'Decline payment' }).click()
+
+    expect(await payhereResult(page)).toMatchObject({ callback: 'error' })
+    await waitForNotifications(notifications, 1)
+    expect(notifications.map(n => [n.status_code, n.responseStatus])).toEqual([['-2', 200]])
+    expect(notifications[0].md5sig).toBe(notificationSignature(notifications[0]))
+    expect(await getPayment(orderId)).toMatchObject({ status: 'failed', purchases: [] })
+  })
+
+  test('should report a cancelled payment as dismissed', async ({ page }) => {
+    const notifications = watchNotifications(page)
+    const checkout = await startSimulatedPayment(page, orderId)
+
+    await checkout.getByRole('button', { name: 'Cancel payment' }).click()
+
+    expect(await payhereResult(page)).toEqual({ callback: 'dismissed' })
+    await waitForNotifications(notifications, 1)
+    expect(notifications.map(n => [n.status_code, n.responseStatus])).toEqual([['-1', 200]])
+    expect(await getPayment(orderId)).toMatchObject({ status: 'failed', purchases: [] })
+  })
+
+  test('should send a chargeback after the payment notification', async ({ page }) => {
+    const notifications = watchNotifications(page)
+    const checkout = await startSimulatedPayment(page, orderId)
+
+    await checkout.getByRole('button', { name: 'Pay, then charge back' }).click()
+
+    expect(await payhereResult(page)).toEqual({ callback: 'completed', orderId })
+    await waitForNotifications(notifications, 2)
+    expect(notifications.map(n => [n.status_code, n.responseStatus])).toEqual([['2', 200], ['-3', 200]])
+    notifications.forEach(n => expect(n.md5sig).toBe(notificationSignature(n)))
+    expect(await getPayment(orderId)).toMatchObject({ status: 'refunded', dispute_status: 'lost', purchases: [] })
+  })
+
+  test('should reject a notification with a forged signature', async ({ request }) => {
+    const fields = {
+      merchant_id: PAYHERE_MERCHANT_ID,
+      order_id: orderId,
+      payment_id: '320012345678',
+      payhere_amount: '5000.00',
+      payhere_currency: 'LKR',
+      status_code: '2'
+    }
+
+    const response = await request.post(NOTIFY_PATH, { form: { ...fields, md5sig: 'FORGED' } })
+
+    expect(response.status()).toBe(400)
+    expect(await getPayment(orderId)).toMatchObject({ status: 'pending', purchases: [] })
+  })
+
+  test('should reject a payment with a tampered hash', async ({ page }) => {
+    const notifications = watchNotifications(page)
+    await page.goto('/about')
+    await page.waitForFunction(() => !!window.payhere)
+    await page.evaluate(({ orderId, merchantId, notifyPath }) => {
+      window.payhere.startPayment({
+        merchant_id: merchantId,
+        notify_url: `${window.location.origin}${notifyPath}`,
+        order_id: orderId,
+        items: 'Advanced Mathematics',
+        amount: '5000.00',
+        currency: 'LKR',
+        hash: 'TAMPERED'
+      })
+    }, { orderId, merchantId: PAYHERE_MERCHANT_ID, notifyPath: NOTIFY_PATH })
+
+    const checkout = page.frameLocator('iframe[title="PayHere Checkout"]')
+    await checkout.getByRole('button', { name: 'Pay successfully' }).click()
+
+    await expect(checkout.getByText('Invalid payment hash')).toBeVisible()
+    expect(notifications).toHaveLength(0)
+    expect(await getPayment(orderId)).toMatchObject({ status: 'pending' })
+  })
+})
@@ -0,0 +1,166 @@
+import {
+  getExportRange,
+  getFeeInBaseCurrency,
+  paymentToCsvRow,
+  paymentToIifRows,
+  paymentToXeroRows,
+  writePaymentsExport,
+  CSV_HEADER,
+  EXPORT_PAGE_SIZE
+} from '../../lib/accounting-export'
+import { supabase } from '../../lib/supabase-admin'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn() }
+}))
+
+const paymentsQuery = (result) => {
+  const builder = {}
+  ;['select', 'in', 'gte', 'lt', 'order'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.range = jest.fn(() => Promise.resolve(result))
+  return builder
+}
+
+const stripePayment = {
+  id: 'payment-1',
+  status: 'approved',
+  method: 'stripe',
+  amount: 15000,
+  currency: 'LKR',
+  charged_amount: 50,
+  charged_currency: 'USD',
+  exchange_rate: 0.003333,
+  exchange_rate_snapshot: { rate_id: 'rate-1', effective_from: '2026-05-01T00:00:00.000Z' },
+  gateway_fee: 1.75,
+  gateway_fee_currency: 'USD',
+  payment_id: 'pi_123',
+  created_at: '2026-05-10T19:00:00.000Z',
+  approved_at: '2026-05-10T19:05:00.000Z',
+  profiles: { name: 'Kamal Perera', email: 'kamal@example.com' },
+  courses: { title: 'Algebra' },
+  invoices: [{ document_type: 'invoice', invoice_number: 'INV-2026-0001' }]
+}
+
+describe('Accounting Export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('getExportRange', () => {
+    it('should cover whole days in Sri Lanka time', () => {
+      expect(getExportRange('2026-05-01', '2026-05-31')).toEqual({
+        start: '2026-04-30T18:30:00.000Z',
+        end: '2026-05-31T18:30:00.000Z'
+      })
+    })
+
+    it('should reject malformed and reversed ranges', () => {
+      expect(() => getExportRange('05/01/2026', '2026-05-31')).toThrow('YYYY-MM-DD')
+      expect(() => getExportRange('2026-06-01', '2026-05-31')).toThrow('on or before')
+    })
+  })
+
+  describe('getFeeInBaseCurrency', () => {
+    it('should convert a settlement currency fee with the payment rate', () => {
+      expect(getFeeInBaseCurrency(stripePayment)).toBe(525.05)
+    })
+
+    it('should keep fees already in the payment currency', () => {
+      expect(getFeeInBaseCurrency({ currency: 'LKR', gateway_fee: 495, gateway_fee_currency: 'LKR' })).toBe(495)
+    })
+
+    it('should return null without a fee', () => {
+      expect(getFeeInBaseCurrency({ currency: 'LKR', gateway_fee: null })).toBeNull()
+    })
+  })
+
+  describe('paymentToCsvRow', () => {
+    it('should include the invoice, rate snapshot and fee', () => {
+      const row = Object.fromEntries(CSV_HEADER.map((column, index) => [column, paymentToCsvRow(stripePayment)[index]]))
+
+      expect(row).toMatchObject({
+        date: '2026-05-11',
+        item: 'Algebra',
+        invoice_number: 'INV-2026-0001',
+        charged_amount: 50,
+        rate_id: 'rate-1',
+        gateway_fee: 1.75,
+        gateway_fee_base: 525.05,
+        net_amount: 14474.95,
+        gateway_reference: 'pi_123'
+      })
+    })
+  })
+
+  describe('paymentToIifRows', () => {
+    it('should post a balanced sale with the fee split out', () => {
+      const rows = paymentToIifRows(stripePayment)
+
+      expect(rows.map(row => row[0])).toEqual(['TRNS', 'SPL', 'SPL', 'ENDTRNS'])
+      expect(rows[0].slice(2, 6)).toEqual(['05/11/2026', 'Undeposited Funds', 'Kamal Perera', 14474.95])
+      expect(rows[1][3]).toBe('Merchant Fees')
+      expect(rows[2].slice(3, 6)).toEqual(['Course Sales', 'Kamal Perera', -15000])
+      expect(rows[0][5] + rows[1][5] + rows[2][5]).toBeCloseTo(0)
+    })
+
+    it('should reverse the sale on the refund date', () => {
+      const rows = paymentToIifRows({
+        ...stripePayment,
+        status: 'refunded',
+        gateway_fee: null,
+        refunded_at: '2026-05-14T04:00:00.000Z',
+        invoices: [...stripePayment.invoices, { document_type: 'credit_note', invoice_number: 'CN-2026-0001' }]
+      })
+
+      expect(rows).toHaveLength(6)
+      expect(rows[3]).toEqual(['TRNS', 'GENERAL JOURNAL', '05/14/2026', 'Undeposited Funds', 'Kamal Perera', -15000, 'CN-2026-0001', 'Refund: Algebra'])
+      expect(rows[4][5]).toBe(15000)
+    })
+
+    it('should leave pending payments out of the journal', () => {
+      expect(paymentToIifRows({ ...stripePayment, status: 'pending' })).toEqual([])
+    })
+  })
+
+  describe('paymentToXeroRows', () => {
+    it('should add the gateway fee as a separate debit', () => {
+      expect(paymentToXeroRows(stripePayment)).toEqual([
+        ['11/05/2026', 15000, 'Kamal Perera', 'Algebra - INV-2026-0001', 'pi_123'],
+        ['11/05/2026', -525.05, 'Stripe', 'Stripe fee: Algebra', 'pi_123']
+      ])
+    })
+  })
+
+  describe('writePaymentsExport', () => {
+    it('should page through payments until a short page', async () => {
+      const fullPage = Array.from({ length: EXPORT_PAGE_SIZE }, (_, index) => ({ ...stripePayment, id: `payment-${index}` }))
+      const firstPage = paymentsQuery({ data: fullPage, error: null })
+      const lastPage = paymentsQuery({ data: [stripePayment], error: null })
+      supabase.from.mockReturnValueOnce(firstPage).mockReturnValueOnce(lastPage)
+
+      const chunks = []
+      const count = await writePaymentsExport(
+        { format: 'csv', from: '2026-05-01', to: '2026-05-31' },
+        (chunk) => chunks.push(chunk)
+      )
+
+      expect(count).toBe(EXPORT_PAGE_SIZE + 1)
+      expect(chunks).toHaveLength(3)
+      expect(chunks[0]).toBe(`${CSV_HEADER.join(',')}\n`)
+      expect(firstPage.range).toHaveBeenCalledWith(0, EXPORT_PAGE_SIZE - 1)
+      expect(lastPage.range).toHaveBeenCalledWith(EXPORT_PAGE_SIZE, 2 * EXPORT_PAGE_SIZE - 1)
+    })
+
+    it('should reject bad requests before writing anything', async () => {
+      const write = jest.fn()
+
+      await expect(writePaymentsExport({ format: 'pdf', from: '2026-05-01', to: '2026-05-31' }, write))
+        .rejects.toThrow('Invalid export format')
+      await expect(writePaymentsExport({ format: 'csv', from: '2026-05-01', to: '2026-05-31', statuses: ['failed'] }, write))
+        .rejects.toThrow('Invalid payment status')
+      expect(write).not.toHaveBeenCalled()
+    })
+  })
+})
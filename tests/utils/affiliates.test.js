@@ -0,0 +1,141 @@
+import {
+  calculateCommission,
+  getPaymentCommission,
+  getReferralPaymentFields,
+  normalizeReferralCode,
+  generateReferralCode
+} from '../../lib/affiliates'
+import { isCommissionPayable, summarizeCommissions, affiliateLedgerToCsv } from '../../utils/affiliates'
+import { supabase } from '../../lib/supabase-admin'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn() }
+}))
+
+const affiliateQuery = (result) => {
+  const builder = {}
+  ;['select', 'eq'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.maybeSingle = jest.fn(() => Promise.resolve(result))
+  return builder
+}
+
+describe('Affiliate Utilities', () => {
+  describe('referral codes', () => {
+    it('should generate eight unambiguous characters', () => {
+      expect(generateReferralCode()).toMatch(/^[A-HJ-NP-Z2-9]{8}$/)
+    })
+
+    it('should normalize codes from links and cookies', () => {
+      expect(normalizeReferralCode(' 7k3q9xpa ')).toBe('7K3Q9XPA')
+      expect(normalizeReferralCode(undefined)).toBe('')
+    })
+  })
+
+  describe('calculateCommission', () => {
+    it('should use the default percentage without a rule', () => {
+      expect(calculateCommission(null, 4500)).toBe(450)
+    })
+
+    it('should apply percentage and fixed rules', () => {
+      expect(calculateCommission({ commission_type: 'percentage', commission_value: 15 }, 4500)).toBe(675)
+      expect(calculateCommission({ commission_type: 'fixed', commission_value: 500 }, 4500)).toBe(500)
+    })
+
+    it('should never exceed the amount paid', () => {
+      expect(calculateCommission({ commission_type: 'fixed', commission_value: 5000 }, 1200)).toBe(1200)
+    })
+  })
+
+  describe('getPaymentCommission', () => {
+    const rules = { 'course-1': { commission_type: 'fixed', commission_value: 300 } }
+
+    it('should use the course rule on a single course payment', () => {
+      expect(getPaymentCommission({ course_id: 'course-1', amount: 4000 }, rules)).toBe(300)
+    })
+
+    it('should add up each cart item under its own rule', () => {
+      const payment = {
+        amount: 7000,
+        order_items: [
+          { course_id: 'course-1', amount: 4000 },
+          { course_id: 'course-2', amount: 3000 }
+        ]
+      }
+
+      expect(getPaymentCommission(payment, rules)).toBe(600)
+    })
+
+    it('should give bundles the default rate', () => {
+      expect(getPaymentCommission({ bundle_id: 'bundle-1', amount: 9000 }, rules)).toBe(900)
+    })
+  })
+
+  describe('getReferralPaymentFields', () => {
+    it('should attribute a checkout to an active affiliate', async () => {
+      supabase.from.mockReturnValue(affiliateQuery({
+        data: { id: 'affiliate-1', user_id: 'tutor-1', status: 'active' },
+        error: null
+      }))
+
+      await expect(getReferralPaymentFields('7k3q9xpa', 'student-1')).resolves.toEqual({ affiliate_id: 'affiliate-1' })
+    })
+
+    it('should ignore self-referrals, suspended affiliates and failed lookups', async () => {
+      supabase.from.mockReturnValue(affiliateQuery({
+        data: { id: 'affiliate-1', user_id: 'student-1', status: 'active' },
+        error: null
+      }))
+      await expect(getReferralPaymentFields('7K3Q9XPA', 'student-1')).resolves.toEqual({})
+
+      supabase.from.mockReturnValue(affiliateQuery({
+        data: { id: 'affiliate-1', user_id: 'tutor-1', status: 'suspended' },
+        error: null
+      }))
+      await expect(getReferralPaymentFields('7K3Q9XPA', 'student-1')).resolves.toEqual({})
+
+      supabase.from.mockReturnValue(affiliateQuery({ data: null, error: new Error('timeout') }))
+      await expect(getReferralPaymentFields('7K3Q9XPA', 'student-1')).resolves.toEqual({})
+    })
+  })
+
+  describe('isCommissionPayable', () => {
+    it('should hold commissions until the refund window has passed', () => {
+      const commission = { status: 'pending', created_at: '2026-05-01T10:00:00.000Z' }
+
+      expect(isCommissionPayable(commission, new Date('2026-05-05T10:00:00.000Z'))).toBe(false)
+      expect(isCommissionPayable(commission, new Date('2026-05-08T10:00:00.000Z'))).toBe(true)
+      expect(isCommissionPayable({ ...commission, status: 'paid' }, new Date('2026-06-01'))).toBe(false)
+    })
+  })
+
+  describe('summarizeCommissions', () => {
+    it('should leave refunded sales out of the totals', () => {
+      expect(summarizeCommissions([
+        { amount: 450, status: 'pending' },
+        { amount: '300.00', status: 'paid' },
+        { amount: 500, status: 'void' }
+      ])).toEqual({ conversions: 2, earned: 750, pending: 450, paid: 300 })
+    })
+  })
+
+  describe('affiliateLedgerToCsv', () => {
+    it('should include the affiliate and payout reference', () => {
+      const csv = affiliateLedgerToCsv([{
+        created_at: '2026-05-01T10:00:00.000Z',
+        description: 'Algebra, Part 1',
+        order_amount: 4500,
+        amount: 450,
+        currency: 'LKR',
+        status: 'paid',
+        affiliates: { code: '7K3Q9XPA', profiles: { name: 'Nimal', email: 'nimal@example.com' } },
+        affiliate_payouts: { reference: 'TRF-1', paid_at: '2026-05-10T10:00:00.000Z' }
+      }])
+
+      expect(csv.split('\n')[1]).toBe(
+        '2026-05-01T10:00:00.000Z,7K3Q9XPA,Nimal,nimal@example.com,"Algebra, Part 1",4500,450,LKR,paid,TRF-1,2026-05-10T10:00:00.000Z'
+      )
+    })
+  })
+})
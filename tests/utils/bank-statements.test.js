@@ -0,0 +1,128 @@
+import {
+  parseBankStatementCsv,
+  parseStatementAmount,
+  parseStatementDate,
+  mentionsReference,
+  matchStatement,
+  getStatementLineHashes,
+  STATEMENT_LINE_STATUS
+} from '../../lib/bank-statements'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {}
+}))
+
+jest.mock('../../lib/bank-transfer', () => ({
+  approveBankTransfer: jest.fn()
+}))
+
+const payment = (overrides) => ({
+  id: 'payment-1',
+  amount: 4500,
+  transfer_reference: 'BT-7K3Q9XPA',
+  created_at: '2026-05-02T10:00:00.000Z',
+  ...overrides
+})
+
+describe('Bank Statement Utilities', () => {
+  describe('parseBankStatementCsv', () => {
+    it('should keep credits and skip debits', () => {
+      const csv = [
+        'Date,Narration,Debit,Credit,Balance',
+        '02/05/2026,"CEFT BT-7K3Q9XPA, K Perera",,"4,500.00","104,500.00"',
+        '03/05/2026,ATM withdrawal,"2,000.00",,"102,500.00"'
+      ].join('\n')
+
+      expect(parseBankStatementCsv(csv)).toEqual({
+        rows: [{ line: 2, date: '2026-05-02', description: 'CEFT BT-7K3Q9XPA, K Perera', amount: 4500 }],
+        skipped: 1,
+        errors: []
+      })
+    })
+
+    it('should report missing columns and invalid lines', () => {
+      expect(parseBankStatementCsv('Date,Credit\n2026-05-02,100').errors)
+        .toEqual([{ line: 1, message: 'Missing columns: description' }])
+
+      const { errors } = parseBankStatementCsv('Date,Description,Amount\n31/02/2026,Transfer,100\n2026-05-02,Transfer,abc')
+      expect(errors).toEqual([
+        { line: 2, message: 'Date is invalid' },
+        { line: 3, message: 'Amount "abc" is not a number' }
+      ])
+    })
+  })
+
+  describe('parseStatementAmount', () => {
+    it('should read currency prefixes and negative forms', () => {
+      expect(parseStatementAmount('Rs.1,500.00')).toBe(1500)
+      expect(parseStatementAmount('LKR 250 CR')).toBe(250)
+      expect(parseStatementAmount('(250.00)')).toBe(-250)
+      expect(parseStatementAmount('-75')).toBe(-75)
+    })
+  })
+
+  describe('parseStatementDate', () => {
+    it('should accept ISO and day-first dates', () => {
+      expect(parseStatementDate('2026-05-02')).toBe('2026-05-02')
+      expect(parseStatementDate('2.5.2026')).toBe('2026-05-02')
+      expect(parseStatementDate('05/31/2026')).toBeNull()
+    })
+  })
+
+  describe('mentionsReference', () => {
+    it('should ignore the prefix, spacing and case', () => {
+      expect(mentionsReference('Transfer bt 7k3q 9xpa', 'BT-7K3Q9XPA')).toBe(true)
+      expect(mentionsReference('Transfer 7K3Q9XPB', 'BT-7K3Q9XPA')).toBe(false)
+      expect(mentionsReference('Transfer', null)).toBe(false)
+    })
+  })
+
+  describe('matchStatement', () => {
+    const credit = { date: '2026-05-03', description: 'CEFT BT-7K3Q9XPA', amount: 4500 }
+
+    it('should match a credit quoting the reference with the same amount and date', () => {
+      const [result] = matchStatement([credit], [payment(), payment({ id: 'payment-2', transfer_reference: 'BT-QQQQQQQQ' })])
+
+      expect(result.status).toBe(STATEMENT_LINE_STATUS.MATCHED)
+      expect(result.payment.id).toBe('payment-1')
+    })
+
+    it('should flag a quoted reference with a different amount or date', () => {
+      const [wrongAmount] = matchStatement([{ ...credit, amount: 4000 }], [payment()])
+      const [tooLate] = matchStatement([{ ...credit, date: '2026-06-30' }], [payment()])
+
+      expect(wrongAmount.status).toBe(STATEMENT_LINE_STATUS.AMBIGUOUS)
+      expect(wrongAmount.candidates.map(p => p.id)).toEqual(['payment-1'])
+      expect(tooLate.status).toBe(STATEMENT_LINE_STATUS.AMBIGUOUS)
+    })
+
+    it('should offer transfers of the same amount when no reference is quoted', () => {
+      const [result] = matchStatement(
+        [{ ...credit, description: 'CEFT K Perera' }],
+        [payment(), payment({ id: 'payment-2', transfer_reference: 'BT-QQQQQQQQ' }), payment({ id: 'payment-3', amount: 900 })]
+      )
+
+      expect(result.status).toBe(STATEMENT_LINE_STATUS.AMBIGUOUS)
+      expect(result.candidates.map(p => p.id)).toEqual(['payment-1', 'payment-2'])
+    })
+
+    it('should not match one transfer to two credits', () => {
+      const results = matchStatement([credit, credit], [payment()])
+
+      expect(results.map(r => r.status)).toEqual([
+        STATEMENT_LINE_STATUS.MATCHED,
+        STATEMENT_LINE_STATUS.UNMATCHED
+      ])
+    })
+  })
+
+  describe('getStatementLineHashes', () => {
+    it('should tell identical lines apart and repeat across imports', () => {
+      const row = { date: '2026-05-03', description: 'Cash deposit', amount: 1000 }
+      const [first, second] = getStatementLineHashes([row, row])
+
+      expect(first).not.toBe(second)
+      expect(getStatementLineHashes([row])[0]).toBe(first)
+    })
+  })
+})
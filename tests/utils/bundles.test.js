@@ -0,0 +1,55 @@
+import { getBundleIneligibility, diffBundleCourses } from '../../lib/bundles'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {}
+}))
+
+const bundle = {
+  id: 'bundle-1',
+  status: 'published',
+  price: 9000,
+  courseIds: ['course-1', 'course-2', 'course-3']
+}
+
+describe('Bundle Utilities', () => {
+  describe('getBundleIneligibility', () => {
+    it('should allow a published bundle the user does not own', () => {
+      expect(getBundleIneligibility(bundle, [])).toBeNull()
+    })
+
+    it('should allow a bundle when only some courses are owned', () => {
+      expect(getBundleIneligibility(bundle, ['course-1'])).toBeNull()
+    })
+
+    it('should reject draft bundles', () => {
+      expect(getBundleIneligibility({ ...bundle, status: 'draft' }))
+        .toBe('Bundle is not available for purchase')
+    })
+
+    it('should reject bundles without courses', () => {
+      expect(getBundleIneligibility({ ...bundle, courseIds: [] }))
+        .toBe('Bundle has no courses')
+    })
+
+    it('should reject when every course is already owned', () => {
+      expect(getBundleIneligibility(bundle, ['course-3', 'course-1', 'course-2']))
+        .toBe('You already have access to every course in this bundle')
+    })
+  })
+
+  describe('diffBundleCourses', () => {
+    it('should report added and removed courses', () => {
+      expect(diffBundleCourses(['a', 'b'], ['b', 'c'])).toEqual({
+        added: ['c'],
+        removed: ['a']
+      })
+    })
+
+    it('should report nothing when only the order changes', () => {
+      expect(diffBundleCourses(['a', 'b'], ['b', 'a'])).toEqual({
+        added: [],
+        removed: []
+      })
+    })
+  })
+})
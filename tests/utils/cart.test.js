@@ -0,0 +1,87 @@
+import { partitionCartRows, buildOrderItems } from '../../lib/cart'
+import { getCartTotal, getOrderTitle, isMultiCoursePayment } from '../../utils/cart'
+import { getPaymentCourseIds } from '../../lib/purchases'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {}
+}))
+
+const row = (courseId, overrides = {}) => ({
+  course_id: courseId,
+  added_at: '2026-05-02T10:00:00.000Z',
+  courses: { id: courseId, title: `Course ${courseId}`, price: 5000, status: 'published', ...overrides }
+})
+
+describe('Cart Utilities', () => {
+  describe('partitionCartRows', () => {
+    it('should keep published courses the user does not own', () => {
+      const { items, unavailable } = partitionCartRows([row('course-1'), row('course-2')])
+
+      expect(items.map(item => item.id)).toEqual(['course-1', 'course-2'])
+      expect(unavailable).toEqual([])
+    })
+
+    it('should drop owned, unpublished and deleted courses', () => {
+      const rows = [
+        row('course-1'),
+        row('course-2', { status: 'draft' }),
+        row('course-3'),
+        { course_id: 'course-4', courses: null }
+      ]
+      const { items, unavailable } = partitionCartRows(rows, ['course-3'])
+
+      expect(items.map(item => item.id)).toEqual(['course-1'])
+      expect(unavailable).toEqual(['course-2', 'course-3', 'course-4'])
+    })
+  })
+
+  describe('buildOrderItems', () => {
+    it('should price each course from the courses table', () => {
+      const courses = [
+        { id: 'course-1', title: 'Combined Maths', price: '5000.00' },
+        { id: 'course-2', title: 'Physics', price: 2500 }
+      ]
+
+      expect(buildOrderItems(courses)).toEqual([
+        { course_id: 'course-1', title: 'Combined Maths', amount: 5000 },
+        { course_id: 'course-2', title: 'Physics', amount: 2500 }
+      ])
+    })
+  })
+
+  describe('getCartTotal', () => {
+    it('should add up the course prices', () => {
+      expect(getCartTotal([{ price: 5000 }, { price: '2500' }])).toBe(7500)
+      expect(getCartTotal([])).toBe(0)
+    })
+  })
+
+  describe('getOrderTitle', () => {
+    it('should list the courses in the order', () => {
+      expect(getOrderTitle([{ title: 'Combined Maths' }, { title: 'Physics' }])).toBe('Combined Maths, Physics')
+      expect(getOrderTitle()).toBe('')
+    })
+  })
+
+  describe('isMultiCoursePayment', () => {
+    it('should flag bundles and carts of more than one course', () => {
+      expect(isMultiCoursePayment({ bundle_id: 'bundle-1' })).toBe(true)
+      expect(isMultiCoursePayment({ order_items: [{ course_id: 'course-1' }, { course_id: 'course-2' }] })).toBe(true)
+      expect(isMultiCoursePayment({ order_items: [{ course_id: 'course-1' }] })).toBe(false)
+      expect(isMultiCoursePayment({ course_id: 'course-1' })).toBe(false)
+    })
+  })
+
+  describe('getPaymentCourseIds', () => {
+    it('should grant every course in a cart order', async () => {
+      const payment = {
+        order_items: [
+          { course_id: 'course-1', title: 'Combined Maths', amount: 5000 },
+          { course_id: 'course-2', title: 'Physics', amount: 2500 }
+        ]
+      }
+
+      await expect(getPaymentCourseIds(payment)).resolves.toEqual(['course-1', 'course-2'])
+    })
+  })
+})
@@ -0,0 +1,150 @@
+import {
+  normalizeCouponCode,
+  calculateDiscount,
+  getCouponIneligibility,
+  getCouponLimitError,
+  validateCoupon
+} from '../../lib/coupons'
+import { ValidationError } from '../../lib/errors'
+import { supabase } from '../../lib/supabase-admin'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn() }
+}))
+
+const courseId = '11111111-1111-1111-1111-111111111111'
+
+const makeCoupon = (overrides = {}) => ({
+  id: 'coupon-1',
+  code: 'WELCOME20',
+  discount_type: 'percentage',
+  discount_value: 20,
+  active: true,
+  starts_at: null,
+  expires_at: null,
+  max_redemptions: null,
+  per_user_limit: null,
+  course_ids: null,
+  ...overrides
+})
+
+describe('Coupon Utilities', () => {
+  describe('normalizeCouponCode', () => {
+    it('should trim and uppercase codes', () => {
+      expect(normalizeCouponCode('  welcome20 ')).toBe('WELCOME20')
+    })
+
+    it('should return an empty string for non-strings', () => {
+      expect(normalizeCouponCode(undefined)).toBe('')
+      expect(normalizeCouponCode(null)).toBe('')
+    })
+  })
+
+  describe('calculateDiscount', () => {
+    it('should apply percentage discounts', () => {
+      expect(calculateDiscount(makeCoupon(), 5000)).toEqual({
+        originalAmount: 5000,
+        discountAmount: 1000,
+        finalAmount: 4000
+      })
+    })
+
+    it('should apply fixed discounts', () => {
+      const coupon = makeCoupon({ discount_type: 'fixed', discount_value: 750 })
+      expect(calculateDiscount(coupon, 5000).finalAmount).toBe(4250)
+    })
+
+    it('should never discount below zero', () => {
+      const coupon = makeCoupon({ discount_type: 'fixed', discount_value: 9000 })
+      expect(calculateDiscount(coupon, 5000)).toEqual({
+        originalAmount: 5000,
+        discountAmount: 5000,
+        finalAmount: 0
+      })
+    })
+
+    it('should round to cents', () => {
+      const coupon = makeCoupon({ discount_value: 33 })
+      expect(calculateDiscount(coupon, 99.99)).toEqual({
+        originalAmount: 99.99,
+        discountAmount: 33,
+        finalAmount: 66.99
+      })
+    })
+  })
+
+  describe('getCouponIneligibility', () => {
+    const now = new Date('2026-01-15T00:00:00Z')
+
+    it('should accept a valid coupon', () => {
+      expect(getCouponIneligibility(makeCoupon(), { courseId, now })).toBeNull()
+    })
+
+    it('should reject missing or inactive coupons', () => {
+      expect(getCouponIneligibility(null, { courseId, now })).toBe('Invalid coupon code')
+      expect(getCouponIneligibility(makeCoupon({ active: false }), { courseId, now }))
+        .toBe('Invalid coupon code')
+    })
+
+    it('should respect the validity window', () => {
+      expect(getCouponIneligibility(
+        makeCoupon({ starts_at: '2026-02-01T00:00:00Z' }), { courseId, now }
+      )).toBe('This coupon is not active yet')
+
+      expect(getCouponIneligibility(
+        makeCoupon({ expires_at: '2026-01-01T00:00:00Z' }), { courseId, now }
+      )).toBe('This coupon has expired')
+    })
+
+    it('should respect course scoping', () => {
+      const coupon = makeCoupon({ course_ids: ['22222222-2222-2222-2222-222222222222'] })
+      expect(getCouponIneligibility(coupon, { courseId, now }))
+        .toBe('This coupon is not valid for this course')
+      expect(getCouponIneligibility(makeCoupon({ course_ids: [courseId] }), { courseId, now }))
+        .toBeNull()
+    })
+
+    it('should enforce usage caps', () => {
+      expect(getCouponIneligibility(
+        makeCoupon({ max_redemptions: 10 }), { courseId, now, totalRedemptions: 10 }
+      )).toBe('This coupon has reached its usage limit')
+
+      expect(getCouponIneligibility(
+        makeCoupon({ per_user_limit: 1 }), { courseId, now, userRedemptions: 1 }
+      )).toBe('You have already used this coupon')
+    })
+
+    it('should limit student-specific coupons to that student', () => {
+      const coupon = makeCoupon({ user_id: 'user-1' })
+      expect(getCouponIneligibility(coupon, { courseId, now, userId: 'user-2' }))
+        .toBe('This coupon is not valid for your account')
+      expect(getCouponIneligibility(coupon, { courseId, now, userId: 'user-1' })).toBeNull()
+    })
+  })
+
+  describe('validateCoupon', () => {
+    it('should count pending checkouts towards the caps', async () => {
+      const query = {}
+      ;['select', 'eq', 'or'].forEach(method => {
+        query[method] = jest.fn(() => query)
+      })
+      query.maybeSingle = jest.fn(() => Promise.resolve({ data: makeCoupon({ max_redemptions: 1 }), error: null }))
+      query.then = (resolve) => resolve({ count: 1, error: null })
+      supabase.from.mockReturnValue(query)
+
+      await expect(validateCoupon({ code: 'welcome20', userId: 'user-1', courseId, amount: 4500 }))
+        .rejects.toThrow('This coupon has reached its usage limit')
+      expect(query.or).toHaveBeenCalledWith(expect.stringContaining('and(status.eq.pending,created_at.gt.'))
+    })
+  })
+
+  describe('getCouponLimitError', () => {
+    it('should turn a refused payment insert into a validation error', () => {
+      const error = getCouponLimitError({ code: 'CU001', message: 'This coupon has reached its usage limit' })
+
+      expect(error).toBeInstanceOf(ValidationError)
+      expect(error.message).toBe('This coupon has reached its usage limit')
+      expect(getCouponLimitError({ code: '23505', message: 'duplicate key' })).toBeNull()
+    })
+  })
+})
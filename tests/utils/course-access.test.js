@@ -0,0 +1,51 @@
+import { checkCourseAccess } from '../../lib/supabase'
+
+// Each table resolves with the result queued for it
+const tables = {}
+const queried = []
+const chain = (table) => {
+  queried.push(table)
+  const builder = {}
+  ;['select', 'eq', 'order'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.single = jest.fn(() => Promise.resolve(tables[table]))
+  builder.then = (resolve, reject) => Promise.resolve(tables[table]).then(resolve, reject)
+  return builder
+}
+
+jest.mock('@supabase/supabase-js', () => ({
+  createClient: () => ({ from: (table) => chain(table) })
+}))
+
+const noRow = { data: null, error: { code: 'PGRST116' } }
+
+describe('checkCourseAccess', () => {
+  beforeEach(() => {
+    queried.length = 0
+    tables.purchases = noRow
+    tables.memberships = { data: [], error: null }
+    tables.courses = { data: { status: 'published' }, error: null }
+    // Approved payments must not grant access on their own
+    tables.payments = { data: { id: 'payment-1', status: 'approved' }, error: null }
+  })
+
+  it('should grant access through a purchase', async () => {
+    tables.purchases = { data: { id: 'purchase-1', access_granted: true }, error: null }
+
+    expect(await checkCourseAccess('user-1', 'course-1')).toBeTruthy()
+  })
+
+  it('should deny access while a dispute has revoked the purchase', async () => {
+    expect(await checkCourseAccess('user-1', 'course-1')).toBe(false)
+    expect(queried).not.toContain('payments')
+  })
+
+  it('should deny lesson access once an overdue installment plan is suspended', async () => {
+    // The installment payment stays approved; suspension clears access_granted
+    tables.payments = { data: { id: 'payment-1', status: 'approved', installment_id: 'installment-1' }, error: null }
+
+    expect(await checkCourseAccess('user-1', 'course-1')).toBe(false)
+    expect(queried).not.toContain('payments')
+  })
+})
@@ -0,0 +1,85 @@
+import {
+  getLocaleCurrency,
+  resolveVisitorCurrency,
+  getListedPrice,
+  getListedCharge,
+  normalizePriceList
+} from '../../utils/currency'
+import { formatCurrency } from '../../utils/format'
+
+const course = { price: 4500, prices: { USD: 15, GBP: 12 } }
+
+describe('Currency Utilities', () => {
+  describe('resolveVisitorCurrency', () => {
+    it('should prefer the currency saved on the profile', () => {
+      expect(resolveVisitorCurrency({ profileCurrency: 'GBP', locale: 'en-US' })).toBe('GBP')
+    })
+
+    it('should fall back to the locale region, then LKR', () => {
+      expect(resolveVisitorCurrency({ locale: 'en-AU' })).toBe('AUD')
+      expect(resolveVisitorCurrency({ locale: 'de_DE' })).toBe('EUR')
+      expect(resolveVisitorCurrency({ profileCurrency: 'JPY', locale: 'ja-JP' })).toBe('LKR')
+      expect(resolveVisitorCurrency()).toBe('LKR')
+    })
+
+    it('should ignore locales without a region', () => {
+      expect(getLocaleCurrency('en')).toBeNull()
+    })
+  })
+
+  describe('getListedPrice', () => {
+    it('should return the price listed in the currency', () => {
+      expect(getListedPrice(course, 'USD')).toEqual({ amount: 15, currency: 'USD', listed: true })
+    })
+
+    it('should fall back to the LKR price for unlisted currencies', () => {
+      expect(getListedPrice(course, 'EUR')).toEqual({ amount: 4500, currency: 'LKR', listed: false })
+      expect(getListedPrice(course, 'LKR')).toEqual({ amount: 4500, currency: 'LKR', listed: true })
+    })
+  })
+
+  describe('getListedCharge', () => {
+    it('should charge the listed price without conversion', () => {
+      expect(getListedCharge(course, 'GBP', 4500)).toEqual({
+        amount: 12,
+        currency: 'GBP',
+        rate: 12 / 4500,
+        snapshot: null
+      })
+    })
+
+    it('should discount the listed price by the coupon share', () => {
+      expect(getListedCharge(course, 'USD', 3000).amount).toBe(10)
+    })
+
+    it('should return null when the course is not listed in the currency', () => {
+      expect(getListedCharge(course, 'EUR', 4500)).toBeNull()
+      expect(getListedCharge(course, 'LKR', 4500)).toBeNull()
+    })
+  })
+
+  describe('normalizePriceList', () => {
+    it('should drop empty entries and LKR and round to cents', () => {
+      expect(normalizePriceList({ USD: '14.999', GBP: '', LKR: '4500' })).toEqual({
+        prices: { USD: 15 },
+        errors: {}
+      })
+    })
+
+    it('should report invalid prices', () => {
+      const { errors } = normalizePriceList({ USD: '-1', JPY: '100' })
+      expect(errors).toEqual({
+        USD: 'Price must be greater than 0',
+        JPY: 'Unsupported currency'
+      })
+    })
+  })
+
+  describe('formatCurrency', () => {
+    it('should use the symbol and decimals of the currency', () => {
+      expect(formatCurrency(4500)).toBe('LKR 4,500')
+      expect(formatCurrency(15, { currency: 'USD' })).toBe('$15.00')
+      expect(formatCurrency(12.5, { currency: 'GBP' })).toBe('£12.50')
+    })
+  })
+})
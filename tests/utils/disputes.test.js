@@ -0,0 +1,109 @@
+import { summarizeDisputeEvidence, notifyAdminsOfDispute } from '../../lib/disputes'
+import { supabase } from '../../lib/supabase-admin'
+import { sendEmail } from '../../lib/email'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn() }
+}))
+
+jest.mock('../../lib/email', () => ({
+  sendEmail: jest.fn()
+}))
+
+const payment = {
+  id: 'payment-1',
+  user_id: 'user-1',
+  amount: 4500,
+  currency: 'LKR',
+  approved_at: '2026-05-01T10:00:00.000Z',
+  profiles: { name: 'Kamal Perera', email: 'kamal@example.com' }
+}
+
+describe('Dispute Utilities', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  describe('summarizeDisputeEvidence', () => {
+    it('should summarise logins newest first with distinct addresses', () => {
+      const { customer, logins } = summarizeDisputeEvidence({
+        payment,
+        logins: [
+          { created_at: '2026-05-02T08:00:00.000Z', ip_address: '203.0.113.5', user_agent: 'Firefox' },
+          { created_at: '2026-05-09T08:00:00.000Z', ip_address: '203.0.113.5', user_agent: 'Firefox' },
+          { created_at: '2026-05-05T08:00:00.000Z', ip_address: '198.51.100.7', user_agent: 'Safari' }
+        ]
+      })
+
+      expect(customer).toEqual({ name: 'Kamal Perera', email: 'kamal@example.com', userId: 'user-1' })
+      expect(logins.count).toBe(3)
+      expect(logins.firstAt).toBe('2026-05-02T08:00:00.000Z')
+      expect(logins.lastAt).toBe('2026-05-09T08:00:00.000Z')
+      expect(logins.ipAddresses).toEqual(['203.0.113.5', '198.51.100.7'])
+      expect(logins.recent[0]).toEqual({ at: '2026-05-09T08:00:00.000Z', ipAddress: '203.0.113.5', userAgent: 'Firefox' })
+    })
+
+    it('should total lesson progress per course', () => {
+      const { courses } = summarizeDisputeEvidence({
+        payment,
+        courses: [{ id: 'course-1', title: 'Algebra' }, { id: 'course-2', title: 'Calculus' }],
+        lessons: [
+          { id: 'lesson-1', course_id: 'course-1' },
+          { id: 'lesson-2', course_id: 'course-1' },
+          { id: 'lesson-3', course_id: 'course-2' }
+        ],
+        progress: [
+          { lesson_id: 'lesson-1', completed: true, watch_time: 600, last_watched_at: '2026-05-03T09:00:00.000Z' },
+          { lesson_id: 'lesson-2', completed: false, watch_time: 150, last_watched_at: '2026-05-04T09:00:00.000Z' }
+        ]
+      })
+
+      expect(courses).toEqual([
+        {
+          courseId: 'course-1',
+          title: 'Algebra',
+          totalLessons: 2,
+          lessonsStarted: 2,
+          lessonsCompleted: 1,
+          watchTimeMinutes: 13,
+          lastWatchedAt: '2026-05-04T09:00:00.000Z'
+        },
+        {
+          courseId: 'course-2',
+          title: 'Calculus',
+          totalLessons: 1,
+          lessonsStarted: 0,
+          lessonsCompleted: 0,
+          watchTimeMinutes: 0,
+          lastWatchedAt: null
+        }
+      ])
+    })
+  })
+
+  describe('notifyAdminsOfDispute', () => {
+    const adminQuery = (result) => ({
+      select: jest.fn().mockReturnThis(),
+      eq: jest.fn(() => Promise.resolve(result))
+    })
+
+    it('should email every admin', async () => {
+      supabase.from.mockReturnValue(adminQuery({
+        data: [{ email: 'admin@example.com' }, { email: null }, { email: 'owner@example.com' }],
+        error: null
+      }))
+
+      await notifyAdminsOfDispute('dispute-opened', { disputeId: 'dp_1' })
+
+      expect(sendEmail).toHaveBeenCalledTimes(2)
+      expect(sendEmail).toHaveBeenCalledWith({ to: 'admin@example.com', template: 'dispute-opened', data: { disputeId: 'dp_1' } })
+    })
+
+    it('should not throw when the emails fail', async () => {
+      supabase.from.mockReturnValue(adminQuery({ data: [{ email: 'admin@example.com' }], error: null }))
+      sendEmail.mockRejectedValue(new Error('SMTP down'))
+
+      await expect(notifyAdminsOfDispute('dispute-closed', { disputeId: 'dp_1' })).resolves.toBeUndefined()
+    })
+  })
+})
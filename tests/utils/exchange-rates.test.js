@@ -0,0 +1,78 @@
+import {
+  buildRateSnapshot,
+  applyRateSnapshot,
+  parseExchangeRateCsv
+} from '../../lib/exchange-rates'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {}
+}))
+
+const usdLkr = {
+  id: 'rate-1',
+  base_currency: 'USD',
+  quote_currency: 'LKR',
+  rate: '300.00000000',
+  effective_from: '2026-03-01T00:00:00.000Z'
+}
+
+describe('Exchange Rate Utilities', () => {
+  describe('buildRateSnapshot', () => {
+    it('should use the rate as-is in the stored direction', () => {
+      const snapshot = buildRateSnapshot(usdLkr, 'USD', 'LKR')
+      expect(snapshot.multiplier).toBe(300)
+      expect(snapshot.rate_id).toBe('rate-1')
+      expect(applyRateSnapshot(10, snapshot)).toBe(3000)
+    })
+
+    it('should invert the rate for the reverse pair', () => {
+      const snapshot = buildRateSnapshot(usdLkr, 'LKR', 'USD')
+      expect(snapshot.rate).toBe(300)
+      expect(snapshot.from_currency).toBe('LKR')
+      expect(applyRateSnapshot(5000, snapshot)).toBe(16.67)
+    })
+  })
+
+  describe('parseExchangeRateCsv', () => {
+    it('should parse rows in any column order', () => {
+      const csv = [
+        'effective_from,rate,base_currency,quote_currency',
+        '2026-03-01,300,usd,lkr',
+        '"2026-03-01","330.5","EUR","LKR"',
+        ''
+      ].join('\r\n')
+
+      const { rows, errors } = parseExchangeRateCsv(csv)
+      expect(errors).toEqual([])
+      expect(rows).toEqual([
+        { base_currency: 'USD', quote_currency: 'LKR', rate: 300, effective_from: '2026-03-01T00:00:00.000Z' },
+        { base_currency: 'EUR', quote_currency: 'LKR', rate: 330.5, effective_from: '2026-03-01T00:00:00.000Z' }
+      ])
+    })
+
+    it('should reject a file without the required columns', () => {
+      const { rows, errors } = parseExchangeRateCsv('currency,rate\nUSD,300')
+      expect(rows).toEqual([])
+      expect(errors[0].message).toBe('Missing columns: base_currency, quote_currency, effective_from')
+    })
+
+    it('should report invalid and duplicate lines by line number', () => {
+      const csv = [
+        'base_currency,quote_currency,rate,effective_from',
+        'USD,LKR,300,2026-03-01',
+        'USD,LKR,abc,2026-03-02',
+        'USD,USD,1,2026-03-02',
+        'USD,LKR,301,not-a-date',
+        'USD,LKR,302,2026-03-01'
+      ].join('\n')
+
+      const { errors } = parseExchangeRateCsv(csv)
+      expect(errors).toEqual([
+        { line: 3, message: 'Rate must be a positive number' },
+        { line: 4, message: 'Base and quote currency must differ' },
+        { line: 5, message: 'Effective date is invalid' },
+        { line: 6, message: 'Duplicate rate for this pair and date' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,177 @@
+import {
+  parseExpression,
+  evaluate,
+  substitute,
+  formatExpression,
+  areEquivalent,
+  isSimplified,
+  parseUnit,
+  getExpressionAnswerError,
+  checkExpression
+} from '../../utils/expressions'
+
+const SEED = 42
+
+const equivalent = (a, b, options = {}) => (
+  areEquivalent(parseExpression(a), parseExpression(b), { seed: SEED, ...options }).equivalent
+)
+
+describe('Expression Checker', () => {
+  describe('parseExpression', () => {
+    it('should read implicit multiplication, powers and functions', () => {
+      expect(evaluate(parseExpression('2(x+1)'), { x: 3 })).toBe(8)
+      expect(evaluate(parseExpression('(x+1)(x-1)'), { x: 3 })).toBe(8)
+      expect(evaluate(parseExpression('2x^2'), { x: 3 })).toBe(18)
+      expect(evaluate(parseExpression('-x^2'), { x: 3 })).toBe(-9)
+      expect(evaluate(parseExpression('2^3^2'))).toBe(512)
+      expect(evaluate(parseExpression('sin(x)^2 + cos(x)^2'), { x: 0.7 })).toBeCloseTo(1)
+      expect(evaluate(parseExpression('sqrt 9'))).toBe(3)
+      expect(evaluate(parseExpression('3 × 4 ÷ 2 − 1'))).toBe(5)
+      expect(evaluate(parseExpression('2π'))).toBeCloseTo(2 * Math.PI)
+    })
+
+    it('should explain input it cannot read', () => {
+      expect(() => parseExpression('')).toThrow('Enter an answer')
+      expect(() => parseExpression('2(x+1')).toThrow('A bracket is not closed')
+      expect(() => parseExpression('x+1)')).toThrow('A closing bracket has no opening bracket')
+      expect(() => parseExpression('x +')).toThrow('The answer ends too early')
+      expect(() => parseExpression('x = 2')).toThrow('Unexpected "="')
+      expect(() => parseExpression('sqrt')).toThrow('sqrt needs something to apply to')
+    })
+  })
+
+  describe('formatExpression', () => {
+    const format = (input, values = {}) => formatExpression(substitute(parseExpression(input), values))
+
+    it('should write numbers into an expression with only the brackets it needs', () => {
+      expect(format('a x^2 + b x + c', { a: 3, b: -2, c: -5 })).toBe('3x^2 - 2x - 5')
+      expect(format('k(x + 1)', { k: -3 })).toBe('-3(x + 1)')
+      expect(format('x^n', { n: -1 })).toBe('x^(-1)')
+      expect(format('(x+1)(x-1)')).toBe('(x + 1)(x - 1)')
+      expect(format('(2^3)^2')).toBe('(2^3)^2')
+      expect(format('a - (b - c)')).toBe('a - (b - c)')
+      expect(format('a b', { a: 0.1, b: 0.2 })).toBe('0.1*0.2')
+    })
+
+    it('should read back as an equal expression', () => {
+      for (const input of ['2(x+1)^2 - x/(3y)', 'sin(x)^2 / -x', '-(x+1)y', '2^-x * e^x']) {
+        expect(equivalent(format(input), input)).toBe(true)
+      }
+    })
+  })
+
+  describe('areEquivalent', () => {
+    it('should match expanded and factored polynomials symbolically', () => {
+      const result = areEquivalent(parseExpression('2(x+1)'), parseExpression('2x+2'), { seed: SEED })
+
+      expect(result).toEqual({ equivalent: true, method: 'symbolic' })
+      expect(equivalent('(a+b)^2', 'a^2 + 2ab + b^2')).toBe(true)
+      expect(equivalent('x/2 + x/2', 'x')).toBe(true)
+    })
+
+    it('should fall back to evaluating at random points', () => {
+      expect(areEquivalent(parseExpression('sin(x)^2 + cos(x)^2'), parseExpression('1'), { seed: SEED }))
+        .toEqual({ equivalent: true, method: 'numeric' })
+      expect(equivalent('(x^2-1)/(x-1)', 'x+1')).toBe(true)
+      expect(equivalent('ln(e^x)', 'x')).toBe(true)
+    })
+
+    it('should reject expressions that differ', () => {
+      expect(equivalent('2x+1', '2x+2')).toBe(false)
+      expect(equivalent('sqrt(x^2)', 'x')).toBe(false)
+      expect(equivalent('x^2', 'x^3')).toBe(false)
+      expect(equivalent('x + y', 'x')).toBe(false)
+    })
+
+    it('should apply an absolute tolerance', () => {
+      expect(equivalent('3.14', 'pi')).toBe(false)
+      expect(equivalent('3.14', 'pi', { tolerance: 0.01 })).toBe(true)
+      expect(equivalent('0.333', '1/3', { tolerance: 0.001 })).toBe(true)
+    })
+  })
+
+  describe('isSimplified', () => {
+    const simplified = (answer, key) => isSimplified(parseExpression(answer), parseExpression(key))
+
+    it('should accept factored and expanded forms no longer than the key', () => {
+      expect(simplified('2(x+1)', '2x+2')).toBe(true)
+      expect(simplified('(x+1)^2', 'x^2+2x+1')).toBe(true)
+      expect(simplified('1/2', '0.5')).toBe(true)
+    })
+
+    it('should reject arithmetic left undone', () => {
+      expect(simplified('x+x+2', '2x+2')).toBe(false)
+      expect(simplified('2+3', '5')).toBe(false)
+      expect(simplified('4/6', '2/3')).toBe(false)
+      expect(simplified('1x', 'x')).toBe(false)
+      expect(simplified('x^1+0', 'x+1')).toBe(false)
+      expect(simplified('sqrt(4)x', '2x')).toBe(false)
+    })
+  })
+
+  describe('parseUnit', () => {
+    it('should read compound units as a scale and dimensions', () => {
+      expect(parseUnit('m/s^2')).toEqual({ scale: 1, dimensions: [1, 0, -2] })
+      expect(parseUnit('kg m s^-2')).toEqual(parseUnit('N'))
+      expect(parseUnit('cm²').scale).toBeCloseTo(0.0001)
+      expect(parseUnit('km/h').scale).toBeCloseTo(1000 / 3600)
+    })
+
+    it('should reject unknown units', () => {
+      expect(parseUnit('furlong')).toBeNull()
+      expect(parseUnit('m/s/s')).toBeNull()
+      expect(parseUnit('')).toBeNull()
+    })
+  })
+
+  describe('getExpressionAnswerError', () => {
+    it('should validate answer keys', () => {
+      expect(getExpressionAnswerError({ expression: '2x+2' })).toBeNull()
+      expect(getExpressionAnswerError({ expression: '2x+' })).toBe('The correct expression cannot be read: The answer ends too early')
+      expect(getExpressionAnswerError({ expression: 'x', tolerance: -1 })).toBe('Tolerance cannot be negative')
+      expect(getExpressionAnswerError({ expression: 'x', partialCredit: 2 })).toBe('Partial credit must be between 0 and 100%')
+      expect(getExpressionAnswerError({ expression: '9.8', unit: 'parsec' })).toMatch(/^Unknown unit/)
+      expect(getExpressionAnswerError({ expression: '2x', unit: 'm' })).toBe('Answers with units must be numbers')
+    })
+  })
+
+  describe('checkExpression', () => {
+    const check = (response, answer) => checkExpression(response, answer, { seed: SEED })
+
+    it('should accept equivalent answers that a string match would reject', () => {
+      expect(check('2(x+1)', { expression: '2x+2' })).toEqual({ correct: true, equivalent: true, credit: 1, feedback: null })
+      expect(check('2x+1', { expression: '2x+2' })).toMatchObject({ correct: false, credit: 0, feedback: null })
+    })
+
+    it('should give partial credit for unsimplified answers when the key asks for it', () => {
+      const answer = { expression: '2x+2', requireSimplified: true, partialCredit: 0.25 }
+
+      expect(check('2(x+1)', answer)).toMatchObject({ correct: true, credit: 1 })
+      expect(check('x+x+2', answer)).toEqual({
+        correct: false,
+        equivalent: true,
+        credit: 0.25,
+        feedback: 'Equivalent, but not fully simplified'
+      })
+      expect(check('x+x+2', { expression: '2x+2', requireSimplified: true }).credit).toBe(0.5)
+      expect(check('x+x+2', { expression: '2x+2' }).correct).toBe(true)
+    })
+
+    it('should convert units and require them by default', () => {
+      const answer = { expression: '9.8', unit: 'm/s^2', tolerance: 0.05 }
+
+      expect(check('9.81 m/s^2', answer).correct).toBe(true)
+      expect(check('981 cm/s^2', answer).correct).toBe(true)
+      expect(check('9.8 m/s', answer)).toMatchObject({ correct: false, feedback: 'Check your units' })
+      expect(check('9.8', answer)).toMatchObject({ correct: false, feedback: 'Include units with your answer' })
+      expect(check('9.8', { ...answer, requireUnit: false }).correct).toBe(true)
+      expect(check('3 min', { expression: '180', unit: 's' }).correct).toBe(true)
+    })
+
+    it('should report unreadable answers without throwing', () => {
+      expect(check('2(x+', { expression: '2x+2' })).toMatchObject({ correct: false, feedback: 'The answer ends too early' })
+      expect(check('', { expression: '2x+2' }).correct).toBe(false)
+      expect(check(null, { expression: '2x+2' }).correct).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,200 @@
+import { fulfillPayment, FULFILLMENT_SOURCES } from '../../lib/fulfillment'
+import { sendEmail } from '../../lib/email'
+import { issueInvoiceForPayment } from '../../lib/invoicing'
+import { issueGiftForPayment } from '../../lib/gifts'
+import { recordCommissionForPayment } from '../../lib/affiliates'
+
+jest.mock('../../lib/email', () => ({ sendEmail: jest.fn() }))
+jest.mock('../../lib/installments', () => ({ recordInstallmentPayment: jest.fn() }))
+jest.mock('../../lib/gifts', () => ({ issueGiftForPayment: jest.fn() }))
+jest.mock('../../lib/affiliates', () => ({ recordCommissionForPayment: jest.fn() }))
+jest.mock('../../lib/invoicing', () => ({
+  issueInvoiceForPayment: jest.fn(),
+  getInvoiceAttachment: jest.fn(() => Promise.resolve({ filename: 'invoice.pdf', content: 'pdf' }))
+}))
+jest.mock('../../lib/purchases', () => ({
+  PAID_PAYMENT_STATUSES: ['approved', 'completed'],
+  getPaymentCourseIds: jest.fn(() => Promise.resolve(['course-1']))
+}))
+
+// Each supabase call resolves with the next queued result
+const results = []
+const rpc = jest.fn(() => Promise.resolve(results.shift()))
+const chain = () => {
+  const builder = {}
+  ;['insert', 'select', 'eq', 'in'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.update = jest.fn(() => builder)
+  builder.single = jest.fn(() => Promise.resolve(results.shift()))
+  builder.maybeSingle = builder.single
+  builder.then = (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject)
+  return builder
+}
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {
+    from: jest.fn(() => chain()),
+    rpc: (...args) => rpc(...args)
+  }
+}))
+
+const payment = {
+  id: 'payment-1',
+  user_id: 'user-1',
+  course_id: 'course-1',
+  method: 'payhere',
+  amount: 5000,
+  profiles: { name: 'Student', email: 'student@example.com' },
+  courses: { title: 'Combined Maths' }
+}
+
+const invoice = { id: 'invoice-1', invoice_number: 'INV-2026-000042' }
+
+const fulfillmentRow = (overrides = {}) => ({
+  id: 'fulfillment-1',
+  payment_id: 'payment-1',
+  access_status: 'pending',
+  invoice_status: 'pending',
+  email_status: 'pending',
+  errors: {},
+  attempts: 0,
+  ...overrides
+})
+
+// Queue the attempt saved at the end of fulfillPayment
+const queueSave = (row) => {
+  results.push({ data: row, error: null })
+}
+
+const savedAttempt = () => rpc.mock.calls.find(([name]) => name === 'record_fulfillment_attempt')[1]
+
+describe('Payment Fulfillment', () => {
+  beforeEach(() => {
+    results.length = 0
+    jest.clearAllMocks()
+    issueInvoiceForPayment.mockResolvedValue(invoice)
+    sendEmail.mockResolvedValue({ messageId: 'message-1' })
+  })
+
+  it('should grant access, issue the invoice and email it', async () => {
+    results.push(
+      { error: null }, // insert fulfillment
+      { data: fulfillmentRow(), error: null },
+      { error: null }, // grant_payment_access
+      { data: { id: 'fulfillment-1' }, error: null } // email claim
+    )
+    queueSave(fulfillmentRow({ access_status: 'done', invoice_status: 'done', email_status: 'done' }))
+
+    const result = await fulfillPayment(payment, { source: FULFILLMENT_SOURCES.PAYHERE_NOTIFY })
+
+    expect(rpc).toHaveBeenCalledWith('grant_payment_access', {
+      p_payment_id: 'payment-1',
+      p_course_ids: ['course-1'],
+      p_source: 'payhere_notify'
+    })
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'student@example.com',
+      template: 'payment-success',
+      attachments: [{ filename: 'invoice.pdf', content: 'pdf' }]
+    }))
+    expect(result.failedSteps).toEqual([])
+    expect(savedAttempt()).toEqual({
+      p_fulfillment_id: 'fulfillment-1',
+      p_steps: { access_status: 'done', invoice_status: 'done', email_status: 'done' },
+      p_errors: { access: null, invoice: null, email: null },
+      p_invoice_id: 'invoice-1',
+      p_earns_commission: false
+    })
+  })
+
+  it('should record a failed step for retry without undoing the rest', async () => {
+    sendEmail.mockResolvedValue({ error: 'SMTP timeout' })
+    results.push(
+      { error: null },
+      { data: fulfillmentRow(), error: null },
+      { error: null },
+      { data: { id: 'fulfillment-1' }, error: null }
+    )
+    queueSave(fulfillmentRow({ access_status: 'done', invoice_status: 'done', email_status: 'failed', errors: { email: 'SMTP timeout' } }))
+
+    const result = await fulfillPayment(payment, { source: FULFILLMENT_SOURCES.PAYHERE_NOTIFY })
+
+    expect(result.failedSteps).toEqual(['email'])
+    expect(savedAttempt()).toMatchObject({
+      p_steps: { email_status: 'failed' },
+      p_errors: { email: 'SMTP timeout' }
+    })
+  })
+
+  it('should not confirm by email while access is missing', async () => {
+    results.push(
+      { error: null },
+      { data: fulfillmentRow(), error: null },
+      { error: { message: 'purchases insert failed' } }
+    )
+    queueSave(fulfillmentRow({ access_status: 'failed', invoice_status: 'done', errors: { access: 'purchases insert failed' } }))
+
+    const result = await fulfillPayment(payment, { source: FULFILLMENT_SOURCES.STRIPE_WEBHOOK })
+
+    expect(sendEmail).not.toHaveBeenCalled()
+    expect(issueInvoiceForPayment).toHaveBeenCalled()
+    expect(result.failedSteps).toEqual(['access'])
+  })
+
+  it('should skip steps an earlier delivery already finished', async () => {
+    const done = fulfillmentRow({ access_status: 'done', invoice_status: 'done', email_status: 'done' })
+    results.push({ error: { code: '23505' } }, { data: done, error: null })
+    queueSave(done)
+
+    await fulfillPayment(payment, { source: FULFILLMENT_SOURCES.STRIPE_VERIFY_SESSION })
+
+    expect(rpc).not.toHaveBeenCalledWith('grant_payment_access', expect.anything())
+    expect(issueInvoiceForPayment).not.toHaveBeenCalled()
+    expect(sendEmail).not.toHaveBeenCalled()
+  })
+
+  it('should issue the gift code instead of granting the buyer', async () => {
+    results.push(
+      { error: null },
+      { data: fulfillmentRow(), error: null },
+      { data: { id: 'fulfillment-1' }, error: null }
+    )
+    queueSave(fulfillmentRow({ access_status: 'done', invoice_status: 'done', email_status: 'done' }))
+
+    await fulfillPayment({ ...payment, is_gift: true }, { source: FULFILLMENT_SOURCES.BANK_APPROVAL })
+
+    expect(issueGiftForPayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'payment-1' }), 'bank_approval')
+    expect(rpc).not.toHaveBeenCalledWith('grant_payment_access', expect.anything())
+  })
+
+  it('should credit the referring affiliate once access is granted', async () => {
+    results.push(
+      { error: null },
+      { data: fulfillmentRow(), error: null },
+      { error: null },
+      { data: { id: 'fulfillment-1' }, error: null }
+    )
+    queueSave(fulfillmentRow({ access_status: 'done', invoice_status: 'done', email_status: 'done', commission_status: 'done' }))
+
+    const referred = { ...payment, affiliate_id: 'affiliate-1' }
+    const result = await fulfillPayment(referred, { source: FULFILLMENT_SOURCES.PAYHERE_NOTIFY })
+
+    expect(recordCommissionForPayment).toHaveBeenCalledWith(referred)
+    expect(result.failedSteps).toEqual([])
+    expect(savedAttempt()).toMatchObject({ p_steps: { commission_status: 'done' }, p_earns_commission: true })
+  })
+
+  it('should not credit an affiliate while access is missing', async () => {
+    results.push(
+      { error: null },
+      { data: fulfillmentRow(), error: null },
+      { error: { message: 'purchases insert failed' } }
+    )
+    queueSave(fulfillmentRow({ access_status: 'failed', invoice_status: 'done', errors: { access: 'purchases insert failed' } }))
+
+    await fulfillPayment({ ...payment, affiliate_id: 'affiliate-1' }, { source: FULFILLMENT_SOURCES.STRIPE_WEBHOOK })
+
+    expect(recordCommissionForPayment).not.toHaveBeenCalled()
+  })
+})
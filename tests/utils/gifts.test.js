@@ -0,0 +1,184 @@
+import {
+  generateGiftCode,
+  normalizeGiftCode,
+  getGiftPaymentFields,
+  getGiftCodeIneligibility,
+  issueGiftForPayment
+} from '../../lib/gifts'
+import { giftCodesToCsv } from '../../utils/gifts'
+import { sendEmail } from '../../lib/email'
+
+jest.mock('../../lib/email', () => ({ sendEmail: jest.fn() }))
+
+// Each supabase call resolves with the next queued result, or with no error
+const results = []
+const rpc = jest.fn((name, { p_gift_code_id: id }) => Promise.resolve({ data: { id }, error: null }))
+const chain = () => {
+  const builder = {}
+  ;['select', 'eq'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.maybeSingle = jest.fn(() => Promise.resolve(results.shift() || { data: null, error: null }))
+  builder.then = (resolve, reject) => Promise.resolve(results.shift() || { error: null }).then(resolve, reject)
+  return builder
+}
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {
+    from: jest.fn(() => chain()),
+    rpc: (...args) => rpc(...args)
+  }
+}))
+
+const now = new Date('2026-05-10T00:00:00.000Z')
+
+describe('Gift Utilities', () => {
+  describe('generateGiftCode', () => {
+    it('should generate codes in the GIFT-XXXX-XXXX-XXXX format', () => {
+      expect(generateGiftCode()).toMatch(/^GIFT-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/)
+    })
+
+    it('should generate different codes each time', () => {
+      expect(generateGiftCode()).not.toBe(generateGiftCode())
+    })
+  })
+
+  describe('normalizeGiftCode', () => {
+    it('should uppercase and strip whitespace', () => {
+      expect(normalizeGiftCode(' gift-abcd-efgh -jkmn ')).toBe('GIFT-ABCD-EFGH-JKMN')
+    })
+
+    it('should return an empty string for non-strings', () => {
+      expect(normalizeGiftCode(undefined)).toBe('')
+      expect(normalizeGiftCode(42)).toBe('')
+    })
+  })
+
+  describe('getGiftPaymentFields', () => {
+    it('should return no fields when the purchase is not a gift', () => {
+      expect(getGiftPaymentFields(null)).toEqual({})
+      expect(getGiftPaymentFields(undefined)).toEqual({})
+    })
+
+    it('should map gift details onto payment columns', () => {
+      expect(getGiftPaymentFields({
+        recipientEmail: ' Friend@Example.com ',
+        recipientName: ' Nimal ',
+        message: ' Good luck with A/Ls! '
+      })).toEqual({
+        is_gift: true,
+        gift_recipient_email: 'friend@example.com',
+        gift_recipient_name: 'Nimal',
+        gift_message: 'Good luck with A/Ls!'
+      })
+    })
+
+    it('should store empty name and message as null', () => {
+      expect(getGiftPaymentFields({ recipientEmail: 'friend@example.com', message: '  ' })).toEqual({
+        is_gift: true,
+        gift_recipient_email: 'friend@example.com',
+        gift_recipient_name: null,
+        gift_message: null
+      })
+    })
+
+    it('should reject an invalid recipient email', () => {
+      expect(() => getGiftPaymentFields({ recipientEmail: 'not-an-email' }))
+        .toThrow('Enter a valid recipient email address')
+    })
+
+    it('should reject messages over 500 characters', () => {
+      expect(() => getGiftPaymentFields({ recipientEmail: 'friend@example.com', message: 'x'.repeat(501) }))
+        .toThrow('Gift message must be 500 characters or fewer')
+    })
+  })
+
+  describe('getGiftCodeIneligibility', () => {
+    const giftCode = { status: 'active', expires_at: null }
+
+    it('should allow an active code without expiry', () => {
+      expect(getGiftCodeIneligibility(giftCode, now)).toBeNull()
+    })
+
+    it('should allow an active code before it expires', () => {
+      expect(getGiftCodeIneligibility({ ...giftCode, expires_at: '2026-06-01T00:00:00.000Z' }, now)).toBeNull()
+    })
+
+    it('should treat missing and revoked codes as invalid', () => {
+      expect(getGiftCodeIneligibility(null, now)).toBe('Invalid gift code')
+      expect(getGiftCodeIneligibility({ ...giftCode, status: 'revoked' }, now)).toBe('Invalid gift code')
+    })
+
+    it('should reject redeemed codes', () => {
+      expect(getGiftCodeIneligibility({ ...giftCode, status: 'redeemed' }, now))
+        .toBe('This gift code has already been redeemed')
+    })
+
+    it('should reject expired codes', () => {
+      expect(getGiftCodeIneligibility({ ...giftCode, expires_at: '2026-05-01T00:00:00.000Z' }, now))
+        .toBe('This gift code has expired')
+    })
+  })
+
+  describe('issueGiftForPayment', () => {
+    const payment = { id: 'payment-1', user_id: 'user-1', course_id: 'course-1', is_gift: true }
+    const giftCode = { id: 'gift-1', code: 'GIFT-AAAA-BBBB-CCCC', recipient_email: 'friend@example.com', emailed_at: null }
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      results.length = 0
+    })
+
+    it('should fail when the recipient email cannot be sent', async () => {
+      results.push({ data: giftCode, error: null })
+      sendEmail.mockRejectedValueOnce(new Error('SMTP unavailable'))
+
+      await expect(issueGiftForPayment(payment, 'stripe_webhook')).rejects.toThrow('SMTP unavailable')
+      expect(rpc).not.toHaveBeenCalled()
+    })
+
+    it('should resend an issued code that was never emailed, then record the delivery', async () => {
+      results.push({ data: giftCode, error: null })
+
+      await expect(issueGiftForPayment(payment, 'stripe_webhook')).resolves.toEqual({ id: 'gift-1' })
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'friend@example.com' }))
+      expect(rpc).toHaveBeenCalledWith('record_gift_delivery', { p_gift_code_id: 'gift-1', p_source: 'stripe_webhook' })
+    })
+
+    it('should not email a code twice', async () => {
+      results.push({ data: { ...giftCode, emailed_at: '2026-05-01T00:00:00.000Z' }, error: null })
+
+      await issueGiftForPayment(payment, 'stripe_webhook')
+      expect(sendEmail).not.toHaveBeenCalled()
+      expect(rpc).toHaveBeenCalledWith('record_gift_delivery', expect.anything())
+    })
+  })
+
+  describe('giftCodesToCsv', () => {
+    it('should export one row per code with redemption status', () => {
+      const csv = giftCodesToCsv([
+        {
+          code: 'GIFT-AAAA-BBBB-CCCC',
+          courses: { title: 'Combined Maths, Part 1' },
+          status: 'redeemed',
+          expires_at: null,
+          redeemer: { email: 'student@example.com' },
+          redeemed_at: '2026-05-02T10:00:00.000Z'
+        },
+        {
+          code: 'GIFT-DDDD-EEEE-FFFF',
+          bundles: { title: 'The "Full" Pack' },
+          status: 'active',
+          expires_at: '2026-12-31T00:00:00.000Z'
+        }
+      ])
+
+      const lines = csv.split('\n')
+      expect(lines).toHaveLength(3)
+      expect(lines[1]).toContain('"Combined Maths, Part 1"')
+      expect(lines[1]).toContain('student@example.com')
+      expect(lines[2]).toContain('"The ""Full"" Pack"')
+      expect(lines[2]).toContain('active')
+    })
+  })
+})
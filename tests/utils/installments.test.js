@@ -0,0 +1,167 @@
+import {
+  addMonths,
+  buildInstallmentRows,
+  getPlanIneligibility,
+  getInstallmentAction,
+  getScheduleStatus,
+  recordInstallmentPayment
+} from '../../lib/installments'
+import { splitInstallments } from '../../utils/installments'
+import { supabase } from '../../lib/supabase-admin'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn(), rpc: jest.fn() }
+}))
+
+const now = new Date('2026-05-10T00:00:00.000Z')
+
+const plan = {
+  id: 'plan-1',
+  active: true,
+  installment_count: 3,
+  interval_months: 1,
+  min_course_price: 10000
+}
+
+describe('Installment Utilities', () => {
+  describe('splitInstallments', () => {
+    it('should split evenly when possible', () => {
+      expect(splitInstallments(30000, 3)).toEqual([10000, 10000, 10000])
+    })
+
+    it('should put the rounding remainder on the first installment', () => {
+      const amounts = splitInstallments(100, 3)
+      expect(amounts).toEqual([33.34, 33.33, 33.33])
+      expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(100)
+    })
+  })
+
+  describe('addMonths', () => {
+    it('should clamp to the end of shorter months', () => {
+      expect(addMonths(new Date('2026-01-31T09:00:00.000Z'), 1).toISOString())
+        .toBe('2026-02-28T09:00:00.000Z')
+    })
+
+    it('should cross year boundaries', () => {
+      expect(addMonths(new Date('2026-11-15T00:00:00.000Z'), 3).toISOString())
+        .toBe('2027-02-15T00:00:00.000Z')
+    })
+  })
+
+  describe('buildInstallmentRows', () => {
+    it('should schedule installments one interval apart starting today', () => {
+      const rows = buildInstallmentRows({
+        total: 30000,
+        count: 3,
+        intervalMonths: 2,
+        start: new Date('2026-05-10T00:00:00.000Z')
+      })
+
+      expect(rows).toEqual([
+        { installment_number: 1, amount: 10000, due_date: '2026-05-10T00:00:00.000Z' },
+        { installment_number: 2, amount: 10000, due_date: '2026-07-10T00:00:00.000Z' },
+        { installment_number: 3, amount: 10000, due_date: '2026-09-10T00:00:00.000Z' }
+      ])
+    })
+  })
+
+  describe('getPlanIneligibility', () => {
+    it('should allow an active plan for a course above the minimum price', () => {
+      expect(getPlanIneligibility(plan, { price: 15000, status: 'published' })).toBeNull()
+    })
+
+    it('should reject inactive or missing plans', () => {
+      expect(getPlanIneligibility({ ...plan, active: false }, { price: 15000 }))
+        .toBe('Installment plan is not available')
+      expect(getPlanIneligibility(null, { price: 15000 }))
+        .toBe('Installment plan is not available')
+    })
+
+    it('should reject courses below the minimum price', () => {
+      expect(getPlanIneligibility(plan, { price: 5000, status: 'published' }))
+        .toBe('This course is not eligible for this installment plan')
+    })
+
+    it('should reject unpublished courses', () => {
+      expect(getPlanIneligibility(plan, { price: 15000, status: 'draft' }))
+        .toBe('Course is not available for purchase')
+    })
+  })
+
+  describe('getInstallmentAction', () => {
+    const pending = { status: 'pending', reminder_sent_at: null }
+
+    it('should remind shortly before the due date', () => {
+      expect(getInstallmentAction({ ...pending, due_date: '2026-05-12T00:00:00.000Z' }, now)).toBe('remind')
+    })
+
+    it('should not remind twice or too early', () => {
+      expect(getInstallmentAction({
+        ...pending,
+        due_date: '2026-05-12T00:00:00.000Z',
+        reminder_sent_at: '2026-05-09T00:00:00.000Z'
+      }, now)).toBeNull()
+      expect(getInstallmentAction({ ...pending, due_date: '2026-06-10T00:00:00.000Z' }, now)).toBeNull()
+    })
+
+    it('should suspend only after the grace period', () => {
+      expect(getInstallmentAction({
+        ...pending,
+        due_date: '2026-05-05T00:00:00.000Z',
+        reminder_sent_at: '2026-05-02T00:00:00.000Z'
+      }, now)).toBeNull()
+      expect(getInstallmentAction({ ...pending, due_date: '2026-05-01T00:00:00.000Z' }, now)).toBe('suspend')
+    })
+
+    it('should ignore paid installments', () => {
+      expect(getInstallmentAction({ status: 'paid', due_date: '2026-04-01T00:00:00.000Z' }, now)).toBeNull()
+    })
+  })
+
+  describe('getScheduleStatus', () => {
+    it('should complete once every installment is paid', () => {
+      expect(getScheduleStatus([{ status: 'paid' }, { status: 'paid' }], now)).toBe('completed')
+    })
+
+    it('should stay suspended while an installment is past the grace period', () => {
+      expect(getScheduleStatus([
+        { status: 'paid', due_date: '2026-03-01T00:00:00.000Z' },
+        { status: 'pending', due_date: '2026-04-01T00:00:00.000Z' },
+        { status: 'pending', due_date: '2026-05-01T00:00:00.000Z' }
+      ], now)).toBe('suspended')
+    })
+
+    it('should be active when unpaid installments are within the grace period', () => {
+      expect(getScheduleStatus([
+        { status: 'paid', due_date: '2026-04-10T00:00:00.000Z' },
+        { status: 'pending', due_date: '2026-05-08T00:00:00.000Z' }
+      ], now)).toBe('active')
+    })
+  })
+
+  describe('recordInstallmentPayment', () => {
+    it('should grant access with the schedule status as of this payment', async () => {
+      const installments = [
+        { id: 'installment-1', schedule_id: 'schedule-1', status: 'paid', due_date: '2026-03-01T00:00:00.000Z' },
+        { id: 'installment-2', schedule_id: 'schedule-1', status: 'pending', due_date: '2026-04-01T00:00:00.000Z' }
+      ]
+      const query = {
+        select: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        single: jest.fn(() => Promise.resolve({ data: installments[1], error: null })),
+        then: (resolve) => resolve({ data: installments, error: null })
+      }
+      supabase.from.mockReturnValue(query)
+      supabase.rpc.mockResolvedValue({ data: { id: 'schedule-1', status: 'completed' }, error: null })
+
+      const schedule = await recordInstallmentPayment({ id: 'payment-2', installment_id: 'installment-2' }, 'payhere_notify')
+
+      expect(supabase.rpc).toHaveBeenCalledWith('grant_installment_access', {
+        p_payment_id: 'payment-2',
+        p_schedule_status: 'completed',
+        p_source: 'payhere_notify'
+      })
+      expect(schedule.status).toBe('completed')
+    })
+  })
+})
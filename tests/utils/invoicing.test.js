@@ -0,0 +1,168 @@
+import {
+  calculateTaxLines,
+  buildInvoiceLines,
+  toInvoiceData,
+  getInvoiceFileName,
+  storeInvoicePdf
+} from '../../lib/invoicing'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {}
+}))
+
+jest.mock('../../lib/invoice', () => ({
+  generateInvoicePDF: jest.fn()
+}))
+
+const sscl = { name: 'SSCL', rate: 2.5, compound: false, sort_order: 1 }
+const vat = { name: 'VAT', rate: 18, compound: true, sort_order: 2 }
+
+describe('Invoicing Utilities', () => {
+  describe('calculateTaxLines', () => {
+    it('should leave the full amount as subtotal without tax rates', () => {
+      expect(calculateTaxLines(5000)).toEqual({
+        subtotal: 5000,
+        taxLines: [],
+        taxTotal: 0,
+        total: 5000
+      })
+    })
+
+    it('should back a single tax out of a tax-inclusive total', () => {
+      const result = calculateTaxLines(1180, [{ name: 'VAT', rate: 18 }])
+
+      expect(result.subtotal).toBe(1000)
+      expect(result.taxLines).toEqual([{ name: 'VAT', rate: 18, amount: 180 }])
+      expect(result.total).toBe(1180)
+    })
+
+    it('should charge compound taxes on the subtotal plus earlier taxes', () => {
+      // 1000 net, SSCL 25, VAT 18% of 1025 = 184.50
+      const result = calculateTaxLines(1209.5, [vat, sscl])
+
+      expect(result.subtotal).toBe(1000)
+      expect(result.taxLines).toEqual([
+        { name: 'SSCL', rate: 2.5, amount: 25 },
+        { name: 'VAT', rate: 18, amount: 184.5 }
+      ])
+      expect(result.taxTotal).toBe(209.5)
+    })
+
+    it('should round lines to cents and keep them summing to the amount paid', () => {
+      const result = calculateTaxLines(4999, [sscl, vat])
+      const cents = (amount) => Math.round(amount * 100)
+      const lineCents = cents(result.subtotal) + result.taxLines.reduce((sum, line) => sum + cents(line.amount), 0)
+
+      expect(lineCents).toBe(499900)
+      result.taxLines.forEach(line => expect(line.amount).toBe(cents(line.amount) / 100))
+    })
+
+    it('should accept amounts and rates stored as numeric strings', () => {
+      const result = calculateTaxLines('1180.00', [{ name: 'VAT', rate: '18.000' }])
+      expect(result.taxLines[0]).toEqual({ name: 'VAT', rate: 18, amount: 180 })
+    })
+  })
+
+  describe('buildInvoiceLines', () => {
+    const orderItems = [
+      { course_id: 'course-1', title: 'Combined Maths', amount: 5000 },
+      { course_id: 'course-2', title: 'Physics', amount: 2500 }
+    ]
+
+    it('should spread the subtotal over the courses by price', () => {
+      expect(buildInvoiceLines(orderItems, 6000)).toEqual([
+        { description: 'Combined Maths', quantity: 1, amount: 4000 },
+        { description: 'Physics', quantity: 1, amount: 2000 }
+      ])
+    })
+
+    it('should put the rounding on the last line so lines add up', () => {
+      const items = [
+        { title: 'A', amount: 1000 },
+        { title: 'B', amount: 1000 },
+        { title: 'C', amount: 1000 }
+      ]
+      const lines = buildInvoiceLines(items, 2542.37)
+      const cents = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0)
+
+      expect(lines.map(line => line.amount)).toEqual([847.46, 847.46, 847.45])
+      expect(cents).toBe(254237)
+    })
+  })
+
+  describe('toInvoiceData', () => {
+    const payment = {
+      id: 'payment-1',
+      user_id: 'user-1',
+      method: 'bank_transfer',
+      payment_id: null,
+      approved_at: '2026-05-02T10:00:00.000Z'
+    }
+
+    const invoice = {
+      document_type: 'invoice',
+      invoice_number: 'INV-2026-000042',
+      issued_at: '2026-05-02T10:00:00.000Z',
+      seller: { name: 'MathPro Academy' },
+      customer_name: 'Student',
+      customer_email: 'student@example.com',
+      description: 'Combined Maths',
+      currency: 'LKR',
+      subtotal: 1000,
+      tax_lines: [{ name: 'VAT', rate: 18, amount: 180 }],
+      total: 1180
+    }
+
+    it('should map an invoice and its payment for the PDF generator', () => {
+      const data = toInvoiceData(invoice, payment)
+
+      expect(data.invoiceNumber).toBe('INV-2026-000042')
+      expect(data.customer).toEqual({ name: 'Student', email: 'student@example.com', userId: 'user-1' })
+      expect(data.payment).toEqual({
+        method: 'Bank Transfer',
+        reference: 'payment-1',
+        paidAt: '2026-05-02T10:00:00.000Z'
+      })
+      expect(data.charged).toBeFalsy()
+    })
+
+    it('should reference the credited invoice on credit notes', () => {
+      const creditNote = { ...invoice, document_type: 'credit_note', invoice_number: 'CN-2026-000003' }
+      const data = toInvoiceData(creditNote, payment, invoice)
+
+      expect(data.documentType).toBe('credit_note')
+      expect(data.creditedInvoiceNumber).toBe('INV-2026-000042')
+    })
+
+    it('should show a listed price charged in another currency without a rate', () => {
+      const data = toInvoiceData(invoice, {
+        ...payment,
+        charged_amount: 12,
+        charged_currency: 'GBP',
+        exchange_rate_snapshot: null
+      })
+
+      expect(data.charged).toEqual({ amount: 12, currency: 'GBP' })
+    })
+  })
+
+  describe('getInvoiceFileName', () => {
+    it('should name files after the document number', () => {
+      expect(getInvoiceFileName({ document_type: 'invoice', invoice_number: 'INV-2026-000042' }))
+        .toBe('invoice-INV-2026-000042.pdf')
+      expect(getInvoiceFileName({ document_type: 'credit_note', invoice_number: 'CN-2026-000003' }))
+        .toBe('credit-note-CN-2026-000003.pdf')
+    })
+  })
+
+  describe('storeInvoicePdf', () => {
+    it('should reuse the stored file instead of rendering a new one', async () => {
+      const document = { id: 'invoice-1', file_path: '2026/invoice-INV-2026-000042.pdf' }
+
+      await expect(storeInvoicePdf(document, { id: 'payment-1' })).resolves.toEqual({
+        filePath: '2026/invoice-INV-2026-000042.pdf',
+        pdf: null
+      })
+    })
+  })
+})
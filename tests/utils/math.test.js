@@ -0,0 +1,76 @@
+import {
+  splitMath,
+  hasMath,
+  renderMath,
+  latexToPlainText,
+  mathToPlainText
+} from '../../utils/math'
+
+describe('Math Utilities', () => {
+  describe('splitMath', () => {
+    it('should separate inline and display formulas from text', () => {
+      expect(splitMath('Solve $x^2 = 4$ then $$\\frac{a}{b}$$.')).toEqual([
+        { type: 'text', value: 'Solve ' },
+        { type: 'inline', value: 'x^2 = 4' },
+        { type: 'text', value: ' then ' },
+        { type: 'display', value: '\\frac{a}{b}' },
+        { type: 'text', value: '.' }
+      ])
+    })
+
+    it('should leave prices and escaped dollars as text', () => {
+      expect(splitMath('Was $5, now $3')).toEqual([{ type: 'text', value: 'Was $5, now $3' }])
+      expect(splitMath('Costs $ 5 and $ 10')).toEqual([{ type: 'text', value: 'Costs $ 5 and $ 10' }])
+      expect(splitMath('\\$x\\$')).toEqual([{ type: 'text', value: '$x$' }])
+    })
+
+    it('should treat an unclosed delimiter as text', () => {
+      expect(splitMath('Only $x here')).toEqual([{ type: 'text', value: 'Only $x here' }])
+      expect(hasMath('$$x')).toBe(false)
+    })
+  })
+
+  describe('renderMath', () => {
+    it('should escape text and render formulas with KaTeX', () => {
+      const html = renderMath('a < b and $x$')
+
+      expect(html).toContain('a &lt; b and ')
+      expect(html).toContain('class="katex"')
+    })
+
+    it('should render MathML for emails', () => {
+      const html = renderMath('$\\frac{1}{2}$', { output: 'mathml' })
+
+      expect(html).toContain('<math')
+      expect(html).toContain('<mfrac>')
+      expect(html).not.toContain('katex-html')
+    })
+
+    it('should pass HTML content through and decode entities in formulas', () => {
+      const html = renderMath('<p>$a &lt; b$</p>', { html: true, output: 'mathml' })
+
+      expect(html.startsWith('<p>')).toBe(true)
+      expect(html).toContain('<mo>&lt;</mo>')
+    })
+
+    it('should show invalid LaTeX instead of throwing', () => {
+      expect(() => renderMath('$\\frac{1}$')).not.toThrow()
+    })
+  })
+
+  describe('latexToPlainText', () => {
+    it('should write formulas with characters the PDF fonts have', () => {
+      expect(latexToPlainText('\\frac{a+1}{2}')).toBe('(a+1)/2')
+      expect(latexToPlainText('\\sqrt{\\frac{1}{x}}')).toBe('sqrt(1/x)')
+      expect(latexToPlainText('\\pi r^2')).toBe('pi r²')
+      expect(latexToPlainText('x^{10} \\times y_{n+1}')).toBe('x^(10) × y_(n+1)')
+      expect(latexToPlainText('90^\\circ, a \\leq b')).toBe('90°, a <= b')
+    })
+  })
+
+  describe('mathToPlainText', () => {
+    it('should only rewrite the formulas', () => {
+      expect(mathToPlainText('Area of a circle: $\\pi r^2$ ($5 off)')).toBe('Area of a circle: pi r² ($5 off)')
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import { buildMembershipFields } from '../../lib/memberships'
+import { isMembershipActive, permissions } from '../../utils/auth'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: {}
+}))
+
+jest.mock('../../lib/stripe', () => ({
+  createCustomer: jest.fn(),
+  createSubscriptionCheckoutSession: jest.fn(),
+  createBillingPortalSession: jest.fn(),
+  getSubscription: jest.fn(),
+  updateSubscription: jest.fn(),
+  getPrice: jest.fn()
+}))
+
+const now = new Date('2026-05-01T00:00:00.000Z')
+
+const subscription = {
+  id: 'sub_123',
+  customer: 'cus_123',
+  status: 'active',
+  current_period_end: Date.parse('2026-06-01T00:00:00.000Z') / 1000,
+  cancel_at_period_end: false,
+  canceled_at: null,
+  ended_at: null,
+  metadata: { userId: 'user-1', plan: 'monthly' },
+  items: { data: [{ price: { id: 'price_year', recurring: { interval: 'year' } } }] }
+}
+
+describe('Membership Utilities', () => {
+  describe('buildMembershipFields', () => {
+    it('should map an active subscription', () => {
+      const fields = buildMembershipFields(subscription, { userId: 'user-1', now })
+      expect(fields).toMatchObject({
+        user_id: 'user-1',
+        plan: 'yearly',
+        status: 'active',
+        stripe_customer_id: 'cus_123',
+        stripe_subscription_id: 'sub_123',
+        current_period_end: '2026-06-01T00:00:00.000Z',
+        grace_until: null
+      })
+    })
+
+    it('should start a grace period when a renewal fails', () => {
+      const fields = buildMembershipFields(
+        { ...subscription, status: 'past_due' },
+        { userId: 'user-1', now }
+      )
+      expect(fields.grace_until).toBe('2026-05-08T00:00:00.000Z')
+    })
+
+    it('should keep the original grace period on later retries', () => {
+      const fields = buildMembershipFields(
+        { ...subscription, status: 'past_due' },
+        { userId: 'user-1', existing: { grace_until: '2026-05-03T00:00:00.000Z' }, now }
+      )
+      expect(fields.grace_until).toBe('2026-05-03T00:00:00.000Z')
+    })
+
+    it('should clear the grace period once payment recovers', () => {
+      const fields = buildMembershipFields(subscription, {
+        userId: 'user-1',
+        existing: { grace_until: '2026-05-03T00:00:00.000Z' },
+        now
+      })
+      expect(fields.grace_until).toBeNull()
+    })
+  })
+
+  describe('isMembershipActive', () => {
+    it('should allow active and trialing memberships', () => {
+      expect(isMembershipActive({ status: 'active' }, now)).toBe(true)
+      expect(isMembershipActive({ status: 'trialing' }, now)).toBe(true)
+    })
+
+    it('should allow past due memberships only within the grace period', () => {
+      expect(isMembershipActive({ status: 'past_due', grace_until: '2026-05-02T00:00:00.000Z' }, now)).toBe(true)
+      expect(isMembershipActive({ status: 'past_due', grace_until: '2026-04-30T00:00:00.000Z' }, now)).toBe(false)
+      expect(isMembershipActive({ status: 'past_due', grace_until: null }, now)).toBe(false)
+    })
+
+    it('should reject canceled or missing memberships', () => {
+      expect(isMembershipActive({ status: 'canceled' }, now)).toBe(false)
+      expect(isMembershipActive(null, now)).toBe(false)
+    })
+  })
+
+  describe('permissions.canAccessCourse', () => {
+    const student = { id: 'user-1', role: 'student' }
+
+    it('should let members open published courses', () => {
+      expect(permissions.canAccessCourse(student, 'course-1', [], { status: 'active' })).toBe(true)
+    })
+
+    it('should not let members open unpublished courses', () => {
+      expect(permissions.canAccessCourse(student, 'course-1', [], { status: 'active' }, 'draft')).toBe(false)
+    })
+
+    it('should still require a purchase without a membership', () => {
+      expect(permissions.canAccessCourse(student, 'course-1')).toBe(false)
+      expect(permissions.canAccessCourse(student, 'course-1', ['course-1'])).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,93 @@
+import {
+  PAYHERE_CONFIG,
+  generatePayHereHash,
+  verifyPayHereCallback
+} from '../../lib/payhere'
+import {
+  buildSimulatedNotifications,
+  verifyCheckoutHash,
+  isPayHereSimulatorEnabled
+} from '../../lib/payhere-simulator'
+
+describe('PayHere Simulator', () => {
+  const originalConfig = { ...PAYHERE_CONFIG }
+  let payment
+
+  beforeAll(() => {
+    PAYHERE_CONFIG.MERCHANT_ID = 'test-merchant'
+    PAYHERE_CONFIG.MERCHANT_SECRET = 'test-secret'
+  })
+
+  afterAll(() => {
+    Object.assign(PAYHERE_CONFIG, originalConfig)
+  })
+
+  beforeEach(() => {
+    payment = {
+      merchant_id: 'test-merchant',
+      order_id: '6f1c2d3e-4b5a-4c6d-8e7f-9a0b1c2d3e4f',
+      amount: '5000.00',
+      currency: 'LKR',
+      notify_url: 'http://localhost:3000/api/payments/payhere-callback',
+      hash: generatePayHereHash('6f1c2d3e-4b5a-4c6d-8e7f-9a0b1c2d3e4f', '5000.00')
+    }
+  })
+
+  describe('verifyCheckoutHash', () => {
+    it('should accept the hash issued by payhere?action=start', () => {
+      expect(verifyCheckoutHash(payment)).toBe(true)
+    })
+
+    it('should reject a payment whose amount was changed after hashing', () => {
+      expect(verifyCheckoutHash({ ...payment, amount: '50.00' })).toBe(false)
+    })
+  })
+
+  describe('buildSimulatedNotifications', () => {
+    it('should sign notifications that verifyPayHereCallback accepts', () => {
+      const [notification] = buildSimulatedNotifications(payment, 'success')
+
+      expect(notification).toMatchObject({
+        merchant_id: 'test-merchant',
+        order_id: payment.order_id,
+        payhere_amount: '5000.00',
+        payhere_currency: 'LKR',
+        status_code: '2'
+      })
+      expect(verifyPayHereCallback(notification)).toMatchObject({ isValid: true, status: 'paid' })
+    })
+
+    it('should send a paid notification before the chargeback', () => {
+      const notifications = buildSimulatedNotifications(payment, 'chargeback')
+
+      expect(notifications.map(n => verifyPayHereCallback(n).status)).toEqual(['paid', 'chargedback'])
+      expect(notifications[0].payment_id).toBe(notifications[1].payment_id)
+    })
+
+    it('should report failures and cancellations with their status codes', () => {
+      expect(buildSimulatedNotifications(payment, 'failure')[0].status_code).toBe('-2')
+      expect(buildSimulatedNotifications(payment, 'cancel')[0].status_code).toBe('-1')
+    })
+
+    it('should reject unknown outcomes', () => {
+      expect(() => buildSimulatedNotifications(payment, 'refund')).toThrow('Unknown simulator outcome')
+    })
+  })
+
+  describe('isPayHereSimulatorEnabled', () => {
+    const originalEnv = { ...process.env }
+
+    afterEach(() => {
+      process.env = { ...originalEnv }
+    })
+
+    it('should stay off in production even when requested', () => {
+      process.env.PAYHERE_SIMULATOR = 'true'
+      process.env.NODE_ENV = 'production'
+      expect(isPayHereSimulatorEnabled()).toBe(false)
+
+      process.env.NODE_ENV = 'test'
+      expect(isPayHereSimulatorEnabled()).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,196 @@
+import { handlePayHereNotification, handleStripeEvent } from '../../lib/payment-event-handlers'
+import { fulfillPayment } from '../../lib/fulfillment'
+import { revokeCourseAccess } from '../../lib/refunds'
+import { sendEmail } from '../../lib/email'
+
+jest.mock('../../lib/email', () => ({ sendEmail: jest.fn() }))
+jest.mock('../../lib/memberships', () => ({ syncSubscription: jest.fn() }))
+jest.mock('../../lib/fulfillment', () => ({
+  fulfillPayment: jest.fn(() => Promise.resolve({ failedSteps: [] })),
+  FULFILLMENT_SOURCES: { STRIPE_WEBHOOK: 'stripe_webhook', PAYHERE_NOTIFY: 'payhere_notify' },
+  PAYMENT_WITH_RELATIONS: '*'
+}))
+jest.mock('../../lib/refunds', () => ({ revokeCourseAccess: jest.fn() }))
+jest.mock('../../lib/invoicing', () => ({ issueCreditNoteForPayment: jest.fn() }))
+jest.mock('../../lib/affiliates', () => ({ voidCommissionForPayment: jest.fn() }))
+jest.mock('../../lib/stripe', () => ({ getPaymentIntentFee: jest.fn(() => Promise.resolve(null)) }))
+
+// Each supabase call resolves with the next queued result, or with no error
+const results = []
+const writes = []
+const chain = (table) => {
+  const builder = {}
+  ;['select', 'eq', 'or', 'in'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.update = jest.fn((values) => {
+    writes.push({ table, values })
+    return builder
+  })
+  builder.maybeSingle = jest.fn(() => Promise.resolve(results.shift() || { data: null, error: null }))
+  builder.then = (resolve, reject) => Promise.resolve(results.shift() || { error: null }).then(resolve, reject)
+  return builder
+}
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn((table) => chain(table)) }
+}))
+
+const makePayment = (overrides = {}) => ({
+  id: 'payment-1',
+  user_id: 'user-1',
+  course_id: 'course-1',
+  amount: 4500,
+  currency: 'LKR',
+  status: 'pending',
+  dispute_status: null,
+  ...overrides
+})
+
+const notification = (statusCode) => ({
+  order_id: 'payment-1',
+  status_code: statusCode,
+  payment_id: 'ph-123',
+  payhere_amount: '4500.00',
+  payhere_currency: 'LKR',
+  method: 'VISA',
+  status_message: 'Simulated'
+})
+
+const paymentIntentFailed = {
+  type: 'payment_intent.payment_failed',
+  data: { object: { id: 'pi_123' } }
+}
+
+const checkoutCompleted = {
+  type: 'checkout.session.completed',
+  data: {
+    object: { id: 'cs_123', mode: 'payment', payment_intent: 'pi_123', metadata: { payment_id: 'payment-1' } }
+  }
+}
+
+describe('Payment Event Handlers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    results.length = 0
+    writes.length = 0
+  })
+
+  describe('handlePayHereNotification', () => {
+    it('should mark a pending payment failed when it is cancelled', async () => {
+      results.push({ data: makePayment(), error: null })
+
+      const result = await handlePayHereNotification(notification('-1'))
+
+      expect(result.status).toBe('processed')
+      expect(writes).toEqual([expect.objectContaining({ table: 'payments', values: expect.objectContaining({ status: 'failed' }) })])
+    })
+
+    it('should leave a completed payment alone on a failed or cancelled notification', async () => {
+      for (const statusCode of ['-1', '-2']) {
+        results.push({ data: makePayment({ status: 'completed' }), error: null })
+
+        const result = await handlePayHereNotification(notification(statusCode))
+
+        expect(result).toEqual({ status: 'ignored', message: 'Payment is already completed', paymentId: 'payment-1' })
+      }
+      expect(writes).toEqual([])
+    })
+
+    it('should refund a charged back payment and revoke its access', async () => {
+      results.push({ data: makePayment({ status: 'completed' }), error: null })
+
+      const result = await handlePayHereNotification(notification('-3'))
+
+      expect(result.status).toBe('processed')
+      expect(writes.map(write => write.values)).toEqual([
+        { dispute_status: 'lost' },
+        expect.objectContaining({ status: 'refunded', refund_method: 'chargeback', refund_reference: 'ph-123' })
+      ])
+      expect(revokeCourseAccess).toHaveBeenCalledWith(expect.objectContaining({ id: 'payment-1' }))
+    })
+
+    it('should not charge back a payment twice', async () => {
+      results.push({ data: makePayment({ status: 'refunded' }), error: null })
+
+      const result = await handlePayHereNotification(notification('-3'))
+
+      expect(result.status).toBe('ignored')
+      expect(writes).toEqual([])
+      expect(revokeCourseAccess).not.toHaveBeenCalled()
+    })
+
+    it('should not complete a refunded payment again', async () => {
+      results.push({ data: makePayment({ status: 'refunded' }), error: null })
+
+      const result = await handlePayHereNotification(notification('2'))
+
+      expect(result.status).toBe('ignored')
+      expect(fulfillPayment).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('checkout.session.completed', () => {
+    it('should approve and fulfil a pending payment', async () => {
+      results.push({ data: makePayment(), error: null })
+
+      const result = await handleStripeEvent(checkoutCompleted)
+
+      expect(result.status).toBe('processed')
+      expect(writes[0].values).toEqual(expect.objectContaining({ status: 'approved', payment_id: 'pi_123' }))
+      expect(fulfillPayment).toHaveBeenCalled()
+    })
+
+    it('should not approve a payment that was since refunded or disputed', async () => {
+      for (const payment of [makePayment({ status: 'refunded' }), makePayment({ status: 'approved', dispute_status: 'open' })]) {
+        results.push({ data: payment, error: null })
+
+        const result = await handleStripeEvent(checkoutCompleted)
+
+        expect(result.status).toBe('ignored')
+      }
+      expect(writes).toEqual([])
+      expect(fulfillPayment).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('payment_intent.payment_failed', () => {
+    it('should mark a pending payment failed and tell the student', async () => {
+      results.push(
+        { data: makePayment({ profiles: { name: 'Student', email: 'student@example.com' } }), error: null },
+        { data: { id: 'payment-1' }, error: null }
+      )
+
+      const result = await handleStripeEvent(paymentIntentFailed)
+
+      expect(result.status).toBe('processed')
+      expect(writes).toEqual([{ table: 'payments', values: { status: 'failed' } }])
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'payment-failed' }))
+    })
+
+    it('should ignore a replayed failure for a payment that has since been approved', async () => {
+      for (const payment of [
+        makePayment({ status: 'approved' }),
+        makePayment({ status: 'refunded' }),
+        makePayment({ status: 'approved', dispute_status: 'open' })
+      ]) {
+        results.push({ data: payment, error: null })
+
+        const result = await handleStripeEvent(paymentIntentFailed)
+
+        expect(result).toEqual({ status: 'ignored', message: `Payment is already ${payment.status}`, paymentId: 'payment-1' })
+      }
+      expect(writes).toEqual([])
+      expect(sendEmail).not.toHaveBeenCalled()
+    })
+
+    it('should not fail a payment that was approved while the failure was applied', async () => {
+      results.push({ data: makePayment(), error: null })
+
+      const result = await handleStripeEvent(paymentIntentFailed)
+
+      expect(result.status).toBe('ignored')
+      expect(sendEmail).not.toHaveBeenCalled()
+    })
+  })
+})
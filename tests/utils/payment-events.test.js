@@ -0,0 +1,97 @@
+import { receivePaymentEvent, getPayHereEventId } from '../../lib/payment-events'
+import { handleStripeEvent } from '../../lib/payment-event-handlers'
+
+jest.mock('../../lib/payment-event-handlers', () => ({
+  handleStripeEvent: jest.fn(),
+  handlePayHereNotification: jest.fn()
+}))
+
+// Each supabase call resolves with the next queued result
+const results = []
+const chain = () => {
+  const builder = {}
+  ;['insert', 'update', 'select', 'eq'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.single = jest.fn(() => Promise.resolve(results.shift()))
+  builder.maybeSingle = builder.single
+  return builder
+}
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn(() => chain()) }
+}))
+
+const stripeEvent = {
+  provider: 'stripe',
+  eventId: 'evt_123',
+  eventType: 'checkout.session.completed',
+  payload: { id: 'evt_123', type: 'checkout.session.completed' }
+}
+
+describe('Payment Events', () => {
+  beforeEach(() => {
+    results.length = 0
+    jest.clearAllMocks()
+  })
+
+  it('should key PayHere notifications by order and status', () => {
+    expect(getPayHereEventId({ order_id: 'order-1', status_code: '2' })).toBe('order-1:2')
+  })
+
+  it('should process a new event', async () => {
+    const row = { id: 'row-1', provider: 'stripe', event_id: 'evt_123', payload: stripeEvent.payload, attempts: 0 }
+    results.push(
+      { data: row, error: null },
+      { data: { ...row, status: 'processed', attempts: 1 }, error: null }
+    )
+    handleStripeEvent.mockResolvedValue({ status: 'processed', paymentId: 'payment-1' })
+
+    const { duplicate, event } = await receivePaymentEvent(stripeEvent)
+
+    expect(duplicate).toBe(false)
+    expect(event.status).toBe('processed')
+    expect(handleStripeEvent).toHaveBeenCalledWith(stripeEvent.payload)
+  })
+
+  it('should ignore a duplicate delivery', async () => {
+    results.push(
+      { data: null, error: { code: '23505' } },
+      { data: null, error: null } // not in failed state, nothing to reclaim
+    )
+
+    const { duplicate } = await receivePaymentEvent(stripeEvent)
+
+    expect(duplicate).toBe(true)
+    expect(handleStripeEvent).not.toHaveBeenCalled()
+  })
+
+  it('should retry a delivery that previously failed', async () => {
+    const row = { id: 'row-1', provider: 'stripe', event_id: 'evt_123', payload: stripeEvent.payload, attempts: 1 }
+    results.push(
+      { data: null, error: { code: '23505' } },
+      { data: row, error: null },
+      { data: { ...row, status: 'processed', attempts: 2 }, error: null }
+    )
+    handleStripeEvent.mockResolvedValue({ status: 'processed' })
+
+    const { duplicate, event } = await receivePaymentEvent(stripeEvent)
+
+    expect(duplicate).toBe(false)
+    expect(event.attempts).toBe(2)
+    expect(handleStripeEvent).toHaveBeenCalledTimes(1)
+  })
+
+  it('should record handler failures', async () => {
+    const row = { id: 'row-1', provider: 'stripe', event_id: 'evt_123', payload: stripeEvent.payload, attempts: 0 }
+    results.push(
+      { data: row, error: null },
+      { data: { ...row, status: 'failed', error: 'Payment not found' }, error: null }
+    )
+    handleStripeEvent.mockRejectedValue(new Error('Payment not found'))
+
+    const { event } = await receivePaymentEvent(stripeEvent)
+
+    expect(event.status).toBe('failed')
+  })
+})
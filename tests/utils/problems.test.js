@@ -0,0 +1,167 @@
+import {
+  hashSeed,
+  parseConstraint,
+  fillPlaceholders,
+  generateProblem,
+  getTemplateError,
+  normalizeTemplate,
+  resolveProblemQuestion
+} from '../../utils/problems'
+import { checkExpression } from '../../utils/expressions'
+
+const speed = {
+  title: 'Average speed',
+  prompt: 'A car travels {d} km in {t} hours. What is its average speed?',
+  variables: [
+    { name: 'd', min: 60, max: 300, step: 10 },
+    { name: 't', choices: [2, 3, 4] }
+  ],
+  constraints: ['d != 100'],
+  answer: { expression: 'd/t', unit: 'km/h', tolerance: 0.01 },
+  solution: 'Speed = {d} ÷ {t} = {= d/t} km/h'
+}
+
+const quadratic = {
+  title: 'Factor a quadratic',
+  prompt: 'Factor $x^2 + {= a + b}x + {= a b}$',
+  variables: [
+    { name: 'a', min: -5, max: 5 },
+    { name: 'b', min: -5, max: 5 }
+  ],
+  constraints: ['a != 0', 'b != 0', 'a != b'],
+  answer: { expression: '(x + a)(x + b)' }
+}
+
+describe('Problem Templates', () => {
+  describe('hashSeed', () => {
+    it('should give the same seed for the same text', () => {
+      expect(hashSeed('user-1:q1:1')).toBe(hashSeed('user-1:q1:1'))
+      expect(hashSeed('user-1:q1:1')).not.toBe(hashSeed('user-1:q1:2'))
+      expect(hashSeed('user-1:q1:1')).not.toBe(hashSeed('user-2:q1:1'))
+    })
+  })
+
+  describe('parseConstraint', () => {
+    it('should split on the comparison', () => {
+      expect(parseConstraint('b^2 - 4ac >= 0').comparison).toBe('>=')
+      expect(parseConstraint('a ≠ b').comparison).toBe('!=')
+      expect(() => parseConstraint('a + b')).toThrow('Compare two sides')
+    })
+  })
+
+  describe('fillPlaceholders', () => {
+    it('should put in values and worked values, leaving other braces alone', () => {
+      expect(fillPlaceholders('{a} + {b} = {= a + b}', { a: 2, b: -3 })).toBe('2 + -3 = -1')
+      expect(fillPlaceholders('$\\frac{a}{2}$ and {x}', { a: 3 })).toBe('$\\frac{3}{2}$ and {x}')
+      expect(fillPlaceholders('$x^{n} = \\frac{a}{b}$', { n: 12, a: 1, b: 2 })).toBe('$x^{12} = \\frac{1}{2}$')
+      expect(fillPlaceholders('{= a x^2}', { a: 0.1 })).toBe('0.1x^2')
+    })
+  })
+
+  describe('generateProblem', () => {
+    it('should give the same problem for the same seed', () => {
+      expect(generateProblem(speed, 'user-1:q1:1')).toEqual(generateProblem(speed, 'user-1:q1:1'))
+    })
+
+    it('should give different students different numbers', () => {
+      const prompts = new Set(['a', 'b', 'c', 'd', 'e', 'f'].map(user => generateProblem(speed, `${user}:q1:1`).prompt))
+      expect(prompts.size).toBeGreaterThan(1)
+    })
+
+    it('should draw values from the ranges and choices and work out the answer', () => {
+      const { values, prompt, solution, answer } = generateProblem(speed, 7)
+
+      expect(values.d % 10).toBe(0)
+      expect(values.d).toBeGreaterThanOrEqual(60)
+      expect(values.d).toBeLessThanOrEqual(300)
+      expect(values.d).not.toBe(100)
+      expect([2, 3, 4]).toContain(values.t)
+      expect(prompt).toBe(`A car travels ${values.d} km in ${values.t} hours. What is its average speed?`)
+      expect(Number(answer.expression)).toBeCloseTo(values.d / values.t)
+      expect(answer).toMatchObject({ unit: 'km/h', tolerance: 0.01 })
+      expect(solution).toContain(`= ${answer.expression} km/h`)
+    })
+
+    it('should keep letters that are not variables in the answer', () => {
+      for (const seed of [1, 2, 3, 4, 5]) {
+        const { values, prompt, answer } = generateProblem(quadratic, seed)
+
+        expect(values.a).not.toBe(0)
+        expect(values.b).not.toBe(0)
+        expect(values.a).not.toBe(values.b)
+        expect(prompt).not.toContain('{')
+        expect(checkExpression(`(x + ${values.a})(x + ${values.b})`, answer).correct).toBe(true)
+        expect(checkExpression(`(x - ${values.a})(x - ${values.b})`, answer).correct).toBe(false)
+      }
+    })
+
+    it('should draw again where the answer is undefined', () => {
+      const template = { ...quadratic, constraints: [], answer: { expression: '1/a' } }
+      for (const seed of [1, 2, 3, 4, 5]) {
+        expect(generateProblem(template, seed).values.a).not.toBe(0)
+      }
+    })
+
+    it('should give up on constraints that cannot be met', () => {
+      const template = { ...quadratic, constraints: ['a > 10'] }
+      expect(() => generateProblem(template, 1)).toThrow('No values meet the constraints')
+    })
+  })
+
+  describe('getTemplateError', () => {
+    it('should accept valid templates', () => {
+      expect(getTemplateError(speed)).toBeNull()
+      expect(getTemplateError(quadratic)).toBeNull()
+    })
+
+    it('should explain what is wrong', () => {
+      expect(getTemplateError({ ...speed, prompt: ' ' })).toBe('A prompt is required')
+      expect(getTemplateError({ ...speed, variables: [] })).toBe('Add between 1 and 10 variables')
+      expect(getTemplateError({ ...speed, variables: [{ name: 'ab', min: 1, max: 2 }] }))
+        .toBe('Variable 1: the name must be a single letter')
+      expect(getTemplateError({ ...speed, variables: [{ name: 'd', min: 5, max: 1 }, speed.variables[1]] }))
+        .toBe('Variable 1: enter a range from min to max')
+      expect(getTemplateError({ ...speed, variables: [speed.variables[0], { name: 'd', choices: [1] }] }))
+        .toBe('Variable names must be unique')
+      expect(getTemplateError({ ...speed, constraints: ['d > z'] })).toBe('Constraint 1 uses z, which is not a variable')
+      expect(getTemplateError({ ...speed, answer: { expression: 'd/' } })).toMatch(/^The answer formula cannot be read/)
+      expect(getTemplateError({ ...speed, answer: { expression: 'd/x', unit: 'km/h' } })).toBe('Answers with units must be numbers')
+      expect(getTemplateError({ ...quadratic, constraints: ['a > 10'] })).toMatch(/^No values meet the constraints/)
+    })
+  })
+
+  describe('normalizeTemplate', () => {
+    it('should read form input into the stored shape', () => {
+      expect(normalizeTemplate({
+        title: ' Speed ',
+        prompt: 'Go {d}',
+        variables: [{ name: 'd', min: '1', max: '9', step: '' }, { name: 't', choices: ['2', '3'] }],
+        constraints: ['d != t', ' '],
+        answer: { expression: ' d/t ', unit: '' }
+      })).toEqual({
+        title: 'Speed',
+        prompt: 'Go {d}',
+        variables: [{ name: 'd', min: 1, max: 9, step: 1 }, { name: 't', choices: [2, 3] }],
+        constraints: ['d != t'],
+        answer: { expression: 'd/t', tolerance: 0, unit: null, requireUnit: true, requireSimplified: false, partialCredit: 0.5 },
+        solution: null
+      })
+    })
+  })
+
+  describe('resolveProblemQuestion', () => {
+    it('should turn a problem question into an expression question with the worked solution', () => {
+      const question = { id: 'q1', type: 'problem', prompt: 'Show your units.', answer: { templateId: 't1' }, points: 2, explanation: 'Divide' }
+      const resolved = resolveProblemQuestion(question, speed, 'user-1:q1:1')
+      const problem = generateProblem(speed, 'user-1:q1:1')
+
+      expect(resolved).toEqual({
+        ...question,
+        type: 'expression',
+        prompt: `Show your units.\n\n${problem.prompt}`,
+        answer: problem.answer,
+        explanation: problem.solution
+      })
+    })
+  })
+})
@@ -0,0 +1,345 @@
+import {
+  getQuestionError,
+  getQuizError,
+  normalizeAnswer,
+  parseNumericResponse,
+  isResponseCorrect,
+  gradeQuiz,
+  toPublicQuestion
+} from '../../utils/quiz'
+import { submitQuizAttempt, saveQuizQuestions } from '../../lib/quizzes'
+import { generateProblem } from '../../utils/problems'
+import { getOwnedCourseIds } from '../../lib/bundles'
+import { getActiveMembership } from '../../lib/memberships'
+
+jest.mock('../../lib/bundles', () => ({ getOwnedCourseIds: jest.fn() }))
+jest.mock('../../lib/memberships', () => ({ getActiveMembership: jest.fn() }))
+
+// Each supabase call resolves with the next queued result
+const results = []
+const writes = []
+const chain = (table) => {
+  const builder = {}
+  ;['select', 'eq', 'in', 'order', 'limit', 'delete'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  ;['insert', 'update', 'upsert'].forEach(method => {
+    builder[method] = jest.fn((values) => {
+      writes.push({ table, method, values })
+      return builder
+    })
+  })
+  builder.single = jest.fn(() => Promise.resolve(results.shift()))
+  builder.maybeSingle = builder.single
+  builder.then = (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject)
+  return builder
+}
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn((table) => chain(table)) }
+}))
+
+const single = {
+  id: 'q1',
+  type: 'single',
+  prompt: 'What is 2 + 2?',
+  options: [{ id: 'a', text: '3' }, { id: 'b', text: '4' }],
+  answer: { options: ['b'] },
+  points: 1,
+  explanation: '2 + 2 = 4'
+}
+
+const multiple = {
+  id: 'q2',
+  type: 'multiple',
+  prompt: 'Which are prime?',
+  options: [{ id: 'a', text: '2' }, { id: 'b', text: '4' }, { id: 'c', text: '7' }],
+  answer: { options: ['a', 'c'] },
+  points: 2
+}
+
+const numeric = {
+  id: 'q3',
+  type: 'numeric',
+  prompt: 'Give pi to two decimal places',
+  answer: { value: 3.14, tolerance: 0.005 },
+  points: 1
+}
+
+const text = {
+  id: 'q4',
+  type: 'text',
+  prompt: 'Name the longest side of a right triangle',
+  answer: { accepted: ['hypotenuse', 'the hypotenuse'] },
+  points: 1
+}
+
+const expression = {
+  id: 'q5',
+  type: 'expression',
+  prompt: 'Expand 2(x + 1)',
+  answer: { expression: '2x+2', requireSimplified: true, partialCredit: 0.5 },
+  points: 2
+}
+
+describe('Quiz Utilities', () => {
+  describe('getQuestionError', () => {
+    it('should accept valid questions of every type', () => {
+      [single, multiple, numeric, text, expression].forEach(question => {
+        expect(getQuestionError(question)).toBeNull()
+      })
+    })
+
+    it('should require a correct option that exists', () => {
+      expect(getQuestionError({ ...single, answer: { options: [] } })).toBe('Mark the correct option')
+      expect(getQuestionError({ ...single, answer: { options: ['z'] } })).toBe('Mark the correct option')
+      expect(getQuestionError({ ...single, answer: { options: ['a', 'b'] } }))
+        .toBe('Single choice questions have exactly one correct option')
+    })
+
+    it('should reject blank options, answers and points', () => {
+      expect(getQuestionError({ ...single, options: [{ id: 'a', text: ' ' }, { id: 'b', text: '4' }] }))
+        .toBe('Every option needs text')
+      expect(getQuestionError({ ...numeric, answer: { value: '' } })).toBe('Enter the correct number')
+      expect(getQuestionError({ ...numeric, answer: { value: 1, tolerance: -1 } })).toBe('Tolerance cannot be negative')
+      expect(getQuestionError({ ...text, answer: { accepted: [' '] } })).toBe('Add at least one accepted answer')
+      expect(getQuestionError({ ...text, points: 0 })).toBe('Points must be a whole number of at least 1')
+      expect(getQuestionError({ ...expression, answer: { expression: '2x+' } }))
+        .toBe('The correct expression cannot be read: The answer ends too early')
+    })
+  })
+
+  describe('getQuizError', () => {
+    it('should name the first invalid question', () => {
+      expect(getQuizError([])).toBe('Add at least one question')
+      expect(getQuizError([single, { ...text, prompt: '' }])).toBe('Question 2: A question is required')
+    })
+  })
+
+  describe('normalizeAnswer', () => {
+    it('should keep only what the type uses', () => {
+      expect(normalizeAnswer({ ...numeric, answer: { value: '3.14', tolerance: '', options: ['a'] } }))
+        .toEqual({ value: 3.14, tolerance: 0 })
+      expect(normalizeAnswer({ ...text, answer: { accepted: [' x = 2 ', ''] } }))
+        .toEqual({ accepted: ['x = 2'], caseSensitive: false })
+    })
+  })
+
+  describe('parseNumericResponse', () => {
+    it('should read typed numbers and reject anything else', () => {
+      expect(parseNumericResponse(' 3.14 ')).toBe(3.14)
+      expect(parseNumericResponse('-2')).toBe(-2)
+      expect(parseNumericResponse('')).toBeNull()
+      expect(parseNumericResponse('abc')).toBeNull()
+    })
+  })
+
+  describe('isResponseCorrect', () => {
+    it('should need exactly the correct set for multi-select', () => {
+      expect(isResponseCorrect(multiple, ['c', 'a'])).toBe(true)
+      expect(isResponseCorrect(multiple, ['a'])).toBe(false)
+      expect(isResponseCorrect(multiple, ['a', 'b', 'c'])).toBe(false)
+    })
+
+    it('should accept numbers within the tolerance', () => {
+      expect(isResponseCorrect(numeric, '3.14159')).toBe(true)
+      expect(isResponseCorrect(numeric, 3.145)).toBe(true)
+      expect(isResponseCorrect(numeric, '3.15')).toBe(false)
+    })
+
+    it('should compare text ignoring case and spacing', () => {
+      expect(isResponseCorrect(text, '  The   Hypotenuse ')).toBe(true)
+      expect(isResponseCorrect(text, 'opposite')).toBe(false)
+      expect(isResponseCorrect({ ...text, answer: { accepted: ['X'], caseSensitive: true } }, 'x')).toBe(false)
+    })
+  })
+
+  describe('gradeQuiz', () => {
+    it('should score by points and pass at the pass mark', () => {
+      const grade = gradeQuiz([single, multiple, numeric, text], { q1: 'b', q2: ['a', 'c'], q3: '3' }, 60)
+
+      expect(grade).toMatchObject({ score: 3, maxScore: 5, percentage: 60, passed: true })
+      expect(grade.results.map(result => result.correct)).toEqual([true, true, false, false])
+    })
+
+    it('should give partial points for unsimplified expressions', () => {
+      const grade = gradeQuiz([single, expression], { q1: 'b', q5: 'x+x+2' }, 50)
+
+      expect(grade).toMatchObject({ score: 2, maxScore: 3, percentage: 66.67, passed: true })
+      expect(grade.results[1]).toEqual({
+        questionId: 'q5',
+        correct: false,
+        points: 1,
+        maxPoints: 2,
+        feedback: 'Equivalent, but not fully simplified'
+      })
+      expect(gradeQuiz([expression], { q5: '2(x+1)' }).score).toBe(2)
+    })
+
+    it('should fail below the pass mark', () => {
+      expect(gradeQuiz([single, multiple], { q1: 'b' }, 70)).toMatchObject({ percentage: 33.33, passed: false })
+    })
+  })
+
+  describe('toPublicQuestion', () => {
+    it('should leave out the answer and explanation', () => {
+      const question = toPublicQuestion(single)
+
+      expect(question).not.toHaveProperty('answer')
+      expect(question).not.toHaveProperty('explanation')
+      expect(toPublicQuestion(numeric).options).toEqual([])
+    })
+  })
+
+  describe('submitQuizAttempt', () => {
+    const quizLesson = { id: 'lesson-1', course_id: 'course-1', type: 'quiz', is_preview: false, quiz_pass_percentage: 50, courses: { status: 'published' } }
+
+    beforeEach(() => {
+      jest.clearAllMocks()
+      results.length = 0
+      writes.length = 0
+    })
+
+    it('should grade on the server and complete the lesson when passed', async () => {
+      getOwnedCourseIds.mockResolvedValue(['course-1'])
+      results.push(
+        { data: quizLesson, error: null },
+        { data: [single, numeric], error: null },
+        { data: { id: 'attempt-1', score: 1, max_score: 2, percentage: 50, passed: true }, error: null },
+        { error: null },
+        { data: [{ id: 'lesson-1' }, { id: 'lesson-2' }], error: null },
+        { data: [{ lesson_id: 'lesson-1' }], error: null }
+      )
+
+      const { attempt, courseCompleted, results: graded } = await submitQuizAttempt({
+        userId: 'user-1',
+        lessonId: 'lesson-1',
+        responses: { q1: 'b', q3: '2', unknown: 'x' }
+      })
+
+      expect(attempt.passed).toBe(true)
+      expect(writes[0]).toMatchObject({
+        table: 'quiz_attempts',
+        values: { responses: { q1: 'b', q3: '2' }, score: 1, max_score: 2, passed: true }
+      })
+      expect(writes[1]).toMatchObject({ table: 'lesson_progress', values: { completed: true, progress_percentage: 100 } })
+      expect(writes).toHaveLength(2)
+      expect(courseCompleted).toBe(false)
+      expect(graded[0]).toMatchObject({ questionId: 'q1', correct: true, explanation: '2 + 2 = 4' })
+    })
+
+    it('should not complete the lesson on a failed attempt', async () => {
+      getOwnedCourseIds.mockResolvedValue(['course-1'])
+      results.push(
+        { data: quizLesson, error: null },
+        { data: [single], error: null },
+        { data: { id: 'attempt-1', passed: false }, error: null }
+      )
+
+      await submitQuizAttempt({ userId: 'user-1', lessonId: 'lesson-1', responses: { q1: 'a' } })
+
+      expect(writes.map(write => write.table)).toEqual(['quiz_attempts'])
+    })
+
+    it('should complete the course when the quiz is its last lesson', async () => {
+      getOwnedCourseIds.mockResolvedValue(['course-1'])
+      results.push(
+        { data: quizLesson, error: null },
+        { data: [single], error: null },
+        { data: { id: 'attempt-1', passed: true }, error: null },
+        { error: null },
+        { data: [{ id: 'lesson-0' }, { id: 'lesson-1' }], error: null },
+        { data: [{ lesson_id: 'lesson-0' }, { lesson_id: 'lesson-1' }], error: null },
+        { error: null }
+      )
+
+      const { courseCompleted } = await submitQuizAttempt({ userId: 'user-1', lessonId: 'lesson-1', responses: { q1: 'b' } })
+
+      expect(courseCompleted).toBe(true)
+      expect(writes[2]).toMatchObject({
+        table: 'course_completions',
+        method: 'upsert',
+        values: { user_id: 'user-1', course_id: 'course-1', completion_percentage: 100 }
+      })
+    })
+
+    it('should grade generated problems against the numbers for this attempt', async () => {
+      const template = {
+        id: 't1',
+        title: 'Sum',
+        prompt: 'What is {a} + {b}?',
+        variables: [{ name: 'a', min: 1, max: 50 }, { name: 'b', min: 1, max: 50 }],
+        constraints: [],
+        answer: { expression: 'a + b' },
+        solution: '{a} + {b} = {= a + b}'
+      }
+      const problem = { id: 'q6', type: 'problem', prompt: '', answer: { templateId: 't1' }, points: 1 }
+      const { answer, solution } = generateProblem(template, 'user-1:q6:3')
+
+      getOwnedCourseIds.mockResolvedValue(['course-1'])
+      results.push(
+        { data: quizLesson, error: null },
+        { data: [problem], error: null },
+        { data: [template], error: null },
+        { count: 2, error: null },
+        { data: { id: 'attempt-3', passed: true }, error: null },
+        { error: null },
+        { data: [], error: null }
+      )
+
+      const { results: graded } = await submitQuizAttempt({
+        userId: 'user-1',
+        lessonId: 'lesson-1',
+        responses: { q6: answer.expression }
+      })
+
+      expect(graded[0]).toMatchObject({ questionId: 'q6', correct: true, explanation: solution })
+    })
+
+    it('should refuse students without access', async () => {
+      getOwnedCourseIds.mockResolvedValue([])
+      getActiveMembership.mockResolvedValue(null)
+      results.push({ data: quizLesson, error: null })
+
+      await expect(submitQuizAttempt({ userId: 'user-1', lessonId: 'lesson-1', responses: {} }))
+        .rejects.toThrow('Enroll in the course to take this quiz')
+    })
+  })
+
+  describe('saveQuizQuestions', () => {
+    beforeEach(() => {
+      jest.clearAllMocks()
+      results.length = 0
+      writes.length = 0
+    })
+
+    it('should keep ids of existing questions and drop removed ones', async () => {
+      results.push(
+        { data: { id: 'lesson-1', type: 'quiz' }, error: null },
+        { data: [{ id: 'q1' }, { id: 'q-old' }], error: null },
+        { data: [], error: null },
+        { error: null },
+        { error: null }
+      )
+
+      await saveQuizQuestions({
+        lessonId: 'lesson-1',
+        passPercentage: 80,
+        questions: [single, { ...text, id: 'question-from-another-lesson' }]
+      })
+
+      const [upsert] = writes
+      expect(upsert.values[0].id).toBe('q1')
+      expect(upsert.values[1].id).not.toBe('question-from-another-lesson')
+      expect(upsert.values[1]).toMatchObject({ position: 1, options: [], answer: { accepted: ['hypotenuse', 'the hypotenuse'] } })
+      expect(writes[1]).toMatchObject({ table: 'lessons', values: { quiz_pass_percentage: 80 } })
+    })
+
+    it('should reject invalid quizzes before touching the database', async () => {
+      await expect(saveQuizQuestions({ lessonId: 'lesson-1', questions: [] })).rejects.toThrow('Add at least one question')
+      await expect(saveQuizQuestions({ lessonId: 'lesson-1', questions: [single], passPercentage: 0 }))
+        .rejects.toThrow('Pass mark')
+      expect(writes).toHaveLength(0)
+    })
+  })
+})
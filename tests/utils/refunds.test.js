@@ -0,0 +1,76 @@
+import { getRefundIneligibility, revokeCourseAccess } from '../../lib/refunds'
+import { supabase } from '../../lib/supabase-admin'
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn() }
+}))
+
+jest.mock('../../lib/stripe', () => ({
+  createRefund: jest.fn(),
+  getCheckoutSession: jest.fn()
+}))
+
+const now = new Date('2026-03-10T12:00:00Z')
+
+const makePayment = (overrides = {}) => ({
+  id: 'payment-1',
+  status: 'approved',
+  created_at: '2026-03-05T12:00:00Z',
+  approved_at: '2026-03-05T12:05:00Z',
+  ...overrides
+})
+
+describe('Refund Utilities', () => {
+  describe('getRefundIneligibility', () => {
+    it('should allow refunds inside the window with little progress', () => {
+      expect(getRefundIneligibility({ payment: makePayment(), progress: 20, now })).toBeNull()
+    })
+
+    it('should reject payments that are not approved', () => {
+      expect(getRefundIneligibility({ payment: makePayment({ status: 'pending' }), now }))
+        .toBe('No refundable payment found for this course')
+      expect(getRefundIneligibility({ payment: makePayment({ status: 'refunded' }), now }))
+        .toBe('No refundable payment found for this course')
+      expect(getRefundIneligibility({ payment: null, now }))
+        .toBe('No refundable payment found for this course')
+    })
+
+    it('should reject requests after the refund window', () => {
+      const payment = makePayment({ approved_at: '2026-03-01T12:00:00Z' })
+      expect(getRefundIneligibility({ payment, now }))
+        .toBe('Refunds must be requested within 7 days of purchase')
+    })
+
+    it('should fall back to the creation date when approved_at is missing', () => {
+      const payment = makePayment({ approved_at: null, created_at: '2026-02-01T12:00:00Z' })
+      expect(getRefundIneligibility({ payment, now })).not.toBeNull()
+    })
+
+    it('should reject courses past the progress limit', () => {
+      expect(getRefundIneligibility({ payment: makePayment(), progress: 50, now })).toBeNull()
+      expect(getRefundIneligibility({ payment: makePayment(), progress: 51, now }))
+        .toBe('Courses more than 50% complete are not eligible for a refund')
+    })
+
+    it('should reject scholarship waivers', () => {
+      expect(getRefundIneligibility({ payment: makePayment({ method: 'scholarship' }), now }))
+        .toBe('Courses awarded through a scholarship cannot be refunded')
+    })
+  })
+
+  describe('revokeCourseAccess', () => {
+    it('should only remove the access the refunded payment granted', async () => {
+      const query = {
+        delete: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        then: (resolve) => resolve({ error: null })
+      }
+      supabase.from.mockReturnValue(query)
+
+      await revokeCourseAccess({ id: 'payment-1', user_id: 'user-1', course_id: 'course-1' })
+
+      expect(supabase.from).toHaveBeenCalledWith('purchases')
+      expect(query.eq.mock.calls).toEqual([['user_id', 'user-1'], ['payment_id', 'payment-1']])
+    })
+  })
+})
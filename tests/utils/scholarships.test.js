@@ -0,0 +1,201 @@
+import {
+  generateScholarshipCode,
+  parseScholarshipDocuments,
+  approveScholarship,
+  rejectScholarship
+} from '../../lib/scholarships'
+import { sendEmail } from '../../lib/email'
+import { fulfillPayment } from '../../lib/fulfillment'
+
+jest.mock('../../lib/email', () => ({ sendEmail: jest.fn() }))
+jest.mock('../../lib/bundles', () => ({ getOwnedCourseIds: jest.fn(() => Promise.resolve([])) }))
+jest.mock('../../lib/fulfillment', () => ({
+  FULFILLMENT_SOURCES: { SCHOLARSHIP: 'scholarship' },
+  fulfillPayment: jest.fn(() => Promise.resolve({ failedSteps: [] }))
+}))
+
+// Each supabase call resolves with the next queued result
+const results = []
+const inserts = []
+const updates = []
+const chain = () => {
+  const builder = {}
+  ;['select', 'eq'].forEach(method => {
+    builder[method] = jest.fn(() => builder)
+  })
+  builder.insert = jest.fn((values) => {
+    inserts.push(values)
+    return builder
+  })
+  builder.update = jest.fn((values) => {
+    updates.push(values)
+    return builder
+  })
+  builder.single = jest.fn(() => Promise.resolve(results.shift()))
+  builder.maybeSingle = builder.single
+  builder.then = (resolve, reject) => Promise.resolve(results.shift()).then(resolve, reject)
+  return builder
+}
+
+jest.mock('../../lib/supabase-admin', () => ({
+  supabase: { from: jest.fn(() => chain()) }
+}))
+
+const application = {
+  id: 'application-1',
+  user_id: 'user-1',
+  course_id: 'course-1',
+  status: 'pending',
+  profiles: { name: 'Nimali', email: 'nimali@example.com' },
+  courses: { title: 'Algebra', price: 12000 }
+}
+
+const base64 = (text) => Buffer.from(text).toString('base64')
+
+describe('Scholarships', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+    results.length = 0
+    inserts.length = 0
+    updates.length = 0
+  })
+
+  describe('generateScholarshipCode', () => {
+    it('should generate prefixed codes without ambiguous characters', () => {
+      const code = generateScholarshipCode()
+      expect(code).toMatch(/^SCH-[A-HJ-NP-Z2-9]{8}$/)
+    })
+  })
+
+  describe('parseScholarshipDocuments', () => {
+    it('should decode documents and pick the extension from the type', () => {
+      const [document] = parseScholarshipDocuments([
+        { data: base64('letter'), filename: 'letter.pdf', type: 'application/pdf' }
+      ])
+
+      expect(document.extension).toBe('pdf')
+      expect(document.buffer.toString()).toBe('letter')
+    })
+
+    it('should reject unsupported, empty and too many documents', () => {
+      expect(() => parseScholarshipDocuments([{ data: base64('x'), type: 'text/plain' }]))
+        .toThrow('JPG, PNG, WEBP or PDF')
+      expect(() => parseScholarshipDocuments([{ data: '', type: 'image/png' }]))
+        .toThrow('smaller than 5MB')
+
+      const document = { data: base64('x'), type: 'image/png' }
+      expect(() => parseScholarshipDocuments([document, document, document, document]))
+        .toThrow('up to 3')
+    })
+  })
+
+  describe('approveScholarship', () => {
+    it('should record a zero-amount scholarship payment for a waiver and fulfil it', async () => {
+      results.push(
+        { data: application, error: null },
+        { data: [{ id: application.id }], error: null },
+        { data: { id: 'payment-1', amount: 0 }, error: null },
+        { error: null }
+      )
+
+      const result = await approveScholarship({ applicationId: application.id, adminId: 'admin-1', award: 'waiver' })
+
+      expect(inserts[0]).toMatchObject({
+        amount: 0,
+        method: 'scholarship',
+        status: 'approved',
+        original_amount: 12000,
+        discount_amount: 12000
+      })
+      expect(updates[1]).toEqual({ payment_id: 'payment-1' })
+      expect(fulfillPayment).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'payment-1', profiles: application.profiles }),
+        { source: 'scholarship' }
+      )
+      expect(result.failedSteps).toEqual([])
+    })
+
+    it('should email a single-use coupon for a discount', async () => {
+      results.push(
+        { data: application, error: null },
+        { data: [{ id: application.id }], error: null },
+        { data: { id: 'coupon-1', code: 'SCH-ABCDEFGH', expires_at: '2026-06-01T00:00:00Z' }, error: null },
+        { error: null }
+      )
+
+      const result = await approveScholarship({
+        applicationId: application.id,
+        adminId: 'admin-1',
+        award: 'discount',
+        discountPercent: 40
+      })
+
+      expect(inserts[0]).toMatchObject({
+        discount_type: 'percentage',
+        discount_value: 40,
+        course_ids: ['course-1'],
+        user_id: 'user-1',
+        max_redemptions: 1
+      })
+      expect(result.coupon.code).toBe('SCH-ABCDEFGH')
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        template: 'scholarship-approved',
+        data: expect.objectContaining({ couponCode: 'SCH-ABCDEFGH', discountPercent: 40 })
+      }))
+      expect(fulfillPayment).not.toHaveBeenCalled()
+    })
+
+    it('should reject discounts outside 1-99%', async () => {
+      await expect(approveScholarship({ applicationId: application.id, adminId: 'admin-1', award: 'discount', discountPercent: 100 }))
+        .rejects.toThrow('between 1% and 99%')
+      await expect(approveScholarship({ applicationId: application.id, adminId: 'admin-1', award: 'free' }))
+        .rejects.toThrow('Invalid scholarship award')
+    })
+
+    it('should not award an application another admin already claimed', async () => {
+      results.push(
+        { data: application, error: null },
+        { data: [], error: null }
+      )
+
+      await expect(approveScholarship({ applicationId: application.id, adminId: 'admin-1', award: 'waiver' }))
+        .rejects.toThrow('Application already reviewed')
+      expect(inserts).toHaveLength(0)
+    })
+
+    it('should reopen the application when the award cannot be created', async () => {
+      results.push(
+        { data: application, error: null },
+        { data: [{ id: application.id }], error: null },
+        { data: null, error: new Error('insert failed') },
+        { error: null }
+      )
+
+      await expect(approveScholarship({ applicationId: application.id, adminId: 'admin-1', award: 'waiver' }))
+        .rejects.toThrow('insert failed')
+      expect(updates[1]).toMatchObject({ status: 'pending', award_type: null, reviewed_by: null })
+    })
+  })
+
+  describe('rejectScholarship', () => {
+    it('should require a reason', async () => {
+      await expect(rejectScholarship({ applicationId: application.id, adminId: 'admin-1', note: ' ' }))
+        .rejects.toThrow('A reason is required')
+    })
+
+    it('should email the student the reason', async () => {
+      results.push(
+        { data: application, error: null },
+        { data: [{ id: application.id }], error: null }
+      )
+
+      await rejectScholarship({ applicationId: application.id, adminId: 'admin-1', note: 'Please reapply with a school letter' })
+
+      expect(updates[0]).toMatchObject({ status: 'rejected', admin_note: 'Please reapply with a school letter' })
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        template: 'scholarship-rejected',
+        data: expect.objectContaining({ reason: 'Please reapply with a school letter' })
+      }))
+    })
+  })
+})
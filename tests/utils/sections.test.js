@@ -0,0 +1,61 @@
+import {
+  groupLessonsBySection,
+  orderLessonsBySection,
+  getSectionProgress
+} from '../../utils/sections'
+
+const sections = [
+  { id: 's2', title: 'Unit 2: Derivatives', position: 1 },
+  { id: 's1', title: 'Unit 1: Limits', position: 0 },
+  { id: 's3', title: 'Unit 3: Integrals', position: 2 }
+]
+
+const lessons = [
+  { id: 'l1', title: 'Welcome', section_id: null },
+  { id: 'l2', title: 'Power rule', section_id: 's2' },
+  { id: 'l3', title: 'What is a limit?', section_id: 's1' },
+  { id: 'l4', title: 'Chain rule', section_id: 's2' },
+  { id: 'l5', title: 'Old section', section_id: 'gone' }
+]
+
+describe('Course Sections', () => {
+  describe('groupLessonsBySection', () => {
+    it('should group lessons under sections in position order, unsectioned first', () => {
+      const groups = groupLessonsBySection(sections, lessons)
+
+      expect(groups.map(group => group.section?.id ?? null)).toEqual([null, 's1', 's2', 's3'])
+      expect(groups.map(group => group.lessons.map(lesson => lesson.id))).toEqual([
+        ['l1', 'l5'],
+        ['l3'],
+        ['l2', 'l4'],
+        []
+      ])
+    })
+
+    it('should number lessons through the whole course', () => {
+      const groups = groupLessonsBySection(sections, lessons)
+      expect(groups.flatMap(group => group.lessons.map(lesson => lesson.index))).toEqual([0, 1, 2, 3, 4])
+    })
+
+    it('should leave out the unsectioned group when every lesson has a section', () => {
+      const groups = groupLessonsBySection(sections, lessons.slice(1, 4))
+      expect(groups[0].section.id).toBe('s1')
+    })
+  })
+
+  describe('orderLessonsBySection', () => {
+    it('should list lessons as they are shown', () => {
+      expect(orderLessonsBySection(sections, lessons).map(lesson => lesson.id)).toEqual(['l1', 'l5', 'l3', 'l2', 'l4'])
+      expect(orderLessonsBySection(sections, lessons)[0]).not.toHaveProperty('index')
+    })
+  })
+
+  describe('getSectionProgress', () => {
+    it('should count completed lessons', () => {
+      const progress = { l2: { completed: true }, l4: { completed: false } }
+
+      expect(getSectionProgress([lessons[1], lessons[3]], progress)).toEqual({ completed: 1, total: 2, percentage: 50 })
+      expect(getSectionProgress([], progress)).toEqual({ completed: 0, total: 0, percentage: 0 })
+    })
+  })
+})
@@ -0,0 +1,80 @@
+/**
+ * Affiliate Utilities
+ * Client-safe helpers for the affiliate dashboard and admin ledger
+ */
+
+import { REFUND_POLICY } from './constants'
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100
+
+const escapeCsvValue = (value) => {
+  const text = value == null ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Link that credits an affiliate for sales it brings in
+ * @param {string} origin - site origin, e.g. https://mathpro.lk
+ * @param {string} code - referral code
+ * @param {string} [path] - page the link opens
+ * @returns {string}
+ */
+export const getReferralLink = (origin, code, path = '/courses') => {
+  return `${origin}${path}?ref=${encodeURIComponent(code)}`
+}
+
+/**
+ * Whether a pending commission has outlived the refund window and can be
+ * paid out
+ * @param {{ status: string, created_at: string }} commission
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isCommissionPayable = (commission, now = new Date()) => {
+  const payableFrom = new Date(commission.created_at)
+  payableFrom.setDate(payableFrom.getDate() + REFUND_POLICY.WINDOW_DAYS)
+
+  return commission.status === 'pending' && payableFrom <= now
+}
+
+/**
+ * Conversions and earnings from an affiliate's commissions. Voided
+ * commissions (refunded sales) are left out.
+ * @param {Array<{ amount: number, status: string }>} commissions
+ * @returns {{ conversions: number, earned: number, pending: number, paid: number }}
+ */
+export const summarizeCommissions = (commissions) => {
+  const counted = commissions.filter(commission => commission.status !== 'void')
+  const total = (rows) => roundAmount(rows.reduce((sum, row) => sum + Number(row.amount), 0))
+
+  return {
+    conversions: counted.length,
+    earned: total(counted),
+    pending: total(counted.filter(commission => commission.status === 'pending')),
+    paid: total(counted.filter(commission => commission.status === 'paid'))
+  }
+}
+
+/**
+ * Build the payout ledger CSV for accounts
+ * @param {Array<Object>} commissions - affiliate_commissions rows with `affiliates` (code, profiles) and `affiliate_payouts`
+ * @returns {string}
+ */
+export const affiliateLedgerToCsv = (commissions) => {
+  return [
+    ['date', 'affiliate_code', 'affiliate_name', 'affiliate_email', 'item', 'order_amount', 'commission', 'currency', 'status', 'payout_reference', 'paid_at'],
+    ...commissions.map(commission => [
+      commission.created_at,
+      commission.affiliates?.code || '',
+      commission.affiliates?.profiles?.name || '',
+      commission.affiliates?.profiles?.email || '',
+      commission.description || '',
+      commission.order_amount,
+      commission.amount,
+      commission.currency,
+      commission.status,
+      commission.affiliate_payouts?.reference || '',
+      commission.affiliate_payouts?.paid_at || ''
+    ])
+  ].map(row => row.map(escapeCsvValue).join(',')).join('\n')
+}
@@ -104,6 +104,22 @@ export const getUserInitials = (user) => {
   return (parts[0].charAt(0) + parts[parts.length - 1].charAt(0)).toUpperCase();
 };
 
+/**
+ * Check if a membership currently gives access to courses. Past-due
+ * memberships keep access until their grace period ends.
+ * @param {{ status: string, grace_until?: string | null } | null} membership
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export const isMembershipActive = (membership, now = new Date()) => {
+  if (!membership) return false;
+  if (['active', 'trialing'].includes(membership.status)) return true;
+  if (['past_due', 'unpaid'].includes(membership.status)) {
+    return !!membership.grace_until && new Date(membership.grace_until) > now;
+  }
+  return false;
+};
+
 /**
  * Token management utilities
  */
@@ -413,16 +429,20 @@ export const permissions = {
   canViewPayments: (user) => isAdmin(user),
 
   /**
-   * Check if user can access course content
+   * Check if user can access course content. An active membership
+   * unlocks every published course.
    * @param {User | null} user
    * @param {string} courseId
    * @param {string[]} [purchasedCourses=[]]
+   * @param {{ status: string, grace_until?: string | null } | null} [membership=null]
+   * @param {string} [courseStatus='published']
    * @returns {boolean}
    */
-  canAccessCourse: (user, courseId, purchasedCourses = []) => {
+  canAccessCourse: (user, courseId, purchasedCourses = [], membership = null, courseStatus = 'published') => {
     if (!user) return false;
     if (isAdmin(user)) return true;
-    return purchasedCourses.includes(courseId);
+    if (purchasedCourses.includes(courseId)) return true;
+    return courseStatus === 'published' && isMembershipActive(membership);
   },
 
   /**
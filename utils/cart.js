@@ -0,0 +1,83 @@
+/**
+ * Cart Utilities
+ * Client-safe helpers for the shopping cart. Guests keep their cart in
+ * local storage; it is merged into the saved cart once they sign in.
+ */
+
+import { Storage } from './storage'
+import { CART } from './constants'
+
+const guestStorage = new Storage('localStorage', { prefix: 'mathpro_' })
+
+/**
+ * Courses in the guest cart
+ * @returns {Array<{ id: string, title: string, price: number, thumbnail?: string }>}
+ */
+export const getGuestCart = () => {
+  return guestStorage.get(CART.STORAGE_KEY) || []
+}
+
+/**
+ * Tell every mounted cart that its contents changed
+ */
+export const notifyCartUpdated = () => {
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new Event(CART.UPDATED_EVENT))
+  }
+}
+
+/**
+ * Add a course to the guest cart, keeping what the drawer needs to show it
+ * @param {{ id: string, title: string, price: number, thumbnail?: string }} course
+ * @returns {boolean} false when the cart is full
+ */
+export const addToGuestCart = (course) => {
+  const items = getGuestCart()
+  if (items.some(item => item.id === course.id)) return true
+  if (items.length >= CART.MAX_ITEMS) return false
+
+  guestStorage.set(CART.STORAGE_KEY, [
+    ...items,
+    { id: course.id, title: course.title, price: course.price, thumbnail: course.thumbnail || null }
+  ])
+  notifyCartUpdated()
+  return true
+}
+
+export const removeFromGuestCart = (courseId) => {
+  guestStorage.set(CART.STORAGE_KEY, getGuestCart().filter(item => item.id !== courseId))
+  notifyCartUpdated()
+}
+
+export const clearGuestCart = () => {
+  guestStorage.remove(CART.STORAGE_KEY)
+  notifyCartUpdated()
+}
+
+/**
+ * Sum of cart item prices
+ * @param {Array<{ price: number }>} items
+ * @returns {number}
+ */
+export const getCartTotal = (items) => {
+  return items.reduce((total, item) => total + Number(item.price || 0), 0)
+}
+
+/**
+ * Name for a multi-course order, e.g. in emails and on the success page
+ * @param {Array<{ title: string }>} orderItems - payments.order_items
+ * @returns {string}
+ */
+export const getOrderTitle = (orderItems = []) => {
+  return orderItems.map(item => item.title).join(', ')
+}
+
+/**
+ * Whether a payment paid for several courses at once, as a bundle or a
+ * cart order. Such payments are only refunded whole.
+ * @param {{ bundle_id?: string, order_items?: Array<Object> }} payment
+ * @returns {boolean}
+ */
+export const isMultiCoursePayment = (payment) => {
+  return Boolean(payment?.bundle_id) || (payment?.order_items?.length || 0) > 1
+}
@@ -2,9 +2,9 @@
  * Application Constants
  * Centralized configuration and constants with proper JSDoc types
  * @typedef {'student' | 'admin'} UserRole
- * @typedef {'payhere' | 'stripe' | 'bank'} PaymentMethod
- * @typedef {'pending' | 'approved' | 'rejected' | 'failed'} PaymentStatus
- * @typedef {'video' | 'post'} LessonType
+ * @typedef {'payhere' | 'stripe' | 'bank' | 'scholarship'} PaymentMethod
+ * @typedef {'pending' | 'approved' | 'rejected' | 'failed' | 'refunded'} PaymentStatus
+ * @typedef {'video' | 'post' | 'quiz'} LessonType
  * @typedef {'welcome' | 'payment-success' | 'bank-approval' | 'password-reset' | 'course-reminder' | 'announcement'} EmailTemplate
  */
 
@@ -31,6 +31,36 @@ export const CURRENCY = {
   CONVERSION_RATE: 100, // For cents conversion
 };
 
+/**
+ * Currencies a course can be listed in. LKR is `courses.price`; the others
+ * are optional entries in `courses.prices`.
+ * @type {const}
+ */
+export const SUPPORTED_CURRENCIES = {
+  LKR: { symbol: 'LKR', decimals: 0, label: 'Sri Lankan Rupee' },
+  USD: { symbol: '$', decimals: 2, label: 'US Dollar' },
+  GBP: { symbol: '£', decimals: 2, label: 'British Pound' },
+  EUR: { symbol: '€', decimals: 2, label: 'Euro' },
+  AUD: { symbol: 'A$', decimals: 2, label: 'Australian Dollar' },
+};
+
+/**
+ * Currency for visitors whose locale names one of these regions
+ * @type {const}
+ */
+export const REGION_CURRENCIES = {
+  LK: 'LKR',
+  US: 'USD',
+  GB: 'GBP',
+  AU: 'AUD',
+  DE: 'EUR',
+  FR: 'EUR',
+  IE: 'EUR',
+  IT: 'EUR',
+  NL: 'EUR',
+  ES: 'EUR',
+};
+
 /**
  * Course Categories
  * @type {const}
@@ -80,6 +110,7 @@ export const PAYMENT_METHODS = {
   PAYHERE: 'payhere',
   STRIPE: 'stripe',
   BANK: 'bank',
+  SCHOLARSHIP: 'scholarship',
 };
 
 /** @type {Record<string, PaymentStatus>} */
@@ -88,12 +119,90 @@ export const PAYMENT_STATUS = {
   APPROVED: 'approved',
   REJECTED: 'rejected',
   FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+export const REFUND_POLICY = {
+  WINDOW_DAYS: 7,
+  MAX_PROGRESS_PERCENT: 50,
+};
+
+export const COUPON_DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+};
+
+export const COMMISSION_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+};
+
+export const AFFILIATE = {
+  COOKIE: 'mathpro_ref',
+  COOKIE_DAYS: 30,
+  DEFAULT_COMMISSION_PERCENT: 10,
+};
+
+export const ACCOUNTING_EXPORT = {
+  FORMATS: {
+    CSV: 'csv',
+    IIF: 'iif',
+    XERO: 'xero',
+  },
+  STATUSES: ['approved', 'completed', 'refunded', 'pending'],
+  // Export dates are the business's local dates (Sri Lanka has no DST)
+  TIME_ZONE: 'Asia/Colombo',
+  UTC_OFFSET: '+05:30',
+  ACCOUNTS: {
+    CLEARING: 'Undeposited Funds',
+    SALES: 'Course Sales',
+    FEES: 'Merchant Fees',
+  },
+};
+
+export const MEMBERSHIP_PLANS = {
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+};
+
+export const MEMBERSHIP_GRACE_DAYS = 7;
+
+export const INSTALLMENT_POLICY = {
+  REMINDER_DAYS: 3,
+  GRACE_DAYS: 7,
+};
+
+export const CART = {
+  MAX_ITEMS: 5,
+  STORAGE_KEY: 'cart',
+  UPDATED_EVENT: 'cart-updated',
 };
 
 /** @type {Record<string, LessonType>} */
 export const LESSON_TYPES = {
   VIDEO: 'video',
   POST: 'post',
+  QUIZ: 'quiz',
+};
+
+export const QUIZ = {
+  QUESTION_TYPES: {
+    SINGLE: 'single',
+    MULTIPLE: 'multiple',
+    NUMERIC: 'numeric',
+    TEXT: 'text',
+    EXPRESSION: 'expression',
+    PROBLEM: 'problem',
+  },
+  DEFAULT_PASS_PERCENTAGE: 70,
+  MAX_QUESTIONS: 50,
+  MAX_OPTIONS: 8,
+};
+
+export const PROBLEM_TEMPLATES = {
+  MAX_VARIABLES: 10,
+  MAX_CONSTRAINTS: 10,
+  MAX_WORKSHEET_PROBLEMS: 50,
 };
 
 /** @type {Record<string, EmailTemplate>} */
@@ -0,0 +1,105 @@
+/**
+ * Currency Utilities
+ * Client-safe helpers for per-currency course prices. `courses.price` is
+ * the LKR price; `courses.prices` maps other currency codes to the price
+ * an admin listed for them, e.g. { USD: 15, GBP: 12 }.
+ */
+
+import { CURRENCY, SUPPORTED_CURRENCIES, REGION_CURRENCIES } from './constants'
+
+/**
+ * Whether a currency code is one courses can be listed in
+ * @param {string} currency
+ * @returns {boolean}
+ */
+export const isSupportedCurrency = (currency) => {
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_CURRENCIES, currency)
+}
+
+/**
+ * Currency for a browser locale such as 'en-GB', or null when the locale
+ * names no region we list prices for
+ * @param {string} [locale]
+ * @returns {string | null}
+ */
+export const getLocaleCurrency = (locale) => {
+  const region = locale?.split(/[-_]/)[1]?.toUpperCase()
+  return (region && REGION_CURRENCIES[region]) || null
+}
+
+/**
+ * Currency to show a visitor: the one saved on their profile, else the one
+ * their locale suggests, else LKR
+ * @param {{ profileCurrency?: string, locale?: string }} visitor
+ * @returns {string}
+ */
+export const resolveVisitorCurrency = ({ profileCurrency, locale } = {}) => {
+  if (profileCurrency && isSupportedCurrency(profileCurrency)) return profileCurrency
+  return getLocaleCurrency(locale) || CURRENCY.CODE
+}
+
+/**
+ * Price of a course in a currency. Courses without a listed price in that
+ * currency fall back to their LKR price.
+ * @param {{ price: number, prices?: Record<string, number> }} course
+ * @param {string} currency
+ * @returns {{ amount: number, currency: string, listed: boolean }} listed is false for the LKR fallback
+ */
+export const getListedPrice = (course, currency) => {
+  const listed = currency !== CURRENCY.CODE && Number(course?.prices?.[currency])
+
+  if (listed > 0) {
+    return { amount: listed, currency, listed: true }
+  }
+
+  return { amount: Number(course?.price || 0), currency: CURRENCY.CODE, listed: currency === CURRENCY.CODE }
+}
+
+/**
+ * Clean a price list from the admin form: drop empty entries and LKR
+ * (kept in `courses.price`), and turn the rest into numbers
+ * @param {Record<string, string | number>} prices
+ * @returns {{ prices: Record<string, number>, errors: Record<string, string> }}
+ */
+export const normalizePriceList = (prices = {}) => {
+  const normalized = {}
+  const errors = {}
+
+  Object.entries(prices).forEach(([currency, value]) => {
+    if (currency === CURRENCY.CODE || value === '' || value === null || value === undefined) return
+
+    const amount = Number(value)
+    if (!isSupportedCurrency(currency)) {
+      errors[currency] = 'Unsupported currency'
+    } else if (!Number.isFinite(amount) || amount <= 0) {
+      errors[currency] = 'Price must be greater than 0'
+    } else {
+      normalized[currency] = Math.round(amount * 100) / 100
+    }
+  })
+
+  return { prices: normalized, errors }
+}
+
+/**
+ * What to charge for a course in a currency it has a listed price in. A
+ * coupon discounts the listed price by the same share it took off the LKR
+ * price. Returns null when the course is not listed in that currency.
+ * @param {{ price: number, prices?: Record<string, number> }} course
+ * @param {string} currency
+ * @param {number} amount - LKR amount due after any coupon
+ * @returns {{ amount: number, currency: string, rate: number, snapshot: null } | null}
+ */
+export const getListedCharge = (course, currency, amount) => {
+  const listed = getListedPrice(course, currency)
+  if (!listed.listed || listed.currency === CURRENCY.CODE || !(course.price > 0)) return null
+
+  const charged = Math.round((listed.amount * amount / course.price) * 100) / 100
+
+  return {
+    amount: charged,
+    currency: listed.currency,
+    rate: charged / amount,
+    snapshot: null
+  }
+}
@@ -0,0 +1,742 @@
+/**
+ * Expression Checker
+ * Reads typed algebra such as `2(x+1)` or `sqrt(x)/2` and decides whether
+ * it is equivalent to an answer key: first by expanding both sides into
+ * polynomials, then by evaluating them at random points. Quiz grading uses
+ * it for expression questions, which only ever happens on the server where
+ * the keys live; the editor uses the same parser to validate keys.
+ *
+ * Input supports + - * / ^, implicit multiplication (2x, 3(x+1),
+ * (a+b)(a-b)), the functions in FUNCTIONS, the constants pi and e, and
+ * single-letter variables. Numeric answers may carry units from UNITS.
+ *
+ * Answer keys are stored as:
+ *   { expression, tolerance?, unit?, requireUnit?, requireSimplified?, partialCredit? }
+ */
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10
+}
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+}
+
+// Longest first, so `asin` is not read as `a * sin`
+const NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length)
+
+const SYMBOLS = {
+  '×': '*',
+  '·': '*',
+  '∙': '*',
+  '÷': '/',
+  '−': '-',
+  'π': 'pi',
+  '√': 'sqrt'
+}
+
+// Scale to SI and exponents of [length, mass, time]
+const UNITS = {
+  mm: [0.001, [1, 0, 0]],
+  cm: [0.01, [1, 0, 0]],
+  m: [1, [1, 0, 0]],
+  km: [1000, [1, 0, 0]],
+  mg: [0.000001, [0, 1, 0]],
+  g: [0.001, [0, 1, 0]],
+  kg: [1, [0, 1, 0]],
+  ms: [0.001, [0, 0, 1]],
+  s: [1, [0, 0, 1]],
+  min: [60, [0, 0, 1]],
+  h: [3600, [0, 0, 1]],
+  mL: [0.000001, [3, 0, 0]],
+  L: [0.001, [3, 0, 0]],
+  Hz: [1, [0, 0, -1]],
+  N: [1, [1, 1, -2]],
+  kN: [1000, [1, 1, -2]],
+  Pa: [1, [-1, 1, -2]],
+  kPa: [1000, [-1, 1, -2]],
+  J: [1, [2, 1, -2]],
+  kJ: [1000, [2, 1, -2]],
+  W: [1, [2, 1, -3]],
+  kW: [1000, [2, 1, -3]]
+}
+
+// Share of the points for an equivalent answer that is not simplified
+export const DEFAULT_PARTIAL_CREDIT = 0.5
+
+// Random points each side is evaluated at, and how many tries to find them
+// where both sides are defined
+const SAMPLE_COUNT = 8
+const MAX_SAMPLE_TRIES = 60
+
+// Floating point noise allowed between equivalent expressions
+const RELATIVE_EPSILON = 1e-9
+
+// Largest power expanded when comparing polynomials
+const MAX_EXPANDED_POWER = 12
+
+const MAX_INPUT_LENGTH = 200
+
+const tokenize = (input) => {
+  const source = String(input ?? '').replace(/[×·∙÷−π√]/g, char => SYMBOLS[char])
+  const tokens = []
+  let i = 0
+
+  while (i < source.length) {
+    const char = source[i]
+
+    if (/\s/.test(char)) {
+      i += 1
+      continue
+    }
+
+    const number = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/)
+    if (number) {
+      tokens.push({ type: 'num', value: Number(number[0]) })
+      i += number[0].length
+      continue
+    }
+
+    if (/[a-zA-Z]/.test(char)) {
+      const name = NAMES.find(candidate => source.startsWith(candidate, i))
+      if (name) {
+        tokens.push({ type: FUNCTIONS[name] ? 'fn' : 'const', value: name })
+        i += name.length
+      } else {
+        tokens.push({ type: 'var', value: char })
+        i += 1
+      }
+      continue
+    }
+
+    if (char === '*' && source[i + 1] === '*') {
+      tokens.push({ type: 'op', value: '^' })
+      i += 2
+      continue
+    }
+
+    if ('+-*/^'.includes(char)) {
+      tokens.push({ type: 'op', value: char })
+    } else if ('(['.includes(char)) {
+      tokens.push({ type: '(' })
+    } else if (')]'.includes(char)) {
+      tokens.push({ type: ')' })
+    } else {
+      throw new Error(`Unexpected "${char}"`)
+    }
+    i += 1
+  }
+
+  return tokens
+}
+
+const startsOperand = (token) => token && ['num', 'var', 'const', 'fn', '('].includes(token.type)
+
+/**
+ * Parse typed algebra
+ * @param {string} input
+ * @returns {Object} expression tree
+ * @throws {Error} with a message fit to show the student
+ */
+export const parseExpression = (input) => {
+  if (String(input ?? '').length > MAX_INPUT_LENGTH) throw new Error('That answer is too long')
+
+  const tokens = tokenize(input)
+  if (!tokens.length) throw new Error('Enter an answer')
+
+  let position = 0
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const isOp = (op) => peek()?.type === 'op' && peek().value === op
+
+  const parseSum = () => {
+    let node = parseProduct()
+    while (isOp('+') || isOp('-')) {
+      const op = next().value
+      node = { type: 'op', op, left: node, right: parseProduct() }
+    }
+    return node
+  }
+
+  const parseProduct = () => {
+    let node = parseUnary()
+    while (isOp('*') || isOp('/') || startsOperand(peek())) {
+      const op = peek().type === 'op' ? next().value : '*'
+      node = { type: 'op', op, left: node, right: parseUnary() }
+    }
+    return node
+  }
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      next()
+      return { type: 'neg', arg: parseUnary() }
+    }
+    if (isOp('+')) {
+      next()
+      return parseUnary()
+    }
+    return parsePower()
+  }
+
+  const parsePower = () => {
+    const base = parsePrimary()
+    if (isOp('^')) {
+      next()
+      return { type: 'op', op: '^', left: base, right: parseUnary() }
+    }
+    return base
+  }
+
+  const parsePrimary = () => {
+    const token = next()
+    if (!token) throw new Error('The answer ends too early')
+
+    switch (token.type) {
+      case 'num':
+        return { type: 'num', value: token.value }
+      case 'var':
+        return { type: 'var', name: token.value }
+      case 'const':
+        return { type: 'const', name: token.value }
+      case 'fn':
+        if (!startsOperand(peek())) throw new Error(`${token.value} needs something to apply to`)
+        // sin(x)^2 squares the sine; sin x^2 takes the sine of x^2
+        return { type: 'fn', name: token.value, arg: peek().type === '(' ? parsePrimary() : parsePower() }
+      case '(': {
+        const node = parseSum()
+        if (next()?.type !== ')') throw new Error('A bracket is not closed')
+        return node
+      }
+      case ')':
+        throw new Error('A closing bracket has no opening bracket')
+      default:
+        throw new Error(`Unexpected "${token.value}"`)
+    }
+  }
+
+  const tree = parseSum()
+  if (position < tokens.length) {
+    throw new Error(peek().type === ')' ? 'A closing bracket has no opening bracket' : 'The answer could not be read')
+  }
+  return tree
+}
+
+/**
+ * Variables an expression uses
+ * @param {Object} node
+ * @returns {Set<string>}
+ */
+export const getVariables = (node, found = new Set()) => {
+  if (node.type === 'var') found.add(node.name)
+  if (node.arg) getVariables(node.arg, found)
+  if (node.left) getVariables(node.left, found)
+  if (node.right) getVariables(node.right, found)
+  return found
+}
+
+/**
+ * Evaluate an expression
+ * @param {Object} node
+ * @param {Object<string, number>} [scope] - variable values
+ * @returns {number} NaN or Infinity outside the expression's domain
+ */
+export const evaluate = (node, scope = {}) => {
+  switch (node.type) {
+    case 'num':
+      return node.value
+    case 'const':
+      return CONSTANTS[node.name]
+    case 'var':
+      if (!(node.name in scope)) throw new Error(`No value for ${node.name}`)
+      return scope[node.name]
+    case 'neg':
+      return -evaluate(node.arg, scope)
+    case 'fn':
+      return FUNCTIONS[node.name](evaluate(node.arg, scope))
+    default: {
+      const left = evaluate(node.left, scope)
+      const right = evaluate(node.right, scope)
+      if (node.op === '+') return left + right
+      if (node.op === '-') return left - right
+      if (node.op === '*') return left * right
+      if (node.op === '/') return left / right
+      return Math.pow(left, right)
+    }
+  }
+}
+
+const numberNode = (value) => (
+  value < 0 ? { type: 'neg', arg: { type: 'num', value: -value } } : { type: 'num', value }
+)
+
+/**
+ * Replace variables with numbers, leaving the others in place
+ * @param {Object} node
+ * @param {Object<string, number>} values
+ * @returns {Object} a new expression tree
+ */
+export const substitute = (node, values) => {
+  if (node.type === 'var') return node.name in values ? numberNode(values[node.name]) : node
+  return {
+    ...node,
+    ...(node.arg && { arg: substitute(node.arg, values) }),
+    ...(node.left && { left: substitute(node.left, values) }),
+    ...(node.right && { right: substitute(node.right, values) })
+  }
+}
+
+/**
+ * Write a number the parser can read back, without float noise like
+ * 0.30000000000000004 or exponents like 1e-7
+ * @param {number} value
+ * @returns {string}
+ */
+export const formatNumber = (value) => {
+  const rounded = Number(value.toPrecision(12))
+  const text = String(rounded)
+  return text.includes('e') ? rounded.toFixed(12).replace(/\.?0+$/, '') : text
+}
+
+// -x, -2y or -3/x without its minus, or null when it has none
+const withoutLeadingMinus = (node) => {
+  if (node.type === 'neg') return node.arg
+  if (node.type !== 'op' || (node.op !== '*' && node.op !== '/')) return null
+
+  const left = withoutLeadingMinus(node.left)
+  return left && { ...node, left }
+}
+
+// Higher binds tighter
+const precedence = (node) => {
+  if (node.type === 'neg') return 3
+  if (node.type !== 'op') return 5
+  return { '+': 1, '-': 1, '*': 2, '/': 2, '^': 4 }[node.op]
+}
+
+/**
+ * Write an expression tree as text that parseExpression reads back as an
+ * equal expression, with only the brackets it needs
+ * @param {Object} node
+ * @returns {string}
+ */
+export const formatExpression = (node) => {
+  const wrap = (child, minimum) => {
+    const text = formatExpression(child)
+    return precedence(child) < minimum ? `(${text})` : text
+  }
+
+  switch (node.type) {
+    case 'num':
+      return formatNumber(node.value)
+    case 'var':
+    case 'const':
+      return node.name
+    case 'neg':
+      // -(2x) is the same as -2x
+      return `-${wrap(node.arg, node.arg.op === '*' || node.arg.op === '/' ? 2 : 3)}`
+    case 'fn':
+      return `${node.name}(${formatExpression(node.arg)})`
+    default:
+      break
+  }
+
+  const left = formatExpression(node.left)
+
+  if (node.op === '+' || node.op === '-') {
+    // x + -3 and x + -2y read better as x - 3 and x - 2y
+    const positive = withoutLeadingMinus(node.right)
+    if (positive) {
+      return `${left} ${node.op === '+' ? '-' : '+'} ${wrap(positive, node.op === '+' ? 2 : 1)}`
+    }
+    return `${left} ${node.op} ${wrap(node.right, node.op === '+' ? 1 : 2)}`
+  }
+
+  if (node.op === '^') return `${wrap(node.left, 5)}^${wrap(node.right, 4)}`
+
+  const wrappedLeft = wrap(node.left, 2)
+  const right = node.right.type === 'neg' || precedence(node.right) < 3 ? `(${formatExpression(node.right)})` : formatExpression(node.right)
+  if (node.op === '/') return `${wrappedLeft}/${right}`
+
+  // 2x, 3(x+1) and (x+1)(x-1); a letter after a letter could spell a
+  // function name, so x*y keeps its sign
+  const implicit = /^[a-z(]/i.test(right) && (numberValue(node.left) !== null || wrappedLeft.endsWith(')'))
+  return implicit ? `${wrappedLeft}${right}` : `${wrappedLeft}*${right}`
+}
+
+// Polynomials are maps from a monomial like "x^2*y" to its coefficient.
+// pi and e are kept as symbols so 2pi and pi*2 expand alike.
+const monomialKey = (powers) => Object.keys(powers).sort().map(name => (
+  powers[name] === 1 ? name : `${name}^${powers[name]}`
+)).join('*')
+
+const parseMonomial = (key) => Object.fromEntries(key ? key.split('*').map(part => {
+  const [name, power] = part.split('^')
+  return [name, Number(power || 1)]
+}) : [])
+
+const addPolynomials = (a, b, sign = 1) => {
+  const sum = new Map(a)
+  b.forEach((coefficient, key) => sum.set(key, (sum.get(key) || 0) + sign * coefficient))
+  return sum
+}
+
+const multiplyPolynomials = (a, b) => {
+  const product = new Map()
+  a.forEach((left, leftKey) => {
+    b.forEach((right, rightKey) => {
+      const powers = parseMonomial(leftKey)
+      Object.entries(parseMonomial(rightKey)).forEach(([name, power]) => {
+        powers[name] = (powers[name] || 0) + power
+      })
+      const key = monomialKey(powers)
+      product.set(key, (product.get(key) || 0) + left * right)
+    })
+  })
+  return product
+}
+
+const constantOf = (polynomial) => {
+  const keys = [...polynomial.keys()].filter(key => polynomial.get(key) !== 0)
+  if (!keys.length) return 0
+  return keys.length === 1 && keys[0] === '' ? polynomial.get('') : null
+}
+
+// The expanded polynomial, or null when the expression is not one
+const toPolynomial = (node) => {
+  switch (node.type) {
+    case 'num':
+      return new Map([['', node.value]])
+    case 'var':
+    case 'const':
+      return new Map([[node.name, 1]])
+    case 'neg': {
+      const arg = toPolynomial(node.arg)
+      return arg && addPolynomials(new Map(), arg, -1)
+    }
+    case 'op': {
+      const left = toPolynomial(node.left)
+      const right = toPolynomial(node.right)
+      if (!left || !right) return null
+
+      if (node.op === '+') return addPolynomials(left, right)
+      if (node.op === '-') return addPolynomials(left, right, -1)
+      if (node.op === '*') return multiplyPolynomials(left, right)
+
+      // Only division by a number and whole powers stay polynomial
+      const constant = constantOf(right)
+      if (node.op === '/') {
+        return constant ? multiplyPolynomials(left, new Map([['', 1 / constant]])) : null
+      }
+
+      if (!Number.isInteger(constant) || constant < 0 || constant > MAX_EXPANDED_POWER) return null
+      let power = new Map([['', 1]])
+      for (let i = 0; i < constant; i++) power = multiplyPolynomials(power, left)
+      return power
+    }
+    default:
+      return null
+  }
+}
+
+const closeEnough = (a, b, tolerance = 0) => {
+  return Math.abs(a - b) <= Math.max(tolerance, RELATIVE_EPSILON * Math.max(1, Math.abs(a), Math.abs(b)))
+}
+
+const polynomialsEqual = (a, b) => {
+  const keys = new Set([...a.keys(), ...b.keys()])
+  return [...keys].every(key => closeEnough(a.get(key) || 0, b.get(key) || 0))
+}
+
+/**
+ * Seeded random numbers in [0, 1), so a grade or a generated problem can
+ * be reproduced
+ * @param {number} seed
+ * @returns {Function}
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Whether two expressions are equal everywhere both are defined
+ * @param {Object} a - expression tree
+ * @param {Object} b - expression tree
+ * @param {{ tolerance?: number, seed?: number }} [options]
+ *   tolerance: absolute difference allowed at each point
+ * @returns {{ equivalent: boolean, method: 'symbolic' | 'numeric' | null }}
+ *   method is null when too few points were defined to decide
+ */
+export const areEquivalent = (a, b, { tolerance = 0, seed = Date.now() } = {}) => {
+  const polynomialA = toPolynomial(a)
+  const polynomialB = toPolynomial(b)
+  if (polynomialA && polynomialB && polynomialsEqual(polynomialA, polynomialB)) {
+    return { equivalent: true, method: 'symbolic' }
+  }
+
+  const variables = [...getVariables(a, getVariables(b))]
+  const random = createRandom(seed)
+  let samples = 0
+
+  for (let tries = 0; tries < MAX_SAMPLE_TRIES && samples < SAMPLE_COUNT; tries++) {
+    // Away from zero and non-integer, where unequal expressions rarely agree
+    const scope = Object.fromEntries(variables.map(name => [
+      name,
+      (random() < 0.5 ? -1 : 1) * (0.5 + random() * 4.5)
+    ]))
+
+    const valueA = evaluate(a, scope)
+    const valueB = evaluate(b, scope)
+    if (!Number.isFinite(valueA) || !Number.isFinite(valueB)) {
+      if (!variables.length) break
+      continue
+    }
+
+    if (!closeEnough(valueA, valueB, tolerance)) return { equivalent: false, method: 'numeric' }
+    samples += 1
+
+    // Without variables one point decides
+    if (!variables.length) break
+  }
+
+  if (!samples || (variables.length && samples < SAMPLE_COUNT / 2)) {
+    return { equivalent: false, method: null }
+  }
+  return { equivalent: true, method: 'numeric' }
+}
+
+const numberValue = (node) => {
+  if (node.type === 'num') return node.value
+  if (node.type === 'neg' && node.arg.type === 'num') return -node.arg.value
+  return null
+}
+
+// A fraction like 1/2 is one number, not a division
+const isFraction = (node) => node.type === 'op' && node.op === '/' &&
+  Number.isInteger(numberValue(node.left)) && Number.isInteger(numberValue(node.right))
+
+const countNodes = (node) => {
+  if (isFraction(node)) return 1
+  return 1 + [node.arg, node.left, node.right].filter(Boolean).reduce((sum, child) => sum + countNodes(child), 0)
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : Math.abs(a))
+
+// Operands of a chain like a + b - c or a * b * c
+const flatten = (node, ops) => {
+  if (node.type === 'neg' && ops.includes('+')) return flatten(node.arg, ops)
+  if (node.type !== 'op' || !ops.includes(node.op)) return [node]
+  return [...flatten(node.left, ops), ...flatten(node.right, ops)]
+}
+
+// Terms like 2x and 3x, or 2 and 5, that should have been combined
+const hasLikeTerms = (node) => {
+  const keys = flatten(node, ['+', '-']).map(term => {
+    const polynomial = toPolynomial(term)
+    const monomials = polynomial ? [...polynomial.keys()].filter(key => polynomial.get(key) !== 0) : []
+    return monomials.length === 1 ? monomials[0] : null
+  }).filter(key => key !== null)
+
+  return new Set(keys).size < keys.length
+}
+
+// Factors like x * x^2, or 2 * x * 3, that should have been combined
+const hasRepeatedFactors = (node) => {
+  const factors = flatten(node, ['*'])
+  const names = factors.map(factor => {
+    const base = factor.type === 'op' && factor.op === '^' ? factor.left : factor
+    return base.type === 'var' || base.type === 'const' ? base.name : null
+  }).filter(Boolean)
+
+  return factors.filter(factor => numberValue(factor) !== null).length > 1 || new Set(names).size < names.length
+}
+
+// Arithmetic left for the student to do: 2+3, 4/2, 6/4, x*1, x+0, x^1,
+// --x, x+x, x*x
+const hasUnfinishedStep = (node) => {
+  if (node.type === 'neg' && node.arg.type === 'neg') return true
+
+  if (node.type === 'fn') {
+    const value = numberValue(node.arg)
+    if (value !== null && Number.isInteger(FUNCTIONS[node.name](value))) return true
+  }
+
+  if (node.type === 'op') {
+    const left = numberValue(node.left)
+    const right = numberValue(node.right)
+
+    if (left !== null && right !== null) {
+      if (node.op !== '/') return true
+      if (!isFraction(node) || gcd(left, right) > 1) return true
+    }
+
+    if (node.op === '*' && (left === 1 || right === 1 || left === 0 || right === 0)) return true
+    if ((node.op === '+' || node.op === '-') && (left === 0 || right === 0)) return true
+    if ((node.op === '^' || node.op === '/') && (right === 1 || (node.op === '^' && right === 0))) return true
+
+    if ((node.op === '+' || node.op === '-') && hasLikeTerms(node)) return true
+    if (node.op === '*' && hasRepeatedFactors(node)) return true
+  }
+
+  return [node.arg, node.left, node.right].some(child => child && hasUnfinishedStep(child))
+}
+
+/**
+ * Whether an answer is as simplified as its key: no arithmetic left to do,
+ * and no longer than the key. Factored and expanded forms of the same size
+ * both count, so `2(x+1)` is simplified against `2x+2`.
+ * @param {Object} answer - expression tree
+ * @param {Object} key - expression tree
+ * @returns {boolean}
+ */
+export const isSimplified = (answer, key) => !hasUnfinishedStep(answer) && countNodes(answer) <= countNodes(key)
+
+const UNIT_POWERS = { '²': 2, '³': 3 }
+
+/**
+ * Read a unit like `m/s^2` or `kg m s^-2`
+ * @param {string} text
+ * @returns {{ scale: number, dimensions: Array<number> }|null} null when unknown
+ */
+export const parseUnit = (text) => {
+  const [numerator, denominator, extra] = String(text ?? '').trim().split('/')
+  if (!numerator?.trim() || extra !== undefined) return null
+
+  let scale = 1
+  const dimensions = [0, 0, 0]
+
+  const addFactors = (part, sign) => {
+    const factors = part.trim().split(/[\s*.·]+/).filter(Boolean)
+    if (!factors.length) return false
+
+    return factors.every(factor => {
+      const match = factor.match(/^([a-zA-Z]+)(?:\^(-?\d+)|([²³]))?$/)
+      const unit = match && UNITS[match[1]]
+      if (!unit) return false
+
+      const power = sign * Number(match[2] || UNIT_POWERS[match[3]] || 1)
+      scale *= Math.pow(unit[0], power)
+      unit[1].forEach((exponent, index) => { dimensions[index] += exponent * power })
+      return true
+    })
+  }
+
+  if (!addFactors(numerator, 1)) return null
+  if (denominator !== undefined && !addFactors(denominator, -1)) return null
+
+  return { scale, dimensions }
+}
+
+// Split "9.8 m/s^2" into the number and its unit at the first place the
+// rest reads as a unit
+const splitUnit = (input) => {
+  const text = String(input ?? '').trim()
+
+  for (let i = 1; i < text.length; i++) {
+    if (!/[a-zA-Z]/.test(text[i]) || /[a-zA-Z]/.test(text[i - 1])) continue
+
+    const unit = parseUnit(text.slice(i))
+    if (unit) return { value: text.slice(0, i), unit }
+  }
+
+  return { value: text, unit: null }
+}
+
+const sameDimensions = (a, b) => a.dimensions.every((exponent, index) => exponent === b.dimensions[index])
+
+/**
+ * What is wrong with an expression answer key, if anything
+ * @param {Object} answer
+ * @returns {string|null}
+ */
+export const getExpressionAnswerError = (answer = {}) => {
+  let key
+  try {
+    key = parseExpression(answer.expression)
+  } catch (error) {
+    return `The correct expression cannot be read: ${error.message}`
+  }
+
+  const tolerance = Number(answer.tolerance ?? 0)
+  if (!Number.isFinite(tolerance) || tolerance < 0) return 'Tolerance cannot be negative'
+
+  const credit = Number(answer.partialCredit ?? DEFAULT_PARTIAL_CREDIT)
+  if (!Number.isFinite(credit) || credit < 0 || credit > 1) return 'Partial credit must be between 0 and 100%'
+
+  if (answer.unit) {
+    if (!parseUnit(answer.unit)) return `Unknown unit. Use ${Object.keys(UNITS).join(', ')}`
+    if (getVariables(key).size) return 'Answers with units must be numbers'
+  }
+
+  return null
+}
+
+/**
+ * Check a student's answer against a key
+ * @param {string} response - what the student typed
+ * @param {Object} answer - the answer key
+ * @param {{ seed?: number }} [options]
+ * @returns {{ correct: boolean, equivalent: boolean, credit: number, feedback: string|null }}
+ *   credit is the share of the question's points earned, from 0 to 1
+ */
+export const checkExpression = (response, answer = {}, { seed } = {}) => {
+  const wrong = (feedback = null) => ({ correct: false, equivalent: false, credit: 0, feedback })
+
+  if (typeof response !== 'string' || !response.trim()) return wrong()
+
+  let text = response
+  let scale = 1
+
+  if (answer.unit) {
+    const keyUnit = parseUnit(answer.unit)
+    const split = splitUnit(response)
+
+    if (split.unit) {
+      if (!sameDimensions(split.unit, keyUnit)) return wrong('Check your units')
+      text = split.value
+      scale = split.unit.scale / keyUnit.scale
+    } else if (answer.requireUnit !== false) {
+      return wrong('Include units with your answer')
+    }
+  }
+
+  let given
+  try {
+    given = parseExpression(text)
+  } catch (error) {
+    return wrong(error.message)
+  }
+
+  const key = parseExpression(answer.expression)
+  const scaled = scale === 1 ? given : { type: 'op', op: '*', left: given, right: { type: 'num', value: scale } }
+  const { equivalent, method } = areEquivalent(scaled, key, { tolerance: Number(answer.tolerance || 0), seed })
+
+  if (!equivalent) {
+    return wrong(method === null ? 'This answer could not be checked. Try writing it another way.' : null)
+  }
+
+  if (answer.requireSimplified && !isSimplified(given, key)) {
+    const credit = Number(answer.partialCredit ?? DEFAULT_PARTIAL_CREDIT)
+    return { correct: false, equivalent: true, credit, feedback: 'Equivalent, but not fully simplified' }
+  }
+
+  return { correct: true, equivalent: true, credit: 1, feedback: null }
+}
@@ -3,6 +3,8 @@
  * Provides consistent formatting for dates, currency, time, numbers, and other data types
  */
 
+import { SUPPORTED_CURRENCIES } from './constants';
+
 /**
  * @typedef {Object} CurrencyOptions
  * @property {string} [currency] - The currency code
@@ -25,28 +27,25 @@
  */
 
 /**
- * Format currency amount
+ * Format currency amount. Amounts are in major units (rupees, dollars);
+ * supported currencies get their own symbol and decimal places.
  * @param {number | string} amount - The amount to format
  * @param {CurrencyOptions} [options={}] - Formatting options
  * @returns {string} The formatted currency string
  */
 export const formatCurrency = (amount, options = {}) => {
+  const currencyInfo = SUPPORTED_CURRENCIES[options.currency || 'LKR'];
   const {
     currency = 'LKR',
     locale = 'en-US',
-    symbol = currency === 'LKR' ? 'Rs.' : undefined,
+    symbol = currencyInfo?.symbol,
     symbolPosition = 'before',
-    decimals = currency === 'LKR' ? 0 : 2,
+    decimals = currencyInfo?.decimals ?? 2,
     thousandsSeparator = ',',
     decimalSeparator = '.',
   } = options;
 
-  let value = typeof amount === 'string' ? parseFloat(amount) : amount;
-
-  // Handle cents conversion for certain currencies
-  if (currency === 'LKR' && value > 1000) {
-    value = value / 100;
-  }
+  const value = typeof amount === 'string' ? parseFloat(amount) : amount;
 
   if (isNaN(value)) return '0';
 
@@ -66,8 +65,10 @@ export const formatCurrency = (amount, options = {}) => {
 
   // Add currency symbol
   const currencySymbol = symbol || currency;
+  // Sign symbols such as $ and £ sit against the number; codes such as LKR do not
+  const spacer = /[a-z.]$/i.test(currencySymbol) ? ' ' : '';
   const finalAmount = symbolPosition === 'before'
-    ? `${currencySymbol} ${result}`
+    ? `${currencySymbol}${spacer}${result}`
     : `${result} ${currencySymbol}`;
 
   // Handle negative values
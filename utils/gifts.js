@@ -0,0 +1,28 @@
+/**
+ * Gift Code Utilities
+ * Client-safe helpers for the admin gift code pages
+ */
+
+const escapeCsvValue = (value) => {
+  const text = value == null ? '' : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Build the CSV admins hand out to schools
+ * @param {Array<Object>} giftCodes - gift_codes rows with courses, bundles and `redeemer` profile
+ * @returns {string}
+ */
+export const giftCodesToCsv = (giftCodes) => {
+  return [
+    ['code', 'item', 'status', 'expires_at', 'redeemed_by', 'redeemed_at'],
+    ...giftCodes.map(giftCode => [
+      giftCode.code,
+      giftCode.courses?.title || giftCode.bundles?.title || '',
+      giftCode.status,
+      giftCode.expires_at || '',
+      giftCode.redeemer?.email || '',
+      giftCode.redeemed_at || ''
+    ])
+  ].map(row => row.map(escapeCsvValue).join(',')).join('\n')
+}
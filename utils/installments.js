@@ -0,0 +1,31 @@
+/**
+ * Installment Utilities
+ * Shared by the checkout UI and the server so both show the same amounts
+ */
+
+/**
+ * Split a total into equal installments. Rounding cents go on the first
+ * installment so later ones are a round amount.
+ * @param {number} total
+ * @param {number} count
+ * @returns {number[]}
+ */
+export const splitInstallments = (total, count) => {
+  const totalCents = Math.round(total * 100);
+  const baseCents = Math.floor(totalCents / count);
+  const remainder = totalCents - baseCents * count;
+
+  return Array.from({ length: count }, (_, index) => {
+    return (baseCents + (index === 0 ? remainder : 0)) / 100;
+  });
+};
+
+/**
+ * Check whether an installment plan can be offered for a course price
+ * @param {{ active: boolean, min_course_price?: number }} plan
+ * @param {number} price
+ * @returns {boolean}
+ */
+export const isPlanAvailableForPrice = (plan, price) => {
+  return !!plan?.active && Number(price) >= Number(plan.min_course_price || 0);
+};
@@ -0,0 +1,222 @@
+/**
+ * Math Utilities
+ * Renders `$...$` (inline) and `$$...$$` (display) LaTeX in course text
+ * with KaTeX. Works in the browser and on the server: pages render HTML
+ * styled by the bundled KaTeX stylesheet, emails get MathML, and PDFs and
+ * subject lines, which cannot show either, get a plain text reading.
+ *
+ * A `$` is only a delimiter when it hugs its formula, so prices like
+ * "$5 and $10" stay text. Write `\$` for a literal dollar sign.
+ */
+
+import katex from 'katex'
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+}
+
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+
+// Formulas typed into HTML content arrive with their entities encoded
+const decodeEntities = (html) => html.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity])
+
+/**
+ * Split text into plain text and formulas
+ * @param {string} text
+ * @returns {Array<{ type: 'text' | 'inline' | 'display', value: string }>}
+ */
+export const splitMath = (text) => {
+  const source = String(text ?? '')
+  const segments = []
+  let buffer = ''
+  let i = 0
+
+  const pushText = () => {
+    if (buffer) segments.push({ type: 'text', value: buffer })
+    buffer = ''
+  }
+
+  while (i < source.length) {
+    if (source[i] === '\\' && source[i + 1] === '$') {
+      buffer += '$'
+      i += 2
+      continue
+    }
+
+    if (source[i] !== '$') {
+      buffer += source[i]
+      i += 1
+      continue
+    }
+
+    if (source[i + 1] === '$') {
+      const end = source.indexOf('$$', i + 2)
+      if (end > i + 2) {
+        pushText()
+        segments.push({ type: 'display', value: source.slice(i + 2, end).trim() })
+        i = end + 2
+        continue
+      }
+    } else {
+      const end = findInlineEnd(source, i + 1)
+      if (end !== -1) {
+        pushText()
+        segments.push({ type: 'inline', value: source.slice(i + 1, end) })
+        i = end + 1
+        continue
+      }
+    }
+
+    buffer += '$'
+    i += 1
+  }
+
+  pushText()
+  return segments
+}
+
+// The closing `$` of an inline formula: the formula cannot start or end
+// with a space, and a digit straight after it means it was a price
+const findInlineEnd = (source, start) => {
+  if (!source[start] || /\s/.test(source[start])) return -1
+
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i += 1
+      continue
+    }
+    if (source[i] === '\n' && source[i + 1] === '\n') return -1
+    if (source[i] === '$') {
+      if (i === start || /\s/.test(source[i - 1]) || /\d/.test(source[i + 1] || '')) return -1
+      return i
+    }
+  }
+
+  return -1
+}
+
+/**
+ * Whether text contains any formulas
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const hasMath = (text) => splitMath(text).some(segment => segment.type !== 'text')
+
+/**
+ * Render text with its formulas as markup
+ * @param {string} text
+ * @param {{ output?: 'html' | 'mathml', html?: boolean }} [options]
+ *   output: KaTeX output; 'html' needs the KaTeX stylesheet, 'mathml' does not.
+ *   html: the text is already HTML (post lessons) and is passed through.
+ * @returns {string}
+ */
+export const renderMath = (text, { output = 'html', html = false } = {}) => {
+  return splitMath(text).map(segment => {
+    if (segment.type === 'text') {
+      return html ? segment.value : escapeHtml(segment.value)
+    }
+
+    return katex.renderToString(html ? decodeEntities(segment.value) : segment.value, {
+      displayMode: segment.type === 'display',
+      output,
+      throwOnError: false,
+      strict: 'ignore'
+    })
+  }).join('')
+}
+
+// Plain readings of common commands, kept to WinAnsi characters since
+// that is all the standard PDF fonts can draw. Other commands read as
+// their name, so \alpha becomes "alpha".
+const PLAIN_COMMANDS = {
+  times: '×',
+  cdot: '·',
+  div: '÷',
+  pm: '±',
+  circ: '°',
+  degree: '°',
+  le: '<=',
+  leq: '<=',
+  ge: '>=',
+  geq: '>=',
+  neq: '!=',
+  ne: '!=',
+  approx: '~',
+  to: '->',
+  rightarrow: '->',
+  infty: 'infinity',
+  ldots: '...',
+  cdots: '...',
+  left: '',
+  right: '',
+  displaystyle: '',
+  quad: ' ',
+  qquad: ' '
+}
+
+const SUPERSCRIPTS = { 1: '¹', 2: '²', 3: '³' }
+
+// Replace \command{a}{b} while its arguments hold no further braces, so
+// nested commands are rewritten from the inside out
+const replaceCommand = (latex, name, argCount, replace) => {
+  const pattern = new RegExp(`\\\\${name}${'\\s*\\{([^{}]*)\\}'.repeat(argCount)}`, 'g')
+  let previous
+  let result = latex
+  do {
+    previous = result
+    result = result.replace(pattern, (_, ...args) => replace(...args.slice(0, argCount)))
+  } while (result !== previous)
+  return result
+}
+
+// Wrap anything longer than one character so a/b stays unambiguous
+const group = (value) => value.trim().length > 1 ? `(${value.trim()})` : value.trim()
+
+/**
+ * A plain text reading of one formula, e.g. `\frac{a+1}{2}` as `(a+1)/2`
+ * @param {string} latex
+ * @returns {string}
+ */
+export const latexToPlainText = (latex) => {
+  let text = String(latex)
+
+  text = replaceCommand(text, '[dt]?frac', 2, (numerator, denominator) => `${group(numerator)}/${group(denominator)}`)
+  text = replaceCommand(text, 'sqrt', 1, radicand => `sqrt(${radicand.trim()})`)
+  text = replaceCommand(text, '(?:text|mathrm|mathbf|operatorname)', 1, value => value)
+
+  text = text
+    .replace(/\^\{?\\circ\}?/g, '°')
+    .replace(/\^\{?([123])\}?(?![\d}])/g, (_, digit) => SUPERSCRIPTS[digit])
+    .replace(/\^\{([^{}]*)\}/g, (_, power) => `^${group(power)}`)
+    .replace(/_\{([^{}]*)\}/g, (_, index) => `_${group(index)}`)
+    .replace(/\\([,;:!])/g, (_, space) => space === '!' ? '' : ' ')
+    .replace(/\\([a-zA-Z]+)/g, (_, command) => PLAIN_COMMANDS[command] ?? command)
+    .replace(/\\([{}$%&#_])/g, '$1')
+    .replace(/[{}]/g, '')
+
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Text with each formula replaced by its plain text reading
+ * @param {string} text
+ * @returns {string}
+ */
+export const mathToPlainText = (text) => {
+  return splitMath(text).map(segment => (
+    segment.type === 'text' ? segment.value : latexToPlainText(segment.value)
+  )).join('')
+}
@@ -0,0 +1,286 @@
+/**
+ * Problem Templates
+ * Turns a template with variables into a concrete problem, so each student
+ * gets their own numbers. The same seed always gives the same numbers:
+ * quizzes seed with the student, question and attempt, and worksheets with
+ * a seed printed on the sheet.
+ *
+ * Templates are stored as:
+ *   { id, title, prompt, variables, constraints, answer, solution }
+ * where
+ *   variables:   [{ name, min, max, step }] or [{ name, choices: [number, ...] }]
+ *   constraints: comparisons like "a != b" or "b^2 - 4ac >= 0"
+ *   answer:      an expression key (utils/expressions.js) whose expression
+ *                may use the variables; other letters stay algebraic
+ * Prompts and solutions show a variable as {a} and a worked value as {= 2a + 1}.
+ */
+
+import { PROBLEM_TEMPLATES, QUIZ } from './constants'
+import {
+  parseExpression,
+  getVariables,
+  evaluate,
+  substitute,
+  formatNumber,
+  formatExpression,
+  createRandom,
+  getExpressionAnswerError
+} from './expressions'
+import { normalizeAnswer } from './quiz'
+
+// Longest first, so `<=` is not read as `<`
+const COMPARISONS = ['<=', '>=', '!=', '<', '>', '=']
+
+const COMPARISON_SYMBOLS = { '≤': '<=', '≥': '>=', '≠': '!=' }
+
+// Values drawn before giving up on the constraints
+const MAX_DRAWS = 200
+
+const PLACEHOLDER = /\{\s*(=?)\s*([^{}]+?)\s*\}/g
+
+/**
+ * A 32-bit seed from any text, such as "userId:questionId:2"
+ * @param {string} text
+ * @returns {number}
+ */
+export const hashSeed = (text) => {
+  let hash = 0x811c9dc5
+  for (const char of String(text)) {
+    hash ^= char.codePointAt(0)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Read a constraint like "a != b" into its two sides
+ * @param {string} text
+ * @returns {{ left: Object, comparison: string, right: Object }}
+ * @throws {Error} when it cannot be read
+ */
+export const parseConstraint = (text) => {
+  const source = String(text ?? '').replace(/[≤≥≠]/g, char => COMPARISON_SYMBOLS[char])
+  const comparison = COMPARISONS.find(candidate => source.includes(candidate))
+  if (!comparison) throw new Error('Compare two sides with <, <=, >, >=, = or !=')
+
+  const [left, right] = [source.slice(0, source.indexOf(comparison)), source.slice(source.indexOf(comparison) + comparison.length)]
+  return { left: parseExpression(left), comparison, right: parseExpression(right) }
+}
+
+const meetsConstraint = ({ left, comparison, right }, values) => {
+  const a = evaluate(left, values)
+  const b = evaluate(right, values)
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return false
+
+  const equal = Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b))
+  switch (comparison) {
+    case '<=': return a < b || equal
+    case '>=': return a > b || equal
+    case '!=': return !equal
+    case '<': return a < b && !equal
+    case '>': return a > b && !equal
+    default: return equal
+  }
+}
+
+const drawValue = (variable, random) => {
+  if (Array.isArray(variable.choices)) {
+    return variable.choices[Math.floor(random() * variable.choices.length)]
+  }
+
+  const step = Number(variable.step || 1)
+  const steps = Math.floor((variable.max - variable.min) / step + 1e-9)
+  return Number((variable.min + step * Math.floor(random() * (steps + 1))).toPrecision(12))
+}
+
+// An expression with the values put in, worked out when nothing is left unknown
+const fillExpression = (tree, values) => {
+  const filled = substitute(tree, values)
+  if (getVariables(filled).size) return formatExpression(filled)
+
+  const value = evaluate(filled)
+  if (!Number.isFinite(value)) throw new Error('Undefined for these values')
+  return formatNumber(value)
+}
+
+// A placeholder that is also a LaTeX argument, as in \frac{a}{b} or x^{n}
+const LATEX_ARGUMENT = /(\\[a-zA-Z]+|[}^_])$/
+
+/**
+ * Put values into a prompt or solution. Braces that are not placeholders,
+ * like LaTeX groups, are left alone, and LaTeX arguments keep theirs.
+ * @param {string} text
+ * @param {Object<string, number>} values
+ * @returns {string}
+ */
+export const fillPlaceholders = (text, values) => String(text ?? '').replace(PLACEHOLDER, (match, worked, content, offset, source) => {
+  let value
+  if (worked) {
+    value = fillExpression(parseExpression(content), values)
+  } else if (content in values) {
+    value = formatNumber(values[content])
+  } else {
+    return match
+  }
+  return LATEX_ARGUMENT.test(source.slice(0, offset)) ? `{${value}}` : value
+})
+
+/**
+ * Generate a problem from a template
+ * @param {Object} template
+ * @param {string|number} seed - the same seed always gives the same problem
+ * @returns {{ values: Object<string, number>, prompt: string, solution: string, answer: Object }}
+ *   answer is an expression key with the values worked in
+ * @throws {Error} when no values meet the constraints
+ */
+export const generateProblem = (template, seed) => {
+  const random = createRandom(typeof seed === 'number' ? seed : hashSeed(seed))
+  const constraints = (template.constraints || []).map(parseConstraint)
+  const key = parseExpression(template.answer?.expression)
+
+  for (let draw = 0; draw < MAX_DRAWS; draw++) {
+    const values = Object.fromEntries((template.variables || []).map(variable => [variable.name, drawValue(variable, random)]))
+    if (!constraints.every(constraint => meetsConstraint(constraint, values))) continue
+
+    try {
+      return {
+        values,
+        prompt: fillPlaceholders(template.prompt, values),
+        solution: fillPlaceholders(template.solution, values),
+        answer: { ...template.answer, expression: fillExpression(key, values) }
+      }
+    } catch {
+      // Values like a = 0 in 1/a; draw again
+    }
+  }
+
+  throw new Error('No values meet the constraints. Widen the ranges or relax the constraints.')
+}
+
+const getVariableError = (variable, index) => {
+  const label = `Variable ${index + 1}`
+
+  if (!/^[a-zA-Z]$/.test(variable?.name || '')) return `${label}: the name must be a single letter`
+  if (variable.name === 'e') return `${label}: e is the constant 2.718..., choose another letter`
+
+  if (Array.isArray(variable.choices)) {
+    if (!variable.choices.length || variable.choices.some(choice => !Number.isFinite(choice))) {
+      return `${label}: choices must be numbers`
+    }
+    return null
+  }
+
+  const min = Number(variable.min)
+  const max = Number(variable.max)
+  const step = Number(variable.step || 1)
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) return `${label}: enter a range from min to max`
+  if (!Number.isFinite(step) || step <= 0) return `${label}: the step must be more than 0`
+  return null
+}
+
+/**
+ * What is wrong with a template, if anything. Generates a sample problem,
+ * so a template that passes can always be generated.
+ * @param {Object} template - in its stored shape
+ * @returns {string|null}
+ */
+export const getTemplateError = (template) => {
+  if (!template?.title?.trim()) return 'A title is required'
+  if (!template.prompt?.trim()) return 'A prompt is required'
+
+  const variables = template.variables || []
+  if (!variables.length || variables.length > PROBLEM_TEMPLATES.MAX_VARIABLES) {
+    return `Add between 1 and ${PROBLEM_TEMPLATES.MAX_VARIABLES} variables`
+  }
+
+  for (const [index, variable] of variables.entries()) {
+    const error = getVariableError(variable, index)
+    if (error) return error
+  }
+
+  const names = variables.map(variable => variable.name)
+  if (new Set(names).size !== names.length) return 'Variable names must be unique'
+
+  const constraints = template.constraints || []
+  if (constraints.length > PROBLEM_TEMPLATES.MAX_CONSTRAINTS) {
+    return `A template can have up to ${PROBLEM_TEMPLATES.MAX_CONSTRAINTS} constraints`
+  }
+
+  for (const [index, text] of constraints.entries()) {
+    let constraint
+    try {
+      constraint = parseConstraint(text)
+    } catch (error) {
+      return `Constraint ${index + 1} cannot be read: ${error.message}`
+    }
+
+    const unknown = [...getVariables(constraint.left, getVariables(constraint.right))].find(name => !names.includes(name))
+    if (unknown) return `Constraint ${index + 1} uses ${unknown}, which is not a variable`
+  }
+
+  for (const text of [template.prompt, template.solution]) {
+    for (const [, worked, content] of String(text ?? '').matchAll(PLACEHOLDER)) {
+      if (!worked) continue
+      try {
+        parseExpression(content)
+      } catch (error) {
+        return `{= ${content}} cannot be read: ${error.message}`
+      }
+    }
+  }
+
+  try {
+    parseExpression(template.answer?.expression)
+  } catch (error) {
+    return `The answer formula cannot be read: ${error.message}`
+  }
+
+  let sample
+  try {
+    sample = generateProblem(template, 'check')
+  } catch (error) {
+    return error.message
+  }
+
+  return getExpressionAnswerError(sample.answer)
+}
+
+const toNumber = (value) => (value === '' || value == null ? NaN : Number(value))
+
+/**
+ * A template in its stored shape, from form input
+ * @param {Object} template
+ * @returns {Object}
+ */
+export const normalizeTemplate = (template) => ({
+  title: String(template.title || '').trim(),
+  prompt: String(template.prompt || '').trim(),
+  variables: (template.variables || []).map(variable => {
+    const name = String(variable.name || '').trim()
+    if (Array.isArray(variable.choices)) return { name, choices: variable.choices.map(toNumber) }
+    return { name, min: toNumber(variable.min), max: toNumber(variable.max), step: toNumber(variable.step || 1) }
+  }),
+  constraints: (template.constraints || []).map(text => String(text).trim()).filter(Boolean),
+  answer: normalizeAnswer({ type: QUIZ.QUESTION_TYPES.EXPRESSION, answer: { expression: '', ...template.answer } }),
+  solution: String(template.solution || '').trim() || null
+})
+
+/**
+ * A problem question as an expression question with this student's
+ * numbers, ready to show or grade
+ * @param {Object} question - of type problem
+ * @param {Object} template
+ * @param {string|number} seed
+ * @returns {Object}
+ */
+export const resolveProblemQuestion = (question, template, seed) => {
+  const problem = generateProblem(template, seed)
+
+  return {
+    ...question,
+    type: QUIZ.QUESTION_TYPES.EXPRESSION,
+    prompt: [question.prompt?.trim(), problem.prompt].filter(Boolean).join('\n\n'),
+    answer: problem.answer,
+    explanation: problem.solution || question.explanation
+  }
+}
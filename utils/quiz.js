@@ -0,0 +1,251 @@
+/**
+ * Quiz Utilities
+ * Client-safe question validation and grading. The quiz editor uses the
+ * validation; grading only ever runs on the server, where the answers live.
+ *
+ * Questions are stored as:
+ *   { id, type, prompt, options: [{ id, text }], answer, points, explanation }
+ * with `answer` shaped by type:
+ *   single / multiple: { options: [optionId, ...] }
+ *   numeric:           { value: number, tolerance: number }
+ *   text:              { accepted: [string, ...], caseSensitive?: boolean }
+ *   expression:        see utils/expressions.js
+ *   problem:           { templateId }, generated per student by utils/problems.js
+ */
+
+import { QUIZ } from './constants'
+import { checkExpression, getExpressionAnswerError, DEFAULT_PARTIAL_CREDIT } from './expressions'
+
+const { QUESTION_TYPES } = QUIZ
+
+// Absorbs floating point error when comparing against a tolerance
+const NUMERIC_EPSILON = 1e-9
+
+const isChoiceQuestion = (type) => type === QUESTION_TYPES.SINGLE || type === QUESTION_TYPES.MULTIPLE
+
+/**
+ * What is wrong with a question, if anything
+ * @param {Object} question
+ * @returns {string|null} reason, or null when the question is valid
+ */
+export const getQuestionError = (question) => {
+  // A problem's question comes from its template
+  if (question?.type !== QUESTION_TYPES.PROBLEM && !question?.prompt?.trim()) return 'A question is required'
+
+  if (!Object.values(QUESTION_TYPES).includes(question.type)) return 'Invalid question type'
+
+  const points = Number(question.points ?? 1)
+  if (!Number.isInteger(points) || points < 1) return 'Points must be a whole number of at least 1'
+
+  const answer = question.answer || {}
+
+  if (isChoiceQuestion(question.type)) {
+    const options = question.options || []
+    if (options.length < 2 || options.length > QUIZ.MAX_OPTIONS) {
+      return `Add between 2 and ${QUIZ.MAX_OPTIONS} options`
+    }
+    if (options.some(option => !option?.id || !String(option.text || '').trim())) {
+      return 'Every option needs text'
+    }
+
+    const optionIds = options.map(option => option.id)
+    if (new Set(optionIds).size !== optionIds.length) return 'Options must be unique'
+
+    const correct = answer.options || []
+    if (!correct.length || correct.some(id => !optionIds.includes(id))) {
+      return 'Mark the correct option'
+    }
+    if (question.type === QUESTION_TYPES.SINGLE && correct.length !== 1) {
+      return 'Single choice questions have exactly one correct option'
+    }
+    return null
+  }
+
+  if (question.type === QUESTION_TYPES.NUMERIC) {
+    if (answer.value === '' || answer.value == null || !Number.isFinite(Number(answer.value))) {
+      return 'Enter the correct number'
+    }
+    const tolerance = Number(answer.tolerance ?? 0)
+    if (!Number.isFinite(tolerance) || tolerance < 0) return 'Tolerance cannot be negative'
+    return null
+  }
+
+  if (question.type === QUESTION_TYPES.EXPRESSION) return getExpressionAnswerError(answer)
+
+  if (question.type === QUESTION_TYPES.PROBLEM) return answer.templateId ? null : 'Choose a problem template'
+
+  const accepted = (answer.accepted || []).filter(text => String(text).trim())
+  if (!accepted.length) return 'Add at least one accepted answer'
+  return null
+}
+
+/**
+ * What is wrong with a set of questions, if anything
+ * @param {Array<Object>} questions
+ * @returns {string|null}
+ */
+export const getQuizError = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) return 'Add at least one question'
+  if (questions.length > QUIZ.MAX_QUESTIONS) return `A quiz can have up to ${QUIZ.MAX_QUESTIONS} questions`
+
+  for (const [index, question] of questions.entries()) {
+    const error = getQuestionError(question)
+    if (error) return `Question ${index + 1}: ${error}`
+  }
+
+  return null
+}
+
+/**
+ * A question's answer in its stored shape, dropping anything the type
+ * does not use
+ * @param {Object} question - a valid question
+ * @returns {Object}
+ */
+export const normalizeAnswer = (question) => {
+  const answer = question.answer || {}
+
+  if (isChoiceQuestion(question.type)) {
+    const optionIds = (question.options || []).map(option => option.id)
+    return { options: (answer.options || []).filter(id => optionIds.includes(id)) }
+  }
+
+  if (question.type === QUESTION_TYPES.NUMERIC) {
+    return { value: Number(answer.value), tolerance: Number(answer.tolerance || 0) }
+  }
+
+  if (question.type === QUESTION_TYPES.EXPRESSION) {
+    return {
+      expression: String(answer.expression).trim(),
+      tolerance: Number(answer.tolerance || 0),
+      unit: answer.unit?.trim() || null,
+      requireUnit: answer.requireUnit !== false,
+      requireSimplified: Boolean(answer.requireSimplified),
+      partialCredit: Number(answer.partialCredit ?? DEFAULT_PARTIAL_CREDIT)
+    }
+  }
+
+  if (question.type === QUESTION_TYPES.PROBLEM) return { templateId: answer.templateId }
+
+  return {
+    accepted: (answer.accepted || []).map(text => String(text).trim()).filter(Boolean),
+    caseSensitive: Boolean(answer.caseSensitive)
+  }
+}
+
+/**
+ * Read a typed number; blank or malformed input is null
+ * @param {number|string} response
+ * @returns {number|null}
+ */
+export const parseNumericResponse = (response) => {
+  if (typeof response === 'number') return Number.isFinite(response) ? response : null
+  if (typeof response !== 'string' || !response.trim()) return null
+
+  const value = Number(response.trim().replace(/\s+/g, ''))
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * Compare short text answers ignoring spacing and, by default, case
+ * @param {string} text
+ * @param {boolean} [caseSensitive]
+ * @returns {string}
+ */
+export const normalizeTextResponse = (text, caseSensitive = false) => {
+  const normalized = String(text ?? '').trim().replace(/\s+/g, ' ')
+  return caseSensitive ? normalized : normalized.toLowerCase()
+}
+
+/**
+ * Whether a response answers a question correctly. Multi-select questions
+ * need exactly the correct set of options.
+ * @param {Object} question - with its answer
+ * @param {*} response - option id, option ids, number or text by type
+ * @returns {boolean}
+ */
+export const isResponseCorrect = (question, response) => {
+  const answer = question.answer || {}
+
+  switch (question.type) {
+    case QUESTION_TYPES.SINGLE:
+      return typeof response === 'string' && (answer.options || []).includes(response)
+
+    case QUESTION_TYPES.MULTIPLE: {
+      if (!Array.isArray(response)) return false
+      const chosen = new Set(response)
+      const correct = new Set(answer.options || [])
+      return chosen.size === correct.size && [...correct].every(id => chosen.has(id))
+    }
+
+    case QUESTION_TYPES.NUMERIC: {
+      const value = parseNumericResponse(response)
+      if (value === null) return false
+      return Math.abs(value - Number(answer.value)) <= Number(answer.tolerance || 0) + NUMERIC_EPSILON
+    }
+
+    case QUESTION_TYPES.TEXT: {
+      if (typeof response !== 'string') return false
+      const given = normalizeTextResponse(response, answer.caseSensitive)
+      return (answer.accepted || []).some(text => normalizeTextResponse(text, answer.caseSensitive) === given)
+    }
+
+    case QUESTION_TYPES.EXPRESSION:
+      return checkExpression(response, answer).correct
+
+    default:
+      return false
+  }
+}
+
+/**
+ * The share of a question's points a response earns, with feedback for
+ * the student. Only expression questions give partial credit.
+ * @param {Object} question - with its answer
+ * @param {*} response
+ * @returns {{ correct: boolean, credit: number, feedback: string|null }}
+ */
+export const scoreResponse = (question, response) => {
+  if (question.type === QUESTION_TYPES.EXPRESSION) {
+    const { correct, credit, feedback } = checkExpression(response, question.answer || {})
+    return { correct, credit, feedback }
+  }
+
+  const correct = isResponseCorrect(question, response)
+  return { correct, credit: correct ? 1 : 0, feedback: null }
+}
+
+/**
+ * Grade a quiz attempt
+ * @param {Array<Object>} questions - with answers
+ * @param {Object<string, *>} responses - keyed by question id
+ * @param {number} passPercentage
+ * @returns {{ score: number, maxScore: number, percentage: number, passed: boolean, results: Array<Object> }}
+ */
+export const gradeQuiz = (questions, responses = {}, passPercentage = QUIZ.DEFAULT_PASS_PERCENTAGE) => {
+  const results = questions.map(question => {
+    const maxPoints = Number(question.points || 1)
+    const { correct, credit, feedback } = scoreResponse(question, responses[question.id])
+    const points = Math.round(maxPoints * credit * 100) / 100
+    return { questionId: question.id, correct, points, maxPoints, ...(feedback && { feedback }) }
+  })
+
+  const score = Math.round(results.reduce((sum, result) => sum + result.points, 0) * 100) / 100
+  const maxScore = results.reduce((sum, result) => sum + result.maxPoints, 0)
+  const percentage = maxScore ? Math.round((score / maxScore) * 10000) / 100 : 0
+
+  return { score, maxScore, percentage, passed: maxScore > 0 && percentage >= passPercentage, results }
+}
+
+/**
+ * A question as students see it, without the answer or explanation
+ * @param {Object} question
+ * @returns {Object}
+ */
+export const toPublicQuestion = (question) => ({
+  id: question.id,
+  type: question.type,
+  prompt: question.prompt,
+  options: isChoiceQuestion(question.type) ? question.options : [],
+  points: Number(question.points || 1)
+})
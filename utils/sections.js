@@ -0,0 +1,61 @@
+/**
+ * Course Sections
+ * Groups a course's lessons under sections such as "Unit 1: Limits".
+ * Sections are stored in course_sections, ordered by position, and a
+ * lesson joins one through its section_id. Lessons without a section are
+ * listed first, under DEFAULT_SECTION_TITLE.
+ */
+
+export const DEFAULT_SECTION_TITLE = 'Course Content'
+
+/**
+ * Lessons grouped by section, in section order
+ * @param {Array<Object>} sections - with id and position
+ * @param {Array<Object>} lessons - with section_id, in course order
+ * @returns {Array<{ section: Object|null, lessons: Array<Object> }>}
+ *   section is null for lessons without one; each lesson gets `index`,
+ *   its place in the whole course. Empty sections are kept.
+ */
+export const groupLessonsBySection = (sections = [], lessons = []) => {
+  const groups = [
+    { section: null, lessons: [] },
+    ...[...sections]
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map(section => ({ section, lessons: [] }))
+  ]
+  const bySection = new Map(groups.slice(1).map(group => [group.section.id, group]))
+
+  lessons.forEach(lesson => {
+    const group = bySection.get(lesson.section_id) || groups[0]
+    group.lessons.push(lesson)
+  })
+
+  let index = 0
+  return groups
+    .filter(group => group.section || group.lessons.length)
+    .map(group => ({ ...group, lessons: group.lessons.map(lesson => ({ ...lesson, index: index++ })) }))
+}
+
+/**
+ * Lessons in the order they are listed: by section, then within it
+ * @param {Array<Object>} sections
+ * @param {Array<Object>} lessons
+ * @returns {Array<Object>}
+ */
+export const orderLessonsBySection = (sections, lessons) => {
+  return groupLessonsBySection(sections, lessons).flatMap(group => (
+    group.lessons.map(({ index, ...lesson }) => lesson)
+  ))
+}
+
+/**
+ * How far a student is through a group of lessons
+ * @param {Array<Object>} lessons
+ * @param {Object<string, { completed?: boolean }>} progress - keyed by lesson id
+ * @returns {{ completed: number, total: number, percentage: number }}
+ */
+export const getSectionProgress = (lessons = [], progress = {}) => {
+  const completed = lessons.filter(lesson => progress[lesson.id]?.completed).length
+  const total = lessons.length
+  return { completed, total, percentage: total ? Math.round((completed / total) * 100) : 0 }
+}